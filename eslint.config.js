@@ -8,7 +8,7 @@ export default defineConfig([
   globalIgnores(['dist', 'server']),
   {
     files: ['**/*.{js,jsx}'],
-    ignores: ['setup-env.js'],
+    ignores: ['setup-env.js', 'generate-constellations.js', 'generate-bright-stars.js', 'generate-deep-sky.js'],
     extends: [
       js.configs.recommended,
       reactHooks.configs.flat.recommended,
@@ -28,7 +28,7 @@ export default defineConfig([
     },
   },
   {
-    files: ['setup-env.js'],
+    files: ['setup-env.js', 'generate-constellations.js', 'generate-bright-stars.js', 'generate-deep-sky.js'],
     extends: [js.configs.recommended],
     languageOptions: {
       ecmaVersion: 'latest',
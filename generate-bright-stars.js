@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the bright-star catalogue
+ * Takes every Hipparcos star down to magnitude 6.5 (naked-eye limit under a
+ * pristine sky) from the d3-celestial data files (BSD-3-Clause, Olaf Frohn),
+ * with proper names where the IAU has one and Bayer/Flamsteed designations
+ * otherwise.
+ *
+ * Writes src/data/brightStars.js - the catalogue drawn by SkyChart
+ *
+ * Usage: npm run generate:stars
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const dataDir = path.join(path.dirname(require.resolve('d3-celestial/package.json')), 'data');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+
+const MAGNITUDE_LIMIT = 6.5;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Convert a d3-celestial longitude (RA in degrees, -180..180) to RA in hours
+ */
+const toHours = (lon) => round((((lon % 360) + 360) % 360) / 15, 4);
+
+/**
+ * Display name: proper name, else designation with the constellation ("τ Phe")
+ */
+const getStarName = (names) => {
+  if (!names) return null;
+  if (names.name) return names.name;
+  if (names.desig && names.c) return `${names.desig} ${names.c}`;
+  return null;
+};
+
+const starNames = readJson('starnames.json');
+
+const stars = readJson('stars.8.json').features
+  .filter(star => star.properties.mag <= MAGNITUDE_LIMIT)
+  .sort((a, b) => a.properties.mag - b.properties.mag)
+  .map(star => {
+    const [lon, lat] = star.geometry.coordinates;
+    const { mag, bv } = star.properties;
+    const record = [
+      star.id,
+      toHours(lon),
+      round(lat, 3),
+      round(mag, 2),
+      bv === '' ? null : round(Number(bv), 2)
+    ];
+    const name = getStarName(starNames[star.id]);
+    return name ? [...record, name] : record;
+  });
+
+const output = [
+  '/**',
+  ` * Hipparcos stars to magnitude ${MAGNITUDE_LIMIT}, brightest first`,
+  ' * Generated by generate-bright-stars.js from the d3-celestial data files',
+  ' * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.',
+  ' *',
+  ' * Each star is [hip, ra, dec, magnitude, bv, name?]:',
+  ' * - hip: Hipparcos catalogue number',
+  ' * - ra, dec: J2000, RA in hours and Dec in degrees',
+  ' * - bv: B-V colour index (null when unknown)',
+  ' * - name: proper name or Bayer/Flamsteed designation, when there is one',
+  ' */',
+  'export const BRIGHT_STARS = [',
+  stars.map(star => `  ${JSON.stringify(star)}`).join(',\n'),
+  '];',
+  ''
+].join('\n');
+
+fs.mkdirSync(path.join(__dirname, 'src', 'data'), { recursive: true });
+fs.writeFileSync(path.join(__dirname, 'src', 'data', 'brightStars.js'), output);
+
+console.log(`Generated ${stars.length} stars to magnitude ${MAGNITUDE_LIMIT}`);
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the constellation dataset and images
+ * Builds all 88 IAU constellations (names, boundaries and line figures) from the
+ * d3-celestial data files (BSD-3-Clause, Olaf Frohn), with the brightest star of
+ * each figure looked up in its Hipparcos star catalogue.
+ *
+ * Writes:
+ * - src/data/constellations.js - the dataset used by constellationService
+ * - public/constellations/<Name>.svg - a star-chart image for ConstellationTooltip
+ *
+ * Usage: npm run generate:constellations
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const dataDir = path.join(path.dirname(require.resolve('d3-celestial/package.json')), 'data');
+
+const readFeatures = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')).features;
+
+const DEG = Math.PI / 180;
+
+// SVG layout (matches the original hand-made images)
+const SIZE = 200;
+const PADDING = 14;
+const LABEL_SPACE = 22;
+
+// Boundary edges run along RA/Dec lines, so they are split to curve under the projection
+const BOUNDARY_STEP = 1;
+
+// Corrections to the IAU names and genitives in the source data
+const NAME_FIXES = {
+  CrA: { name: 'Corona Australis', genitive: 'Coronae Australis' },
+  Cru: { genitive: 'Crucis' },
+  Ser: { name: 'Serpens' }
+};
+
+/**
+ * Convert a d3-celestial longitude (RA in degrees, -180..180) to RA in hours
+ */
+const toHours = (lon) => round((((lon % 360) + 360) % 360) / 15, 4);
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Season a constellation is best seen in the evening (northern hemisphere),
+ * from the RA of its centre; those near either pole are up all year somewhere
+ */
+const getSeason = (raHours, dec) => {
+  if (Math.abs(dec) >= 75) return 'All Year';
+  if (raHours < 2.25) return 'Fall';
+  if (raHours < 8.25) return 'Winter';
+  if (raHours < 15) return 'Spring';
+  if (raHours < 20.75) return 'Summer';
+  return 'Fall';
+};
+
+/**
+ * Image filename for a constellation; kept in step with getConstellationImagePath
+ */
+const getImageFilename = (name) =>
+  name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '-') + '.svg';
+
+// Hipparcos stars to magnitude 8, indexed by position for matching figure vertices
+const stars = new Map();
+readFeatures('stars.8.json').forEach(star => {
+  const [lon, lat] = star.geometry.coordinates;
+  stars.set(`${lon.toFixed(2)},${lat.toFixed(2)}`, star.properties.mag);
+});
+
+const findMagnitude = ([lon, lat]) => {
+  for (const dLon of [0, -0.01, 0.01]) {
+    for (const dLat of [0, -0.01, 0.01]) {
+      const magnitude = stars.get(`${(lon + dLon).toFixed(2)},${(lat + dLat).toFixed(2)}`);
+      if (magnitude !== undefined) return magnitude;
+    }
+  }
+  return null;
+};
+
+// Group the line figures and boundaries by constellation (Serpens comes in two parts)
+const groupById = (features) => {
+  const groups = new Map();
+  features.forEach(feature => {
+    if (!groups.has(feature.id)) groups.set(feature.id, []);
+    groups.get(feature.id).push(feature);
+  });
+  return groups;
+};
+
+const lineFeatures = groupById(readFeatures('constellations.lines.json'));
+const boundFeatures = groupById(readFeatures('constellations.bounds.json'));
+
+/**
+ * Split polylines into unique star pairs
+ */
+const toStarPairs = (polylines) => {
+  const seen = new Set();
+  const pairs = [];
+  polylines.forEach(polyline => {
+    for (let i = 1; i < polyline.length; i++) {
+      const pair = [polyline[i - 1], polyline[i]];
+      const key = pair.map(point => point.join(',')).sort().join('|');
+      if (!seen.has(key)) {
+        seen.add(key);
+        pairs.push(pair);
+      }
+    }
+  });
+  return pairs;
+};
+
+/**
+ * Stars in a line figure with their magnitudes, brightest first
+ */
+const getFigureStars = (pairs) => {
+  const vertices = [...new Map(pairs.flat().map(point => [point.join(','), point])).values()];
+  return vertices
+    .map(point => [point, findMagnitude(point)])
+    .filter(([, magnitude]) => magnitude !== null)
+    .sort((a, b) => a[1] - b[1])
+    .map(([[lon, lat], magnitude]) => [toHours(lon), round(lat, 3), round(magnitude, 2)]);
+};
+
+/**
+ * Add points along boundary edges so they follow RA/Dec lines when projected
+ */
+const densify = (ring) => {
+  const points = [];
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    let dLon = lon2 - lon1;
+    if (dLon > 180) dLon -= 360;
+    if (dLon < -180) dLon += 360;
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dLon), Math.abs(lat2 - lat1)) / BOUNDARY_STEP));
+    for (let step = 0; step < steps; step++) {
+      points.push([lon1 + (dLon * step) / steps, lat1 + ((lat2 - lat1) * step) / steps]);
+    }
+  }
+  points.push(ring[ring.length - 1]);
+  return points;
+};
+
+/**
+ * Stereographic projection centred on a point, east to the left as seen on the sky
+ */
+const project = ([lon, lat], [lon0, lat0]) => {
+  const dLon = (lon - lon0) * DEG;
+  const sinLat = Math.sin(lat * DEG);
+  const cosLat = Math.cos(lat * DEG);
+  const sinLat0 = Math.sin(lat0 * DEG);
+  const cosLat0 = Math.cos(lat0 * DEG);
+  const k = 2 / (1 + sinLat0 * sinLat + cosLat0 * cosLat * Math.cos(dLon));
+  return [
+    -k * cosLat * Math.sin(dLon),
+    -k * (cosLat0 * sinLat - sinLat0 * cosLat * Math.cos(dLon))
+  ];
+};
+
+/**
+ * Draw a constellation's figure, stars and boundary in the style of the original images
+ */
+const renderSvg = (name, centre, pairs, boundaries) => {
+  const vertices = [...new Map(pairs.flat().map(point => [point.join(','), point])).values()];
+  const projected = vertices.map(point => project(point, centre));
+
+  // Fit the figure into the drawing area above the label
+  const xs = projected.map(([x]) => x);
+  const ys = projected.map(([, y]) => y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const width = SIZE - 2 * PADDING;
+  const height = SIZE - 2 * PADDING - LABEL_SPACE;
+  const scale = Math.min(width / (maxX - minX || 1), height / (maxY - minY || 1));
+  const offsetX = PADDING + (width - (maxX - minX) * scale) / 2;
+  const offsetY = PADDING + (height - (maxY - minY) * scale) / 2;
+  const toSvg = (point) => {
+    const [x, y] = project(point, centre);
+    return [round(offsetX + (x - minX) * scale, 1), round(offsetY + (y - minY) * scale, 1)];
+  };
+
+  const boundaryPaths = boundaries.map(ring => {
+    const points = densify(ring).map(toSvg);
+    return `    <path d="M${points.map(point => point.join(' ')).join('L')}Z" fill="none" stroke="#4a5580" stroke-width="1" stroke-dasharray="3 3"/>`;
+  });
+
+  const lines = pairs.map(([from, to]) => {
+    const [x1, y1] = toSvg(from);
+    const [x2, y2] = toSvg(to);
+    return `    <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#6495ED" stroke-width="1.5" opacity="0.6"/>`;
+  });
+
+  const circles = vertices.map(point => {
+    const [cx, cy] = toSvg(point);
+    const magnitude = findMagnitude(point) ?? 4;
+    const radius = round(Math.max(1.5, 5 - 0.7 * magnitude), 1);
+    return `    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="#FFD700" opacity="0.9"/>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}" width="${SIZE}" height="${SIZE}">`,
+    `  <rect width="${SIZE}" height="${SIZE}" fill="#0a0e27"/>`,
+    '  <g id="boundary">',
+    ...boundaryPaths,
+    '  </g>',
+    '  <g id="lines">',
+    ...lines,
+    '  </g>',
+    '  <g id="stars">',
+    ...circles,
+    '  </g>',
+    `  <text x="100" y="190" font-family="Arial, sans-serif" font-size="12" fill="#fff" text-anchor="middle" opacity="0.7">${name}</text>`,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+const constellations = [];
+const imageDir = path.join(__dirname, 'public', 'constellations');
+fs.mkdirSync(imageDir, { recursive: true });
+
+readFeatures('constellations.json').forEach(feature => {
+  const abbr = feature.id;
+  if (constellations.some(constellation => constellation.abbr === abbr)) return;
+
+  // "Serpens Caput" and "Serpens Cauda" are one IAU constellation
+  const { name, genitive } = { name: feature.properties.name, genitive: feature.properties.gen, ...NAME_FIXES[abbr] };
+  const [centreLon, centreLat] = feature.properties.display;
+  const centre = [centreLon, centreLat];
+
+  const pairs = toStarPairs(lineFeatures.get(abbr).flatMap(line => line.geometry.coordinates));
+  const boundaries = boundFeatures.get(abbr).map(bound => bound.geometry.coordinates[0]);
+  const magnitudes = pairs.flat().map(findMagnitude).filter(magnitude => magnitude !== null);
+
+  const ra = toHours(centreLon);
+  const dec = round(centreLat, 2);
+  constellations.push({
+    name,
+    abbr,
+    genitive,
+    ra,
+    dec,
+    season: getSeason(ra, dec),
+    magnitude: magnitudes.length > 0 ? round(Math.min(...magnitudes), 2) : null,
+    rank: Number(feature.properties.rank),
+    stars: getFigureStars(pairs),
+    lines: pairs.map(pair => pair.map(([lon, lat]) => [toHours(lon), round(lat, 3)])),
+    boundaries: boundaries.map(ring => ring.map(([lon, lat]) => [toHours(lon), round(lat, 3)]))
+  });
+
+  fs.writeFileSync(path.join(imageDir, getImageFilename(name)), renderSvg(name, centre, pairs, boundaries));
+});
+
+const output = [
+  '/**',
+  ' * All 88 IAU constellations',
+  ' * Generated by generate-constellations.js from the d3-celestial data files',
+  ' * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.',
+  ' *',
+  ' * Coordinates are J2000, RA in hours and Dec in degrees.',
+  ' * - ra, dec: centre of the figure',
+  ' * - magnitude: brightest star in the line figure',
+  ' * - rank: 1 (prominent) to 3 (faint), for label display',
+  ' * - stars: line-figure stars [ra, dec, magnitude], brightest first',
+  ' * - lines: line-figure star pairs [[ra, dec], [ra, dec]]',
+  ' * - boundaries: IAU boundary polygons [[ra, dec], ...] (two for Serpens)',
+  ' */',
+  'export const CONSTELLATIONS = [',
+  constellations.map(constellation => `  ${JSON.stringify(constellation)}`).join(',\n'),
+  '];',
+  ''
+].join('\n');
+
+fs.mkdirSync(path.join(__dirname, 'src', 'data'), { recursive: true });
+fs.writeFileSync(path.join(__dirname, 'src', 'data', 'constellations.js'), output);
+
+console.log(`Generated ${constellations.length} constellations and their images`);
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the deep-sky object catalogue
+ * Builds the Messier and Caldwell catalogues and every other NGC/IC object
+ * brighter than magnitude 9 from the d3-celestial data files (BSD-3-Clause,
+ * Olaf Frohn), with surface brightness worked out from magnitude and size.
+ *
+ * Writes src/data/deepSky.js - the catalogue used by dsoService
+ *
+ * Usage: npm run generate:dso
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const dataDir = path.join(path.dirname(require.resolve('d3-celestial/package.json')), 'data');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+
+// Other NGC/IC objects are included down to this magnitude
+const NGC_MAGNITUDE_LIMIT = 9;
+
+// Caldwell 1-109, by their id in the d3-celestial catalogue
+const CALDWELL = [
+  'NGC 188', 'NGC 40', 'NGC 4236', 'NGC 7023', 'IC 342', 'NGC 6543', 'NGC 2403', 'NGC 559', 'C 9', 'NGC 663',
+  'NGC 7635', 'NGC 6946', 'NGC 457', 'NGC 869', 'NGC 6826', 'NGC 7243', 'NGC 147', 'NGC 185', 'IC 5146', 'NGC 7000',
+  'NGC 4449', 'NGC 7662', 'NGC 891', 'NGC 1275', 'NGC 2419', 'NGC 4244', 'NGC 6888', 'NGC 752', 'NGC 5005', 'NGC 7331',
+  'IC 405', 'NGC 4631', 'NGC 6992', 'NGC 6960', 'NGC 4889', 'NGC 4559', 'NGC 6885', 'NGC 4565', 'NGC 2392', 'NGC 3626',
+  'C 41', 'NGC 7006', 'NGC 7814', 'NGC 7479', 'NGC 5248', 'NGC 2261', 'NGC 6934', 'NGC 2775', 'NGC 2238', 'NGC 2244',
+  'IC 1613', 'NGC 4697', 'NGC 3115', 'NGC 2506', 'NGC 7009', 'NGC 246', 'NGC 6822', 'NGC 2360', 'NGC 3242', 'NGC 4038',
+  'NGC 4039', 'NGC 247', 'NGC 7293', 'NGC 2362', 'NGC 253', 'NGC 5694', 'NGC 1097', 'NGC 6729', 'NGC 6302', 'NGC 300',
+  'NGC 2477', 'NGC 55', 'NGC 1851', 'NGC 3132', 'NGC 6124', 'NGC 6231', 'NGC 5128', 'NGC 6541', 'NGC 3201', 'NGC 5139',
+  'NGC 6352', 'NGC 6193', 'NGC 4945', 'NGC 5286', 'IC 2391', 'NGC 6397', 'NGC 1261', 'NGC 5823', 'NGC 6087', 'NGC 2867',
+  'NGC 3532', 'NGC 3372', 'NGC 6752', 'NGC 4755', 'NGC 6025', 'NGC 2516', 'NGC 3766', 'NGC 4609', 'C 99', 'IC 2944',
+  'NGC 6744', 'IC 2602', 'NGC 2070', 'NGC 362', 'NGC 4833', 'NGC 104', 'NGC 6101', 'NGC 4372', 'NGC 3195'
+];
+
+// Caldwell galaxies missing from the source data (J2000, V magnitude, size in arcminutes)
+const EXTRA_OBJECTS = {
+  'NGC 4559': { type: 's', ra: 12.5993, dec: 27.96, magnitude: 10.0, size: [10.7, 4.4] },
+  'NGC 4565': { type: 's', ra: 12.6058, dec: 25.9878, magnitude: 9.6, size: [15.9, 1.9] }
+};
+
+// Names and designations the source data leaves out or gives differently
+const OVERRIDES = {
+  'C 9': { name: 'Cave Nebula', ngc: 'Sh2-155' },
+  'C 41': { ngc: 'Mel 25' },
+  'C 99': { ngc: null },
+  'NGC 869': { name: 'Double Cluster', ngc: 'NGC 869/884' },
+  'NGC 2238': { ngc: 'NGC 2237' }, // The Rosette Nebula is listed under NGC 2238
+  'NGC 4559': { name: null }
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Convert a d3-celestial longitude (RA in degrees, -180..180) to RA in hours
+ */
+const toHours = (lon) => round((((lon % 360) + 360) % 360) / 15, 4);
+
+/**
+ * Parse a magnitude, which the source gives as 999 or '' when unknown
+ */
+const parseMagnitude = (value) => {
+  const magnitude = Number(value);
+  return value === '' || !Number.isFinite(magnitude) || magnitude >= 99 ? null : round(magnitude, 1);
+};
+
+/**
+ * Parse a size such as '66x60' or '15' (arcminutes) into [major, minor]
+ */
+const parseSize = (value) => {
+  if (!value) return null;
+  const [major, minor = major] = String(value).split('x').map(Number);
+  return Number.isFinite(major) && Number.isFinite(minor) ? [round(major, 1), round(minor, 1)] : null;
+};
+
+/**
+ * Mean surface brightness in mag/arcsec², spreading the light over an ellipse
+ */
+const getSurfaceBrightness = (magnitude, size) => {
+  if (magnitude === null || !size) return null;
+  const area = Math.PI / 4 * size[0] * size[1] * 3600;
+  return round(magnitude + 2.5 * Math.log10(area), 1);
+};
+
+const dsos = new Map(readJson('dsos.14.json').features.map(feature => [feature.id, feature]));
+const dsoNames = readJson('dsonames.json');
+
+const getName = (id) => dsoNames[id]?.name || null;
+
+const buildObject = ({ id, messier = null, caldwell = null, ngc, name, type, ra, dec, magnitude, size }) => ({
+  id,
+  name,
+  messier,
+  caldwell,
+  ngc,
+  type,
+  ra,
+  dec,
+  magnitude,
+  size,
+  surfaceBrightness: getSurfaceBrightness(magnitude, size)
+});
+
+const objects = [];
+
+// Messier objects, with their common names
+readJson('messier.json').features.forEach(feature => {
+  const { properties } = feature;
+  const [lon, lat] = feature.geometry.coordinates;
+  objects.push(buildObject({
+    id: feature.id,
+    messier: Number(feature.id.slice(1)),
+    ngc: properties.desig || null,
+    name: getName(properties.desig) || properties.alt || null,
+    type: properties.type,
+    ra: toHours(lon),
+    dec: round(lat, 3),
+    magnitude: parseMagnitude(properties.mag),
+    size: parseSize(properties.dim)
+  }));
+});
+
+/**
+ * Build an object from a d3-celestial DSO entry (or one of EXTRA_OBJECTS)
+ */
+const buildFromSource = (sourceId, extra) => {
+  const override = OVERRIDES[sourceId] ?? {};
+  const common = {
+    name: 'name' in override ? override.name : getName(sourceId),
+    ngc: 'ngc' in override ? override.ngc : sourceId,
+    ...extra
+  };
+
+  if (EXTRA_OBJECTS[sourceId]) {
+    return buildObject({ ...common, ...EXTRA_OBJECTS[sourceId] });
+  }
+
+  const feature = dsos.get(sourceId);
+  const [lon, lat] = feature.geometry.coordinates;
+  return buildObject({
+    ...common,
+    type: feature.properties.type,
+    ra: toHours(lon),
+    dec: round(lat, 3),
+    magnitude: parseMagnitude(feature.properties.mag),
+    size: parseSize(feature.properties.dim)
+  });
+};
+
+// Caldwell objects
+CALDWELL.forEach((sourceId, index) => {
+  objects.push(buildFromSource(sourceId, { id: `C${index + 1}`, caldwell: index + 1 }));
+});
+
+// Other bright NGC and IC objects
+const included = new Set(CALDWELL);
+dsos.forEach((feature, sourceId) => {
+  const { properties } = feature;
+  const magnitude = parseMagnitude(properties.mag);
+  if (!/^(NGC|IC) /.test(sourceId) || included.has(sourceId) || properties.desig.startsWith('M ')) return;
+  if (magnitude === null || magnitude > NGC_MAGNITUDE_LIMIT || properties.type === 'dn') return;
+
+  objects.push(buildFromSource(sourceId, { id: sourceId.replace(' ', '') }));
+});
+
+const output = [
+  '/**',
+  ` * Deep-sky objects: Messier, Caldwell and NGC/IC objects to magnitude ${NGC_MAGNITUDE_LIMIT}`,
+  ' * Generated by generate-deep-sky.js from the d3-celestial data files',
+  ' * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.',
+  ' *',
+  ' * - id: M31, C14 or NGC7000 (Messier number first, then Caldwell)',
+  ' * - messier, caldwell: catalogue numbers, or null',
+  ' * - ngc: NGC/IC (or other) designation',
+  ' * - type: d3-celestial type code, see getDSOType in dsoService',
+  ' * - ra, dec: J2000, RA in hours and Dec in degrees',
+  ' * - magnitude: integrated V magnitude (null when unknown)',
+  ' * - size: [major, minor] axes in arcminutes',
+  ' * - surfaceBrightness: mean surface brightness in mag/arcsec²',
+  ' */',
+  'export const DEEP_SKY_OBJECTS = [',
+  objects.map(object => `  ${JSON.stringify(object)}`).join(',\n'),
+  '];',
+  ''
+].join('\n');
+
+fs.mkdirSync(path.join(__dirname, 'src', 'data'), { recursive: true });
+fs.writeFileSync(path.join(__dirname, 'src', 'data', 'deepSky.js'), output);
+
+console.log(`Generated ${objects.length} deep-sky objects`);
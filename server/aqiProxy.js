@@ -0,0 +1,112 @@
+/**
+ * AQICN proxy
+ * Calls the AQICN geo feed with the server-side token and keeps a cache
+ * shared by all visitors. Fresh entries are served directly; entries past
+ * their TTL are still served for a while (stale-while-revalidate) while a
+ * single background request refreshes them.
+ */
+
+const AQICN_FEED_URL = 'https://api.waqi.info/feed/geo';
+
+// Fresh for 30 minutes (AQICN stations report hourly), then served stale for up to 3 hours
+export const AQI_CACHE_TTL_MS = 30 * 60 * 1000;
+export const AQI_STALE_WHILE_REVALIDATE_MS = 3 * 60 * 60 * 1000;
+
+// Requests are bucketed to 0.01° (about 1 km) so nearby visitors share entries
+const CACHE_PRECISION = 2;
+const MAX_CACHE_ENTRIES = 5000;
+
+// Give up on AQICN after 10 seconds; concurrent callers share the request, so a stalled one would hold them all
+const AQICN_TIMEOUT_MS = 10000;
+
+const cache = new Map();
+const inFlight = new Map();
+
+/**
+ * Check whether the upstream token is configured
+ * @returns {boolean} True if AQICN_TOKEN is set
+ */
+export function isAQIProxyConfigured() {
+  return Boolean(process.env.AQICN_TOKEN);
+}
+
+/**
+ * Get the AQICN feed for a location, from the shared cache when possible
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} { data, cacheStatus ('HIT', 'STALE' or 'MISS'), fetchedAt }
+ */
+export async function getAQIFeed(lat, lon) {
+  const bucketLat = Number(lat.toFixed(CACHE_PRECISION));
+  const bucketLon = Number(lon.toFixed(CACHE_PRECISION));
+  const key = `${bucketLat},${bucketLon}`;
+  const cached = cache.get(key);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  if (age < AQI_CACHE_TTL_MS) {
+    return { data: cached.data, cacheStatus: 'HIT', fetchedAt: cached.fetchedAt };
+  }
+
+  if (age < AQI_CACHE_TTL_MS + AQI_STALE_WHILE_REVALIDATE_MS) {
+    refresh(key, bucketLat, bucketLon).catch(error => {
+      console.warn(`[AQI Proxy] Background refresh failed for ${key}: ${error.message}`);
+    });
+    return { data: cached.data, cacheStatus: 'STALE', fetchedAt: cached.fetchedAt };
+  }
+
+  const entry = await refresh(key, bucketLat, bucketLon);
+  return { data: entry.data, cacheStatus: 'MISS', fetchedAt: entry.fetchedAt };
+}
+
+/**
+ * Fetch a cache entry from upstream, sharing one request between concurrent callers
+ * @param {string} key - Cache key
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Cache entry { data, fetchedAt }
+ */
+function refresh(key, lat, lon) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = fetchFeed(lat, lon)
+    .then(data => {
+      const entry = { data, fetchedAt: Date.now() };
+      // Re-insert so the Map's insertion order tracks recency for eviction
+      cache.delete(key);
+      cache.set(key, entry);
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+      return entry;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Call the AQICN geo feed
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} The feed's `data` object
+ */
+async function fetchFeed(lat, lon) {
+  const url = `${AQICN_FEED_URL}:${lat};${lon}/?token=${encodeURIComponent(process.env.AQICN_TOKEN)}`;
+  const response = await fetch(url, { signal: AbortSignal.timeout(AQICN_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`AQICN request failed (Status: ${response.status})`);
+  }
+
+  const body = await response.json();
+
+  // AQICN reports errors such as an invalid key with HTTP 200 and status "error"
+  if (body.status !== 'ok' || !body.data) {
+    throw new Error(`AQICN returned an error: ${typeof body.data === 'string' ? body.data : 'invalid response'}`);
+  }
+
+  return body.data;
+}
@@ -2,6 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { loadManifest, findDataset, findDatasets, sampleDataset, getCellsWithinRadius } from './lightPollutionRaster.js';
+import { addReading, findReadingsNear } from './sqmReadingsStore.js';
+import { getTile, MAX_TILE_ZOOM } from './lightPollutionTiles.js';
+import { getAQIFeed, isAQIProxyConfigured, AQI_CACHE_TTL_MS } from './aqiProxy.js';
+import { createRateLimiter } from './rateLimiter.js';
 
 // Load environment variables
 dotenv.config();
@@ -9,6 +14,30 @@ dotenv.config();
 const app = express();
 const PORT = process.env.BACKEND_PORT || process.env.PORT || 3001;
 
+// Sky-glow radiance windows: default, smallest and largest search radius in km
+const DEFAULT_GLOW_RADIUS_KM = 200;
+const MIN_GLOW_RADIUS_KM = 1;
+const MAX_GLOW_RADIUS_KM = 300;
+
+// Light pollution grid requests: most points sampled in one call
+const MAX_GRID_POINTS = 500;
+
+// SQM reading queries: default, smallest and largest search radius in km, and maximum age in days
+const DEFAULT_SQM_RADIUS_KM = 25;
+const MIN_SQM_RADIUS_KM = 1;
+const MAX_SQM_RADIUS_KM = 100;
+const DEFAULT_SQM_MAX_AGE_DAYS = 730;
+
+// Unihedron meters report roughly 0-23 mag/arcsec²; anything brighter than 10 is daylight or twilight
+const MIN_SQM_VALUE = 10;
+const MAX_SQM_VALUE = 23;
+
+// SQM reading submissions allowed per client IP per hour
+const SQM_SUBMIT_RATE_LIMIT_PER_HOUR = parseInt(process.env.SQM_SUBMIT_RATE_LIMIT_PER_HOUR, 10) || 20;
+
+// AQI proxy: requests allowed per client IP per minute
+const AQI_RATE_LIMIT_PER_MINUTE = parseInt(process.env.AQI_RATE_LIMIT_PER_MINUTE, 10) || 30;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -167,6 +196,413 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+/**
+ * Sample artificial sky brightness from the bundled raster
+ * GET /api/light-pollution?lat=..&lon=..
+ */
+app.get('/api/light-pollution', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  try {
+    const dataset = findDataset('artificial-brightness', lat, lon);
+    const artificialBrightness = dataset ? sampleDataset(dataset, lat, lon) : null;
+
+    if (artificialBrightness === null) {
+      return res.status(404).json({
+        success: false,
+        error: 'No raster coverage',
+        message: 'No sky brightness raster covers this location.'
+      });
+    }
+
+    res.json({
+      success: true,
+      artificialBrightness,
+      naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+      units: dataset.units,
+      dataset: {
+        id: dataset.id,
+        name: dataset.name,
+        resolution: dataset.resolution
+      }
+    });
+  } catch (error) {
+    console.error('[Light Pollution API] Raster error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Raster unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Sample artificial sky brightness at many points in one request, for map overlays
+ * POST /api/light-pollution/grid
+ * Body: { points: [{ lat, lon }, ...] }
+ * Values come back in point order, null where no raster covers the point.
+ */
+app.post('/api/light-pollution/grid', (req, res) => {
+  const points = req.body?.points;
+
+  if (!Array.isArray(points) || points.length === 0 || points.length > MAX_GRID_POINTS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid points',
+      message: `points must be an array of 1 to ${MAX_GRID_POINTS} { lat, lon } objects.`
+    });
+  }
+
+  const invalid = points.some(point => {
+    const lat = Number(point?.lat);
+    const lon = Number(point?.lon);
+    return !Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180;
+  });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  try {
+    const values = points.map(point => {
+      const lat = Number(point.lat);
+      const lon = Number(point.lon);
+      const dataset = findDataset('artificial-brightness', lat, lon);
+      return dataset ? sampleDataset(dataset, lat, lon) : null;
+    });
+
+    res.json({
+      success: true,
+      naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+      units: 'mcd/m²',
+      values
+    });
+  } catch (error) {
+    console.error('[Light Pollution API] Grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Raster unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Artificial sky brightness at a location for every dated raster, oldest first
+ * GET /api/light-pollution/history?lat=..&lon=..
+ */
+app.get('/api/light-pollution/history', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  try {
+    const series = findDatasets('artificial-brightness', lat, lon)
+      .filter(dataset => dataset.year !== undefined)
+      .map(dataset => ({
+        year: dataset.year,
+        artificialBrightness: sampleDataset(dataset, lat, lon),
+        dataset: dataset.id
+      }))
+      .filter(entry => entry.artificialBrightness !== null)
+      .sort((a, b) => a.year - b.year);
+
+    if (series.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No raster coverage',
+        message: 'No dated sky brightness rasters cover this location.'
+      });
+    }
+
+    res.json({
+      success: true,
+      naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+      units: 'mcd/m²',
+      series
+    });
+  } catch (error) {
+    console.error('[Light Pollution API] History error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Raster unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Upward radiance cells around a location, for sky-glow propagation
+ * GET /api/light-pollution/radiance?lat=..&lon=..&radiusKm=..
+ */
+app.get('/api/light-pollution/radiance', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const radiusKm = Math.max(MIN_GLOW_RADIUS_KM, Math.min(
+    MAX_GLOW_RADIUS_KM,
+    parseFloat(req.query.radiusKm) || DEFAULT_GLOW_RADIUS_KM
+  ));
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  try {
+    const dataset = findDataset('radiance', lat, lon);
+
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'No raster coverage',
+        message: 'No radiance raster covers this location.'
+      });
+    }
+
+    const cells = getCellsWithinRadius(dataset, lat, lon, radiusKm).map(cell => ({
+      lat: cell.lat,
+      lon: cell.lon,
+      radiance: cell.value,
+      areaKm2: cell.areaKm2
+    }));
+
+    res.json({
+      success: true,
+      radiusKm,
+      units: dataset.units,
+      dataset: {
+        id: dataset.id,
+        name: dataset.name,
+        resolution: dataset.resolution
+      },
+      cells
+    });
+  } catch (error) {
+    console.error('[Light Pollution API] Radiance window error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Raster unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Light pollution map tile coloured by Bortle class
+ * GET /tiles/lightpollution/{z}/{x}/{y}.png
+ */
+app.get('/tiles/lightpollution/:z/:x/:y.png', (req, res) => {
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+  const tiles = Math.pow(2, z);
+
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_TILE_ZOOM ||
+      x < 0 || x >= tiles || y < 0 || y >= tiles) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid tile coordinates',
+      message: `z must be between 0 and ${MAX_TILE_ZOOM}, x and y between 0 and 2^z - 1.`
+    });
+  }
+
+  try {
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=86400'
+    });
+    res.send(getTile(z, x, y));
+  } catch (error) {
+    console.error('[Light Pollution Tiles] Render error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Tile unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate an SQM reading submission
+ * @param {Object} body - Request body
+ * @returns {Object} { reading } on success or { error } describing the first problem
+ */
+function validateSQMReading(body) {
+  const lat = Number(body.lat);
+  const lon = Number(body.lon);
+  const sqm = Number(body.sqm);
+  const takenAt = new Date(body.takenAt);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { error: 'lat must be between -90 and 90, lon between -180 and 180.' };
+  }
+  if (!Number.isFinite(sqm) || sqm < MIN_SQM_VALUE || sqm > MAX_SQM_VALUE) {
+    return { error: `sqm must be between ${MIN_SQM_VALUE} and ${MAX_SQM_VALUE} mag/arcsec².` };
+  }
+  // Allow a few minutes of clock skew between the meter and the server
+  if (isNaN(takenAt.getTime()) || takenAt.getTime() > Date.now() + 300000) {
+    return { error: 'takenAt must be a valid date that is not in the future.' };
+  }
+
+  const optionalText = (value, maxLength) =>
+    typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+  return {
+    reading: {
+      lat,
+      lon,
+      sqm,
+      takenAt: takenAt.toISOString(),
+      meter: optionalText(body.meter, 60),
+      observer: optionalText(body.observer, 60),
+      notes: optionalText(body.notes, 500)
+    }
+  };
+}
+
+/**
+ * Submit a sky quality meter reading
+ * POST /api/sqm-readings
+ * Body: { lat, lon, sqm, takenAt, meter?, observer?, notes? }
+ */
+app.post('/api/sqm-readings', createRateLimiter({ windowMs: 3600000, max: SQM_SUBMIT_RATE_LIMIT_PER_HOUR, name: 'SQM Readings API' }), (req, res) => {
+  const { reading, error } = validateSQMReading(req.body || {});
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid SQM reading',
+      message: error
+    });
+  }
+
+  try {
+    const stored = addReading(reading);
+    console.log('[SQM Readings API] Stored reading:', stored.id, stored.sqm);
+    res.status(201).json({
+      success: true,
+      reading: stored
+    });
+  } catch (error) {
+    console.error('[SQM Readings API] Store error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Unable to store reading',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Readings taken near a location, closest first
+ * GET /api/sqm-readings?lat=..&lon=..&radiusKm=..&maxAgeDays=..
+ */
+app.get('/api/sqm-readings', (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  const radiusKm = Math.max(MIN_SQM_RADIUS_KM, Math.min(
+    MAX_SQM_RADIUS_KM,
+    parseFloat(req.query.radiusKm) || DEFAULT_SQM_RADIUS_KM
+  ));
+  const maxAgeDays = parseFloat(req.query.maxAgeDays) || DEFAULT_SQM_MAX_AGE_DAYS;
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      radiusKm,
+      maxAgeDays,
+      readings: findReadingsNear(lat, lon, radiusKm, maxAgeDays)
+    });
+  } catch (error) {
+    console.error('[SQM Readings API] Store error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Readings unavailable',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * AQICN feed for a location, fetched with the server-side token
+ * GET /api/aqi?lat=..&lon=..
+ */
+app.get('/api/aqi', createRateLimiter({ windowMs: 60000, max: AQI_RATE_LIMIT_PER_MINUTE, name: 'AQI API' }), async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coordinates',
+      message: 'lat must be between -90 and 90, lon between -180 and 180.'
+    });
+  }
+
+  if (!isAQIProxyConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'AQI proxy not configured',
+      message: 'Set AQICN_TOKEN in the backend environment to enable AQI data.'
+    });
+  }
+
+  try {
+    const { data, cacheStatus, fetchedAt } = await getAQIFeed(lat, lon);
+
+    // Browsers may keep the feed only for what is left of its freshness, so a
+    // stale feed is never reused while the background refresh replaces it
+    const maxAge = Math.max(0, Math.round((fetchedAt + AQI_CACHE_TTL_MS - Date.now()) / 1000));
+    res.set({
+      'X-Cache': cacheStatus,
+      'Cache-Control': `public, max-age=${maxAge}`
+    });
+    res.json({
+      success: true,
+      source: 'AQICN',
+      fetchedAt,
+      data
+    });
+  } catch (error) {
+    console.error('[AQI API] Upstream error:', error.message);
+    res.status(503).json({
+      success: false,
+      error: 'AQI data unavailable',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Health check endpoint
  */
@@ -174,7 +610,8 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'DarkSkyFinder LLM Backend',
-    geminiConfigured: !!process.env.GEMINI_API_KEY
+    geminiConfigured: !!process.env.GEMINI_API_KEY,
+    aqiProxyConfigured: isAQIProxyConfigured()
   });
 });
 
@@ -185,6 +622,7 @@ app.listen(PORT, () => {
   if (!process.env.GEMINI_API_KEY) {
     console.warn('⚠️  Warning: GEMINI_API_KEY not set. LLM features will not work.');
   }
+  console.log(`AQICN proxy configured: ${isAQIProxyConfigured() ? 'Yes ✓' : 'No ✗'}`);
 });
 
 export default app;
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Light pollution raster store
+ * Reads the gridded sky brightness datasets listed in data/lightpollution/manifest.json
+ * and samples them by coordinate. Grids are Float32 little-endian, row 0 at the
+ * northern edge, with NaN marking cells that have no data.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.LIGHT_POLLUTION_DATA_DIR || path.join(__dirname, 'data', 'lightpollution');
+
+let manifest = null;
+const gridCache = new Map();
+
+/**
+ * Load the raster manifest (cached after the first read)
+ * @returns {Object} Manifest with a datasets array
+ */
+export function loadManifest() {
+  if (!manifest) {
+    const manifestPath = path.join(DATA_DIR, 'manifest.json');
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+  return manifest;
+}
+
+/**
+ * Find the dataset of a given kind that covers a coordinate
+ * Undated datasets win; otherwise the most recent year is used
+ * @param {string} kind - Dataset kind (e.g. 'artificial-brightness')
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} Dataset descriptor or null if none covers the point
+ */
+export function findDataset(kind, lat, lon) {
+  const candidates = findDatasets(kind, lat, lon);
+  return candidates.find(dataset => dataset.year === undefined) ||
+    candidates.sort((a, b) => b.year - a.year)[0] ||
+    null;
+}
+
+/**
+ * Find every dataset of a given kind that covers a coordinate
+ * @param {string} kind - Dataset kind (e.g. 'artificial-brightness')
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Array<Object>} Dataset descriptors in manifest order
+ */
+export function findDatasets(kind, lat, lon) {
+  const { datasets } = loadManifest();
+  return datasets.filter(dataset => dataset.kind === kind && isWithinBounds(dataset, lat, lon));
+}
+
+/**
+ * Check whether a coordinate lies inside a dataset's bounds
+ * @param {Object} dataset - Dataset descriptor
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if covered
+ */
+function isWithinBounds(dataset, lat, lon) {
+  const { west, south, east, north } = dataset.bounds;
+  return lat >= south && lat <= north && lon >= west && lon <= east;
+}
+
+/**
+ * Read a dataset's grid into memory (cached per dataset id)
+ * @param {Object} dataset - Dataset descriptor
+ * @returns {Float32Array} Grid values
+ */
+function readGrid(dataset) {
+  if (gridCache.has(dataset.id)) {
+    return gridCache.get(dataset.id);
+  }
+
+  if (dataset.encoding !== 'float32le') {
+    throw new Error(`Unsupported raster encoding: ${dataset.encoding}`);
+  }
+
+  const buffer = fs.readFileSync(path.join(DATA_DIR, dataset.file));
+  const expectedBytes = dataset.width * dataset.height * 4;
+  if (buffer.length !== expectedBytes) {
+    throw new Error(`Raster ${dataset.id} is ${buffer.length} bytes, expected ${expectedBytes}`);
+  }
+
+  // Copy into an aligned ArrayBuffer before viewing it as floats
+  const aligned = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+  const grid = new Float32Array(aligned);
+  gridCache.set(dataset.id, grid);
+  return grid;
+}
+
+/**
+ * Get a single cell value, or null when outside the grid or missing
+ * @param {Object} dataset - Dataset descriptor
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {number|null} Cell value
+ */
+export function getCell(dataset, row, col) {
+  if (row < 0 || col < 0 || row >= dataset.height || col >= dataset.width) {
+    return null;
+  }
+  const value = readGrid(dataset)[row * dataset.width + col];
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Sample a dataset at a coordinate using bilinear interpolation between cell centres
+ * @param {Object} dataset - Dataset descriptor
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {number|null} Interpolated value or null if no data
+ */
+export function sampleDataset(dataset, lat, lon) {
+  if (!isWithinBounds(dataset, lat, lon)) {
+    return null;
+  }
+
+  const { bounds, resolution } = dataset;
+  // Fractional position relative to cell centres
+  const y = (bounds.north - lat) / resolution - 0.5;
+  const x = (lon - bounds.west) / resolution - 0.5;
+  const row0 = Math.floor(y);
+  const col0 = Math.floor(x);
+  const fy = y - row0;
+  const fx = x - col0;
+
+  const corners = [
+    { value: getCell(dataset, row0, col0), weight: (1 - fx) * (1 - fy) },
+    { value: getCell(dataset, row0, col0 + 1), weight: fx * (1 - fy) },
+    { value: getCell(dataset, row0 + 1, col0), weight: (1 - fx) * fy },
+    { value: getCell(dataset, row0 + 1, col0 + 1), weight: fx * fy }
+  ].filter(corner => corner.value !== null);
+
+  // Edge cells and missing neighbours: renormalise over the corners we have
+  const totalWeight = corners.reduce((sum, corner) => sum + corner.weight, 0);
+  if (corners.length === 0 || totalWeight === 0) {
+    return getCell(dataset, Math.round(y), Math.round(x));
+  }
+
+  return corners.reduce((sum, corner) => sum + corner.value * corner.weight, 0) / totalWeight;
+}
+
+/**
+ * Collect the cells of a dataset within a radius of a coordinate
+ * @param {Object} dataset - Dataset descriptor
+ * @param {number} lat - Centre latitude
+ * @param {number} lon - Centre longitude
+ * @param {number} radiusKm - Search radius in kilometres
+ * @param {number} minValue - Skip cells at or below this value (default: 0)
+ * @returns {Array<Object>} Cells with lat, lon, value and areaKm2
+ */
+export function getCellsWithinRadius(dataset, lat, lon, radiusKm, minValue = 0) {
+  const { bounds, resolution } = dataset;
+  const latSpan = radiusKm / 111;
+  const lonSpan = radiusKm / (111 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+
+  const rowStart = Math.max(0, Math.floor((bounds.north - (lat + latSpan)) / resolution));
+  const rowEnd = Math.min(dataset.height - 1, Math.floor((bounds.north - (lat - latSpan)) / resolution));
+  const colStart = Math.max(0, Math.floor((lon - lonSpan - bounds.west) / resolution));
+  const colEnd = Math.min(dataset.width - 1, Math.floor((lon + lonSpan - bounds.west) / resolution));
+
+  const cells = [];
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const cellLat = bounds.north - (row + 0.5) * resolution;
+    // Cell area shrinks with latitude
+    const areaKm2 = Math.pow(resolution * 111.32, 2) * Math.cos(cellLat * Math.PI / 180);
+
+    for (let col = colStart; col <= colEnd; col++) {
+      const value = getCell(dataset, row, col);
+      if (value === null || value <= minValue) continue;
+
+      const cellLon = bounds.west + (col + 0.5) * resolution;
+      if (distanceKm(lat, lon, cellLat, cellLon) <= radiusKm) {
+        cells.push({ lat: cellLat, lon: cellLon, value, areaKm2 });
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
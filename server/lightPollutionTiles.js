@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { loadManifest, sampleDataset } from './lightPollutionRaster.js';
+import { encodePNG } from './pngEncoder.js';
+
+/**
+ * Light pollution map tiles
+ * Renders 256px Web Mercator tiles from the artificial sky brightness rasters,
+ * coloured by Bortle class, and caches them on disk. Areas without raster
+ * coverage are left transparent.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TILE_CACHE_DIR = process.env.LIGHT_POLLUTION_TILE_CACHE_DIR ||
+  path.join(__dirname, 'cache', 'tiles', 'lightpollution');
+
+const TILE_SIZE = 256;
+
+// Highest zoom level served, already far finer than the rasters' 0.1° cells. The
+// client's maxNativeZoom (LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM) matches it and
+// Leaflet upscales beyond it, so deeper tiles are never rendered or cached.
+export const MAX_TILE_ZOOM = 12;
+
+// Same ramp as getOverlayColor in src/services/lightPollutionOverlayService.js
+const BORTLE_COLORS = {
+  1: [0, 0, 139],
+  2: [0, 100, 200],
+  3: [0, 150, 100],
+  4: [50, 200, 50],
+  5: [200, 200, 0],
+  6: [255, 150, 0],
+  7: [255, 100, 0],
+  8: [255, 50, 0],
+  9: [200, 0, 0]
+};
+
+// Lower SQM bound of Bortle classes 1-8 (same as getBortleSQM in lightPollutionService)
+const BORTLE_SQM_BOUNDS = [21.7, 21.5, 21.3, 20.4, 19.1, 18.0, 17.5, 17.0];
+
+let blankTile = null;
+let cacheVersion = null;
+
+/**
+ * Get a tile as PNG, from the disk cache when available
+ * Only tiles over raster coverage are written to the cache.
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Buffer} PNG file contents
+ */
+export function getTile(z, x, y) {
+  const cachePath = path.join(TILE_CACHE_DIR, getCacheVersion(), String(z), String(x), `${y}.png`);
+
+  if (fs.existsSync(cachePath)) {
+    return fs.readFileSync(cachePath);
+  }
+
+  // Areas without coverage share one tile from memory rather than filling the cache
+  const tile = renderTile(z, x, y);
+  if (!tile) {
+    return getBlankTile();
+  }
+
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, tile);
+  fs.renameSync(tempPath, cachePath);
+
+  return tile;
+}
+
+/**
+ * Cache directory name tied to the manifest, so rebuilt rasters never serve stale tiles
+ * @returns {string} Short hash of the manifest
+ */
+function getCacheVersion() {
+  if (!cacheVersion) {
+    cacheVersion = crypto.createHash('sha1')
+      .update(JSON.stringify(loadManifest()))
+      .digest('hex')
+      .slice(0, 12);
+  }
+  return cacheVersion;
+}
+
+/**
+ * Render a tile from the artificial brightness rasters
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Buffer|null} PNG file contents, or null when no raster covers the tile
+ */
+function renderTile(z, x, y) {
+  const tileBounds = getTileBounds(z, x, y);
+  const { datasets, naturalSkyBrightness } = loadManifest();
+  // Same precedence as findDataset: undated layers first, then the most recent year
+  const covering = datasets
+    .filter(dataset => dataset.kind === 'artificial-brightness' && boundsIntersect(dataset.bounds, tileBounds))
+    .sort((a, b) => (b.year ?? Infinity) - (a.year ?? Infinity));
+
+  if (covering.length === 0) {
+    return null;
+  }
+
+  const worldSize = TILE_SIZE * Math.pow(2, z);
+  const rgba = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const lat = pixelToLat((y * TILE_SIZE + py + 0.5) / worldSize);
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const lon = (x * TILE_SIZE + px + 0.5) / worldSize * 360 - 180;
+
+      let brightness = null;
+      for (const dataset of covering) {
+        brightness = sampleDataset(dataset, lat, lon);
+        if (brightness !== null) break;
+      }
+      if (brightness === null) continue;
+
+      const sqm = -2.5 * Math.log10((brightness + naturalSkyBrightness) / 1.08e8);
+      const bortleClass = getBortleFromSQM(sqm);
+      const offset = (py * TILE_SIZE + px) * 4;
+
+      rgba.set(BORTLE_COLORS[bortleClass], offset);
+      rgba[offset + 3] = Math.round(getIntensity(bortleClass) * 255);
+    }
+  }
+
+  return encodePNG(TILE_SIZE, TILE_SIZE, rgba);
+}
+
+/**
+ * Shared fully transparent tile for areas without coverage
+ * @returns {Buffer} PNG file contents
+ */
+function getBlankTile() {
+  if (!blankTile) {
+    blankTile = encodePNG(TILE_SIZE, TILE_SIZE, new Uint8Array(TILE_SIZE * TILE_SIZE * 4));
+  }
+  return blankTile;
+}
+
+/**
+ * Geographic bounds of a Web Mercator tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Object} Bounds with west, south, east and north in degrees
+ */
+function getTileBounds(z, x, y) {
+  const tiles = Math.pow(2, z);
+  return {
+    west: x / tiles * 360 - 180,
+    east: (x + 1) / tiles * 360 - 180,
+    north: pixelToLat(y / tiles),
+    south: pixelToLat((y + 1) / tiles)
+  };
+}
+
+/**
+ * Convert a normalised Web Mercator y (0 at the top, 1 at the bottom) to latitude
+ * @param {number} fraction - Normalised y position
+ * @returns {number} Latitude in degrees
+ */
+function pixelToLat(fraction) {
+  const n = Math.PI - 2 * Math.PI * fraction;
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Object} a - First bounds
+ * @param {Object} b - Second bounds
+ * @returns {boolean} True if they intersect
+ */
+function boundsIntersect(a, b) {
+  return a.west < b.east && a.east > b.west && a.south < b.north && a.north > b.south;
+}
+
+/**
+ * Determine Bortle class from an SQM value
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {number} Bortle class (1-9)
+ */
+function getBortleFromSQM(sqm) {
+  const index = BORTLE_SQM_BOUNDS.findIndex(bound => sqm >= bound);
+  return index === -1 ? 9 : index + 1;
+}
+
+/**
+ * Tile opacity by Bortle class, matching the map overlay (0.2 for class 1 to 0.7 for class 9)
+ * @param {number} bortleClass - Bortle class (1-9)
+ * @returns {number} Opacity value (0-1)
+ */
+function getIntensity(bortleClass) {
+  return 0.2 + ((bortleClass - 1) / 8) * 0.5;
+}
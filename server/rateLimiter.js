@@ -0,0 +1,57 @@
+/**
+ * Per-IP rate limiting
+ * Fixed-window request counter kept in memory. Good enough for a single
+ * backend process; a shared store would be needed behind several instances.
+ */
+
+/**
+ * Create Express middleware that limits requests per client IP
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per IP in each window
+ * @param {string} options.name - Label used in log messages
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ windowMs, max, name = 'API' }) {
+  const clients = new Map();
+
+  // Drop finished windows so the map does not grow with every visitor
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const ip = req.ip || req.socket.remoteAddress || 'unknown';
+    const now = Date.now();
+
+    let entry = clients.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(ip, entry);
+    }
+    entry.count++;
+
+    res.set({
+      'X-RateLimit-Limit': String(max),
+      'X-RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+      'X-RateLimit-Reset': String(Math.ceil(entry.resetAt / 1000))
+    });
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      console.warn(`[${name}] Rate limit exceeded for ${ip}`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Rate limit of ${max} requests per ${Math.round(windowMs / 1000)} seconds exceeded. Try again in ${retryAfter} seconds.`
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+
+/**
+ * Synthetic aerosol scene
+ * Computes Open-Meteo-shaped air-quality responses (hourly or current
+ * aerosol_optical_depth and dust, one or many comma-separated coordinates) from
+ * a scene file such as test-fixtures/aerosol/smoke-plume.json. Responses depend
+ * only on the scene and the UTC day, so the stand-in server and the tests see
+ * the same values.
+ */
+
+// Open-Meteo serves up to 7 days of air quality forecast
+const MAX_FORECAST_DAYS = 7;
+
+// Dust concentration (µg/m³) per unit of dust optical depth, roughly as in CAMS
+const DUST_PER_AOD = 300;
+
+/**
+ * Read a scene file
+ * @param {string} scenePath - Path to the scene JSON
+ * @returns {Object} Scene with backgroundAOD, diurnalAmplitude and plumes
+ */
+export function loadScene(scenePath) {
+  return JSON.parse(fs.readFileSync(scenePath, 'utf8'));
+}
+
+/**
+ * Compute aerosol optical depth and dust for a point in the scene
+ * @param {Object} scene - Scene from loadScene
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} hours - Hours since 00:00 UTC on the day queried
+ * @returns {Object} { aod, dust }
+ */
+export function sampleScene(scene, lat, lon, hours) {
+  // Light diurnal cycle so the clean background isn't perfectly flat
+  let aod = scene.backgroundAOD + scene.diurnalAmplitude * Math.sin((hours / 24) * 2 * Math.PI);
+  let dust = 0;
+
+  scene.plumes.forEach(plume => {
+    const centerLat = plume.lat + plume.driftDegPerHour.lat * hours;
+    const centerLon = plume.lon + plume.driftDegPerHour.lon * hours;
+    const dLat = lat - centerLat;
+    const dLon = (lon - centerLon) * Math.cos(lat * Math.PI / 180);
+    const contribution = plume.peakAOD *
+      Math.exp(-(dLat * dLat + dLon * dLon) / (2 * plume.radiusDeg * plume.radiusDeg));
+
+    aod += contribution;
+    dust += contribution * plume.dustFraction * DUST_PER_AOD;
+  });
+
+  return { aod: Number(aod.toFixed(2)), dust: Number(dust.toFixed(1)) };
+}
+
+/**
+ * Answer an air-quality query the way Open-Meteo does
+ * @param {Object} scene - Scene from loadScene
+ * @param {Object} query - Query parameters (latitude, longitude, hourly, current, forecast_days)
+ * @param {number} now - Current time in milliseconds (defaults to now)
+ * @returns {Object} { data } with one location object or an array of them, or { error } for invalid coordinates
+ */
+export function getAirQuality(scene, query, now = Date.now()) {
+  const latitudes = parseCoordinates(query.latitude);
+  const longitudes = parseCoordinates(query.longitude);
+
+  if (latitudes.length !== longitudes.length ||
+      latitudes.some(lat => isNaN(lat) || lat < -90 || lat > 90) ||
+      longitudes.some(lon => isNaN(lon) || lon < -180 || lon > 180)) {
+    return { error: 'Latitude and longitude must be matching lists of valid coordinates' };
+  }
+
+  const dayStart = now - (now % 86400000);
+  const forecastDays = Math.min(Math.max(parseInt(query.forecast_days, 10) || 5, 1), MAX_FORECAST_DAYS);
+  const hourlyVariables = query.hourly ? String(query.hourly).split(',') : [];
+  const currentVariables = query.current ? String(query.current).split(',') : [];
+
+  const locations = latitudes.map((lat, index) => {
+    const lon = longitudes[index];
+    const location = {
+      latitude: lat,
+      longitude: lon,
+      generationtime_ms: 0.1,
+      utc_offset_seconds: 0,
+      timezone: 'GMT',
+      timezone_abbreviation: 'GMT'
+    };
+
+    if (hourlyVariables.length > 0) {
+      const times = Array.from({ length: forecastDays * 24 }, (_, hour) => dayStart + hour * 3600000);
+      const samples = times.map((_, hour) => sampleScene(scene, lat, lon, hour));
+
+      location.hourly_units = { time: 'iso8601' };
+      location.hourly = { time: times.map(formatTime) };
+      if (hourlyVariables.includes('aerosol_optical_depth')) {
+        location.hourly_units.aerosol_optical_depth = '';
+        location.hourly.aerosol_optical_depth = samples.map(sample => sample.aod);
+      }
+      if (hourlyVariables.includes('dust')) {
+        location.hourly_units.dust = 'μg/m³';
+        location.hourly.dust = samples.map(sample => sample.dust);
+      }
+    }
+
+    if (currentVariables.length > 0) {
+      const currentHour = Math.floor((now - dayStart) / 3600000);
+      const sample = sampleScene(scene, lat, lon, currentHour);
+
+      location.current_units = { time: 'iso8601', interval: 'seconds' };
+      location.current = { time: formatTime(dayStart + currentHour * 3600000), interval: 3600 };
+      if (currentVariables.includes('aerosol_optical_depth')) {
+        location.current_units.aerosol_optical_depth = '';
+        location.current.aerosol_optical_depth = sample.aod;
+      }
+      if (currentVariables.includes('dust')) {
+        location.current_units.dust = 'μg/m³';
+        location.current.dust = sample.dust;
+      }
+    }
+
+    return location;
+  });
+
+  // Open-Meteo returns a bare object for one location and an array for several
+  return { data: locations.length === 1 ? locations[0] : locations };
+}
+
+/**
+ * Format a timestamp the way Open-Meteo does with timezone=GMT
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} 'YYYY-MM-DDTHH:MM'
+ */
+function formatTime(time) {
+  return new Date(time).toISOString().slice(0, 16);
+}
+
+/**
+ * Parse a comma-separated coordinate list
+ * @param {string} value - Query parameter value
+ * @returns {Array<number>} Coordinates (NaN for invalid entries)
+ */
+function parseCoordinates(value) {
+  return String(value ?? '').split(',').map(part => parseFloat(part));
+}
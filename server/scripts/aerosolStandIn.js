@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the Open-Meteo aerosol endpoint
+ *
+ * Serves the subset of https://air-quality-api.open-meteo.com/v1/air-quality
+ * that the frontend's aerosol service uses (hourly or current
+ * aerosol_optical_depth and dust, one or many comma-separated coordinates),
+ * computed by aerosolScene.js from the synthetic scene in
+ * test-fixtures/aerosol/smoke-plume.json. Responses are deterministic for a
+ * given UTC day, so the smoke layer and the aerosol score can be checked offline.
+ *
+ * Usage: node scripts/aerosolStandIn.js
+ * Then set VITE_AEROSOL_API_URL=http://localhost:3003/v1/air-quality
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import cors from 'cors';
+import { loadScene, getAirQuality } from './aerosolScene.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCENE_PATH = process.env.AEROSOL_SCENE ||
+  path.join(__dirname, '..', '..', 'test-fixtures', 'aerosol', 'smoke-plume.json');
+const PORT = process.env.AEROSOL_STANDIN_PORT || 3003;
+
+const scene = loadScene(SCENE_PATH);
+
+const app = express();
+app.use(cors());
+
+app.get('/v1/air-quality', (req, res) => {
+  const { data, error } = getAirQuality(scene, req.query);
+
+  if (error) {
+    return res.status(400).json({
+      error: true,
+      reason: error
+    });
+  }
+
+  res.json(data);
+});
+
+app.listen(PORT, () => {
+  console.log(`🌫️  Aerosol stand-in running on http://localhost:${PORT}/v1/air-quality`);
+  console.log(`📄 Scene: ${path.relative(process.cwd(), SCENE_PATH)}`);
+});
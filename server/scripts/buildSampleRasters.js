@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Build the bundled sample light pollution rasters
+ *
+ * The real World Atlas of artificial sky brightness is far too large to ship
+ * with the repository, so this script synthesises a small stand-in covering the
+ * US Southwest from real city coordinates and populations. The output uses the
+ * same grid format as a full export, so swapping in real data only means
+ * replacing the files listed in manifest.json.
+ *
+ * It also writes one artificial brightness raster per year back to
+ * HISTORY_START_YEAR, scaling each city's light by its growth rate, so the
+ * historical trend view has a series to draw.
+ *
+ * Usage: node scripts/buildSampleRasters.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'data', 'lightpollution');
+
+// Grid definition (0.1° cells, row 0 is the northern edge)
+const BOUNDS = { west: -116, south: 31, east: -104, north: 41.5 };
+const RESOLUTION = 0.1;
+
+// Natural sky background used by the World Atlas (mcd/m²)
+const NATURAL_SKY_BRIGHTNESS = 0.171168;
+
+// Propagation constants tuned so that central Phoenix lands near SQM 17.9
+const GLOW_COEFFICIENT = 8;
+const NEAR_FIELD_KM = 8;
+const MAX_PROPAGATION_KM = 250;
+
+// Upward radiance emitted per resident (nW/cm²/sr per person per cell)
+const RADIANCE_PER_PERSON = 0.0002;
+const MAX_CELL_RADIANCE = 80;
+
+// The current rasters represent this year; history rasters cover the years before it
+const CURRENT_YEAR = 2024;
+const HISTORY_START_YEAR = 2015;
+
+// Cities and towns in the sample area: [name, lat, lon, population, annual light growth]
+// Growth rates are synthetic, loosely following each area's population trend
+const CITIES = [
+  ['Phoenix', 33.45, -112.07, 4900000, 0.03],
+  ['Tucson', 32.22, -110.97, 1040000, 0.02],
+  ['Las Vegas', 36.17, -115.14, 2250000, 0.035],
+  ['Albuquerque', 35.08, -106.65, 915000, 0.015],
+  ['Santa Fe', 35.69, -105.94, 155000, 0.01],
+  ['Denver', 39.74, -104.99, 2960000, 0.025],
+  ['Colorado Springs', 38.83, -104.82, 755000, 0.025],
+  ['Pueblo', 38.25, -104.61, 168000, 0.005],
+  ['Salt Lake City', 40.76, -111.89, 1250000, 0.025],
+  ['Provo', 40.23, -111.66, 650000, 0.04],
+  ['El Paso', 31.76, -106.49, 870000, 0.015],
+  ['Las Cruces', 32.32, -106.76, 220000, 0.02],
+  ['Flagstaff', 35.20, -111.65, 145000, 0.005],
+  ['Prescott', 34.54, -112.47, 235000, 0.03],
+  ['Yuma', 32.69, -114.63, 205000, 0.02],
+  ['St. George', 37.10, -113.58, 180000, 0.05],
+  ['Cedar City', 37.68, -113.06, 40000, 0.035],
+  ['Grand Junction', 39.06, -108.55, 155000, 0.015],
+  ['Farmington', 36.73, -108.21, 125000, -0.01],
+  ['Durango', 37.28, -107.88, 56000, 0.01],
+  ['Gallup', 35.53, -108.74, 22000, 0],
+  ['Roswell', 33.39, -104.52, 48000, 0],
+  ['Sierra Vista', 31.55, -110.30, 52000, 0.005],
+  ['Kingman', 35.19, -114.05, 32000, 0.02],
+  ['Lake Havasu City', 34.48, -114.32, 57000, 0.025],
+  ['Moab', 38.57, -109.55, 10000, 0.02],
+  ['Page', 36.91, -111.46, 8000, 0.01]
+];
+
+/**
+ * Great-circle distance in kilometres (Haversine)
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const width = Math.round((BOUNDS.east - BOUNDS.west) / RESOLUTION);
+const height = Math.round((BOUNDS.north - BOUNDS.south) / RESOLUTION);
+
+const cellCenter = (row, col) => ({
+  lat: BOUNDS.north - (row + 0.5) * RESOLUTION,
+  lon: BOUNDS.west + (col + 0.5) * RESOLUTION
+});
+
+/**
+ * Spread each city's population over a disk and convert it to upward radiance
+ * @param {number} year - Year to build, scaling light by each city's growth rate
+ * @returns {Float32Array} Radiance grid in nW/cm²/sr
+ */
+function buildRadianceGrid(year = CURRENT_YEAR) {
+  const radiance = new Float32Array(width * height);
+
+  for (const [, lat, lon, population, growth] of CITIES) {
+    const lightFactor = Math.pow(1 + growth, year - CURRENT_YEAR);
+    const radiusKm = Math.max(2, 0.4 * Math.sqrt(population / 1000));
+    const cells = [];
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const center = cellCenter(row, col);
+        const d = distanceKm(lat, lon, center.lat, center.lon);
+        if (d <= radiusKm + RESOLUTION * 111 / 2) {
+          // Population falls off from the city centre
+          cells.push({ index: row * width + col, weight: Math.exp(-d / radiusKm) });
+        }
+      }
+    }
+
+    const totalWeight = cells.reduce((sum, cell) => sum + cell.weight, 0);
+    cells.forEach(({ index, weight }) => {
+      const people = population * weight / totalWeight;
+      radiance[index] = Math.min(MAX_CELL_RADIANCE, radiance[index] + people * RADIANCE_PER_PERSON * lightFactor);
+    });
+  }
+
+  return radiance;
+}
+
+/**
+ * Propagate upward radiance into zenith artificial sky brightness
+ * @param {Float32Array} radiance - Radiance grid
+ * @returns {Float32Array} Artificial brightness grid in mcd/m²
+ */
+function buildBrightnessGrid(radiance) {
+  const sources = [];
+  for (let index = 0; index < radiance.length; index++) {
+    if (radiance[index] > 0) {
+      const row = Math.floor(index / width);
+      const col = index % width;
+      sources.push({ ...cellCenter(row, col), radiance: radiance[index] });
+    }
+  }
+
+  const brightness = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const center = cellCenter(row, col);
+      let ratio = 0;
+      for (const source of sources) {
+        const d = distanceKm(center.lat, center.lon, source.lat, source.lon);
+        if (d > MAX_PROPAGATION_KM) continue;
+        ratio += GLOW_COEFFICIENT * source.radiance * Math.pow(d * d + NEAR_FIELD_KM * NEAR_FIELD_KM, -1.25);
+      }
+      brightness[row * width + col] = ratio;
+    }
+  }
+
+  return brightness;
+}
+
+/**
+ * Write a Float32 grid as little-endian binary
+ */
+function writeGrid(filename, grid) {
+  const buffer = Buffer.alloc(grid.length * 4);
+  grid.forEach((value, index) => buffer.writeFloatLE(value, index * 4));
+  fs.writeFileSync(path.join(OUTPUT_DIR, filename), buffer);
+}
+
+const radianceGrid = buildRadianceGrid();
+const brightnessGrid = buildBrightnessGrid(radianceGrid);
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+writeGrid('world-atlas-sample.bin', brightnessGrid);
+writeGrid('viirs-radiance-sample.bin', radianceGrid);
+
+const historyDatasets = [];
+for (let year = HISTORY_START_YEAR; year < CURRENT_YEAR; year++) {
+  const file = `world-atlas-sample-${year}.bin`;
+  writeGrid(file, buildBrightnessGrid(buildRadianceGrid(year)));
+  historyDatasets.push({
+    id: `world-atlas-sample-${year}`,
+    kind: 'artificial-brightness',
+    name: `World Atlas sample raster (${year})`,
+    year,
+    units: 'mcd/m²',
+    file,
+    encoding: 'float32le',
+    bounds: BOUNDS,
+    resolution: RESOLUTION,
+    width,
+    height
+  });
+  console.log(`   Built ${year} history raster`);
+}
+
+const manifest = {
+  description: 'Synthetic sample rasters covering the US Southwest. Replace with real exports for production use.',
+  naturalSkyBrightness: NATURAL_SKY_BRIGHTNESS,
+  datasets: [
+    {
+      id: 'world-atlas-sample',
+      kind: 'artificial-brightness',
+      name: 'World Atlas sample raster',
+      year: CURRENT_YEAR,
+      units: 'mcd/m²',
+      file: 'world-atlas-sample.bin',
+      encoding: 'float32le',
+      bounds: BOUNDS,
+      resolution: RESOLUTION,
+      width,
+      height
+    },
+    {
+      id: 'viirs-radiance-sample',
+      kind: 'radiance',
+      name: 'VIIRS night lights sample raster',
+      units: 'nW/cm²/sr',
+      file: 'viirs-radiance-sample.bin',
+      encoding: 'float32le',
+      bounds: BOUNDS,
+      resolution: RESOLUTION,
+      width,
+      height
+    },
+    ...historyDatasets
+  ]
+};
+
+fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+console.log(`✅ Wrote ${width}x${height} sample rasters to ${OUTPUT_DIR}`);
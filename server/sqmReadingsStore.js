@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * SQM readings store
+ * Keeps crowdsourced sky quality meter readings in a local JSON file. Writes go
+ * through a temporary file and a rename so a crash never leaves a half-written store.
+ * The store is capped, dropping the earliest submissions first, so the file
+ * rewritten on every submission stays small.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const READINGS_FILE = process.env.SQM_READINGS_FILE || path.join(__dirname, 'data', 'sqm-readings.json');
+
+// Most readings kept in the store
+const MAX_READINGS = parseInt(process.env.SQM_MAX_READINGS, 10) || 10000;
+
+let readings = null;
+
+/**
+ * Load all readings (cached after the first read)
+ * @returns {Array<Object>} Stored readings
+ */
+function loadReadings() {
+  if (!readings) {
+    readings = fs.existsSync(READINGS_FILE)
+      ? JSON.parse(fs.readFileSync(READINGS_FILE, 'utf8'))
+      : [];
+  }
+  return readings;
+}
+
+/**
+ * Persist the in-memory readings to disk
+ */
+function saveReadings() {
+  fs.mkdirSync(path.dirname(READINGS_FILE), { recursive: true });
+  const tempFile = `${READINGS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(readings));
+  fs.renameSync(tempFile, READINGS_FILE);
+}
+
+/**
+ * Store a new reading
+ * @param {Object} reading - Validated reading ({ lat, lon, sqm, takenAt, meter, observer, notes })
+ * @returns {Object} Stored reading with id and receivedAt
+ */
+export function addReading(reading) {
+  const stored = {
+    id: randomUUID(),
+    ...reading,
+    receivedAt: new Date().toISOString()
+  };
+
+  const store = loadReadings();
+  store.push(stored);
+  // Readings are kept in submission order, so the earliest ones go first
+  if (store.length > MAX_READINGS) {
+    store.splice(0, store.length - MAX_READINGS);
+  }
+  saveReadings();
+  return stored;
+}
+
+/**
+ * Find readings near a coordinate, closest first
+ * @param {number} lat - Centre latitude
+ * @param {number} lon - Centre longitude
+ * @param {number} radiusKm - Search radius in kilometres
+ * @param {number} maxAgeDays - Ignore readings taken longer ago than this
+ * @returns {Array<Object>} Readings with a distanceKm field
+ */
+export function findReadingsNear(lat, lon, radiusKm, maxAgeDays) {
+  const oldest = Date.now() - maxAgeDays * 86400000;
+
+  return loadReadings()
+    .filter(reading => new Date(reading.takenAt).getTime() >= oldest)
+    .map(reading => ({
+      ...reading,
+      distanceKm: distanceKm(lat, lon, reading.lat, reading.lon)
+    }))
+    .filter(reading => reading.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types';
+import { getPollutantInfo } from '../services/aqiService';
+import './AQIForecastStrip.css';
+
+/**
+ * Format a 'YYYY-MM-DD' key as a short weekday and day of month
+ * @param {string} dateKey - Forecast day
+ * @returns {Object} { weekday, dayOfMonth }
+ */
+const formatForecastDay = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return {
+    weekday: date.toLocaleDateString(undefined, { weekday: 'short' }),
+    dayOfMonth: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+  };
+};
+
+/**
+ * AQIForecastStrip Component
+ * Row of daily forecast cards coloured by AQI category; hazy days are highlighted.
+ * With onSelectDay the cards become buttons for choosing a night.
+ *
+ * @param {Array} days - Result of getAQIForecast
+ * @param {string} selectedDate - Currently selected 'YYYY-MM-DD' key, if selectable
+ * @param {Function} onSelectDay - Called with a forecast day when a card is clicked
+ */
+function AQIForecastStrip({ days, selectedDate, onSelectDay }) {
+  return (
+    <div className="aqi-forecast-strip">
+      {days.map(day => {
+        const { weekday, dayOfMonth } = formatForecastDay(day.date);
+        const dominant = getPollutantInfo(day.dominant);
+        const className = [
+          'aqi-forecast-day',
+          day.hurtsTransparency ? 'hazy' : '',
+          day.date === selectedDate ? 'selected' : ''
+        ].filter(Boolean).join(' ');
+
+        const content = (
+          <>
+            <div className="aqi-forecast-weekday">{day.isToday ? 'Today' : weekday}</div>
+            <div className="aqi-forecast-date">{dayOfMonth}</div>
+            <div className="aqi-forecast-value" style={{ color: day.category.color }}>
+              {Math.round(day.aqi)}
+            </div>
+            <div className="aqi-forecast-level">{day.category.level}</div>
+            {dominant && <div className="aqi-forecast-dominant">{dominant.name}</div>}
+            {day.uvi && <div className="aqi-forecast-uvi">UV {day.uvi.max}</div>}
+            {day.hurtsTransparency && <div className="aqi-forecast-haze">🌫️ Hazy skies</div>}
+          </>
+        );
+
+        const title = `${day.date}: AQI ${Math.round(day.aqi)} (${day.category.level})` +
+          (day.hurtsTransparency ? ` - particulates (AQI ${Math.round(day.particulateAQI)}) will reduce transparency` : '');
+
+        return onSelectDay ? (
+          <button
+            key={day.date}
+            type="button"
+            className={className}
+            style={{ borderTopColor: day.category.color }}
+            onClick={() => onSelectDay(day)}
+            title={title}
+          >
+            {content}
+          </button>
+        ) : (
+          <div
+            key={day.date}
+            className={className}
+            style={{ borderTopColor: day.category.color }}
+            title={title}
+          >
+            {content}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+AQIForecastStrip.propTypes = {
+  days: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    isToday: PropTypes.bool,
+    aqi: PropTypes.number.isRequired,
+    dominant: PropTypes.string,
+    uvi: PropTypes.shape({
+      max: PropTypes.number
+    }),
+    category: PropTypes.shape({
+      color: PropTypes.string.isRequired,
+      level: PropTypes.string.isRequired
+    }).isRequired,
+    particulateAQI: PropTypes.number.isRequired,
+    hurtsTransparency: PropTypes.bool.isRequired
+  })).isRequired,
+  selectedDate: PropTypes.string,
+  onSelectDay: PropTypes.func
+};
+
+export default AQIForecastStrip;
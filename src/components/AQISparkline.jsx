@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+import { getAQICategory } from '../services/aqiService';
+import './AQISparkline.css';
+
+// SVG drawing area (scaled to the container width)
+const WIDTH = 240;
+const HEIGHT = 56;
+const PADDING = 4;
+
+// The hourly history covers the past day
+const HOURS_SHOWN = 24;
+const HOUR = 3600000;
+
+/**
+ * AQISparkline Component
+ * Past 24 hours of particulate AQI: the NowCast as a line and the hourly
+ * readings as dots, so the smoothing is visible.
+ *
+ * @param {Array} points - hourlyHistory from getAQI ({ time, aqiInstant, aqiNowCast })
+ */
+function AQISparkline({ points }) {
+  if (points.length === 0) {
+    return null;
+  }
+
+  const end = points[points.length - 1].time;
+  const start = end - (HOURS_SHOWN - 1) * HOUR;
+  const values = points.flatMap(point => [point.aqiInstant, point.aqiNowCast]).filter(value => value !== null);
+  // Keep the Good/Moderate boundary in view so small values don't look alarming
+  const maxValue = Math.max(100, ...values);
+
+  const x = time => PADDING + ((time - start) / (end - start || 1)) * (WIDTH - 2 * PADDING);
+  const y = value => HEIGHT - PADDING - (value / maxValue) * (HEIGHT - 2 * PADDING);
+
+  const nowCastPoints = points.filter(point => point.aqiNowCast !== null);
+  const latest = nowCastPoints.length > 0
+    ? nowCastPoints[nowCastPoints.length - 1].aqiNowCast
+    : points[points.length - 1].aqiInstant;
+  const color = latest !== null ? getAQICategory(latest).color : '#667eea';
+
+  return (
+    <div className="aqi-sparkline">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Particulate AQI over the past ${HOURS_SHOWN} hours`}
+      >
+        <line
+          className="aqi-sparkline-threshold"
+          x1={PADDING}
+          x2={WIDTH - PADDING}
+          y1={y(50)}
+          y2={y(50)}
+        />
+        {nowCastPoints.length > 1 && (
+          <polyline
+            className="aqi-sparkline-nowcast"
+            points={nowCastPoints.map(point => `${x(point.time)},${y(point.aqiNowCast)}`).join(' ')}
+            style={{ stroke: color }}
+          />
+        )}
+        {points.filter(point => point.aqiInstant !== null).map(point => (
+          <circle
+            key={point.time}
+            className="aqi-sparkline-reading"
+            cx={x(point.time)}
+            cy={y(point.aqiInstant)}
+            r={1.5}
+          >
+            <title>
+              {new Date(point.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}: AQI {point.aqiInstant}
+              {point.aqiNowCast !== null ? ` (NowCast ${point.aqiNowCast})` : ''}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <div className="aqi-sparkline-axis">
+        <span>-{HOURS_SHOWN}h</span>
+        <span className="aqi-sparkline-legend">
+          <span style={{ color }}>━</span> NowCast · <span>●</span> hourly
+        </span>
+        <span>now</span>
+      </div>
+    </div>
+  );
+}
+
+AQISparkline.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.shape({
+    time: PropTypes.number.isRequired,
+    aqiInstant: PropTypes.number,
+    aqiNowCast: PropTypes.number
+  })).isRequired
+};
+
+export default AQISparkline;
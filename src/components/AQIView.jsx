@@ -1,8 +1,32 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { getAQI, getAQICategory, getPollutantInfo } from '../services/aqiService';
+import { getAQI, getAQICategory, getPollutantInfo, getAQIForecast } from '../services/aqiService';
+import AQIForecastStrip from './AQIForecastStrip';
+import AQISparkline from './AQISparkline';
 import './AQIView.css';
 
+// Units shown when a source doesn't say what its pollutant values are
+const DEFAULT_POLLUTANT_UNITS = {
+  pm25: 'µg/m³',
+  pm10: 'µg/m³',
+  o3: 'µg/m³',
+  no2: 'µg/m³',
+  so2: 'µg/m³',
+  co: 'µg/m³'
+};
+
+/**
+ * Format a pollutant value with precision suited to its unit
+ * @param {number} value - Pollutant value
+ * @param {string} unit - Unit label
+ * @returns {string} Formatted value
+ */
+const formatPollutantValue = (value, unit) => {
+  if (unit === 'AQI') return String(Math.round(value));
+  if (unit === 'ppm') return value.toFixed(3);
+  return value.toFixed(1);
+};
+
 function AQIView({ location, visible, onClose }) {
   const [aqiData, setAqiData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -34,8 +58,11 @@ function AQIView({ location, visible, onClose }) {
 
   if (!visible) return null;
 
-  const category = aqiData ? getAQICategory(aqiData.aqi) : null;
+  const category = aqiData?.hasData ? getAQICategory(aqiData.aqi) : null;
   const dominantPollutant = aqiData ? getPollutantInfo(aqiData.dominant) : null;
+  const pollutantUnits = aqiData?.pollutantUnits || DEFAULT_POLLUTANT_UNITS;
+  const forecastDays = aqiData ? getAQIForecast(aqiData) : [];
+  const hazyDays = forecastDays.filter(day => day.hurtsTransparency);
 
   return (
     <div className="aqi-view-panel">
@@ -62,10 +89,35 @@ function AQIView({ location, visible, onClose }) {
         </div>
       )}
 
+      {!loading && !error && aqiData && !aqiData.hasData && (
+        <div className="aqi-view-content">
+          <div className="location-info">
+            <h4>{location.name}</h4>
+            <p className="coordinates">
+              {location.position[0].toFixed(4)}°, {location.position[1].toFixed(4)}°
+            </p>
+          </div>
+
+          <div className="aqi-main-display aqi-no-data">
+            <div className="aqi-icon">❔</div>
+            <div className="aqi-level">No Data</div>
+            <div className="aqi-description">
+              None of the configured air quality providers (AQICN, OpenAQ, Open-Meteo) returned data
+              for this location, and there is no night-light model here to base an estimate on.
+              Stargazing scores leave air quality out rather than guess.
+            </div>
+          </div>
+
+          <button onClick={() => fetchAQIData(true)} className="refresh-button">
+            🔄 Retry
+          </button>
+        </div>
+      )}
+
       {!loading && !error && aqiData && category && (
         <div className="aqi-view-content">
-          {aqiData.isMockData && (
-            <div className="mock-data-warning" style={{
+          {aqiData.isEstimate && (
+            <div className="estimate-warning" style={{
               backgroundColor: '#fff3cd',
               border: '1px solid #ffc107',
               borderRadius: '8px',
@@ -75,11 +127,13 @@ function AQIView({ location, visible, onClose }) {
               fontSize: '14px'
             }}>
               <strong>⚠️ Notice:</strong> Real-time AQI data is currently unavailable. 
-              Displaying estimated fallback data. For accurate air quality information, 
-              please configure the AQICN API token in your .env file.
+              None of the configured air quality providers (AQICN, OpenAQ, Open-Meteo) 
+              returned data for this location, so this is an estimate from{' '}
+              {aqiData.estimateBasis ? aqiData.estimateBasis.toLowerCase() : 'night-light sky brightness'}, 
+              not a measurement.
             </div>
           )}
-          {!aqiData.isMockData && aqiData.isStale && (
+          {!aqiData.isEstimate && aqiData.isStale && (
             <div className="stale-data-warning" style={{
               backgroundColor: '#fff3cd',
               border: '1px solid #ffc107',
@@ -118,7 +172,11 @@ function AQIView({ location, visible, onClose }) {
           <div className="aqi-main-display" style={{ borderColor: category.color }}>
             <div className="aqi-icon">🌫️</div>
             <div className="aqi-value" style={{ color: category.color }}>
-              {aqiData.aqi}
+              {aqiData.isEstimate ? `~${aqiData.aqi}` : aqiData.aqi}
+            </div>
+            <div className="aqi-method">
+              {aqiData.isEstimate && 'Estimated AQI (night-light proxy)'}
+              {!aqiData.isEstimate && (aqiData.aqiMethod === 'nowcast' ? 'NowCast AQI (12-hour weighted)' : 'Instant AQI (latest reading)')}
             </div>
             <div className="aqi-level" style={{ color: category.color }}>
               {category.level}
@@ -128,6 +186,22 @@ function AQIView({ location, visible, onClose }) {
             </div>
           </div>
 
+          {/* 24-hour trend */}
+          {aqiData.hourlyHistory?.length > 1 && (
+            <div className="aqi-trend">
+              <div className="section-title">
+                <span className="section-icon">📈</span>
+                Last 24 Hours
+              </div>
+              <AQISparkline points={aqiData.hourlyHistory} />
+              <div className="aqi-trend-note">
+                {aqiData.aqiMethod === 'nowcast'
+                  ? `Showing the NowCast, which weights the last 12 hours of particulates like official AQI reports. The latest hourly reading is AQI ${aqiData.aqiInstant}.`
+                  : 'Showing the latest reading. The NowCast needs at least two of the last three hours of particulate readings.'}
+              </div>
+            </div>
+          )}
+
           {/* Breathing Quality Indicator */}
           <div className="breathing-quality">
             <div className="section-title">
@@ -155,6 +229,22 @@ function AQIView({ location, visible, onClose }) {
             </div>
           </div>
 
+          {/* Forecast */}
+          {forecastDays.length > 0 && (
+            <div className="aqi-forecast">
+              <div className="section-title">
+                <span className="section-icon">📅</span>
+                Air Quality Forecast
+              </div>
+              <AQIForecastStrip days={forecastDays} />
+              <div className="aqi-forecast-note">
+                {hazyDays.length > 0
+                  ? `Particulate haze is expected to reduce transparency on ${hazyDays.length} of the next ${forecastDays.length} days.`
+                  : 'No particulate haze expected to affect transparency in the forecast period.'}
+              </div>
+            </div>
+          )}
+
           {/* Pollutant Details */}
           <div className="pollutant-details">
             <div className="section-title">
@@ -172,48 +262,48 @@ function AQIView({ location, visible, onClose }) {
               {aqiData.pm25 !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">PM2.5</div>
-                  <div className="pollutant-value">{aqiData.pm25.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.pm25, pollutantUnits.pm25)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.pm25}</div>
                 </div>
               )}
 
               {aqiData.pm10 !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">PM10</div>
-                  <div className="pollutant-value">{aqiData.pm10.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.pm10, pollutantUnits.pm10)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.pm10}</div>
                 </div>
               )}
 
               {aqiData.o3 !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">O₃</div>
-                  <div className="pollutant-value">{aqiData.o3.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.o3, pollutantUnits.o3)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.o3}</div>
                 </div>
               )}
 
               {aqiData.no2 !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">NO₂</div>
-                  <div className="pollutant-value">{aqiData.no2.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.no2, pollutantUnits.no2)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.no2}</div>
                 </div>
               )}
 
               {aqiData.so2 !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">SO₂</div>
-                  <div className="pollutant-value">{aqiData.so2.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.so2, pollutantUnits.so2)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.so2}</div>
                 </div>
               )}
 
               {aqiData.co !== null && (
                 <div className="pollutant-card">
                   <div className="pollutant-name">CO</div>
-                  <div className="pollutant-value">{aqiData.co.toFixed(1)}</div>
-                  <div className="pollutant-unit">µg/m³</div>
+                  <div className="pollutant-value">{formatPollutantValue(aqiData.co, pollutantUnits.co)}</div>
+                  <div className="pollutant-unit">{pollutantUnits.co}</div>
                 </div>
               )}
             </div>
@@ -305,12 +395,12 @@ function AQIView({ location, visible, onClose }) {
           <div className="data-source">
             <small>
               <strong>Data source:</strong> {aqiData.source}
-              {aqiData.isMockData && (
+              {aqiData.isEstimate && (
                 <span style={{ color: '#ff7e00', fontWeight: 'bold' }}>
-                  {' '}⚠️ Mock data - Real-time data unavailable
+                  {' '}⚠️ Estimate - not a measurement
                 </span>
               )}
-              {!aqiData.isMockData && aqiData.isStale && (
+              {!aqiData.isEstimate && aqiData.isStale && (
                 <span style={{ color: '#ff7e00', fontWeight: 'bold' }}>
                   {' '}⚠️ Data may be outdated
                 </span>
@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Rectangle, useMap, useMapEvents } from 'react-leaflet';
+import PropTypes from 'prop-types';
+import { getAerosolGrid, getAerosolLevel } from '../services/aerosolService';
+
+// Cell sizes in degrees; the smallest one giving about this many cells across the view is used
+const CELL_SIZES = [0.25, 0.5, 1, 2, 4, 8, 16];
+const TARGET_CELLS_PER_SIDE = 8;
+
+// Upper bound on cells requested for one viewport
+const MAX_CELLS = 150;
+
+/**
+ * Build a lattice of cell centres covering the viewport
+ * Cells are aligned to a global grid so panning reuses cached samples
+ * @param {L.LatLngBounds} bounds - Map bounds
+ * @returns {Array<Object>} [{ key, lat, lon, size }]
+ */
+const getViewportCells = (bounds) => {
+  const south = Math.max(-85, bounds.getSouth());
+  const north = Math.min(85, bounds.getNorth());
+  const west = Math.max(-180, bounds.getWest());
+  const east = Math.min(180, bounds.getEast());
+  const span = Math.max(north - south, east - west);
+  const size = CELL_SIZES.find(cellSize => span / cellSize <= TARGET_CELLS_PER_SIDE) ||
+    CELL_SIZES[CELL_SIZES.length - 1];
+
+  const cells = [];
+  for (let lat = Math.floor(south / size) * size; lat < north; lat += size) {
+    for (let lon = Math.floor(west / size) * size; lon < east; lon += size) {
+      const centerLat = lat + size / 2;
+      const centerLon = lon + size / 2;
+      cells.push({
+        key: `${size}:${centerLat.toFixed(3)},${centerLon.toFixed(3)}`,
+        lat: centerLat,
+        lon: centerLon,
+        size
+      });
+    }
+  }
+
+  return cells.slice(0, MAX_CELLS);
+};
+
+/**
+ * Component to render aerosol optical depth (smoke and dust) on the map
+ * Shades a coarse lattice over the viewport by AOD at 550 nm; clean air stays transparent
+ */
+function AerosolOverlay({ visible = true }) {
+  const [cells, setCells] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const map = useMap();
+  const requestRef = useRef(null);
+
+  const updateCells = useCallback(async () => {
+    // Only the latest viewport renders
+    const request = {};
+    requestRef.current = request;
+    const lattice = getViewportCells(map.getBounds());
+
+    setLoading(true);
+    const samples = await getAerosolGrid(lattice);
+    if (requestRef.current !== request) return;
+
+    setCells(samples);
+    setLoading(false);
+  }, [map]);
+
+  useMapEvents({
+    moveend: () => {
+      if (visible) {
+        updateCells();
+      }
+    }
+  });
+
+  useEffect(() => {
+    if (!visible) return;
+
+    map.whenReady(updateCells);
+
+    return () => {
+      requestRef.current = null;
+      setCells([]);
+      setLoading(false);
+    };
+  }, [map, visible, updateCells]);
+
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <>
+      {loading && (
+        <div style={{
+          position: 'absolute',
+          top: '10px',
+          right: '10px',
+          backgroundColor: 'rgba(255, 255, 255, 0.9)',
+          padding: '10px',
+          borderRadius: '5px',
+          zIndex: 1000,
+          fontSize: '14px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+        }}>
+          Loading smoke & aerosol layer...
+        </div>
+      )}
+      {cells.map((cell) => {
+        const level = getAerosolLevel(cell.aod550);
+        return (
+          <Rectangle
+            key={`aerosol-${cell.key}`}
+            bounds={[
+              [cell.lat - cell.size / 2, cell.lon - cell.size / 2],
+              [cell.lat + cell.size / 2, cell.lon + cell.size / 2]
+            ]}
+            pathOptions={{
+              fillColor: level.color,
+              weight: 0,
+              // Clean air barely tints the map; thick smoke is clearly shaded
+              fillOpacity: Math.min(0.6, cell.aod550 * 0.6),
+              interactive: false
+            }}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+AerosolOverlay.propTypes = {
+  visible: PropTypes.bool
+};
+
+export default AerosolOverlay;
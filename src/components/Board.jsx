@@ -1,4 +1,5 @@
 import PropTypes from 'prop-types';
+import { formatAQI } from '../services/aqiService';
 import './Board.css';
 
 /**
@@ -50,17 +51,14 @@ function Board({ pinnedLocations, onSelectLocation, onRemovePin, visible, onClos
                         </span>
                       </>
                     )}
-                    {location.aqiCategory && (
-                      <>
-                        <span className="pinned-separator">•</span>
-                        <span 
-                          className="pinned-aqi"
-                          style={{ color: location.aqiCategory.color }}
-                        >
-                          AQI: {location.aqi}
-                        </span>
-                      </>
-                    )}
+                    <span className="pinned-separator">•</span>
+                    <span 
+                      className="pinned-aqi"
+                      style={{ color: location.aqiCategory ? location.aqiCategory.color : '#a0a0b0' }}
+                      title={location.aqiIsEstimate ? 'Estimated from night-light brightness, not measured' : undefined}
+                    >
+                      AQI: {formatAQI(location.aqi, location.aqiIsEstimate)}
+                    </span>
                   </div>
                 </div>
                 <div className="pinned-actions">
@@ -104,6 +102,7 @@ Board.propTypes = {
     position: PropTypes.arrayOf(PropTypes.number).isRequired,
     name: PropTypes.string.isRequired,
     aqi: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    aqiIsEstimate: PropTypes.bool,
     aqiCategory: PropTypes.object,
     lightPollution: PropTypes.object,
     pollutionIndex: PropTypes.number,
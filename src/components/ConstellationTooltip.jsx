@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import PropTypes from 'prop-types';
+import { getConstellationImagePath } from '../services/constellationService';
 import './ConstellationTooltip.css';
 
 /**
@@ -14,10 +15,8 @@ function ConstellationTooltip({ name, abbr }) {
   const [imageError, setImageError] = useState(false);
   const [tooltipVisible, setTooltipVisible] = useState(false);
 
-  // Convert constellation name to filename format
-  // "Ursa Major" -> "Ursa-Major.svg"
-  const imageFilename = name.replace(/\s+/g, '-') + '.svg';
-  const imagePath = `/constellations/${imageFilename}`;
+  // "Ursa Major" -> "/constellations/Ursa-Major.svg"
+  const imagePath = getConstellationImagePath(name);
 
   const handleImageError = () => {
     setImageError(true);
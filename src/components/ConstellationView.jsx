@@ -1,19 +1,64 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { getVisibleConstellations, getBestViewingTime, getVisiblePlanets } from '../services/constellationService';
+import {
+  getVisibleConstellations,
+  getBestViewingTime,
+  getVisiblePlanets,
+  getLimitingMagnitude,
+  countVisibleFigureStars
+} from '../services/constellationService';
+import { getTonightsTargets, DSO_CATEGORIES } from '../services/dsoService';
+import { getLightPollution, getBortleInfo, getBortleNELM, getBortleSQM } from '../services/lightPollutionService';
 import { getSkyViewability, interpretCloudCover } from '../services/skyViewabilityService';
+import {
+  getTimeZone,
+  getHomeTimeZone,
+  getNightStart,
+  toZonedInputValues,
+  fromZonedInputValues
+} from '../services/timezoneService';
 import ConstellationTooltip from './ConstellationTooltip';
+import SiteTime from './SiteTime';
+import SkyChart from './SkyChart';
+import MessierMarathon from './MessierMarathon';
+import TimeZoneToggle from './TimeZoneToggle';
 import './ConstellationView.css';
 
-function ConstellationView({ location, visible, onClose }) {
+// Bortle classes offered for "your city" in the sky comparison
+const CITY_BORTLE_CLASSES = [5, 6, 7, 8, 9];
+const DEFAULT_CITY_BORTLE = 8;
+
+// Targets listed before "Show all" is ticked
+const TARGET_LIMIT = 25;
+
+function ConstellationView({
+  location,
+  visible,
+  onClose,
+  time = null,
+  onTimeChange,
+  showHomeTime = false,
+  onToggleHomeTime
+}) {
   const [constellationData, setConstellationData] = useState(null);
   const [weatherData, setWeatherData] = useState(null);
   const [bestTimes, setBestTimes] = useState(null);
   const [planets, setPlanets] = useState([]);
+  const [targets, setTargets] = useState([]);
+  const [lightData, setLightData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [localDate, setLocalDate] = useState(new Date());
+  // The observation time can be controlled by the parent (e.g. from the Ultimate night timeline)
+  const selectedDate = time ?? localDate;
+  const setSelectedDate = onTimeChange ?? setLocalDate;
   const [showOnlyVisible, setShowOnlyVisible] = useState(true);
+  // "Your city vs this site": the city is described by its Bortle class
+  const [compareCity, setCompareCity] = useState(false);
+  const [cityBortle, setCityBortle] = useState(DEFAULT_CITY_BORTLE);
+  const [activeTab, setActiveTab] = useState('constellations');
+  const [targetCategory, setTargetCategory] = useState('All');
+  const [showAllTargets, setShowAllTargets] = useState(false);
 
   const fetchConstellationData = useCallback(async () => {
     if (!location || !location.position) return;
@@ -23,17 +68,24 @@ function ConstellationView({ location, visible, onClose }) {
 
     try {
       const [lat, lon] = location.position;
+      // The schedule and targets cover the night the selected time falls in (noon to noon at the site)
+      const nightDate = getNightStart(selectedDate, getTimeZone(lat, lon));
       
       // Fetch all data in parallel
-      const [constData, skyData, timesData] = await Promise.all([
+      const [constData, skyData, timesData, siteLight] = await Promise.all([
         getVisibleConstellations(lat, lon, selectedDate),
         getSkyViewability(lat, lon),
-        getBestViewingTime(lat, lon, selectedDate)
+        getBestViewingTime(lat, lon, nightDate),
+        getLightPollution(lat, lon).catch(err => {
+          console.warn('Light pollution data unavailable:', err);
+          return null;
+        })
       ]);
       
       setConstellationData(constData);
       setWeatherData(skyData);
       setBestTimes(timesData);
+      setLightData(siteLight);
       
       // Get visible planets
       try {
@@ -43,6 +95,21 @@ function ConstellationView({ location, visible, onClose }) {
         console.warn('Planet data unavailable:', err);
         setPlanets([]);
       }
+
+      // Rank deep-sky objects over the night against the site's sky (nothing to rank without darkness)
+      try {
+        const siteSQM = siteLight ? siteLight.sqm ?? getBortleSQM(siteLight.bortleClass) : undefined;
+        setTargets(timesData.astronomicalNightStart
+          ? getTonightsTargets(
+            lat, lon,
+            new Date(timesData.astronomicalNightStart), new Date(timesData.astronomicalNightEnd),
+            siteSQM
+          )
+          : []);
+      } catch (err) {
+        console.warn('Deep-sky targets unavailable:', err);
+        setTargets([]);
+      }
     } catch (err) {
       console.error('Error fetching constellation data:', err);
       setError('Unable to fetch constellation data');
@@ -59,35 +126,58 @@ function ConstellationView({ location, visible, onClose }) {
 
   if (!visible) return null;
 
+  // The date and time are picked and shown on the site's clock
+  const timeZone = location?.position ? getTimeZone(location.position[0], location.position[1]) : getHomeTimeZone();
+  const homeTimeZone = showHomeTime ? getHomeTimeZone() : null;
+  const inputValues = toZonedInputValues(selectedDate, timeZone);
+
   const handleDateChange = (e) => {
-    const newDate = new Date(e.target.value);
-    setSelectedDate(newDate);
+    if (!e.target.value) return;
+    setSelectedDate(fromZonedInputValues(e.target.value, inputValues.time, timeZone));
   };
 
   const handleTimeChange = (e) => {
-    const [hours, minutes] = e.target.value.split(':');
-    const newDate = new Date(selectedDate);
-    newDate.setHours(parseInt(hours, 10), parseInt(minutes, 10));
-    setSelectedDate(newDate);
+    if (!e.target.value) return;
+    setSelectedDate(fromZonedInputValues(inputValues.date, e.target.value, timeZone));
   };
 
-  const formatTime = (isoString) => {
-    if (!isoString) return 'N/A';
-    const date = new Date(isoString);
-    return date.toLocaleTimeString('en-US', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: true 
-    });
-  };
+  const formatTime = (isoString) => (
+    <SiteTime time={isoString ? new Date(isoString) : null} timeZone={timeZone} homeTimeZone={homeTimeZone} />
+  );
 
   const visibleConstellations = constellationData?.constellations.filter(c => c.isVisible) || [];
   const displayedConstellations = showOnlyVisible 
     ? visibleConstellations 
     : (constellationData?.constellations || []);
 
+  const observableTargets = targets.filter(target =>
+    target.score > 0 && (targetCategory === 'All' || target.category === targetCategory)
+  );
+  const displayedTargets = showAllTargets ? observableTargets : observableTargets.slice(0, TARGET_LIMIT);
+
   const cloudCoverInfo = weatherData ? interpretCloudCover(weatherData.cloudCover) : null;
 
+  // Naked-eye limits at the zenith, with tonight's moonlight taken off
+  const [lat, lon] = location?.position ?? [0, 0];
+  const siteLimit = lightData
+    ? getLimitingMagnitude(
+      { nelm: lightData.nelm, sqm: lightData.sqm ?? getBortleSQM(lightData.bortleClass) },
+      lat, lon, selectedDate
+    )
+    : null;
+  const cityLimit = compareCity && siteLimit
+    ? getLimitingMagnitude({ nelm: getBortleNELM(cityBortle), sqm: getBortleSQM(cityBortle) }, lat, lon, selectedDate)
+    : null;
+
+  const skies = [];
+  if (cityLimit) {
+    skies.push({ label: `Your city (Bortle ${cityBortle})`, limitingMagnitude: cityLimit.nelm });
+  }
+  skies.push({
+    label: lightData ? `This site (Bortle ${lightData.bortleClass})` : null,
+    limitingMagnitude: siteLimit ? siteLimit.nelm : null
+  });
+
   return (
     <div className="constellation-panel">
       <div className="constellation-header">
@@ -103,7 +193,7 @@ function ConstellationView({ location, visible, onClose }) {
           <input
             id="obs-date"
             type="date"
-            value={selectedDate.toISOString().slice(0, 10)}
+            value={inputValues.date}
             onChange={handleDateChange}
             className="date-input"
           />
@@ -113,14 +203,22 @@ function ConstellationView({ location, visible, onClose }) {
           <input
             id="obs-time"
             type="time"
-            value={selectedDate.toTimeString().slice(0, 5)}
+            value={inputValues.time}
             onChange={handleTimeChange}
             className="time-input"
           />
         </div>
       </div>
 
-      {loading && (
+      <TimeZoneToggle
+        timeZone={timeZone}
+        date={selectedDate}
+        showHomeTime={showHomeTime}
+        onToggle={onToggleHomeTime}
+      />
+
+      {/* Recalculations keep the content (and the sky chart's zoom) in place */}
+      {loading && !constellationData && (
         <div className="loading-state">
           <div className="spinner"></div>
           <p>Calculating constellation positions...</p>
@@ -136,7 +234,7 @@ function ConstellationView({ location, visible, onClose }) {
         </div>
       )}
 
-      {!loading && !error && constellationData && (
+      {!error && constellationData && (
         <div className="constellation-content">
           <div className="location-info">
             <h4>{location.name}</h4>
@@ -145,6 +243,50 @@ function ConstellationView({ location, visible, onClose }) {
             </p>
           </div>
 
+          <div className="sky-chart-section">
+            <h4>🔭 Sky Chart</h4>
+            {siteLimit && (
+              <p className="sky-chart-limit">
+                Stars to magnitude {siteLimit.nelm.toFixed(1)} can be seen with the naked eye here
+                {siteLimit.moonLoss >= 0.1 && ` (${siteLimit.moonLoss.toFixed(1)} mag lost to moonlight)`}
+              </p>
+            )}
+            {siteLimit && (
+              <div className="sky-chart-compare">
+                <label className="filter-toggle">
+                  <input
+                    type="checkbox"
+                    checked={compareCity}
+                    onChange={(e) => setCompareCity(e.target.checked)}
+                  />
+                  <span>Compare with your city</span>
+                </label>
+                {compareCity && (
+                  <select
+                    value={cityBortle}
+                    onChange={(e) => setCityBortle(Number(e.target.value))}
+                    aria-label="Your city's sky"
+                  >
+                    {CITY_BORTLE_CLASSES.map(bortleClass => (
+                      <option key={bortleClass} value={bortleClass}>
+                        Bortle {bortleClass} - {getBortleInfo(bortleClass).name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+            <SkyChart
+              lat={location.position[0]}
+              lon={location.position[1]}
+              time={selectedDate}
+              onTimeChange={setSelectedDate}
+              timeZone={timeZone}
+              homeTimeZone={homeTimeZone}
+              skies={skies}
+            />
+          </div>
+
           <div className="observation-info">
             <div className="info-card">
               <div className="info-label">Time of Day</div>
@@ -229,74 +371,226 @@ function ConstellationView({ location, visible, onClose }) {
             </div>
           )}
 
-          <div className="constellation-controls">
-            <label className="filter-toggle">
-              <input
-                type="checkbox"
-                checked={showOnlyVisible}
-                onChange={(e) => setShowOnlyVisible(e.target.checked)}
-              />
-              <span>Show only visible constellations</span>
-            </label>
+          <div className="view-tabs" role="tablist">
+            <button
+              role="tab"
+              aria-selected={activeTab === 'constellations'}
+              className={`view-tab ${activeTab === 'constellations' ? 'active' : ''}`}
+              onClick={() => setActiveTab('constellations')}
+            >
+              ✨ Constellations
+            </button>
+            <button
+              role="tab"
+              aria-selected={activeTab === 'targets'}
+              className={`view-tab ${activeTab === 'targets' ? 'active' : ''}`}
+              onClick={() => setActiveTab('targets')}
+            >
+              🌌 Tonight&apos;s targets
+            </button>
+            <button
+              role="tab"
+              aria-selected={activeTab === 'marathon'}
+              className={`view-tab ${activeTab === 'marathon' ? 'active' : ''}`}
+              onClick={() => setActiveTab('marathon')}
+            >
+              🏃 Messier marathon
+            </button>
           </div>
 
-          <div className="constellation-list">
-            <h4>
-              {showOnlyVisible ? 'Visible Constellations' : 'All Constellations'} 
-              ({displayedConstellations.length})
-            </h4>
-            {displayedConstellations.length === 0 ? (
-              <p className="no-constellations">No constellations currently visible at this location and time.</p>
-            ) : (
-              <div className="constellation-grid">
-                {displayedConstellations.map((constellation, idx) => (
-                  <div 
-                    key={idx} 
-                    className={`constellation-card ${constellation.isVisible ? 'visible' : 'hidden'}`}
-                  >
-                    <div className="constellation-header-card">
-                      <h5>
-                        <ConstellationTooltip 
-                          name={constellation.name} 
-                          abbr={constellation.abbr}
-                        />
-                      </h5>
-                      <span className="constellation-abbr">{constellation.abbr}</span>
-                    </div>
-                    <div className="constellation-details">
-                      {constellation.isVisible ? (
-                        <>
-                          <div className="detail-row">
-                            <span className="detail-label">Direction:</span>
-                            <span className="detail-value">{constellation.direction} ({constellation.azimuth.toFixed(1)}°)</span>
-                          </div>
-                          <div className="detail-row">
-                            <span className="detail-label">Altitude:</span>
-                            <span className="detail-value">{constellation.altitude.toFixed(1)}°</span>
-                          </div>
+          {activeTab === 'constellations' && (
+            <>
+              <div className="constellation-controls">
+                <label className="filter-toggle">
+                  <input
+                    type="checkbox"
+                    checked={showOnlyVisible}
+                    onChange={(e) => setShowOnlyVisible(e.target.checked)}
+                  />
+                  <span>Show only visible constellations</span>
+                </label>
+              </div>
+
+              <div className="constellation-list">
+                <h4>
+                  {showOnlyVisible ? 'Visible Constellations' : 'All Constellations'} 
+                  ({displayedConstellations.length})
+                </h4>
+                {displayedConstellations.length === 0 ? (
+                  <p className="no-constellations">No constellations currently visible at this location and time.</p>
+                ) : (
+                  <div className="constellation-grid">
+                    {displayedConstellations.map((constellation, idx) => (
+                      <div 
+                        key={idx} 
+                        className={`constellation-card ${constellation.isVisible ? 'visible' : 'hidden'}`}
+                      >
+                        <div className="constellation-header-card">
+                          <h5>
+                            <ConstellationTooltip 
+                              name={constellation.name} 
+                              abbr={constellation.abbr}
+                            />
+                          </h5>
+                          <span className="constellation-abbr">{constellation.abbr}</span>
+                        </div>
+                        <div className="constellation-details">
+                          {constellation.isVisible ? (
+                            <>
+                              <div className="detail-row">
+                                <span className="detail-label">Direction:</span>
+                                <span className="detail-value">{constellation.direction} ({constellation.azimuth.toFixed(1)}°)</span>
+                              </div>
+                              <div className="detail-row">
+                                <span className="detail-label">Altitude:</span>
+                                <span className="detail-value">{constellation.altitude.toFixed(1)}°</span>
+                              </div>
+                              <div className="detail-row">
+                                <span className="detail-label">Above {constellationData.minAltitude}°:</span>
+                                <span className="detail-value">{Math.round(constellation.visibleFraction * 100)}% of figure</span>
+                              </div>
+                              {siteLimit && (
+                                <div className="detail-row">
+                                  <span className="detail-label">Figure stars seen:</span>
+                                  <span className="detail-value">
+                                    {countVisibleFigureStars(constellation, lat, lon, selectedDate, siteLimit.nelm)} of {constellation.stars.length}
+                                    {cityLimit && ` (city: ${countVisibleFigureStars(constellation, lat, lon, selectedDate, cityLimit.nelm)})`}
+                                  </span>
+                                </div>
+                              )}
+                              <div className="detail-row">
+                                <span className="detail-label">Status:</span>
+                                <span className={`visibility-badge score-${constellation.visibilityScore}`}>
+                                  {constellation.visibility}
+                                </span>
+                              </div>
+                              <div className="detail-row">
+                                <span className="detail-label">Season:</span>
+                                <span className="detail-value">{constellation.season}</span>
+                              </div>
+                            </>
+                          ) : (
+                            <div className="below-horizon">
+                              <span>
+                                {constellation.visibleFraction > 0
+                                  ? `Only ${Math.round(constellation.visibleFraction * 100)}% above ${constellationData.minAltitude}°`
+                                  : 'Below horizon'}
+                              </span>
+                              <span className="season-hint">Best in {constellation.season}</span>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
+          {activeTab === 'targets' && (
+            <div className="targets-tab">
+              <p className="targets-intro">
+                {bestTimes?.astronomicalNightStart ? (
+                  <>
+                    Ranked from {formatTime(bestTimes.astronomicalNightStart)} to{' '}
+                    {formatTime(bestTimes.astronomicalNightEnd)} by contrast with{' '}
+                    {lightData ? `this site's sky (Bortle ${lightData.bortleClass})` : 'a natural sky'} and the Moon
+                  </>
+                ) : (
+                  'The Sun stays above -18° all night on this date, so there is no dark sky to rank targets in'
+                )}
+              </p>
+
+              <div className="constellation-controls targets-controls">
+                <select
+                  value={targetCategory}
+                  onChange={(e) => setTargetCategory(e.target.value)}
+                  aria-label="Object type"
+                >
+                  <option value="All">All objects</option>
+                  {DSO_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{category === 'Galaxy' ? 'Galaxies' : `${category}s`}</option>
+                  ))}
+                </select>
+                <label className="filter-toggle">
+                  <input
+                    type="checkbox"
+                    checked={showAllTargets}
+                    onChange={(e) => setShowAllTargets(e.target.checked)}
+                  />
+                  <span>Show all {observableTargets.length} observable</span>
+                </label>
+              </div>
+
+              {displayedTargets.length === 0 ? (
+                <p className="no-constellations">No deep-sky objects can be observed from here tonight.</p>
+              ) : (
+                <div className="constellation-grid">
+                  {displayedTargets.map(target => (
+                    <div key={target.id} className="constellation-card visible target-card">
+                      <div className="constellation-header-card">
+                        <h5>
+                          {target.label}
+                          {target.name && <span className="target-name"> {target.name}</span>}
+                        </h5>
+                        <span className={`visibility-badge score-${target.ratingScore}`}>
+                          {target.rating}
+                        </span>
+                      </div>
+                      <div className="constellation-details">
+                        <div className="detail-row">
+                          <span className="detail-label">Type:</span>
+                          <span className="detail-value">{target.typeName}</span>
+                        </div>
+                        <div className="detail-row">
+                          <span className="detail-label">Magnitude:</span>
+                          <span className="detail-value">
+                            {target.magnitude ?? '—'}
+                            {target.surfaceBrightness !== null && ` (${target.surfaceBrightness} mag/arcsec²)`}
+                          </span>
+                        </div>
+                        {target.size && (
                           <div className="detail-row">
-                            <span className="detail-label">Status:</span>
-                            <span className={`visibility-badge score-${constellation.visibilityScore}`}>
-                              {constellation.visibility}
+                            <span className="detail-label">Size:</span>
+                            <span className="detail-value">
+                              {target.size[0] === target.size[1] ? target.size[0] : `${target.size[0]} × ${target.size[1]}`}′
                             </span>
                           </div>
-                          <div className="detail-row">
-                            <span className="detail-label">Season:</span>
-                            <span className="detail-value">{constellation.season}</span>
-                          </div>
-                        </>
-                      ) : (
-                        <div className="below-horizon">
-                          <span>Below horizon</span>
-                          <span className="season-hint">Best in {constellation.season}</span>
+                        )}
+                        <div className="detail-row">
+                          <span className="detail-label">Best at:</span>
+                          <span className="detail-value">
+                            {formatTime(target.bestTime.toISOString())}, {target.altitude.toFixed(0)}° {target.direction}
+                          </span>
+                        </div>
+                        <div className="detail-row">
+                          <span className="detail-label">Highest:</span>
+                          <span className="detail-value">{target.maxAltitude.toFixed(0)}°</span>
                         </div>
-                      )}
+                        <div className="detail-row">
+                          <span className="detail-label">Score:</span>
+                          <span className="detail-value">{target.score} / 100</span>
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* The marathon covers the same night as the schedule, which the selected time falls in */}
+          {activeTab === 'marathon' && (
+            <MessierMarathon
+              locationName={location.name}
+              lat={location.position[0]}
+              lon={location.position[1]}
+              date={getNightStart(selectedDate, timeZone)}
+              timeZone={timeZone}
+              homeTimeZone={homeTimeZone}
+            />
+          )}
         </div>
       )}
     </div>
@@ -309,7 +603,11 @@ ConstellationView.propTypes = {
     position: PropTypes.arrayOf(PropTypes.number)
   }),
   visible: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired
+  onClose: PropTypes.func.isRequired,
+  time: PropTypes.instanceOf(Date),
+  onTimeChange: PropTypes.func,
+  showHomeTime: PropTypes.bool,
+  onToggleHomeTime: PropTypes.func
 };
 
 export default ConstellationView;
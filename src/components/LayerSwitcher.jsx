@@ -1,12 +1,25 @@
 import './LayerSwitcher.css';
 
-function LayerSwitcher({ currentLayer, onLayerChange }) {
+function LayerSwitcher({
+  currentLayer,
+  onLayerChange,
+  lightOverlayMode,
+  onLightOverlayModeChange,
+  showAerosolLayer,
+  onAerosolLayerToggle
+}) {
   const layers = [
     { id: 'standard', name: 'Standard Map', icon: '🗺️' },
     { id: 'terrain', name: 'Terrain Map', icon: '🏔️' },
     { id: 'satellite', name: 'Satellite View', icon: '🛰️' }
   ];
 
+  const lightOverlayModes = [
+    { id: 'tiles', name: 'Server Tiles', icon: '🧩' },
+    { id: 'canvas', name: 'Smooth Heatmap', icon: '🌡️' },
+    { id: 'markers', name: 'Grid Points', icon: '🔵' }
+  ];
+
   return (
     <div className="layer-switcher">
       <div className="layer-switcher-title">Map Layers</div>
@@ -23,6 +36,41 @@ function LayerSwitcher({ currentLayer, onLayerChange }) {
           </button>
         ))}
       </div>
+
+      {onLightOverlayModeChange && (
+        <>
+          <div className="layer-switcher-title layer-switcher-subtitle">Light Pollution</div>
+          <div className="layer-buttons">
+            {lightOverlayModes.map((mode) => (
+              <button
+                key={mode.id}
+                className={`layer-button ${lightOverlayMode === mode.id ? 'active' : ''}`}
+                onClick={() => onLightOverlayModeChange(mode.id)}
+                title={mode.name}
+              >
+                <span className="layer-icon">{mode.icon}</span>
+                <span className="layer-name">{mode.name}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {onAerosolLayerToggle && (
+        <>
+          <div className="layer-switcher-title layer-switcher-subtitle">Overlays</div>
+          <div className="layer-buttons">
+            <button
+              className={`layer-button ${showAerosolLayer ? 'active' : ''}`}
+              onClick={onAerosolLayerToggle}
+              title="Smoke and dust aloft (aerosol optical depth)"
+            >
+              <span className="layer-icon">💨</span>
+              <span className="layer-name">Smoke & Aerosols</span>
+            </button>
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,133 @@
+import PropTypes from 'prop-types';
+import { getBortleFromSQM } from '../services/lightPollutionService';
+import { getOverlayColor } from '../services/lightPollutionOverlayService';
+import './LightDomeChart.css';
+
+// Chart geometry (SVG units)
+const SIZE = 240;
+const CENTER = SIZE / 2;
+const MAX_RADIUS = 95;
+
+// SQM range mapped onto the wedge length: pristine sky → short, city dome → full length
+const DARKEST_SQM = 21.8;
+const BRIGHTEST_SQM = 17.5;
+
+const REFERENCE_RINGS = [21, 20, 19, 18];
+const COMPASS_LABELS = [
+  { label: 'N', azimuth: 0 },
+  { label: 'E', azimuth: 90 },
+  { label: 'S', azimuth: 180 },
+  { label: 'W', azimuth: 270 }
+];
+
+/**
+ * Convert an SQM value into a wedge length
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {number} Radius in SVG units
+ */
+const sqmToRadius = (sqm) => {
+  const fraction = (DARKEST_SQM - sqm) / (DARKEST_SQM - BRIGHTEST_SQM);
+  return MAX_RADIUS * Math.min(1, Math.max(0.06, fraction));
+};
+
+/**
+ * Point on the chart for an azimuth (north up, clockwise) and radius
+ * @param {number} azimuth - Azimuth in degrees
+ * @param {number} radius - Radius in SVG units
+ * @returns {Array<number>} [x, y]
+ */
+const polarToPoint = (azimuth, radius) => {
+  const angle = azimuth * Math.PI / 180;
+  return [CENTER + radius * Math.sin(angle), CENTER - radius * Math.cos(angle)];
+};
+
+/**
+ * SVG path for a wedge centred on an azimuth
+ * @param {number} azimuth - Centre azimuth in degrees
+ * @param {number} halfWidth - Half of the wedge angle in degrees
+ * @param {number} radius - Wedge length in SVG units
+ * @returns {string} Path data
+ */
+const wedgePath = (azimuth, halfWidth, radius) => {
+  const [x1, y1] = polarToPoint(azimuth - halfWidth, radius);
+  const [x2, y2] = polarToPoint(azimuth + halfWidth, radius);
+  return `M ${CENTER} ${CENTER} L ${x1} ${y1} A ${radius} ${radius} 0 0 1 ${x2} ${y2} Z`;
+};
+
+/**
+ * LightDomeChart Component
+ * Polar chart of horizon sky glow: longer, warmer wedges point at brighter light domes
+ *
+ * @param {Array} horizonGlow - 16 sectors ({ direction, azimuth, sqm, ratio }) from getLightPollution
+ */
+function LightDomeChart({ horizonGlow }) {
+  const halfWidth = 360 / horizonGlow.length / 2;
+  const sorted = [...horizonGlow].sort((a, b) => b.sqm - a.sqm);
+  const darkest = sorted[0];
+  const brightest = sorted[sorted.length - 1];
+
+  return (
+    <div className="light-dome-chart">
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className="light-dome-svg"
+        role="img"
+        aria-label={`Horizon light domes. Darkest toward ${darkest.direction}, brightest toward ${brightest.direction}.`}
+      >
+        {REFERENCE_RINGS.map(sqm => (
+          <g key={sqm}>
+            <circle cx={CENTER} cy={CENTER} r={sqmToRadius(sqm)} className="light-dome-ring" />
+            <text x={CENTER + 3} y={CENTER - sqmToRadius(sqm) - 2} className="light-dome-ring-label">
+              {sqm}
+            </text>
+          </g>
+        ))}
+
+        {horizonGlow.map(sector => (
+          <path
+            key={sector.direction}
+            d={wedgePath(sector.azimuth, halfWidth, sqmToRadius(sector.sqm))}
+            fill={getOverlayColor(getBortleFromSQM(sector.sqm))}
+            className="light-dome-wedge"
+          >
+            <title>
+              {`${sector.direction}: ${sector.sqm.toFixed(2)} mag/arcsec² (${sector.ratio.toFixed(1)}× natural sky)`}
+            </title>
+          </path>
+        ))}
+
+        {COMPASS_LABELS.map(({ label, azimuth }) => {
+          const [x, y] = polarToPoint(azimuth, MAX_RADIUS + 14);
+          return (
+            <text key={label} x={x} y={y} className="light-dome-compass">
+              {label}
+            </text>
+          );
+        })}
+      </svg>
+
+      <div className="light-dome-summary">
+        <div>
+          <span className="light-dome-summary-label">Darkest:</span> {darkest.direction} ({darkest.sqm.toFixed(1)})
+        </div>
+        <div>
+          <span className="light-dome-summary-label">Brightest dome:</span> {brightest.direction} ({brightest.sqm.toFixed(1)})
+        </div>
+      </div>
+      <p className="light-dome-caption">
+        Sky brightness 10° above each horizon direction, in mag/arcsec². Longer wedges mean brighter glow.
+      </p>
+    </div>
+  );
+}
+
+LightDomeChart.propTypes = {
+  horizonGlow: PropTypes.arrayOf(PropTypes.shape({
+    direction: PropTypes.string.isRequired,
+    azimuth: PropTypes.number.isRequired,
+    sqm: PropTypes.number.isRequired,
+    ratio: PropTypes.number.isRequired
+  })).isRequired
+};
+
+export default LightDomeChart;
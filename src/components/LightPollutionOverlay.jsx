@@ -1,48 +1,169 @@
-import { useState, useEffect } from 'react';
-import { CircleMarker, useMap } from 'react-leaflet';
+import { useState, useEffect, useCallback } from 'react';
+import { CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
 import PropTypes from 'prop-types';
-import { generateSimplifiedGrid } from '../services/lightPollutionOverlayService';
+import {
+  createViewportGridUpdater,
+  getSQMSamples,
+  interpolateBilinear,
+  getOverlayColor,
+  getIntensity
+} from '../services/lightPollutionOverlayService';
+import { getBortleFromSQM } from '../services/lightPollutionService';
 
 // Opacity multiplier for overlay visibility
 const OVERLAY_OPACITY_MULTIPLIER = 0.8;
 
+// Canvas mode: samples per tile side (edges are shared with neighbouring tiles so seams match)
+const CANVAS_SAMPLES_PER_SIDE = 4;
+
+// Canvas mode: size of each interpolated block in pixels
+const CANVAS_BLOCK_SIZE = 4;
+
+// Canvas mode: controllers for the sample requests of tiles still being drawn
+const tileRequests = new WeakMap();
+
+/**
+ * Draw one canvas tile by sampling light pollution on a lattice and interpolating between samples
+ * @param {HTMLCanvasElement} canvas - Tile canvas
+ * @param {Object} coords - Tile coordinates (x, y, z)
+ * @param {L.Point} tileSize - Tile size in pixels
+ * @param {AbortSignal} signal - Cancels the sample request when the tile is unloaded
+ * @returns {Promise<void>} Resolves once the tile is drawn
+ */
+const drawCanvasTile = async (canvas, coords, tileSize, signal) => {
+  const points = [];
+  for (let row = 0; row < CANVAS_SAMPLES_PER_SIDE; row++) {
+    for (let col = 0; col < CANVAS_SAMPLES_PER_SIDE; col++) {
+      const pixel = L.point(
+        (coords.x + col / (CANVAS_SAMPLES_PER_SIDE - 1)) * tileSize.x,
+        (coords.y + row / (CANVAS_SAMPLES_PER_SIDE - 1)) * tileSize.y
+      );
+      const latLng = L.CRS.EPSG3857.pointToLatLng(pixel, coords.z);
+      points.push({ lat: latLng.lat, lon: latLng.lng });
+    }
+  }
+
+  const samples = await getSQMSamples(points, signal);
+  const context = canvas.getContext('2d');
+
+  for (let y = 0; y < tileSize.y; y += CANVAS_BLOCK_SIZE) {
+    for (let x = 0; x < tileSize.x; x += CANVAS_BLOCK_SIZE) {
+      const sqm = interpolateBilinear(
+        samples,
+        CANVAS_SAMPLES_PER_SIDE,
+        (x + CANVAS_BLOCK_SIZE / 2) / tileSize.x,
+        (y + CANVAS_BLOCK_SIZE / 2) / tileSize.y
+      );
+      const bortleClass = getBortleFromSQM(sqm);
+      context.globalAlpha = getIntensity(bortleClass);
+      context.fillStyle = getOverlayColor(bortleClass);
+      context.fillRect(x, y, CANVAS_BLOCK_SIZE, CANVAS_BLOCK_SIZE);
+    }
+  }
+};
+
+/**
+ * Leaflet grid layer that draws the interpolated light pollution grid into canvas tiles.
+ * Leaflet only creates tiles as they come into view, so panning recomputes just the new ones,
+ * and tiles unloaded before they finish drawing cancel their requests.
+ */
+const LightPollutionGridLayer = L.GridLayer.extend({
+  initialize(options) {
+    L.GridLayer.prototype.initialize.call(this, options);
+    this.on('tileunload', ({ tile }) => tileRequests.get(tile)?.abort());
+  },
+
+  createTile(coords, done) {
+    const tile = L.DomUtil.create('canvas', 'light-pollution-canvas-tile');
+    const tileSize = this.getTileSize();
+    tile.width = tileSize.x;
+    tile.height = tileSize.y;
+
+    const controller = new AbortController();
+    tileRequests.set(tile, controller);
+
+    drawCanvasTile(tile, coords, tileSize, controller.signal)
+      .then(() => done(null, tile))
+      .catch(error => {
+        // Unloaded tiles are gone from the map, so there is nothing to report
+        if (controller.signal.aborted) return;
+        console.error('Error drawing light pollution tile:', error);
+        done(error, tile);
+      })
+      .finally(() => tileRequests.delete(tile));
+
+    return tile;
+  }
+});
+
 /**
  * Component to render light pollution overlay on the map
- * Shows color-coded circles representing light pollution levels
+ * Both modes follow the map viewport: 'markers' shows color-coded circles on a
+ * zoom-scaled grid, 'canvas' draws a smoothed heatmap
  */
-function LightPollutionOverlay({ center, radius = 1000, visible = true }) {
+function LightPollutionOverlay({ visible = true, mode = 'markers' }) {
   const [gridData, setGridData] = useState([]);
   const [loading, setLoading] = useState(false);
   const map = useMap();
+  const [gridUpdater] = useState(() => createViewportGridUpdater({
+    onPoints: setGridData,
+    onLoading: setLoading
+  }));
 
-  useEffect(() => {
-    if (!visible || !center) {
-      setGridData([]);
-      return;
-    }
+  const updateGrid = useCallback(() => {
+    const bounds = map.getBounds();
+    gridUpdater.update({
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast()
+    }, map.getZoom());
+  }, [map, gridUpdater]);
 
-    const fetchGridData = async () => {
-      setLoading(true);
-      try {
-        const [lat, lon] = center;
-        const data = await generateSimplifiedGrid(lat, lon, radius);
-        setGridData(data);
-      } catch (error) {
-        console.error('Error generating light pollution overlay:', error);
-        setGridData([]);
-      } finally {
-        setLoading(false);
+  useMapEvents({
+    moveend: () => {
+      if (visible && mode === 'markers') {
+        updateGrid();
       }
+    }
+  });
+
+  useEffect(() => {
+    if (!visible || mode !== 'markers') return;
+
+    map.whenReady(updateGrid);
+
+    return () => {
+      gridUpdater.cancel();
+      setGridData([]);
     };
+  }, [map, visible, mode, updateGrid, gridUpdater]);
 
-    fetchGridData();
-  }, [center, radius, visible]);
+  useEffect(() => {
+    if (!visible || mode !== 'canvas') return;
+
+    const layer = new LightPollutionGridLayer({
+      opacity: OVERLAY_OPACITY_MULTIPLIER,
+      zIndex: 10
+    });
+    layer.on('loading', () => setLoading(true));
+    layer.on('load', () => setLoading(false));
+    layer.addTo(map);
+
+    return () => {
+      // Removing the layer unloads its tiles, which cancels their requests
+      layer.remove();
+      layer.off();
+      setLoading(false);
+    };
+  }, [map, visible, mode]);
 
   // Adjust circle size based on zoom level
   const zoom = map.getZoom();
   const radiusPixels = Math.max(30, 100 - zoom * 4); // Larger circles for better visibility
 
-  if (!visible || gridData.length === 0) {
+  if (!visible || (mode === 'markers' && gridData.length === 0)) {
     return null;
   }
 
@@ -63,9 +184,9 @@ function LightPollutionOverlay({ center, radius = 1000, visible = true }) {
           Loading light pollution overlay...
         </div>
       )}
-      {gridData.map((point, index) => (
+      {mode === 'markers' && gridData.map((point) => (
         <CircleMarker
-          key={`overlay-${index}`}
+          key={`overlay-${point.key}`}
           center={[point.lat, point.lon]}
           radius={radiusPixels}
           pathOptions={{
@@ -82,9 +203,8 @@ function LightPollutionOverlay({ center, radius = 1000, visible = true }) {
 }
 
 LightPollutionOverlay.propTypes = {
-  center: PropTypes.arrayOf(PropTypes.number),
-  radius: PropTypes.number,
-  visible: PropTypes.bool
+  visible: PropTypes.bool,
+  mode: PropTypes.oneOf(['markers', 'canvas'])
 };
 
 export default LightPollutionOverlay;
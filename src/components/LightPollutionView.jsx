@@ -1,10 +1,20 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { getLightPollution, getStargazingRecommendations } from '../services/lightPollutionService';
+import {
+  getLightPollution,
+  getLightPollutionHistory,
+  formatLightPollutionHistoryCSV,
+  getStargazingRecommendations,
+  clearLightPollutionCache
+} from '../services/lightPollutionService';
+import LightDomeChart from './LightDomeChart';
+import LightTrendChart from './LightTrendChart';
+import SQMReadingForm from './SQMReadingForm';
 import './LightPollutionView.css';
 
 function LightPollutionView({ location, visible, onClose }) {
   const [lightData, setLightData] = useState(null);
+  const [history, setHistory] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showBortleInfo, setShowBortleInfo] = useState(false);
@@ -17,8 +27,12 @@ function LightPollutionView({ location, visible, onClose }) {
 
     try {
       const [lat, lon] = location.position;
-      const data = await getLightPollution(lat, lon);
+      const [data, historyData] = await Promise.all([
+        getLightPollution(lat, lon),
+        getLightPollutionHistory(lat, lon)
+      ]);
       setLightData(data);
+      setHistory(historyData);
     } catch (err) {
       console.error('Error fetching light pollution data:', err);
       setError('Unable to fetch light pollution data');
@@ -27,6 +41,23 @@ function LightPollutionView({ location, visible, onClose }) {
     }
   }, [location]);
 
+  const handleReadingSubmitted = useCallback(() => {
+    // New readings change the blended result, so skip the cached one
+    clearLightPollutionCache();
+    fetchLightData();
+  }, [fetchLightData]);
+
+  const handleExportHistory = () => {
+    const csv = formatLightPollutionHistoryCSV(history);
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const [lat, lon] = location.position;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `light-pollution-history_${lat.toFixed(4)}_${lon.toFixed(4)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   useEffect(() => {
     if (location && visible) {
       fetchLightData();
@@ -158,8 +189,43 @@ function LightPollutionView({ location, visible, onClose }) {
                 <div className="metric-description">Magnitudes per square arcsecond</div>
               </div>
             </div>
+
+            {lightData.measurements && (
+              <p className="measurements-note">
+                Calibrated with {lightData.measurements.count} nearby SQM
+                reading{lightData.measurements.count === 1 ? '' : 's'} (model: {lightData.measurements.modelSQM}
+                {lightData.measurements.rejected > 0 && `, ${lightData.measurements.rejected} rejected for twilight or moonlight`})
+              </p>
+            )}
+
+            <SQMReadingForm position={location.position} onSubmitted={handleReadingSubmitted} />
           </div>
 
+          {/* Horizon Light Domes */}
+          {lightData.horizonGlow && (
+            <div className="light-dome-section">
+              <div className="section-title">
+                <span className="section-icon">🧭</span>
+                Horizon Light Domes
+              </div>
+              <LightDomeChart horizonGlow={lightData.horizonGlow} />
+            </div>
+          )}
+
+          {/* Historical Trend */}
+          {history && (
+            <div className="light-trend-section">
+              <div className="section-title">
+                <span className="section-icon">📈</span>
+                Sky Brightness Trend
+              </div>
+              <LightTrendChart history={history} />
+              <button onClick={handleExportHistory} className="export-button">
+                ⬇️ Export CSV
+              </button>
+            </div>
+          )}
+
           {/* Detailed Bortle Information */}
           <div className="bortle-details">
             <div className="section-title">
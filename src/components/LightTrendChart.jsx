@@ -0,0 +1,107 @@
+import PropTypes from 'prop-types';
+import { getOverlayColor } from '../services/lightPollutionOverlayService';
+import './LightTrendChart.css';
+
+// Chart geometry (SVG units)
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 36 };
+
+/**
+ * LightTrendChart Component
+ * Line chart of zenith SQM per year; darker skies plot higher, so brightening shows as a falling line
+ *
+ * @param {Object} history - Result of getLightPollutionHistory
+ */
+function LightTrendChart({ history }) {
+  const { series } = history;
+  const sqmValues = series.map(entry => entry.sqm);
+  const minSQM = Math.floor((Math.min(...sqmValues) - 0.05) * 10) / 10;
+  const maxSQM = Math.ceil((Math.max(...sqmValues) + 0.05) * 10) / 10;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const xFor = (index) => PADDING.left + (series.length === 1 ? plotWidth / 2 : index / (series.length - 1) * plotWidth);
+  const yFor = (sqm) => PADDING.top + (maxSQM - sqm) / (maxSQM - minSQM) * plotHeight;
+
+  const linePath = series
+    .map((entry, index) => `${index === 0 ? 'M' : 'L'} ${xFor(index)} ${yFor(entry.sqm)}`)
+    .join(' ');
+
+  const brightening = history.annualChangePercent > 0;
+
+  return (
+    <div className="light-trend-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="light-trend-svg"
+        role="img"
+        aria-label={`Sky brightness ${history.startYear} to ${history.endYear}`}
+      >
+        {[maxSQM, (maxSQM + minSQM) / 2, minSQM].map(sqm => (
+          <g key={sqm}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={yFor(sqm)}
+              y2={yFor(sqm)}
+              className="light-trend-gridline"
+            />
+            <text x={PADDING.left - 4} y={yFor(sqm)} className="light-trend-axis-label light-trend-y-label">
+              {sqm.toFixed(1)}
+            </text>
+          </g>
+        ))}
+
+        <path d={linePath} className="light-trend-line" />
+
+        {series.map((entry, index) => (
+          <g key={entry.year}>
+            <circle
+              cx={xFor(index)}
+              cy={yFor(entry.sqm)}
+              r={4}
+              fill={getOverlayColor(entry.bortleClass)}
+              className="light-trend-point"
+            >
+              <title>
+                {`${entry.year}: SQM ${entry.sqm.toFixed(2)}, Bortle ${entry.bortleClass}` +
+                  (entry.changePercent === null ? '' : ` (${entry.changePercent > 0 ? '+' : ''}${entry.changePercent.toFixed(1)}% vs ${entry.year - 1})`)}
+              </title>
+            </circle>
+            {(index === 0 || index === series.length - 1 || series.length <= 6 || index % 2 === 0) && (
+              <text x={xFor(index)} y={HEIGHT - 6} className="light-trend-axis-label light-trend-x-label">
+                {entry.year}
+              </text>
+            )}
+          </g>
+        ))}
+      </svg>
+
+      <div className="light-trend-summary">
+        <div className={`light-trend-rate ${brightening ? 'brightening' : 'darkening'}`}>
+          {history.annualChangePercent > 0 ? '+' : ''}{history.annualChangePercent.toFixed(1)}% per year
+        </div>
+        <div className="light-trend-detail">
+          {brightening ? 'Sky brightening' : 'Sky steady or darkening'}: SQM {series[0].sqm.toFixed(2)} → {series[series.length - 1].sqm.toFixed(2)} ({history.startYear}–{history.endYear})
+        </div>
+      </div>
+    </div>
+  );
+}
+
+LightTrendChart.propTypes = {
+  history: PropTypes.shape({
+    series: PropTypes.arrayOf(PropTypes.shape({
+      year: PropTypes.number.isRequired,
+      sqm: PropTypes.number.isRequired,
+      bortleClass: PropTypes.number.isRequired,
+      changePercent: PropTypes.number
+    })).isRequired,
+    startYear: PropTypes.number.isRequired,
+    endYear: PropTypes.number.isRequired,
+    annualChangePercent: PropTypes.number.isRequired
+  }).isRequired
+};
+
+export default LightTrendChart;
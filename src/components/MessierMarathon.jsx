@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { planMessierMarathon } from '../services/marathonService';
+import SiteTime from './SiteTime';
+import './MessierMarathon.css';
+
+const MINUTES_PER_OBJECT_OPTIONS = [2, 3, 4, 5, 6];
+const MIN_ALTITUDE_OPTIONS = [0, 5, 10, 15];
+
+// Added to <body> while printing, so the print styles show only the observing sheet
+const PRINT_CLASS = 'printing-marathon';
+
+/**
+ * MessierMarathon Component
+ * Plans the order to observe all 110 Messier objects in one night at the site,
+ * with a printable time-stamped observing sheet.
+ *
+ * @param {string} locationName - Site name for the sheet heading
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Day of the night to plan (the night starts at that day's dusk)
+ * @param {string} timeZone - Site timezone (IANA name)
+ * @param {string} homeTimeZone - User's timezone to show alongside, or null
+ */
+function MessierMarathon({ locationName = '', lat, lon, date, timeZone, homeTimeZone = null }) {
+  const [result, setResult] = useState(null);
+  const [minutesPerObject, setMinutesPerObject] = useState(4);
+  const [minAltitude, setMinAltitude] = useState(5);
+
+  // The last plan stays on screen until the one for the current settings arrives
+  const dateKey = date.getTime();
+  const requestKey = `${lat},${lon},${dateKey},${minutesPerObject},${minAltitude}`;
+  const plan = result?.plan ?? null;
+  const loading = result?.key !== requestKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    planMessierMarathon(lat, lon, new Date(dateKey), { minutesPerObject, minAltitude })
+      .then(newPlan => {
+        if (!cancelled) setResult({ key: requestKey, plan: newPlan });
+      })
+      .catch(error => {
+        console.error('Error planning Messier marathon:', error);
+        if (!cancelled) setResult({ key: requestKey, plan: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [lat, lon, dateKey, minutesPerObject, minAltitude, requestKey]);
+
+  const handlePrint = () => {
+    document.body.classList.add(PRINT_CLASS);
+    window.print();
+    document.body.classList.remove(PRINT_CLASS);
+  };
+
+  const time = (value) => <SiteTime time={value} timeZone={timeZone} homeTimeZone={homeTimeZone} />;
+
+  const renderList = (title, objects, describe) => objects.length > 0 && (
+    <div className="marathon-skipped">
+      <h5>{title} ({objects.length})</h5>
+      <p>
+        {objects.map(object => `${object.label}${describe ? ` ${describe(object)}` : ''}`).join(', ')}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="messier-marathon">
+      <div className="marathon-controls">
+        <label>
+          Minutes per object
+          <select value={minutesPerObject} onChange={(e) => setMinutesPerObject(Number(e.target.value))}>
+            {MINUTES_PER_OBJECT_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Lowest altitude
+          <select value={minAltitude} onChange={(e) => setMinAltitude(Number(e.target.value))}>
+            {MIN_ALTITUDE_OPTIONS.map(altitude => (
+              <option key={altitude} value={altitude}>{altitude}°</option>
+            ))}
+          </select>
+        </label>
+        <button className="marathon-print" onClick={handlePrint} disabled={!plan || plan.sequence.length === 0}>
+          🖨️ Print sheet
+        </button>
+      </div>
+
+      {loading && !plan && <p className="marathon-status">Planning the marathon...</p>}
+
+      {plan && (
+        <div className="marathon-sheet">
+          <h4>
+            Messier Marathon{locationName && ` - ${locationName}`}
+          </h4>
+          {plan.nightStart ? (
+            <p className="marathon-summary">
+              Night of {plan.nightStart.toLocaleDateString('en-US', { dateStyle: 'full', timeZone })}: dark
+              from {time(plan.nightStart)} to {time(plan.nightEnd)}.{' '}
+              <strong>{plan.sequence.length} of 110</strong> objects in order, {plan.minutesPerObject} minutes
+              each, at least {plan.minAltitude}° up.
+            </p>
+          ) : (
+            <p className="marathon-summary">
+              There is no astronomical night on this date, so no marathon can be planned.
+            </p>
+          )}
+
+          {plan.sequence.length > 0 && (
+            <table className="marathon-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Time</th>
+                  <th>Object</th>
+                  <th>Type</th>
+                  <th>Mag</th>
+                  <th>Alt</th>
+                  <th>Dir</th>
+                  <th>Up until</th>
+                  <th aria-label="Observed">✓</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.sequence.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{entry.order}</td>
+                    <td>{time(entry.time)}</td>
+                    <td>
+                      <strong>{entry.label}</strong>
+                      {entry.name && <span className="marathon-name"> {entry.name}</span>}
+                    </td>
+                    <td>{entry.typeName}</td>
+                    <td>{entry.magnitude ?? '—'}</td>
+                    <td>{entry.altitude.toFixed(0)}°</td>
+                    <td>{entry.direction}</td>
+                    <td>{time(entry.windowEnd)}</td>
+                    <td className="marathon-tick"></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {renderList(
+            `Impossible at latitude ${lat.toFixed(1)}°`,
+            plan.impossible,
+            object => `(${object.maxAltitude < 0 ? 'never rises' : `${object.maxAltitude.toFixed(0)}° at best`})`
+          )}
+          {renderList('Not up while it is dark on this date', plan.notInDarkness)}
+          {renderList('No time left for', plan.missed)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+MessierMarathon.propTypes = {
+  locationName: PropTypes.string,
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  date: PropTypes.instanceOf(Date).isRequired,
+  timeZone: PropTypes.string,
+  homeTimeZone: PropTypes.string
+};
+
+export default MessierMarathon;
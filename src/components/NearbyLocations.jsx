@@ -1,8 +1,19 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { findNearbyLocations, formatLocationSummary, getImprovementColor } from '../services/nearbyLocationsService';
+import { formatAQI } from '../services/aqiService';
 import './NearbyLocations.css';
 
+/**
+ * Check whether a selected location has a measured AQI that can be compared
+ * @param {Object} location - Selected location (marker or pin)
+ * @returns {boolean} True if the AQI is a measured number
+ */
+const hasComparableAQI = (location) => {
+  return location.aqi !== null && location.aqi !== undefined && location.aqi !== 'N/A' &&
+    !isNaN(Number(location.aqi)) && !location.aqiIsEstimate;
+};
+
 function NearbyLocations({ location, visible, onClose, onLocationSelect }) {
   const [nearbyData, setNearbyData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -17,8 +28,8 @@ function NearbyLocations({ location, visible, onClose, onLocationSelect }) {
 
     try {
       const [lat, lon] = location.position;
-      // Ensure AQI is a number, handle 'N/A' and string numbers
-      const currentAQI = location.aqi === 'N/A' || !location.aqi ? 999 : Number(location.aqi);
+      // Only a measured AQI is compared; estimates and missing data fall back to Bortle class alone
+      const currentAQI = hasComparableAQI(location) ? Number(location.aqi) : null;
       const currentBortle = location.pollutionIndex || 5;
 
       const data = await findNearbyLocations(lat, lon, currentAQI, currentBortle, searchRadius);
@@ -76,9 +87,14 @@ function NearbyLocations({ location, visible, onClose, onLocationSelect }) {
             <div className="current-location-info">
               <h4>Current Location</h4>
               <div className="current-stats">
-                <span className="stat-item">AQI: {location.aqi}</span>
+                <span className="stat-item">AQI: {formatAQI(location.aqi, location.aqiIsEstimate)}</span>
                 <span className="stat-item">Bortle: {location.pollutionIndex || 5}</span>
               </div>
+              {!hasComparableAQI(location) && (
+                <p className="current-note">
+                  No measured AQI here, so nearby sites are compared on sky darkness only.
+                </p>
+              )}
             </div>
 
             <div className="search-controls">
@@ -192,7 +208,7 @@ function LocationCard({ location, onClick }) {
       <div className="location-stats">
         <div className="stat-row">
           <span className="stat-label">AQI:</span>
-          <span className="stat-value">{location.aqi}</span>
+          <span className="stat-value">{formatAQI(location.aqi, !location.aqiMeasured && location.aqi !== null)}</span>
           {location.improvements.aqi > 0 && (
             <span className="stat-improvement" style={{ color: improvementColor }}>
               ↓{location.improvements.aqi}
@@ -227,6 +243,7 @@ LocationCard.propTypes = {
     lon: PropTypes.number.isRequired,
     distance: PropTypes.number.isRequired,
     aqi: PropTypes.number,
+    aqiMeasured: PropTypes.bool,
     bortleClass: PropTypes.number,
     improvements: PropTypes.shape({
       aqi: PropTypes.number,
@@ -241,6 +258,7 @@ NearbyLocations.propTypes = {
     name: PropTypes.string,
     position: PropTypes.arrayOf(PropTypes.number),
     aqi: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    aqiIsEstimate: PropTypes.bool,
     pollutionIndex: PropTypes.number
   }),
   visible: PropTypes.bool.isRequired,
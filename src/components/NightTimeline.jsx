@@ -0,0 +1,319 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatTime } from '../services/sunCalculationService';
+import { getSkyConditionsAt, interpretCloudCover, interpretSeeing } from '../services/skyViewabilityService';
+import { getMoonPosition } from '../services/moonService';
+import { isSameTimeZone } from '../services/timezoneService';
+import SiteTime from './SiteTime';
+import './NightTimeline.css';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Twilight stages from the horizon down (index = depth of darkness)
+const TWILIGHT_STAGES = [
+  { id: 'day', label: 'Daylight' },
+  { id: 'civil', label: 'Civil twilight' },
+  { id: 'nautical', label: 'Nautical twilight' },
+  { id: 'astronomical', label: 'Astronomical twilight' },
+  { id: 'night', label: 'Astronomical night' }
+];
+
+/**
+ * Move a time into the 24 hours following sunset
+ * getSunTimes returns the morning events of the same calendar day, so they may
+ * come before sunset.
+ * @param {Date|null} time - Event time
+ * @param {number} start - Sunset (ms)
+ * @returns {number|null} Time in ms within [start, start + 24h)
+ */
+const normalizeTime = (time, start) => {
+  if (!time) return null;
+
+  let value = time.getTime();
+  while (value < start) value += DAY;
+  while (value >= start + DAY) value -= DAY;
+  return value;
+};
+
+/**
+ * Build the twilight bands between sunset and sunrise
+ * When the Sun never gets deep enough (e.g. no astronomical darkness in summer),
+ * the deepest stage reached fills the middle of the night.
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @param {number} start - Sunset (ms)
+ * @param {number} end - Sunrise (ms)
+ * @returns {Array<Object>} [{ start, end, stage }]
+ */
+const getTwilightBands = (sunTimes, start, end) => {
+  const evening = [
+    start,
+    normalizeTime(sunTimes.civilTwilight.dusk, start),
+    normalizeTime(sunTimes.nauticalTwilight.dusk, start),
+    normalizeTime(sunTimes.astronomicalTwilight.dusk, start)
+  ];
+  const morning = [
+    normalizeTime(sunTimes.astronomicalTwilight.dawn, start),
+    normalizeTime(sunTimes.nauticalTwilight.dawn, start),
+    normalizeTime(sunTimes.civilTwilight.dawn, start),
+    end
+  ];
+
+  // Number of evening events that happen, i.e. the deepest stage reached
+  let depth = 1;
+  while (depth < evening.length && evening[depth] !== null && morning[evening.length - 1 - depth] !== null) {
+    depth++;
+  }
+
+  const bands = [];
+  for (let i = 0; i < depth - 1; i++) {
+    bands.push({ start: evening[i], end: evening[i + 1], stage: TWILIGHT_STAGES[i + 1] });
+  }
+  bands.push({ start: evening[depth - 1], end: morning[evening.length - depth], stage: TWILIGHT_STAGES[depth] });
+  for (let j = evening.length - depth; j < morning.length - 1; j++) {
+    bands.push({ start: morning[j], end: morning[j + 1], stage: TWILIGHT_STAGES[morning.length - 1 - j] });
+  }
+
+  return bands.filter(band => band.end > band.start);
+};
+
+/**
+ * Split the night into hourly slots with the values for each row
+ * @param {Object} params - { lat, lon, start, end, bands, skyForecast, hourly }
+ * @returns {Array<Object>} [{ start, end, stage, moon, sky, quality }]
+ */
+const buildSlots = ({ lat, lon, start, end, bands, skyForecast, hourly }) => {
+  const slots = [];
+  for (let slotStart = start; slotStart < end; slotStart += HOUR) {
+    const slotEnd = Math.min(slotStart + HOUR, end);
+    const middle = (slotStart + slotEnd) / 2;
+    const band = bands.find(b => middle >= b.start && middle < b.end);
+    const scoredHour = hourly.find(hour => middle >= hour.start.getTime() && middle < hour.end.getTime());
+
+    slots.push({
+      start: slotStart,
+      end: slotEnd,
+      stage: band ? band.stage : TWILIGHT_STAGES[0],
+      moon: getMoonPosition(lat, lon, new Date(middle)),
+      sky: getSkyConditionsAt(skyForecast, middle),
+      quality: scoredHour ? scoredHour.quality : null
+    });
+  }
+  return slots;
+};
+
+/**
+ * Colour for a 0-100 score, red (bad) to green (good)
+ * @param {number} score - Score 0-100
+ * @returns {string} Colour
+ */
+const getScoreColor = (score) => {
+  if (score >= 80) return '#4CAF50';
+  if (score >= 60) return '#8BC34A';
+  if (score >= 40) return '#FFC107';
+  if (score >= 20) return '#FF9800';
+  return '#F44336';
+};
+
+/**
+ * NightTimeline Component
+ * Sunset-to-sunrise chart stacking twilight, moon altitude, cloud cover,
+ * seeing and the hourly stargazing quality. Hovering a slot shows its values;
+ * clicking it reports the slot's start time.
+ *
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @param {Object} skyForecast - Sky forecast from getSkyForecast (optional)
+ * @param {Array} hourly - Hourly scores from getBestStargazingTimes
+ * @param {string} timeZone - Site timezone times are shown in (defaults to the browser's)
+ * @param {string} homeTimeZone - User's timezone to show alongside, or null to hide it
+ * @param {Function} onSelectTime - Called with the slot's start Date when a slot is clicked
+ */
+function NightTimeline({
+  lat,
+  lon,
+  sunTimes,
+  skyForecast = null,
+  hourly = [],
+  timeZone = undefined,
+  homeTimeZone = null,
+  onSelectTime
+}) {
+  const [activeSlot, setActiveSlot] = useState(null);
+
+  if (!sunTimes?.sunset || !sunTimes?.sunrise) {
+    return null;
+  }
+
+  const start = sunTimes.sunset.getTime();
+  const end = normalizeTime(sunTimes.sunrise, start);
+  const bands = getTwilightBands(sunTimes, start, end);
+  const slots = buildSlots({ lat, lon, start, end, bands, skyForecast, hourly });
+
+  const position = (from, to) => ({
+    left: `${((from - start) / (end - start)) * 100}%`,
+    width: `${((to - from) / (end - start)) * 100}%`
+  });
+
+  const hovered = activeSlot !== null ? slots[activeSlot] : null;
+  const showHome = homeTimeZone && !isSameTimeZone(timeZone, homeTimeZone, sunTimes.sunset);
+
+  return (
+    <div className="night-timeline">
+      <div className="night-timeline-chart">
+        <div className="night-timeline-labels">
+          <span>Twilight</span>
+          <span>Moon</span>
+          <span>Clouds</span>
+          <span>Seeing</span>
+          <span>Quality</span>
+        </div>
+
+        <div className="night-timeline-tracks" onMouseLeave={() => setActiveSlot(null)}>
+          <div className="timeline-track">
+            {bands.map(band => (
+              <div
+                key={`${band.stage.id}-${band.start}`}
+                className={`timeline-band timeline-band-${band.stage.id}`}
+                style={position(band.start, band.end)}
+              />
+            ))}
+          </div>
+
+          <div className="timeline-track">
+            {slots.map(slot => (
+              <div key={slot.start} className="timeline-cell" style={position(slot.start, slot.end)}>
+                {slot.moon.isUp && (
+                  <div
+                    className="timeline-moon-bar"
+                    style={{
+                      height: `${(slot.moon.altitude / 90) * 100}%`,
+                      opacity: 0.3 + slot.moon.illumination * 0.7
+                    }}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="timeline-track">
+            {slots.map(slot => (
+              <div
+                key={slot.start}
+                className={`timeline-cell ${slot.sky?.cloudCover ? '' : 'timeline-cell-missing'}`}
+                style={{
+                  ...position(slot.start, slot.end),
+                  backgroundColor: slot.sky?.cloudCover
+                    ? `rgba(200, 200, 215, ${(slot.sky.cloudCover - 1) / 8})`
+                    : undefined
+                }}
+              />
+            ))}
+          </div>
+
+          <div className="timeline-track">
+            {slots.map(slot => (
+              <div
+                key={slot.start}
+                className={`timeline-cell ${slot.sky?.seeing ? '' : 'timeline-cell-missing'}`}
+                style={{
+                  ...position(slot.start, slot.end),
+                  // 7Timer seeing runs from 1 (best) to 8 (worst)
+                  backgroundColor: slot.sky?.seeing ? getScoreColor(((8 - slot.sky.seeing) / 7) * 100) : undefined
+                }}
+              />
+            ))}
+          </div>
+
+          <div className="timeline-track">
+            {slots.map(slot => (
+              <div
+                key={slot.start}
+                className={`timeline-cell timeline-quality ${slot.quality === null ? 'timeline-cell-missing' : ''}`}
+                style={{
+                  ...position(slot.start, slot.end),
+                  backgroundColor: slot.quality !== null ? getScoreColor(slot.quality) : undefined
+                }}
+              >
+                {slot.quality !== null && slot.end - slot.start >= HOUR / 2 && slot.quality}
+              </div>
+            ))}
+          </div>
+
+          <div className="timeline-slots">
+            {slots.map((slot, index) => (
+              <button
+                key={slot.start}
+                type="button"
+                className={`timeline-slot ${activeSlot === index ? 'active' : ''}`}
+                style={position(slot.start, slot.end)}
+                onMouseEnter={() => setActiveSlot(index)}
+                onFocus={() => setActiveSlot(index)}
+                onClick={() => onSelectTime?.(new Date(slot.start))}
+                disabled={!onSelectTime}
+                aria-label={`${formatTime(new Date(slot.start), timeZone)}: ${slot.stage.label}`}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="night-timeline-axis">
+        <span>🌇 <SiteTime time={sunTimes.sunset} timeZone={timeZone} homeTimeZone={homeTimeZone} /></span>
+        <span>🌅 <SiteTime time={new Date(end)} timeZone={timeZone} homeTimeZone={homeTimeZone} /></span>
+      </div>
+
+      <div className="night-timeline-readout">
+        {hovered ? (
+          <>
+            <strong>
+              {formatTime(new Date(hovered.start), timeZone)} – {formatTime(new Date(hovered.end), timeZone)}
+            </strong>
+            {showHome && (
+              <span>
+                ({formatTime(new Date(hovered.start), homeTimeZone)} – {formatTime(new Date(hovered.end), homeTimeZone)} your time)
+              </span>
+            )}
+            <span>{hovered.stage.label}</span>
+            <span>
+              Moon {hovered.moon.isUp
+                ? `${Math.round(hovered.moon.altitude)}° up, ${Math.round(hovered.moon.illumination * 100)}% lit`
+                : 'below horizon'}
+            </span>
+            <span>Clouds {hovered.sky?.cloudCover ? interpretCloudCover(hovered.sky.cloudCover).text : 'n/a'}</span>
+            <span>Seeing {hovered.sky?.seeing ? interpretSeeing(hovered.sky.seeing).text : 'n/a'}</span>
+            <span>Quality {hovered.quality !== null ? `${hovered.quality}/100` : 'not scored'}</span>
+          </>
+        ) : (
+          <span>
+            Hover over an hour for details{onSelectTime && ', click to view the sky at that time'}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+NightTimeline.propTypes = {
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  sunTimes: PropTypes.shape({
+    sunset: PropTypes.instanceOf(Date),
+    sunrise: PropTypes.instanceOf(Date),
+    civilTwilight: PropTypes.object,
+    nauticalTwilight: PropTypes.object,
+    astronomicalTwilight: PropTypes.object
+  }),
+  skyForecast: PropTypes.shape({
+    series: PropTypes.array
+  }),
+  hourly: PropTypes.arrayOf(PropTypes.shape({
+    start: PropTypes.instanceOf(Date),
+    end: PropTypes.instanceOf(Date),
+    quality: PropTypes.number
+  })),
+  timeZone: PropTypes.string,
+  homeTimeZone: PropTypes.string,
+  onSelectTime: PropTypes.func
+};
+
+export default NightTimeline;
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { submitSQMReading } from '../services/sqmReadingsService';
+import './SQMReadingForm.css';
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ * @param {Date} date - Date to format
+ * @returns {string} Value such as 2024-05-01T22:30
+ */
+const toDateTimeInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * SQMReadingForm Component
+ * Lets observers submit a sky quality meter reading for the selected location
+ *
+ * @param {Array} position - [lat, lon] of the location the reading was taken at
+ * @param {Function} onSubmitted - Called with the stored reading after a successful submission
+ */
+function SQMReadingForm({ position, onSubmitted }) {
+  const [expanded, setExpanded] = useState(false);
+  const [sqm, setSqm] = useState('');
+  const [takenAt, setTakenAt] = useState(() => toDateTimeInputValue(new Date()));
+  const [meter, setMeter] = useState('');
+  const [observer, setObserver] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const [lat, lon] = position;
+      const reading = await submitSQMReading({
+        lat,
+        lon,
+        sqm: parseFloat(sqm),
+        takenAt: new Date(takenAt).toISOString(),
+        meter,
+        observer,
+        notes
+      });
+      setSqm('');
+      setNotes('');
+      setMessage('Thanks! Your reading has been recorded.');
+      onSubmitted(reading);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!expanded) {
+    return (
+      <button className="sqm-form-toggle" onClick={() => setExpanded(true)}>
+        📏 Submit an SQM meter reading
+      </button>
+    );
+  }
+
+  return (
+    <form className="sqm-reading-form" onSubmit={handleSubmit}>
+      <div className="sqm-form-row">
+        <label htmlFor="sqm-value">SQM (mag/arcsec²)</label>
+        <input
+          id="sqm-value"
+          type="number"
+          min="10"
+          max="23"
+          step="0.01"
+          required
+          value={sqm}
+          onChange={(e) => setSqm(e.target.value)}
+          placeholder="21.35"
+        />
+      </div>
+
+      <div className="sqm-form-row">
+        <label htmlFor="sqm-taken-at">Taken at</label>
+        <input
+          id="sqm-taken-at"
+          type="datetime-local"
+          required
+          value={takenAt}
+          onChange={(e) => setTakenAt(e.target.value)}
+        />
+      </div>
+
+      <div className="sqm-form-row">
+        <label htmlFor="sqm-meter">Meter (optional)</label>
+        <input
+          id="sqm-meter"
+          type="text"
+          maxLength={60}
+          value={meter}
+          onChange={(e) => setMeter(e.target.value)}
+          placeholder="Unihedron SQM-L"
+        />
+      </div>
+
+      <div className="sqm-form-row">
+        <label htmlFor="sqm-observer">Observer (optional)</label>
+        <input
+          id="sqm-observer"
+          type="text"
+          maxLength={60}
+          value={observer}
+          onChange={(e) => setObserver(e.target.value)}
+        />
+      </div>
+
+      <div className="sqm-form-row">
+        <label htmlFor="sqm-notes">Notes (optional)</label>
+        <textarea
+          id="sqm-notes"
+          rows={2}
+          maxLength={500}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Zenith, clear, no moon"
+        />
+      </div>
+
+      <p className="sqm-form-hint">
+        Point the meter at the zenith on a clear night. Readings taken in twilight or
+        with the moon up are stored but not used to calibrate the sky rating.
+      </p>
+
+      {error && <p className="sqm-form-error">{error}</p>}
+      {message && <p className="sqm-form-success">{message}</p>}
+
+      <div className="sqm-form-actions">
+        <button type="button" className="sqm-form-cancel" onClick={() => setExpanded(false)}>
+          Cancel
+        </button>
+        <button type="submit" className="sqm-form-submit" disabled={submitting}>
+          {submitting ? 'Submitting...' : 'Submit Reading'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+SQMReadingForm.propTypes = {
+  position: PropTypes.arrayOf(PropTypes.number).isRequired,
+  onSubmitted: PropTypes.func.isRequired
+};
+
+export default SQMReadingForm;
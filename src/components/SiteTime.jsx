@@ -0,0 +1,37 @@
+import PropTypes from 'prop-types';
+import { formatTime, formatDateTime } from '../services/sunCalculationService';
+import { isSameTimeZone } from '../services/timezoneService';
+import './SiteTime.css';
+
+/**
+ * SiteTime Component
+ * A time in the site's own timezone, optionally followed by the same moment in
+ * the user's timezone when the two differ.
+ *
+ * @param {Date} time - Moment to show (null shows N/A)
+ * @param {string} timeZone - Site timezone (IANA name)
+ * @param {string} homeTimeZone - User's timezone to show alongside, or null to hide it
+ * @param {boolean} withDate - Include the date
+ */
+function SiteTime({ time, timeZone, homeTimeZone = null, withDate = false }) {
+  const format = withDate ? formatDateTime : formatTime;
+  const showHome = time && homeTimeZone && !isSameTimeZone(timeZone, homeTimeZone, time);
+
+  return (
+    <span className="site-time">
+      {format(time, timeZone)}
+      {showHome && (
+        <span className="site-time-home">{format(time, homeTimeZone)} your time</span>
+      )}
+    </span>
+  );
+}
+
+SiteTime.propTypes = {
+  time: PropTypes.instanceOf(Date),
+  timeZone: PropTypes.string,
+  homeTimeZone: PropTypes.string,
+  withDate: PropTypes.bool
+};
+
+export default SiteTime;
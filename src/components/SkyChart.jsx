@@ -0,0 +1,483 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getSkyChartData,
+  projectAltAz,
+  getStarColor,
+  filterNakedEyeStars,
+  findNearestObject
+} from '../services/skyChartService';
+import { getNightStart } from '../services/timezoneService';
+import SiteTime from './SiteTime';
+import './SkyChart.css';
+
+// Chart geometry (SVG units)
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = 145;
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.5;
+
+// Pointer movement (px) that turns a click into a drag, and how close a click must land
+const DRAG_THRESHOLD = 4;
+const PICK_RADIUS = 14;
+
+// The time slider covers the night from noon to noon, in 10-minute steps
+const SLIDER_STEP_MINUTES = 10;
+const SLIDER_MINUTES = 24 * 60 - SLIDER_STEP_MINUTES;
+
+// Wait this long after the slider stops before moving the rest of the view (ms)
+const COMMIT_DELAY = 300;
+
+const ALTITUDE_RINGS = [30, 60];
+const COMPASS_LABELS = [
+  { label: 'N', azimuth: 0 },
+  { label: 'E', azimuth: 90 },
+  { label: 'S', azimuth: 180 },
+  { label: 'W', azimuth: 270 }
+];
+
+const PLANET_COLORS = {
+  Mercury: '#c9b79c',
+  Venus: '#fff3c4',
+  Mars: '#ff7b54',
+  Jupiter: '#f3d6a4',
+  Saturn: '#e8cf8a'
+};
+
+// One sky showing every catalogue star
+const DEFAULT_SKIES = [{ label: null, limitingMagnitude: null }];
+
+const OBJECT_TYPES = {
+  star: 'Star',
+  planet: 'Planet',
+  moon: 'Moon'
+};
+
+/**
+ * Chart units (horizon on the unit circle) to SVG units
+ */
+const toSvg = (value) => CENTER + value * RADIUS;
+
+/**
+ * Convert a screen position to SVG units
+ */
+const toSvgPoint = (svg, clientX, clientY) => {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+};
+
+/**
+ * Star dot size from its magnitude; grows a little when zoomed in
+ */
+const getStarRadius = (magnitude, zoom) => Math.max(0.45, 3.2 - 0.5 * magnitude) / Math.sqrt(zoom);
+
+/**
+ * Keep the view centre over the dome
+ */
+const clampView = ({ zoom, x, y }) => {
+  const limit = RADIUS * (1 - 1 / zoom);
+  return {
+    zoom,
+    x: Math.min(CENTER + limit, Math.max(CENTER - limit, x)),
+    y: Math.min(CENTER + limit, Math.max(CENTER - limit, y))
+  };
+};
+
+/**
+ * Current position of a picked object, or null once it has set
+ */
+const locateSelection = (chartData, selection) => {
+  if (selection.type === 'moon') return chartData.moon;
+  if (selection.type === 'planet') return chartData.planets.find(planet => planet.name === selection.name) ?? null;
+  return chartData.stars.find(star => star.hip === selection.hip) ?? null;
+};
+
+/**
+ * SkyChart Component
+ * Interactive all-sky chart for a location and time: bright stars, constellation
+ * figures, planets and the Moon on a stereographic dome with the zenith in the
+ * centre and east on the left, as seen looking up.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} time - Time shown on the chart
+ * @param {Function} onTimeChange - Called with a new Date when the time slider is moved
+ * @param {string} timeZone - Site timezone (IANA name) for the slider
+ * @param {string} homeTimeZone - User's timezone to show alongside, or null
+ * @param {Array} skies - Domes to draw side by side, sharing the view and time:
+ *   [{ label, limitingMagnitude }], where only stars visible to the naked eye under
+ *   limitingMagnitude (zenith NELM, null for all) are drawn
+ */
+function SkyChart({ lat, lon, time, onTimeChange, timeZone, homeTimeZone = null, skies = DEFAULT_SKIES }) {
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [stars, setStars] = useState([]);
+  const [view, setView] = useState({ zoom: 1, x: CENTER, y: CENTER });
+  const [selection, setSelection] = useState(null);
+  // Slider position while it is being moved, tied to the time it started from
+  const [preview, setPreview] = useState(null);
+
+  const chartTime = preview && preview.from === time ? preview.time : time;
+
+  // The star catalogue is large, so it loads separately from the app bundle
+  useEffect(() => {
+    let cancelled = false;
+    import('../data/brightStars.js')
+      .then(module => {
+        if (!cancelled) setStars(module.BRIGHT_STARS);
+      })
+      .catch(error => console.error('Error loading star catalogue:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Commit the slider time once it settles
+  useEffect(() => {
+    if (!preview) return undefined;
+    const timer = setTimeout(() => onTimeChange(preview.time), COMMIT_DELAY);
+    return () => clearTimeout(timer);
+  }, [preview, onTimeChange]);
+
+  // Wheel zoom needs a non-passive listener to stop the panel scrolling
+  useEffect(() => {
+    const frame = frameRef.current;
+    if (!frame) return undefined;
+
+    const handleWheel = (event) => {
+      const svg = event.target.closest('svg');
+      if (!svg) return;
+      event.preventDefault();
+      const point = toSvgPoint(svg, event.clientX, event.clientY);
+      setView(current => {
+        const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom * (event.deltaY < 0 ? 1.2 : 1 / 1.2)));
+        // Zoom about the pointer
+        const scale = current.zoom / zoom;
+        return clampView({
+          zoom,
+          x: point.x + (current.x - point.x) * scale,
+          y: point.y + (current.y - point.y) * scale
+        });
+      });
+    };
+
+    frame.addEventListener('wheel', handleWheel, { passive: false });
+    return () => frame.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const chartData = useMemo(
+    () => getSkyChartData(lat, lon, chartTime, stars),
+    [lat, lon, chartTime, stars]
+  );
+
+  const domes = useMemo(
+    () => skies.map(sky => ({ ...sky, stars: filterNakedEyeStars(chartData.stars, sky.limitingMagnitude) })),
+    [skies, chartData]
+  );
+
+  const nightStart = getNightStart(time, timeZone);
+  const sliderValue = Math.round((chartTime.getTime() - nightStart.getTime()) / 60000);
+
+  const handleSliderChange = (e) => {
+    const minutes = Number(e.target.value);
+    setPreview({ from: time, time: new Date(nightStart.getTime() + minutes * 60000) });
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, view, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.clientX;
+    const dy = e.clientY - drag.clientY;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    drag.moved = true;
+
+    // Screen pixels to SVG units at the zoom the drag started with
+    const unitsPerPixel = SIZE / drag.view.zoom / e.currentTarget.getBoundingClientRect().width;
+    setView(clampView({
+      zoom: drag.view.zoom,
+      x: drag.view.x - dx * unitsPerPixel,
+      y: drag.view.y - dy * unitsPerPixel
+    }));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) return;
+
+    // A click without a drag identifies the nearest object drawn on that dome
+    const point = toSvgPoint(e.currentTarget, e.clientX, e.clientY);
+    const unitsPerPixel = SIZE / view.zoom / e.currentTarget.getBoundingClientRect().width;
+    const dome = domes[Number(e.currentTarget.dataset.dome)];
+    const found = findNearestObject(
+      { ...chartData, stars: dome.stars },
+      (point.x - CENTER) / RADIUS,
+      (point.y - CENTER) / RADIUS,
+      (PICK_RADIUS * unitsPerPixel) / RADIUS
+    );
+    setSelection(found);
+  };
+
+  const zoomBy = (factor) => {
+    setView(current => clampView({
+      ...current,
+      zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom * factor))
+    }));
+  };
+
+  const viewSize = SIZE / view.zoom;
+  const viewBox = `${view.x - viewSize / 2} ${view.y - viewSize / 2} ${viewSize} ${viewSize}`;
+  const labelSize = 9 / view.zoom;
+
+  // More names appear as you zoom in
+  const starLabelLimit = 1 + view.zoom * 0.75;
+  const showAllConstellations = view.zoom >= 2;
+
+  let skyClass = 'night';
+  if (chartData.sunAltitude > 0) {
+    skyClass = 'day';
+  } else if (chartData.sunAltitude > -12) {
+    skyClass = 'twilight';
+  }
+
+  const selected = selection ? locateSelection(chartData, selection) : null;
+
+  // Skies where a picked star is too faint to see
+  const hiddenIn = selection?.type === 'star' && domes.length > 1
+    ? domes.filter(dome => !dome.stars.some(star => star.hip === selection.hip)).map(dome => dome.label)
+    : [];
+
+  return (
+    <div className="sky-chart">
+      <div className="sky-chart-frame" ref={frameRef}>
+        <div className="sky-chart-domes">
+          {domes.map((dome, index) => (
+            <figure key={dome.label ?? index} className="sky-chart-dome-view">
+              <svg
+                data-dome={index}
+                viewBox={viewBox}
+                className={`sky-chart-svg sky-${skyClass}`}
+                role="img"
+                aria-label={`All-sky chart${dome.label ? ` (${dome.label})` : ''}: ${dome.stars.length} stars and ${chartData.planets.length} planets above the horizon`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { dragRef.current = null; }}
+              >
+                <defs>
+                  <clipPath id={`sky-chart-horizon-${index}`}>
+                    <circle cx={CENTER} cy={CENTER} r={RADIUS} />
+                  </clipPath>
+                </defs>
+
+                <circle cx={CENTER} cy={CENTER} r={RADIUS} className="sky-chart-dome" />
+
+                <g clipPath={`url(#sky-chart-horizon-${index})`}>
+                  {ALTITUDE_RINGS.map(altitude => (
+                    <circle
+                      key={altitude}
+                      cx={CENTER}
+                      cy={CENTER}
+                      r={RADIUS * Math.tan((90 - altitude) * Math.PI / 360)}
+                      className="sky-chart-ring"
+                    />
+                  ))}
+
+                  <g className="sky-chart-lines">
+                    {chartData.lines.map((line, idx) => (
+                      <line
+                        key={`${line.abbr}-${idx}`}
+                        x1={toSvg(line.x1)}
+                        y1={toSvg(line.y1)}
+                        x2={toSvg(line.x2)}
+                        y2={toSvg(line.y2)}
+                      />
+                    ))}
+                  </g>
+
+                  <g className="sky-chart-constellation-labels">
+                    {chartData.labels
+                      .filter(label => showAllConstellations || label.rank === 1)
+                      .map(label => (
+                        <text key={label.abbr} x={toSvg(label.x)} y={toSvg(label.y)} fontSize={labelSize}>
+                          {label.name}
+                        </text>
+                      ))}
+                  </g>
+
+                  <g className="sky-chart-stars">
+                    {dome.stars.map(star => (
+                      <circle
+                        key={star.hip}
+                        cx={toSvg(star.x)}
+                        cy={toSvg(star.y)}
+                        r={getStarRadius(star.magnitude, view.zoom)}
+                        fill={getStarColor(star.bv)}
+                      />
+                    ))}
+                  </g>
+
+                  <g className="sky-chart-star-labels">
+                    {dome.stars
+                      .filter(star => star.name && star.magnitude < starLabelLimit)
+                      .map(star => (
+                        <text
+                          key={star.hip}
+                          x={toSvg(star.x) + 4 / view.zoom}
+                          y={toSvg(star.y) - 3 / view.zoom}
+                          fontSize={labelSize * 0.85}
+                        >
+                          {star.name}
+                        </text>
+                      ))}
+                  </g>
+
+                  {chartData.planets.map(planet => (
+                    <g key={planet.name} className="sky-chart-planet">
+                      <circle
+                        cx={toSvg(planet.x)}
+                        cy={toSvg(planet.y)}
+                        r={3.5 / Math.sqrt(view.zoom)}
+                        fill={PLANET_COLORS[planet.name]}
+                      />
+                      <text x={toSvg(planet.x) + 5 / view.zoom} y={toSvg(planet.y) + 3 / view.zoom} fontSize={labelSize}>
+                        {planet.name}
+                      </text>
+                    </g>
+                  ))}
+
+                  {chartData.moon && (
+                    <g className="sky-chart-moon">
+                      <circle
+                        cx={toSvg(chartData.moon.x)}
+                        cy={toSvg(chartData.moon.y)}
+                        r={6 / Math.sqrt(view.zoom)}
+                        fillOpacity={0.35 + 0.65 * chartData.moon.illumination}
+                      />
+                      <text x={toSvg(chartData.moon.x) + 8 / view.zoom} y={toSvg(chartData.moon.y) + 3 / view.zoom} fontSize={labelSize}>
+                        Moon
+                      </text>
+                    </g>
+                  )}
+
+                  {selected && (
+                    <circle
+                      cx={toSvg(selected.x)}
+                      cy={toSvg(selected.y)}
+                      r={9 / view.zoom}
+                      className="sky-chart-selection"
+                    />
+                  )}
+                </g>
+
+                <circle cx={CENTER} cy={CENTER} r={RADIUS} className="sky-chart-horizon" />
+
+                {COMPASS_LABELS.map(({ label, azimuth }) => {
+                  const { x, y } = projectAltAz(0, azimuth);
+                  return (
+                    <text
+                      key={label}
+                      x={CENTER + x * (RADIUS + 8)}
+                      y={CENTER + y * (RADIUS + 8)}
+                      fontSize={11 / view.zoom}
+                      className="sky-chart-compass"
+                    >
+                      {label}
+                    </text>
+                  );
+                })}
+              </svg>
+
+              {dome.label && (
+                <figcaption className="sky-chart-dome-caption">
+                  <span className="sky-chart-dome-label">{dome.label}</span>
+                  <span>
+                    {[
+                      typeof dome.limitingMagnitude === 'number' ? `NELM ${dome.limitingMagnitude.toFixed(1)}` : null,
+                      stars.length > 0 ? `${dome.stars.length.toLocaleString()} stars` : null
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                </figcaption>
+              )}
+            </figure>
+          ))}
+        </div>
+
+        <div className="sky-chart-zoom">
+          <button type="button" onClick={() => zoomBy(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM} title="Zoom in">+</button>
+          <button type="button" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM} title="Zoom out">−</button>
+          <button type="button" onClick={() => setView({ zoom: 1, x: CENTER, y: CENTER })} title="Reset view">⟲</button>
+        </div>
+      </div>
+
+      <div className="sky-chart-readout">
+        {selection ? (
+          <>
+            <span className="sky-chart-readout-name">{selection.name}</span>
+            <span className="sky-chart-readout-type">{OBJECT_TYPES[selection.type]}</span>
+            {selected ? (
+              <span>
+                {selection.type === 'moon' && selected.phase ? `${selected.phase}, ` : ''}
+                {selected.magnitude !== undefined && selected.magnitude !== null ? `mag ${selected.magnitude.toFixed(1)}, ` : ''}
+                {selected.altitude.toFixed(1)}° up, {selected.azimuth.toFixed(0)}° azimuth
+              </span>
+            ) : (
+              <span>Below the horizon at this time</span>
+            )}
+            {selected && hiddenIn.length > 0 && (
+              <span className="sky-chart-readout-hidden">Too faint to see from: {hiddenIn.join(', ')}</span>
+            )}
+          </>
+        ) : (
+          <span className="sky-chart-hint">Click a star or planet to identify it. Scroll to zoom, drag to pan.</span>
+        )}
+      </div>
+
+      <div className="sky-chart-time">
+        <label htmlFor="sky-chart-slider">
+          <SiteTime time={chartTime} timeZone={timeZone} homeTimeZone={homeTimeZone} withDate />
+        </label>
+        <input
+          id="sky-chart-slider"
+          type="range"
+          min={0}
+          max={SLIDER_MINUTES}
+          step={SLIDER_STEP_MINUTES}
+          value={Math.min(SLIDER_MINUTES, Math.max(0, sliderValue))}
+          onChange={handleSliderChange}
+        />
+        <div className="sky-chart-time-ends">
+          <span>Noon</span>
+          <span>Midnight</span>
+          <span>Noon</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SkyChart.propTypes = {
+  lat: PropTypes.number.isRequired,
+  lon: PropTypes.number.isRequired,
+  time: PropTypes.instanceOf(Date).isRequired,
+  onTimeChange: PropTypes.func.isRequired,
+  timeZone: PropTypes.string.isRequired,
+  homeTimeZone: PropTypes.string,
+  skies: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string,
+    limitingMagnitude: PropTypes.number
+  }))
+};
+
+export default SkyChart;
@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import {
   getSkyViewability,
   interpretCloudCover,
@@ -6,9 +7,12 @@ import {
   interpretTransparency,
   getStargazingQuality
 } from '../services/skyViewabilityService';
+import { getTimeZone, getHomeTimeZone } from '../services/timezoneService';
+import SiteTime from './SiteTime';
+import TimeZoneToggle from './TimeZoneToggle';
 import './SkyInfoPanel.css';
 
-function SkyInfoPanel({ location, visible, onClose }) {
+function SkyInfoPanel({ location, visible, onClose, showHomeTime = false, onToggleHomeTime }) {
   const [skyData, setSkyData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -39,6 +43,9 @@ function SkyInfoPanel({ location, visible, onClose }) {
 
   if (!visible) return null;
 
+  // Times are shown in the site's timezone, with the user's own alongside on request
+  const timeZone = location?.position ? getTimeZone(location.position[0], location.position[1]) : getHomeTimeZone();
+
   return (
     <div className="sky-info-panel">
       <div className="sky-info-header">
@@ -84,6 +91,8 @@ function SkyInfoPanel({ location, visible, onClose }) {
             </button>
           </div>
 
+          <TimeZoneToggle timeZone={timeZone} showHomeTime={showHomeTime} onToggle={onToggleHomeTime} />
+
           <div className="overall-rating">
             <div className="rating-label">Stargazing Quality</div>
             <div 
@@ -93,6 +102,17 @@ function SkyInfoPanel({ location, visible, onClose }) {
               <span className="rating-emoji">{getStargazingQuality(skyData).emoji}</span>
               <span>{getStargazingQuality(skyData).rating}</span>
             </div>
+            {skyData.forecastTime && (
+              <div className="forecast-time">
+                Forecast for{' '}
+                <SiteTime
+                  time={new Date(skyData.forecastTime)}
+                  timeZone={timeZone}
+                  homeTimeZone={showHomeTime ? getHomeTimeZone() : null}
+                  withDate
+                />
+              </div>
+            )}
           </div>
 
           <div className="sky-metrics">
@@ -190,4 +210,15 @@ function SkyInfoPanel({ location, visible, onClose }) {
   );
 }
 
+SkyInfoPanel.propTypes = {
+  location: PropTypes.shape({
+    name: PropTypes.string,
+    position: PropTypes.arrayOf(PropTypes.number)
+  }),
+  visible: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  showHomeTime: PropTypes.bool,
+  onToggleHomeTime: PropTypes.func
+};
+
 export default SkyInfoPanel;
@@ -0,0 +1,51 @@
+import PropTypes from 'prop-types';
+import {
+  getHomeTimeZone,
+  getTimeZoneAbbreviation,
+  isSameTimeZone
+} from '../services/timezoneService';
+import './TimeZoneToggle.css';
+
+/**
+ * TimeZoneToggle Component
+ * Names the site's timezone that times are shown in, with a switch to show the
+ * user's own time alongside. The switch is hidden when both zones agree.
+ *
+ * @param {string} timeZone - Site timezone (IANA name)
+ * @param {Date} date - Moment the zone names are for (daylight saving)
+ * @param {boolean} showHomeTime - Whether the user's time is shown alongside
+ * @param {Function} onToggle - Called with the new showHomeTime value
+ */
+function TimeZoneToggle({ timeZone, date = null, showHomeTime, onToggle }) {
+  const when = date ?? new Date();
+  const homeTimeZone = getHomeTimeZone();
+  const sameZone = isSameTimeZone(timeZone, homeTimeZone, when);
+
+  return (
+    <div className="timezone-toggle">
+      <span className="timezone-site">
+        🕐 Site time: {timeZone} ({getTimeZoneAbbreviation(timeZone, when)})
+        {sameZone && ' - same as yours'}
+      </span>
+      {!sameZone && onToggle && (
+        <label className="timezone-home">
+          <input
+            type="checkbox"
+            checked={showHomeTime}
+            onChange={(e) => onToggle(e.target.checked)}
+          />
+          Also show my time ({getTimeZoneAbbreviation(homeTimeZone, when)})
+        </label>
+      )}
+    </div>
+  );
+}
+
+TimeZoneToggle.propTypes = {
+  timeZone: PropTypes.string.isRequired,
+  date: PropTypes.instanceOf(Date),
+  showHomeTime: PropTypes.bool,
+  onToggle: PropTypes.func
+};
+
+export default TimeZoneToggle;
@@ -1,18 +1,173 @@
 import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { getAQI, getAQICategory } from '../services/aqiService';
+import { getAQI, getAQICategory, getAQIForecast, hasMeasuredAQI, formatAQI } from '../services/aqiService';
 import { getLightPollution } from '../services/lightPollutionService';
-import { getSkyViewability, getStargazingQuality } from '../services/skyViewabilityService';
-import { getSunTimes, formatTime } from '../services/sunCalculationService';
+import { getSkyViewability, getSkyForecast, getStargazingQuality } from '../services/skyViewabilityService';
+import { getSunTimes, getDarknessNote } from '../services/sunCalculationService';
 import { getBestStargazingTimes } from '../services/stargazingTimeService';
+import { getAerosolForecast, getAOD550FromForecast, calculateAerosolScore, getAerosolLevel } from '../services/aerosolService';
+import AQIForecastStrip from './AQIForecastStrip';
+import { getMoonPhase, getMoonlightPenalty } from '../services/moonService';
+import { getTimeZone, getHomeTimeZone, fromZonedInputValues } from '../services/timezoneService';
+import NightTimeline from './NightTimeline';
+import SiteTime from './SiteTime';
+import TimeZoneToggle from './TimeZoneToggle';
 import './UltimateView.css';
 
-function UltimateView({ location, visible, onClose }) {
+/**
+ * Site midnight at the end of a forecast day, used to look up that night's aerosol forecast
+ * @param {string} dateKey - Forecast day ('YYYY-MM-DD')
+ * @param {string} timeZone - Site timezone
+ * @returns {Date} Midnight following the given day
+ */
+const getNightMidpoint = (dateKey, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return fromZonedInputValues(nextDay, '00:00', timeZone);
+};
+
+const getRating = (score) => {
+  if (score >= 9) return 'Perfect';
+  if (score >= 7.5) return 'Excellent';
+  if (score >= 6) return 'Very Good';
+  if (score >= 4.5) return 'Good';
+  if (score >= 3) return 'Fair';
+  if (score >= 1.5) return 'Poor';
+  return 'Very Poor';
+};
+
+const getScoreColor = (score) => {
+  if (score >= 9) return '#00e400';
+  if (score >= 7.5) return '#4CAF50';
+  if (score >= 6) return '#8BC34A';
+  if (score >= 4.5) return '#FFEB3B';
+  if (score >= 3) return '#FFC107';
+  if (score >= 1.5) return '#FF9800';
+  return '#F44336';
+};
+
+const getScoreEmoji = (score) => {
+  if (score >= 9) return '🌟';
+  if (score >= 7.5) return '⭐';
+  if (score >= 6) return '✨';
+  if (score >= 4.5) return '🌙';
+  if (score >= 3) return '☁️';
+  return '🌧️';
+};
+
+/**
+ * Calculate the comprehensive stargazing score for the scored night
+ * @param {Object} conditions - Site data and the scored night's forecast values
+ * @param {Object} conditions.aqiData - Current AQI data
+ * @param {Object} conditions.lightData - Light pollution data
+ * @param {Object} conditions.skyData - Sky viewability data
+ * @param {Object} conditions.stargazingTimes - Tonight's best stargazing times (twilight, aerosols, moonlight)
+ * @param {Object|null} conditions.scoreForecast - AQI forecast day being scored, or null for current conditions
+ * @param {number|null} conditions.scoreAOD - Aerosol optical depth for the scored night, or null when unavailable
+ * @param {Object} conditions.scoreMoon - Moon phase and moonlight penalty for the scored night
+ * @returns {Object|null} Score breakdown, or null until the site data has loaded
+ */
+const calculateComprehensiveScore = ({
+  aqiData, lightData, skyData, stargazingTimes, scoreForecast, scoreAOD, scoreMoon
+}) => {
+  if (!aqiData || !lightData || !skyData) return null;
+
+  const skyQuality = getStargazingQuality(skyData);
+
+  // Smoke and dust aloft, for the middle of the chosen night (null when unavailable)
+  const aerosolScore = scoreAOD !== null ? calculateAerosolScore(scoreAOD) / 10 : null;
+
+  // Air quality is only scored on a measured AQI (or the forecast for a future night);
+  // estimates and missing data leave it out rather than guessing
+  const aqiValue = scoreForecast ? scoreForecast.aqi : hasMeasuredAQI(aqiData) ? aqiData.aqi : null;
+  const hasAirQuality = typeof aqiValue === 'number';
+
+  // Scoring weights (aerosols take a share only when the forecast is available)
+  let weights = aerosolScore === null ? {
+    lightPollution: 0.40,  // 40% - Most important for stargazing
+    skyConditions: 0.35,   // 35% - Cloud cover, seeing, transparency
+    airQuality: 0.25,      // 25% - Impacts visibility
+    aerosols: 0
+  } : {
+    lightPollution: 0.35,  // 35% - Most important for stargazing
+    skyConditions: 0.30,   // 30% - Cloud cover, seeing, transparency
+    airQuality: 0.15,      // 15% - Surface haze
+    aerosols: 0.20         // 20% - Smoke and dust aloft, missed by surface AQI
+  };
+
+  // Without air quality data its share is spread over the other factors
+  if (!hasAirQuality) {
+    const remaining = 1 - weights.airQuality;
+    weights = {
+      lightPollution: weights.lightPollution / remaining,
+      skyConditions: weights.skyConditions / remaining,
+      airQuality: 0,
+      aerosols: weights.aerosols / remaining
+    };
+  }
+
+  // Light pollution score (1-10, inverted Bortle scale); a twilit summer night
+  // can't be darker than its twilight allows
+  const bortleClass = Math.max(lightData.bortleClass, stargazingTimes?.skyBortleClass ?? 0);
+  const lightScore = (10 - bortleClass) * 1.11; // Normalize to 0-10
+
+  // Moonlight brightens the sky too, so it comes off the light pollution share
+  const darknessScore = Math.max(0, lightScore - scoreMoon.penalty * 10);
+
+  // Sky conditions score (based on stargazing quality rating)
+  const skyScoreMap = {
+    'Excellent': 10,
+    'Very Good': 8.5,
+    'Good': 7,
+    'Fair': 5,
+    'Poor': 3,
+    'Very Poor': 1
+  };
+  const skyScore = skyScoreMap[skyQuality.rating] || 5;
+
+  // Air quality score (inverted AQI, normalized), from the forecast for a future night
+  let aqiScore = null;
+  if (hasAirQuality) {
+    if (aqiValue <= 50) aqiScore = 10;
+    else if (aqiValue <= 100) aqiScore = 8;
+    else if (aqiValue <= 150) aqiScore = 5;
+    else if (aqiValue <= 200) aqiScore = 3;
+    else aqiScore = 1;
+  }
+
+  // Calculate weighted score
+  const totalScore = (
+    darknessScore * weights.lightPollution +
+    skyScore * weights.skyConditions +
+    (aqiScore ?? 0) * weights.airQuality +
+    (aerosolScore ?? 0) * weights.aerosols
+  );
+
+  return {
+    total: totalScore.toFixed(1),
+    lightScore: lightScore.toFixed(1),
+    darknessScore: darknessScore.toFixed(1),
+    moonPenalty: (scoreMoon.penalty * 10).toFixed(1),
+    skyScore: skyScore.toFixed(1),
+    aqiScore: aqiScore !== null ? aqiScore.toFixed(1) : null,
+    aerosolScore: aerosolScore !== null ? aerosolScore.toFixed(1) : null,
+    weights,
+    rating: getRating(totalScore),
+    color: getScoreColor(totalScore),
+    emoji: getScoreEmoji(totalScore)
+  };
+};
+
+function UltimateView({ location, visible, onClose, onSelectTime, showHomeTime = false, onToggleHomeTime }) {
   const [aqiData, setAqiData] = useState(null);
   const [lightData, setLightData] = useState(null);
   const [skyData, setSkyData] = useState(null);
+  const [skyForecast, setSkyForecast] = useState(null);
+  const [aerosolData, setAerosolData] = useState(null);
   const [sunData, setSunData] = useState(null);
   const [stargazingTimes, setStargazingTimes] = useState(null);
+  // Forecast day ('YYYY-MM-DD') the air quality score is for; null means current conditions
+  const [scoreDate, setScoreDate] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -21,27 +176,32 @@ function UltimateView({ location, visible, onClose }) {
 
     setLoading(true);
     setError(null);
+    setScoreDate(null);
 
     try {
       const [lat, lon] = location.position;
       
       // Fetch all data in parallel
-      const [aqi, light, sky] = await Promise.all([
+      const [aqi, light, sky, skyForecast, aerosol] = await Promise.all([
         getAQI(lat, lon),
         getLightPollution(lat, lon),
-        getSkyViewability(lat, lon)
+        getSkyViewability(lat, lon),
+        getSkyForecast(lat, lon),
+        getAerosolForecast(lat, lon)
       ]);
 
       setAqiData(aqi);
       setLightData(light);
       setSkyData(sky);
+      setSkyForecast(skyForecast);
+      setAerosolData(aerosol);
       
       // Calculate sun times
       const sun = getSunTimes(lat, lon);
       setSunData(sun);
       
       // Calculate best stargazing times
-      const stargazing = getBestStargazingTimes(lat, lon, sky, light);
+      const stargazing = getBestStargazingTimes(lat, lon, sky, light, new Date(), aerosol, skyForecast);
       setStargazingTimes(stargazing);
     } catch (err) {
       console.error('Error fetching comprehensive data:', err);
@@ -57,90 +217,6 @@ function UltimateView({ location, visible, onClose }) {
     }
   }, [location, visible, fetchAllData]);
 
-  // Calculate comprehensive stargazing score
-  const calculateComprehensiveScore = () => {
-    if (!aqiData || !lightData || !skyData) return null;
-
-    const skyQuality = getStargazingQuality(skyData);
-
-    // Scoring weights
-    const weights = {
-      lightPollution: 0.40,  // 40% - Most important for stargazing
-      skyConditions: 0.35,   // 35% - Cloud cover, seeing, transparency
-      airQuality: 0.25       // 25% - Impacts visibility
-    };
-
-    // Light pollution score (1-10, inverted Bortle scale)
-    const lightScore = (10 - lightData.bortleClass) * 1.11; // Normalize to 0-10
-
-    // Sky conditions score (based on stargazing quality rating)
-    const skyScoreMap = {
-      'Excellent': 10,
-      'Very Good': 8.5,
-      'Good': 7,
-      'Fair': 5,
-      'Poor': 3,
-      'Very Poor': 1
-    };
-    const skyScore = skyScoreMap[skyQuality.rating] || 5;
-
-    // Air quality score (inverted AQI, normalized)
-    let aqiScore = 10;
-    if (aqiData.aqi !== 'N/A') {
-      if (aqiData.aqi <= 50) aqiScore = 10;
-      else if (aqiData.aqi <= 100) aqiScore = 8;
-      else if (aqiData.aqi <= 150) aqiScore = 5;
-      else if (aqiData.aqi <= 200) aqiScore = 3;
-      else aqiScore = 1;
-    }
-
-    // Calculate weighted score
-    const totalScore = (
-      lightScore * weights.lightPollution +
-      skyScore * weights.skyConditions +
-      aqiScore * weights.airQuality
-    );
-
-    return {
-      total: totalScore.toFixed(1),
-      lightScore: lightScore.toFixed(1),
-      skyScore: skyScore.toFixed(1),
-      aqiScore: aqiScore.toFixed(1),
-      rating: getRating(totalScore),
-      color: getScoreColor(totalScore),
-      emoji: getScoreEmoji(totalScore)
-    };
-  };
-
-  const getRating = (score) => {
-    if (score >= 9) return 'Perfect';
-    if (score >= 7.5) return 'Excellent';
-    if (score >= 6) return 'Very Good';
-    if (score >= 4.5) return 'Good';
-    if (score >= 3) return 'Fair';
-    if (score >= 1.5) return 'Poor';
-    return 'Very Poor';
-  };
-
-  const getScoreColor = (score) => {
-    if (score >= 9) return '#00e400';
-    if (score >= 7.5) return '#4CAF50';
-    if (score >= 6) return '#8BC34A';
-    if (score >= 4.5) return '#FFEB3B';
-    if (score >= 3) return '#FFC107';
-    if (score >= 1.5) return '#FF9800';
-    return '#F44336';
-  };
-
-  const getScoreEmoji = (score) => {
-    if (score >= 9) return '🌟';
-    if (score >= 7.5) return '⭐';
-    if (score >= 6) return '✨';
-    if (score >= 4.5) return '🌙';
-    if (score >= 3) return '☁️';
-    return '🌧️';
-  };
-
   const getFactorColor = (score) => {
     if (score >= 80) return '#4CAF50';
     if (score >= 60) return '#8BC34A';
@@ -151,8 +227,28 @@ function UltimateView({ location, visible, onClose }) {
 
   if (!visible) return null;
 
-  const comprehensiveScore = calculateComprehensiveScore();
-  const aqiCategory = aqiData ? getAQICategory(aqiData.aqi) : null;
+  // Times are shown in the site's timezone, with the user's own alongside on request
+  const timeZone = location?.position ? getTimeZone(location.position[0], location.position[1]) : getHomeTimeZone();
+  const homeTimeZone = showHomeTime ? getHomeTimeZone() : null;
+
+  const forecastDays = aqiData ? getAQIForecast(aqiData) : [];
+  const scoreForecast = scoreDate ? forecastDays.find(day => day.date === scoreDate) : null;
+  const scoreAOD = scoreForecast
+    ? getAOD550FromForecast(aerosolData, getNightMidpoint(scoreForecast.date, timeZone))
+    : stargazingTimes?.aod550 ?? null;
+  // Moonlight over the scored night: averaged over tonight's dark hours, or at the middle of a forecast night
+  const scoreMoonTime = scoreForecast ? getNightMidpoint(scoreForecast.date, timeZone) : new Date();
+  const scoreMoon = {
+    phase: getMoonPhase(scoreMoonTime),
+    penalty: scoreForecast && location?.position
+      ? getMoonlightPenalty(location.position[0], location.position[1], scoreMoonTime, lightData?.sqm).penalty
+      : stargazingTimes?.moon?.meanPenalty ?? 0
+  };
+  const comprehensiveScore = calculateComprehensiveScore({
+    aqiData, lightData, skyData, stargazingTimes, scoreForecast, scoreAOD, scoreMoon
+  });
+  const aqiCategory = aqiData?.hasData ? getAQICategory(aqiData.aqi) : null;
+  const siteTime = (time) => <SiteTime time={time} timeZone={timeZone} homeTimeZone={homeTimeZone} />;
 
   return (
     <div className="ultimate-view-panel">
@@ -199,6 +295,8 @@ function UltimateView({ location, visible, onClose }) {
             </button>
           </div>
 
+          <TimeZoneToggle timeZone={timeZone} showHomeTime={showHomeTime} onToggle={onToggleHomeTime} />
+
           {/* Overall Stargazing Score */}
           <div className="ultimate-score-display" style={{ borderColor: comprehensiveScore.color }}>
             <div className="score-icon">{comprehensiveScore.emoji}</div>
@@ -214,6 +312,26 @@ function UltimateView({ location, visible, onClose }) {
             </div>
           </div>
 
+          {/* Night selector: air quality forecast for planning ahead */}
+          {forecastDays.length > 0 && (
+            <div className="score-forecast">
+              <div className="section-title">
+                <span className="section-icon">📅</span>
+                Plan Ahead
+              </div>
+              <AQIForecastStrip
+                days={forecastDays}
+                selectedDate={scoreDate ?? forecastDays.find(day => day.isToday)?.date}
+                onSelectDay={(day) => setScoreDate(day.isToday ? null : day.date)}
+              />
+              <div className="score-forecast-note">
+                {scoreForecast
+                  ? `Air quality and aerosol scores use the ${scoreForecast.date} forecast (AQI ${Math.round(scoreForecast.aqi)}). Light pollution and sky conditions are for tonight.`
+                  : 'Select a day to score it with the forecast air quality.'}
+              </div>
+            </div>
+          )}
+
           {/* Score Breakdown */}
           <div className="score-breakdown">
             <div className="section-title">
@@ -224,26 +342,30 @@ function UltimateView({ location, visible, onClose }) {
             <div className="breakdown-item">
               <div className="breakdown-label">
                 <span className="breakdown-icon">🌌</span>
-                Light Pollution
-                <span className="weight-badge">40%</span>
+                Light Pollution & Moonlight
+                <span className="weight-badge">{Math.round(comprehensiveScore.weights.lightPollution * 100)}%</span>
               </div>
               <div className="breakdown-bar-container">
                 <div 
                   className="breakdown-bar" 
                   style={{ 
-                    width: `${comprehensiveScore.lightScore * 10}%`,
-                    backgroundColor: getScoreColor(comprehensiveScore.lightScore)
+                    width: `${comprehensiveScore.darknessScore * 10}%`,
+                    backgroundColor: getScoreColor(comprehensiveScore.darknessScore)
                   }}
                 ></div>
               </div>
-              <div className="breakdown-value">{comprehensiveScore.lightScore}/10</div>
+              <div className="breakdown-value">
+                {comprehensiveScore.darknessScore}/10
+                {comprehensiveScore.moonPenalty > 0 &&
+                  ` (site ${comprehensiveScore.lightScore}, moonlight −${comprehensiveScore.moonPenalty})`}
+              </div>
             </div>
 
             <div className="breakdown-item">
               <div className="breakdown-label">
                 <span className="breakdown-icon">☁️</span>
                 Sky Conditions
-                <span className="weight-badge">35%</span>
+                <span className="weight-badge">{Math.round(comprehensiveScore.weights.skyConditions * 100)}%</span>
               </div>
               <div className="breakdown-bar-container">
                 <div 
@@ -260,20 +382,46 @@ function UltimateView({ location, visible, onClose }) {
             <div className="breakdown-item">
               <div className="breakdown-label">
                 <span className="breakdown-icon">🌫️</span>
-                Air Quality
-                <span className="weight-badge">25%</span>
+                Air Quality{scoreForecast && ' (forecast)'}
+                <span className="weight-badge">{Math.round(comprehensiveScore.weights.airQuality * 100)}%</span>
               </div>
               <div className="breakdown-bar-container">
-                <div 
-                  className="breakdown-bar" 
-                  style={{ 
-                    width: `${comprehensiveScore.aqiScore * 10}%`,
-                    backgroundColor: getScoreColor(comprehensiveScore.aqiScore)
-                  }}
-                ></div>
+                {comprehensiveScore.aqiScore !== null && (
+                  <div 
+                    className="breakdown-bar" 
+                    style={{ 
+                      width: `${comprehensiveScore.aqiScore * 10}%`,
+                      backgroundColor: getScoreColor(comprehensiveScore.aqiScore)
+                    }}
+                  ></div>
+                )}
+              </div>
+              <div className="breakdown-value">
+                {comprehensiveScore.aqiScore !== null
+                  ? `${comprehensiveScore.aqiScore}/10`
+                  : aqiData.isEstimate ? 'Estimate - not scored' : 'No data - not scored'}
               </div>
-              <div className="breakdown-value">{comprehensiveScore.aqiScore}/10</div>
             </div>
+
+            {comprehensiveScore.aerosolScore !== null && (
+              <div className="breakdown-item">
+                <div className="breakdown-label">
+                  <span className="breakdown-icon">💨</span>
+                  Smoke & Aerosols{scoreForecast && ' (forecast)'}
+                  <span className="weight-badge">{Math.round(comprehensiveScore.weights.aerosols * 100)}%</span>
+                </div>
+                <div className="breakdown-bar-container">
+                  <div 
+                    className="breakdown-bar" 
+                    style={{ 
+                      width: `${comprehensiveScore.aerosolScore * 10}%`,
+                      backgroundColor: getScoreColor(comprehensiveScore.aerosolScore)
+                    }}
+                  ></div>
+                </div>
+                <div className="breakdown-value">{comprehensiveScore.aerosolScore}/10</div>
+              </div>
+            )}
           </div>
 
           {/* Quick Summary Cards */}
@@ -292,9 +440,27 @@ function UltimateView({ location, visible, onClose }) {
 
             <div className="summary-card">
               <div className="summary-title">Air Quality</div>
-              <div className="summary-value">{aqiData.aqi}</div>
-              <div className="summary-detail">{aqiCategory.level}</div>
+              <div className="summary-value">{formatAQI(aqiData.aqi, aqiData.isEstimate)}</div>
+              <div className="summary-detail">
+                {aqiCategory ? aqiCategory.level : 'Not measured'}
+              </div>
             </div>
+
+            <div className="summary-card">
+              <div className="summary-title">Moon{scoreForecast && ' (forecast night)'}</div>
+              <div className="summary-value">
+                {scoreMoon.phase.emoji} {Math.round(scoreMoon.phase.illumination * 100)}%
+              </div>
+              <div className="summary-detail">{scoreMoon.phase.name}</div>
+            </div>
+
+            {scoreAOD !== null && (
+              <div className="summary-card">
+                <div className="summary-title">Smoke Aloft</div>
+                <div className="summary-value">AOD {scoreAOD.toFixed(2)}</div>
+                <div className="summary-detail">{getAerosolLevel(scoreAOD).level}</div>
+              </div>
+            )}
           </div>
 
           {/* Sunrise & Sunset Times */}
@@ -307,21 +473,44 @@ function UltimateView({ location, visible, onClose }) {
               <div className="sun-times-grid">
                 <div className="sun-time-card">
                   <div className="sun-time-label">🌅 Sunrise</div>
-                  <div className="sun-time-value">{formatTime(sunData.sunrise)}</div>
+                  <div className="sun-time-value">{siteTime(sunData.sunrise)}</div>
                 </div>
                 <div className="sun-time-card">
                   <div className="sun-time-label">🌇 Sunset</div>
-                  <div className="sun-time-value">{formatTime(sunData.sunset)}</div>
+                  <div className="sun-time-value">{siteTime(sunData.sunset)}</div>
                 </div>
                 <div className="sun-time-card">
                   <div className="sun-time-label">🌌 Astro Dusk</div>
-                  <div className="sun-time-value">{formatTime(sunData.astronomicalTwilight.dusk)}</div>
+                  <div className="sun-time-value">{siteTime(sunData.astronomicalTwilight.dusk)}</div>
                 </div>
                 <div className="sun-time-card">
                   <div className="sun-time-label">🌄 Astro Dawn</div>
-                  <div className="sun-time-value">{formatTime(sunData.astronomicalTwilight.dawn)}</div>
+                  <div className="sun-time-value">{siteTime(sunData.astronomicalTwilight.dawn)}</div>
                 </div>
               </div>
+              {getDarknessNote(sunData) && (
+                <div className="sun-darkness-note">{getDarknessNote(sunData)}</div>
+              )}
+            </div>
+          )}
+
+          {/* Night Timeline */}
+          {stargazingTimes && (
+            <div className="night-timeline-section">
+              <div className="section-title">
+                <span className="section-icon">🕰️</span>
+                Tonight Hour by Hour
+              </div>
+              <NightTimeline
+                lat={location.position[0]}
+                lon={location.position[1]}
+                sunTimes={stargazingTimes.sunTimes}
+                skyForecast={skyForecast}
+                hourly={stargazingTimes.hourly}
+                timeZone={timeZone}
+                homeTimeZone={homeTimeZone}
+                onSelectTime={onSelectTime}
+              />
             </div>
           )}
 
@@ -346,6 +535,8 @@ function UltimateView({ location, visible, onClose }) {
                   </div>
                   <div className="quality-score">
                     Viewing Quality: {stargazingTimes.overallQuality}/100
+                    {stargazingTimes.scoringMode === 'hourly' &&
+                      ` (average of ${stargazingTimes.hourly.length} dark hours)`}
                   </div>
                 </div>
               </div>
@@ -355,7 +546,7 @@ function UltimateView({ location, visible, onClose }) {
                   <h5>⭐ Optimal Viewing Window</h5>
                   <div className="time-window-details">
                     <div className="window-time">
-                      {formatTime(stargazingTimes.timeWindows.optimal.start)} - {formatTime(stargazingTimes.timeWindows.optimal.end)}
+                      {siteTime(stargazingTimes.timeWindows.optimal.start)} - {siteTime(stargazingTimes.timeWindows.optimal.end)}
                     </div>
                     <div className="window-duration">
                       Duration: {stargazingTimes.timeWindows.optimal.duration}
@@ -367,6 +558,35 @@ function UltimateView({ location, visible, onClose }) {
                 </div>
               )}
 
+              {/* Moon-free dark windows */}
+              {stargazingTimes.moon && (
+                <div className="moon-windows">
+                  <h5>{stargazingTimes.moon.phase.emoji} Moon-free Dark Windows</h5>
+                  <div className="moon-rise-set">
+                    <span>Moonrise: {siteTime(stargazingTimes.moon.riseSet.rise)}</span>
+                    <span>Moonset: {siteTime(stargazingTimes.moon.riseSet.set)}</span>
+                  </div>
+                  {stargazingTimes.moon.isMoonFreeAllNight ? (
+                    <div className="window-description">
+                      The Moon stays out of the sky for the whole astronomical night
+                    </div>
+                  ) : stargazingTimes.moon.moonFreeWindows.length > 0 ? (
+                    <ul className="moon-window-list">
+                      {stargazingTimes.moon.moonFreeWindows.map(window => (
+                        <li key={window.start.getTime()}>
+                          {siteTime(window.start)} - {siteTime(window.end)}
+                          <span className="window-duration"> ({Math.floor(window.minutes / 60)}h {window.minutes % 60}m)</span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="window-description">
+                      The Moon is up throughout the astronomical night
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Quality Factors */}
               <div className="quality-factors">
                 <h5>Conditions Breakdown</h5>
@@ -396,6 +616,19 @@ function UltimateView({ location, visible, onClose }) {
                   </div>
                   <span className="factor-value">{stargazingTimes.scores.lightPollution}/100</span>
                 </div>
+                <div className="factor-item">
+                  <span className="factor-label">🌙 Moonlight</span>
+                  <div className="factor-bar-container">
+                    <div 
+                      className="factor-bar" 
+                      style={{ 
+                        width: `${stargazingTimes.scores.moonlight}%`,
+                        backgroundColor: getFactorColor(stargazingTimes.scores.moonlight)
+                      }}
+                    ></div>
+                  </div>
+                  <span className="factor-value">{stargazingTimes.scores.moonlight}/100</span>
+                </div>
                 <div className="factor-item">
                   <span className="factor-label">💧 Humidity</span>
                   <div className="factor-bar-container">
@@ -422,6 +655,21 @@ function UltimateView({ location, visible, onClose }) {
                   </div>
                   <span className="factor-value">{stargazingTimes.scores.transparency}/100</span>
                 </div>
+                {stargazingTimes.scores.aerosol !== null && (
+                  <div className="factor-item">
+                    <span className="factor-label">💨 Smoke & Aerosols</span>
+                    <div className="factor-bar-container">
+                      <div 
+                        className="factor-bar" 
+                        style={{ 
+                          width: `${stargazingTimes.scores.aerosol}%`,
+                          backgroundColor: getFactorColor(stargazingTimes.scores.aerosol)
+                        }}
+                      ></div>
+                    </div>
+                    <span className="factor-value">{Math.round(stargazingTimes.scores.aerosol)}/100</span>
+                  </div>
+                )}
               </div>
 
               {/* Recommendations */}
@@ -481,11 +729,17 @@ function UltimateView({ location, visible, onClose }) {
               <h5>Air Quality</h5>
               <div className="metric-row">
                 <span>AQI Level:</span>
-                <span style={{ color: aqiCategory.color }}>{aqiCategory.level}</span>
+                {aqiCategory ? (
+                  <span style={{ color: aqiCategory.color }}>
+                    {aqiCategory.level}{aqiData.isEstimate && ' (estimate)'}
+                  </span>
+                ) : (
+                  <span>No data</span>
+                )}
               </div>
               <div className="metric-row">
                 <span>Visibility Impact:</span>
-                <span>{aqiCategory.stargazingImpact}</span>
+                <span>{aqiCategory ? aqiCategory.stargazingImpact : 'Unknown'}</span>
               </div>
             </div>
           </div>
@@ -536,7 +790,7 @@ function UltimateView({ location, visible, onClose }) {
 
           <div className="data-sources">
             <small>
-              Data from: {aqiData.source} • {lightData.source} • {skyData.source}
+              Data from: {aqiData.source || 'No AQI data'} • {lightData.source} • {skyData.source}
             </small>
           </div>
 
@@ -555,7 +809,10 @@ UltimateView.propTypes = {
     position: PropTypes.arrayOf(PropTypes.number)
   }),
   visible: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired
+  onClose: PropTypes.func.isRequired,
+  onSelectTime: PropTypes.func,
+  showHomeTime: PropTypes.bool,
+  onToggleHomeTime: PropTypes.func
 };
 
 export default UltimateView;
@@ -0,0 +1,8887 @@
+/**
+ * Hipparcos stars to magnitude 6.5, brightest first
+ * Generated by generate-bright-stars.js from the d3-celestial data files
+ * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.
+ *
+ * Each star is [hip, ra, dec, magnitude, bv, name?]:
+ * - hip: Hipparcos catalogue number
+ * - ra, dec: J2000, RA in hours and Dec in degrees
+ * - bv: B-V colour index (null when unknown)
+ * - name: proper name or Bayer/Flamsteed designation, when there is one
+ */
+export const BRIGHT_STARS = [
+  [32349,6.7525,-16.716,-1.44,0.01,"Sirius"],
+  [30438,6.3992,-52.696,-0.62,0.16,"Canopus"],
+  [69673,14.261,19.182,-0.05,1.24,"Arcturus"],
+  [71683,14.6601,-60.834,-0.01,0.71,"Rigil Kentaurus"],
+  [91262,18.6156,38.784,0.03,0,"Vega"],
+  [24608,5.2782,45.998,0.08,0.8,"Capella"],
+  [24436,5.2423,-8.202,0.18,-0.03,"Rigel"],
+  [37279,7.655,5.225,0.4,0.43,"Procyon"],
+  [7588,1.6286,-57.237,0.45,-0.16,"Achernar"],
+  [27989,5.9195,7.407,0.45,1.5,"Betelgeuse"],
+  [68702,14.0637,-60.373,0.61,-0.23,"Hadar"],
+  [97649,19.8464,8.868,0.76,0.22,"Altair"],
+  [60718,12.4433,-63.099,0.77,-0.24,"Acrux"],
+  [21421,4.5987,16.509,0.87,1.54,"Aldebaran"],
+  [65474,13.4199,-11.161,0.98,-0.23,"Spica"],
+  [80763,16.4901,-26.432,1.06,1.86,"Antares"],
+  [37826,7.7553,28.026,1.16,0.99,"Pollux"],
+  [113368,22.9608,-29.622,1.17,0.14,"Fomalhaut"],
+  [62434,12.7954,-59.689,1.25,-0.24,"Mimosa"],
+  [102098,20.6905,45.28,1.25,0.09,"Deneb"],
+  [71681,14.6597,-60.837,1.35,0.9,"Toliman"],
+  [49669,10.1395,11.967,1.36,-0.09,"Regulus"],
+  [33579,6.9771,-28.972,1.5,-0.21,"Adhara"],
+  [36850,7.5766,31.888,1.58,0.03,"Castor"],
+  [61084,12.5194,-57.113,1.59,1.6,"Gacrux"],
+  [85927,17.5601,-37.104,1.62,-0.23,"Shaula"],
+  [25336,5.4189,6.35,1.64,-0.22,"Bellatrix"],
+  [25428,5.4382,28.608,1.65,-0.13,"Elnath"],
+  [45238,9.22,-69.717,1.67,0.07,"Miaplacidus"],
+  [26311,5.6036,-1.202,1.69,-0.18,"Alnilam"],
+  [109268,22.1372,-46.961,1.73,-0.07,"Alnair"],
+  [26727,5.6793,-1.943,1.74,-0.2,"Alnitak"],
+  [39953,8.1589,-47.337,1.75,-0.14,"Regor"],
+  [62956,12.9005,55.96,1.76,-0.02,"Alioth"],
+  [15863,3.4054,49.861,1.79,0.48,"Mirfak"],
+  [90185,18.4029,-34.385,1.79,-0.03,"Kaus Australis"],
+  [54061,11.0621,61.751,1.81,1.06,"Dubhe"],
+  [34444,7.1399,-26.393,1.83,0.67,"Wezen"],
+  [67301,13.7923,49.313,1.85,-0.1,"Alkaid"],
+  [41037,8.3752,-59.51,1.86,1.2,"Avior"],
+  [86228,17.622,-42.998,1.86,0.41,"Sargas"],
+  [28360,5.9921,44.947,1.9,0.08,"Menkalinan"],
+  [82273,16.8111,-69.028,1.91,1.45,"Atria"],
+  [31681,6.6285,16.399,1.93,0,"Alhena"],
+  [42913,8.7451,-54.709,1.93,0.04,"Alsephina"],
+  [100751,20.4275,-56.735,1.94,-0.12,"Peacock"],
+  [11767,2.5303,89.264,1.97,0.64,"Polaris"],
+  [30324,6.3783,-17.956,1.98,-0.24,"Mirzam"],
+  [46390,9.4598,-8.659,1.99,1.44,"Alphard"],
+  [9884,2.1196,23.462,2.01,1.15,"Hamal"],
+  [50583,10.3329,19.841,2.01,1.13,"Algieba"],
+  [3419,0.7265,-17.987,2.04,1.02,"Diphda"],
+  [92855,18.9211,-26.297,2.05,-0.13,"Nunki"],
+  [68933,14.1114,-36.37,2.06,1.01,"Menkent"],
+  [677,0.1398,29.09,2.07,-0.04,"Alpheratz"],
+  [5447,1.1622,35.621,2.07,1.58,"Mirach"],
+  [27366,5.7959,-9.67,2.07,-0.17,"Saiph"],
+  [72607,14.8451,74.156,2.07,1.47,"Kochab"],
+  [112122,22.7111,-46.885,2.07,1.61,"Tiaki"],
+  [86032,17.5822,12.56,2.08,0.15,"Rasalhague"],
+  [14576,3.1361,40.956,2.09,0,"Algol"],
+  [9640,2.065,42.33,2.1,1.37,"Almach"],
+  [57632,11.8177,14.572,2.14,0.09,"Denebola"],
+  [4427,0.9451,60.717,2.15,-0.05,"Navi"],
+  [61932,12.692,-48.96,2.2,-0.02,"Muhlifain"],
+  [39429,8.0597,-40.003,2.21,-0.27,"Naos"],
+  [45556,9.2848,-59.275,2.21,0.19,"Aspidiske"],
+  [76267,15.5781,26.715,2.22,0.03,"Alphecca"],
+  [44816,9.1333,-43.433,2.23,1.67,"Suhail"],
+  [65378,13.3988,54.925,2.23,0.06,"Mizar"],
+  [100453,20.3705,40.257,2.23,0.67,"Sadr"],
+  [3179,0.6751,56.537,2.24,1.17,"Shedar"],
+  [87833,17.9434,51.489,2.24,1.52,"Eltanin"],
+  [25930,5.5334,-0.299,2.25,-0.17,"Mintaka"],
+  [746,0.153,59.15,2.28,0.38,"Caph"],
+  [66657,13.6648,-53.466,2.29,-0.17,"ε Cen"],
+  [78401,16.0056,-22.622,2.29,-0.12,"Dschubba"],
+  [82396,16.8361,-34.293,2.29,1.14,"Larawag"],
+  [71860,14.6988,-47.388,2.3,-0.15,"Men"],
+  [71352,14.5918,-42.158,2.33,-0.16,"η Cen"],
+  [53910,11.0307,56.382,2.34,0.03,"Merak"],
+  [72105,14.7498,27.074,2.35,0.97,"Izar"],
+  [107315,21.7364,9.875,2.38,1.52,"Enif"],
+  [86670,17.7081,-39.03,2.39,-0.17,"Mula"],
+  [2081,0.4381,-42.306,2.4,1.08,"Ankaa"],
+  [58001,11.8972,53.695,2.41,0.04,"Phecda"],
+  [84012,17.173,-15.725,2.43,0.06,"Sabik"],
+  [113881,23.0629,28.083,2.44,1.66,"Scheat"],
+  [35904,7.4016,-29.303,2.45,-0.08,"Aludra"],
+  [105199,21.3097,62.586,2.45,0.26,"Alderamin"],
+  [45941,9.3686,-55.011,2.47,-0.14,"Markeb"],
+  [102488,20.7702,33.97,2.48,1.02,"Aljanah"],
+  [113963,23.0793,15.205,2.49,0,"Markab"],
+  [14135,3.038,4.09,2.54,1.63,"Menkar"],
+  [81377,16.6193,-10.567,2.54,0.04,"Saik"],
+  [68002,13.9257,-47.288,2.55,-0.18,"Alnair"],
+  [54872,11.2351,20.524,2.56,0.13,"Zosma"],
+  [78820,16.0906,-19.805,2.56,-0.07,"Acrab"],
+  [25985,5.5455,-17.822,2.58,0.21,"Arneb"],
+  [59196,12.1393,-50.722,2.58,-0.13,"δ Cen"],
+  [59803,12.2634,-17.542,2.58,-0.11,"Gienah"],
+  [93506,19.0435,-29.88,2.6,0.06,"Ascella"],
+  [74785,15.2834,-9.383,2.61,-0.07,"Zubeneschamali"],
+  [77070,15.7378,6.426,2.63,1.17,"Unukalhai"],
+  [8903,1.9107,20.808,2.64,0.17,"Sheratan"],
+  [26634,5.6608,-34.074,2.65,-0.12,"Phact"],
+  [28380,5.9954,37.213,2.65,-0.08,"Mahasim"],
+  [61359,12.5731,-23.397,2.65,0.89,"Kraz"],
+  [6686,1.4303,60.235,2.66,0.16,"Ruchbah"],
+  [67927,13.9114,18.398,2.68,0.58,"Muphrid"],
+  [73273,14.9755,-43.134,2.68,-0.18,"KeKouan"],
+  [23015,4.9499,33.166,2.69,1.49,"Hassaleh"],
+  [52727,10.7795,-49.42,2.69,0.9,"μ Vel"],
+  [61585,12.6197,-69.136,2.69,-0.18,"α Mus"],
+  [85696,17.5127,-37.296,2.7,-0.18,"Lesath"],
+  [35264,7.2857,-37.097,2.71,1.62,"π Pup"],
+  [89931,18.3499,-29.828,2.72,1.38,"Kaus Media"],
+  [97278,19.771,10.613,2.72,1.51,"Tarazed"],
+  [79593,16.2391,-3.694,2.73,1.58,"Yed Prior"],
+  [80331,16.3999,61.514,2.73,0.91,"Athebyne"],
+  [52419,10.7159,-64.394,2.74,-0.22,"θ Car"],
+  [61941,12.6943,-1.449,2.74,0.37,"Porrima"],
+  [26241,5.5906,-5.91,2.75,-0.21,"Hatysa"],
+  [65109,13.3433,-36.712,2.75,0.07,"ι Cen"],
+  [72622,14.848,-16.042,2.75,0.15,"Zubenelgenubi"],
+  [86742,17.7245,4.567,2.76,1.17,"Cebalrai"],
+  [23875,5.1308,-5.086,2.78,0.16,"Cursa"],
+  [80816,16.5037,21.49,2.78,0.95,"Kornephoros"],
+  [84345,17.2441,14.39,2.78,1.16,"Rasalgethi"],
+  [59747,12.2524,-58.749,2.79,-0.19,"Imai"],
+  [85670,17.5072,52.301,2.79,0.95,"Rastaban"],
+  [76297,15.5857,-41.167,2.8,-0.22,"γ Lup"],
+  [25606,5.4708,-20.759,2.81,0.81,"Nihal"],
+  [81693,16.6881,31.603,2.81,0.65,"Rutilicus"],
+  [2021,0.4292,-77.254,2.82,0.62,"β Hyi"],
+  [81266,16.598,-28.216,2.82,-0.21,"Paikauhale"],
+  [90496,18.4662,-25.422,2.82,1.02,"Kaus Borealis"],
+  [1067,0.2206,15.184,2.83,-0.19,"Algenib"],
+  [39757,8.1257,-24.304,2.83,0.46,"Tureis"],
+  [77952,15.919,-63.431,2.83,0.32,"β TrA"],
+  [18246,3.9022,31.884,2.84,0.27,"Atik"],
+  [85258,17.4217,-55.53,2.84,1.48,"β Ara"],
+  [85792,17.5307,-49.876,2.84,-0.14,"Choo"],
+  [17702,3.7914,24.105,2.85,-0.09,"Alcyone"],
+  [63608,13.0363,10.959,2.85,0.93,"Vindemiatrix"],
+  [107556,21.784,-16.127,2.85,0.18,"Deneb Algedi"],
+  [9236,1.9795,-61.57,2.86,0.29,"α Hyi"],
+  [97165,19.7496,45.131,2.86,0,"Fawaris"],
+  [30343,6.3827,22.514,2.87,1.62,"Tejat"],
+  [74946,15.3152,-68.68,2.87,0.01,"γ TrA"],
+  [110130,22.3084,-60.26,2.87,1.39,"α Tuc"],
+  [13847,2.971,-40.305,2.88,0.13,"Acamar"],
+  [94141,19.1627,-21.024,2.88,0.38,"Albaldah"],
+  [36188,7.4525,8.289,2.89,-0.1,"Gomeisa"],
+  [63125,12.9338,38.318,2.89,-0.12,"Cor Caroli"],
+  [78265,15.9809,-26.114,2.89,-0.18,"Fang"],
+  [18532,3.9642,40.01,2.9,-0.2,"ε Per"],
+  [80112,16.3531,-25.593,2.9,0.3,"Alniyat"],
+  [106278,21.526,-5.571,2.9,0.83,"Sadalsuud"],
+  [14328,3.0799,53.506,2.91,0.72,"γ Per"],
+  [48002,9.785,-65.072,2.92,0.27,"υ Car"],
+  [112158,22.7167,30.221,2.93,0.85,"Matar"],
+  [32768,6.8323,-50.615,2.94,1.21,"τ Pup"],
+  [60965,12.4977,-16.515,2.94,-0.01,"Algorab"],
+  [109074,22.0964,-0.32,2.95,0.97,"Sadalmelik"],
+  [18543,3.9672,-13.508,2.97,1.59,"Zaurak"],
+  [26451,5.6274,21.142,2.97,-0.15,"Tianguan"],
+  [47908,9.7642,23.774,2.97,0.81,"Algenubi"],
+  [88635,18.0968,-30.424,2.98,0.98,"Alnasl"],
+  [64962,13.3154,-23.172,2.99,0.92,"γ Hya"],
+  [87073,17.7931,-40.127,2.99,0.51,"Girtab"],
+  [93747,19.0902,13.864,2.99,0.01,"Okab"],
+  [10064,2.1591,34.987,3,0.14,"Mizan"],
+  [54539,11.1611,44.498,3,1.14,"ψ UMa"],
+  [75097,15.3455,71.834,3,0.06,"Pherkad"],
+  [82514,16.8645,-38.047,3,-0.2,"Xamidimura"],
+  [108085,21.8988,-37.365,3,-0.08,"Aldhanab"],
+  [17358,3.7154,47.788,3.01,-0.13,"δ Per"],
+  [30122,6.3386,-30.063,3.02,-0.16,"Furud"],
+  [33977,7.0504,-23.833,3.02,-0.08,"Al Zara"],
+  [59316,12.1687,-22.62,3.02,1.33,"Minkar"],
+  [23416,5.0328,43.823,3.03,0.54,"Almaaz"],
+  [62322,12.7713,-68.108,3.04,-0.18,"β Mus"],
+  [71075,14.5346,38.308,3.04,0.19,"Seginus"],
+  [95947,19.512,27.96,3.05,1.09,"Albireo"],
+  [100345,20.3502,-14.781,3.05,0.79,"Dabih"],
+  [32246,6.7322,25.131,3.06,1.38,"Mebsuta"],
+  [50801,10.3722,41.499,3.06,1.6,"Tania Australis"],
+  [94376,19.2093,67.662,3.07,0.99,"Altais"],
+  [89642,18.2938,-36.762,3.1,1.58,"Hamalwarid"],
+  [43813,8.9232,5.946,3.11,0.98,"ζ Hya"],
+  [52943,10.8271,-16.194,3.11,1.23,"ν Hya"],
+  [56561,11.5964,-63.02,3.11,-0.04,"λ Cen"],
+  [101772,20.6261,-47.291,3.11,1,"Persian"],
+  [27628,5.8493,-35.768,3.12,1.15,"Wazn"],
+  [44127,8.9868,48.042,3.12,0.22,"Talitha"],
+  [83081,16.977,-55.99,3.12,1.55,"ζ Ara"],
+  [84379,17.2505,24.839,3.12,0.08,"Sarin"],
+  [73334,14.986,-42.104,3.13,-0.21,"Ke Kwan"],
+  [45860,9.3509,34.393,3.14,1.55,"α Lyn"],
+  [46701,9.5204,-57.034,3.16,1.54,"N Vel"],
+  [84380,17.2508,36.809,3.16,1.44,"π Her"],
+  [31685,6.6294,-43.196,3.17,-0.1,"ν Pup"],
+  [46853,9.5476,51.677,3.17,0.47,"θ UMa"],
+  [83895,17.1464,65.715,3.17,-0.12,"Aldhibah"],
+  [92041,18.7609,-26.991,3.17,-0.11,"Namalsadirah"],
+  [23767,5.1086,41.234,3.18,-0.15,"Haedus"],
+  [71908,14.7084,-64.975,3.18,0.26,"α Cir"],
+  [22449,4.8307,6.961,3.19,0.48,"Tabit"],
+  [23685,5.091,-22.371,3.19,1.46,"ε Lep"],
+  [83000,16.9611,9.375,3.19,1.16,"κ Oph"],
+  [87261,17.831,-37.043,3.19,1.19,"Fuyue"],
+  [104732,21.2156,30.227,3.21,0.99,"ζ Cyg"],
+  [116727,23.6558,77.632,3.21,1.03,"Errai"],
+  [75141,15.3562,-40.648,3.22,-0.23,"δ Lup"],
+  [79882,16.3054,-4.692,3.23,0.97,"Yed Posterior"],
+  [89962,18.3552,-2.899,3.23,0.94,"η Ser"],
+  [106032,21.4777,70.561,3.23,-0.2,"Alfirk"],
+  [32607,6.8032,-61.941,3.24,0.23,"α Pic"],
+  [99473,20.1884,-0.822,3.24,-0.07,"θ Aql"],
+  [36377,7.4872,-43.301,3.25,1.51,"σ Pup"],
+  [68895,14.1062,-26.682,3.25,1.09,"π Hya"],
+  [73714,15.0678,-25.282,3.25,1.67,"Brachium"],
+  [93194,18.9824,32.69,3.25,-0.05,"Sulafat"],
+  [17678,3.7873,-74.239,3.26,1.59,"γ Hyi"],
+  [3092,0.6555,30.861,3.27,1.27,"δ And"],
+  [84970,17.3668,-25,3.27,-0.19,"Garafsa"],
+  [113136,22.9108,-15.821,3.27,0.07,"Skat"],
+  [24305,5.2155,-16.206,3.29,-0.11,"μ Lep"],
+  [50099,10.2289,-70.038,3.29,-0.07,"ω Car"],
+  [75458,15.4155,58.966,3.29,1.17,"Edasich"],
+  [21281,4.5666,-55.045,3.3,-0.08,"α Dor"],
+  [51576,10.5337,-61.685,3.3,-0.09,"p Car"],
+  [29655,6.248,22.507,3.31,1.6,"Propus"],
+  [85267,17.4232,-56.378,3.31,-0.15,"γ Ara"],
+  [5165,1.1014,-46.718,3.32,0.89,"β Phe"],
+  [14354,3.0863,38.84,3.32,1.53,"Gorgonea Tertia"],
+  [59774,12.2571,57.033,3.32,0.08,"Megrez"],
+  [84143,17.2026,-43.239,3.32,0.44,"η Sco"],
+  [88048,17.9838,-9.774,3.32,0.99,"Sinistra"],
+  [93864,19.1157,-27.67,3.32,1.17,"τ Sgr"],
+  [19780,4.2404,-62.474,3.33,0.92,"α Ret"],
+  [54879,11.2373,15.43,3.33,0,"Chertan"],
+  [38170,7.8216,-24.86,3.34,1.22,"Azmidi"],
+  [8886,1.9066,63.67,3.35,-0.15,"Segin"],
+  [25281,5.4079,-2.397,3.35,-0.24,"Saif al Jabbar"],
+  [32362,6.7548,12.896,3.35,0.44,"Alzirr"],
+  [41704,8.5044,60.718,3.35,0.86,"Muscida"],
+  [95501,19.425,3.115,3.36,0.32,"Almizan"],
+  [75264,15.378,-44.69,3.37,-0.19,"ε Lup"],
+  [43109,8.7796,6.419,3.38,0.69,"Ashlesha"],
+  [66249,13.5782,-0.596,3.38,0.11,"Heze"],
+  [26207,5.5856,9.934,3.39,-0.16,"Meissa"],
+  [50371,10.2847,-61.332,3.39,1.54,"q Car"],
+  [63090,12.9267,3.397,3.39,1.57,"Minelauva"],
+  [109492,22.1809,58.201,3.39,1.56,"ζ Cep"],
+  [20894,4.4777,15.871,3.4,0.18,"Chamukuy"],
+  [6867,1.4728,-43.318,3.41,1.54,"γ Phe"],
+  [18724,4.0113,12.49,3.41,-0.1,"λ Tau"],
+  [67464,13.8251,-41.688,3.41,-0.23,"ν Cen"],
+  [74395,15.2047,-52.099,3.41,0.92,"ζ Lup"],
+  [102422,20.7548,61.839,3.41,0.91,"Kabalfird"],
+  [112029,22.691,10.831,3.41,-0.09,"Homam"],
+  [8796,1.8847,29.579,3.42,0.49,"Mothallah"],
+  [78384,16.002,-38.397,3.42,-0.21,"η Lup"],
+  [86974,17.7743,27.721,3.42,0.75,"μ Her"],
+  [102395,20.7493,-66.203,3.42,0.16,"β Pav"],
+  [45080,9.1828,-58.967,3.43,-0.19,"a Car"],
+  [50335,10.2782,23.417,3.43,0.31,"Adhafera"],
+  [93805,19.1041,-4.883,3.43,-0.1,"Al Thalimain Prior"],
+  [50372,10.2849,42.914,3.45,0.03,"Tania Borealis"],
+  [3821,0.8184,57.815,3.46,0.59,"Achird"],
+  [5364,1.1432,-10.182,3.46,1.16,"Dheneb"],
+  [38827,7.9463,-52.982,3.46,-0.18,"χ Car"],
+  [74666,15.2584,33.315,3.46,0.96,"Thiba"],
+  [12706,2.7217,3.236,3.47,0.09,"Kaffaljidhma"],
+  [67472,13.8269,-42.474,3.47,-0.17,"μ Cen"],
+  [49583,10.1222,16.763,3.48,-0.03,"Al Jabhah"],
+  [81833,16.7149,38.922,3.48,0.92,"η Her"],
+  [8102,1.7345,-15.938,3.49,0.73,"τ Cet"],
+  [33856,7.0287,-27.935,3.49,1.73,"Unurgunite"],
+  [55219,11.308,33.094,3.49,1.4,"Alula Borealis"],
+  [73555,15.0324,40.391,3.49,0.96,"Nekkar"],
+  [90422,18.4496,-45.968,3.49,-0.18,"α Tel"],
+  [112623,22.8092,-51.317,3.49,0.08,"ε Gru"],
+  [32759,6.8307,-32.508,3.5,-0.12,"κ CMa"],
+  [35550,7.3354,21.982,3.5,0.37,"Wasat"],
+  [112724,22.828,66.2,3.5,1.05,"ι Cep"],
+  [98337,19.9793,19.492,3.51,1.57,"γ Sge"],
+  [112748,22.8334,24.602,3.51,0.93,"Sadalbari"],
+  [17378,3.7208,-9.763,3.52,0.92,"Rana"],
+  [47508,9.6858,9.892,3.52,0.52,"Subra"],
+  [48774,9.9477,-54.568,3.52,-0.07,"φ Vel"],
+  [92420,18.8347,33.363,3.52,0,"Sheliak"],
+  [93085,18.9622,-21.107,3.52,1.15,"ξ2 Sgr"],
+  [109427,22.17,6.198,3.52,0.09,"Biham"],
+  [20889,4.4769,19.18,3.53,1.01,"Ain"],
+  [40526,8.2753,9.185,3.53,1.48,"Tarf"],
+  [56343,11.55,-31.858,3.54,0.95,"ξ Hya"],
+  [77516,15.827,-3.43,3.54,-0.04,"μ Ser"],
+  [86263,17.6264,-15.399,3.54,0.26,"ξ Ser"],
+  [20042,4.2982,-33.798,3.55,-0.11,"Beemim"],
+  [27288,5.7826,-14.822,3.55,0.1,"ζ Lep"],
+  [69996,14.3234,-46.058,3.55,-0.18,"ι Lup"],
+  [89937,18.3509,72.733,3.55,0.49,"Alahakan"],
+  [99240,20.1454,-66.182,3.55,0.75,"δ Pav"],
+  [1562,0.3238,-8.824,3.56,1.21,"Deneb Kaitos Shemali"],
+  [10602,2.2752,-51.512,3.56,-0.12,"φ Eri"],
+  [55282,11.3223,-14.778,3.56,1.11,"Labr"],
+  [82545,16.8723,-38.017,3.56,-0.21,"Pipirima"],
+  [37740,7.7408,24.398,3.57,0.93,"κ Gem"],
+  [44471,9.0604,47.157,3.57,0.01,"Alkaphrah"],
+  [71053,14.5305,30.371,3.57,1.3,"ρ Boo"],
+  [75177,15.3634,-36.261,3.57,1.53,"φ1 Lup"],
+  [35350,7.3015,16.54,3.58,0.11,"λ Gem"],
+  [100064,20.3009,-12.545,3.58,0.88,"Algedi"],
+  [7607,1.6332,48.628,3.59,1.27,"Nembus"],
+  [24674,5.2934,-6.844,3.59,-0.12,"τ Ori"],
+  [27072,5.7411,-22.448,3.59,0.48,"Kursi al Jabbar"],
+  [57757,11.8449,1.765,3.59,0.52,"Zavijava"],
+  [60260,12.356,-60.401,3.59,1.39,"Ginan"],
+  [6537,1.4004,-8.183,3.6,1.06,"Al Naymat"],
+  [33018,6.8798,33.961,3.6,0.1,"θ Gem"],
+  [42536,8.6716,-52.922,3.6,-0.17,"ο Vel"],
+  [46651,9.5117,-40.467,3.6,0.37,"ψ Vel"],
+  [76470,15.6171,-28.135,3.6,1.36,"υ Lib"],
+  [85727,17.5183,-60.684,3.6,-0.1,"δ Ara"],
+  [13209,2.8331,27.261,3.61,-0.1,"Bharani"],
+  [15900,3.4136,9.029,3.61,0.89,"ο Tau"],
+  [49841,10.1765,-12.354,3.61,1.01,"λ Hya"],
+  [63613,13.0379,-71.549,3.61,1.19,"δ Mus"],
+  [86929,17.7622,-64.724,3.61,1.16,"η Pav"],
+  [7097,1.5247,15.346,3.62,0.97,"Alpherg"],
+  [17847,3.8194,24.053,3.62,-0.07,"Atlas"],
+  [37819,7.7542,-37.969,3.62,1.71,"c Pup"],
+  [82729,16.9097,-42.361,3.62,1.39,"Grafias"],
+  [113726,23.032,42.326,3.62,-0.1,"ο And"],
+  [57363,11.7601,-66.729,3.63,0.16,"λ Mus"],
+  [101769,20.6258,14.595,3.64,0.42,"Rotanev"],
+  [20205,4.3299,15.628,3.65,0.98,"Prima Hyadum"],
+  [46733,9.5255,63.062,3.65,0.36,"h UMa"],
+  [77233,15.7698,15.422,3.65,0.07,"Nasak Shamiya"],
+  [88714,18.1105,-50.092,3.65,-0.1,"θ Ara"],
+  [110960,22.4805,-0.02,3.65,0.41,"Sadaltager"],
+  [75695,15.4638,29.106,3.66,0.32,"Nusakan"],
+  [76600,15.6443,-29.778,3.66,-0.18,"τ Lib"],
+  [68756,14.0732,64.376,3.67,-0.05,"Thuban"],
+  [103227,20.9135,-58.454,3.67,1.25,"β Ind"],
+  [22549,4.8534,5.605,3.68,-0.16,"π4 Ori"],
+  [42828,8.7265,-33.186,3.68,-0.18,"α Pyx"],
+  [97365,19.7898,18.534,3.68,1.31,"δ Sge"],
+  [114341,23.1574,-21.172,3.68,1.2,"c2 Aqr"],
+  [2920,0.6162,53.897,3.69,-0.2,"Fulu"],
+  [9007,1.9326,-51.609,3.69,0.84,"χ Eri"],
+  [23453,5.0413,41.076,3.69,1.15,"Saclateni"],
+  [47854,9.7541,-62.508,3.69,1.01,"l Car"],
+  [57399,11.7675,47.779,3.69,1.18,"Taiyangshou"],
+  [106985,21.6682,-16.662,3.69,0.32,"Nashira"],
+  [15474,3.3253,-21.758,3.7,1.61,"Angetenar"],
+  [87933,17.9627,29.248,3.7,0.94,"ξ Her"],
+  [114971,23.2861,3.282,3.7,0.92,"γ Psc"],
+  [22797,4.9042,2.441,3.71,-0.18,"π5 Ori"],
+  [28103,5.9401,-14.168,3.71,0.34,"η Lep"],
+  [38414,7.8703,-40.576,3.71,1.01,"a Pup"],
+  [77622,15.8469,4.478,3.71,0.15,"ε Ser"],
+  [88771,18.1225,9.564,3.71,0.16,"72 Oph"],
+  [98036,19.9219,6.407,3.71,0.85,"Alshain"],
+  [16537,3.5488,-9.458,3.72,0.88,"Ran"],
+  [17499,3.7479,24.113,3.72,-0.1,"Electra"],
+  [28358,5.9921,54.285,3.72,1.01,"δ Aur"],
+  [104060,21.0822,43.928,3.72,1.61,"ξ Cyg"],
+  [16083,3.4528,9.733,3.73,-0.08,"ξ Tau"],
+  [72220,14.7708,1.893,3.73,-0.01,"109 Vir"],
+  [87585,17.8921,56.873,3.73,1.18,"Grumium"],
+  [107089,21.6913,-77.39,3.73,1.01,"ν Oct"],
+  [112961,22.8769,-7.58,3.73,1.63,"Hydor"],
+  [8645,1.8577,-10.335,3.74,1.14,"Baten Kaitos"],
+  [80170,16.3653,19.153,3.74,0.3,"γ Her"],
+  [104887,21.2465,38.045,3.74,0.39,"τ Cyg"],
+  [44511,9.0692,-47.098,3.75,1.17,"c Vel"],
+  [87108,17.7982,2.707,3.75,0.04,"Muliphen"],
+  [26069,5.5604,-62.49,3.76,0.64,"β Dor"],
+  [27654,5.8554,-20.879,3.76,0.98,"Arsh al Jauzah"],
+  [30867,6.4803,-7.033,3.76,-0.11,"β Mon"],
+  [93683,19.0781,-21.741,3.76,1.01,"Manubrij"],
+  [95853,19.4951,51.73,3.76,0.15,"ι Cyg"],
+  [111169,22.5215,50.282,3.76,0.03,"α Lac"],
+  [13268,2.8449,55.895,3.77,1.69,"Miram"],
+  [17529,3.7532,42.578,3.77,0.42,"ν Per"],
+  [20455,4.3822,17.543,3.77,0.98,"Secunda Hyadum"],
+  [26549,5.6458,-2.6,3.77,-0.19,"σ Ori"],
+  [41312,8.4289,-66.137,3.77,1.13,"β Vol"],
+  [42570,8.6771,-46.649,3.77,0.67,"b Vel"],
+  [82363,16.8298,-59.041,3.77,1.56,"η Ara"],
+  [101958,20.6606,15.912,3.77,-0.06,"Sualocin"],
+  [105881,21.4445,-22.411,3.77,1,"Yen"],
+  [109176,22.1169,25.345,3.77,0.43,"ι Peg"],
+  [34481,7.1458,-70.499,3.78,1.01,"γ2 Vol"],
+  [36046,7.4288,27.798,3.78,1.02,"Propus"],
+  [48319,9.8498,59.039,3.78,0.29,"υ UMa"],
+  [53253,10.8916,-58.853,3.78,0.94,"u Car"],
+  [71795,14.6858,13.728,3.78,0.04,"ζ Boo"],
+  [102618,20.7946,-9.496,3.78,0,"Albali"],
+  [14668,3.1583,44.858,3.79,0.98,"Misam"],
+  [53229,10.8885,34.215,3.79,1.04,"Praecipua"],
+  [55203,11.3031,31.531,3.79,0.61,"Alula Australis"],
+  [14879,3.2013,-28.988,3.8,0.54,"Dalim"],
+  [37229,7.6472,-26.804,3.8,-0.16,"Markab"],
+  [76276,15.58,10.539,3.8,0.27,"Nasak Yamani"],
+  [94779,19.285,53.368,3.8,0.95,"Fawaris"],
+  [99675,20.2272,46.741,3.8,1.27,"ο1 Cyg"],
+  [21393,4.5925,-30.562,3.81,0.96,"Theemin"],
+  [51232,10.4646,-58.739,3.81,0.32,"s Car"],
+  [76952,15.7124,26.296,3.81,0.02,"γ CrB"],
+  [116584,23.6261,46.458,3.81,0.98,"λ And"],
+  [9487,2.0341,2.764,3.82,0.02,"Alrescha"],
+  [45688,9.3141,36.803,3.82,0.07,"38 Lyn"],
+  [56211,11.5234,69.331,3.82,1.61,"Giausar"],
+  [80883,16.5152,1.984,3.82,0.02,"Marfik"],
+  [86414,17.6577,46.006,3.82,-0.18,"ι Her"],
+  [51069,10.4348,-16.836,3.83,1.46,"μ Hya"],
+  [68245,13.9712,-42.101,3.83,-0.22,"φ Cen"],
+  [72370,14.7977,-79.045,3.83,1.43,"α Aps"],
+  [17440,3.7367,-64.807,3.84,1.13,"β Ret"],
+  [17448,3.7386,32.288,3.84,0.02,"Atik"],
+  [20885,4.4762,15.962,3.84,0.95,"θ1 Tau"],
+  [43783,8.9175,-60.645,3.84,-0.1,"c Car"],
+  [51624,10.5469,9.307,3.84,-0.15,"ρ Leo"],
+  [51986,10.6217,-48.226,3.84,0.3,"p Vel"],
+  [61199,12.5411,-72.133,3.84,-0.16,"γ Mus"],
+  [88794,18.1257,28.762,3.84,-0.02,"ο Her"],
+  [89341,18.2294,-21.059,3.84,0.2,"Polis"],
+  [97433,19.8029,70.268,3.84,0.89,"Tyl"],
+  [19747,4.2334,-42.294,3.85,1.08,"α Hor"],
+  [27321,5.7881,-51.066,3.85,0.17,"β Pic"],
+  [30277,6.3686,-33.436,3.85,0.86,"δ Col"],
+  [50191,10.2456,-42.122,3.85,0.05,"q Vel"],
+  [61281,12.558,69.788,3.85,-0.12,"κ Dra"],
+  [61622,12.6284,-48.541,3.85,0.05,"τ Cen"],
+  [78072,15.9409,15.662,3.85,0.48,"γ Ser"],
+  [90139,18.395,21.77,3.85,1.17,"109 Her"],
+  [91117,18.5868,-8.244,3.85,1.32,"α Sct"],
+  [4436,0.9459,38.499,3.86,0.13,"μ And"],
+  [21594,4.6363,-14.304,3.86,1.08,"Sceptrum"],
+  [25859,5.5202,-35.471,3.86,1.13,"ε Col"],
+  [79664,16.2573,-63.686,3.86,1.1,"δ TrA"],
+  [81065,16.5575,-78.897,3.86,0.92,"γ Aps"],
+  [87808,17.9376,37.251,3.86,1.35,"θ Her"],
+  [110395,22.3609,-1.387,3.86,-0.06,"Sadachbia"],
+  [17573,3.7638,24.368,3.87,-0.06,"Maia"],
+  [43023,8.7671,-46.041,3.87,0.01,"a Vel"],
+  [68282,13.978,-44.804,3.87,-0.21,"υ1 Cen"],
+  [71957,14.7177,-5.658,3.87,0.39,"Rijl al Awwa"],
+  [78104,15.9481,-29.214,3.87,-0.2,"Iklil"],
+  [97804,19.8745,1.006,3.87,0.63,"Tarazed"],
+  [765,0.1568,-45.747,3.88,1.01,"ε Phe"],
+  [8832,1.8922,19.294,3.88,-0.05,"Mesarthim"],
+  [48455,9.8794,26.007,3.88,1.22,"Rasalas"],
+  [74376,15.1989,-48.738,3.88,-0.03,"κ1 Lup"],
+  [114421,23.1726,-45.247,3.88,1,"ι Gru"],
+  [13701,2.9405,-8.898,3.89,1.09,"Azha"],
+  [33152,6.9022,-24.184,3.89,1.74,"Udra"],
+  [45336,9.2394,2.314,3.89,-0.06,"θ Hya"],
+  [60129,12.3318,-0.667,3.89,0.03,"Zaniah"],
+  [98110,19.9384,35.083,3.89,1.02,"η Cyg"],
+  [47431,9.6643,-1.143,3.9,1.31,"Ukdah"],
+  [55425,11.3501,-54.491,3.9,-0.16,"π Cen"],
+  [65936,13.5174,-39.407,3.9,1.19,"d Cen"],
+  [18907,4.0526,5.989,3.91,0.03,"ν Tau"],
+  [41307,8.4277,-3.906,3.91,-0.01,"C Hya"],
+  [60823,12.4673,-50.231,3.91,-0.19,"σ Cen"],
+  [73807,15.0853,-47.051,3.91,-0.14,"π Lup"],
+  [76333,15.5921,-14.79,3.91,1.01,"Zubenelhakrabi"],
+  [79992,16.329,46.313,3.91,-0.15,"τ Her"],
+  [83207,17.0048,30.926,3.92,-0.02,"ε Her"],
+  [95168,19.3612,-17.847,3.92,0.23,"ρ1 Sgr"],
+  [104987,21.2637,5.248,3.92,0.55,"Kitalpha"],
+  [2072,0.4367,-43.68,3.93,0.17,"κ Phe"],
+  [7083,1.5209,-49.073,3.93,0.97,"δ Phe"],
+  [13531,2.9043,52.763,3.93,0.76,"τ Per"],
+  [21444,4.6053,-3.353,3.93,-0.21,"ν Eri"],
+  [37504,7.697,-72.606,3.93,1.03,"ζ Vol"],
+  [54463,11.1432,-58.975,3.93,1.23,"x Car"],
+  [78933,16.1135,-20.669,3.93,-0.05,"Jabhat Acrabi"],
+  [88192,18.0108,2.932,3.93,0.03,"67 Oph"],
+  [5348,1.1397,-55.246,3.94,-0.12,"Wurren"],
+  [37447,7.6875,-9.551,3.94,1.02,"α Mon"],
+  [37677,7.7301,-28.955,3.94,0.16,"l Pup"],
+  [42911,8.7447,18.154,3.94,1.08,"Asellus Australis"],
+  [103413,20.9529,41.167,3.94,0.03,"ν Cyg"],
+  [9598,2.0573,72.421,3.95,0,"50 Cas"],
+  [31592,6.6114,-19.256,3.95,1.04,"ν2 CMa"],
+  [19343,4.1444,47.712,3.96,-0.03,"Nembus"],
+  [28328,5.9858,-42.815,3.96,1.15,"η Col"],
+  [44248,9.0107,41.783,3.96,0.46,"10 UMa"],
+  [45101,9.188,-62.317,3.96,-0.18,"i Car"],
+  [95241,19.3773,-44.459,3.96,-0.09,"Arkab Prior"],
+  [95347,19.3981,-40.616,3.96,-0.1,"Rukbat"],
+  [99848,20.2579,47.714,3.96,1.45,"ο2 Cyg"],
+  [115438,23.3828,-20.101,3.96,1.08,"b1 Aqr"],
+  [20535,4.4006,-34.017,3.97,1.47,"Beemim"],
+  [27673,5.8582,39.148,3.97,1.13,"ν Aur"],
+  [35228,7.2805,-67.957,3.97,0.76,"δ Vol"],
+  [42515,8.6684,-35.308,3.97,0.94,"β Pyx"],
+  [59449,12.1942,-52.368,3.97,-0.16,"ρ Cen"],
+  [77634,15.8493,-33.627,3.97,-0.04,"χ Lup"],
+  [98495,20.0099,-72.91,3.97,-0.03,"ε Pav"],
+  [110997,22.4878,-43.496,3.97,1.02,"δ1 Gru"],
+  [112440,22.7755,23.566,3.97,1.07,"Sadalnazi"],
+  [18614,3.9828,35.791,3.98,0.02,"Menkib"],
+  [106481,21.5663,45.592,3.98,0.89,"ρ Cyg"],
+  [9347,2.0001,-21.078,3.99,1.55,"υ Cet"],
+  [29651,6.2476,-6.275,3.99,1.32,"γ Mon"],
+  [50954,10.4066,-74.032,3.99,0.37,"I Car"],
+  [65477,13.4204,54.988,3.99,0.17,"Alcor"],
+  [114996,23.2905,-58.236,3.99,0.41,"γ Tuc"],
+  [44382,9.0408,-66.396,4,0.14,"α Vol"],
+  [55642,11.3987,10.53,4,0.42,"ι Leo"],
+  [79374,16.1999,-19.461,4,0.08,"Jabbah"],
+  [8068,1.7277,50.689,4.01,-0.1,"φ Per"],
+  [22109,4.7584,-3.255,4.01,-0.15,"μ Eri"],
+  [34088,7.0685,20.57,4.01,0.9,"Mekbuda"],
+  [35037,7.2468,-26.773,4.01,-0.15,"ω CMa"],
+  [71865,14.6993,-37.794,4.01,-0.16,"b Cen"],
+  [78527,16.0315,58.565,4.01,0.53,"θ Dra"],
+  [80000,16.3307,-50.156,4.01,1.08,"γ2 Nor"],
+  [91792,18.7173,-71.428,4.01,1.13,"ζ Pav"],
+  [101076,20.4899,30.369,4.01,0.4,"41 Cyg"],
+  [43409,8.8422,-27.71,4.02,1.27,"γ Pyx"],
+  [59199,12.1402,-24.729,4.02,0.33,"Alchiba"],
+  [93244,18.9937,15.068,4.02,1.08,"Deneb al Okab Borealis"],
+  [93429,19.028,-5.739,4.02,1.08,"i Aql"],
+  [10670,2.2886,33.847,4.03,0.02,"γ Tri"],
+  [23522,5.057,60.442,4.03,0.92,"β Cam"],
+  [43103,8.7783,28.76,4.03,1.01,"Zubanah"],
+  [63003,12.9099,-57.178,4.03,-0.18,"μ1 Cru"],
+  [88601,18.0909,2.5,4.03,0.86,"p Oph"],
+  [101421,20.5535,11.303,4.03,-0.12,"Aldulfin"],
+  [118268,23.9885,6.863,4.03,0.42,"ω Psc"],
+  [19587,4.1978,-6.838,4.04,0.33,"Beid"],
+  [57380,11.7643,6.529,4.04,1.5,"ν Vir"],
+  [70497,14.4199,51.851,4.04,0.5,"Asellus Primus"],
+  [111497,22.5893,-0.117,4.04,-0.08,"η Aqr"],
+  [14632,3.1511,49.613,4.05,0.59,"ι Per"],
+  [40702,8.3088,-76.92,4.05,0.41,"α Cha"],
+  [42884,8.74,-42.649,4.05,0.87,"d Vel"],
+  [55434,11.3523,6.029,4.05,-0.06,"σ Leo"],
+  [67459,13.8246,15.798,4.05,1.52,"υ Boo"],
+  [70090,14.3426,-37.885,4.05,-0.03,"ψ Cen"],
+  [71536,14.6315,-49.426,4.05,-0.15,"ρ Lup"],
+  [112716,22.8265,-13.593,4.05,1.57,"τ2 Aqr"],
+  [22957,4.9395,13.514,4.06,1.16,"ο2 Ori"],
+  [36962,7.5987,26.896,4.06,1.54,"υ Gem"],
+  [55705,11.4147,-17.684,4.06,0.22,"γ Crt"],
+  [59929,12.2929,-67.961,4.06,1.6,"ε Mus"],
+  [60009,12.3073,-64.003,4.06,-0.17,"ζ Cru"],
+  [72010,14.7276,-35.174,4.06,1.36,"c1 Cen"],
+  [83153,16.9931,-53.16,4.06,1.45,"ε1 Ara"],
+  [69701,14.2669,-6,4.07,0.51,"Syrma"],
+  [74117,15.1474,-45.28,4.07,-0.16,"λ Lup"],
+  [74824,15.2919,-58.801,4.07,0.09,"β Cir"],
+  [110991,22.4862,58.415,4.07,0.78,"δ Cep"],
+  [3693,0.789,24.267,4.08,1.1,"ζ And"],
+  [11001,2.3625,-68.659,4.08,0.03,"δ Hyi"],
+  [12387,2.658,0.329,4.08,-0.21,"δ Cet"],
+  [14146,3.0399,-23.625,4.08,0.16,"τ3 Eri"],
+  [33160,6.9032,-12.039,4.08,1.42,"θ CMa"],
+  [46974,9.5741,-59.23,4.08,-0.01,"h Car"],
+  [53740,10.9962,-18.299,4.08,1.08,"Alkes"],
+  [92862,18.9223,43.946,4.08,1.4,"13 Lyr"],
+  [104139,21.0991,-17.233,4.08,-0.01,"θ Cap"],
+  [105502,21.3681,19.805,4.08,1.11,"1 Peg"],
+  [26366,5.6151,9.291,4.09,0.95,"φ2 Ori"],
+  [77450,15.8123,18.142,4.09,1.62,"Gudja"],
+  [7513,1.6133,41.406,4.1,0.54,"Titawin"],
+  [12777,2.7367,49.228,4.1,0.51,"θ Per"],
+  [38164,7.8206,-46.373,4.1,-0.16,"P Pup"],
+  [90568,18.4805,-49.071,4.1,0.99,"ζ Tel"],
+  [94160,19.1672,-39.341,4.1,1.16,"β CrA"],
+  [12486,2.6778,-39.855,4.11,1.01,"ι Eri"],
+  [34045,7.0626,-15.633,4.11,-0.11,"Muliphein"],
+  [42312,8.6274,-42.989,4.11,0.11,"e Vel"],
+  [48356,9.858,-14.847,4.11,0.92,"Zhang"],
+  [51839,10.5911,-78.608,4.11,1.58,"γ Cha"],
+  [57439,11.7752,-61.178,4.11,0.9],
+  [76440,15.612,-66.317,4.11,1.16,"ε TrA"],
+  [94114,19.1579,-37.904,4.11,0.04,"Meridiana"],
+  [113638,23.0147,-52.754,4.11,0.96,"ζ Gru"],
+  [12394,2.6598,-68.267,4.12,-0.06,"ε Hyi"],
+  [19812,4.2483,48.409,4.12,0.94,"μ Per"],
+  [28614,6.0397,9.647,4.12,0.17,"μ Ori"],
+  [58948,12.0868,8.733,4.12,0.97,"ο Vir"],
+  [98032,19.921,-41.868,4.12,1.06,"ι Sgr"],
+  [102978,20.8637,-26.919,4.12,1.63,"ω Cap"],
+  [111043,22.496,-43.749,4.12,1.57,"δ2 Gru"],
+  [25247,5.3991,-7.808,4.13,0.94,"e Ori"],
+  [30883,6.4827,20.212,4.13,-0.12,"Nucatai"],
+  [77853,15.8971,-16.729,4.13,1,"θ Lib"],
+  [102485,20.7683,-25.271,4.13,0.43,"Wei"],
+  [112405,22.7676,-81.382,4.13,0.21,"β Oct"],
+  [116771,23.6658,5.626,4.13,0.51,"ι Psc"],
+  [16369,3.5145,12.937,4.14,1.11,"f Tau"],
+  [17608,3.7721,23.948,4.14,-0.05,"Merope"],
+  [42313,8.6276,5.704,4.14,0,"Minazal"],
+  [59072,12.1147,-64.614,4.14,0.35,"η Cru"],
+  [76127,15.5488,31.359,4.14,-0.13,"θ CrB"],
+  [78159,15.9598,26.878,4.14,1.23,"ε CrB"],
+  [107354,21.7441,25.645,4.14,0.42,"κ Peg"],
+  [109937,22.2662,37.749,4.14,1.45,"1 Lac"],
+  [34769,7.1977,-0.493,4.15,-0.01,"δ Mon"],
+  [85112,17.3947,37.146,4.15,-0.01,"ρ Her"],
+  [116805,23.6735,44.334,4.15,-0.07,"κ And"],
+  [28734,6.0687,23.263,4.16,0.83,"Propus"],
+  [36366,7.4852,31.785,4.16,0.32,"ρ Gem"],
+  [78727,16.0727,-11.374,4.16,0.46,"Grafias"],
+  [85340,17.4395,-24.175,4.16,0.28,"b Oph"],
+  [2599,0.55,62.932,4.17,0.13,"κ Cas"],
+  [17874,3.8242,-36.2,4.17,0.93,"g Eri"],
+  [110003,22.2806,-7.783,4.17,0.98,"Ancha"],
+  [69427,14.2149,-10.274,4.18,1.32,"Kang"],
+  [69732,14.2731,46.088,4.18,0.09,"Xuange"],
+  [81304,16.6062,-35.255,4.18,1.53,"H Sco"],
+  [109857,22.2506,57.044,4.18,0.28,"ε Cep"],
+  [111954,22.6776,-27.044,4.18,-0.1,"ε PsA"],
+  [67457,13.8241,-34.451,4.19,1.52,"g Cen"],
+  [92043,18.761,20.546,4.19,0.48,"110 Her"],
+  [25813,5.5131,5.948,4.2,-0.14,"32 Ori"],
+  [38835,7.9476,-22.88,4.2,0.72,"j Pup"],
+  [51233,10.4647,36.707,4.2,0.91,"β LMi"],
+  [81126,16.5684,42.437,4.2,-0.01,"σ Her"],
+  [112447,22.7782,12.173,4.2,0.5,"Suudalnujum"],
+  [113246,22.9325,-32.54,4.2,0.95,"δ PsA"],
+  [16228,3.4845,59.94,4.21,0.42,"CS Cam"],
+  [20635,4.4228,22.294,4.21,0.14,"κ Tau"],
+  [82080,16.7662,82.037,4.21,0.9,"Circitores"],
+  [101093,20.493,62.994,4.21,0.2,"Al Kidr"],
+  [105858,21.4407,-65.366,4.21,0.49,"γ Pav"],
+  [13254,2.8431,38.319,4.22,0.34,"16 Per"],
+  [17651,3.7808,-23.25,4.22,0.43,"τ6 Eri"],
+  [38518,7.8884,-48.103,4.22,-0.13,"J Pup"],
+  [78918,16.1099,-36.802,4.22,-0.18,"θ Lup"],
+  [80569,16.4504,-18.456,4.22,0.22,"χ Oph"],
+  [89908,18.346,71.338,4.22,-0.09,"Aldhiba"],
+  [92175,18.7862,-4.748,4.22,1.09,"β Sct"],
+  [92609,18.8703,-62.188,4.22,-0.15,"λ Pav"],
+  [92791,18.9084,36.899,4.22,1.57,"δ2 Lyr"],
+  [102453,20.761,30.72,4.22,1.05,"52 Cyg"],
+  [105102,21.2903,39.395,4.22,0.1,"σ Cyg"],
+  [114724,23.2387,-6.049,4.22,1.54,"φ Aqr"],
+  [1599,0.3345,-64.875,4.23,0.58,"ζ Tuc"],
+  [37629,7.7219,28.884,4.23,1.12,"σ Gem"],
+  [64394,13.1979,27.878,4.23,0.57,"β Com"],
+  [67153,13.7615,-33.044,4.23,0.39,"i Cen"],
+  [68520,14.0274,1.544,4.23,0.12,"τ Vir"],
+  [79101,16.1462,44.935,4.23,-0.04,"φ Her"],
+  [81852,16.718,-77.517,4.23,1.06,"β Aps"],
+  [93825,19.107,-37.063,4.23,0.52,"γ CrA"],
+  [107259,21.7251,58.78,4.23,2.24,"The Garnet Star"],
+  [107533,21.7799,49.31,4.23,-0.12,"π2 Cyg"],
+  [5372,1.1458,86.257,4.24,1.21,"2 UMi"],
+  [11407,2.4498,-47.704,4.24,-0.14,"κ Eri"],
+  [12770,2.7354,-13.859,4.24,-0.12,"π Cet"],
+  [60000,12.3058,-79.312,4.24,-0.12,"β Cha"],
+  [61317,12.5624,41.358,4.24,0.59,"Chara"],
+  [80911,16.523,-34.704,4.24,-0.17,"N Sco"],
+  [86565,17.6902,-12.875,4.24,0.09,"ο Ser"],
+  [114855,23.2649,-9.088,4.24,1.11,"ψ1 Aqr"],
+  [5896,1.2628,-68.876,4.25,0.48,"κ Tuc"],
+  [19167,4.1097,50.351,4.25,-0.01,"λ Per"],
+  [21402,4.5942,10.161,4.25,0.18,"d Tau"],
+  [21476,4.6115,41.265,4.25,1.17,"e Per"],
+  [23972,5.1524,-8.754,4.25,-0.19,"λ Eri"],
+  [41075,8.3806,43.188,4.25,1.55,"Alsciaukat"],
+  [62896,12.8906,-40.179,4.25,0.22,"n Cen"],
+  [70692,14.4588,75.696,4.25,1.43,"5 UMi"],
+  [107418,21.7575,61.121,4.25,0.47,"Castula"],
+  [5434,1.1584,47.242,4.26,0.01,"φ And"],
+  [8198,1.7566,9.158,4.26,0.94,"Torcular"],
+  [15510,3.3321,-43.07,4.26,0.71,"e Eri"],
+  [16611,3.5631,-21.633,4.26,-0.11,"τ5 Eri"],
+  [19893,4.2671,-51.487,4.26,0.31,"γ Dor"],
+  [22783,4.9008,66.343,4.26,-0.01,"α Cam"],
+  [44066,8.9748,11.858,4.26,0.14,"Acubens"],
+  [86170,17.6091,-38.635,4.26,1.07,"Q Sco"],
+  [88267,18.0251,21.596,4.26,0.41,"95 Her"],
+  [108917,22.0632,64.628,4.26,0.38,"Kurhah"],
+  [4906,1.0491,7.89,4.27,0.95,"ε Psc"],
+  [12828,2.749,10.114,4.27,0.31,"μ Cet"],
+  [19860,4.2589,8.892,4.27,-0.05,"μ Tau"],
+  [21589,4.636,12.511,4.27,0.12,"c1 Tau"],
+  [21881,4.7041,22.957,4.27,-0.11,"τ Tau"],
+  [64004,13.1152,-49.906,4.27,-0.18,"ξ2 Cen"],
+  [74911,15.3089,-47.875,4.27,-0.09,"μ Lup"],
+  [95294,19.387,-44.8,4.27,0.35,"Arkab Posterior"],
+  [102532,20.7776,16.124,4.27,1.04,"Al Salib"],
+  [115830,23.4661,6.379,4.27,1.06,"θ Psc"],
+  [20711,4.4385,22.814,4.28,0.26,"υ Tau"],
+  [47193,9.6181,81.326,4.28,1.49],
+  [51172,10.4525,-31.068,4.28,1.43,"α Ant"],
+  [85423,17.4559,-29.867,4.28,0.4,"d Oph"],
+  [99655,20.2233,56.568,4.28,0.11,"33 Cyg"],
+  [105515,21.3708,-16.834,4.28,0.89,"ι Cap"],
+  [109410,22.1665,33.178,4.28,0.47,"π Peg"],
+  [114131,23.1146,-43.52,4.28,0.42,"θ Gru"],
+  [16852,3.6146,0.402,4.29,0.57,"10 Tau"],
+  [24845,5.3263,-13.177,4.29,-0.23,"λ Lep"],
+  [52154,10.6551,-55.603,4.29,1.02,"x Vel"],
+  [57936,11.8818,-33.908,4.29,-0.1,"β Hya"],
+  [77055,15.7343,77.794,4.29,0.04,"Akfa Farkadain"],
+  [80894,16.519,-16.613,4.29,0.92,"φ Oph"],
+  [109139,22.1073,-13.87,4.29,-0.07,"ι Aqr"],
+  [111188,22.5251,-32.346,4.29,0.01,"Fum al Hui"],
+  [116631,23.6356,43.268,4.29,-0.08,"ι And"],
+  [4577,0.9768,-29.357,4.3,-0.15,"α Scl"],
+  [11484,2.4693,8.46,4.3,-0.05,"ξ2 Cet"],
+  [17531,3.7535,24.467,4.3,-0.11,"Taygeta"],
+  [17797,3.81,-37.62,4.3,-0.04,"f Eri"],
+  [20648,4.4248,17.928,4.3,0.05,"68 Tau"],
+  [28404,5.9989,45.937,4.3,1.7,"π Aur"],
+  [42799,8.7204,3.399,4.3,-0.19,"η Hya"],
+  [53417,10.9269,24.75,4.3,0.02,"54 Leo"],
+  [56647,11.6158,-0.824,4.3,0.98,"υ Leo"],
+  [57669,11.8281,-63.788,4.3,-0.15,"j Cen"],
+  [61174,12.5345,-16.196,4.3,0.39,"η Crv"],
+  [70069,14.3388,-56.386,4.3,0.08,"v Cen"],
+  [100027,20.2941,-12.508,4.3,0.93,"Prima Giedi"],
+  [42568,8.677,-59.761,4.31,-0.12,"d Car"],
+  [70638,14.4487,-83.668,4.31,1.3,"δ Oct"],
+  [75411,15.4082,37.377,4.31,0.31,"Alkalurops"],
+  [78990,16.1234,-20.869,4.31,0.83,"ω2 Sco"],
+  [101847,20.639,-1.105,4.31,0.95,"l Aql"],
+  [16826,3.6082,48.193,4.32,-0.06,"ψ Per"],
+  [21763,4.674,-19.672,4.32,1.6,"54 Eri"],
+  [25945,5.5369,18.594,4.32,2.06,"The Ruby Star"],
+  [29696,6.2563,29.498,4.32,1.02,"κ Aur"],
+  [43067,8.7729,-13.548,4.32,0.9,"D Hya"],
+  [46750,9.5287,22.968,4.32,1.54,"Alterf"],
+  [58758,12.0504,-63.313,4.32,0.28,"θ1 Cru"],
+  [64241,13.1665,17.529,4.32,0.46,"Diadem"],
+  [67669,13.8638,-32.994,4.32,-0.15,"k Cen"],
+  [72683,14.8606,-43.575,4.32,-0.15,"ο Lup"],
+  [84880,17.3471,-12.847,4.32,0.04,"ν Ser"],
+  [36284,7.4694,8.925,4.33,1.43,"γ CMi"],
+  [62867,12.8853,-48.943,4.33,1.34,"e Cen"],
+  [70576,14.4363,-45.379,4.33,0.43,"τ2 Lup"],
+  [84405,17.2558,-26.603,4.33,0.85,"Guniibuu"],
+  [88866,18.143,-63.669,4.33,0.23,"π Pav"],
+  [89826,18.331,36.065,4.33,1.16,"κ Lyr"],
+  [2912,0.6147,33.719,4.34,-0.12,"π And"],
+  [3031,0.6426,29.312,4.34,0.87,"ε And"],
+  [5542,1.185,55.15,4.34,0.17,"Marfak"],
+  [27100,5.7462,-65.736,4.34,0.22,"δ Dor"],
+  [31125,6.5309,-23.418,4.34,-0.24,"ξ1 CMa"],
+  [40888,8.344,-77.484,4.34,1.16,"θ Cha"],
+  [45496,9.27,-57.541,4.34,1.6,"g Car"],
+  [47175,9.6138,-49.355,4.34,0.17,"M Vel"],
+  [68523,14.0287,-45.603,4.34,0.6,"υ2 Cen"],
+  [76552,15.6342,-42.567,4.34,1.41,"ω Lup"],
+  [85355,17.4419,4.14,4.34,1.48,"σ Oph"],
+  [91971,18.7462,37.605,4.34,0.19,"Nasr Alwaki"],
+  [92161,18.7837,18.181,4.34,0.15,"111 Her"],
+  [107348,21.7419,17.35,4.34,1.16,"9 Peg"],
+  [111022,22.4922,47.707,4.34,1.68,"5 Lac"],
+  [14838,3.1938,19.727,4.35,1.03,"Botein"],
+  [22509,4.8435,8.9,4.35,0.01,"Al Taj"],
+  [31407,6.5829,-52.976,4.35,-0.02,"N Car"],
+  [33449,6.9546,58.423,4.35,0.85,"15 Lyn"],
+  [39794,8.1322,-68.617,4.35,-0.11,"ε Vol"],
+  [43234,8.8072,5.838,4.35,-0.04,"ρ Hya"],
+  [60742,12.449,28.268,4.35,1.13,"Al Dafirah"],
+  [74857,15.2972,-30.149,4.35,1.1,"f Lup"],
+  [85822,17.5369,86.587,4.35,0.02,"Yildun"],
+  [90098,18.3871,-61.494,4.35,1.46,"ξ Pav"],
+  [94713,19.2728,38.134,4.35,1.26,"θ Lyr"],
+  [107380,21.7491,-33.026,4.35,-0.05,"ι PsA"],
+  [2484,0.5257,-62.958,4.36,-0.06,"β1 Tuc"],
+  [3405,0.7226,-57.463,4.36,0.02,"η Phe"],
+  [10324,2.2167,8.847,4.36,0.88,"Al Kaff al Jidhmah"],
+  [16335,3.5096,47.995,4.36,1.37,"σ Per"],
+  [19038,4.0783,22.082,4.36,1.06,"A1 Tau"],
+  [22701,4.8816,-5.453,4.36,0.26,"ω Eri"],
+  [24327,5.2205,-12.941,4.36,-0.09,"κ Lep"],
+  [28199,5.9589,-35.283,4.36,-0.17,"γ Col"],
+  [33347,6.9356,-17.054,4.36,-0.06,"ι CMa"],
+  [39863,8.1432,-2.984,4.36,0.97,"ζ Mon"],
+  [68862,14.1008,-41.18,4.36,-0.2,"χ Cen"],
+  [96468,19.612,-1.287,4.36,-0.08,"Al Thalimain Posterior"],
+  [154,0.0327,-6.014,4.37,1.63,"30 Psc"],
+  [29807,6.2759,-35.141,4.37,0.98,"κ Col"],
+  [35415,7.3118,-24.954,4.37,-0.13,"τ CMa"],
+  [53773,11.0026,-42.226,4.37,0.12,"i Vel"],
+  [88886,18.146,20.815,4.37,-0.16,"102 Her"],
+  [98412,19.9956,-35.276,4.37,-0.15,"θ1 Sgr"],
+  [64238,13.1658,-5.539,4.38,-0.01,"Apami-Atsa"],
+  [99255,20.1482,77.711,4.38,-0.05,"Al Aghnam"],
+  [115669,23.4341,-20.642,4.38,1.46,"b2 Aqr"],
+  [116231,23.5495,-37.818,4.38,-0.1,"β Scl"],
+  [8837,1.8941,-46.303,4.39,1.6,"ψ Phe"],
+  [17884,3.8254,65.526,4.39,1.87,"BE Cam"],
+  [26176,5.5803,9.49,4.39,-0.16,"Heka"],
+  [27913,5.9064,20.276,4.39,0.59,"χ1 Ori"],
+  [30419,6.3961,4.593,4.39,0.21,"ε Mon"],
+  [39311,8.0378,2.335,4.39,1.25,"G CMi"],
+  [49637,10.1317,9.998,4.39,1.45,"A Leo"],
+  [73620,15.0483,2.091,4.39,1.03,"110 Vir"],
+  [82673,16.9001,10.165,4.39,-0.09,"ι Oph"],
+  [84893,17.3501,-21.113,4.39,0.39,"Aggia"],
+  [96757,19.6683,18.014,4.39,0.78,"Sham"],
+  [96837,19.6841,17.476,4.39,1.04,"β Sge"],
+  [105319,21.3311,-53.449,4.39,0.19,"θ Ind"],
+  [4463,0.9534,23.418,4.4,0.94,"η And"],
+  [38070,7.8014,-25.937,4.4,-0.07,"ο Pup"],
+  [39906,8.1505,-19.245,4.4,-0.16,"16 Pup"],
+  [93015,18.9492,-67.234,4.4,0.53,"κ Pav"],
+  [108431,21.9653,-54.993,4.4,0.3,"δ Ind"],
+  [32761,6.8309,-53.622,4.41,0.9,"A Car"],
+  [34693,7.1857,30.245,4.41,1.26,"τ Gem"],
+  [70300,14.384,-39.512,4.41,-0.18,"Bidelman's Helium Variable Star"],
+  [85693,17.5123,26.111,4.41,1.43,"Maasym"],
+  [87998,17.975,30.189,4.41,0.38,"ν Her"],
+  [105138,21.2986,34.897,4.41,-0.1,"υ Cyg"],
+  [114222,23.1316,75.388,4.41,0.8,"π Cep"],
+  [115033,23.2984,-9.182,4.41,-0.14,"ψ2 Aqr"],
+  [115102,23.3137,-32.532,4.41,1.11,"γ Scl"],
+  [29038,6.1262,14.768,4.42,-0.16,"ν Ori"],
+  [31700,6.6315,-18.238,4.42,1.14,"ν3 CMa"],
+  [34922,7.2256,-44.64,4.42,1.33,"L2 Pup"],
+  [34981,7.2376,-26.352,4.42,-0.17,"27 CMa"],
+  [40326,8.2341,-40.348,4.42,1.17,"h2 Pup"],
+  [53954,11.0388,20.18,4.42,0.05,"b Leo"],
+  [72571,14.8381,-27.96,4.42,1.37,"E Hya"],
+  [77257,15.7741,7.353,4.42,0.6,"λ Ser"],
+  [88290,18.0292,1.305,4.42,0.05,"68 Oph"],
+  [110538,22.3927,52.229,4.42,1.01,"β Lac"],
+  [115623,23.423,23.404,4.42,0.62,"Alkarab"],
+  [17593,3.769,-12.102,4.43,1.6,"π Eri"],
+  [19849,4.2545,-7.653,4.43,0.82,"Keid"],
+  [23040,4.9548,53.752,4.43,-0.02,"7 Cam"],
+  [94481,19.2293,39.146,4.43,-0.15,"Aladfar"],
+  [98688,20.0443,-27.71,4.43,1.64,"Terebellum"],
+  [100587,20.3977,32.19,4.43,1.33,"39 Cyg"],
+  [102281,20.7243,15.075,4.43,0.3,"Al Ukud"],
+  [102624,20.7956,-5.028,4.43,1.64,"k Aqr"],
+  [1170,0.244,-18.933,4.44,1.64,"7 Cet"],
+  [3786,0.8114,7.585,4.44,1.5,"Kuton"],
+  [19921,4.2747,-59.302,4.44,1.08,"ε Ret"],
+  [21770,4.676,-41.864,4.44,0.34,"α Cae"],
+  [30060,6.3271,59.011,4.44,0.03,"2 Lyn"],
+  [36795,7.5676,-22.296,4.44,0.52],
+  [40091,8.1893,-39.618,4.44,1.59,"h1 Pup"],
+  [40706,8.3093,-36.659,4.44,0.22,"q Pup"],
+  [71121,14.5436,-50.457,4.44,-0.18,"σ Lup"],
+  [95771,19.4784,24.665,4.44,1.5,"Anser"],
+  [7884,1.6905,5.488,4.45,1.35,"ν Psc"],
+  [13147,2.8182,-32.406,4.45,0.98,"β For"],
+  [24244,5.205,-11.869,4.45,-0.1,"ι Lep"],
+  [29426,6.199,14.209,4.45,-0.18,"ξ Ori"],
+  [42402,8.646,3.341,4.45,1.22,"Minchir"],
+  [44191,9.0015,-41.254,4.45,0.65,"w Vel"],
+  [51849,10.5931,-57.558,4.45,1.6,"r Car"],
+  [52633,10.7631,-80.54,4.45,-0.19,"δ2 Cha"],
+  [55084,11.2777,-3.652,4.45,0.21,"φ Leo"],
+  [80975,16.5356,-21.466,4.45,0.13,"ω Oph"],
+  [94648,19.2592,73.356,4.45,1.26,"τ Dra"],
+  [96229,19.5682,7.379,4.45,1.18,"μ Aql"],
+  [11569,2.4844,67.403,4.46,0.15,"ι Cas"],
+  [18255,3.9049,-2.955,4.46,0.67,"w Eri"],
+  [24331,5.2215,2.861,4.46,1.17,"ρ Ori"],
+  [44901,9.1478,51.605,4.46,0.29,"Alhaud"],
+  [54682,11.1943,-22.826,4.46,0.03,"Al Sharasif"],
+  [59173,12.1348,-50.661,4.46,-0.16,"V0863 Cen"],
+  [80582,16.4531,-47.555,4.46,-0.07,"ε Nor"],
+  [112948,22.8754,-32.876,4.46,-0.04,"γ PsA"],
+  [12843,2.7517,-18.573,4.47,0.48,"τ1 Eri"],
+  [15549,3.339,29.049,4.47,1.55],
+  [23123,4.9758,1.714,4.47,1.37,"π6 Ori"],
+  [30788,6.4695,-32.58,4.47,-0.17,"λ CMa"],
+  [31216,6.5484,7.333,4.47,0.02,"13 Mon"],
+  [38957,7.9707,-49.245,4.47,-0.18,"V Pup"],
+  [44599,9.0858,-72.603,4.47,0.61,"G Car"],
+  [46146,9.4109,26.182,4.47,1.22,"Al Minlear al Asad"],
+  [47006,9.5804,52.051,4.47,0.03,"26 UMa"],
+  [57803,11.8524,-45.173,4.47,1.28,"B Cen"],
+  [71284,14.578,29.745,4.47,0.36,"σ Boo"],
+  [73165,14.9531,-4.346,4.47,0.32,"16 Lib"],
+  [104858,21.2413,10.007,4.47,0.53,"δ Equ"],
+  [109111,22.1019,-39.543,4.47,1.35,"λ Gru"],
+  [3504,0.7454,48.284,4.48,-0.07,"ο Cas"],
+  [18744,4.0149,-62.159,4.48,1.5,"γ Ret"],
+  [20713,4.4391,15.618,4.48,0.26,"71 Tau"],
+  [32578,6.7977,2.412,4.48,1.1,"18 Mon"],
+  [49641,10.1323,-0.372,4.48,-0.03,"α Sex"],
+  [75323,15.3896,-59.321,4.48,0.17,"γ Cir"],
+  [80343,16.4017,-20.037,4.48,1,"ψ Oph"],
+  [113889,23.0646,3.82,4.48,-0.12,"Fumalsamakah"],
+  [114119,23.1113,-23.743,4.48,0.89,"c1 Aqr"],
+  [9480,2.0326,70.907,4.49,0.16,"A Cas"],
+  [21248,4.5585,-29.767,4.49,0.97,"Beemim"],
+  [32249,6.7331,13.228,4.49,1.17,"30 Gem"],
+  [34834,7.2093,-46.759,4.49,0.32,"I Pup"],
+  [38455,7.8774,-38.863,4.49,-0.19,"b Pup"],
+  [49593,10.1238,35.245,4.49,0.19,"21 LMi"],
+  [71762,14.6788,16.418,4.49,0,"π1 Boo"],
+  [96441,19.6074,50.221,4.49,0.4,"θ Cyg"],
+  [104234,21.1188,-25.006,4.49,1.6,"A Cap"],
+  [107310,21.7357,28.743,4.49,0.51,"μ1 Cyg"],
+  [116928,23.7008,1.78,4.49,0.2,"λ Psc"],
+  [116971,23.712,-14.545,4.49,-0.03,"ω2 Aqr"],
+  [118322,23.9986,-65.577,4.49,-0.07,"ε Tuc"],
+  [26594,5.6531,4.122,4.5,-0.1,"ω Ori"],
+  [27530,5.8305,-56.167,4.5,1.07,"γ Pic"],
+  [43105,8.7785,-56.77,4.5,-0.17,"f Car"],
+  [50676,10.3486,-56.043,4.5,-0.1,"J Vel"],
+  [57565,11.7998,20.219,4.5,0.55,"93 Leo"],
+  [67275,13.7877,17.457,4.5,0.51,"τ Boo"],
+  [99874,20.2628,27.814,4.5,1.26,"23 Vul"],
+  [104459,21.1599,-11.372,4.5,0.93,"Albulaan"],
+  [106039,21.4787,-21.807,4.5,0.89,"b Cap"],
+  [109285,22.1397,-32.989,4.5,0.05,"μ PsA"],
+  [109754,22.2313,39.715,4.5,1.39],
+  [111944,22.6752,44.276,4.5,1.32,"11 Lac"],
+  [1473,0.3055,36.785,4.51,0.05,"σ And"],
+  [5586,1.1943,30.09,4.51,1.09,"τ Psc"],
+  [27483,5.8196,39.181,4.51,0.95,"τ Aur"],
+  [46515,9.4874,-35.951,4.51,1.41,"ε Ant"],
+  [47391,9.6558,-61.328,4.51,-0.07,"m Car"],
+  [76852,15.6925,19.67,4.51,0.06,"ι Ser"],
+  [98702,20.047,67.874,4.51,1.31,"ρ Dra"],
+  [102333,20.734,-51.921,4.51,0.28,"η Ind"],
+  [106723,21.618,-19.466,4.51,-0.18,"Kastra"],
+  [110838,22.4555,-64.966,4.51,-0.03,"δ Tuc"],
+  [117863,23.9064,57.499,4.51,1.19,"ρ Cas"],
+  [13061,2.7985,29.247,4.52,1.11,"Lilii Borea"],
+  [65271,13.3772,-60.988,4.52,-0.14,"J Cen"],
+  [65387,13.4001,-64.536,4.52,0.82,"m Cen"],
+  [69974,14.3185,-13.371,4.52,0.13,"Khambaliya"],
+  [73745,15.0741,26.948,4.52,1.24,"Aulad Alnathlat"],
+  [89112,18.1872,-45.954,4.52,1.01,"ε Tel"],
+  [95176,19.3621,-15.955,4.52,0.08,"υ Sgr"],
+  [102431,20.7559,57.58,4.52,0.54,"υ1 Cep"],
+  [106140,21.4991,23.639,4.52,1.62,"2 Peg"],
+  [111104,22.5081,43.123,4.52,-0.09,"6 Lac"],
+  [2487,0.526,-62.966,4.53,0.15,"β2 Tuc"],
+  [3881,0.8302,41.079,4.53,-0.14,"ν And"],
+  [28413,6.0009,-3.074,4.53,1.2],
+  [37096,7.6228,-34.968,4.53,-0.08,"f Pup"],
+  [69483,14.2247,51.79,4.53,0.23,"Asellus Tertius"],
+  [85365,17.4439,-5.087,4.53,0.39,"47 Oph"],
+  [87072,17.7927,-27.831,4.53,0.6,"3 Sgr"],
+  [102589,20.7901,36.491,4.53,-0.08,"λ Cyg"],
+  [114570,23.2092,49.406,4.53,0.3,"7 And"],
+  [24727,5.3029,33.372,4.54,1.25,"16 Aur"],
+  [31416,6.5843,-22.965,4.54,-0.04,"ξ2 CMa"],
+  [46776,9.533,-1.185,4.54,0.11,"τ2 Hya"],
+  [46952,9.5704,36.398,4.54,0.91,"10 LMi"],
+  [46977,9.5747,69.83,4.54,0.78,"d UMa"],
+  [72659,14.8565,19.101,4.54,0.72,"ξ Boo"],
+  [74392,15.2037,-19.792,4.54,-0.07,"ι Lib"],
+  [75304,15.3859,-36.858,4.54,-0.15,"φ2 Lup"],
+  [98162,19.9491,-27.17,4.54,1.46,"Terebellum"],
+  [114144,23.1167,9.409,4.54,1.56,"55 Peg"],
+  [115919,23.4859,12.761,4.54,0.94,"70 Peg"],
+  [301,0.0623,-17.336,4.55,-0.05,"2 Cet"],
+  [16281,3.4985,58.879,4.55,0.49,"CE Cam"],
+  [23595,5.0734,-35.483,4.55,1.18,"γ Cae"],
+  [33694,7.0011,76.977,4.55,1.36],
+  [36425,7.4966,12.007,4.55,1.28,"6 CMi"],
+  [48402,9.8684,54.064,4.55,0.04,"φ UMa"],
+  [76371,15.5981,-44.958,4.55,-0.17,"d Lup"],
+  [80079,16.3439,-24.169,4.55,0.76,"ο Sco"],
+  [88839,18.1347,-28.457,4.55,0.94],
+  [107119,21.6987,71.311,4.55,1.11,"11 Cep"],
+  [110351,22.3504,46.537,4.55,-0.1,"2 Lac"],
+  [110609,22.4086,49.476,4.55,0.09,"4 Lac"],
+  [13328,2.8586,35.06,4.56,1.55,"17 Per"],
+  [18597,3.9791,-61.4,4.56,1.59,"δ Ret"],
+  [27830,5.8888,27.612,4.56,-0.01,"136 Tau"],
+  [44700,9.1088,38.452,4.56,1.04],
+  [54951,11.2534,23.096,4.56,1.66,"Zubrah"],
+  [70574,14.4356,-45.221,4.56,-0.15,"τ1 Lup"],
+  [86092,17.5943,-46.506,4.56,-0.02,"σ Ara"],
+  [103004,20.8688,27.097,4.56,0.83,"31 Vul"],
+  [104194,21.11,47.648,4.56,1.57,"f2 Cyg"],
+  [16870,3.6182,-40.275,4.57,1.02,"y Eri"],
+  [80463,16.4236,14.033,4.57,0,"Cujam"],
+  [80473,16.4264,-23.447,4.57,0.23,"ρ Oph"],
+  [86614,17.699,72.149,4.57,0.43,"Dziban"],
+  [92818,18.9125,22.645,4.57,0.78,"113 Her"],
+  [94005,19.1392,-40.497,4.57,1.07,"δ CrA"],
+  [97886,19.891,24.08,4.57,-0.05,"13 Vul"],
+  [26237,5.5898,-4.838,4.58,-0.18,"Mizan Batil"],
+  [48374,9.8613,-46.548,4.58,1.17,"m Vel"],
+  [52468,10.7256,-60.567,4.58,1.7,"w Car"],
+  [64425,13.2049,-59.921,4.58,-0.07,"V0831 Cen"],
+  [67627,13.8572,64.723,4.58,1.57,"i Dra"],
+  [79404,16.2051,-27.926,4.58,-0.17,"c2 Sco"],
+  [86284,17.6308,-8.119,4.58,0.13,"μ Oph"],
+  [115250,23.344,23.74,4.58,0.18,"Salm"],
+  [3245,0.6888,-46.085,4.59,0.95,"μ Phe"],
+  [17351,3.7139,-37.313,4.59,1.19,"h Eri"],
+  [17959,3.8393,71.332,4.59,0.06,"γ Cam"],
+  [25473,5.4473,3.096,4.59,-0.2,"ψ Ori"],
+  [42527,8.6702,64.328,4.59,1.18,"Museida"],
+  [46509,9.4858,-2.769,4.59,0.41,"Ukdah"],
+  [50555,10.3269,-55.029,4.59,1.6,"GZ Vel"],
+  [54751,11.21,-60.318,4.59,0.54,"y Car"],
+  [77512,15.8266,26.068,4.59,0.79,"δ CrB"],
+  [77840,15.8935,-25.327,4.59,-0.07,"A Sco"],
+  [91926,18.7397,39.613,4.59,0.18,"ε2 Lyr"],
+  [96465,19.6118,-24.884,4.59,-0.07,"h2 Sgr"],
+  [117452,23.8154,-28.13,4.59,0,"δ Scl"],
+  [20070,4.3041,50.295,4.6,0.04,"b Per"],
+  [49402,10.0854,-13.065,4.6,-0.09,"υ2 Hya"],
+  [53502,10.9453,-37.138,4.6,1.01,"ι Ant"],
+  [72125,14.754,16.964,4.6,0.97,"ο Boo"],
+  [75501,15.4223,-38.734,4.6,0,"k Lup"],
+  [77760,15.8779,42.452,4.6,0.56,"χ Her"],
+  [95081,19.3445,65.715,4.6,0.03,"Tais"],
+  [443,0.0889,-5.708,4.61,1.03,"33 Psc"],
+  [1366,0.2849,38.682,4.61,0.06,"θ And"],
+  [8833,1.8926,3.188,4.61,0.93,"ξ Psc"],
+  [14817,3.1882,39.612,4.61,1.11,"Gorgonea Quarta"],
+  [36145,7.4452,49.212,4.61,0,"21 Lyn"],
+  [39095,7.9978,-18.399,4.61,0.09],
+  [76219,15.5696,-10.065,4.61,1,"37 Lib"],
+  [101474,20.5651,35.251,4.61,1.59,"47 Cyg"],
+  [4422,0.9444,59.181,4.62,0.96,"Castula"],
+  [18673,3.9987,-24.016,4.62,-0.12,"τ9 Eri"],
+  [23497,5.0516,21.59,4.62,0.15,"ι Tau"],
+  [25923,5.5322,-7.301,4.62,-0.26,"Thabit"],
+  [44824,9.1341,-25.858,4.62,1.59,"κ Pyx"],
+  [54182,11.0836,7.336,4.62,0.33,"χ Leo"],
+  [54301,11.109,-62.424,4.62,0.99,"z Car"],
+  [56480,11.5793,-54.264,4.62,-0.08,"A Cen"],
+  [62327,12.773,-56.489,4.62,-0.15],
+  [63007,12.9109,-59.147,4.62,-0.15,"λ Cru"],
+  [80628,16.4634,-8.372,4.62,0.18,"υ Oph"],
+  [88175,18.0081,-3.69,4.62,0.39,"Alava"],
+  [90982,18.5584,-42.313,4.62,0.99,"θ CrA"],
+  [92946,18.937,4.204,4.62,0.16,"Alya"],
+  [13914,2.9869,21.34,4.63,0.05,"ε Ari"],
+  [37648,7.7257,-28.411,4.63,1.63,"1 Pup"],
+  [38500,7.8843,-49.613,4.63,-0.23],
+  [42835,8.7279,-7.234,4.63,0.84,"F Hya"],
+  [45448,9.2625,-37.413,4.63,0.47,"Markeb"],
+  [61789,12.6646,-39.987,4.63,-0.08,"l Cen"],
+  [66738,13.679,54.682,4.63,1.63,"83 UMa"],
+  [73199,14.9597,65.933,4.63,1.59,"RR UMi"],
+  [77635,15.8497,-25.751,4.63,-0.07,"b Sco"],
+  [78662,16.0589,-57.775,4.63,0.25,"ι1 Nor"],
+  [90797,18.5229,-62.278,4.63,-0.12,"ν Pav"],
+  [92512,18.8534,59.388,4.63,1.19,"ο Dra"],
+  [118131,23.9626,25.141,4.63,1.58,"ψ Peg"],
+  [18216,3.8952,-24.612,4.64,-0.14,"τ8 Eri"],
+  [22845,4.9149,10.151,4.64,0.09,"π1 Ori"],
+  [28716,6.0653,20.139,4.64,0.24,"χ2 Ori"],
+  [67234,13.7776,-51.433,4.64,0.95,"M Cen"],
+  [76669,15.6563,36.636,4.64,-0.1,"ζ1 CrB"],
+  [76829,15.6865,-44.661,4.64,0.41,"g Lup"],
+  [82369,16.8306,-10.783,4.64,0.48,"20 Oph"],
+  [84606,17.2945,37.291,4.64,0.04,"e Her"],
+  [88765,18.1218,8.734,4.64,0.95,"71 Oph"],
+  [95585,19.442,0.339,4.64,0.58,"ν Aql"],
+  [101589,20.5885,14.674,4.64,0.12,"ζ Del"],
+  [111674,22.6229,51.545,4.64,0.25,"9 Lac"],
+  [113919,23.0697,50.052,4.64,1.06,"3 And"],
+  [12719,2.7242,27.707,4.65,-0.12,"35 Ari"],
+  [21273,4.5641,14.844,4.65,0.26,"ρ Tau"],
+  [23607,5.0762,15.404,4.65,-0.06,"11 Ori"],
+  [27890,5.9017,-63.09,4.65,1.02,"36 Dor"],
+  [35363,7.3051,-36.734,4.65,-0.1,"v1 Pup"],
+  [36514,7.5118,-30.962,4.65,0.9],
+  [36917,7.5897,-28.369,4.65,-0.11,"p Pup"],
+  [51192,10.4568,-57.639,4.65,0.47,"P Car"],
+  [58590,12.0146,6.614,4.65,0.12,"π Vir"],
+  [78639,16.0536,-49.23,4.65,0.9,"η Nor"],
+  [5571,1.1909,21.035,4.66,1.02,"χ Psc"],
+  [8497,1.8264,-10.686,4.66,0.33,"χ Cet"],
+  [31978,6.683,9.896,4.66,-0.23,"15 Mon"],
+  [33302,6.9271,-20.137,4.66,0.37,"π CMa"],
+  [35205,7.2764,-27.881,4.66,1.59],
+  [42806,8.7214,21.468,4.66,0.01,"Asellus Borealis"],
+  [44626,9.094,-70.538,4.66,-0.15,"E Car"],
+  [53295,10.8997,43.19,4.66,-0.04,"ω UMa"],
+  [61740,12.6541,-7.996,4.66,1.24,"χ Vir"],
+  [62012,12.7098,-48.813,4.66,1.07,"w Cen"],
+  [76705,15.6628,-34.412,4.66,0.96,"ψ1 Lup"],
+  [88567,18.0837,-29.58,4.66,0.77,"Nash"],
+  [89678,18.3009,-27.043,4.66,1.63],
+  [90135,18.3943,-8.934,4.66,0.93,"ζ Sct"],
+  [98543,20.0183,27.754,4.66,0.18,"15 Vul"],
+  [5742,1.2292,24.584,4.67,1.05,"φ Psc"],
+  [16244,3.4895,49.509,4.67,-0.1,"34 Per"],
+  [19811,4.2481,40.484,4.67,1.01,"f Per"],
+  [21683,4.6546,15.918,4.67,0.15,"σ2 Tau"],
+  [28910,6.1026,-14.935,4.67,0.05,"θ Lep"],
+  [40167,8.2035,17.648,4.67,0.53,"Tegmine"],
+  [45075,9.182,63.514,4.67,0.38,"τ UMa"],
+  [88128,18.0009,16.751,4.67,1.25,"93 Her"],
+  [90595,18.4866,-14.566,4.67,0.08,"γ Sct"],
+  [91919,18.739,39.67,4.67,0.17,"Double Double"],
+  [96100,19.5393,69.661,4.67,0.79,"Alsafi"],
+  [103738,21.0215,-32.258,4.67,0.89,"γ Mic"],
+  [7294,1.5655,59.232,4.68,0.99,"χ Cas"],
+  [8928,1.9156,-67.647,4.68,0.93,"η2 Hyi"],
+  [9677,2.0748,-29.297,4.68,-0.16,"ν For"],
+  [13879,2.9794,39.663,4.68,0.07,"Gorgonea Secunda"],
+  [43878,8.9387,-52.724,4.68,-0.12,"H Vel"],
+  [47310,9.6409,4.649,4.68,1.31,"2 Sex"],
+  [49029,10.0036,8.044,4.68,1.59,"π Leo"],
+  [52098,10.6453,31.976,4.68,0.82,"37 LMi"],
+  [66006,13.5327,-6.256,4.68,1.61,"l Vir"],
+  [66234,13.5742,49.016,4.68,0.13,"24 CVn"],
+  [80047,16.3391,-78.696,4.68,1.68,"δ1 Aps"],
+  [96683,19.6563,30.153,4.68,0.97,"φ Cyg"],
+  [106786,21.6292,-7.854,4.68,0.17,"Bunda"],
+  [112211,22.7265,-18.83,4.68,1.36,"g Aqr"],
+  [20732,4.4434,14.714,4.69,0.98,"π Tau"],
+  [24813,5.319,40.099,4.69,0.63,"λ Aur"],
+  [37173,7.6383,-25.365,4.69,-0.1,"m Pup"],
+  [38089,7.8056,-47.078,4.69,1.04,"Q Pup"],
+  [39211,8.0204,-1.393,4.69,1.48,"28 Mon"],
+  [52102,10.6458,-59.183,4.69,1.56,"t2 Car"],
+  [62268,12.7606,-60.981,4.69,1.05,"ι Cru"],
+  [107136,21.7016,51.19,4.69,-0.12,"Azelfafage"],
+  [108870,22.056,-56.786,4.69,1.06,"ε Ind"],
+  [116389,23.5846,-42.615,4.69,0.08,"ι Phe"],
+  [24927,5.3408,-21.24,4.7,-0.05],
+  [56633,11.6114,-9.802,4.7,-0.07,"θ Crt"],
+  [56922,11.6702,-34.745,4.7,-0.07,"ο Hya"],
+  [82671,16.8999,-42.362,4.7,0.44,"ζ1 Sco"],
+  [91726,18.7046,-9.053,4.7,0.36,"δ Sct"],
+  [98066,19.9307,-26.299,4.7,0.75,"Terebellum"],
+  [104521,21.1724,10.132,4.7,0.26,"γ Equ"],
+  [113116,22.9069,84.346,4.7,1.42],
+  [116247,23.5546,-20.915,4.7,0.02,"b3 Aqr"],
+  [13954,2.9953,8.907,4.71,-0.11,"Menkar"],
+  [16245,3.4896,-62.938,4.71,0.41,"κ Ret"],
+  [22667,4.8755,14.251,4.71,1.77,"Al Kumm"],
+  [23693,5.0918,-57.473,4.71,0.53,"ζ Dor"],
+  [25737,5.4956,-1.092,4.71,1.59,"31 Ori"],
+  [25984,5.5455,32.192,4.71,0.28,"χ Aur"],
+  [45902,9.3582,-25.965,4.71,1.63,"θ Pyx"],
+  [46026,9.3867,-28.834,4.71,0.89,"λ Pyx"],
+  [57283,11.746,-18.351,4.71,0.96,"ζ Crt"],
+  [63945,13.1046,-48.463,4.71,-0.15,"f Cen"],
+  [68191,13.9608,-63.687,4.71,1.07],
+  [97938,19.9041,8.461,4.71,1.02,"Libertas"],
+  [105140,21.299,-32.172,4.71,0.07,"ε Mic"],
+  [114375,23.1652,-22.458,4.71,0.67,"c3 Aqr"],
+  [6692,1.4322,68.13,4.72,1.05,"ψ Cas"],
+  [25044,5.3627,-0.383,4.72,-0.17,"o Ori"],
+  [27639,5.8507,37.306,4.72,1.62,"υ Aur"],
+  [29276,6.1716,-54.969,4.72,-0.23,"δ Pic"],
+  [40084,8.1879,-12.927,4.72,0.94,"19 Pup"],
+  [46371,9.4551,-22.344,4.72,1.15,"G Hya"],
+  [51056,10.4319,33.796,4.72,0.26,"30 LMi"],
+  [51438,10.5056,-71.993,4.72,0.04,"K Car"],
+  [51658,10.5539,40.426,4.72,0.22],
+  [58867,12.072,-63.166,4.72,-0.08,"θ2 Cru"],
+  [60202,12.3453,17.793,4.72,1.01,"11 Com"],
+  [64844,13.2924,40.573,4.72,0.31,"20 CVn"],
+  [78592,16.0466,46.037,4.72,-0.09,"υ Her"],
+  [84514,17.2769,-0.445,4.72,1.12,"41 Oph"],
+  [107188,21.711,-18.866,4.72,0.87,"κ Cap"],
+  [11313,2.4271,50.279,4.73,1.53,"65 And"],
+  [33202,6.9107,13.178,4.73,0.32,"e Gem"],
+  [40096,8.1905,-42.987,4.73,0.16],
+  [53907,11.0305,-2.485,4.73,1.59,"p2 Leo"],
+  [78914,16.1082,-45.173,4.73,0.23,"δ Nor"],
+  [79119,16.1495,36.491,4.73,1.01,"τ CrB"],
+  [103045,20.8776,-8.983,4.73,0.33,"Albulan"],
+  [2505,0.5295,54.522,4.74,-0.1,"λ Cas"],
+  [6193,1.3244,27.264,4.74,0.03,"υ Psc"],
+  [11783,2.5348,-15.245,4.74,0.45,"σ Cet"],
+  [12413,2.6633,-42.892,4.74,0.06,"s Eri"],
+  [15520,3.3331,65.652,4.74,-0.11,"BK Cam"],
+  [16341,3.5103,-5.075,4.74,-0.09,"v Eri"],
+  [39903,8.1502,-61.302,4.74,0.44,"B Car"],
+  [42624,8.687,-47.317,4.74,0.14,"n Vel"],
+  [44390,9.0424,67.63,4.74,1.54,"ρ UMa"],
+  [64924,13.3068,-18.311,4.74,0.71,"61 Vir"],
+  [69191,14.1652,-53.439,4.74,0.94],
+  [77661,15.8544,20.978,4.74,1.53,"ρ Ser"],
+  [88116,17.9965,-23.816,4.74,-0.03,"4 Sgr"],
+  [93542,19.0519,-42.095,4.74,-0.03,"ζ CrA"],
+  [96052,19.5295,34.453,4.74,-0.15,"8 Cyg"],
+  [103632,20.9971,47.521,4.74,-0.08,"f1 Cyg"],
+  [108874,22.0552,-2.155,4.74,-0.1,"Sadalmulk"],
+  [116602,23.6308,-45.492,4.74,0.08],
+  [35020,7.2439,-48.272,4.75,-0.09],
+  [57581,11.804,-66.815,4.75,1.52,"μ Mus"],
+  [67786,13.8868,-31.928,4.75,-0.11,"h Cen"],
+  [69713,14.2694,51.367,4.75,0.24,"Asellus Secundus"],
+  [76880,15.6991,-19.679,4.75,1.57,"κ Lib"],
+  [76945,15.7114,-34.71,4.75,-0.15,"ψ2 Lup"],
+  [101612,20.593,-60.582,4.75,0.29,"φ1 Pav"],
+  [115088,23.3104,68.111,4.75,0.84,"ο Cep"],
+  [2472,0.5236,-48.803,4.76,0.02,"λ1 Phe"],
+  [13244,2.8412,-75.067,4.76,1.34,"ν Hyi"],
+  [13288,2.8506,-21.004,4.76,0.91,"Angetenar"],
+  [27750,5.874,1.855,4.76,1.38,"56 Ori"],
+  [29997,6.3141,69.32,4.76,0.03],
+  [38901,7.9611,-30.335,4.76,0.15,"χ Pup"],
+  [47522,9.6881,-23.591,4.76,-0.12,"I Hya"],
+  [52370,10.7039,-64.466,4.76,-0.14,"V0518 Car"],
+  [55266,11.3189,38.186,4.76,0.11,"55 UMa"],
+  [60485,12.4004,51.562,4.76,0.88,"5 CVn"],
+  [63355,12.9821,17.409,4.76,1.57,"36 Com"],
+  [65639,13.4575,-15.974,4.76,1.1,"69 Vir"],
+  [67665,13.8632,34.444,4.76,1.61,"AW CVn"],
+  [70264,14.377,-58.459,4.76,0.8],
+  [84969,17.3665,-67.771,4.76,1.19,"ζ Aps"],
+  [86486,17.6733,-49.416,4.76,0.41,"λ Ara"],
+  [94703,19.2703,21.39,4.76,-0.06,"1 Vul"],
+  [106801,21.632,62.082,4.76,0.25,"9 Cep"],
+  [114155,23.1185,25.468,4.76,1.28,"56 Peg"],
+  [3455,0.7365,-10.61,4.77,1,"Alnitham"],
+  [14382,3.0923,56.706,4.77,1.02,"k Per"],
+  [26563,5.6481,-7.213,4.77,0.14,"d Ori"],
+  [32533,6.7888,8.037,4.77,1.4,"17 Mon"],
+  [45751,9.3296,-11.975,4.77,0.93,"26 Hya"],
+  [56127,11.5052,-3.003,4.77,1.53,"e Leo"],
+  [62985,12.9059,-9.539,4.77,1.59,"ψ Vir"],
+  [86201,17.6159,68.758,4.77,0.43,"Al Dhih"],
+  [88404,18.0514,-8.18,4.77,0.41,"τ Oph"],
+  [90905,18.5429,57.046,4.77,0.61,"d Dra"],
+  [98761,20.0593,-37.941,4.77,1.42],
+  [100044,20.2964,38.033,4.77,0.38,"Revenant of the Swan"],
+  [100310,20.3444,-12.759,4.77,-0.05,"Alshat"],
+  [101027,20.481,-17.814,4.77,0.39,"ρ Cap"],
+  [112519,22.7914,83.154,4.77,1.26],
+  [122,0.0266,-77.066,4.78,1.25,"θ Oct"],
+  [4147,0.8835,-1.144,4.78,1.55,"20 Cet"],
+  [9977,2.1415,37.859,4.78,0.12,"58 And"],
+  [17587,3.7673,63.345,4.78,0.75],
+  [21029,4.5093,16.194,4.78,0.17],
+  [23231,4.9988,-12.537,4.78,0.27,"64 Eri"],
+  [26199,5.5841,-6.002,4.78,-0.25],
+  [39847,8.141,51.507,4.78,0.05,"27 Lyn"],
+  [40274,8.2249,-35.9,4.78,-0.11,"r Pup"],
+  [47758,9.7367,-27.77,4.78,0.52,"θ Ant"],
+  [50564,10.3289,19.471,4.78,0.45,"40 Leo"],
+  [60351,12.3751,25.846,4.78,0.52,"12 Com"],
+  [64852,13.2934,5.47,4.78,1.64,"σ Vir"],
+  [70104,14.3452,-45.187,4.78,0.31],
+  [70306,14.3849,-27.754,4.78,1.3,"k Hya"],
+  [85755,17.5236,-23.963,4.78,0.02,"c Oph"],
+  [87294,17.8364,-40.09,4.78,0.26,"Vanant"],
+  [92024,18.7575,-64.871,4.78,0.2],
+  [110371,22.3554,28.331,4.78,-0.01,"32 Peg"],
+  [110882,22.4643,4.696,4.78,1.04,"35 Peg"],
+  [1168,0.2434,20.207,4.79,1.57,"χ Peg"],
+  [9153,1.9655,23.596,4.79,0.29,"λ Ari"],
+  [22678,4.8772,36.703,4.79,1.41,"2 Aur"],
+  [41039,8.3755,-48.49,4.79,-0.15,"B Vel"],
+  [45856,9.3491,-62.405,4.79,0.93,"k Car"],
+  [64661,13.2542,-67.895,4.79,-0.08,"η Mus"],
+  [77655,15.8539,35.657,4.79,1,"κ CrB"],
+  [80815,16.5035,-25.115,4.79,-0.12,"i Sco"],
+  [87220,17.8196,-31.703,4.79,-0.03],
+  [88149,18.0044,4.369,4.79,-0.1,"66 Oph"],
+  [99824,20.2544,25.592,4.79,-0.18,"QR Vul"],
+  [109400,22.1635,72.341,4.79,0.92,"24 Cep"],
+  [109908,22.2603,-41.347,4.79,0.79,"μ1 Gru"],
+  [3300,0.7011,50.513,4.8,-0.1,"ξ Cas"],
+  [4151,0.8845,61.124,4.8,0.54],
+  [15197,3.2639,-8.82,4.8,0.23,"Zibal"],
+  [20354,4.3592,46.499,4.8,-0.02,"d Per"],
+  [20542,4.4016,17.444,4.8,0.15,"64 Tau"],
+  [23364,5.024,-7.174,4.8,-0.16,"Kursi al Jauzah"],
+  [31832,6.6555,42.489,4.8,1.24,"ψ2 Aur"],
+  [45038,9.1732,67.134,4.8,0.49,"σ2 UMa"],
+  [45493,9.2698,54.022,4.8,0.2,"e UMa"],
+  [45811,9.3414,-9.556,4.8,0.91,"P Hya"],
+  [52502,10.7353,-63.961,4.8,-0.13],
+  [61394,12.5809,22.629,4.8,0.01,"23 Com"],
+  [64022,13.1196,27.625,4.8,1.48,"41 Com"],
+  [69112,14.1475,77.547,4.8,1.37,"4 UMi"],
+  [69879,14.2999,35.51,4.8,1.06,"A Boo"],
+  [71995,14.7237,26.528,4.8,1.67,"34 Boo"],
+  [73568,15.0351,25.008,4.8,1.51,"ω Boo"],
+  [79881,16.305,-28.614,4.8,0.01,"d Sco"],
+  [84573,17.2888,33.1,4.8,-0.17,"u Her"],
+  [99639,20.2217,46.816,4.8,0.1,"30 Cyg"],
+  [103089,20.8874,44.387,4.8,-0.13,"57 Cyg"],
+  [105382,21.346,-40.809,4.8,0.03,"θ1 Mic"],
+  [110672,22.4213,1.377,4.8,-0.17,"Seat"],
+  [112051,22.6959,29.308,4.8,-0.01,"Sadalmatar"],
+  [24010,5.1617,15.597,4.81,0.31,"15 Ori"],
+  [24372,5.2293,-67.185,4.81,1.27,"θ Dor"],
+  [24659,5.2914,-34.895,4.81,0.99,"ο Col"],
+  [28237,5.9666,25.954,4.81,-0.09,"139 Tau"],
+  [39138,8.0055,-63.568,4.81,-0.17,"D Car"],
+  [47029,9.5844,39.621,4.81,0.99],
+  [55687,11.4102,-10.859,4.81,1.56,"ε Crt"],
+  [70755,14.47,-2.228,4.81,0.69,"Elgafar"],
+  [90289,18.4225,-20.542,4.81,1.31,"21 Sgr"],
+  [101867,20.642,21.201,4.81,-0.03,"29 Vul"],
+  [102724,20.8156,46.114,4.81,0.57,"55 Cyg"],
+  [9095,1.9528,-47.385,4.82,0.86],
+  [24340,5.2238,38.484,4.82,0.19,"Alhiba"],
+  [31827,6.6546,-14.146,4.82,1.46],
+  [33092,6.8925,-20.224,4.82,-0.21,"15 CMa"],
+  [36773,7.5633,-14.524,4.82,1.36,"KQ Pup"],
+  [50799,10.3721,-41.65,4.82,1.09,"r Vel"],
+  [51459,10.5104,55.98,4.82,0.54,"36 UMa"],
+  [60710,12.4422,-51.451,4.82,-0.14,"G Cen"],
+  [66458,13.6243,36.295,4.82,0.24,"25 CVn"],
+  [69226,14.1733,25.092,4.82,0.54,"d Boo"],
+  [78554,16.0382,22.805,4.82,0.07,"π Ser"],
+  [80179,16.3679,1.029,4.82,0.34,"σ Ser"],
+  [82321,16.8206,45.983,4.82,0.09,"52 Her"],
+  [83262,17.0177,-4.223,4.82,1.48,"30 Oph"],
+  [90344,18.4331,65.564,4.82,1.18,"Fafnir"],
+  [92782,18.9066,71.297,4.82,1.15,"Athafi"],
+  [104019,21.0734,-19.855,4.82,0.17,"Arm"],
+  [110386,22.3586,12.205,4.82,-0.13,"31 Peg"],
+  [111123,22.5108,-10.678,4.82,-0.05,"σ Aqr"],
+  [115022,23.2957,49.015,4.82,1.67,"8 And"],
+  [116901,23.6961,-17.817,4.82,0.82,"A2 Aqr"],
+  [4292,0.9167,58.973,4.83,1.22,"υ1 Cas"],
+  [6813,1.4609,45.407,4.83,0.42,"ω And"],
+  [12390,2.6594,-11.872,4.83,0.45,"ε Cet"],
+  [12876,2.7591,-67.617,4.83,0.06,"ζ Hyi"],
+  [34495,7.1475,-39.656,4.83,-0.18,"A Pup"],
+  [35210,7.2769,-23.316,4.83,1.6,"145 CMa"],
+  [40945,8.3564,-33.054,4.83,1.42,"w Pup"],
+  [42726,8.7071,-53.114,4.83,-0.17,"HY Vel"],
+  [63724,13.0593,-49.527,4.83,0.03,"ξ1 Cen"],
+  [73695,15.0631,47.654,4.83,0.65,"i Boo"],
+  [74449,15.2138,-44.5,4.83,-0.18,"e Lup"],
+  [80704,16.4774,41.882,4.83,1.29,"g Her"],
+  [83574,17.0804,-34.123,4.83,0.26,"k Sco"],
+  [92088,18.7679,26.662,4.83,1.2],
+  [93026,18.951,-5.846,4.83,1.06,"η Sct"],
+  [93174,18.9787,-37.107,4.83,0.4,"ε CrA"],
+  [7007,1.5031,6.144,4.84,1.37,"μ Psc"],
+  [10340,2.2204,44.232,4.84,1.48,"b And"],
+  [10644,2.2842,34.224,4.84,0.61,"δ Tri"],
+  [15457,3.3227,3.37,4.84,0.68,"κ Cet"],
+  [19740,4.2323,9.264,4.84,0.8,"47 Tau"],
+  [26777,5.6883,16.534,4.84,-0.13,"126 Tau"],
+  [37297,7.6576,-38.308,4.84,-0.19,"d1 Pup"],
+  [42134,8.5888,-58.009,4.84,0.98,"e2 Car"],
+  [53807,11.0093,3.618,4.84,1.14,"d Leo"],
+  [57328,11.7547,8.258,4.84,0.17,"ξ Vir"],
+  [70027,14.3292,16.307,4.84,1.23,"20 Boo"],
+  [81008,16.5434,11.488,4.84,1.5,"h Her"],
+  [81660,16.682,64.589,4.84,1.21,"g Dra"],
+  [82020,16.7549,56.782,4.84,0.38],
+  [98353,19.9826,-26.196,4.84,0.88,"Terebellum"],
+  [112203,22.725,-41.414,4.84,1.03,"ρ Gru"],
+  [112374,22.7605,-53.5,4.84,1.18,"η Gru"],
+  [114104,23.1102,59.42,4.84,-0.06,"1 Cas"],
+  [14862,3.199,74.394,4.85,0.04],
+  [15416,3.3122,34.223,4.85,1.49],
+  [36431,7.4976,-23.024,4.85,0.24],
+  [49712,10.149,-51.811,4.85,-0.12,"Q Vel"],
+  [64408,13.2009,-37.803,4.85,0.69],
+  [74837,15.2941,-63.611,4.85,1.26,"ε Cir"],
+  [87846,17.9465,-44.342,4.85,1.18],
+  [89918,18.3478,3.377,4.85,0.91,"74 Oph"],
+  [93148,18.9744,-52.939,4.85,-0.05,"λ Tel"],
+  [2210,0.4655,-33.007,4.86,1.63,"η Scl"],
+  [15382,3.3061,-22.511,4.86,0.9,"15 Eri"],
+  [32438,6.7706,59.442,4.86,0.08,"12 Lyn"],
+  [42483,8.6618,-29.561,4.86,0.9,"ζ Pyx"],
+  [51808,10.5849,75.713,4.86,0.96],
+  [64820,13.2869,-66.783,4.86,1.48],
+  [70327,14.3896,8.447,4.86,0.01],
+  [71832,14.6941,8.162,4.86,0.99,"31 Boo"],
+  [80181,16.3683,30.892,4.86,0.97,"ξ CrB"],
+  [81122,16.5681,-44.045,4.86,0.04,"μ Nor"],
+  [81497,16.6458,48.928,4.86,1.56,"42 Her"],
+  [85829,17.5378,55.173,4.86,0.28,"Kuma"],
+  [86736,17.7238,-21.683,4.86,0.47,"58 Oph"],
+  [91918,18.7387,-35.642,4.86,-0.17],
+  [92761,18.9028,-22.745,4.86,1.41,"Ainalrami"],
+  [94643,19.259,-25.257,4.86,0.57,"Al Kiladah"],
+  [101773,20.6265,-61.53,4.86,0.45,"ρ Pav"],
+  [109068,22.0947,5.059,4.86,1.44,"Fum al Faras"],
+  [6411,1.3723,45.529,4.87,1.08,"Adhil"],
+  [12093,2.5979,5.593,4.87,0.88,"ν Cet"],
+  [15110,3.2484,21.044,4.87,-0.01,"ζ Ari"],
+  [19777,4.2399,-10.256,4.87,1.16,"A Eri"],
+  [34899,7.2204,-45.183,4.87,0,"L1 Pup"],
+  [42662,8.6954,-15.943,4.87,1.06,"9 Hya"],
+  [43825,8.9254,-27.682,4.87,0.14,"δ Pyx"],
+  [48559,9.9034,-25.932,4.87,1.2],
+  [51979,10.6205,-27.413,4.87,1.63],
+  [52736,10.7809,-64.383,4.87,-0.15],
+  [97290,19.7727,-19.761,4.87,1.06,"f Sgr"],
+  [106551,21.5796,38.534,4.87,1.08,"72 Cyg"],
+  [11345,2.4325,-12.29,4.88,-0.03,"Sadr al Kaitos"],
+  [25539,5.4606,21.937,4.88,-0.14,"o Tau"],
+  [27468,5.8169,24.567,4.88,1.02,"132 Tau"],
+  [27810,5.8852,-33.801,4.88,-0.15,"λ Col"],
+  [35412,7.3112,-24.559,4.88,-0.16,"29 CMa"],
+  [58484,11.9938,-78.222,4.88,-0.05,"ε Cha"],
+  [61960,12.6981,10.236,4.88,0.08,"ρ Vir"],
+  [63462,13.0046,30.785,4.88,1.17,"37 Com"],
+  [82860,16.9338,65.135,4.88,0.48,"h Dra"],
+  [87936,17.9633,-41.716,4.88,1.62],
+  [91845,18.7253,-8.275,4.88,1.11,"ε Sct"],
+  [94820,19.2939,-18.953,4.88,1.01,"d Sgr"],
+  [96341,19.5869,-48.099,4.88,1.1,"ι Tel"],
+  [117301,23.7843,58.652,4.88,1.12,"τ Cas"],
+  [118209,23.9779,-3.556,4.88,0.93,"27 Psc"],
+  [118243,23.9835,55.755,4.88,-0.07,"σ Cas"],
+  [910,0.1877,-15.468,4.89,0.49,"6 Cet"],
+  [22453,4.8318,37.488,4.89,1.45,"1 Aur"],
+  [25302,5.4125,1.846,4.89,-0.2,"25 Ori"],
+  [27511,5.8258,12.651,4.89,-0.07,"134 Tau"],
+  [37265,7.6528,34.584,4.89,0.41,"Jishui"],
+  [37908,7.7687,18.51,4.89,1.43,"g Gem"],
+  [51523,10.5227,-53.715,4.89,0.5],
+  [52009,10.6259,-13.384,4.89,2.8,"U Hya"],
+  [57443,11.7753,-40.5,4.89,0.66],
+  [57851,11.8642,-65.206,4.89,-0.12],
+  [62886,12.8883,21.245,4.89,0.9,"35 Com"],
+  [69896,14.3039,-81.008,4.89,0.24,"η Aps"],
+  [83613,17.0896,12.741,4.89,0.13,"60 Her"],
+  [85819,17.5363,55.184,4.89,0.25,"Kuma"],
+  [97118,19.7379,37.354,4.89,0.95,"15 Cyg"],
+  [102831,20.8328,-33.78,4.89,1,"α Mic"],
+  [111841,22.6544,39.05,4.89,-0.21,"10 Lac"],
+  [115990,23.5005,58.549,4.89,-0.12,"AR Cas"],
+  [3801,0.8139,50.968,4.9,-0.09,"ν Cas"],
+  [6670,1.427,-14.599,4.9,1.23,"46 Cet"],
+  [26885,5.708,1.475,4.9,1.14,"b Ori"],
+  [33485,6.9603,45.094,4.9,0.03,"16 Lyn"],
+  [62683,12.8448,-33.999,4.9,-0.03,"p Cen"],
+  [64583,13.2375,-59.103,4.9,0.49],
+  [78655,16.0567,-38.602,4.9,-0.15],
+  [78821,16.0907,-19.802,4.9,-0.02,"β2 Sco"],
+  [80686,16.4745,-70.084,4.9,0.56,"ζ TrA"],
+  [97679,19.8511,22.61,4.9,-0.15,"12 Vul"],
+  [102790,20.8247,-46.227,4.9,1.49,"ζ Ind"],
+  [12623,2.7041,40.194,4.91,0.58,"12 Per"],
+  [21139,4.5313,-0.044,4.91,1.32,"45 Eri"],
+  [23362,5.0238,-20.052,4.91,-0.05],
+  [23835,5.1242,18.645,4.91,0.66,"m Tau"],
+  [30093,6.3332,-2.945,4.91,1.61],
+  [34622,7.1705,-4.237,4.91,1.02,"20 Mon"],
+  [34752,7.1943,39.321,4.91,1.45,"63 Aur"],
+  [52085,10.643,-16.877,4.91,0.92,"φ Hya"],
+  [61966,12.699,-59.686,4.91,-0.04,"39 Cru"],
+  [66257,13.5799,37.182,4.91,0.4,"BH CVn"],
+  [73473,15.0162,-8.519,4.91,0,"Zuben Elakribi"],
+  [74604,15.2437,-31.519,4.91,0.37,"i Lup"],
+  [81724,16.6929,-17.742,4.91,1.09,"24 Sco"],
+  [83608,17.0889,54.47,4.91,0.47,"Alrakis"],
+  [98055,19.9272,52.439,4.91,0.12,"ψ Cyg"],
+  [101101,20.4942,-2.885,4.91,1.16,"69 Aql"],
+  [101692,20.6121,-2.55,4.91,1.61,"70 Aql"],
+  [111310,22.55,-61.982,4.91,1.61,"ν Tuc"],
+  [113186,22.9205,8.816,4.91,0,"ρ Peg"],
+  [9061,1.9445,-22.527,4.92,1.43,"56 Cet"],
+  [28574,6.0307,-10.598,4.92,-0.13,"3 Mon"],
+  [28816,6.0831,-16.484,4.92,0.2,"17 Lep"],
+  [30520,6.415,49.288,4.92,1.91,"Dolones"],
+  [34059,7.0649,-49.584,4.92,0.14,"H Pup"],
+  [36547,7.5179,82.412,4.92,1.63,"VZ Cam"],
+  [45439,9.2602,-38.57,4.92,1.08,"l Vel"],
+  [54204,11.0889,-27.294,4.92,0.37,"χ1 Hya"],
+  [60697,12.44,27.268,4.92,0.28,"14 Com"],
+  [66200,13.5689,3.659,4.92,0.03,"o Vir"],
+  [67480,13.8286,21.264,4.92,1.43,"e Boo"],
+  [72104,14.7498,-35.192,4.92,0.01,"c2 Cen"],
+  [75379,15.4033,-10.322,4.92,0.45,"ε Lib"],
+  [88726,18.1139,-43.425,4.92,0.26],
+  [89861,18.3383,21.961,4.92,1.59,"106 Her"],
+  [90830,18.5293,-45.915,4.92,-0.1,"δ1 Tel"],
+  [92689,18.8871,50.708,4.92,0.9],
+  [102388,20.7479,25.271,4.92,1.18,"30 Vul"],
+  [19515,4.1807,-41.994,4.93,0.33,"δ Hor"],
+  [19990,4.2877,20.579,4.93,0.26,"ω Tau"],
+  [20252,4.3402,34.567,4.93,0.95,"54 Per"],
+  [23179,4.9876,37.89,4.93,0.04,"4 Aur"],
+  [36942,7.5944,-52.534,4.93,1.37,"Q Car"],
+  [37609,7.7168,58.71,4.93,0.1,"24 Lyn"],
+  [39079,7.9956,-3.68,4.93,1.21,"27 Mon"],
+  [43937,8.9496,-59.229,4.93,-0.18,"b1 Car"],
+  [47592,9.704,-23.916,4.93,0.53],
+  [56280,11.5379,-29.261,4.93,0.54,"17 Crt"],
+  [56986,11.6816,-62.09,4.93,1.11],
+  [59847,12.2724,23.945,4.93,0.96,"7 Com"],
+  [62763,12.8616,27.541,4.93,0.68,"Polaris Galacticus Borealis"],
+  [63503,13.0121,56.366,4.93,0.37,"78 UMa"],
+  [69269,14.1807,-16.302,4.93,1.68,"ET Vir"],
+  [72631,14.8503,-2.299,4.93,0.99,"11 Lib"],
+  [73996,15.1217,24.869,4.93,0.43,"c Boo"],
+  [79375,16.2,-10.064,4.93,0.09,"ψ Sco"],
+  [96483,19.6148,-7.027,4.93,-0.05,"κ Aql"],
+  [99120,20.1231,-52.881,4.93,1.59,"ξ Tel"],
+  [99303,20.1571,36.84,4.93,-0.14,"b2 Cyg"],
+  [99770,20.2422,36.806,4.93,0.15,"b3 Cyg"],
+  [102571,20.7863,34.374,4.93,1.29,"T Cyg"],
+  [114939,23.2808,-7.726,4.93,1.61,"χ Aqr"],
+  [117073,23.7332,29.361,4.93,0.94,"78 Peg"],
+  [10280,2.2062,30.303,4.94,0.77,"6 Tri"],
+  [13905,2.9844,35.183,4.94,1.24,"24 Per"],
+  [33357,6.9378,-48.721,4.94,1.67],
+  [35727,7.3704,-19.017,4.94,-0.04],
+  [39424,8.0586,27.794,4.94,1.13,"χ Gem"],
+  [43347,8.8299,-45.308,4.94,0.04,"g Vel"],
+  [48615,9.9145,-19.009,4.94,1.56,"Felis"],
+  [50933,10.4022,65.566,4.94,-0.05,"ET UMa"],
+  [51495,10.5172,-73.222,4.94,1.68],
+  [64166,13.1509,-23.118,4.94,1.05,"ψ Hya"],
+  [64540,13.2286,40.153,4.94,1.06],
+  [80650,16.4664,68.768,4.94,-0.05,"A Dra"],
+  [93279,19.0002,32.145,4.94,1.47,"λ Lyr"],
+  [99742,20.2379,15.198,4.94,0.07,"ρ Aql"],
+  [101138,20.501,48.952,4.94,-0.09,"Ruchba"],
+  [109422,22.1691,-32.548,4.94,0.49,"τ PsA"],
+  [3414,0.7245,47.025,4.95,0.17,"π Cas"],
+  [6242,1.3347,58.232,4.95,0.68,"φ Cas"],
+  [18505,3.9571,63.072,4.95,-0.07],
+  [26736,5.6808,-1.129,4.95,-0.2],
+  [29434,6.2009,16.13,4.95,-0.15,"f1 Ori"],
+  [55945,11.4656,2.856,4.95,1,"τ Leo"],
+  [61384,12.5789,70.022,4.95,1.31,"6 Dra"],
+  [78207,15.9698,-14.279,4.95,-0.08,"48 Lib"],
+  [79509,16.2246,-54.63,4.95,1.02,"κ Nor"],
+  [79822,16.2917,75.755,4.95,0.39,"Anwa Farkadain"],
+  [98068,19.931,38.487,4.95,-0.09,"22 Cyg"],
+  [98608,20.0291,-59.376,4.95,1.36,"NU Pav"],
+  [112917,22.8672,43.312,4.95,1.56,"15 Lac"],
+  [115738,23.4489,1.256,4.95,0.04,"κ Psc"],
+  [117245,23.7732,3.487,4.95,2.51,"19 Psc"],
+  [7818,1.6763,40.577,4.96,-0.07,"τ And"],
+  [7918,1.6964,42.613,4.96,0.62],
+  [11918,2.5641,-28.232,4.96,-0.05,"ω For"],
+  [15648,3.3574,43.33,4.96,0.05,"l Per"],
+  [20877,4.474,16.36,4.96,1.14,"75 Tau"],
+  [24822,5.3213,22.096,4.96,0.94,"n Tau"],
+  [27949,5.9141,55.707,4.96,0.05,"ξ Aur"],
+  [67494,13.8312,-18.134,4.96,1.06,"89 Vir"],
+  [78180,15.9632,54.75,4.96,0.27,"CL Dra"],
+  [78650,16.0557,-25.865,4.96,1.23],
+  [88657,18.1005,22.219,4.96,1.66,"98 Her"],
+  [89153,18.1954,-23.701,4.96,1.05,"11 Sgr"],
+  [89172,18.1984,31.405,4.96,1.64,"A Her"],
+  [115590,23.414,62.283,4.96,1.68,"4 Cas"],
+  [5862,1.2531,-45.532,4.97,0.57,"ν Phe"],
+  [9009,1.9333,68.685,4.97,-0.08,"ω Cas"],
+  [17313,3.7063,33.965,4.97,-0.05,"o Per"],
+  [18772,4.0217,-61.079,4.97,1.39,"ι Ret"],
+  [20250,4.3392,27.351,4.97,1.15,"Alkalbain"],
+  [28010,5.925,-37.121,4.97,1.1,"ξ Col"],
+  [38538,7.8916,26.766,4.97,0.1,"φ Gem"],
+  [50847,10.3828,-66.901,4.97,-0.13,"L Car"],
+  [60172,12.3392,3.313,4.97,1.17,"c Vir"],
+  [65721,13.4738,13.779,4.97,0.71,"70 Vir"],
+  [70753,14.4696,-29.492,4.97,-0.07,"l Hya"],
+  [76742,15.6714,-23.818,4.97,1.3,"42 Lib"],
+  [79790,16.2836,-50.068,4.97,0.79,"γ1 Nor"],
+  [83430,17.0522,14.092,4.97,1.6,"32 Oph"],
+  [116310,23.5659,31.325,4.97,1.38,"72 Peg"],
+  [116758,23.6631,-14.222,4.97,0.26,"ω1 Aqr"],
+  [117221,23.7672,46.42,4.97,1.09,"ψ And"],
+  [7999,1.7121,-3.69,4.98,1.38],
+  [10053,2.157,25.94,4.98,0.34,"14 Ari"],
+  [13884,2.9799,-64.071,4.98,0.13,"β Hor"],
+  [23783,5.1113,51.598,4.98,0.34,"9 Aur"],
+  [26220,5.5877,-5.387,4.98,null,"Trapezium"],
+  [26235,5.5897,-5.416,4.98,-0.1,"θ2 Ori"],
+  [37379,7.6731,-15.264,4.98,1.54,"140 Pup"],
+  [42509,8.6671,-12.475,4.98,1.42,"a Hya"],
+  [53824,11.0124,6.101,4.98,0.17,"c Leo"],
+  [57696,11.8324,-70.226,4.98,1.36],
+  [60746,12.4498,26.826,4.98,0.09,"16 Com"],
+  [76041,15.5297,40.899,4.98,0.09,"ν2 Boo"],
+  [78493,16.024,29.851,4.98,-0.05,"ι CrB"],
+  [90156,18.3985,58.801,4.98,0.08,"b Dra"],
+  [92951,18.9374,4.202,4.98,0.2,"θ2 Ser"],
+  [95066,19.3425,-5.416,4.98,0.94,"f Aql"],
+  [98073,19.932,58.846,4.98,1.58],
+  [355,0.075,-10.509,4.99,1.62,"3 Cet"],
+  [9505,2.0384,54.487,4.99,-0.07,"g Per"],
+  [16147,3.4675,49.063,4.99,-0.09],
+  [17304,3.7041,-31.938,4.99,-0.16,"δ For"],
+  [18488,3.9523,61.109,4.99,1.44],
+  [21644,4.6482,-12.123,4.99,0.07],
+  [25142,5.3806,3.545,4.99,-0.1,"m Ori"],
+  [32844,6.8461,41.781,4.99,1.26,"ψ7 Aur"],
+  [32855,6.8479,-34.367,4.99,1.38],
+  [33971,7.0485,-4.239,4.99,-0.2,"19 Mon"],
+  [36041,7.4275,9.276,4.99,0.99,"ε CMi"],
+  [40259,8.2222,-15.788,4.99,1.07,"20 Pup"],
+  [44659,9.0995,5.092,4.99,1.19,"ω Hya"],
+  [45085,9.1846,-44.868,4.99,0.22,"GX Vel"],
+  [46771,9.5324,11.3,4.99,1.05,"ξ Leo"],
+  [55560,11.3804,43.483,4.99,1,"56 UMa"],
+  [59856,12.275,33.062,4.99,1.14],
+  [66821,13.6958,-54.559,4.99,-0.06,"Q Cen"],
+  [69389,14.2044,2.409,4.99,-0.12,"CU Vir"],
+  [75206,15.369,-47.928,4.99,0.52,"ν1 Lup"],
+  [75312,15.3868,30.288,4.99,0.58,"η CrB"],
+  [78323,15.9917,-41.744,4.99,0.99],
+  [89348,18.2316,64.397,4.99,0.44,"36 Dra"],
+  [95372,19.4021,29.621,4.99,-0.12,"2 Cyg"],
+  [98842,20.0721,-32.056,4.99,1.21],
+  [109289,22.1405,-34.044,4.99,1.5,"υ PsA"],
+  [113288,22.9406,49.733,4.99,1.78],
+  [115115,23.316,-9.611,4.99,-0.02,"ψ3 Aqr"],
+  [19018,4.0742,59.156,5,0.49],
+  [25278,5.4071,17.384,5,0.54,"111 Tau"],
+  [29034,6.1255,-37.253,5,-0.1,"Elkurud"],
+  [29735,6.2625,-13.718,5,-0.08],
+  [33345,6.9352,-14.043,5,1.18,"Isis"],
+  [35384,7.3089,49.465,5,0.09],
+  [47205,9.6202,6.836,5,1.05,"10 Leo"],
+  [55588,11.3869,-36.165,5,1.46],
+  [57175,11.7253,-62.489,5,0.78,"V0810 Cen"],
+  [76008,15.5236,77.349,5,1.54,"θ UMi"],
+  [79043,16.1346,17.047,5,0.93,"Marsic"],
+  [88060,17.9848,-30.253,5,1.65],
+  [88788,18.1246,43.462,5,0.91],
+  [92845,18.9187,-22.671,5,1.35,"ν2 Sgr"],
+  [93408,19.024,46.935,5,0.19,"16 Lyr"],
+  [94490,19.232,57.705,5,1.16,"54 Dra"],
+  [96275,19.5764,19.773,5,-0.09,"9 Vul"],
+  [97295,19.7738,33.728,5,0.48,"17 Cyg"],
+  [118121,23.9597,-64.298,5,0.06,"η Tuc"],
+  [841,0.172,46.072,5.01,0.41,"22 And"],
+  [2219,0.4675,17.893,5.01,1.58,"47 Psc"],
+  [7719,1.6558,44.386,5.01,0.88,"χ And"],
+  [23430,5.0361,-26.275,5.01,1.06],
+  [24504,5.2568,32.688,5.01,0.22,"14 Aur"],
+  [29353,6.1875,-65.589,5.01,1.6,"η2 Dor"],
+  [29919,6.2986,61.515,5.01,1.84,"1 Lyn"],
+  [36429,7.4969,27.916,5.01,1.12,"b Gem"],
+  [38423,7.871,-34.705,5.01,0.47,"212 Pup"],
+  [42088,8.5788,-49.944,5.01,1.3,"C Vel"],
+  [46950,9.5691,-51.255,5.01,-0.18,"L Vel"],
+  [52425,10.7178,69.076,5.01,1.41],
+  [56862,11.6582,-65.398,5.01,0.8,"GT Mus"],
+  [60059,12.3166,-55.143,5.01,1.6,"F Cen"],
+  [60646,12.4308,39.019,5.01,0.95,"6 CVn"],
+  [60998,12.5018,69.201,5.01,1.62,"4 Dra"],
+  [84833,17.3386,18.057,5.01,1.65,"V0656 Her"],
+  [97496,19.8163,19.142,5.01,0.1,"ζ Sge"],
+  [98258,19.9658,-15.492,5.01,0.06,"g Sgr"],
+  [20901,4.4806,13.048,5.02,0.21,"b Tau"],
+  [25292,5.4109,37.385,5.02,1.45,"σ Aur"],
+  [46880,9.5535,-21.116,5.02,1.02],
+  [51635,10.5491,-47.003,5.02,1.04,"t Vel"],
+  [53426,10.929,33.507,5.02,1.1,"46 UMa"],
+  [68103,13.9428,27.492,5.02,1.44,"9 Boo"],
+  [72800,14.8809,-37.803,5.02,-0.15,"V1019 Cen"],
+  [74793,15.285,71.824,5.02,1.37,"Pherkad Minor"],
+  [87212,17.8179,50.781,5.02,0.04,"30 Dra"],
+  [87234,17.8242,76.963,5.02,0.52,"35 Dra"],
+  [89981,18.3591,49.122,5.02,1.62],
+  [91975,18.7472,2.06,5.02,-0.06,"4 Aql"],
+  [93057,18.9557,-20.656,5.02,0.14,"ξ1 Sgr"],
+  [95477,19.4212,-24.509,5.02,0.23,"χ1 Sgr"],
+  [107608,21.7956,-30.898,5.02,0.04,"θ PsA"],
+  [9836,2.1094,22.648,5.03,0.12,"κ Ari"],
+  [22479,4.8366,-16.217,5.03,0.99,"60 Eri"],
+  [28675,6.0543,-26.285,5.03,1.33],
+  [35226,7.2804,-36.593,5.03,-0.16],
+  [37891,7.7658,-14.564,5.03,0.34,"4 Pup"],
+  [41639,8.491,-44.725,5.03,-0.17],
+  [53721,10.9911,40.43,5.03,0.62,"Chalawan"],
+  [61418,12.5855,18.377,5.03,1.15,"24 Com"],
+  [66803,13.6935,-8.703,5.03,1.62,"m Vir"],
+  [69618,14.2492,-57.086,5.03,-0.07,"V0795 Cen"],
+  [82504,16.8626,24.656,5.03,1.25,"51 Her"],
+  [83336,17.0313,-32.144,5.03,-0.1],
+  [84671,17.3103,10.864,5.03,1.54,"e Oph"],
+  [91755,18.7105,55.539,5.03,-0.07,"c Dra"],
+  [95261,19.3809,-54.424,5.03,0.02,"η Tel"],
+  [95937,19.5111,-2.789,5.03,1.77,"e Aql"],
+  [97635,19.8438,52.988,5.03,1.29,"d Cyg"],
+  [103200,20.9093,28.058,5.03,1.48,"32 Vul"],
+  [183,0.0389,-29.72,5.04,-0.15,"ζ Scl"],
+  [5317,1.1336,43.942,5.04,0.11,"41 And"],
+  [8241,1.7684,-53.522,5.04,0.03,"q2 Eri"],
+  [15219,3.2701,50.938,5.04,1.11],
+  [21861,4.701,-37.144,5.04,0.39,"β Cae"],
+  [28325,5.9845,-9.558,5.04,0.19,"2 Mon"],
+  [28991,6.1176,-62.155,5.04,1.26],
+  [29800,6.2741,12.272,5.04,0.43,"k Ori"],
+  [32173,6.718,44.524,5.04,1.48,"ψ4 Aur"],
+  [35846,7.3913,25.05,5.04,0.9,"A Gem"],
+  [37300,7.6579,17.674,5.04,1.62,"f Gem"],
+  [37606,7.7159,-45.173,5.04,0.77],
+  [39690,8.1112,-45.266,5.04,1.49],
+  [58905,12.0796,-76.519,5.04,1.49,"κ Cha"],
+  [64407,13.201,-16.199,5.04,0.46,"53 Vir"],
+  [65468,13.4186,-74.888,5.04,1.11,"ι1 Mus"],
+  [65810,13.4903,-51.165,5.04,0.06,"K Cen"],
+  [74778,15.2825,-60.957,5.04,-0.08,"δ Cir"],
+  [74975,15.3219,1.765,5.04,0.54,"5 Ser"],
+  [75973,15.5155,40.833,5.04,1.59,"ν1 Boo"],
+  [77811,15.8889,-20.167,5.04,-0.01,"λ Lib"],
+  [105186,21.3076,43.946,5.04,-0.06,"A Cyg"],
+  [106711,21.6158,40.413,5.04,0.2,"74 Cyg"],
+  [108535,21.9875,73.18,5.04,0.44,"16 Cep"],
+  [111710,22.6293,-4.228,5.04,1.14,"Situla"],
+  [15444,3.3188,50.095,5.05,-0.07,"31 Per"],
+  [17851,3.8198,24.137,5.05,-0.08,"Pleione"],
+  [23649,5.0828,-49.578,5.05,1.48,"η2 Pic"],
+  [24879,5.3336,33.958,5.05,0.29,"19 Aur"],
+  [31765,6.6438,-48.22,5.05,1],
+  [37391,7.6751,87.02,5.05,1.6,"OV Cep"],
+  [42430,8.6522,-22.662,5.05,0.72],
+  [88745,18.1171,30.562,5.05,0.53,"b Her"],
+  [109556,22.1918,59.414,5.05,0.19,"λ Cep"],
+  [114347,23.1587,8.677,5.05,1.48,"57 Peg"],
+  [115227,23.3391,5.381,5.05,1.2,"b Psc"],
+  [117371,23.7985,67.807,5.05,0.01],
+  [17296,3.7026,63.217,5.06,1.65,"BD Cam"],
+  [24505,5.2568,-26.944,5.06,-0.07],
+  [25045,5.3628,-24.773,5.06,0.66],
+  [29134,6.1456,-68.843,5.06,-0.07,"ν Dor"],
+  [29417,6.1977,-6.55,5.06,-0.2],
+  [30772,6.466,-4.762,5.06,-0.17,"10 Mon"],
+  [36817,7.5718,-23.474,5.06,0.47,"n Pup"],
+  [40680,8.3052,-65.613,5.06,1.13],
+  [49485,10.1031,-47.37,5.06,0.88],
+  [53838,11.014,39.212,5.06,0.26,"49 UMa"],
+  [70248,14.3731,-80.109,5.06,-0.11,"ε Aps"],
+  [84033,17.1784,-44.558,5.06,0.87],
+  [96825,19.6806,45.525,5.06,0.43],
+  [96950,19.7086,-16.124,5.06,0.32,"e2 Sgr"],
+  [98571,20.0227,50.105,5.06,1.12,"e Cyg"],
+  [101868,20.6422,24.116,5.06,-0.13,"28 Vul"],
+  [102843,20.8347,44.059,5.06,0.2,"56 Cyg"],
+  [102950,20.8583,-51.608,5.06,1.13,"ι Ind"],
+  [104755,21.2224,-70.126,5.06,1.58,"ο Pav"],
+  [117718,23.8748,19.12,5.06,1.59,"φ Peg"],
+  [2578,0.5455,-63.032,5.07,0.04,"β3 Tuc"],
+  [3810,0.8163,16.941,5.07,0.5,"64 Psc"],
+  [14954,3.2129,-1.196,5.07,0.57,"94 Cet"],
+  [21060,4.5139,-44.954,5.07,-0.19,"δ Cae"],
+  [21727,4.6652,53.08,5.07,1.08,"3 Cam"],
+  [25282,5.408,-0.891,5.07,0.96,"p Ori"],
+  [33558,6.9736,-34.112,5.07,-0.15,"t Pup"],
+  [34909,7.2229,16.159,5.07,1.65,"51 Gem"],
+  [36393,7.489,28.118,5.07,0.12,"64 Gem"],
+  [38010,7.7903,-38.511,5.07,-0.11],
+  [46774,9.5327,9.716,5.07,1.36,"h Leo"],
+  [46928,9.5648,-80.941,5.07,-0.14,"ζ Cha"],
+  [47452,9.6718,-14.332,5.07,-0.15,"Al Sharasif"],
+  [48437,9.8751,-8.105,5.07,0.04,"γ Sex"],
+  [51775,10.58,6.954,5.07,0.92,"48 Leo"],
+  [56243,11.5295,-59.442,5.07,1.03,"ο1 Cen"],
+  [69415,14.2128,-27.261,5.07,1.13,"50 Hya"],
+  [81292,16.6038,52.924,5.07,-0.03,"17 Dra"],
+  [83947,17.1592,40.777,5.07,1.27],
+  [85805,17.5327,68.135,5.07,1.08,"Adfar Aldib"],
+  [90853,18.5339,-45.757,5.07,-0.13,"δ2 Tel"],
+  [93867,19.1163,11.071,5.07,-0.06,"18 Aql"],
+  [101916,20.6522,10.086,5.07,0.7,"κ Del"],
+  [107763,21.8307,30.174,5.07,0.01,"14 Peg"],
+  [109017,22.0858,62.28,5.07,0.24,"19 Cep"],
+  [2854,0.6023,54.169,5.08,-0.1],
+  [17771,3.8045,11.143,5.08,-0.13,"e Tau"],
+  [21673,4.6526,15.8,5.08,0.14,"σ1 Tau"],
+  [22565,4.8562,18.84,5.08,0.21,"i Tau"],
+  [25110,5.376,79.231,5.08,0.51],
+  [25541,5.4608,34.476,5.08,1.4,"φ Aur"],
+  [29271,6.1707,-74.753,5.08,0.71,"α Men"],
+  [32558,6.7937,-8.998,5.08,1.79],
+  [38872,7.9551,-44.11,5.08,-0.17,"N Pup"],
+  [41483,8.4602,-53.089,5.08,0.26,"F Vel"],
+  [48113,9.8098,46.021,5.08,0.62,"15 LMi"],
+  [51437,10.5049,-0.637,5.08,-0.14,"β Sex"],
+  [51718,10.5669,-23.745,5.08,1.6,"44 Hya"],
+  [51912,10.6057,-59.564,5.08,1.17,"t1 Car"],
+  [52457,10.7236,23.188,5.08,0.04,"41 LMi"],
+  [55598,11.3894,-18.78,5.08,0.44,"λ Crt"],
+  [63005,12.9102,-57.169,5.08,-0.09,"μ2 Cru"],
+  [73129,14.9456,-62.781,5.08,-0.02,"θ Cir"],
+  [92814,18.912,-15.603,5.08,0.14],
+  [99080,20.1148,23.614,5.08,-0.16,"17 Vul"],
+  [100881,20.4553,-18.212,5.08,-0.05,"Okul"],
+  [108036,21.8883,-13.552,5.08,0.38,"μ Cap"],
+  [111532,22.5961,73.643,5.08,0.4,"31 Cep"],
+  [3781,0.8098,-74.923,5.09,1.34,"λ Hyi"],
+  [9110,1.9558,17.817,5.09,0.92,"ι Ari"],
+  [16292,3.5001,55.452,5.09,0.02],
+  [23265,5.0058,81.194,5.09,1.3],
+  [31278,6.5605,-1.22,5.09,-0.13],
+  [35699,7.3658,20.444,5.09,1.53,"56 Gem"],
+  [36114,7.4394,-51.019,5.09,1.04],
+  [39023,7.9849,-23.31,5.09,1.11,"12 Pup"],
+  [40321,8.2329,-36.322,5.09,-0.18,"OS Pup"],
+  [43413,8.8426,-46.529,5.09,-0.2,"f Vel"],
+  [46283,9.4383,-53.379,5.09,-0.1,"I Vel"],
+  [47965,9.7755,57.128,5.09,1.59,"44 UMa"],
+  [48224,9.8325,-45.733,5.09,-0.1,"u Vel"],
+  [55597,11.3893,-64.955,5.09,-0.06],
+  [59819,12.2667,14.899,5.09,0.07,"6 Com"],
+  [77660,15.8543,-3.091,5.09,0.14,"b Ser"],
+  [79302,16.1839,-29.416,5.09,1.13],
+  [87194,17.8137,25.623,5.09,1.14,"87 Her"],
+  [90037,18.3718,-38.657,5.09,1.5],
+  [98920,20.086,19.991,5.09,1.06,"η Sge"],
+  [106999,21.6698,43.274,5.09,1.6,"75 Cyg"],
+  [108022,21.8844,25.925,5.09,-0.15,"16 Peg"],
+  [109102,22.1005,45.014,5.09,1.57],
+  [110256,22.3338,-80.44,5.09,1.28,"ε Oct"],
+  [113788,23.0434,42.758,5.09,0.09,"2 And"],
+  [115444,23.3846,12.314,5.09,1.31,"66 Peg"],
+  [117020,23.7229,10.332,5.09,1.69,"77 Peg"],
+  [13775,2.9548,31.934,5.1,-0.01,"21 Per"],
+  [15737,3.3792,20.742,5.1,1.23,"63 Ari"],
+  [19461,4.1674,80.699,5.1,0.59],
+  [20522,4.3977,9.461,5.1,0.07,"r Tau"],
+  [27534,5.8315,-66.901,5.1,-0.13,"ε Dor"],
+  [57613,11.8125,-26.75,5.1,1.59,"II Hya"],
+  [64803,13.2814,-31.506,5.1,0.96,"r Cen"],
+  [70400,14.4032,5.82,5.1,0.12],
+  [78481,16.0206,17.818,5.1,0.99,"r Her"],
+  [82129,16.7778,-67.11,5.1,-0.08,"LP TrA"],
+  [85162,17.4036,-44.163,5.1,-0.05],
+  [88899,18.148,20.045,5.1,0.18,"101 Her"],
+  [94885,19.309,1.085,5.1,1.14,"23 Aql"],
+  [106944,21.6592,2.244,5.1,1.03,"d Aqr"],
+  [107382,21.7501,-9.082,5.1,1.11,"c Cap"],
+  [113561,23.0014,56.945,5.1,1.01,"V0509 Cas"],
+  [117689,23.8685,-82.019,5.1,0.93,"γ1 Oct"],
+  [6960,1.4934,-21.629,5.11,0.03,"48 Cet"],
+  [18213,3.8942,-34.732,5.11,-0.13,"i Eri"],
+  [23941,5.1455,-4.456,5.11,0.46,"68 Eri"],
+  [33104,6.8951,68.888,5.11,-0.11,"43 Cam"],
+  [35406,7.3106,-36.743,5.11,-0.17,"v2 Pup"],
+  [48833,9.9614,41.056,5.11,0.48,"19 LMi"],
+  [54461,11.1428,-61.947,5.11,0.2,"z2 Car"],
+  [65535,13.4355,-39.755,5.11,1.18],
+  [77982,15.9249,-68.603,5.11,1.11,"κ TrA"],
+  [90191,18.4038,39.507,5.11,0.05,"Al Athfar"],
+  [91875,18.7297,-38.323,5.11,0.07,"λ CrA"],
+  [94083,19.1527,76.561,5.11,0.31,"59 Dra"],
+  [101983,20.6674,-60.549,5.11,0.54,"φ2 Pav"],
+  [102693,20.8081,-43.989,5.11,0.36,"ι Mic"],
+  [108317,21.9442,63.626,5.11,1.55,"VV Cep"],
+  [109973,22.274,-41.627,5.11,0.93,"μ2 Gru"],
+  [111795,22.6439,56.796,5.11,1.54],
+  [112242,22.7349,41.819,5.11,0.96,"13 Lac"],
+  [8882,1.9061,-42.497,5.12,-0.06,"φ Phe"],
+  [14240,3.0602,-59.738,5.12,0.35,"μ Hor"],
+  [23794,5.1127,-4.655,5.12,-0.06,"66 Eri"],
+  [34670,7.1799,-48.932,5.12,1.25],
+  [35710,7.3674,36.761,5.12,1.08,"65 Aur"],
+  [37664,7.7283,-40.934,5.12,1.1],
+  [38373,7.8617,1.767,5.12,-0.12,"ζ CMi"],
+  [45505,9.2731,-44.266,5.12,1.64],
+  [46914,9.5624,-49.005,5.12,-0.11],
+  [52353,10.699,65.716,5.12,1.21,"38 UMa"],
+  [53261,10.8929,54.585,5.12,1.35,"44 UMa"],
+  [56250,11.5302,-59.516,5.12,0.43,"ο2 Cen"],
+  [61468,12.596,-41.022,5.12,0.22],
+  [62356,12.7774,16.578,5.12,1.35,"27 Com"],
+  [86796,17.7358,-51.834,5.12,0.69,"Cervantes"],
+  [89935,18.3503,28.87,5.12,0.21,"t Her"],
+  [90806,18.524,-18.403,5.12,0.02],
+  [91105,18.584,-10.977,5.12,0.93],
+  [95951,19.5126,27.965,5.12,-0.1,"β2 Cyg"],
+  [96327,19.5853,-10.56,5.12,1.12,"37 Aql"],
+  [97675,19.8505,10.416,5.12,0.56,"ο Aql"],
+  [101477,20.5653,-44.516,5.12,1,"ν Mic"],
+  [110391,22.3599,-21.598,5.12,1.06,"47 Aqr"],
+  [113860,23.0583,-34.749,5.12,0.3,"π PsA"],
+  [145,0.0304,-3.027,5.13,-0.13,"29 Psc"],
+  [1158,0.241,-7.78,5.13,1.6,"AD Cet"],
+  [6061,1.2967,3.615,5.13,0.07,"f Psc"],
+  [11477,2.4671,-33.811,5.13,0.09,"φ For"],
+  [15890,3.4113,64.586,5.13,2.04,"CQ Cam"],
+  [26221,5.5879,-5.39,5.13,0.02,"Becklin's Star"],
+  [40843,8.3344,27.218,5.13,0.49,"χ Cnc"],
+  [41325,8.4319,7.564,5.13,0.93],
+  [56332,11.5484,-31.087,5.13,1.58],
+  [69038,14.1322,43.855,5.13,1.49,"BY Boo"],
+  [73826,15.0887,-41.067,5.13,1.01],
+  [76259,15.577,-28.047,5.13,1.31,"36 Lib"],
+  [79653,16.2543,-47.372,5.13,-0.11,"θ Nor"],
+  [84887,17.3484,24.499,5.13,0,"70 Her"],
+  [94302,19.1946,56.859,5.13,1.01,"53 Dra"],
+  [104043,21.0786,-77.024,5.13,0.49,"α Oct"],
+  [118234,23.9822,-52.746,5.13,1.12,"π Phe"],
+  [2900,0.6129,44.489,5.14,1.59,"V0428 And"],
+  [5799,1.24,-7.923,5.14,0.45,"37 Cet"],
+  [16322,3.5068,11.336,5.14,-0.04,"s Tau"],
+  [17886,3.8257,33.091,5.14,0.06,"n Per"],
+  [25429,5.4387,-58.913,5.14,0.99,"λ Dor"],
+  [28691,6.0576,19.691,5.14,-0.1,"64 Ori"],
+  [32765,6.8318,-46.615,5.14,0.46],
+  [32864,6.8492,67.572,5.14,-0.15,"42 Cam"],
+  [33779,7.0143,-51.403,5.14,1.65,"23 Car"],
+  [34033,7.0606,10.952,5.14,1.39],
+  [34105,7.0718,-56.75,5.14,-0.03,"V0386 Car"],
+  [37088,7.6213,-4.111,5.14,0.44,"25 Mon"],
+  [38016,7.7918,33.416,5.14,1.64,"π Gem"],
+  [38917,7.9644,-45.578,5.14,1.26,"O Pup"],
+  [39567,8.0846,13.118,5.14,0.02,"8 Cnc"],
+  [40285,8.2267,-46.992,5.14,-0.14,"NO Vel"],
+  [52742,10.7826,-56.757,5.14,-0.08],
+  [56000,11.4764,-42.674,5.14,-0.03],
+  [56656,11.6168,-61.283,5.14,1.1],
+  [59504,12.2033,77.616,5.14,0.36,"CO Cam"],
+  [60221,12.3488,-13.566,5.14,1.05],
+  [64906,13.304,49.682,5.14,-0.05,"21 CVn"],
+  [70012,14.3257,-2.265,5.14,1.02,"υ Vir"],
+  [76307,15.5875,39.01,5.14,1.65,"μ CrB"],
+  [78105,15.9482,-33.966,5.14,0.13,"ξ1 Lup"],
+  [84626,17.3002,-24.287,5.14,1.05,"ο Oph"],
+  [93163,18.9768,-60.2,5.14,1.35,"ω Pav"],
+  [94477,19.2285,2.294,5.14,-0.07,"21 Aql"],
+  [95498,19.4246,19.798,5.14,1,"4 Vul"],
+  [97870,19.8882,57.523,5.14,-0.13,"23 Cyg"],
+  [100122,20.3109,34.983,5.14,0.66,"35 Cyg"],
+  [102157,20.6992,-66.761,5.14,-0.06,"υ Pav"],
+  [5544,1.1852,31.425,5.15,0.26,"g Psc"],
+  [9459,2.0284,-44.714,5.15,1.47,"χ Phe"],
+  [11784,2.535,36.147,5.15,1.47,"14 Tri"],
+  [29895,6.2949,-16.816,5.15,1.29],
+  [37946,7.7776,37.517,5.15,1.59,"DU Lyn"],
+  [42834,8.7279,-49.823,5.15,-0.2,"D Vel"],
+  [43531,8.8658,43.727,5.15,0.97,"35 Lyn"],
+  [44857,9.1399,66.873,5.15,1.51,"σ1 UMa"],
+  [47654,9.7159,72.253,5.15,1.03,"27 UMa"],
+  [50083,10.2252,-66.373,5.15,0.22,"M Car"],
+  [54360,11.1213,-42.639,5.15,0.03,"V0815 Cen"],
+  [56754,11.6354,-61.827,5.15,-0.04],
+  [58803,12.061,-42.434,5.15,0.42],
+  [60320,12.3687,-67.522,5.15,0.2,"ζ2 Mus"],
+  [64078,13.1316,-10.74,5.15,1.14,"49 Vir"],
+  [67244,13.7823,-36.252,5.15,-0.01,"z Cen"],
+  [72197,14.7667,-25.443,5.15,0.32,"m Hya"],
+  [72603,14.8448,-15.997,5.15,0.4,"Zubenelgenubi"],
+  [74605,15.244,67.347,5.15,0.55],
+  [74707,15.2678,-41.491,5.15,0.56],
+  [75761,15.4773,1.842,5.15,0.24,"10 Ser"],
+  [82073,16.7639,8.583,5.15,1.53,"i Her"],
+  [98425,19.9987,37.043,5.15,-0.13,"25 Cyg"],
+  [101936,20.6569,0.486,5.15,1.06,"1 Aqr"],
+  [101984,20.6675,-18.139,5.15,1.65,"υ Cap"],
+  [102531,20.7775,16.124,5.15,0.49,"γ1 Del"],
+  [114520,23.1956,8.72,5.15,0.14,"59 Peg"],
+  [1686,0.352,37.969,5.16,0.44,"ρ And"],
+  [11060,2.3726,55.846,5.16,0.37,"i Per"],
+  [13717,2.9437,-3.712,5.16,0.08],
+  [15404,3.3105,50.222,5.16,-0.07,"29 Per"],
+  [27621,5.8481,-52.109,5.16,0.96],
+  [31084,6.5231,-12.392,5.16,1.26],
+  [38382,7.8629,-13.898,5.16,0.6,"9 Pup"],
+  [40429,8.2544,-62.916,5.16,0.09,"C Car"],
+  [44946,9.156,22.045,5.16,0.97,"Nahn"],
+  [51814,10.586,57.083,5.16,0.35,"37 UMa"],
+  [67929,13.9117,-1.503,5.16,1.09,"p Vir"],
+  [73776,15.0801,-64.031,5.16,0.94,"η Cir"],
+  [75530,15.4298,15.428,5.16,1.65,"τ1 Ser"],
+  [76243,15.574,-9.183,5.16,-0.09],
+  [90887,18.5393,-39.704,5.16,0.08],
+  [105570,21.3816,6.811,5.16,0.06,"β Equ"],
+  [107095,21.6925,-14.048,5.16,0.67,"42 Cap"],
+  [112935,22.8734,9.836,5.16,0.49,"σ Peg"],
+  [2381,0.5063,-23.788,5.17,0.13],
+  [3909,0.8354,-10.644,5.17,0.51,"φ2 Cet"],
+  [5336,1.1379,54.92,5.17,0.7,"Marfak"],
+  [12273,2.6339,72.818,5.17,0.9],
+  [12832,2.7493,12.446,5.17,0.23,"38 Ari"],
+  [20507,4.3947,-3.745,5.17,0.07,"ξ Eri"],
+  [38211,7.8281,-17.228,5.17,1.28,"6 Pup"],
+  [44093,8.9812,-47.235,5.17,0.27,"FZ Vel"],
+  [44143,8.9901,-59.084,5.17,0.42,"b2 Car"],
+  [58188,11.9336,-17.151,5.17,-0.02,"η Crt"],
+  [59151,12.1305,-75.367,5.17,1.28],
+  [60514,12.4051,26.099,5.17,0.08,"13 Com"],
+  [61910,12.6878,-13.014,5.17,0.43,"VV Crv"],
+  [63210,12.9512,-51.199,5.17,-0.07,"H Cen"],
+  [87563,17.8883,40.008,5.17,1.17,"f Her"],
+  [93815,19.1055,-52.341,5.17,0.53,"ρ Tel"],
+  [95447,19.4162,11.944,5.17,0.76,"b Aql"],
+  [95556,19.4359,36.318,5.17,-0.12,"4 Cyg"],
+  [96459,19.6105,44.695,5.17,0.93],
+  [104085,21.0873,-54.727,5.17,1.2,"μ Ind"],
+  [104963,21.2605,-20.652,5.17,1.16,"φ Cap"],
+  [117629,23.8559,-18.909,5.17,-0.12,"i3 Aqr"],
+  [1708,0.3587,-28.982,5.18,1.01,"ι Scl"],
+  [2225,0.4705,44.395,5.18,0.04],
+  [8016,1.7155,70.623,5.18,-0.02,"42 Cas"],
+  [19171,4.1101,27.6,5.18,-0.12,"41 Tau"],
+  [22833,4.913,11.426,5.18,0.12,"Manica"],
+  [24197,5.1949,16.046,5.18,1.52],
+  [25918,5.5314,-76.341,5.18,1.13,"γ Men"],
+  [26640,5.6623,25.897,5.18,-0.15,"125 Tau"],
+  [27204,5.7666,-32.306,5.18,-0.27,"μ Col"],
+  [33682,6.9974,-67.916,5.18,1.4],
+  [35951,7.4112,-16.201,5.18,-0.04,"FW CMa"],
+  [40943,8.3558,-36.484,5.18,-0.19],
+  [41296,8.4254,-51.727,5.18,-0.16],
+  [42504,8.666,-53.055,5.18,-0.15,"NZ Vel"],
+  [45333,9.239,61.423,5.18,0.6,"c UMa"],
+  [52469,10.7258,46.204,5.18,0.32],
+  [55137,11.2882,2.011,5.18,1.51,"75 Leo"],
+  [55779,11.4287,-63.972,5.18,0.49],
+  [69373,14.2011,69.433,5.18,1.59],
+  [73036,14.9263,-60.114,5.18,1.16],
+  [92646,18.8777,-52.107,5.18,0.96,"κ Tel"],
+  [96665,19.6532,5.398,5.18,0,"σ Aql"],
+  [97630,19.8428,38.722,5.18,1.67,"19 Cyg"],
+  [99853,20.2584,23.509,5.18,1.02,"22 Vul"],
+  [101260,20.5251,74.955,5.18,0.1,"73 Dra"],
+  [107230,21.7178,72.32,5.18,1.06,"78 Dra"],
+  [117315,23.7878,-50.227,5.18,-0.16,"σ Phe"],
+  [11072,2.3757,-23.816,5.19,0.61,"κ For"],
+  [11220,2.4069,50.007,5.19,0.98,"64 And"],
+  [23840,5.1261,-63.4,5.19,1.65,"WZ Dor"],
+  [28744,6.0704,-6.709,5.19,-0.07,"V0696 Mon"],
+  [30717,6.4538,0.299,5.19,1.19,"77 Ori"],
+  [39070,7.9938,-60.587,5.19,1.76,"V0460 Car"],
+  [42425,8.6514,-70.387,5.19,0.01,"θ Vol"],
+  [43352,8.831,-32.781,5.19,0.88],
+  [51362,10.4913,-2.739,5.19,-0.05,"δ Sex"],
+  [56583,11.6008,69.323,5.19,0.97,"2 Dra"],
+  [64792,13.2796,9.424,5.19,0.58,"e Vir"],
+  [73945,15.1104,-16.257,5.19,1.59,"Zuben Hakrabi"],
+  [77277,15.7778,62.6,5.19,0.06],
+  [80874,16.5137,-61.633,5.19,1.24],
+  [85312,17.4333,-50.633,5.19,1.05,"κ Ara"],
+  [99738,20.2374,28.695,5.19,0.19,"21 Vul"],
+  [103294,20.9269,13.722,5.19,1.12,"17 Del"],
+  [105268,21.3228,64.872,5.19,-0.04,"6 Cep"],
+  [111797,22.6442,63.584,5.19,0.08,"30 Cep"],
+  [115125,23.3184,-13.455,5.19,0.9],
+  [115404,23.3775,-15.039,5.19,0.2,"97 Aqr"],
+  [2355,0.502,29.752,5.2,0.27,"28 And"],
+  [2762,0.5875,-3.593,5.2,0.57,"13 Cet"],
+  [19949,4.2786,53.612,5.2,0.05],
+  [21296,4.5699,-8.231,5.2,1.71,"47 Eri"],
+  [27971,5.9161,59.888,5.2,0.01,"31 Cam"],
+  [29650,6.2475,19.156,5.2,0.43,"71 Ori"],
+  [30932,6.4912,-56.853,5.2,1.09,"61 Pic"],
+  [32104,6.7068,17.645,5.2,0.06,"26 Gem"],
+  [33927,7.0402,24.215,5.2,0.95,"ω Gem"],
+  [34081,7.0674,-42.337,5.2,0.2,"C Pup"],
+  [35146,7.2653,59.638,5.2,1.08,"18 Lyn"],
+  [36238,7.4623,21.445,5.2,0.46,"63 Gem"],
+  [39961,8.16,-44.123,5.2,-0.17],
+  [42540,8.672,-40.264,5.2,-0.03,"NY Vel"],
+  [42679,8.6991,-45.411,5.2,0.17,"LN Vel"],
+  [57047,11.6955,-32.499,5.2,1.48],
+  [60189,12.3427,-22.216,5.2,-0.09,"ζ Crv"],
+  [63901,13.0957,35.799,5.2,-0.06,"14 CVn"],
+  [68269,13.9753,-24.972,5.2,-0.09,"47 Hya"],
+  [80197,16.3726,33.799,5.2,1.63,"ν1 CrB"],
+  [90441,18.4535,0.196,5.2,0.49,"d Ser"],
+  [92226,18.7957,-40.406,5.2,0.78,"μ CrA"],
+  [93017,18.9504,32.901,5.2,0.59],
+  [93917,19.1238,32.502,5.2,0.37,"17 Lyr"],
+  [104174,21.1069,-32.342,5.2,1.1,"2 PsA"],
+  [104214,21.115,38.749,5.2,1.07,"61 Cyg"],
+  [115126,23.3185,-13.459,5.2,0.79,"94 Aqr"],
+  [5300,1.13,-41.487,5.21,0.16,"υ Phe"],
+  [5737,1.2289,7.575,5.21,0.32,"Revati"],
+  [12484,2.6777,-54.55,5.21,0.41,"ζ Hor"],
+  [19205,4.1168,29.001,5.21,0.36,"ψ Tau"],
+  [28296,5.9804,0.553,5.21,0.01,"60 Ori"],
+  [30457,6.4029,-11.53,5.21,1.23],
+  [30679,6.4469,58.417,5.21,1.54,"5 Lyn"],
+  [32064,6.699,-9.168,5.21,1.52],
+  [55756,11.4248,-36.063,5.21,0.98],
+  [64725,13.2663,-19.943,5.21,1.01,"57 Vir"],
+  [66098,13.5495,-10.165,5.21,0.96,"h Vir"],
+  [77578,15.8382,2.196,5.21,1.02,"ω Ser"],
+  [85079,17.3878,-47.468,5.21,-0.1,"ι Ara"],
+  [111449,22.5782,-20.708,5.21,0.45,"υ Aqr"],
+  [3505,0.7457,-22.006,5.22,0.35],
+  [9763,2.0921,76.115,5.22,0.95,"49 Cas"],
+  [13874,2.9784,-2.783,5.22,0.01],
+  [19799,4.2434,10.011,5.22,-0.09],
+  [21547,4.6267,-2.474,5.22,0.28,"c Eri"],
+  [23734,5.1023,58.972,5.22,-0.08,"11 Cam"],
+  [25048,5.3634,41.805,5.22,-0.13,"ρ Aur"],
+  [31119,6.5301,11.544,5.22,0.18],
+  [32562,6.7943,48.789,5.22,1.13,"ψ6 Aur"],
+  [33878,7.0323,-5.722,5.22,1.69],
+  [36265,7.4672,6.942,5.22,0.22,"η CMi"],
+  [38020,7.7921,-46.608,5.22,-0.15],
+  [39061,7.9912,-39.297,5.22,0.4],
+  [43970,8.9542,15.323,5.22,0.15,"ο1 Cnc"],
+  [54767,11.2126,-64.17,5.22,-0.08],
+  [55831,11.4432,-61.115,5.22,-0.08],
+  [58684,12.0352,43.046,5.22,0.28,"67 UMa"],
+  [62267,12.7603,7.673,5.22,0.32,"d2 Vir"],
+  [70035,14.331,-61.273,5.22,0.28],
+  [72290,14.7837,-52.383,5.22,0.98,"b Lup"],
+  [82216,16.7962,5.247,5.22,0,"l Her"],
+  [92390,18.8278,-20.325,5.22,1.4,"29 Sgr"],
+  [92405,18.8314,32.551,5.22,0.1,"ν Lyr"],
+  [95260,19.3808,26.262,5.22,-0.12,"3 Vul"],
+  [98583,20.0246,64.821,5.22,1.6,"e Dra"],
+  [106093,21.4908,46.541,5.22,0.96,"g Cyg"],
+  [116076,23.5215,39.236,5.22,1.03,"Veritate"],
+  [6315,1.352,28.738,5.23,1.4,"l Psc"],
+  [10306,2.2134,21.211,5.23,0.46,"η Ari"],
+  [14456,3.1093,-6.089,5.23,1.57],
+  [32292,6.7412,-31.07,5.23,-0.13,"10 CMa"],
+  [35907,7.4024,40.672,5.23,1.25,"66 Aur"],
+  [39970,8.162,-47.937,5.23,-0.2,"IS Vel"],
+  [43834,8.9277,27.927,5.23,1,"ρ2 Cnc"],
+  [44154,8.9924,32.419,5.23,0.91,"σ3 Cnc"],
+  [44337,9.029,-52.189,5.23,-0.12,"OY Vel"],
+  [44798,9.1291,10.668,5.23,-0.09,"κ Cnc"],
+  [48926,9.9812,-35.891,5.23,0.3,"η Ant"],
+  [52701,10.7749,-64.263,5.23,-0.08],
+  [53252,10.8915,-20.139,5.23,0.48,"b3 Hya"],
+  [63076,12.9246,65.439,5.23,0.3,"Taiyi"],
+  [72357,14.7958,-26.087,5.23,0.94,"56 Hya"],
+  [76939,15.7106,-37.425,5.23,0.99,"h Lup"],
+  [79607,16.2447,33.859,5.23,0.6,"σ CrB"],
+  [82493,16.8594,-41.23,5.23,0.05,"V0973 Sco"],
+  [82730,16.9099,-6.154,5.23,1.1,"23 Oph"],
+  [86036,17.5832,61.875,5.23,0.6,"26 Dra"],
+  [94068,19.15,6.073,5.23,0.35,"19 Aql"],
+  [98636,20.0337,24.938,5.23,0.37,"16 Vul"],
+  [950,0.1956,-35.133,5.24,0.46,"θ Scl"],
+  [3949,0.8448,-50.987,5.24,0.36,"ρ Phe"],
+  [7981,1.7083,20.268,5.24,0.84,"107 Psc"],
+  [14043,3.0145,52.352,5.24,-0.05],
+  [15371,3.3036,-62.506,5.24,0.6,"ζ2 Ret"],
+  [16803,3.6048,-17.467,5.24,-0.12,"20 Eri"],
+  [17457,3.7418,-1.163,5.24,-0.09,"24 Eri"],
+  [17717,3.7943,-23.875,5.24,0.07,"τ7 Eri"],
+  [17954,3.8386,25.579,5.24,0.23],
+  [20384,4.3648,-63.386,5.24,0.95,"η Ret"],
+  [21297,4.5699,-8.97,5.24,1.47],
+  [25197,5.3911,57.544,5.24,-0.01,"16 Cam"],
+  [26268,5.5943,-4.856,5.24,0.27,"45 Ori"],
+  [32480,6.779,43.577,5.24,0.57,"ψ5 Aur"],
+  [35393,7.3093,-39.21,5.24,0.03,"F Pup"],
+  [36641,7.535,1.915,5.24,0.23,"δ1 CMi"],
+  [42334,8.6312,-26.255,5.24,-0.03,"η Pyx"],
+  [45344,9.2401,-43.227,5.24,-0.14,"z Vel"],
+  [45527,9.2783,-6.353,5.24,1.17,"23 Hya"],
+  [56779,11.641,8.134,5.24,1.5,"ω Vir"],
+  [64348,13.1898,-43.369,5.24,1.05],
+  [73909,15.1046,54.556,5.24,0.96],
+  [79540,16.2308,-11.838,5.24,1.39,"χ Sco"],
+  [80620,16.4621,-7.598,5.24,1.72,"V2105 Oph"],
+  [80843,16.5093,20.479,5.24,1.27,"s Her"],
+  [90200,18.4051,-44.11,5.24,-0.16],
+  [98174,19.9518,-58.901,5.24,0.01],
+  [101923,20.6545,-14.955,5.24,-0.13,"τ Cap"],
+  [103571,20.9848,4.295,5.24,0.46],
+  [107128,21.7002,-23.263,5.24,0.99,"41 Cap"],
+  [109572,22.1969,56.839,5.24,0.53],
+  [112529,22.7925,-19.613,5.24,0.94,"68 Aqr"],
+  [117089,23.7367,-18.277,5.24,-0.08,"i1 Aqr"],
+  [7955,1.7024,-32.327,5.25,1.04,"π Scl"],
+  [10559,2.2656,33.359,5.25,0,"7 Tri"],
+  [13141,2.8171,-62.806,5.25,0.1,"ν Hor"],
+  [25202,5.3917,-13.927,5.25,-0.22,"8 Lep"],
+  [31165,6.5393,-37.697,5.25,0.98],
+  [31688,6.6299,-32.34,5.25,1.18],
+  [37921,7.7712,10.768,5.25,0.02,"11 CMi"],
+  [39487,8.0712,-32.675,5.25,1.88,"MZ Pup"],
+  [50414,10.2938,-8.069,5.25,0.34,"ε Sex"],
+  [51502,10.518,82.559,5.25,0.4],
+  [76534,15.6304,40.353,5.25,0.89,"Ceginus"],
+  [86305,17.6349,-54.5,5.25,0.2,"π Ara"],
+  [88331,18.0397,20.834,5.25,-0.1,"96 Her"],
+  [90067,18.3803,17.827,5.25,1.25],
+  [92056,18.763,74.086,5.25,0.95],
+  [93903,19.1217,36.1,5.25,-0.11,"ι Lyr"],
+  [104738,21.2175,-39.425,5.25,0.46],
+  [112031,22.6913,40.225,5.25,-0.14,"12 Lac"],
+  [113864,23.0591,67.209,5.25,1.25],
+  [13165,2.8215,17.464,5.26,-0.07,"Al Butain"],
+  [14293,3.0713,-7.601,5.26,0.19,"ρ3 Eri"],
+  [20261,4.3434,15.095,5.26,0.23,"58 Tau"],
+  [20266,4.3445,65.14,5.26,0.82],
+  [27386,5.8001,6.454,5.26,0.23,"52 Ori"],
+  [31434,6.5867,28.022,5.26,-0.01,"49 Aur"],
+  [45328,9.2383,-55.57,5.26,0.98],
+  [45631,9.3016,-51.051,5.26,-0.06,"K Vel"],
+  [48883,9.9704,12.445,5.26,-0.04,"ν Leo"],
+  [49698,10.1452,-65.815,5.26,0.97],
+  [53154,10.8752,-57.24,5.26,0.13,"V0524 Car"],
+  [56573,11.5988,-47.642,5.26,0.26,"C2 Cen"],
+  [56975,11.6797,21.353,5.26,0.98,"92 Leo"],
+  [58082,11.9118,-25.714,5.26,0.88],
+  [67703,13.868,-52.812,5.26,-0.08,"N Cen"],
+  [69068,14.1381,49.458,5.26,1.64,"13 Boo"],
+  [75828,15.4901,-46.733,5.26,1.73],
+  [76425,15.6082,10.01,5.26,0.93,"16 Ser"],
+  [80161,16.3635,69.109,5.26,1.11],
+  [93256,18.996,26.23,5.26,1.23],
+  [108924,22.0647,63.12,5.26,1.56,"18 Cep"],
+  [6999,1.5017,47.007,5.27,1,"Thail"],
+  [9727,2.0854,77.281,5.27,0.34,"47 Cas"],
+  [10320,2.2151,-30.724,5.27,-0.01,"μ For"],
+  [11738,2.525,2.267,5.27,1.27],
+  [11757,2.5279,-79.109,5.27,0.98,"μ Hyi"],
+  [15627,3.3538,21.147,5.27,-0.07,"τ Ari"],
+  [20641,4.4236,22.2,5.27,0.25,"67 Tau"],
+  [30073,6.3286,-7.823,5.27,-0.18,"7 Mon"],
+  [32537,6.7893,-37.93,5.27,-0.08,"x Pup"],
+  [36760,7.5601,15.827,5.27,0.06,"68 Gem"],
+  [42129,8.5877,-58.225,5.27,-0.13,"e1 Car"],
+  [48682,9.9286,49.82,5.27,0.09,"31 UMa"],
+  [50070,10.223,-51.233,5.27,0.26,"LW Vel"],
+  [51313,10.4813,-64.172,5.27,1.86],
+  [57477,11.7821,55.628,5.27,1.28],
+  [62027,12.714,-63.059,5.27,0.2,"BZ Cru"],
+  [65581,13.4453,-12.708,5.27,1.48,"i Vir"],
+  [72929,14.9056,-24.642,5.27,1.34,"12 Lib"],
+  [80057,16.3408,-78.668,5.27,1.41,"δ2 Aps"],
+  [83313,17.0268,33.568,5.27,0.03,"d Her"],
+  [83431,17.0524,-53.237,5.27,0.5,"ε2 Ara"],
+  [93203,18.9849,13.622,5.27,0.57,"11 Aql"],
+  [99968,20.282,40.365,5.27,1.65],
+  [107843,21.8485,-82.719,5.27,0.76,"λ Oct"],
+  [109005,22.0835,62.786,5.27,1.41,"20 Cep"],
+  [109693,22.2196,86.108,5.27,-0.03],
+  [116957,23.7077,-15.448,5.27,1.34],
+  [7650,1.6419,73.04,5.28,0.97,"40 Cas"],
+  [18453,3.9435,50.695,5.28,0.42,"A Per"],
+  [18788,4.0256,-1.55,5.28,-0.13,"35 Eri"],
+  [22040,4.7392,-59.733,5.28,0.21,"κ Dor"],
+  [23871,5.1301,20.418,5.28,0.12,"l Tau"],
+  [26460,5.6291,-28.69,5.28,0.49,"ν2 Col"],
+  [27364,5.7953,13.9,5.28,-0.16,"133 Tau"],
+  [29048,6.1282,-19.166,5.28,1.66,"19 Lep"],
+  [30953,6.497,-50.239,5.28,0.37],
+  [32492,6.7809,-14.426,5.28,-0.02,"11 CMa"],
+  [32921,6.8592,21.761,5.28,-0.02,"d Gem"],
+  [41003,8.3679,-73.4,5.28,0.01,"η Vol"],
+  [43142,8.7875,-1.897,5.28,0.06],
+  [45455,9.2638,56.741,5.28,1.57,"17 UMa"],
+  [45581,9.2903,-74.894,5.28,0.02],
+  [47300,9.6394,40.24,5.28,0.22,"42 Lyn"],
+  [57371,11.7622,-45.69,5.28,-0.12],
+  [58587,12.0142,-19.659,5.28,-0.19,"31 Crv"],
+  [60122,12.3302,48.984,5.28,1.62,"3 CVn"],
+  [74596,15.2414,29.164,5.28,0.06,"χ Boo"],
+  [80645,16.4659,-64.058,5.28,0.38,"ι TrA"],
+  [81437,16.6335,56.016,5.28,1.05],
+  [85389,17.4478,-45.843,5.28,-0.06],
+  [91014,18.566,-33.017,5.28,-0.12],
+  [94834,19.2969,11.595,5.28,0.2,"ω1 Aql"],
+  [96957,19.7094,11.827,5.28,0.57,"χ Aql"],
+  [98103,19.9373,11.424,5.28,0.01,"φ Aql"],
+  [100195,20.3232,-19.119,5.28,1.39,"σ Cap"],
+  [110618,22.4102,-72.255,5.28,0.66,"ν Ind"],
+  [117218,23.7669,-18.678,5.28,0.3,"i2 Aqr"],
+  [814,0.1673,-82.224,5.29,1.05,"γ3 Oct"],
+  [983,0.2028,-17.938,5.29,1.48],
+  [8209,1.7608,-25.053,5.29,0.4,"ε Scl"],
+  [9312,1.9939,64.622,5.29,0],
+  [10793,2.3158,28.643,5.29,0.04,"10 Tri"],
+  [11021,2.3657,0.396,5.29,1.65,"69 Cet"],
+  [11486,2.4694,29.669,5.29,0.31,"12 Tri"],
+  [19719,4.2259,7.716,5.29,0.37,"46 Tau"],
+  [20704,4.4351,31.439,5.29,0.99],
+  [22287,4.8001,56.757,5.29,0.25,"4 Cam"],
+  [24873,5.3331,-12.316,5.29,-0.1,"ν Lep"],
+  [26868,5.7042,-34.668,5.29,-0.03,"WZ Col"],
+  [27947,5.9139,-52.636,5.29,0.29],
+  [33316,6.9297,-22.941,5.29,-0.16],
+  [35427,7.3142,-26.586,5.29,0.96],
+  [48390,9.8647,24.395,5.29,0.23,"g Leo"],
+  [60904,12.4819,25.913,5.29,-0.06,"17 Com"],
+  [69612,14.2475,10.101,5.29,1.01,"15 Boo"],
+  [89439,18.2536,-20.728,5.29,0.01,"15 Sgr"],
+  [92824,18.9131,-87.606,5.29,1.3,"χ Oct"],
+  [105898,21.4477,48.835,5.29,0.11],
+  [106327,21.535,-41.179,5.29,1.11,"ξ Gru"],
+  [107472,21.7679,22.949,5.29,1.38,"12 Peg"],
+  [108991,22.0798,-0.906,5.29,0.23,"32 Aqr"],
+  [3231,0.6853,39.459,5.3,0.89,"32 And"],
+  [12225,2.6234,-52.543,5.3,0.29,"η Hor"],
+  [12489,2.6781,27.061,5.3,0.08,"Barani"],
+  [16499,3.5406,46.057,5.3,0.4,"36 Per"],
+  [21914,4.7129,-50.481,5.3,0.98,"λ Pic"],
+  [21928,4.7151,43.365,5.3,0.03,"59 Per"],
+  [23467,5.0453,-71.314,5.3,1,"β Men"],
+  [32411,6.7665,-14.796,5.3,0.07],
+  [34802,7.2044,-40.499,5.3,0.07,"E Pup"],
+  [37704,7.7353,25.784,5.3,1.53,"c Gem"],
+  [38962,7.9724,2.225,5.3,0.93,"14 CMi"],
+  [39780,8.1294,21.582,5.3,0.64,"μ Cnc"],
+  [43305,8.8227,-3.443,5.3,-0.08,"14 Hya"],
+  [45290,9.2301,43.218,5.3,-0.13,"36 Lyn"],
+  [47479,9.6785,-57.984,5.3,0.2],
+  [49809,10.1683,-12.816,5.3,0.37],
+  [56034,11.4845,39.337,5.3,0.02,"57 UMa"],
+  [85084,17.3893,-28.143,5.3,1.55,"43 Oph"],
+  [89773,18.3196,24.446,5.3,1.51,"105 Her"],
+  [96808,19.6787,-16.293,5.3,1.11,"e1 Sgr"],
+  [98421,19.9976,-34.698,5.3,0.17,"θ2 Sgr"],
+  [99951,20.2797,24.671,5.3,0.95,"24 Vul"],
+  [100541,20.3863,5.343,5.3,0.98],
+  [103511,20.9712,22.326,5.3,1.42,"33 Vul"],
+  [103569,20.9846,4.293,5.3,0.46,"ε Equ"],
+  [104365,21.1427,-21.194,5.3,0,"χ Cap"],
+  [105942,21.4559,37.117,5.3,-0.14,"70 Cyg"],
+  [107151,21.7043,5.68,5.3,1.65,"7 Peg"],
+  [114200,23.1276,46.387,5.3,1.41,"4 And"],
+  [116820,23.6773,-32.073,5.3,0.96,"μ Scl"],
+  [117730,23.877,10.947,5.3,0.19,"82 Peg"],
+  [10366,2.2268,51.066,5.31,0.93,"6 Per"],
+  [10819,2.3213,47.38,5.31,0.01,"c And"],
+  [27243,5.7743,-46.597,5.31,1.04],
+  [37701,7.7345,50.434,5.31,0],
+  [43671,8.8974,-47.521,5.31,0.28],
+  [45544,9.2825,-39.401,5.31,1.17],
+  [55016,11.2644,13.308,5.31,1.19,"n Leo"],
+  [56997,11.6842,34.202,5.31,0.72,"61 UMa"],
+  [57562,11.7986,8.246,5.31,0.04,"A1 Vir"],
+  [59654,12.2341,-45.724,5.31,1.4,"D Cen"],
+  [64577,13.2364,-19.931,5.31,0.86,"55 Vir"],
+  [80945,16.5283,-41.817,5.31,0.3,"V1058 Sco"],
+  [85667,17.5066,-1.063,5.31,0.71],
+  [94150,19.1647,-68.424,5.31,0.9],
+  [104974,21.2625,-15.171,5.31,1.64,"29 Cap"],
+  [110649,22.4157,-57.797,5.31,0.67],
+  [5518,1.1776,68.779,5.32,-0.01,"31 Cas"],
+  [14168,3.0451,-7.686,5.32,0.94,"ρ2 Eri"],
+  [15770,3.387,49.213,5.32,-0.08,"V0575 Per"],
+  [18957,4.0624,5.436,5.32,-0.08,"40 Tau"],
+  [21515,4.6205,0.998,5.32,-0.11,"49 Eri"],
+  [26126,5.5713,3.767,5.32,0.05,"n2 Ori"],
+  [38146,7.8171,-24.912,5.32,0.75,"188 Pup"],
+  [41260,8.4177,-24.046,5.32,1.48],
+  [52911,10.821,10.545,5.32,0.04,"l Leo"],
+  [57111,11.7079,66.745,5.32,1.27,"3 Dra"],
+  [60449,12.3932,-35.413,5.32,-0.07,"x1 Cen"],
+  [65479,13.4205,-64.485,5.32,0.41],
+  [72489,14.822,-14.149,5.32,0.07,"μ Lib"],
+  [73049,14.9291,-33.856,5.32,0.05],
+  [74649,15.2532,4.939,5.32,1.09,"3 Ser"],
+  [80208,16.3744,-49.572,5.32,-0.05],
+  [84177,17.2077,10.585,5.32,1.59,"37 Oph"],
+  [97749,19.8641,-39.874,5.32,-0.04,"V3961 Sgr"],
+  [98624,20.0312,-66.944,5.32,1.22,"μ2 Pav"],
+  [99461,20.1866,-36.101,5.32,0.87],
+  [103882,21.0494,-38.631,5.32,0.42,"ζ Mic"],
+  [112781,22.8397,-80.124,5.32,-0.13,"ξ Oct"],
+  [5131,1.0947,21.473,5.33,0,"ψ1 Psc"],
+  [20161,4.3213,-44.268,5.33,1.07],
+  [22730,4.8897,2.508,5.33,1.63,"5 Ori"],
+  [22834,4.9133,7.779,5.33,1.21],
+  [23879,5.1314,8.498,5.33,0.34,"i Ori"],
+  [39734,8.1217,-20.554,5.33,0.1],
+  [40817,8.3303,-71.515,5.33,-0.06,"κ1 Vol"],
+  [41616,8.4847,-47.929,5.33,-0.14,"A Vel"],
+  [41822,8.5266,18.094,5.33,1.57,"θ Cnc"],
+  [41909,8.5451,20.441,5.33,1.25,"η Cnc"],
+  [52678,10.7713,-64.515,5.33,-0.1],
+  [64823,13.2877,13.676,5.33,1.3],
+  [90074,18.3814,-36.67,5.33,-0.12,"V4050 Sgr"],
+  [93124,18.9708,17.361,5.33,0.73,"FF Aql"],
+  [97421,19.8003,-56.363,5.33,0.2,"ν Tel"],
+  [98438,20.0009,17.517,5.33,1.58,"13 Sge"],
+  [109786,22.2383,-21.075,5.33,0.81,"41 Aqr"],
+  [116264,23.5578,22.499,5.33,1.48,"71 Peg"],
+  [9440,2.0208,-30.002,5.34,0.88,"π For"],
+  [13490,2.8952,38.337,5.34,0.42,"20 Per"],
+  [17563,3.7612,6.05,5.34,-0.1,"u Tau"],
+  [20186,4.3269,21.773,5.34,-0.11,"56 Tau"],
+  [24817,5.3198,2.596,5.34,0.41,"21 Ori"],
+  [25980,5.5448,-1.592,5.34,-0.19],
+  [26001,5.5499,-64.228,5.34,1.04,"28 Dor"],
+  [29704,6.257,16.143,5.34,-0.1,"f2 Ori"],
+  [30247,6.3628,53.452,5.34,0.45,"45 Aur"],
+  [31789,6.647,39.903,5.34,-0.07,"ψ3 Aur"],
+  [32489,6.7804,57.169,5.34,0.96,"13 Lyn"],
+  [33048,6.8847,59.449,5.34,0.68,"14 Lyn"],
+  [36896,7.5858,30.961,5.34,1.01],
+  [40215,8.2136,68.474,5.34,1.04,"55 Cam"],
+  [43414,8.843,-66.793,5.34,0.42],
+  [46107,9.4026,-80.787,5.34,0.45,"ι Cha"],
+  [50888,10.3915,-38.01,5.34,0.25],
+  [58884,12.0775,-68.329,5.34,-0.01],
+  [59184,12.1374,-48.693,5.34,-0.01,"E Cen"],
+  [63117,12.9325,-56.836,5.34,0.01],
+  [70469,14.4135,-24.806,5.34,0.96],
+  [76866,15.6965,12.848,5.34,0.03,"χ Ser"],
+  [82587,16.8828,31.702,5.34,0.32,"53 Her"],
+  [96288,19.5781,42.413,5.34,0.06],
+  [103127,20.8945,-39.81,5.34,1.32],
+  [107788,21.8357,17.286,5.34,0.39,"13 Peg"],
+  [109654,22.2133,34.605,5.34,1.13],
+  [110000,22.28,-12.831,5.34,1.13,"42 Aqr"],
+  [113327,22.9513,48.684,5.34,-0.1,"EW Lac"],
+  [3951,0.8454,64.248,5.35,0.53],
+  [4371,0.9337,-11.267,5.35,1.5,"φ3 Cet"],
+  [6706,1.4376,19.172,5.35,0.4,"ρ Psc"],
+  [22157,4.7672,11.706,5.35,0.2],
+  [28946,6.1097,38.483,5.35,0.25,"40 Aur"],
+  [29246,6.1664,58.936,5.35,1.1,"37 Cam"],
+  [35957,7.4122,-31.809,5.35,1.07],
+  [36439,7.4989,49.672,5.35,0.47,"22 Lyn"],
+  [42604,8.6836,45.834,5.35,0.99,"34 Lyn"],
+  [46811,9.5387,-40.649,5.35,0.9],
+  [66936,13.7177,3.538,5.35,1.09,"84 Vir"],
+  [75119,15.3506,0.715,5.35,1.19,"6 Ser"],
+  [77907,15.9105,43.139,5.35,1.65,"2 Her"],
+  [79050,16.1354,-26.327,5.35,1.64],
+  [80782,16.4951,-46.243,5.35,0.49,"QU Nor"],
+  [82802,16.9228,18.433,5.35,1.41,"54 Her"],
+  [86182,17.6105,48.586,5.35,1.14,"y Her"],
+  [92953,18.938,-42.711,5.35,1],
+  [94385,19.2113,-7.939,5.35,0.09,"20 Aql"],
+  [110273,22.3366,-7.821,5.35,-0.05,"ρ Aqr"],
+  [115355,23.3653,31.813,5.35,-0.1,"64 Peg"],
+  [116709,23.6523,50.472,5.35,-0.06,"18 And"],
+  [3138,0.6654,21.439,5.36,1.16,"55 Psc"],
+  [3632,0.7758,15.476,5.36,1.56,"57 Psc"],
+  [5268,1.1219,-61.775,5.36,0.88,"ι Tuc"],
+  [11258,2.415,-60.312,5.36,0.4,"λ Hor"],
+  [11791,2.536,-1.035,5.36,1,"75 Cet"],
+  [18993,4.0694,2.827,5.36,0.51],
+  [21730,4.6661,53.473,5.36,0.33,"2 Cam"],
+  [26063,5.5587,-1.156,5.36,-0.17,"VV Ori"],
+  [27658,5.8561,-7.518,5.36,-0.2,"55 Ori"],
+  [29490,6.2142,65.718,5.36,1.34,"36 Cam"],
+  [29996,6.3141,-9.39,5.36,1.24],
+  [34987,7.2389,3.111,5.36,1.19],
+  [35083,7.2559,-30.686,5.36,-0.15],
+  [37853,7.7597,-34.172,5.36,0.59,"171 Pup"],
+  [38846,7.9494,-43.5,5.36,-0.17],
+  [40107,8.1925,-7.772,5.36,0.89],
+  [45410,9.2538,14.941,5.36,1.32,"π Cnc"],
+  [47723,9.7289,14.022,5.36,1.61,"ψ Leo"],
+  [52405,10.7113,-59.216,5.36,0.21,"V0519 Car"],
+  [52638,10.7644,30.682,5.36,-0.05,"42 LMi"],
+  [58510,11.9991,3.655,5.36,0,"b Vir"],
+  [65301,13.3836,-17.735,5.36,0.99,"63 Vir"],
+  [72131,14.7548,-62.876,5.36,0.31],
+  [75439,15.4125,-39.71,5.36,-0.09,"υ Lup"],
+  [76628,15.6485,-19.302,5.36,0.88,"41 Lib"],
+  [84821,17.3361,25.538,5.36,0.06],
+  [89605,18.2854,-56.023,5.36,-0.05,"QV Tel"],
+  [92989,18.9446,-37.343,5.36,-0.15,"V0686 CrA"],
+  [102599,20.7926,80.552,5.36,1.14],
+  [110109,22.3043,-53.627,5.36,0.61],
+  [116889,23.6929,-18.027,5.36,1.58,"A1 Aqr"],
+  [8230,1.7665,-5.733,5.37,1.52],
+  [23482,5.0469,-49.151,5.37,0.42,"η1 Pic"],
+  [26248,5.5909,24.04,5.37,-0.09,"121 Tau"],
+  [28949,6.1108,-4.194,5.37,-0.12],
+  [29730,6.2613,59.999,5.37,1.34,"40 Cam"],
+  [30565,6.4246,-69.69,5.37,0.97,"π2 Dor"],
+  [35848,7.3914,-27.834,5.37,1.54],
+  [35987,7.4162,11.669,5.37,0.1,"1 CMi"],
+  [39117,8.0033,73.918,5.37,1.42],
+  [49081,10.0168,31.924,5.37,0.68,"20 LMi"],
+  [54746,11.2092,-49.101,5.37,0.17],
+  [60978,12.4993,58.406,5.37,0.2,"74 UMa"],
+  [63432,12.9986,66.597,5.37,1.28,"9 Dra"],
+  [73223,14.9647,-76.663,5.37,1.44,"R Aps"],
+  [79804,16.2876,59.755,5.37,1.55,"AT Dra"],
+  [80337,16.4004,-39.193,5.37,0.63],
+  [88380,18.0475,-24.282,5.37,0.49,"7 Sgr"],
+  [90763,18.518,-32.989,5.37,0.18],
+  [92111,18.7724,-22.392,5.37,1.59,"28 Sgr"],
+  [92112,18.7728,75.434,5.37,0.05,"50 Dra"],
+  [109404,22.1655,-34.015,5.37,0.24],
+  [109592,22.2006,60.759,5.37,1.18],
+  [110298,22.341,5.79,5.37,-0.04,"30 Peg"],
+  [113957,23.0777,-53.965,5.37,1.45,"κ Gru"],
+  [1645,0.3433,8.19,5.38,1.34,"d Psc"],
+  [1960,0.4132,61.831,5.38,0.01,"12 Cas"],
+  [2568,0.5432,20.294,5.38,1.07,"52 Psc"],
+  [3330,0.7079,-65.468,5.38,0.52,"ρ Tuc"],
+  [12086,2.5963,34.688,5.38,1.65,"15 Tri"],
+  [18859,4.0435,-0.269,5.38,0.52],
+  [20264,4.3442,-20.64,5.38,-0.03],
+  [20430,4.3764,25.629,5.38,-0.04,"χ Tau"],
+  [21670,4.6517,7.871,5.38,0.26],
+  [24799,5.3167,33.748,5.38,-0.17,"IQ Aur"],
+  [35589,7.3441,-52.086,5.38,-0.07],
+  [38722,7.9277,19.884,5.38,-0.04,"85 Gem"],
+  [45571,9.2881,-68.69,5.38,0.41],
+  [46404,9.463,-6.071,5.38,0.64],
+  [60379,12.3804,-57.676,5.38,-0.1],
+  [60781,12.458,-58.992,5.38,1.54,"BL Cru"],
+  [62572,12.8205,83.413,5.38,0.03],
+  [66849,13.7003,-58.787,5.38,-0.03],
+  [70931,14.5058,-49.519,5.38,0.06],
+  [73095,14.9381,-52.809,5.38,0.14,"c Lup"],
+  [75178,15.3635,32.934,5.38,-0.05,"50 Boo"],
+  [77858,15.8983,-24.533,5.38,-0.01],
+  [84862,17.3443,32.468,5.38,0.62,"w Her"],
+  [90642,18.4947,-1.985,5.38,0.96,"c Ser"],
+  [91013,18.5657,52.353,5.38,1.09],
+  [91217,18.6077,9.123,5.38,0.39],
+  [92202,18.7914,-5.705,5.38,1.28,"R Sct"],
+  [94712,19.2727,-45.466,5.38,1.35],
+  [97650,19.8463,-10.764,5.38,0.4,"51 Aql"],
+  [99031,20.106,35.972,5.38,0.85,"b1 Cyg"],
+  [100965,20.4707,81.423,5.38,1.01,"75 Dra"],
+  [103732,21.0197,46.156,5.38,-0.21,"60 Cyg"],
+  [105665,21.4027,-20.852,5.38,1.18,"33 Cap"],
+  [109521,22.1861,50.823,5.38,0.15],
+  [4890,1.047,-46.397,5.39,0.9],
+  [13202,2.8317,-27.942,5.39,0.01,"γ2 For"],
+  [18396,3.9328,47.871,5.39,-0.07],
+  [19513,4.1805,26.481,5.39,0.35,"p Tau"],
+  [22044,4.7405,11.146,5.39,0.25],
+  [23221,4.9973,-10.263,5.39,0.8,"63 Eri"],
+  [29850,6.2852,9.942,5.39,0.11,"l Ori"],
+  [32494,6.7813,-51.266,5.39,1.33],
+  [32677,6.816,-15.145,5.39,-0.1],
+  [39538,8.0797,79.48,5.39,-0.04],
+  [46735,9.5257,35.103,5.39,1.54,"8 LMi"],
+  [55650,11.4006,1.408,5.39,0.94,"79 Leo"],
+  [56391,11.5603,-40.587,5.39,0.12],
+  [71500,14.6223,-46.133,5.39,0.93,"a Lup"],
+  [71618,14.6473,44.404,5.39,0.03,"33 Boo"],
+  [77227,15.7682,-1.804,5.39,-0.04,"A2 Ser"],
+  [78459,16.0174,33.303,5.39,0.61,"ρ CrB"],
+  [79195,16.164,-3.467,5.39,1.45],
+  [82764,16.9153,20.959,5.39,0.97],
+  [84979,17.3683,-70.123,5.39,-0.04,"ι Aps"],
+  [89851,18.3358,-15.832,5.39,1.47],
+  [93299,19.0038,50.533,5.39,-0.18,"LV Dra"],
+  [96302,19.5808,29.463,5.39,0.58,"9 Cyg"],
+  [97534,19.8237,-72.503,5.39,0.23],
+  [101483,20.5658,13.027,5.39,0.09,"η Del"],
+  [105966,21.4611,27.609,5.39,0.05,"35 Vul"],
+  [114389,23.1671,9.822,5.39,-0.07,"58 Peg"],
+  [4914,1.0507,-4.837,5.4,1.11,"25 Cet"],
+  [12653,2.7093,-50.8,5.4,0.56,"ι Hor"],
+  [17854,3.8205,70.871,5.4,0.1],
+  [20376,4.3632,60.736,5.4,1.5],
+  [21036,4.5104,13.724,5.4,0.26,"83 Tau"],
+  [25499,5.4528,17.962,5.4,-0.09,"115 Tau"],
+  [26536,5.6439,30.492,5.4,0.45,"26 Aur"],
+  [31579,6.6091,38.446,5.4,2.77],
+  [35795,7.3835,-31.924,5.4,-0.16,"NO CMa"],
+  [43721,8.9041,30.579,5.4,1.05,"57 Cnc"],
+  [46454,9.4743,9.057,5.4,0.6,"ω Leo"],
+  [46471,9.4778,45.602,5.4,0.99,"Intercrus"],
+  [47080,9.5943,35.81,5.4,0.77,"11 LMi"],
+  [54849,11.2293,-0.07,5.4,-0.02,"p5 Leo"],
+  [65728,13.4742,59.946,5.4,-0.01],
+  [70602,14.4409,19.227,5.4,0.23,"f Boo"],
+  [76013,15.5252,-73.39,5.4,-0.15,"κ1 Aps"],
+  [80214,16.3748,33.703,5.4,1.52,"ν2 CrB"],
+  [80399,16.411,-29.705,5.4,0.63],
+  [91989,18.7492,-39.686,5.4,0.85],
+  [93526,19.0485,-3.699,5.4,-0.01,"g Aql"],
+  [93713,19.082,53.397,5.4,-0.01,"51 Dra"],
+  [93717,19.0827,-4.031,5.4,1.12,"h Aql"],
+  [98962,20.0925,61.995,5.4,1.19,"66 Dra"],
+  [105143,21.2992,-17.985,5.4,-0.12,"30 Cap"],
+  [930,0.1929,-27.8,5.41,1.35,"κ2 Scl"],
+  [3544,0.7548,55.221,5.41,0.02],
+  [7450,1.5997,-15.4,5.41,1.23,"50 Cet"],
+  [32912,6.8575,-70.963,5.41,-0.11,"ι Vol"],
+  [34301,7.1113,-11.294,5.41,0.03,"FN CMa"],
+  [35855,7.3922,-32.202,5.41,-0.17],
+  [36363,7.4849,-38.812,5.41,-0.15,"y Pup"],
+  [37450,7.6877,-38.533,5.41,-0.13],
+  [61621,12.6284,-27.139,5.41,0.33],
+  [67288,13.7904,-17.86,5.41,1.62,"87 Vir"],
+  [69989,14.3212,13.004,5.41,0.39,"18 Boo"],
+  [77060,15.7346,-15.673,5.41,0.24,"η Lib"],
+  [77859,15.8989,-23.978,5.41,-0.03,"V1040 Sco"],
+  [80693,16.4761,0.665,5.41,1.46],
+  [83838,17.1339,35.935,5.41,0.31,"c Her"],
+  [85537,17.4805,0.331,5.41,0.24],
+  [89772,18.3193,7.26,5.41,1.08],
+  [90023,18.3691,23.285,5.41,1.63],
+  [91235,18.6104,33.469,5.41,-0.1],
+  [96693,19.6574,42.818,5.41,-0.06,"14 Cyg"],
+  [97646,19.8458,-59.194,5.41,0.08],
+  [102177,20.7035,50.34,5.41,-0.11,"51 Cyg"],
+  [102773,20.8217,-68.776,5.41,1.12,"σ Pav"],
+  [104750,21.2215,-27.619,5.41,1.43,"3 PsA"],
+  [761,0.1559,-27.988,5.42,0.41,"κ1 Scl"],
+  [2240,0.474,-39.915,5.42,1.56],
+  [3721,0.7961,74.848,5.42,-0.07,"23 Cas"],
+  [5951,1.2767,-2.5,5.42,0.89,"39 Cet"],
+  [6592,1.4113,-41.492,5.42,1.03],
+  [8814,1.8882,40.73,5.42,1.31,"55 And"],
+  [9589,2.0532,0.129,5.42,0.15,"60 Cet"],
+  [11046,2.3701,-0.885,5.42,0.34,"70 Cet"],
+  [20776,4.4508,80.824,5.42,1.18],
+  [31299,6.5637,-36.232,5.42,1.42],
+  [32311,6.746,28.971,5.42,1.45,"28 Gem"],
+  [36778,7.5642,-36.338,5.42,-0.08,"z Pup"],
+  [41817,8.5253,-19.578,5.42,-0.06],
+  [44818,9.1333,29.654,5.42,0.89,"τ Cnc"],
+  [50333,10.278,13.728,5.42,1.65,"37 Leo"],
+  [57512,11.7887,-57.697,5.42,1.66,"V0918 Cen"],
+  [61309,12.5608,33.248,5.42,1.01],
+  [62223,12.7522,45.44,5.42,2.99,"La Superba"],
+  [70794,14.4783,-6.901,5.42,1.49,"106 Vir"],
+  [80390,16.4088,-37.566,5.42,-0.1],
+  [91494,18.6598,-43.186,5.42,1.65,"V0718 CrA"],
+  [101800,20.6303,11.378,5.42,0.05,"ι Del"],
+  [105972,21.4628,66.809,5.42,-0.1,"7 Cep"],
+  [114273,23.1447,2.128,5.42,0.91,"A Psc"],
+  [9326,1.9962,-20.825,5.43,1.64,"57 Cet"],
+  [9372,2.0075,-8.524,5.43,1.39,"AR Cet"],
+  [11029,2.3671,-10.777,5.43,0.36],
+  [12768,2.7348,44.297,5.43,0.9,"14 Per"],
+  [23983,5.1555,9.83,5.43,0.25,"h Ori"],
+  [25769,5.5028,63.067,5.43,1.7,"17 Cam"],
+  [31121,6.5306,-8.158,5.43,1.37],
+  [43082,8.7752,-45.913,5.43,0.24,"OP Vel"],
+  [43908,8.9447,-85.663,5.43,0.31,"ζ Oct"],
+  [47956,9.7724,-76.776,5.43,0.9,"ν Cha"],
+  [51585,10.5366,14.137,5.43,1.7,"46 Leo"],
+  [54173,11.0817,-35.805,5.43,0.02],
+  [54477,11.1456,-28.081,5.43,0.07],
+  [62423,12.7929,66.79,5.43,1.57,"Tianyi"],
+  [74941,15.3137,-60.496,5.43,-0.09],
+  [76618,15.6471,-52.373,5.43,0.01],
+  [78012,15.9299,37.947,5.43,0.35,"λ CrB"],
+  [78246,15.9764,-24.831,5.43,-0.09,"V0913 Sco"],
+  [79387,16.202,-8.548,5.43,0.12,"16 Sco"],
+  [83962,17.1633,-10.523,5.43,0.47],
+  [87728,17.9198,72.005,5.43,0.34,"34 Dra"],
+  [91237,18.6109,6.672,5.43,0.39],
+  [92614,18.8712,21.425,5.43,-0.07,"112 Her"],
+  [108661,22.014,-28.454,5.43,-0.1,"η PsA"],
+  [109472,22.1771,-11.565,5.43,-0.12,"e Aqr"],
+  [112731,22.8295,55.903,5.43,1.17],
+  [112832,22.8506,-39.157,5.43,1.44],
+  [113521,22.991,0.963,5.43,0.98,"2 Psc"],
+  [117447,23.8139,62.215,5.43,0.67,"6 Cas"],
+  [4510,0.9639,28.992,5.44,1.08,"h Psc"],
+  [13782,2.9566,-23.862,5.44,0.24,"4 Eri"],
+  [15547,3.3388,77.735,5.44,0.21],
+  [17776,3.8058,23.421,5.44,-0.07],
+  [19483,4.1729,-6.924,5.44,0.94,"37 Eri"],
+  [24254,5.2062,73.947,5.44,-0.11,"BN Cam"],
+  [24829,5.3228,-50.606,5.44,0.52,"ζ Pic"],
+  [26649,5.6638,-32.629,5.44,0.91],
+  [29736,6.2625,12.551,5.44,0.01,"73 Ori"],
+  [32439,6.7706,79.565,5.44,0.53],
+  [33184,6.9069,-1.127,5.44,0.17],
+  [34724,7.1899,-0.302,5.44,0.31,"21 Mon"],
+  [38497,7.8843,-36.364,5.44,1.16],
+  [43851,8.9321,11.626,5.44,1.46,"60 Cnc"],
+  [43932,8.9491,32.91,5.44,0.18,"σ2 Cnc"],
+  [47204,9.6202,-53.669,5.44,0.14],
+  [52737,10.7811,-17.297,5.44,0.11,"b1 Hya"],
+  [58379,11.9709,-56.317,5.44,-0.06],
+  [64094,13.1353,-65.306,5.44,-0.03,"θ Mus"],
+  [76397,15.6034,-44.397,5.44,1.5],
+  [78893,16.1055,67.81,5.44,-0.02],
+  [79963,16.3216,-42.674,5.44,0.1,"λ Nor"],
+  [87847,17.9466,-4.082,5.44,1.16],
+  [90414,18.4483,-48.117,5.44,0.85],
+  [99631,20.2205,-1.009,5.44,1.43,"66 Aql"],
+  [101243,20.5219,49.22,5.44,1.57,"Ruchba"],
+  [113996,23.0861,-7.694,5.44,0.31,"h Aqr"],
+  [115152,23.3249,48.625,5.44,1.01,"11 And"],
+  [2942,0.6226,35.4,5.45,0.89],
+  [3083,0.6527,49.355,5.45,1.64],
+  [4293,0.9168,-69.527,5.45,1.09,"λ2 Tuc"],
+  [12332,2.6469,21.961,5.45,0.17,"ν Ari"],
+  [14376,3.0907,25.255,5.45,-0.03,"52 Ari"],
+  [17489,3.7467,24.29,5.45,-0.03,"Celaeno"],
+  [18975,4.0657,8.197,5.45,0.37],
+  [19398,4.155,-16.386,5.45,-0.15],
+  [19805,4.2468,-62.192,5.45,1.11],
+  [21735,4.6676,12.198,5.45,-0.12,"93 Tau"],
+  [25993,5.5476,-38.513,5.45,1.22],
+  [33384,6.9429,-79.42,5.45,0.04,"θ Men"],
+  [33478,6.9594,-24.631,5.45,0.39],
+  [36616,7.5301,17.086,5.45,1.13],
+  [41323,8.4311,-42.153,5.45,-0.14],
+  [42286,8.6219,-62.853,5.45,1.01],
+  [42459,8.6566,-53.44,5.45,-0.13,"HW Vel"],
+  [44405,9.0456,24.453,5.45,-0.04,"ν Cnc"],
+  [46594,9.5014,-51.517,5.45,-0.08],
+  [53273,10.8955,-2.129,5.45,0.97,"p1 Leo"],
+  [59394,12.1844,-23.602,5.45,0.06,"3 Crv"],
+  [60855,12.4729,-39.041,5.45,-0.07,"u Cen"],
+  [63031,12.9163,-85.123,5.45,0.99,"ι Oct"],
+  [73624,15.0498,-32.643,5.45,-0.13],
+  [74305,15.1878,-55.346,5.45,1.12],
+  [77902,15.9096,20.311,5.45,1.59,"QY Ser"],
+  [79754,16.2787,-53.811,5.45,1.7,"V0368 Nor"],
+  [89507,18.2648,-44.206,5.45,0.96],
+  [95503,19.4249,-23.962,5.45,1.44,"χ3 Sgr"],
+  [96556,19.6298,-4.648,5.45,0.43,"42 Aql"],
+  [104382,21.1463,-88.957,5.45,0.28,"Polaris Australis"],
+  [108294,21.9397,-37.254,5.45,0.08],
+  [109789,22.2385,-27.767,5.45,-0.12,"λ PsA"],
+  [111056,22.498,78.824,5.45,0.09,"Al Kalb al Rai"],
+  [113357,22.9578,20.769,5.45,0.67,"Helvetios"],
+  [4288,0.9161,23.628,5.46,1.01,"36 And"],
+  [19009,4.0727,24.106,5.46,0.81,"36 Tau"],
+  [20156,4.3203,50.049,5.46,0.23],
+  [21685,4.6555,-14.359,5.46,1.05],
+  [24902,5.3374,41.086,5.46,0.12],
+  [25768,5.5026,-47.078,5.46,0.61],
+  [25861,5.5207,3.292,5.46,-0.18,"n1 Ori"],
+  [27196,5.765,49.826,5.46,0.03,"ο Aur"],
+  [27566,5.838,-79.361,5.46,-0.08,"κ Men"],
+  [28943,6.1089,-23.111,5.46,0.06],
+  [34624,7.172,-27.491,5.46,1],
+  [34912,7.2232,51.429,5.46,1.64,"UY Lyn"],
+  [35180,7.2707,-15.586,5.46,0.08],
+  [42637,8.6888,-78.963,5.46,-0.1,"η Cha"],
+  [46358,9.4518,-71.602,5.46,1.08],
+  [46741,9.5267,-73.081,5.46,1.56,"H Car"],
+  [52595,10.7545,-80.47,5.46,0.96,"δ1 Cha"],
+  [56290,11.5391,61.083,5.46,0.52],
+  [56700,11.6261,-47.747,5.46,1.23,"C3 Cen"],
+  [62131,12.7335,-28.324,5.46,1.35],
+  [63066,12.9221,-42.916,5.46,1.67],
+  [66634,13.6585,52.921,5.46,0.11,"82 UMa"],
+  [67304,13.794,-50.321,5.46,1.35],
+  [68940,14.1119,-9.313,5.46,0.35,"95 Vir"],
+  [75572,15.4382,34.336,5.46,1.41],
+  [75647,15.455,-36.768,5.46,-0.15],
+  [79488,16.221,5.021,5.46,1.47,"9 Her"],
+  [81305,16.6063,-42.859,5.46,0.34,"V0918 Sco"],
+  [82676,16.9005,-41.806,5.46,0.18],
+  [92308,18.814,-43.68,5.46,0.13,"η1 CrA"],
+  [92831,18.9145,41.603,5.46,1.03],
+  [94827,19.2955,23.026,5.46,0.02,"2 Vul"],
+  [95073,19.3432,-0.892,5.46,-0.04,"d Aql"],
+  [95865,19.4978,-26.986,5.46,1.12],
+  [96536,19.6262,-14.302,5.46,0.5],
+  [98194,19.9539,40.368,5.46,-0.09],
+  [106787,21.6293,19.319,5.46,0.32,"5 Peg"],
+  [4104,0.878,-24.006,5.47,1.27],
+  [13965,2.9972,47.221,5.47,0.87],
+  [16470,3.5357,48.023,5.47,-0.1,"V0396 Per"],
+  [20982,4.5001,83.34,5.47,0.85],
+  [21039,4.5108,15.692,5.47,0.26,"81 Tau"],
+  [22626,4.8681,63.505,5.47,1.56],
+  [22871,4.9198,-74.937,5.47,1.52,"η Men"],
+  [25695,5.4879,25.15,5.47,-0.04,"118 Tau"],
+  [27338,5.7906,17.729,5.47,0.3,"130 Tau"],
+  [34440,7.1395,15.931,5.47,1.02,"45 Gem"],
+  [38639,7.9119,47.565,5.47,1.46,"26 Lyn"],
+  [42080,8.5767,65.145,5.47,0.21,"A UMa"],
+  [43325,8.8275,-40.32,5.47,0.07,"h Vel"],
+  [44961,9.1599,-8.788,5.47,1,"20 Hya"],
+  [52004,10.6242,-58.733,5.47,0.5,"V0370 Car"],
+  [53781,11.0041,45.526,5.47,1.47],
+  [60044,12.3139,75.161,5.47,0.05],
+  [60941,12.4908,24.109,5.47,0.45,"18 Com"],
+  [61071,12.5168,24.567,5.47,0.06,"Kissin"],
+  [65112,13.3438,-52.748,5.47,-0.13,"V0964 Cen"],
+  [68581,14.0397,-27.43,5.47,1.33],
+  [72582,14.8416,37.272,5.47,1.03],
+  [78400,16.0054,-16.533,5.47,0.52,"49 Lib"],
+  [84720,17.3177,-46.636,5.47,0.76,"NSV 21 372"],
+  [87747,17.9237,26.05,5.47,0.34,"89 Her"],
+  [89042,18.1739,-62.002,5.47,0.59,"ι Pav"],
+  [89290,18.2202,-41.336,5.47,-0.15,"V0692 CrA"],
+  [90133,18.3935,-75.044,5.47,0.04,"φ Oct"],
+  [90913,18.5454,-14.866,5.47,2,"V0450 Sct"],
+  [90923,18.5472,30.554,5.47,-0.08],
+  [102014,20.6722,-33.432,5.47,1.12],
+  [103145,20.8983,33.438,5.47,1.52],
+  [106044,21.4791,-69.505,5.47,1.55,"SX Pav"],
+  [110725,22.4336,70.771,5.47,1.22],
+  [110936,22.4776,-39.132,5.47,0.96,"ν Gru"],
+  [11249,2.4136,10.611,5.48,-0.1,"ξ Ari"],
+  [13265,2.8446,-35.676,5.48,1.26,"η3 For"],
+  [18141,3.8782,-5.361,5.48,-0.09,"30 Eri"],
+  [24679,5.2945,-13.52,5.48,0.93],
+  [30214,6.3569,-11.773,5.48,0,"FR CMa"],
+  [38048,7.7991,-12.193,5.48,0.48,"5 Pup"],
+  [38593,7.9031,-35.877,5.48,-0.17],
+  [42712,8.7045,-48.099,5.48,-0.17,"HX Vel"],
+  [44613,9.09,48.53,5.48,0.47],
+  [56802,11.6444,-13.202,5.48,0.52,"ι Crt"],
+  [61318,12.563,-9.452,5.48,-0.04,"q Vir"],
+  [72664,14.8573,59.294,5.48,1.37],
+  [73133,14.9461,-11.41,5.48,1.49,"ξ2 Lib"],
+  [76957,15.7141,52.361,5.48,-0.04,"BP Boo"],
+  [79280,16.1804,75.878,5.48,-0.09,"19 UMi"],
+  [80008,16.332,39.709,5.48,0.41],
+  [82135,16.78,-39.377,5.48,0.97],
+  [82402,16.8387,7.248,5.48,0.11,"k Her"],
+  [82960,16.9531,-33.26,5.48,1.61,"27 Sco"],
+  [102497,20.7722,-39.199,5.48,-0.08],
+  [103094,20.8885,45.182,5.48,1.09],
+  [105668,21.4032,-12.878,5.48,0.3,"18 Aqr"],
+  [105767,21.4214,-3.557,5.48,1.45,"21 Aqr"],
+  [3607,0.7699,-22.522,5.49,0.98],
+  [7213,1.5489,-36.865,5.49,1.02],
+  [8240,1.7683,-50.816,5.49,1.61,"120 Phe"],
+  [14417,3.1022,79.418,5.49,1.57],
+  [15338,3.2965,44.025,5.49,-0.06,"30 Per"],
+  [18434,3.9413,35.081,5.49,-0.06],
+  [22263,4.7934,-16.934,5.49,0.63,"58 Eri"],
+  [27517,5.8268,-14.484,5.49,0.87],
+  [29150,6.1494,-22.427,5.49,-0.01],
+  [37901,7.7673,-6.772,5.49,1.38],
+  [42715,8.7053,-53.1,5.49,-0.13,"KT Vel"],
+  [45526,9.2782,-8.745,5.49,-0.08,"24 Hya"],
+  [46578,9.4985,-26.59,5.49,1.34],
+  [50303,10.2707,29.311,5.49,0.02,"23 LMi"],
+  [52689,10.7737,14.195,5.49,0.91,"k Leo"],
+  [61136,12.5279,-59.424,5.49,0.62,"35 Cru"],
+  [61724,12.652,21.063,5.49,0.98,"26 Com"],
+  [79672,16.2604,-8.369,5.49,0.65,"18 Sco"],
+  [88836,18.134,36.401,5.49,1.16],
+  [89369,18.2378,-21.713,5.49,1.53,"14 Sgr"],
+  [91004,18.5649,-24.032,5.49,1.79,"24 Sgr"],
+  [93667,19.0736,-31.047,5.49,0.03],
+  [97063,19.726,-15.47,5.49,0.46],
+  [103401,20.9483,-9.697,5.49,1.47,"7 Aqr"],
+  [110078,22.2974,-77.512,5.49,0.31,"ψ Oct"],
+  [116611,23.6324,18.401,5.49,0.01,"75 Peg"],
+  [117375,23.799,-2.762,5.49,0.94,"20 Psc"],
+  [1647,0.3442,-69.625,5.5,-0.05,"π Tuc"],
+  [4852,1.0407,-31.552,5.5,0.08,"σ Scl"],
+  [4889,1.047,31.804,5.5,-0.04,"σ Psc"],
+  [6732,1.4449,19.24,5.5,1.11,"94 Psc"],
+  [9570,2.0494,33.284,5.5,0.03,"ε Tri"],
+  [15643,3.3567,-23.635,5.5,0.89],
+  [15861,3.4051,24.724,5.5,1.19,"64 Ari"],
+  [20171,4.3239,21.142,5.5,-0.07,"53 Tau"],
+  [22958,4.9401,-5.171,5.5,-0.12,"b Eri"],
+  [23900,5.1352,24.265,5.5,0.03,"103 Tau"],
+  [24450,5.2456,5.156,5.5,1.37],
+  [25950,5.5373,17.058,5.5,0],
+  [29064,6.1313,-42.154,5.5,0.01,"π2 Col"],
+  [34000,7.0542,-59.178,5.5,-0.13,"V0450 Car"],
+  [35564,7.3393,-52.312,5.5,0.48],
+  [49005,9.9977,56.812,5.5,1.49],
+  [51821,10.5869,-39.563,5.5,3.02],
+  [52686,10.7735,18.892,5.5,1.13,"m Leo"],
+  [56497,11.5825,-49.136,5.5,1.04],
+  [66435,13.6197,71.242,5.5,1.22],
+  [67172,13.7656,-12.427,5.5,0.9,"86 Vir"],
+  [76106,15.5435,-19.671,5.5,0.2],
+  [76133,15.5494,-1.186,5.5,1.09,"A1 Ser"],
+  [79199,16.1646,-33.546,5.5,-0.07],
+  [81141,16.572,-70.988,5.5,1.24],
+  [81252,16.5958,-65.495,5.5,0.95,"θ TrA"],
+  [89065,18.1779,3.324,5.5,1.2],
+  [97077,19.7286,25.772,5.5,0.94,"10 Vul"],
+  [100435,20.3676,24.446,5.5,-0.09,"25 Vul"],
+  [105913,21.4505,-42.548,5.5,0.39],
+  [108543,21.9883,-38.395,5.5,1],
+  [115836,23.4677,-87.482,5.5,1.28,"τ Oct"],
+  [2802,0.5948,-48.001,5.51,0.46,"λ2 Phe"],
+  [3675,0.7837,11.974,5.51,0.99,"58 Psc"],
+  [5346,1.1395,5.65,5.51,0.33,"e Psc"],
+  [6748,1.4477,-13.056,5.51,0.32,"47 Cet"],
+  [10642,2.2831,-6.422,5.51,0.96,"67 Cet"],
+  [14131,3.0376,-71.903,5.51,-0.13,"θ Hyi"],
+  [15201,3.266,-77.388,5.51,0.44,"ι Hyi"],
+  [19388,4.1528,19.609,5.51,1.08,"43 Tau"],
+  [20860,4.4704,83.808,5.51,-0.11,"V0408 Cep"],
+  [23043,4.9562,17.154,5.51,1.3],
+  [29941,6.3038,-19.967,5.51,-0.16],
+  [41451,8.4547,-70.094,5.51,-0.02],
+  [47267,9.6337,-43.191,5.51,0.98,"y Vel"],
+  [52221,10.6698,-65.1,5.51,-0.16,"V0364 Car"],
+  [52422,10.7172,26.326,5.51,0.16,"40 LMi"],
+  [54029,11.0541,-11.303,5.51,0.94],
+  [59232,12.1485,-41.232,5.51,-0.1,"V0817 Cen"],
+  [67250,13.7833,38.543,5.51,1.04],
+  [70915,14.5024,-45.321,5.51,-0.09],
+  [73193,14.9592,-0.168,5.51,1.13,"M Ser"],
+  [75049,15.3357,29.616,5.51,1.01,"ο CrB"],
+  [82480,16.8569,1.216,5.51,0.06,"21 Oph"],
+  [84835,17.3392,46.241,5.51,1.59,"74 Her"],
+  [87308,17.8397,29.322,5.51,1.07],
+  [92549,18.8597,52.975,5.51,0.84],
+  [92630,18.8742,-46.595,5.51,1.64],
+  [93225,18.9899,-12.841,5.51,-0.04],
+  [93340,19.0121,55.658,5.51,0.86,"49 Dra"],
+  [94437,19.221,-12.283,5.51,1.44],
+  [97260,19.767,-31.909,5.51,0.02],
+  [98325,19.9772,30.984,5.51,-0.06],
+  [98823,20.069,7.278,5.51,1.06,"τ Aql"],
+  [99404,20.176,26.904,5.51,0.09,"18 Vul"],
+  [99518,20.1967,26.809,5.51,1.4,"19 Vul"],
+  [103527,20.9739,10.839,5.51,0.93,"Musica"],
+  [105259,21.321,58.623,5.51,1.11,"V0381 Cep"],
+  [107235,21.7185,41.155,5.51,1.61],
+  [111062,22.4994,4.432,5.51,0.39,"37 Peg"],
+  [113532,22.9933,-29.462,5.51,0.27,"WX PsA"],
+  [7978,1.7081,-53.741,5.52,0.55,"q1 Eri"],
+  [13327,2.8582,15.082,5.52,-0.1,"σ Ari"],
+  [17738,3.7989,-30.168,5.52,0.97,"ρ For"],
+  [19335,4.1435,38.04,5.52,0.52,"50 Per"],
+  [22854,4.9175,55.259,5.52,0.01,"5 Cam"],
+  [24555,5.2678,11.341,5.52,-0.01,"18 Ori"],
+  [25555,5.4627,15.874,5.52,0.01,"116 Tau"],
+  [28098,5.9392,-31.382,5.52,0.38,"σ Col"],
+  [31583,6.6098,-5.211,5.52,-0.08],
+  [39360,8.0458,-41.31,5.52,-0.15,"V0336 Pup"],
+  [39566,8.0844,-53.108,5.52,1.35],
+  [40282,8.2262,-50.196,5.52,1.65,"16 Vel"],
+  [41152,8.3968,53.22,5.52,0.13],
+  [41395,8.445,-12.535,5.52,1.17],
+  [50456,10.3021,-28.992,5.52,0.28,"AG Ant"],
+  [50935,10.4024,33.718,5.52,1.19,"28 LMi"],
+  [51384,10.4949,84.252,5.52,0.24],
+  [54336,11.1151,1.956,5.52,0.95,"p4 Leo"],
+  [60170,12.3388,26.619,5.52,1.09],
+  [66091,13.5477,-15.363,5.52,1.23,"75 Vir"],
+  [73497,15.0222,-2.755,5.52,1.69],
+  [73634,15.0517,35.206,5.52,1.02],
+  [74732,15.2731,-22.399,5.52,1.36],
+  [85385,17.447,20.081,5.52,-0.12],
+  [88816,18.1301,-17.154,5.52,1.13],
+  [90124,18.3913,-36.238,5.52,1.01],
+  [94789,19.2867,-66.661,5.52,0.17],
+  [102916,20.8502,-37.913,5.52,1.38],
+  [107835,21.8464,-69.629,5.52,1.38,"ο Ind"],
+  [107975,21.875,28.794,5.52,0.43,"15 Peg"],
+  [109474,22.1774,70.133,5.52,0.39],
+  [110817,22.4515,65.132,5.52,0.3,"26 Cep"],
+  [112381,22.7613,-46.547,5.52,1.3],
+  [107,0.0223,-50.337,5.53,1.61],
+  [8704,1.8665,55.147,5.53,-0.17,"1 Per"],
+  [12107,2.6,-7.832,5.53,1.61,"80 Cet"],
+  [15330,3.2962,-62.575,5.53,0.64,"ζ1 Ret"],
+  [17167,3.6773,-5.211,5.53,-0.14,"22 Eri"],
+  [20789,4.4548,22.996,5.53,-0.1,"72 Tau"],
+  [20884,4.4756,1.381,5.53,-0.1,"44 Eri"],
+  [21949,4.7178,-70.931,5.53,-0.11,"μ Men"],
+  [22028,4.7356,-18.667,5.53,0.03],
+  [25853,5.5188,-20.864,5.53,0.01,"10 Lep"],
+  [26382,5.6177,17.04,5.53,0.24,"122 Tau"],
+  [30651,6.4405,56.285,5.53,0.24,"RR Lyn"],
+  [40035,8.1777,-13.799,5.53,0.49,"18 Pup"],
+  [49065,10.0122,-82.215,5.53,0.04,"μ Cha"],
+  [58159,11.9279,15.647,5.53,0.12,"o Leo"],
+  [63950,13.1063,22.616,5.53,1.46,"40 Com"],
+  [67819,13.8924,-35.664,5.53,0.44,"y Cen"],
+  [69462,14.2212,-53.666,5.53,1.44],
+  [69536,14.2348,12.959,5.53,0.54,"14 Boo"],
+  [69658,14.2567,-18.201,5.53,0],
+  [76126,15.5487,-16.853,5.53,-0.15,"ζ Lib"],
+  [77464,15.8158,-3.818,5.53,0.12,"30 Ser"],
+  [78436,16.0132,-8.411,5.53,0.04,"50 Lib"],
+  [79980,16.3258,-30.907,5.53,0.47],
+  [80460,16.4234,37.394,5.53,0.17,"25 Her"],
+  [81290,16.6032,52.9,5.53,-0.06,"16 Dra"],
+  [83057,16.9716,-50.641,5.53,0.02],
+  [84551,17.2843,-32.663,5.53,0.51],
+  [86698,17.7142,-36.946,5.53,1.55],
+  [89020,18.1683,-30.729,5.53,0.98],
+  [93843,19.1105,28.629,5.53,0.3],
+  [94982,19.3276,12.375,5.53,0.27,"A Aql"],
+  [102066,20.684,32.307,5.53,0.87,"49 Cyg"],
+  [103981,21.068,-5.823,5.53,0.68,"12 Aqr"],
+  [106227,21.5165,60.459,5.53,0.1],
+  [107586,21.7904,60.693,5.53,1.57,"12 Cep"],
+  [109745,22.2303,45.441,5.53,0.02],
+  [110529,22.3919,-24.763,5.53,0.98,"49 Aqr"],
+  [113148,22.9126,-16.272,5.53,1.11,"77 Aqr"],
+  [113969,23.0812,-68.82,5.53,0.4],
+  [115713,23.4435,-52.722,5.53,0.41,"ο Gru"],
+  [813,0.1673,11.146,5.54,-0.06,"34 Psc"],
+  [7535,1.6183,12.142,5.54,0.35,"π Psc"],
+  [25143,5.3806,41.029,5.54,0.13],
+  [27581,5.8414,14.306,5.54,1.01,"135 Tau"],
+  [28524,6.0212,-33.912,5.54,1.58],
+  [29263,6.1696,-40.354,5.54,1.67,"AF Col"],
+  [29842,6.2837,-37.737,5.54,1.13],
+  [32609,6.8034,55.704,5.54,null],
+  [35136,7.2639,47.24,5.54,0.58],
+  [36039,7.4272,-79.094,5.54,1.28,"ε Men"],
+  [45219,9.2155,-59.414,5.54,0.85],
+  [56146,11.5081,18.41,5.54,1.06,"86 Leo"],
+  [57013,11.6888,-43.096,5.54,0.04],
+  [58576,12.0123,-10.446,5.54,0.76],
+  [60212,12.3475,57.864,5.54,1.45,"70 UMa"],
+  [75127,15.3521,-5.825,5.54,1.05],
+  [77390,15.7981,-65.442,5.54,0.23],
+  [78132,15.954,14.415,5.54,1.14,"φ Ser"],
+  [84183,17.209,62.874,5.54,0.22],
+  [86019,17.5795,-11.242,5.54,0.01],
+  [86623,17.6996,15.952,5.54,0.39],
+  [97765,19.8671,24.992,5.54,0.68],
+  [98234,19.9626,16.789,5.54,-0.05,"11 Sge"],
+  [103298,20.9274,12.569,5.54,0.13,"16 Del"],
+  [103598,20.9904,59.439,5.54,1.41],
+  [108339,21.949,12.076,5.54,0.05,"17 Peg"],
+  [115054,23.3027,-40.824,5.54,0.45,"φ Gru"],
+  [476,0.095,13.396,5.55,0.9,"86 Peg"],
+  [2661,0.5614,-29.558,5.55,1.26],
+  [3885,0.8314,27.71,5.55,0.4,"i Psc"],
+  [5132,1.0949,21.465,5.55,-0.05,"ψ1 Psc"],
+  [7617,1.6354,57.978,5.55,1.39],
+  [11432,2.4577,31.801,5.55,1.11,"11 Tri"],
+  [14915,3.2073,6.661,5.55,1.01,"EL Cet"],
+  [15696,3.37,27.608,5.55,1.1,"62 Ari"],
+  [17103,3.6642,3.057,5.55,0.93,"12 Tau"],
+  [17203,3.6855,37.58,5.55,-0.06],
+  [20234,4.3365,50.921,5.55,-0.03,"b2 Per"],
+  [24738,5.3044,42.792,5.55,1.49,"PU Aur"],
+  [27955,5.9146,-39.958,5.55,1.51],
+  [30143,6.3434,-34.144,5.55,-0.18],
+  [30720,6.4543,-0.276,5.55,1.38,"78 Ori"],
+  [30728,6.4557,2.908,5.55,1.03],
+  [34267,7.1032,34.474,5.55,0.91],
+  [36258,7.4664,-29.156,5.55,-0.05],
+  [37521,7.7009,14.209,5.55,1.64,"NZ Gem"],
+  [40793,8.3256,75.757,5.55,0.9],
+  [43496,8.8596,-7.177,5.55,0.15,"15 Hya"],
+  [52136,10.6516,53.668,5.55,1.27],
+  [55657,11.4031,-72.257,5.55,0.02],
+  [62608,12.8292,-71.986,5.55,1.15],
+  [67057,13.7416,-16.179,5.55,0.81,"83 Vir"],
+  [70054,14.336,-43.059,5.55,0.91],
+  [71419,14.6053,-46.245,5.55,1.49],
+  [71837,14.6954,11.661,5.55,0.94,"32 Boo"],
+  [80480,16.4287,78.964,5.55,0.25],
+  [81754,16.6982,-19.924,5.55,0.44],
+  [82171,16.7888,-58.341,5.55,-0.1],
+  [84949,17.3621,39.975,5.55,0.67,"V0819 Her"],
+  [96014,19.522,50.307,5.55,1.27],
+  [103005,20.8691,-5.507,5.55,-0.08,"5 Aqr"],
+  [103519,20.9721,44.472,5.55,0.97],
+  [104177,21.1071,-41.386,5.55,1.35,"η Mic"],
+  [108772,22.0346,58,5.55,0.02,"14 Cep"],
+  [108868,22.0546,-6.522,5.55,0.96,"30 Aqr"],
+  [110778,22.4429,-16.742,5.55,0.62,"f Aqr"],
+  [113669,23.0221,-28.854,5.55,1.35],
+  [114831,23.2605,70.888,5.55,0.26,"V0388 Cep"],
+  [116354,23.5771,40.236,5.55,0.1,"15 And"],
+  [117299,23.7839,57.451,5.55,1.63],
+  [4440,0.9464,60.363,5.56,-0.05],
+  [5310,1.1325,20.739,5.56,0.12,"ψ2 Psc"],
+  [5566,1.1904,64.203,5.56,-0.05],
+  [13951,2.9948,-2.465,5.56,-0.07,"5 Eri"],
+  [16780,3.5994,-11.194,5.56,0.92],
+  [17506,3.749,-0.297,5.56,1.41,"25 Eri"],
+  [21743,4.6686,-24.482,5.56,0.93],
+  [25608,5.4709,-37.231,5.56,0.03],
+  [29205,6.1596,-14.585,5.56,1.15],
+  [30321,6.3773,-69.984,5.56,1.51,"π1 Dor"],
+  [34065,7.0659,-43.608,5.56,0.62],
+  [41400,8.4455,12.655,5.56,1.61,"27 Cnc"],
+  [42535,8.6715,-53.015,5.56,-0.13],
+  [44299,9.0225,-41.864,5.56,-0.14,"IZ Vel"],
+  [45189,9.2085,-43.613,5.56,-0.11,"KL Vel"],
+  [45924,9.3642,-42.195,5.56,1.64],
+  [46982,9.5757,-5.915,5.56,1.16,"A Hya"],
+  [47717,9.7284,-53.891,5.56,-0.04,"O Vel"],
+  [48310,9.8488,-62.745,5.56,1.32],
+  [56770,11.639,43.625,5.56,0.35,"59 UMa"],
+  [57870,11.8695,-56.988,5.56,0.07],
+  [60735,12.4477,-32.83,5.56,0.01],
+  [66753,13.6821,-85.786,5.56,0.18,"κ Oct"],
+  [70492,14.4184,-68.195,5.56,0.43],
+  [75257,15.377,39.581,5.56,1.63],
+  [83692,17.105,22.084,5.56,1.3],
+  [86667,17.7079,24.564,5.56,1.44,"83 Her"],
+  [89482,18.2608,42.159,5.56,-0.11],
+  [92882,18.9253,-16.377,5.56,0.45],
+  [93051,18.9546,2.535,5.56,0,"64 Ser"],
+  [93996,19.138,-19.29,5.56,-0.09,"V4024 Sgr"],
+  [97961,19.9086,24.319,5.56,-0.02],
+  [110935,22.4771,-67.489,5.56,0.21],
+  [114822,23.2595,-3.496,5.56,0.06],
+  [115142,23.3233,-5.124,5.56,0.39,"96 Aqr"],
+  [115395,23.3757,60.133,5.56,1.68],
+  [115591,23.4141,32.385,5.56,-0.07,"67 Peg"],
+  [115746,23.4502,87.308,5.56,0.25],
+  [531,0.1074,64.196,5.57,-0.02,"10 Cas"],
+  [729,0.1507,18.212,5.57,1.04,"87 Peg"],
+  [2711,0.5744,-52.373,5.57,0.47],
+  [2941,0.6224,-24.767,5.57,0.71],
+  [3741,0.8003,-21.723,5.57,-0.06],
+  [5454,1.1637,19.658,5.57,0.7,"ψ3 Psc"],
+  [5589,1.1948,65.019,5.57,-0.07,"32 Cas"],
+  [7965,1.7057,68.043,5.57,-0.05,"43 Cas"],
+  [9313,1.9941,-42.031,5.57,1.05],
+  [10418,2.2374,-67.841,5.57,1.56,"π1 Hyi"],
+  [10535,2.2619,25.043,5.57,0.52,"21 Ari"],
+  [10944,2.3495,50.151,5.57,-0.09,"63 And"],
+  [16263,3.4933,-12.675,5.57,0.17],
+  [22393,4.8202,31.437,5.57,1.13],
+  [31277,6.56,14.155,5.57,1.1],
+  [38152,7.8185,-56.41,5.57,1.12],
+  [43903,8.9437,64.604,5.57,0.88,"6 UMa"],
+  [47168,9.6119,31.162,5.57,1.59],
+  [51376,10.4932,-30.607,5.57,-0.04,"δ Ant"],
+  [51685,10.5586,34.989,5.57,0.03,"34 LMi"],
+  [53064,10.8566,59.32,5.57,1.16,"42 UMa"],
+  [61968,12.6992,6.807,5.57,0,"d1 Vir"],
+  [64122,13.1424,-8.984,5.57,1.18,"g Vir"],
+  [66640,13.6596,10.746,5.57,0.35],
+  [70243,14.3721,-34.787,5.57,-0.09],
+  [76996,15.7214,-84.465,5.57,0.12,"ρ Oct"],
+  [77048,15.7331,32.516,5.57,1.08,"π CrB"],
+  [77163,15.7565,5.447,5.57,0.04],
+  [79153,16.1552,-57.934,5.57,-0.02,"ι2 Nor"],
+  [81702,16.689,-48.763,5.57,0.17],
+  [82925,16.9467,-23.15,5.57,-0.02,"24 Oph"],
+  [85749,17.5226,2.724,5.57,0.84],
+  [89008,18.1664,36.466,5.57,0.92],
+  [95564,19.4387,-21.777,5.57,1.23,"50 Sgr"],
+  [95822,19.4895,14.596,5.57,1.05],
+  [102633,20.7968,6.008,5.57,-0.01,"13 Del"],
+  [106429,21.5565,-44.849,5.57,1.04],
+  [107517,21.7756,-11.366,5.57,0,"λ Cap"],
+  [107649,21.8044,-47.304,5.57,0.6],
+  [108845,22.0491,44.65,5.57,-0.03,"V1942 Cyg"],
+  [114622,23.2214,57.168,5.57,1],
+  [118077,23.9524,55.706,5.57,0.48,"V1022 Cas"],
+  [124,0.0269,61.223,5.58,0.41],
+  [1921,0.4043,52.02,5.58,-0.11,"V0746 Cas"],
+  [5164,1.1014,-9.839,5.58,0.01,"28 Cet"],
+  [7679,1.6477,-21.275,5.58,0.35],
+  [10732,2.3021,19.901,5.58,0.01,"θ Ari"],
+  [13702,2.9406,18.023,5.58,0.47,"ρ Ari"],
+  [16210,3.4812,49.848,5.58,-0.05],
+  [20219,4.3327,14.035,5.58,0.28,"h Tau"],
+  [20995,4.5024,15.638,5.58,0.32,"80 Tau"],
+  [22531,4.8487,-53.462,5.58,0.34,"ι Pic"],
+  [31079,6.5218,-51.826,5.58,0.53],
+  [35044,7.2475,-27.038,5.58,1.22],
+  [37204,7.6425,35.049,5.58,0.92,"70 Gem"],
+  [37441,7.6868,48.132,5.58,1.01],
+  [40944,8.3559,-20.079,5.58,0.77],
+  [41377,8.441,27.894,5.58,1.42,"φ1 Cnc"],
+  [47963,9.7751,-44.755,5.58,-0.18],
+  [51140,10.4469,-54.877,5.58,1.56],
+  [51364,10.4914,-29.664,5.58,1.42],
+  [54327,11.1139,-70.878,5.58,-0.07],
+  [55765,11.4268,16.456,5.58,0.39,"81 Leo"],
+  [58110,11.9175,8.444,5.58,0.94,"A2 Vir"],
+  [61296,12.5595,-12.83,5.58,0.86],
+  [63738,13.0628,-20.584,5.58,0.55],
+  [70791,14.4772,49.845,5.58,0.86,"g Boo"],
+  [87569,17.8899,-34.895,5.58,1.1],
+  [89487,18.2613,-63.055,5.58,0.94],
+  [90260,18.4171,-30.757,5.58,1.14,"18 Sgr"],
+  [92728,18.8954,36.972,5.58,-0.14,"δ1 Lyr"],
+  [92872,18.9243,6.615,5.58,1.04,"62 Ser"],
+  [94624,19.2556,15.084,5.58,1.07],
+  [100108,20.308,37,5.58,0.06,"36 Cyg"],
+  [100437,20.3682,45.795,5.58,1.08],
+  [105411,21.3512,23.856,5.58,1.06,"34 Vul"],
+  [109352,22.1538,33.172,5.58,0.98,"π1 Peg"],
+  [109737,22.229,-25.181,5.58,0.5],
+  [114924,23.2784,53.214,5.58,0.56],
+  [115271,23.3471,30.415,5.58,1.5,"63 Peg"],
+  [377,0.0781,-71.437,5.59,-0.1],
+  [2497,0.5281,52.84,5.59,1.16],
+  [3849,0.8238,-13.561,5.59,1.32],
+  [4283,0.9147,83.707,5.59,0.1],
+  [4770,1.0217,-38.916,5.59,1.19,"ξ Scl"],
+  [9573,2.0501,64.39,5.59,0.33,"53 Cas"],
+  [13665,2.9325,61.521,5.59,0.45],
+  [17395,3.7261,-10.486,5.59,0.22],
+  [19095,4.0937,-27.652,5.59,0.32],
+  [21479,4.6127,-62.077,5.59,1.5,"R Dor"],
+  [31457,6.5901,-36.78,5.59,-0.13],
+  [33575,6.9766,-25.414,5.59,-0.16],
+  [35615,7.3495,-14.361,5.59,0.97],
+  [36723,7.5532,3.29,5.59,0.32,"δ2 CMi"],
+  [38908,7.963,-60.303,5.59,0.57],
+  [40678,8.3048,-35.452,5.59,1.25],
+  [43499,8.8601,-57.634,5.59,-0.1],
+  [45001,9.1657,-30.365,5.59,0.18,"ε Pyx"],
+  [49569,10.1193,-17.142,5.59,1.49],
+  [50241,10.2588,-43.112,5.59,1.52],
+  [51491,10.5166,-13.588,5.59,-0.03],
+  [58326,11.9611,-62.449,5.59,-0.15],
+  [58427,11.9799,-64.34,5.59,0.17],
+  [58654,12.0276,36.042,5.59,1.02],
+  [63972,13.1097,-41.588,5.59,1.05],
+  [72833,14.8871,-73.19,5.59,0.82],
+  [73841,15.0905,48.151,5.59,-0.01,"k Boo"],
+  [74950,15.3157,-40.788,5.59,-0.1,"GG Lup"],
+  [78106,15.9484,-33.964,5.59,0.07,"ξ2 Lup"],
+  [94727,19.2753,4.835,5.59,0.1,"22 Aql"],
+  [94986,19.3278,-35.422,5.59,-0.12],
+  [95077,19.3439,-22.402,5.59,0.28],
+  [96178,19.556,-45.272,5.59,-0.02,"PW Tel"],
+  [100261,20.335,68.88,5.59,1.47],
+  [101716,20.618,26.462,5.59,-0.05,"27 Vul"],
+  [102253,20.7197,66.657,5.59,0.22,"4 Cep"],
+  [103530,20.975,50.462,5.59,-0.14],
+  [105769,21.4221,46.714,5.59,0.34],
+  [117683,23.8661,2.93,5.59,1.53,"22 Psc"],
+  [118277,23.9911,-29.485,5.59,1.6,"BU Scl"],
+  [5626,1.2047,79.674,5.6,0.01],
+  [6514,1.3946,37.715,5.6,0.28,"47 And"],
+  [10723,2.3004,1.758,5.6,0.59],
+  [17460,3.7421,36.46,5.6,0.06],
+  [24169,5.1897,-11.849,5.6,1.35,"RX Lep"],
+  [25329,5.4172,-10.329,5.6,1.54],
+  [26093,5.5651,14.306,5.6,-0.12,"35 Ori"],
+  [26215,5.587,10.24,5.6,0.15],
+  [27629,5.8495,27.968,5.6,0.98],
+  [27743,5.8729,14.172,5.6,-0.05,"137 Tau"],
+  [30342,6.3822,-56.37,5.6,0.24,"ν Pic"],
+  [31167,6.5398,-5.869,5.6,0.26],
+  [32531,6.7885,-55.54,5.6,1.55,"O Car"],
+  [36186,7.4522,-17.865,5.6,0.31,"NR CMa"],
+  [36388,7.4885,-1.905,5.6,1.49],
+  [37623,7.72,-36.05,5.6,-0.13],
+  [38253,7.8363,-9.183,5.6,1.45],
+  [39177,8.0131,17.309,5.6,1.32,"3 Cnc"],
+  [41375,8.4409,-3.987,5.6,0.22,"2 Hya"],
+  [44883,9.145,-8.589,5.6,-0.06,"19 Hya"],
+  [46221,9.4233,-5.117,5.6,1.52,"28 Hya"],
+  [51046,10.429,-7.06,5.6,1.53],
+  [59501,12.2026,20.542,5.6,0.96,"5 Com"],
+  [65072,13.3386,40.151,5.6,1.2,"23 CVn"],
+  [66198,13.5687,55.348,5.6,-0.01,"81 UMa"],
+  [82028,16.7563,15.745,5.6,1.64],
+  [84401,17.2553,-33.548,5.6,-0.06,"V1075 Sco"],
+  [92382,18.8264,-43.434,5.6,-0.08,"η2 CrA"],
+  [95560,19.437,20.098,5.6,-0.01,"5 Vul"],
+  [97757,19.8664,47.027,5.6,-0.08],
+  [97980,19.9124,0.274,5.6,0.1,"58 Aql"],
+  [100469,20.3743,-42.05,5.6,0,"κ1 Sgr"],
+  [102635,20.797,47.832,5.6,1.47],
+  [104371,21.1441,30.206,5.6,-0.05,"V0389 Cyg"],
+  [108691,22.0181,0.605,5.6,1.28,"28 Aqr"],
+  [110986,22.4856,9.129,5.6,1.58,"36 Peg"],
+  [113281,22.9399,41.604,5.6,-0.15,"16 Lac"],
+  [114254,23.1392,-28.824,5.6,0.88],
+  [115620,23.4221,-56.849,5.6,1.06],
+  [115770,23.4546,70.36,5.6,0.16],
+  [1728,0.3629,-20.058,5.61,1.58,"T Cet"],
+  [9622,2.0612,-4.104,5.61,1.59],
+  [15154,3.2557,30.557,5.61,0.01],
+  [18647,3.9917,-12.574,5.61,1.48],
+  [20922,4.4853,-13.048,5.61,-0.2,"DU Eri"],
+  [23554,5.0648,-24.388,5.61,0.09],
+  [30436,6.3989,-25.578,5.61,1.56],
+  [31897,6.6675,-80.814,5.61,0.21,"ζ Men"],
+  [38200,7.8265,-33.289,5.61,1.62],
+  [41211,8.4097,-3.751,5.61,0.48,"1 Hya"],
+  [41723,8.5079,-32.159,5.61,1.51],
+  [45920,9.3639,-55.515,5.61,0.19],
+  [47570,9.7001,39.758,5.61,0.95,"43 Lyn"],
+  [51008,10.4209,8.785,5.61,1.63,"44 Leo"],
+  [52965,10.8325,-34.058,5.61,0.04],
+  [63121,12.9335,38.315,5.61,0.34,"α1 CVn"],
+  [66656,13.6635,-40.052,5.61,1.3],
+  [67384,13.8108,31.19,5.61,1.03],
+  [69598,14.2452,-41.837,5.61,0.93],
+  [72323,14.7896,-25.624,5.61,-0.04,"55 Hya"],
+  [77286,15.7789,-34.682,5.61,-0.12],
+  [78276,15.9827,36.644,5.61,1.53],
+  [79689,16.2638,-57.912,5.61,0.14],
+  [80953,16.5298,45.598,5.61,0.13],
+  [85922,17.5583,-5.745,5.61,0.19],
+  [87044,17.7856,17.697,5.61,0.04],
+  [89925,18.3492,29.859,5.61,0.23,"108 Her"],
+  [108693,22.0182,13.12,5.61,0.34,"20 Peg"],
+  [112864,22.8563,61.697,5.61,0.78],
+  [4587,0.9789,-11.38,5.62,0.95,"φ4 Cet"],
+  [7345,1.5772,-15.676,5.62,0.07,"49 Cet"],
+  [14143,3.0396,4.353,5.62,-0.11,"93 Cet"],
+  [15383,3.3062,-0.93,5.62,1.05,"95 Cet"],
+  [16489,3.5389,84.911,5.62,0.89],
+  [18471,3.9478,22.478,5.62,0.34,"32 Tau"],
+  [19011,4.073,-12.792,5.62,1.06],
+  [26882,5.7073,65.698,5.62,1.25],
+  [27766,5.8759,-37.631,5.62,1.05],
+  [27938,5.9121,-11.774,5.62,1.52],
+  [29716,6.2595,-0.512,5.62,0.51],
+  [30444,6.4003,-36.708,5.62,1.03],
+  [31362,6.5765,-32.716,5.62,-0.09],
+  [32385,6.7587,-30.949,5.62,-0.14,"HP CMa"],
+  [37751,7.7428,-24.674,5.62,-0.19,"V0390 Pup"],
+  [38375,7.862,-21.174,5.62,0.96],
+  [38656,7.9148,-57.303,5.62,1.3],
+  [40240,8.2191,29.657,5.62,-0.07,"15 Cnc"],
+  [42795,8.7201,12.681,5.62,0.43,"A1 Cnc"],
+  [47199,9.6194,-32.179,5.62,1.02],
+  [48348,9.8555,-46.194,5.62,1.17],
+  [57791,11.8506,-5.333,5.62,1.06],
+  [73111,14.9422,-47.879,5.62,-0.04],
+  [74689,15.2636,0.372,5.62,0.18,"4 Ser"],
+  [79358,16.1967,36.425,5.62,1.35],
+  [81733,16.6945,-49.652,5.62,-0.04],
+  [87777,17.9308,22.464,5.62,1.25],
+  [91139,18.5918,23.605,5.62,1.01],
+  [92969,18.9405,65.258,5.62,0.94],
+  [98863,20.0767,32.219,5.62,0.76,"V1768 Cyg"],
+  [107773,21.8334,-64.713,5.62,1.02],
+  [109081,22.0975,-59.636,5.62,1.47,"κ Ind"],
+  [110506,22.3856,-45.928,5.62,0.37,"π2 Gru"],
+  [114132,23.1149,-38.892,5.62,0.01,"υ Gru"],
+  [7825,1.6777,43.298,5.63,0.21],
+  [7943,1.701,35.246,5.63,-0.06],
+  [8362,1.7958,63.852,5.63,0.8,"V0987 Cas"],
+  [15479,3.3264,-24.123,5.63,1.66],
+  [28814,6.0829,4.159,5.63,1.04,"66 Ori"],
+  [34086,7.0681,-5.324,5.63,1.29],
+  [36528,7.5146,68.466,5.63,1.1],
+  [40646,8.2973,59.571,5.63,0.18,"29 Lyn"],
+  [40834,8.3335,-71.505,5.63,-0.1,"κ2 Vol"],
+  [42438,8.6533,65.021,5.63,0.62,"Muscida"],
+  [42917,8.7458,10.082,5.63,-0.07,"b Cnc"],
+  [52407,10.712,-32.716,5.63,0.01],
+  [56510,11.5847,54.785,5.63,1.03],
+  [61015,12.5048,-23.696,5.63,1.67],
+  [64003,13.1151,-35.862,5.63,0.05],
+  [66438,13.6201,-61.692,5.63,0.49],
+  [66763,13.684,22.496,5.63,1.01,"2 Boo"],
+  [72573,14.839,82.512,5.63,0.67],
+  [73100,14.9397,49.628,5.63,0.53],
+  [77984,15.925,-26.266,5.63,0.14,"4 Sco"],
+  [79007,16.1271,9.892,5.63,0.2,"45 Ser"],
+  [81007,16.5432,5.521,5.63,-0.04,"n Her"],
+  [83635,17.0923,-0.892,5.63,0.1],
+  [85715,17.5154,31.158,5.63,0.96],
+  [90541,18.4742,-38.996,5.63,0.14],
+  [90687,18.5033,-18.729,5.63,1.06],
+  [93498,19.041,-24.847,5.63,1.23],
+  [93718,19.0827,31.744,5.63,1.55],
+  [97871,19.8885,-3.115,5.63,0.23,"V1291 Aql"],
+  [100907,20.4595,38.44,5.63,0.07,"40 Cyg"],
+  [104031,21.0763,5.503,5.63,1.65,"3 Equ"],
+  [105576,21.3835,-22.669,5.63,1.64],
+  [107575,21.7872,2.686,5.63,0.01,"11 Peg"],
+  [115769,23.4542,-58.476,5.63,0.98],
+  [116355,23.5773,33.497,5.63,1.04,"73 Peg"],
+  [3572,0.7609,74.988,5.64,0.08,"21 Cas"],
+  [5081,1.0848,14.946,5.64,0.42,"72 Psc"],
+  [9621,2.0609,25.936,5.64,0.54,"10 Ari"],
+  [10212,2.1892,8.57,5.64,0.57,"64 Cet"],
+  [12153,2.6105,12.448,5.64,0.52,"31 Ari"],
+  [14439,3.1066,13.187,5.64,1.09],
+  [20087,4.3064,21.579,5.64,0.28,"51 Tau"],
+  [20484,4.3903,16.777,5.64,0.31,"63 Tau"],
+  [22545,4.8526,48.741,5.64,1.01],
+  [24914,5.3396,62.654,5.64,1.73],
+  [25280,5.4079,-16.976,5.64,0],
+  [33804,7.0183,-25.216,5.64,-0.17,"LS CMa"],
+  [35181,7.271,-46.775,5.64,1.44],
+  [36732,7.5554,-19.413,5.64,1.12],
+  [37590,7.7134,-26.351,5.64,0.99],
+  [44356,9.0328,-0.483,5.64,1.16],
+  [47701,9.7259,29.974,5.64,0.11,"f Leo"],
+  [49865,10.1822,-8.418,5.64,1.3,"18 Sex"],
+  [56319,11.5467,-40.436,5.64,1.58],
+  [56518,11.587,-47.373,5.64,1.68,"C1 Cen"],
+  [56675,11.621,-75.897,5.64,0.36,"π Cha"],
+  [63916,13.0979,45.269,5.64,1.14],
+  [64607,13.242,11.332,5.64,1.51,"LN Vir"],
+  [73369,14.9936,39.265,5.64,0.34,"40 Boo"],
+  [75730,15.4709,-16.716,5.64,1.54,"32 Lib"],
+  [76750,15.6726,-73.447,5.64,-0.04,"κ2 Aps"],
+  [81972,16.7452,-40.84,5.64,-0.09],
+  [83187,17.0017,-54.597,5.64,0.19],
+  [90313,18.4274,8.032,5.64,0.88],
+  [92768,18.9037,27.91,5.64,1.36],
+  [96406,19.6005,-24.719,5.64,0.18,"h1 Sgr"],
+  [96807,19.6787,-0.621,5.64,0.12,"45 Aql"],
+  [100591,20.3981,-42.423,5.64,0.2,"κ2 Sgr"],
+  [104642,21.1967,59.987,5.64,0.11],
+  [105854,21.4397,-37.829,5.64,1.19],
+  [111068,22.5005,32.573,5.64,-0.03,"38 Peg"],
+  [114948,23.2827,-62.001,5.64,0.52],
+  [10305,2.2132,-2.394,5.65,0.55,"66 Cet"],
+  [12247,2.6283,-3.396,5.65,1.02,"81 Cet"],
+  [17932,3.8346,44.968,5.65,0.78],
+  [23166,4.9837,-16.376,5.65,0.45],
+  [26394,5.6194,-80.469,5.65,0.6,"π Men"],
+  [28484,6.0137,-51.216,5.65,0.21],
+  [28756,6.0723,-32.172,5.65,-0.19,"72 Col"],
+  [33077,6.8886,-19.033,5.65,0.28],
+  [36168,7.4499,-23.086,5.65,-0.13,"FY CMa"],
+  [39213,8.0205,4.88,5.65,0.01],
+  [47960,9.7732,1.786,5.65,0.34],
+  [53316,10.9049,-13.758,5.65,0.83],
+  [62325,12.7729,9.54,5.65,0.99,"33 Vir"],
+  [62500,12.8073,-27.597,5.65,0.95],
+  [65522,13.4306,-70.627,5.65,-0.02],
+  [65790,13.4869,10.818,5.65,1.05,"71 Vir"],
+  [73284,14.9776,-27.657,5.65,0.26,"59 Hya"],
+  [73540,15.0308,-83.228,5.65,0.96,"π1 Oct"],
+  [73771,15.0797,-83.038,5.65,1.27,"π2 Oct"],
+  [75043,15.3348,51.959,5.65,0.12],
+  [75181,15.3634,-48.318,5.65,0.64,"ν2 Lup"],
+  [75308,15.3863,-60.657,5.65,0.49],
+  [76519,15.6275,69.283,5.65,1.37],
+  [85290,17.4282,60.048,5.65,0.02],
+  [85912,17.5563,19.257,5.65,0.51],
+  [90647,18.4958,77.547,5.65,1.19],
+  [94620,19.2548,21.232,5.65,0.12,"1 Sge"],
+  [94720,19.2741,14.545,5.65,-0.02],
+  [98470,20.0056,-33.703,5.65,0.5],
+  [99747,20.2386,-52.446,5.65,1.5],
+  [108699,22.0192,8.257,5.65,1.44,"19 Peg"],
+  [115312,23.3543,-26.987,5.65,0.82],
+  [1288,0.2691,-31.446,5.66,1.35],
+  [3478,0.7406,47.864,5.66,-0.11,"68 Cas"],
+  [7568,1.6244,-84.77,5.66,0.94],
+  [9990,2.1446,58.424,5.66,0.59,"V0472 Per"],
+  [17527,3.7527,24.839,5.66,-0.06,"18 Tau"],
+  [17584,3.7665,45.682,5.66,-0.08],
+  [18089,3.8667,6.535,5.66,0.05,"31 Tau"],
+  [21823,4.69,48.301,5.66,0],
+  [21958,4.7192,-30.766,5.66,1.39],
+  [25001,5.3535,29.57,5.66,0.06],
+  [32474,6.7775,-10.107,5.66,-0.05],
+  [36981,7.6011,-14.493,5.66,-0.07,"V0378 Pup"],
+  [37023,7.6088,46.18,5.66,1.56],
+  [39919,8.1526,-48.684,5.66,-0.1,"NN Vel"],
+  [39943,8.1579,-16.249,5.66,-0.15],
+  [39957,8.1593,-56.085,5.66,0.2],
+  [42372,8.6395,53.401,5.66,0.96],
+  [46511,9.4868,-20.749,5.66,1.59],
+  [50520,10.3181,-64.676,5.66,0.04],
+  [50609,10.338,-47.699,5.66,1.67],
+  [53043,10.8531,56.582,5.66,1.13,"43 UMa"],
+  [59468,12.1975,25.87,5.66,1.4,"4 Com"],
+  [60425,12.3893,-24.841,5.66,1.15,"6 Crv"],
+  [67973,13.92,-52.161,5.66,-0.07],
+  [80793,16.4964,-14.551,5.66,0.82],
+  [84150,17.2045,-39.507,5.66,0.04],
+  [85790,17.5304,28.407,5.66,0,"78 Her"],
+  [95619,19.449,-29.743,5.66,-0.01],
+  [96496,19.6176,-18.231,5.66,1.24],
+  [101345,20.5399,-9.853,5.66,0.69],
+  [102949,20.8578,28.25,5.66,0.62,"T Vul"],
+  [106856,21.6422,5.772,5.66,0.27,"4 Peg"],
+  [107144,21.7028,1.285,5.66,1.45,"26 Aqr"],
+  [111809,22.6476,-33.081,5.66,0.04,"VZ PsA"],
+  [113562,23.0016,-25.164,5.66,1.25],
+  [115908,23.4836,-63.111,5.66,-0.14,"CG Tuc"],
+  [116591,23.6277,-13.06,5.66,1.02],
+  [655,0.1343,-33.529,5.67,1.12],
+  [2383,0.5073,-48.215,5.67,0.37],
+  [5493,1.1719,42.081,5.67,0.6,"44 And"],
+  [10513,2.258,-67.746,5.67,1.31,"π2 Hyi"],
+  [14521,3.1256,-78.989,5.67,0.3,"BN Hyi"],
+  [16509,3.543,-50.379,5.67,1.1],
+  [18805,4.0295,9.998,5.67,0.01],
+  [20049,4.2998,-80.214,5.67,0.84,"δ Men"],
+  [21295,4.569,5.569,5.67,0.06],
+  [24109,5.1786,46.962,5.67,0.45],
+  [26064,5.5588,18.54,5.67,-0.02,"120 Tau"],
+  [26197,5.5836,-6.009,5.67,-0.23],
+  [28812,6.0828,5.42,5.67,1.05,"63 Ori"],
+  [30099,6.3345,14.651,5.67,1.58],
+  [41191,8.4055,-80.914,5.67,1.02],
+  [41242,8.4153,-23.154,5.67,0.07],
+  [42564,8.6765,-45.191,5.67,1.66],
+  [43584,8.8763,32.474,5.67,0.22,"σ1 Cnc"],
+  [47959,9.7731,11.81,5.67,1.49,"18 Leo"],
+  [51802,10.5839,8.65,5.67,0.06,"49 Leo"],
+  [54137,11.0753,-47.679,5.67,0.26],
+  [71783,14.6837,-36.135,5.67,-0.08],
+  [74087,15.1399,26.301,5.67,1.24,"b Boo"],
+  [79399,16.2045,-28.417,5.67,0.01,"c1 Sco"],
+  [80309,16.3964,61.697,5.67,0.96],
+  [80675,16.4709,-58.6,5.67,0.01],
+  [89000,18.165,3.12,5.67,0.49],
+  [90968,18.5564,-38.726,5.67,-0.06,"κ2 CrA"],
+  [92997,18.9458,57.815,5.67,1.16,"48 Dra"],
+  [96516,19.6215,16.463,5.67,1.01,"ε Sge"],
+  [98844,20.0731,-0.709,5.67,1.3,"62 Aql"],
+  [102962,20.8607,-62.429,5.67,0.2],
+  [104440,21.1562,-73.173,5.67,0.59],
+  [105703,21.4094,26.175,5.67,0.32],
+  [379,0.0783,67.166,5.68,1.05],
+  [10155,2.1771,19.5,5.68,1.64,"15 Ari"],
+  [16290,3.4997,-78.352,5.68,0.93],
+  [17309,3.7053,19.7,5.68,-0.02,"13 Tau"],
+  [22699,4.8799,42.587,5.68,0.12],
+  [25028,5.3588,-0.416,5.68,-0.13],
+  [32814,6.8404,13.413,5.68,1.33,"35 Gem"],
+  [32968,6.8667,23.602,5.68,1.47],
+  [34473,7.1451,-70.497,5.68,0.44,"γ1 Vol"],
+  [37174,7.6384,-48.601,5.68,0.68,"y3 Pup"],
+  [41861,8.5347,-53.212,5.68,0.58],
+  [44001,8.9598,15.581,5.68,0.21,"ο2 Cnc"],
+  [47187,9.6167,-25.297,5.68,1.12],
+  [49220,10.0469,21.949,5.68,-0.18],
+  [57741,11.8409,-62.649,5.68,0.23],
+  [60795,12.4598,55.713,5.68,1.58,"73 UMa"],
+  [60957,12.4953,20.896,5.68,0.09,"20 Com"],
+  [61658,12.6396,1.855,5.68,1.59,"FW Vir"],
+  [67231,13.7766,54.433,5.68,-0.04,"84 UMa"],
+  [72154,14.7584,0.717,5.68,-0.02,"108 Vir"],
+  [72488,14.8219,-24.252,5.68,1.27],
+  [72524,14.8281,48.721,5.68,0.5,"39 Boo"],
+  [74896,15.3068,20.573,5.68,0.97],
+  [84691,17.3135,28.823,5.68,0.98],
+  [85930,17.5609,16.318,5.68,1],
+  [87314,17.8412,-53.612,5.68,-0.1,"υ1 Ara"],
+  [91883,18.731,31.927,5.68,0.36],
+  [92747,18.9,-21.36,5.68,1.21,"33 Sgr"],
+  [97634,19.8437,40.6,5.68,-0.06,"V0380 Cyg"],
+  [98375,19.9863,23.101,5.68,0.34,"14 Vul"],
+  [100754,20.4279,21.41,5.68,0.92],
+  [101899,20.6499,30.334,5.68,1.09],
+  [102155,20.699,41.717,5.68,-0.11],
+  [103312,20.9305,47.418,5.68,0.41],
+  [105497,21.3668,49.389,5.68,1.1],
+  [112542,22.7952,-14.056,5.68,-0.02,"τ1 Aqr"],
+  [113657,23.0188,-50.95,5.68,1.41],
+  [114210,23.1293,49.296,5.68,0.45,"5 And"],
+  [114365,23.1623,59.333,5.68,0.32,"2 Cas"],
+  [114449,23.1785,17.594,5.68,1.33],
+  [116495,23.6065,2.102,5.68,0.45,"16 Psc"],
+  [2548,0.5399,6.955,5.69,-0.01,"51 Psc"],
+  [4675,1.001,44.713,5.69,-0.01],
+  [7251,1.5571,58.327,5.69,1.44],
+  [7463,1.6024,-29.907,5.69,0.34,"τ Scl"],
+  [9021,1.9359,37.252,5.69,1.06,"56 And"],
+  [13942,2.9934,-25.274,5.69,0.43,"ζ For"],
+  [19968,4.2815,61.85,5.69,-0.12],
+  [25223,5.3951,-0.16,5.69,-0.21],
+  [25492,5.4523,30.209,5.69,0.17],
+  [31137,6.5329,-58.754,5.69,-0.06,"μ Pic"],
+  [33827,7.0226,70.808,5.69,1.34],
+  [34579,7.162,-25.231,5.69,-0.16,"LZ CMa"],
+  [37036,7.6114,-19.702,5.69,-0.17,"PT Pup"],
+  [37043,7.6122,-48.83,5.69,-0.04,"y2 Pup"],
+  [38427,7.8719,-14.846,5.69,0.37,"10 Pup"],
+  [54255,11.0993,-27.288,5.69,-0.07,"χ2 Hya"],
+  [59831,12.2688,40.66,5.69,1.59,"2 CVn"],
+  [65198,13.3616,2.087,5.69,0.04],
+  [65593,13.4489,-41.498,5.69,1.48],
+  [66065,13.5433,-28.693,5.69,0.04],
+  [68815,14.0889,-76.797,5.69,1.24,"θ Aps"],
+  [79072,16.1411,8.534,5.69,1.57,"47 Ser"],
+  [83254,17.0161,22.632,5.69,1.33],
+  [84950,17.3626,53.42,5.69,1.46],
+  [85147,17.4003,-62.864,5.69,-0.15],
+  [86011,17.5785,-32.582,5.69,0.04,"V1036 Sco"],
+  [87158,17.8069,20.565,5.69,0.94],
+  [88122,17.9989,45.501,5.69,1.56],
+  [90662,18.4989,-47.221,5.69,1.26],
+  [92136,18.7787,-10.125,5.69,0.58],
+  [92937,18.935,18.105,5.69,1.09],
+  [93393,19.0215,26.291,5.69,-0.09],
+  [98633,20.0329,-13.637,5.69,0.08,"63 Sgr"],
+  [100357,20.3532,63.98,5.69,1.56],
+  [101882,20.6456,13.315,5.69,1.51,"θ Del"],
+  [103675,21.0077,19.33,5.69,1.59],
+  [104148,21.1003,-30.125,5.69,1.05,"δ Mic"],
+  [107253,21.7238,38.284,5.69,-0.01,"79 Cyg"],
+  [108060,21.8937,19.668,5.69,0.01],
+  [109056,22.093,28.964,5.69,-0.05,"23 Peg"],
+  [194,0.0416,8.486,5.7,0.32,"c Psc"],
+  [522,0.1053,-49.075,5.7,0.52],
+  [3717,0.7953,-18.061,5.7,1.3],
+  [5833,1.247,-0.974,5.7,0.43,"38 Cet"],
+  [7921,1.6967,-60.789,5.7,1.26],
+  [7941,1.7008,-36.832,5.7,-0.01],
+  [8714,1.8693,50.793,5.7,-0.07,"2 Per"],
+  [9222,1.976,49.204,5.7,1,"3 Per"],
+  [15619,3.3519,3.676,5.7,0.96,"97 Cet"],
+  [18262,3.9064,-40.357,5.7,0.6],
+  [19511,4.1799,-8.82,5.7,1.06],
+  [28302,5.9815,12.808,5.7,0.87],
+  [29151,6.1494,2.5,5.7,0.07],
+  [29860,6.2878,5.1,5.7,0.61],
+  [31771,6.6443,39.391,5.7,1.37,"51 Aur"],
+  [31870,6.6619,-30.471,5.7,1.13],
+  [35487,7.3245,-16.395,5.7,0.35,"R CMa"],
+  [36348,7.481,48.184,5.7,-0.09],
+  [38438,7.8749,-54.367,5.7,-0.15,"V0372 Car"],
+  [43026,8.7674,-2.049,5.7,1.1],
+  [43797,8.9199,-54.966,5.7,0.48],
+  [49339,10.0725,-24.285,5.7,0.3],
+  [49934,10.1962,-58.06,5.7,-0.12,"QY Car"],
+  [53699,10.9872,-33.738,5.7,0.37],
+  [54487,11.147,24.659,5.7,0.08,"67 Leo"],
+  [61571,12.6162,17.09,5.7,1.44,"25 Com"],
+  [62703,12.8494,-52.787,5.7,0.13],
+  [64053,13.1273,-53.46,5.7,-0.06],
+  [66320,13.592,-5.396,5.7,0.95,"80 Vir"],
+  [67848,13.8975,53.729,5.7,-0.03,"86 UMa"],
+  [71974,14.7204,-24.998,5.7,0.01,"4 Lib"],
+  [74380,15.1994,-48.744,5.7,0.14,"κ2 Lup"],
+  [78868,16.0988,-72.401,5.7,1.17],
+  [85157,17.4018,22.96,5.7,0.23,"73 Her"],
+  [95690,19.4634,-54.325,5.7,1.41],
+  [95823,19.49,-43.445,5.7,0.21],
+  [97966,19.9105,-8.227,5.7,-0.08,"57 Aql"],
+  [99500,20.193,62.078,5.7,0.53,"68 Dra"],
+  [99841,20.2566,33.729,5.7,0.93],
+  [103389,20.9465,-26.296,5.7,0.51],
+  [105652,21.3997,24.274,5.7,0.31],
+  [106559,21.5808,-20.084,5.7,0.42,"37 Cap"],
+  [107930,21.867,55.797,5.7,-0.08],
+  [111242,22.5378,76.226,5.7,0.02],
+  [117567,23.8426,-14.402,5.7,1.49],
+  [88,0.0179,-48.81,5.71,0.91,"τ Phe"],
+  [1086,0.2252,41.035,5.71,0.33,"23 And"],
+  [5296,1.1295,-9.786,5.71,0.45,"30 Cet"],
+  [14930,3.2092,-57.322,5.71,2.42,"TW Hor"],
+  [16112,3.4593,-35.681,5.71,1.28,"χ2 For"],
+  [19554,4.189,5.523,5.71,0.36,"45 Tau"],
+  [21278,4.5652,-6.739,5.71,-0.13,"46 Eri"],
+  [22860,4.9186,-16.741,5.71,0.95],
+  [22881,4.9218,-16.418,5.71,0.87,"R Eri"],
+  [23668,5.0878,-26.152,5.71,1.17],
+  [26345,5.6099,-6.065,5.71,-0.21],
+  [28499,6.0163,47.902,5.71,-0.01,"36 Aur"],
+  [29234,6.1633,-22.774,5.71,0.45],
+  [31564,6.6063,-18.66,5.71,0.85,"ν1 CMa"],
+  [35005,7.2424,12.116,5.71,1.01],
+  [40990,8.3652,-17.586,5.71,1.05],
+  [41816,8.5251,24.081,5.71,0.33,"υ1 Cnc"],
+  [43148,8.7886,-46.155,5.71,0.55],
+  [48613,9.9142,-50.244,5.71,0.01],
+  [49363,10.0768,53.892,5.71,0.51],
+  [51933,10.609,-12.23,5.71,0.53],
+  [54522,11.1553,36.309,5.71,1.4,"CO UMa"],
+  [56620,11.6097,-33.57,5.71,1.02],
+  [59923,12.2918,28.937,5.71,0.16],
+  [60610,12.4227,-35.186,5.71,-0.07,"x2 Cen"],
+  [62541,12.8151,14.123,5.71,0.02,"29 Com"],
+  [62732,12.855,-60.33,5.71,0.34,"DS Cru"],
+  [67787,13.8869,17.933,5.71,0.84,"7 Boo"],
+  [73536,15.0303,-0.14,5.71,1.51,"2 Ser"],
+  [75665,15.4592,-64.531,5.71,1.65,"LX TrA"],
+  [77336,15.7881,14.115,5.71,0.09,"υ Ser"],
+  [88964,18.1594,3.993,5.71,0.36,"73 Oph"],
+  [90096,18.3867,-12.015,5.71,0.01],
+  [90497,18.4663,6.194,5.71,-0.03],
+  [90842,18.5323,-43.507,5.71,1.32],
+  [92294,18.8105,-65.078,5.71,0.27,"θ Pav"],
+  [95557,19.4364,-15.053,5.71,0.01],
+  [96258,19.5722,51.237,5.71,0.47,"NSV 24 820"],
+  [98085,19.9337,16.635,5.71,0.9,"10 Sge"],
+  [100221,20.3269,62.258,5.71,-0.04,"71 Dra"],
+  [105761,21.4203,-9.749,5.71,0.21,"19 Aqr"],
+  [108102,21.9029,-4.276,5.71,1.19],
+  [1982,0.4184,53.047,5.72,-0.06],
+  [2353,0.5007,-3.957,5.72,1.54,"12 Cet"],
+  [3277,0.6962,-56.501,5.72,0.13,"ξ Phe"],
+  [10328,2.2176,15.28,5.72,1.55,"19 Ari"],
+  [12072,2.5941,37.312,5.72,1.39],
+  [12530,2.6872,-0.696,5.72,0.51,"84 Cet"],
+  [15411,3.3114,-18.56,5.72,0.38],
+  [16168,3.4724,33.808,5.72,0.05],
+  [17534,3.7544,-47.359,5.72,0.96],
+  [19983,4.2856,57.86,5.72,1.11],
+  [20400,4.3676,14.077,5.72,0.32,"60 Tau"],
+  [20842,4.4669,21.62,5.72,0.27],
+  [22086,4.7512,-21.283,5.72,1.48],
+  [27316,5.787,14.488,5.72,0.08,"131 Tau"],
+  [28909,6.1026,-66.04,5.72,-0.02,"η1 Dor"],
+  [29294,6.1763,-27.154,5.72,1.07],
+  [31637,6.6205,-36.991,5.72,-0.11],
+  [32740,6.8281,32.607,5.72,1.3,"IS Gem"],
+  [35029,7.2461,-46.85,5.72,-0.11,"PR Pup"],
+  [42146,8.5912,-7.982,5.72,0,"3 Hya"],
+  [43644,8.8896,61.962,5.72,0.3,"b UMa"],
+  [43923,8.9472,45.632,5.72,1.13],
+  [45158,9.1996,-19.748,5.72,0.98],
+  [46457,9.4748,8.188,5.72,1.04,"3 Leo"],
+  [47594,9.7041,69.237,5.72,1.13],
+  [48287,9.845,-46.934,5.72,1.08],
+  [48561,9.9049,-45.283,5.72,-0.11],
+  [59309,12.1676,5.807,5.72,0.35,"11 Vir"],
+  [59746,12.2524,70.2,5.72,1.18],
+  [66417,13.6164,24.613,5.72,1.59],
+  [69763,14.2774,-66.588,5.72,-0.1],
+  [72012,14.729,40.459,5.72,1.4],
+  [73166,14.9532,16.388,5.72,0.95],
+  [73184,14.9578,-21.416,5.72,1.02,"KX Lib"],
+  [75260,15.3773,63.341,5.72,1.31],
+  [75352,15.3978,-12.37,5.72,1.04],
+  [78970,16.1212,-36.756,5.72,0.3],
+  [79666,16.258,18.808,5.72,1.13,"16 Her"],
+  [85470,17.466,-52.297,5.72,1.17],
+  [85888,17.552,41.243,5.72,1.09],
+  [88298,18.0318,-22.78,5.72,-0.03],
+  [88636,18.0971,32.231,5.72,1.18],
+  [95485,19.4227,-13.897,5.72,1.37],
+  [109831,22.2457,42.954,5.72,0.01],
+  [111362,22.5613,56.625,5.72,0.97],
+  [111974,22.6813,14.549,5.72,0.72],
+  [113184,22.9197,-4.988,5.72,0.88],
+  [113307,22.9466,-47.969,5.72,0.23,"τ3 Gru"],
+  [118114,23.9591,-82.17,5.72,1.05,"γ2 Oct"],
+  [4200,0.8939,-62.871,5.73,1.57,"BQ Tuc"],
+  [12871,2.7576,-63.705,5.73,0.93,"γ Hor"],
+  [20579,4.4081,34.131,5.73,-0.05,"55 Per"],
+  [21819,4.6888,28.615,5.73,0.02],
+  [25194,5.39,-39.678,5.73,1.63,"SW Col"],
+  [26966,5.7227,-18.558,5.73,-0.01],
+  [31190,6.5442,-32.03,5.73,-0.18],
+  [33715,7.0044,16.079,5.73,1.64,"41 Gem"],
+  [37322,7.6622,-38.139,5.73,-0.13,"d2 Pup"],
+  [40023,8.1742,25.507,5.73,0.82,"ψ Cnc"],
+  [40772,8.3214,62.507,5.73,0.89,"57 Cam"],
+  [44923,9.1512,-18.328,5.73,0],
+  [47189,9.6174,16.438,5.73,1.22,"8 Leo"],
+  [50786,10.3696,41.23,5.73,0.53],
+  [53377,10.9162,34.035,5.73,1.03,"47 LMi"],
+  [55797,11.4325,55.85,5.73,0.99],
+  [57029,11.6928,31.746,5.73,0.44,"62 UMa"],
+  [57670,11.8283,34.932,5.73,0.47],
+  [60329,12.37,-68.307,5.73,1.04,"ζ1 Mus"],
+  [66400,13.6135,-26.495,5.73,0.22],
+  [66727,13.6779,19.956,5.73,0.02,"1 Boo"],
+  [67664,13.8632,-69.401,5.73,1.7],
+  [77986,15.9252,42.566,5.73,-0.1,"4 Her"],
+  [78661,16.0587,76.794,5.73,0.05,"18 UMi"],
+  [82422,16.8442,29.806,5.73,1.63,"50 Her"],
+  [83535,17.0735,-57.712,5.73,-0.1],
+  [86731,17.7227,24.328,5.73,0.68,"84 Her"],
+  [91973,18.7467,37.595,5.73,0.28,"ζ2 Lyr"],
+  [93552,19.0549,-38.253,5.73,0.33,"V0701 CrA"],
+  [95656,19.4572,52.32,5.73,0,"7 Cyg"],
+  [98754,20.0583,16.031,5.73,-0.1,"14 Sge"],
+  [98767,20.0604,29.897,5.73,0.75],
+  [99825,20.2548,-27.033,5.73,0.88],
+  [100859,20.4506,49.383,5.73,0.34,"43 Cyg"],
+  [104978,21.2627,-53.263,5.73,0.19],
+  [106654,21.603,-26.172,5.73,0.23,"8 PsA"],
+  [107162,21.7064,41.077,5.73,0.06,"77 Cyg"],
+  [111546,22.5979,39.634,5.73,-0.16,"8 Lac"],
+  [113222,22.929,36.351,5.73,-0.05],
+  [117088,23.7367,-64.404,5.73,1.39],
+  [1354,0.2825,61.533,5.74,0.9],
+  [3765,0.8064,5.281,5.74,0.89],
+  [12002,2.5785,-7.859,5.74,1.39,"77 Cet"],
+  [12122,2.6026,-30.045,5.74,1.02,"ι1 For"],
+  [12640,2.7061,20.012,5.74,-0.02,"Koleon"],
+  [14677,3.1602,29.077,5.74,0.12,"55 Ari"],
+  [16142,3.4669,-11.287,5.74,1.1],
+  [17342,3.7119,59.969,5.74,1.74],
+  [20825,4.4628,-62.521,5.74,1],
+  [23474,5.0458,-22.795,5.74,1.19,"1 Lep"],
+  [26344,5.6098,54.429,5.74,1.67],
+  [28984,6.116,-21.812,5.74,1.58],
+  [30840,6.4776,-32.371,5.74,-0.16,"IY CMa"],
+  [32810,6.8398,-31.706,5.74,0.09,"HZ CMa"],
+  [33277,6.9219,25.376,5.74,0.57,"37 Gem"],
+  [34387,7.1304,7.471,5.74,1.18],
+  [35643,7.3549,45.228,5.74,0.34],
+  [38783,7.9385,-60.526,5.74,1.55],
+  [41299,8.4265,2.102,5.74,1.53],
+  [42923,8.7478,-37.147,5.74,-0.14],
+  [44504,9.0668,54.284,5.74,0.03],
+  [45962,9.3733,-46.047,5.74,0.9],
+  [46813,9.539,-19.4,5.74,0.14],
+  [50448,10.3006,65.108,5.74,0.16,"32 UMa"],
+  [52338,10.6967,68.444,5.74,1.31],
+  [52487,10.7309,-64.249,5.74,0.01],
+  [54829,11.2252,-59.619,5.74,-0.11],
+  [56080,11.495,15.413,5.74,1.37,"85 Leo"],
+  [61212,12.5433,-13.859,5.74,0.38],
+  [65595,13.4491,78.644,5.74,0.77],
+  [66666,13.6666,-49.95,5.74,1.5,"V0744 Cen"],
+  [67942,13.9136,-67.652,5.74,1.49],
+  [71111,14.5419,55.398,5.74,1.53],
+  [71280,14.5777,49.368,5.74,1.56,"CH Boo"],
+  [71453,14.6123,-40.212,5.74,-0.11],
+  [71568,14.6368,43.642,5.74,1.48],
+  [72250,14.7747,-47.441,5.74,0.07],
+  [74750,15.2769,-60.904,5.74,-0.06],
+  [75974,15.5155,64.209,5.74,0.98],
+  [77645,15.8519,-55.056,5.74,0.02,"V0360 Nor"],
+  [78279,15.9828,-65.038,5.74,-0.07],
+  [79349,16.1939,23.495,5.74,1.52,"10 Her"],
+  [81734,16.6951,1.181,5.74,0.34,"14 Oph"],
+  [82110,16.7726,-58.504,5.74,-0.1],
+  [83196,17.0026,-24.989,5.74,0.41,"26 Oph"],
+  [84769,17.327,80.136,5.74,1.5],
+  [86313,17.636,-10.926,5.74,1.23],
+  [88038,17.9821,-36.858,5.74,0.92],
+  [88136,18.0026,80.004,5.74,0.52,"41 Dra"],
+  [88684,18.1042,-4.751,5.74,0.97],
+  [90664,18.4991,-57.523,5.74,0.99],
+  [90991,18.5608,-14.854,5.74,0.04],
+  [91315,18.626,62.527,5.74,-0.04],
+  [98332,19.9781,-69.164,5.74,0.22],
+  [106886,21.6493,57.489,5.74,0.2],
+  [108165,21.9148,56.611,5.74,0.66,"13 Cep"],
+  [109209,22.1246,19.476,5.74,0.33],
+  [117125,23.7447,-78.791,5.74,1.11],
+  [117314,23.7878,-11.911,5.74,1.07],
+  [7276,1.5619,-7.025,5.75,0.64],
+  [7916,1.6958,-11.325,5.75,0.44],
+  [10718,2.3,57.9,5.75,1.18,"8 Per"],
+  [14060,3.0195,-7.663,5.75,1.04,"Aludhi"],
+  [19525,4.1831,33.587,5.75,1.41],
+  [22936,4.9353,52.87,5.75,0.1],
+  [24426,5.2413,-35.977,5.75,1.01],
+  [26019,5.5521,-35.139,5.75,1.08],
+  [29225,6.1622,23.113,5.75,0.19,"3 Gem"],
+  [30827,6.4761,30.493,5.75,0.78,"48 Aur"],
+  [31940,6.6747,77.996,5.75,1.49],
+  [32617,6.8053,-1.319,5.75,0.29],
+  [32698,6.8212,-2.272,5.75,-0.1],
+  [33024,6.8804,8.38,5.75,0.27],
+  [34360,7.1229,-23.841,5.75,-0.12,"FV CMa"],
+  [34722,7.1897,26.857,5.75,0.13,"47 Gem"],
+  [35152,7.2659,27.897,5.75,1.6,"53 Gem"],
+  [36396,7.4895,-10.327,5.75,1.62],
+  [41515,8.4665,-35.114,5.75,-0.15,"XY Pyx"],
+  [43798,8.9201,-18.241,5.75,1.33],
+  [46657,9.5128,-31.889,5.75,0.07,"ζ1 Ant"],
+  [48982,9.9934,29.645,5.75,1.06],
+  [54840,11.2276,-53.232,5.75,1.31],
+  [59229,12.1483,-44.326,5.75,0.24,"V0788 Cen"],
+  [62894,12.8894,-60.328,5.75,0.29],
+  [63024,12.9157,47.197,5.75,1.45,"TU CVn"],
+  [65466,13.4185,23.854,5.75,0.09],
+  [74066,15.1367,-40.584,5.75,-0.11,"HR Lup"],
+  [74239,15.1718,-26.333,5.75,1.04],
+  [74582,15.2387,-70.079,5.75,3.27,"X TrA"],
+  [79005,16.1268,-12.745,5.75,0.02,"11 Sco"],
+  [80375,16.407,55.205,5.75,0,"DQ Dra"],
+  [85185,17.4088,16.301,5.75,0.07],
+  [86782,17.7331,53.802,5.75,0.02,"Alruba"],
+  [97473,19.8117,11.816,5.75,0.55,"π Aql"],
+  [98478,20.0064,-66.949,5.75,1.03,"μ1 Pav"],
+  [102092,20.6899,-31.598,5.75,1.55],
+  [102208,20.7098,82.531,5.75,0,"76 Dra"],
+  [104364,21.1424,-63.928,5.75,1.18],
+  [104516,21.171,53.563,5.75,-0.11],
+  [105282,21.3247,49.51,5.75,-0.12],
+  [106003,21.469,32.225,5.75,0.33],
+  [109023,22.0865,26.674,5.75,1.25],
+  [110023,22.2851,-5.387,5.75,0.88,"44 Aqr"],
+  [110103,22.3035,62.804,5.75,1.26,"25 Cep"],
+  [115537,23.4037,-51.891,5.75,1.61],
+  [115755,23.4521,42.912,5.75,-0.01,"13 And"],
+  [7751,1.6632,-56.196,5.76,0.88,"p Eri"],
+  [8993,1.9308,23.577,5.76,1.19,"7 Ari"],
+  [12692,2.7175,55.106,5.76,-0.11,"11 Per"],
+  [13654,2.9301,18.332,5.76,1.45,"45 Ari"],
+  [16285,3.4987,-42.634,5.76,0.2],
+  [16511,3.5433,9.373,5.76,-0.07,"t Tau"],
+  [17579,3.7651,24.555,5.76,-0.04,"Asterope"],
+  [18212,3.8941,48.651,5.76,1.04],
+  [20268,4.3448,6.131,5.76,0.91],
+  [21192,4.5438,-3.209,5.76,-0.12,"DZ Eri"],
+  [22325,4.809,-16.329,5.76,0.54,"59 Eri"],
+  [26219,5.5876,-33.08,5.76,1.12],
+  [29433,6.2004,19.791,5.76,-0.07,"68 Ori"],
+  [30069,6.328,-34.397,5.76,-0.08],
+  [30591,6.4288,-48.177,5.76,-0.06,"G Pup"],
+  [30836,6.4771,-17.466,5.76,1.12],
+  [31737,6.6397,28.984,5.76,0,"53 Aur"],
+  [37329,7.6633,-38.261,5.76,-0.07,"d3 Pup"],
+  [38474,7.88,-5.428,5.76,0.41],
+  [42090,8.5789,36.42,5.76,0.05,"33 Lyn"],
+  [44936,9.1532,-12.358,5.76,0.94],
+  [51561,10.5326,-45.067,5.76,-0.19,"s Vel"],
+  [56445,11.5728,3.06,5.76,0.48,"89 Leo"],
+  [61379,12.5784,-44.673,5.76,0.68],
+  [62576,12.8215,27.552,5.76,0.05,"30 Com"],
+  [64445,13.2091,11.556,5.76,1.5],
+  [65144,13.3494,-46.88,5.76,1.11],
+  [65420,13.4092,-5.164,5.76,0.41,"66 Vir"],
+  [68276,13.9775,21.696,5.76,0,"10 Boo"],
+  [72378,14.7993,-26.646,5.76,-0.01,"57 Hya"],
+  [72487,14.8219,46.116,5.76,0.48,"Merga"],
+  [74184,15.1583,-67.084,5.76,0.68],
+  [76568,15.6378,46.798,5.76,0.35],
+  [78045,15.935,-60.483,5.76,0.09],
+  [80054,16.3403,-55.14,5.76,0.97],
+  [80898,16.5204,22.195,5.76,1.6],
+  [83367,17.0385,25.506,5.76,1.02],
+  [84690,17.3133,-44.13,5.76,-0.05],
+  [85068,17.3853,-56.526,5.76,0.99],
+  [85169,17.4052,-60.674,5.76,-0.07],
+  [86254,17.6253,24.31,5.76,0.11,"79 Her"],
+  [87836,17.945,-28.065,5.76,0.21],
+  [89968,18.3564,-18.86,5.76,0.67,"Y Sgr"],
+  [90762,18.5179,16.929,5.76,0.05],
+  [91322,18.6267,-0.309,5.76,0.07,"e Ser"],
+  [91854,18.727,-64.551,5.76,0.97],
+  [95572,19.44,13.024,5.76,0.46],
+  [96141,19.5483,-53.186,5.76,0.3],
+  [97816,19.8771,-54.971,5.76,0.92],
+  [97928,19.9023,-8.574,5.76,1.66,"56 Aql"],
+  [100097,20.3069,55.397,5.76,0.12],
+  [101427,20.5549,-80.965,5.76,1.12],
+  [103673,21.006,-51.265,5.76,0.48],
+  [105696,21.4069,-41.007,5.76,-0.04,"θ2 Mic"],
+  [109620,22.2062,63.291,5.76,1.65],
+  [110602,22.4075,-13.529,5.76,0.97,"50 Aqr"],
+  [110785,22.4437,4.394,5.76,0.52,"34 Peg"],
+  [111196,22.5271,-85.967,5.76,1.02,"υ Oct"],
+  [113503,22.9866,11.729,5.76,0.29,"52 Peg"],
+  [117756,23.8807,-8.997,5.76,1.17,"h Aqr"],
+  [1191,0.2485,-9.57,5.77,-0.08],
+  [2006,0.4234,1.94,5.77,0.85,"44 Psc"],
+  [5361,1.1426,58.263,5.77,-0.02],
+  [20591,4.4104,33.96,5.77,0.4,"56 Per"],
+  [22336,4.8101,-5.674,5.77,0.63],
+  [25583,5.4671,17.239,5.77,1.63,"117 Tau"],
+  [25751,5.4985,1.789,5.77,-0.19],
+  [32809,6.8394,-17.085,5.77,1.44],
+  [34888,7.2187,-11.251,5.77,1.51],
+  [35941,7.4093,27.638,5.77,0.37,"59 Gem"],
+  [37369,7.6707,38.344,5.77,1.65],
+  [38994,7.9807,-60.825,5.77,-0.08,"V0374 Car"],
+  [40155,8.2,-46.644,5.77,0.63,"AH Vel"],
+  [40344,8.237,-35.49,5.77,1.02],
+  [46225,9.4242,-61.95,5.77,0.14],
+  [47013,9.5815,72.206,5.77,0.53,"22 UMa"],
+  [50027,10.2134,4.615,5.77,1.18,"19 Sex"],
+  [52452,10.7225,4.748,5.77,1.17,"35 Sex"],
+  [54811,11.2207,-44.372,5.77,1.66],
+  [56078,11.4941,-24.464,5.77,0.07],
+  [59607,12.2236,-38.929,5.77,-0.14],
+  [64692,13.2589,40.855,5.77,0.2,"19 CVn"],
+  [67663,13.8631,-46.899,5.77,-0.15],
+  [68390,14,-25.01,5.77,0.48,"48 Hya"],
+  [74006,15.1239,-49.089,5.77,0.92],
+  [76376,15.5992,54.631,5.77,0.05],
+  [81300,16.606,-2.325,5.77,0.83,"12 Oph"],
+  [81641,16.6774,4.22,5.77,0,"37 Her"],
+  [85139,17.3993,8.853,5.77,1.25],
+  [87558,17.8873,6.101,5.77,0.42],
+  [90804,18.5238,-10.796,5.77,0.38],
+  [104185,21.1084,31.185,5.77,0.55,"DT Cyg"],
+  [106393,21.5491,49.978,5.77,-0.04],
+  [106897,21.6503,20.265,5.77,0.31,"NZ Peg"],
+  [114775,23.2496,-41.105,5.77,1.16],
+  [115280,23.3481,38.182,5.77,0.47,"12 And"],
+  [117491,23.8243,1.076,5.77,0.17,"21 Psc"],
+  [117628,23.8559,9.313,5.77,1.66,"80 Peg"],
+  [343,0.0722,-16.529,5.78,1.08],
+  [1074,0.2221,-84.994,5.78,1.71],
+  [2876,0.6076,60.326,5.78,0.29],
+  [8046,1.7222,60.551,5.78,-0.01,"44 Cas"],
+  [8433,1.8115,32.69,5.78,0.57],
+  [8778,1.8811,-16.929,5.78,0.26,"BK Cet"],
+  [12186,2.6163,-34.578,5.78,0.65,"λ2 For"],
+  [12803,2.7425,15.312,5.78,-0.02,"ο Ari"],
+  [14893,3.204,27.257,5.78,-0.11,"56 Ari"],
+  [15876,3.4083,33.536,5.78,0],
+  [18081,3.8649,34.359,5.78,-0.04],
+  [20297,4.3495,-81.58,5.78,0.36,"ν Men"],
+  [21148,4.5338,53.911,5.78,0.12,"1 Cam"],
+  [21588,4.636,16.033,5.78,0.31,"89 Tau"],
+  [22024,4.7348,-8.504,5.78,-0.08,"56 Eri"],
+  [25041,5.3621,8.429,5.78,-0.11],
+  [25397,5.4333,-19.695,5.78,0.44],
+  [27280,5.7811,9.522,5.78,0.89],
+  [29388,6.1935,48.711,5.78,0.1,"41 Aur"],
+  [29451,6.2056,32.693,5.78,1.65],
+  [30463,6.4038,-60.281,5.78,0],
+  [31446,6.5877,0.89,5.78,0],
+  [32851,6.8472,-0.541,5.78,0.4],
+  [33914,7.0382,15.336,5.78,1.14],
+  [34215,7.0942,9.186,5.78,1.51],
+  [35120,7.261,7.978,5.78,1.54],
+  [36362,7.4847,-31.456,5.78,-0.18],
+  [36848,7.5763,-27.012,5.78,1.04],
+  [37223,7.6455,-36.497,5.78,-0.15,"e Pup"],
+  [38160,7.8203,-60.284,5.78,0.43],
+  [38210,7.8281,-66.196,5.78,-0.04],
+  [39221,8.0224,59.047,5.78,0.42],
+  [43669,8.8968,-60.354,5.78,-0.09],
+  [45122,9.1926,-46.584,5.78,-0.22],
+  [50078,10.2244,-51.756,5.78,0.14],
+  [58952,12.0875,76.906,5.78,1.03,"Tonatiuh"],
+  [60969,12.4984,-56.525,5.78,1.57],
+  [61498,12.6003,-39.87,5.78,0],
+  [64332,13.1858,-42.233,5.78,0.52],
+  [72208,14.7683,15.132,5.78,1.33,"EK Boo"],
+  [72934,14.9064,-11.898,5.78,0.98,"ξ1 Lib"],
+  [77562,15.8353,-53.21,5.78,-0.08],
+  [77990,15.9257,-60.178,5.78,0.35],
+  [78142,15.9559,-36.185,5.78,1.09],
+  [79497,16.223,-55.541,5.78,0.36,"ζ Nor"],
+  [82775,16.9163,-41.151,5.78,0.13],
+  [85699,17.5132,86.968,5.78,0.24,"24 UMi"],
+  [86552,17.6878,-46.922,5.78,0],
+  [87393,17.8599,-60.164,5.78,1.01],
+  [91405,18.6419,-23.505,5.78,-0.02],
+  [93845,19.1107,24.251,5.78,0.1],
+  [101475,20.5652,46.694,5.78,-0.14,"V2015 Cyg"],
+  [103226,20.9133,-17.923,5.78,1.12,"19 Cap"],
+  [105928,21.4541,-21.196,5.78,1.44,"35 Cap"],
+  [107887,21.8595,19.827,5.78,-0.1],
+  [109471,22.1771,11.624,5.78,1.62],
+  [110668,22.4196,-70.432,5.78,0.4],
+  [117887,23.913,0.109,5.78,1.47,"XZ Psc"],
+  [1657,0.346,32.911,5.79,1.59],
+  [7118,1.5287,-30.283,5.79,1.07],
+  [10540,2.2628,25.783,5.79,0.44,"20 Ari"],
+  [12114,2.6014,6.887,5.79,0.92],
+  [12444,2.6701,-9.453,5.79,0.52],
+  [15192,3.2633,57.141,5.79,0.64],
+  [16591,3.5597,39.9,5.79,0.14,"IW Per"],
+  [17585,3.7669,67.202,5.79,0.35],
+  [21253,4.5594,-62.824,5.79,1.03],
+  [22913,4.9306,15.04,5.79,-0.09],
+  [23068,4.9635,23.949,5.79,1.11,"99 Tau"],
+  [23088,4.9693,25.05,5.79,0.02,"k Tau"],
+  [26169,5.5791,-73.741,5.79,1.72,"WX Men"],
+  [27549,5.8341,9.871,5.79,0.88],
+  [28899,6.1015,-29.759,5.79,0.04],
+  [30011,6.3164,-20.926,5.79,-0.15],
+  [31992,6.6848,0.495,5.79,-0.09],
+  [35998,7.419,-13.752,5.79,0.43],
+  [36024,7.4237,-25.218,5.79,-0.1],
+  [36251,7.4644,-11.557,5.79,0.58],
+  [37508,7.6977,13.48,5.79,1.67],
+  [42177,8.5978,-50.97,5.79,-0.13,"E Vel"],
+  [43012,8.7653,-79.504,5.79,1.59],
+  [43603,8.88,-38.724,5.79,1.51],
+  [45743,9.3259,-15.835,5.79,1.28],
+  [45915,9.362,56.699,5.79,1.51,"CG UMa"],
+  [48339,9.8534,-59.426,5.79,1.35],
+  [51420,10.5018,38.925,5.79,0.09,"32 LMi"],
+  [52478,10.7287,57.199,5.79,-0.04,"39 UMa"],
+  [54561,11.1648,-32.367,5.79,0.03],
+  [54863,11.2338,8.061,5.79,1.13],
+  [60463,12.3958,-38.911,5.79,-0.06],
+  [63414,12.9943,-3.812,5.79,0.2,"k Vir"],
+  [64179,13.1535,10.023,5.79,1.02],
+  [66681,13.6696,-64.577,5.79,0.4],
+  [76532,15.63,-23.142,5.79,1.07],
+  [78649,16.0554,36.632,5.79,0.59],
+  [80672,16.4707,-37.18,5.79,1.1],
+  [83150,16.9928,-69.268,5.79,-0.1,"MX TrA"],
+  [88817,18.1304,26.097,5.79,0.13,"100 Her"],
+  [91118,18.5868,18.203,5.79,0.01],
+  [94434,19.2205,-25.907,5.79,1.39],
+  [95793,19.4836,1.95,5.79,0.09,"c Aql"],
+  [97985,19.9134,36.996,5.79,0.77],
+  [102026,20.6757,-16.124,5.79,1],
+  [106592,21.5882,-3.983,5.79,1.11],
+  [108758,22.0307,52.882,5.79,-0.11],
+  [109240,22.1306,21.703,5.79,-0.08,"25 Peg"],
+  [110578,22.4019,-4.837,5.79,-0.03,"51 Aqr"],
+  [110992,22.4862,26.763,5.79,1.25],
+  [113048,22.8945,44.749,5.79,0.28],
+  [113902,23.0666,-41.479,5.79,1.07],
+  [171,0.0362,27.082,5.8,0.69,"85 Peg"],
+  [418,0.085,61.314,5.8,-0.07,"V0567 Cas"],
+  [3583,0.7627,-47.552,5.8,0.64],
+  [4267,0.9098,19.188,5.8,-0.02,"66 Psc"],
+  [5550,1.1862,37.724,5.8,-0.1,"45 And"],
+  [12239,2.6267,65.745,5.8,1.56],
+  [13055,2.7966,81.448,5.8,1.3],
+  [13834,2.9681,20.669,5.8,0.41,"47 Ari"],
+  [18217,3.8954,57.975,5.8,0.18],
+  [19571,4.1934,-20.356,5.8,0.17],
+  [23916,5.1389,-8.665,5.8,-0.06],
+  [25708,5.4899,-3.446,5.8,1.15],
+  [28855,6.0909,-35.514,5.8,0.03],
+  [33248,6.9174,-20.405,5.8,0.05,"17 CMa"],
+  [34339,7.1186,-40.893,5.8,-0.16,"D Pup"],
+  [34975,7.2363,-3.902,5.8,1.58],
+  [35785,7.3811,55.281,5.8,-0.08,"19 Lyn"],
+  [35984,7.4159,51.887,5.8,1.61],
+  [37710,7.736,-36.063,5.8,0.32],
+  [38848,7.9498,15.79,5.8,1.28,"1 Cnc"],
+  [40866,8.3392,20.748,5.8,1.14],
+  [42028,8.5671,-2.152,5.8,0.01],
+  [44075,8.9789,-16.133,5.8,0.52],
+  [44256,9.0127,-60.964,5.8,1.21],
+  [47498,9.6839,-57.26,5.8,1.08],
+  [47943,9.7695,6.709,5.8,1.64],
+  [49764,10.1584,-68.683,5.8,0.01],
+  [50493,10.3105,-56.11,5.8,0.48],
+  [52980,10.8383,-8.898,5.8,0.16,"41 Sex"],
+  [55716,11.4164,11.43,5.8,1.38],
+  [55849,11.4465,-53.16,5.8,0.52],
+  [56601,11.605,27.781,5.8,0.25],
+  [59920,12.2916,53.191,5.8,1.33],
+  [72210,14.7685,-23.153,5.8,0.98],
+  [72552,14.8329,28.616,5.8,0.05],
+  [76878,15.6985,18.464,5.8,0.21,"τ7 Ser"],
+  [79757,16.2791,29.15,5.8,0.06,"υ CrB"],
+  [85998,17.5769,9.587,5.8,0.04,"f Oph"],
+  [92367,18.8243,-45.81,5.8,0.89],
+  [98512,20.0134,-45.113,5.8,0.29],
+  [98819,20.0684,17.07,5.8,0.6,"15 Sge"],
+  [109332,22.1497,-18.52,5.8,-0.15,"35 Aqr"],
+  [110009,22.2813,-9.04,5.8,1.16],
+  [111660,22.6203,75.372,5.8,1.59],
+  [113031,22.8913,-11.617,5.8,-0.08,"74 Aqr"],
+  [5494,1.1721,25.458,5.81,1.47],
+  [10871,2.3317,-55.945,5.81,1.57],
+  [11090,2.3806,41.396,5.81,0.29],
+  [12148,2.6097,7.73,5.81,1.04],
+  [14187,3.0489,-46.975,5.81,1.3],
+  [16368,3.5144,-66.49,5.81,-0.06],
+  [17798,3.8099,-20.903,5.81,1.6],
+  [20465,4.3849,-24.892,5.81,1.51],
+  [24732,5.3037,73.268,5.81,-0.02],
+  [26545,5.6454,-40.707,5.81,-0.08],
+  [28287,5.9771,-44.035,5.81,1.06],
+  [32402,6.7649,-52.41,5.81,1.55],
+  [35202,7.2755,-38.319,5.81,-0.13],
+  [50384,10.2874,23.106,5.81,0.5,"39 Leo"],
+  [53762,10.9998,-43.807,5.81,-0.06],
+  [64927,13.3077,34.098,5.81,1.37],
+  [65247,13.3712,-52.183,5.81,0.07],
+  [66563,13.645,-29.561,5.81,0.43],
+  [67143,13.7602,-26.116,5.81,0.02],
+  [77738,15.8713,55.827,5.81,0.97],
+  [86620,17.6995,72.157,5.81,0.53,"Dsiban"],
+  [89609,18.2866,-17.374,5.81,1.57],
+  [90342,18.433,29.829,5.81,0.07],
+  [95222,19.3727,-0.252,5.81,1.09],
+  [99026,20.1038,53.166,5.81,0.45],
+  [99663,20.2243,60.641,5.81,1.48],
+  [105413,21.3513,7.354,5.81,1.66,"9 Equ"],
+  [114167,23.1208,-50.687,5.81,0.49],
+  [115191,23.3312,42.078,5.81,1.51,"10 And"],
+  [116582,23.6256,44.429,5.81,-0.06],
+  [118281,23.9915,33.724,5.81,0.54],
+  [7078,1.5205,70.265,5.82,0.49,"38 Cas"],
+  [13835,2.9683,-23.606,5.82,1.33,"6 Eri"],
+  [16340,3.5103,48.104,5.82,-0.03],
+  [16846,3.6131,0.588,5.82,0.89,"V0711 Tau"],
+  [17891,3.8268,63.297,5.82,0.19],
+  [22573,4.8578,-34.906,5.82,0.1],
+  [28992,6.1177,-34.312,5.82,-0.14],
+  [30703,6.4511,-58.002,5.82,1.28],
+  [31072,6.5203,-35.259,5.82,0.81],
+  [31173,6.5409,32.455,5.82,0.19,"WW Aur"],
+  [38159,7.8202,-46.858,5.82,-0.14,"QS Pup"],
+  [41621,8.4854,-44.16,5.82,-0.16],
+  [55581,11.3856,-56.779,5.82,0],
+  [59728,12.2499,-20.844,5.82,1.05],
+  [60584,12.4176,56.778,5.82,1.62,"71 UMa"],
+  [64822,13.2872,-43.98,5.82,0.19],
+  [65536,13.4356,72.391,5.82,1.65],
+  [68079,13.9388,-46.593,5.82,1.14],
+  [74096,15.1432,25.109,5.82,1.23],
+  [75944,15.5112,-16.61,5.82,1.06,"34 Lib"],
+  [76207,15.5671,-40.066,5.82,1.7],
+  [76569,15.6379,-21.016,5.82,1.08],
+  [78442,16.0142,4.427,5.82,1],
+  [85207,17.4117,-21.442,5.82,0.94],
+  [87812,17.9384,0.67,5.82,0.06,"V2052 Oph"],
+  [91532,18.6668,-7.791,5.82,1.54],
+  [91974,18.7471,-25.011,5.82,0.03],
+  [92027,18.7579,5.5,5.82,0.04],
+  [92488,18.8496,-9.774,5.82,0.59],
+  [93580,19.059,1.819,5.82,0.18],
+  [95785,19.4825,24.769,5.82,1.02,"8 Vul"],
+  [100276,20.3393,17.793,5.82,1.5],
+  [111600,22.6098,-31.664,5.82,1.07],
+  [112590,22.8031,37.417,5.82,1.02],
+  [113084,22.9019,40.377,5.82,1.14],
+  [116250,23.5554,-77.385,5.82,0.68],
+  [3299,0.701,66.148,5.83,1.04],
+  [5021,1.0721,61.58,5.83,0.57],
+  [8544,1.8357,22.275,5.83,0.74,"1 Ari"],
+  [13108,2.8089,18.284,5.83,1.22,"40 Ari"],
+  [26396,5.6191,26.924,5.83,-0.07],
+  [29379,6.1923,24.42,5.83,1.11,"5 Gem"],
+  [29575,6.2317,-3.741,5.83,0.91],
+  [29629,6.2435,-4.569,5.83,-0.15],
+  [35749,7.3737,-5.983,5.83,0.35],
+  [36812,7.5711,3.372,5.83,-0.02,"δ3 CMi"],
+  [39380,8.0512,-32.464,5.83,1.23],
+  [40077,8.1863,-48.462,5.83,-0.15],
+  [45559,9.2855,-14.574,5.83,1.05],
+  [45675,9.3118,-51.561,5.83,0.47,"LR Vel"],
+  [48748,9.9432,-33.419,5.83,1.2],
+  [56035,11.4846,61.778,5.83,0.38],
+  [58181,11.9329,56.599,5.83,1.1,"66 UMa"],
+  [62512,12.811,60.32,5.83,0.47],
+  [67861,13.8992,-47.128,5.83,-0.05,"V0767 Cen"],
+  [70663,14.4534,-46.134,5.83,0.31],
+  [71573,14.6376,54.023,5.83,0.01],
+  [73566,15.0351,-28.061,5.83,0.16,"60 Hya"],
+  [80351,16.403,6.948,5.83,0.02,"o Her"],
+  [81289,16.6031,46.613,5.83,1.04],
+  [81472,16.6406,-43.398,5.83,-0.05,"V1003 Sco"],
+  [85379,17.4456,48.26,5.83,0.12,"x Her"],
+  [85760,17.5243,-80.859,5.83,1.62,"NO Aps"],
+  [88818,18.1304,26.101,5.83,0.16,"100 Her"],
+  [97376,19.791,38.408,5.83,-0.09],
+  [100069,20.3019,40.732,5.83,0.07],
+  [103359,20.9404,50.729,5.83,0.34],
+  [103810,21.0358,56.67,5.83,-0.06],
+  [104680,21.2038,-40.269,5.83,0.45,"NSV 25 506"],
+  [105164,21.3031,-4.519,5.83,-0.13,"15 Aqr"],
+  [108875,22.0553,11.387,5.83,-0.05,"21 Peg"],
+  [110787,22.4451,78.786,5.83,0.17,"28 Cep"],
+  [114382,23.1659,-42.861,5.83,0.47],
+  [840,0.1719,-5.249,5.84,0.97],
+  [873,0.1786,-12.58,5.84,1],
+  [6502,1.3919,-30.946,5.84,1.61],
+  [9132,1.9622,27.804,5.84,1.58],
+  [10035,2.1526,-43.517,5.84,1.2],
+  [11840,2.5479,34.542,5.84,1.08],
+  [12288,2.6385,-30.194,5.84,0.48,"ι2 For"],
+  [14110,3.0323,-9.961,5.84,1.09],
+  [15305,3.2907,-47.752,5.84,1.23],
+  [19454,4.1671,86.626,5.84,0.39],
+  [22407,4.822,32.588,5.84,0.25],
+  [23148,4.9808,-82.471,5.84,0.93,"ξ Men"],
+  [23883,5.1321,21.705,5.84,0.17,"105 Tau"],
+  [34758,7.1949,-20.883,5.84,-0.04],
+  [35025,7.245,24.885,5.84,1.55,"52 Gem"],
+  [36721,7.5527,-24.711,5.84,0.16],
+  [50336,10.2783,25.371,5.84,1.21],
+  [52139,10.6521,37.91,5.84,0.59,"38 LMi"],
+  [56606,11.6062,-61.052,5.84,-0.1],
+  [61916,12.6897,-46.146,5.84,1.48],
+  [63143,12.9382,54.099,5.84,0.2],
+  [64587,13.2381,-78.448,5.84,1.04],
+  [64623,13.2454,-48.957,5.84,1.06],
+  [69829,14.2912,15.263,5.84,1.68,"101 Boo"],
+  [71002,14.5212,-67.717,5.84,1.01],
+  [74539,15.2315,-26.194,5.84,1.14],
+  [76594,15.6428,50.423,5.84,0.85],
+  [78168,15.9612,-20.983,5.84,0.01],
+  [81741,16.696,-33.146,5.84,0.65],
+  [82716,16.9075,-42.479,5.84,0.63],
+  [85889,17.5521,-41.173,5.84,0.04],
+  [87472,17.8722,-34.417,5.84,1.13],
+  [88670,18.1021,-8.324,5.84,0.18],
+  [91461,18.654,-47.91,5.84,0.23],
+  [92822,18.9131,48.859,5.84,0.45],
+  [95188,19.3641,-18.308,5.84,1.06,"ρ2 Sgr"],
+  [95582,19.4413,19.892,5.84,1.56],
+  [95732,19.4724,2.93,5.84,0],
+  [99572,20.2072,-12.617,5.84,0.48,"ξ Cap"],
+  [106062,21.4833,22.179,5.84,1.37,"NV Peg"],
+  [108226,21.9253,65.321,5.84,-0.04],
+  [111810,22.6479,19.522,5.84,0.92,"40 Peg"],
+  [112417,22.7695,44.546,5.84,0.36],
+  [12686,2.7165,53.526,5.85,1.13],
+  [18606,3.9812,-5.47,5.85,1],
+  [20271,4.3452,-7.593,5.85,-0.12,"d Eri"],
+  [21604,4.6377,20.685,5.85,-0.02,"HU Tau"],
+  [33377,6.9422,46.274,5.85,-0.08,"ψ9 Aur"],
+  [34819,7.2073,24.129,5.85,0.4,"48 Gem"],
+  [44406,9.0458,7.298,5.85,1.1],
+  [45314,9.2356,-44.146,5.85,-0.11],
+  [45386,9.2492,-37.602,5.85,0.83,"k1 Vel"],
+  [48734,9.9405,8.933,5.85,1.13],
+  [52922,10.8235,-59.324,5.85,0.01],
+  [52948,10.8287,-9.853,5.85,1.07],
+  [57841,11.8616,-30.835,5.85,0.55],
+  [59608,12.2239,10.262,5.85,0.26,"12 Vir"],
+  [66798,13.6916,64.822,5.85,0.07],
+  [72959,14.9105,-33.301,5.85,1.43],
+  [74100,15.1442,-42.868,5.85,-0.12],
+  [76509,15.6256,54.509,5.85,1.1],
+  [77370,15.7939,55.377,5.85,0.25],
+  [91438,18.6482,-21.052,5.85,0.67],
+  [94336,19.2014,49.856,5.85,0.67],
+  [95352,19.399,43.388,5.85,0.92],
+  [111643,22.6163,-40.591,5.85,0.06,"σ2 Gru"],
+  [113622,23.0119,3.012,5.85,1.34],
+  [114641,23.224,11.065,5.85,1],
+  [117722,23.875,-14.251,5.85,1.25],
+  [1372,0.2858,47.947,5.86,-0.08],
+  [3750,0.8025,72.674,5.86,1.01],
+  [8387,1.803,16.956,5.86,-0.04,"4 Ari"],
+  [10326,2.2169,-21,5.86,1.01],
+  [13339,2.8616,46.842,5.86,0.9],
+  [16989,3.6415,-7.392,5.86,0.98],
+  [20341,4.3575,-0.098,5.86,1.32],
+  [21972,4.7227,49.974,5.86,0.01],
+  [23475,5.0459,-4.21,5.86,1.21],
+  [25488,5.4515,-40.944,5.86,0.24],
+  [25887,5.5267,-45.925,5.86,1.35],
+  [29616,6.2413,17.906,5.86,0.25],
+  [31039,6.5131,58.163,5.86,0.93,"6 Lyn"],
+  [33937,7.0426,16.674,5.86,1.66],
+  [35347,7.3012,-43.987,5.86,-0.12,"M Pup"],
+  [36399,7.4905,-7.551,5.86,0.49],
+  [38712,7.9254,8.863,5.86,0.37],
+  [40357,8.24,-45.834,5.86,-0.18],
+  [43370,8.834,-29.463,5.86,0.95],
+  [45585,9.291,-74.735,5.86,-0.02],
+  [46618,9.5062,-15.577,5.86,1.19],
+  [46736,9.5258,-35.715,5.86,1.29],
+  [48893,9.973,72.879,5.86,1.16],
+  [49893,10.1869,37.402,5.86,1.28],
+  [53778,11.0032,-14.083,5.86,1.5],
+  [61420,12.5856,21.881,5.86,1.24],
+  [61720,12.651,-30.422,5.86,1.21],
+  [69929,14.3106,-18.716,5.86,0.01,"CS Vir"],
+  [71182,14.5583,-52.679,5.86,1.08],
+  [71184,14.559,-54.999,5.86,0.48],
+  [72567,14.8377,23.912,5.86,0.58,"HP Boo"],
+  [77052,15.7338,2.515,5.86,0.68,"ψ Ser"],
+  [77541,15.8326,-48.912,5.86,0.07],
+  [79098,16.1455,-23.685,5.86,0.02],
+  [79320,16.1883,-41.12,5.86,0.27],
+  [82172,16.7888,42.239,5.86,1.5,"V0636 Her"],
+  [82621,16.8903,-20.416,5.86,0.69],
+  [85049,17.382,-58.01,5.86,1.07],
+  [88101,17.9935,-4.821,5.86,1.56],
+  [89099,18.1849,-41.359,5.86,0.29],
+  [89115,18.1877,-75.891,5.86,1.25],
+  [89234,18.2095,-73.672,5.86,0.46],
+  [94157,19.166,-41.892,5.86,-0.08],
+  [97081,19.7292,41.773,5.86,1.6],
+  [100062,20.3004,-21.81,5.86,1,"4 Cap"],
+  [100738,20.4241,-28.663,5.86,1.1],
+  [102772,20.8216,-25.781,5.86,-0.07],
+  [112997,22.884,16.841,5.86,1.13,"IM Peg"],
+  [116380,23.5831,71.642,5.86,1.68],
+  [117503,23.828,36.425,5.86,0.81,"OU And"],
+  [207,0.0434,66.099,5.87,1.07],
+  [5926,1.27,71.744,5.87,2.04,"V0762 Cas"],
+  [6226,1.3301,-0.509,5.87,0.64,"42 Cet"],
+  [9572,2.0496,-15.306,5.87,0.97],
+  [20804,4.458,11.212,5.87,0.05],
+  [26487,5.6336,7.541,5.87,-0.06],
+  [27533,5.8315,-22.972,5.87,0.06],
+  [28011,5.925,-4.617,5.87,1.17],
+  [30666,6.4443,-1.507,5.87,0.07],
+  [31665,6.6273,56.858,5.87,0.01,"11 Lyn"],
+  [32753,6.8305,16.203,5.87,-0.14,"33 Gem"],
+  [35341,7.3006,40.883,5.87,0.18,"64 Aur"],
+  [35626,7.3512,-25.892,5.87,1.6,"MZ CMa"],
+  [36444,7.4999,-52.651,5.87,1.01],
+  [37915,7.7696,-37.934,5.87,-0.11,"V0392 Pup"],
+  [39184,8.0139,-54.151,5.87,-0.13],
+  [39191,8.0155,25.393,5.87,1.02,"ω Cnc"],
+  [46652,9.512,33.656,5.87,1.03,"7 LMi"],
+  [52841,10.8039,-31.688,5.87,0.03],
+  [55763,11.4259,-37.748,5.87,1.5],
+  [62360,12.7795,-33.316,5.87,1.33],
+  [62641,12.8363,37.517,5.87,0.17,"DT CVn"],
+  [67836,13.8953,-53.373,5.87,0.01],
+  [69965,14.3169,-25.815,5.87,0.52],
+  [70657,14.452,-65.822,5.87,1.5],
+  [77909,15.911,-25.244,5.87,-0.07,"3 Sco"],
+  [84248,17.2216,-67.197,5.87,1.07],
+  [86219,17.6191,72.456,5.87,1.02],
+  [86847,17.745,-42.729,5.87,0.16],
+  [90637,18.4933,23.866,5.87,-0.1],
+  [98416,19.9965,-9.958,5.87,0.6],
+  [99889,20.2668,45.58,5.87,0.45],
+  [100574,20.3957,37.476,5.87,-0.17],
+  [102891,20.8449,-12.545,5.87,1.07],
+  [105412,21.3512,-4.56,5.87,0.91,"16 Aqr"],
+  [109730,22.2274,28.608,5.87,1.17],
+  [1493,0.3106,31.517,5.88,-0.01],
+  [2475,0.5238,33.582,5.88,1.13],
+  [3093,0.6561,21.25,5.88,0.85,"54 Psc"],
+  [4346,0.9284,-7.347,5.88,1.52],
+  [7601,1.6321,-82.975,5.88,0.62],
+  [11348,2.4334,-15.341,5.88,0.12,"AB Cet"],
+  [11670,2.509,25.235,5.88,0.41],
+  [14086,3.0271,-28.092,5.88,0.79,"ε For"],
+  [19129,4.1009,68.68,5.88,1.54],
+  [20020,4.2945,-63.255,5.88,-0.06,"θ Ret"],
+  [21323,4.5772,28.961,5.88,-0.05],
+  [24203,5.1959,1.037,5.88,0.66],
+  [26865,5.7039,-22.374,5.88,0.08,"12 Lep"],
+  [28854,6.0908,-10.243,5.88,0.37],
+  [29679,6.2523,-20.272,5.88,1.32],
+  [29852,6.286,-37.254,5.88,0.14],
+  [30545,6.4213,-0.946,5.88,0.56],
+  [30972,6.5008,46.686,5.88,1.45,"47 Aur"],
+  [31159,6.5387,4.856,5.88,1,"12 Mon"],
+  [31946,6.6756,71.749,5.88,1.22],
+  [32226,6.7274,3.933,5.88,-0.05],
+  [33415,6.9489,46.705,5.88,1.09],
+  [40305,8.2306,56.452,5.88,1.02],
+  [41074,8.3805,-26.348,5.88,0.38],
+  [41935,8.5486,38.016,5.88,1.11],
+  [44024,8.9654,-48.573,5.88,1.06],
+  [46620,9.5065,-58.362,5.88,1.68,"V0482 Car"],
+  [50685,10.3509,68.748,5.88,0.24,"EN UMa"],
+  [53723,10.9919,-16.354,5.88,1.6],
+  [55086,11.2783,49.476,5.88,1.1],
+  [61181,12.5361,-73.001,5.88,1.08],
+  [61558,12.6132,-5.832,5.88,0.07,"f Vir"],
+  [62402,12.7886,62.781,5.88,0.21],
+  [65323,13.3886,-4.924,5.88,1.43,"65 Vir"],
+  [65550,13.4379,46.028,5.88,0.98],
+  [67194,13.7704,41.089,5.88,0.21],
+  [71353,14.5921,-41.517,5.88,-0.09],
+  [73310,14.9816,-11.144,5.88,1.27,"18 Lib"],
+  [73493,15.0203,-38.058,5.88,1.25],
+  [74296,15.1858,-84.788,5.88,-0.03,"ω Oct"],
+  [74901,15.3073,-0.461,5.88,1.51],
+  [83176,16.9994,-25.092,5.88,1.61],
+  [87460,17.8705,-34.799,5.88,-0.11,"V0957 Sco"],
+  [90915,18.5462,23.617,5.88,1.49],
+  [90930,18.5487,-73.966,5.88,0.99],
+  [94013,19.1405,52.426,5.88,1.09,"V1762 Cyg"],
+  [94630,19.2569,30.526,5.88,1.67],
+  [97783,19.87,-19.045,5.88,0.98,"57 Sgr"],
+  [98609,20.0291,24.8,5.88,-0.13],
+  [104171,21.1065,71.432,5.88,0.39],
+  [107232,21.7179,-14.4,5.88,0.26,"44 Cap"],
+  [109972,22.274,57.22,5.88,0.95],
+  [111259,22.5407,39.78,5.88,0.17],
+  [111394,22.5675,-1.574,5.88,0.98,"60 Aqr"],
+  [111934,22.6729,-30.659,5.88,1.3],
+  [114366,23.1624,-28.089,5.88,1.31],
+  [1630,0.3401,30.936,5.89,-0.1],
+  [2903,0.6131,15.232,5.89,-0.15,"53 Psc"],
+  [3170,0.6738,-59.455,5.89,0.56],
+  [9001,1.9318,37.278,5.89,1.6],
+  [9307,1.9932,21.059,5.89,1.03],
+  [9353,2.0025,3.097,5.89,0.61,"112 Psc"],
+  [11033,2.3681,-17.662,5.89,1.23],
+  [11381,2.4431,-20.043,5.89,1.25],
+  [11548,2.4801,29.932,5.89,0.59,"13 Tri"],
+  [13121,2.8128,25.188,5.89,-0.03,"VZ Ari"],
+  [13949,2.9944,41.033,5.89,1.45],
+  [14502,3.1219,64.058,5.89,-0.02],
+  [18735,4.0135,18.194,5.89,0.32],
+  [19284,4.1332,17.34,5.89,1.5],
+  [24162,5.1887,-2.491,5.89,0.46],
+  [28139,5.9471,11.521,5.89,1.11],
+  [28271,5.9735,1.837,5.89,0.22,"59 Ori"],
+  [37031,7.6096,5.862,5.89,0.6],
+  [37752,7.7428,-37.943,5.89,-0.12],
+  [38267,7.84,-50.51,5.89,1.09],
+  [40875,8.3406,57.743,5.89,0.42,"30 Lyn"],
+  [41081,8.382,-52.124,5.89,0.02],
+  [41676,8.4962,67.297,5.89,0.97],
+  [42008,8.5621,4.757,5.89,1.07],
+  [43121,8.7822,12.11,5.89,0.12,"A2 Cnc"],
+  [44283,9.019,-68.684,5.89,1.63],
+  [44307,9.0234,32.252,5.89,0.09,"66 Cnc"],
+  [50860,10.3851,33.908,5.89,0.15,"27 LMi"],
+  [52043,10.6341,-57.256,5.89,-0.13,"V0514 Car"],
+  [54537,11.1607,43.208,5.89,1.56],
+  [56287,11.5389,-66.962,5.89,1.14],
+  [58103,11.9167,-63.279,5.89,0.21],
+  [58720,12.0438,-69.192,5.89,-0.08],
+  [58858,12.0713,21.459,5.89,0.25,"2 Com"],
+  [62931,12.8969,-60.376,5.89,0.2,"κ Cru"],
+  [63033,12.9163,-44.152,5.89,0.63],
+  [65241,13.3694,5.155,5.89,0.11,"64 Vir"],
+  [67605,13.8526,34.664,5.89,1.64],
+  [69493,14.228,-0.846,5.89,0.49],
+  [72432,14.8106,-36.635,5.89,1.37,"V0768 Cen"],
+  [75565,15.4374,-68.309,5.89,1],
+  [77442,15.8096,28.157,5.89,0.61,"Variabilis Coronae"],
+  [79357,16.1966,42.375,5.89,1.46],
+  [80212,16.3747,-43.912,5.89,1.12],
+  [81710,16.6898,-68.296,5.89,-0.08,"η1 TrA"],
+  [84500,17.2755,1.21,5.89,0.02,"38 Oph"],
+  [86248,17.6243,-50.06,5.89,1.11],
+  [88469,18.0646,-24.361,5.89,0.03,"9 Sgr"],
+  [92117,18.7746,-0.962,5.89,0.13,"5 Aql"],
+  [92312,18.8148,19.329,5.89,0.02],
+  [93104,18.9672,38.266,5.89,-0.09],
+  [93574,19.0582,-68.755,5.89,0.55],
+  [96016,19.5227,26.617,5.89,0.92],
+  [96234,19.569,-40.035,5.89,0.1,"V4089 Sgr"],
+  [96620,19.6448,54.974,5.89,0.48,"V1143 Cyg"],
+  [97229,19.7611,7.613,5.89,0.18,"υ Aql"],
+  [101084,20.4909,56.068,5.89,-0.05],
+  [101843,20.6385,-81.289,5.89,1.69],
+  [103460,20.9613,-16.032,5.89,0.18],
+  [105269,21.3228,38.237,5.89,0.51,"V1334 Cyg"],
+  [112833,22.8508,85.374,5.89,1.34],
+  [114745,23.2436,74.231,5.89,-0.01],
+  [116853,23.6858,-11.681,5.89,0.98],
+  [116918,23.6991,7.25,5.89,0.1],
+  [330,0.0705,62.288,5.9,0.27,"9 Cas"],
+  [3193,0.6784,-4.352,5.9,1.09],
+  [3456,0.7367,-38.422,5.9,1.14,"λ2 Scl"],
+  [3834,0.8205,-24.137,5.9,0.94],
+  [7321,1.5713,37.237,5.9,-0.07,"KK And"],
+  [7359,1.5803,18.46,5.9,1.54],
+  [11102,2.3819,-51.092,5.9,0.21],
+  [19076,4.089,22.009,5.9,0.62,"A2 Tau"],
+  [20873,4.4732,14.741,5.9,0.33,"76 Tau"],
+  [24294,5.2134,-6.057,5.9,0.96],
+  [27973,5.9164,31.701,5.9,0.14],
+  [28343,5.9894,49.925,5.9,1.19],
+  [28823,6.0843,42.982,5.9,0.36,"39 Aur"],
+  [33372,6.9405,9.957,5.9,-0.09],
+  [34982,7.2376,-9.947,5.9,1.53],
+  [35476,7.3229,2.741,5.9,1.07],
+  [36143,7.4451,-34.141,5.9,-0.15],
+  [36640,7.5349,-8.881,5.9,0.54],
+  [37995,7.7868,-22.52,5.9,-0.18],
+  [39251,8.0271,-37.284,5.9,0.15],
+  [42614,8.6848,-48.923,5.9,-0.19],
+  [43894,8.9418,40.202,5.9,0.38],
+  [46460,9.4752,-66.702,5.9,0.01],
+  [47544,9.6931,31.278,5.9,1.58],
+  [48519,9.8953,5.959,5.9,1.66],
+  [51556,10.5309,32.38,5.9,0.11,"33 LMi"],
+  [53530,10.9522,-50.765,5.9,0.17,"IW Vel"],
+  [55249,11.3153,1.65,5.9,1.04,"76 Leo"],
+  [57606,11.8108,14.284,5.9,0.3],
+  [60030,12.3112,-0.787,5.9,0.17,"13 Vir"],
+  [64515,13.2232,-50.7,5.9,-0.01],
+  [68092,13.9411,1.051,5.9,0.22,"92 Vir"],
+  [71571,14.6372,18.298,5.9,1.1],
+  [72296,14.7847,-38.291,5.9,1.34],
+  [73087,14.937,14.446,5.9,-0.03],
+  [74386,15.2012,18.976,5.9,1.41,"FL Ser"],
+  [75696,15.4643,60.67,5.9,1.44],
+  [78877,16.1018,-23.606,5.9,-0.07,"V0929 Sco"],
+  [85409,17.4535,-50.63,5.9,0.06],
+  [90485,18.4637,-29.817,5.9,0.52],
+  [97122,19.7384,69.337,5.9,0.07],
+  [98526,20.0164,8.558,5.9,1.53],
+  [101067,20.489,36.455,5.9,0.41,"42 Cyg"],
+  [114407,23.1694,-40.592,5.9,1.56],
+  [8404,1.8072,3.685,5.91,0.97],
+  [10440,2.2422,-41.167,5.91,0.96],
+  [11867,2.552,-34.65,5.91,1.06,"λ1 For"],
+  [12181,2.6159,38.734,5.91,0.5],
+  [14109,3.0317,26.462,5.91,0.14,"49 Ari"],
+  [15514,3.3322,27.071,5.91,0.86,"59 Ari"],
+  [16518,3.5444,35.462,5.91,-0.08],
+  [17595,3.7693,6.803,5.91,0.99],
+  [17618,3.7743,-29.338,5.91,0.11,"σ For"],
+  [17805,3.8108,0.228,5.91,1.22],
+  [20380,4.3644,56.506,5.91,0.11],
+  [20417,4.373,20.821,5.91,1.66],
+  [21452,4.6067,64.262,5.91,-0.01],
+  [23408,5.0307,0.722,5.91,1.27],
+  [29678,6.2524,13.851,5.91,-0.23],
+  [33421,6.9501,33.681,5.91,0.88],
+  [34798,7.2034,-25.943,5.91,-0.17,"26 CMa"],
+  [35509,7.3299,7.143,5.91,0.54],
+  [39995,8.1677,58.248,5.91,1.36],
+  [42172,8.5975,6.62,5.91,0.53],
+  [42452,8.6549,52.712,5.91,1.17],
+  [46482,9.4798,-62.273,5.91,1.1],
+  [46734,9.5256,-31.872,5.91,0.26,"ζ2 Ant"],
+  [49812,10.1688,-8.408,5.91,0.03,"17 Sex"],
+  [50103,10.2294,-40.346,5.91,1.2],
+  [51610,10.5427,-44.618,5.91,0.92],
+  [53257,10.8919,69.854,5.91,1.01],
+  [53423,10.9284,0.737,5.91,0.42,"55 Leo"],
+  [53449,10.9337,6.185,5.91,1.26,"56 Leo"],
+  [59517,12.2061,-62.951,5.91,0.25],
+  [60308,12.366,-56.374,5.91,1.53],
+  [62103,12.7272,-1.577,5.91,0.85],
+  [62861,12.8845,-54.953,5.91,1.31],
+  [64226,13.1633,16.849,5.91,1.45],
+  [64246,13.1676,38.499,5.91,0.29,"17 CVn"],
+  [64466,13.2136,-66.227,5.91,0.05],
+  [64580,13.2367,-58.684,5.91,1.08],
+  [66454,13.6232,-46.428,5.91,-0.11],
+  [66903,13.7109,78.064,5.91,1],
+  [67782,13.8862,28.648,5.91,0.2],
+  [71115,14.5424,22.26,5.91,0.39,"26 Boo"],
+  [72438,14.8124,-66.594,5.91,-0.11,"CO Cir"],
+  [72773,14.8765,-63.81,5.91,0.66,"AX Cir"],
+  [73350,14.9898,4.568,5.91,1.61],
+  [73507,15.0242,60.205,5.91,0.11],
+  [78747,16.0769,-37.863,5.91,0.41],
+  [79596,16.2395,-33.011,5.91,1.02],
+  [82350,16.8263,13.261,5.91,0.01],
+  [82672,16.9001,-57.91,5.91,1.59],
+  [83478,17.0609,13.605,5.91,0.01],
+  [83491,17.0642,-38.153,5.91,0.41,"V0923 Sco"],
+  [84709,17.3159,-34.99,5.91,1.08,"NSV 8 482"],
+  [85048,17.3819,-37.221,5.91,1.07],
+  [87491,17.8765,1.305,5.91,1.57],
+  [92133,18.7786,52.988,5.91,-0.1,"CX Dra"],
+  [92931,18.9335,-23.174,5.91,-0.02],
+  [93179,18.9797,13.907,5.91,0.25,"10 Aql"],
+  [94556,19.2443,-45.194,5.91,0.9],
+  [95038,19.3378,57.645,5.91,1.63],
+  [95456,19.4178,-29.309,5.91,1.28],
+  [97598,19.8372,-47.557,5.91,1.68],
+  [97774,19.8687,47.932,5.91,-0.17],
+  [99531,20.2002,26.479,5.91,-0.11,"20 Vul"],
+  [100017,20.292,66.854,5.91,0.6],
+  [101870,20.6431,23.68,5.91,0.95],
+  [102358,20.7395,56.488,5.91,1.64,"V0414 Cep"],
+  [102487,20.7694,-21.514,5.91,0.07,"17 Cap"],
+  [104105,21.0915,78.126,5.91,-0.07,"77 Dra"],
+  [112778,22.8394,41.953,5.91,0.06,"14 Lac"],
+  [113174,22.9174,37.077,5.91,0.4],
+  [114430,23.1742,43.544,5.91,0.45,"6 And"],
+  [116323,23.5692,-1.248,5.91,0.3,"14 Psc"],
+  [3760,0.8048,7.3,5.92,1.1,"62 Psc"],
+  [4962,1.0603,61.075,5.92,0.51],
+  [6564,1.4057,-6.915,5.92,0.41],
+  [6631,1.4181,-64.37,5.92,1.56],
+  [7016,1.5064,-26.208,5.92,1.33],
+  [8588,1.8478,11.043,5.92,0.3,"54 Cet"],
+  [13225,2.8374,-35.844,5.92,0.9,"η2 For"],
+  [14844,3.1952,81.471,5.92,0.15],
+  [14913,3.2072,-44.42,5.92,0.44],
+  [23446,5.0397,-31.771,5.92,1.17],
+  [25471,5.4469,34.392,5.92,0.14],
+  [26108,5.5678,-1.47,5.92,1.53],
+  [27965,5.9157,19.75,5.92,-0.14,"57 Ori"],
+  [30986,6.5031,-10.082,5.92,1.37],
+  [31037,6.5129,-27.77,5.92,-0.16],
+  [32366,6.7564,-31.794,5.92,0.49],
+  [32463,6.7757,8.587,5.92,-0.17,"16 Mon"],
+  [37364,7.6704,-19.661,5.92,1.16],
+  [40881,8.3423,24.022,5.92,-0.04,"Piautos"],
+  [41080,8.3817,-7.543,5.92,1.64],
+  [42001,8.5607,-38.849,5.92,-0.11],
+  [42265,8.6183,9.656,5.92,0.08,"c Cnc"],
+  [43589,8.8774,-48.359,5.92,-0.15],
+  [45270,9.2262,-47.338,5.92,-0.05],
+  [46897,9.5572,-22.864,5.92,0.02],
+  [52863,10.8113,-1.959,5.92,1.61],
+  [62561,12.8185,83.418,5.92,0.01],
+  [64390,13.1976,-69.942,5.92,0.41],
+  [66247,13.5779,-13.214,5.92,0.02,"y Vir"],
+  [66878,13.7064,82.752,5.92,0.99],
+  [67210,13.772,38.504,5.92,0.95],
+  [67292,13.791,-50.249,5.92,0.28],
+  [68333,13.9882,-50.37,5.92,0.96],
+  [73415,15.0031,-77.161,5.92,1.05],
+  [80991,16.5405,60.823,5.92,0.04],
+  [81729,16.6935,26.917,5.92,0.4,"39 Her"],
+  [98383,19.989,45.773,5.92,0.18],
+  [103360,20.9405,49.196,5.92,1.05],
+  [104968,21.2618,77.012,5.92,1.53],
+  [108195,21.9198,-61.887,5.92,0.39],
+  [110532,22.3923,-7.194,5.92,1],
+  [112067,22.6993,14.516,5.92,1.11],
+  [114921,23.2777,-44.489,5.92,1.05],
+  [636,0.1297,-22.509,5.93,0.14],
+  [2611,0.5529,54.895,5.93,1.04],
+  [5594,1.1954,-2.251,5.93,1.4,"34 Cet"],
+  [13473,2.8929,-38.437,5.93,0.44,"ψ For"],
+  [13479,2.8931,-22.376,5.93,1.04],
+  [14036,3.0123,10.87,5.93,1.59],
+  [15004,3.2233,48.177,5.93,0.97],
+  [15357,3.3007,-28.797,5.93,0.34],
+  [16029,3.4396,-27.317,5.93,0.93],
+  [16358,3.5126,6.189,5.93,0.95],
+  [18199,3.8926,-46.894,5.93,1.22],
+  [18723,4.0113,-30.491,5.93,0.04],
+  [24019,5.1625,28.03,5.93,0.31,"V1156 Tau"],
+  [25790,5.5073,15.36,5.93,0.1],
+  [26762,5.6849,0.338,5.93,0.31],
+  [27249,5.7751,56.116,5.93,0.16,"26 Cam"],
+  [27737,5.8723,-57.156,5.93,0.66],
+  [28790,6.0778,-45.079,5.93,0.49],
+  [29196,6.159,22.19,5.93,1.63],
+  [31448,6.5882,9.988,5.93,1.51],
+  [34017,7.0585,29.337,5.93,0.59],
+  [35304,7.2927,52.131,5.93,1.26],
+  [37046,7.6131,55.755,5.93,1.12],
+  [37140,7.6316,48.774,5.93,0.22],
+  [37428,7.6829,23.018,5.93,1.56],
+  [37949,7.7778,65.456,5.93,1.18,"51 Cam"],
+  [45461,9.2646,72.946,5.93,0.18],
+  [49164,10.0334,-60.421,5.93,0.26],
+  [50885,10.3907,-4.074,5.93,-0.05,"25 Sex"],
+  [50993,10.4165,-58.576,5.93,0.32],
+  [53394,10.9215,-60.517,5.93,1.06,"T Car"],
+  [55874,11.4526,-12.357,5.93,0.49,"κ Crt"],
+  [58158,11.9278,-28.477,5.93,1.5],
+  [63165,12.9421,-72.185,5.93,1.11],
+  [63688,13.0515,-71.476,5.93,0],
+  [68670,14.0574,-56.213,5.93,1.21],
+  [69995,14.3233,-37.003,5.93,0.08],
+  [71759,14.6784,13.534,5.93,0.24],
+  [76424,15.6081,16.119,5.93,0.35,"τ5 Ser"],
+  [77086,15.7396,-41.819,5.93,-0.01],
+  [78542,16.0349,52.916,5.93,1.5],
+  [79120,16.1497,3.454,5.93,1.47],
+  [79137,16.1531,6.379,5.93,0.99],
+  [79953,16.3198,49.038,5.93,1.37],
+  [81523,16.6515,-37.217,5.93,-0.04],
+  [83896,17.1465,-30.404,5.93,0.28],
+  [84731,17.3201,-59.695,5.93,1.39],
+  [85520,17.4775,-55.17,5.93,1.11],
+  [87074,17.7935,-14.726,5.93,0.01],
+  [87813,17.9386,-15.813,5.93,0.02],
+  [90844,18.5325,-1.003,5.93,0.17,"61 Ser"],
+  [91347,18.6318,-21.398,5.93,0.19],
+  [92398,18.8294,32.813,5.93,-0.15,"ν1 Lyr"],
+  [93624,19.066,-51.019,5.93,1.24],
+  [93763,19.0948,-15.66,5.93,-0.01],
+  [94311,19.1961,31.284,5.93,-0.06,"19 Lyr"],
+  [96977,19.7124,32.427,5.93,0.12],
+  [103836,21.0409,-38.531,5.93,1.11],
+  [103956,21.0632,53.286,5.93,1],
+  [105811,21.4297,36.667,5.93,0.03,"69 Cyg"],
+  [109577,22.1976,16.041,5.93,0.95],
+  [112041,22.6933,41.549,5.93,1],
+  [112241,22.7348,39.465,5.93,1.49],
+  [117541,23.8374,-9.974,5.93,1.13],
+  [117761,23.8821,-3.155,5.93,1.07,"24 Psc"],
+  [1096,0.2284,-26.022,5.94,1.55],
+  [2377,0.5055,59.978,5.94,0],
+  [2787,0.5925,-0.506,5.94,0.44,"14 Cet"],
+  [3521,0.7492,-42.677,5.94,0.3],
+  [7643,1.641,-36.528,5.94,1.04],
+  [8423,1.8108,37.953,5.94,0.97],
+  [8593,1.8485,-50.206,5.94,0.15,"BD Phe"],
+  [10234,2.1933,-1.825,5.94,0.97,"63 Cet"],
+  [13367,2.8663,68.888,5.94,0.7,"SU Cas"],
+  [15669,3.3646,49.071,5.94,0.47],
+  [19376,4.1504,13.398,5.94,0.05],
+  [20619,4.4181,-61.238,5.94,1.53],
+  [21247,4.5585,72.529,5.94,0.31],
+  [25291,5.4107,31.143,5.94,0.03],
+  [31676,6.6282,61.481,5.94,0.9,"8 Lyn"],
+  [32938,6.8618,-36.23,5.94,0.18],
+  [34358,7.1229,34.009,5.94,1.51],
+  [34817,7.2072,-36.544,5.94,-0.14,"V0363 Pup"],
+  [36156,7.449,20.258,5.94,0.34,"61 Gem"],
+  [38167,7.8207,-35.243,5.94,-0.05,"V0397 Pup"],
+  [41117,8.3894,18.332,5.94,0.17,"d1 Cnc"],
+  [41578,8.477,14.211,5.94,0.2,"29 Cnc"],
+  [45661,9.3072,35.364,5.94,0.18],
+  [56148,11.5086,43.173,5.94,0.52,"58 UMa"],
+  [56318,11.5465,-7.827,5.94,1.38],
+  [56727,11.6301,-67.62,5.94,1.01],
+  [60157,12.3363,-22.176,5.94,0.82],
+  [70384,14.4002,8.244,5.94,0.07],
+  [77272,15.7763,55.475,5.94,1.4],
+  [82902,16.9413,-52.284,5.94,-0.07],
+  [84105,17.1941,-48.873,5.94,1.79,"V0854 Ara"],
+  [85382,17.4462,34.696,5.94,-0.02],
+  [86266,17.6267,-15.571,5.94,0.36],
+  [87390,17.859,-40.773,5.94,1.57],
+  [88694,18.1066,-36.02,5.94,0.61],
+  [101123,20.4983,-18.583,5.94,0.06,"ο Cap"],
+  [104101,21.0908,5.958,5.94,0.54,"4 Equ"],
+  [107374,21.7481,62.461,5.94,0.31],
+  [108849,22.0511,-76.118,5.94,0.4],
+  [111925,22.6718,53.846,5.94,0.95],
+  [113686,23.0255,-4.712,5.94,0.99],
+  [4903,1.0484,41.345,5.95,0.16,"39 And"],
+  [5661,1.2126,-37.856,5.95,0.28,"AI Scl"],
+  [7447,1.5985,17.434,5.95,0.26],
+  [12821,2.7471,67.825,5.95,0.14],
+  [16664,3.5741,24.464,5.95,0.12,"7 Tau"],
+  [17846,3.8189,43.963,5.95,0.28,"V0376 Per"],
+  [19996,4.2887,-6.472,5.95,1.08],
+  [20241,4.3373,41.808,5.95,0.96],
+  [20892,4.4775,-19.459,5.95,1.22],
+  [21042,4.5112,-35.654,5.95,1],
+  [23261,5.0051,39.395,5.95,0.41,"5 Aur"],
+  [27253,5.7764,1.168,5.95,0.77],
+  [27713,5.8688,-9.042,5.95,0.1],
+  [28085,5.9373,-22.84,5.95,1.11],
+  [31599,6.6129,-13.321,5.95,1.56],
+  [33729,7.0066,-8.407,5.95,-0.07],
+  [35054,7.2492,-41.426,5.95,-0.15],
+  [35127,7.262,-10.584,5.95,1.17],
+  [36345,7.4809,-31.848,5.95,-0.16],
+  [36496,7.5086,-54.399,5.95,1.58],
+  [37478,7.6931,3.625,5.95,-0.03],
+  [40693,8.3067,-12.632,5.95,0.75],
+  [41321,8.431,-64.601,5.95,0.97],
+  [42147,8.5913,-26.843,5.95,0.39],
+  [43899,8.9428,-16.709,5.95,1.54],
+  [44892,9.1465,26.629,5.95,0.65,"75 Cnc"],
+  [44897,9.1475,33.882,5.95,0.58],
+  [46859,9.5488,-13.517,5.95,1.5],
+  [48191,9.8245,-37.187,5.95,1.25],
+  [48527,9.8972,-51.147,5.95,-0.15,"V0335 Vel"],
+  [50319,10.2756,23.503,5.95,0.66,"35 Leo"],
+  [52577,10.7511,67.411,5.95,2.38,"VY UMa"],
+  [53035,10.8515,-3.093,5.95,1.48],
+  [53334,10.9082,-61.827,5.95,1.74],
+  [54049,11.0602,-0.001,5.95,1.22,"p3 Leo"],
+  [56473,11.5785,16.797,5.95,-0.16,"90 Leo"],
+  [56970,11.6785,-53.969,5.95,1.67,"V0914 Cen"],
+  [58460,11.9882,33.167,5.95,1.15],
+  [58921,12.0826,-60.968,5.95,1.69],
+  [59050,12.1064,-65.71,5.95,0.61],
+  [59285,12.1615,1.898,5.95,1.12,"10 Vir"],
+  [60595,12.4199,-11.611,5.95,0.04],
+  [62207,12.7498,39.279,5.95,0.56,"10 CVn"],
+  [64224,13.1626,-10.329,5.95,1.49,"50 Vir"],
+  [68009,13.9275,-82.666,5.95,1.41],
+  [76716,15.6657,-59.908,5.95,0.51],
+  [76877,15.6985,-76.082,5.95,-0.03],
+  [77939,15.9168,-19.383,5.95,-0.01,"47 Lib"],
+  [79797,16.2848,-67.941,5.95,0.16],
+  [82650,16.8951,-43.051,5.95,1.64,"V1068 Sco"],
+  [83235,17.0103,-35.934,5.95,1.16],
+  [84226,17.2163,-32.438,5.95,0.07],
+  [84425,17.26,-38.594,5.95,0.58],
+  [87875,17.9512,0.067,5.95,0.11],
+  [90606,18.4889,-80.233,5.95,1.17],
+  [93862,19.1154,-48.299,5.95,-0.02],
+  [98461,20.0044,-37.702,5.95,0.99],
+  [100501,20.3792,41.026,5.95,1.63],
+  [103545,20.9783,-14.483,5.95,0.24,"DV Aqr"],
+  [111045,22.4961,-27.107,5.95,0.36],
+  [116368,23.5804,-15.246,5.95,1.35],
+  [116714,23.6528,75.293,5.95,0.12],
+  [117265,23.7769,66.782,5.95,-0.05],
+  [117500,23.8276,28.842,5.95,0.19,"79 Peg"],
+  [118092,23.9555,-62.957,5.95,0.1],
+  [1706,0.358,-77.427,5.96,1.4],
+  [8598,1.8492,51.933,5.96,0.42],
+  [9631,2.0634,-0.34,5.96,0.85,"61 Cet"],
+  [10296,2.2104,24.168,5.96,1.37],
+  [15968,3.4267,-69.336,5.96,0.41],
+  [22361,4.814,75.941,5.96,0.28],
+  [24786,5.314,-18.13,5.96,0.57],
+  [26535,5.6439,-6.574,5.96,-0.22],
+  [27560,5.837,4.423,5.96,1.36],
+  [27747,5.8732,19.868,5.96,0.55],
+  [33603,6.9825,3.602,5.96,1.06],
+  [33929,7.0404,17.756,5.96,1.52,"NP Gem"],
+  [34002,7.055,9.138,5.96,0.13],
+  [34349,7.1204,-51.968,5.96,1],
+  [35084,7.2559,-52.499,5.96,1.1],
+  [39527,8.0784,-50.59,5.96,1.21],
+  [39659,8.1051,22.636,5.96,1.65,"9 Cnc"],
+  [40932,8.3534,-57.973,5.96,-0.09],
+  [41328,8.4321,-14.93,5.96,0.17],
+  [42365,8.6386,32.802,5.96,1.11],
+  [43553,8.8699,45.313,5.96,1.23],
+  [43587,8.8766,28.331,5.96,0.87,"Copernicus"],
+  [45590,9.292,46.817,5.96,0.06],
+  [47224,9.6246,-36.096,5.96,1.12],
+  [47401,9.6577,67.272,5.96,1.53],
+  [52127,10.6499,-58.817,5.96,1.69],
+  [56452,11.5749,-32.831,5.96,0.81],
+  [61158,12.5323,-63.506,5.96,0.26],
+  [66427,13.6183,-44.143,5.96,0.94],
+  [66924,13.7153,-41.401,5.96,1.02],
+  [66984,13.7278,-42.068,5.96,-0.07],
+  [68455,14.0146,-66.269,5.96,0.35],
+  [69174,14.1597,-51.505,5.96,-0.05,"V0869 Cen"],
+  [70894,14.4974,0.829,5.96,0.16],
+  [74696,15.2649,-48.074,5.96,0.21],
+  [81966,16.7444,-53.152,5.96,1.23],
+  [89440,18.2536,-20.388,5.96,-0.02,"16 Sgr"],
+  [89448,18.2547,68.756,5.96,1.05,"37 Dra"],
+  [93537,19.0511,-19.246,5.96,1.16],
+  [100256,20.3334,13.548,5.96,0.3],
+  [101082,20.491,81.091,5.96,0.94,"74 Dra"],
+  [103371,20.943,44.925,5.96,0.02],
+  [106642,21.6007,45.375,5.96,1.34,"W Cyg"],
+  [107302,21.7336,-14.749,5.96,0.22,"45 Cap"],
+  [107350,21.742,14.772,5.96,0.59,"HN Peg"],
+  [108505,21.9815,62.698,5.96,1.64],
+  [110179,22.3169,-13.305,5.96,1.07,"45 Aqr"],
+  [115144,23.3234,-18.075,5.96,1.53],
+  [4572,0.9753,66.352,5.97,-0.01],
+  [5510,1.176,2.446,5.97,1.49,"33 Cet"],
+  [5778,1.2355,16.134,5.97,-0.08,"87 Psc"],
+  [6492,1.3903,20.469,5.97,1.68],
+  [7906,1.6942,30.047,5.97,1.01],
+  [9533,2.0431,13.477,5.97,1.58],
+  [13679,2.9372,8.382,5.97,0.48],
+  [14764,3.1774,11.873,5.97,-0.06],
+  [15334,3.296,39.283,5.97,0.06],
+  [17027,3.6503,-5.626,5.97,0.92,"21 Eri"],
+  [18170,3.8861,17.327,5.97,0.35],
+  [20614,4.4159,19.042,5.97,0.38],
+  [21847,4.6973,38.28,5.97,0.59],
+  [22697,4.8798,27.898,5.97,0.37],
+  [23831,5.1236,-12.491,5.97,0.61],
+  [26386,5.6179,11.035,5.97,1.59],
+  [26926,5.715,-6.796,5.97,0.45],
+  [27435,5.8097,-4.095,5.97,0.64],
+  [27588,5.8417,2.025,5.97,0.95],
+  [28110,5.9411,9.509,5.97,-0.04],
+  [29771,6.2688,-16.618,5.97,-0.17],
+  [41250,8.4159,-42.77,5.97,-0.16,"V0438 Pup"],
+  [48802,9.9538,57.418,5.97,0.9],
+  [50480,10.3078,-41.669,5.97,-0.06],
+  [52340,10.6976,-79.783,5.97,-0.07,"DR Cha"],
+  [63533,13.0193,17.123,5.97,0.97,"38 Com"],
+  [65545,13.4365,-1.192,5.97,0.18],
+  [67239,13.7787,25.702,5.97,0.52,"3 Boo"],
+  [67485,13.8293,61.489,5.97,0.97],
+  [73937,15.1092,-30.919,5.97,-0.08,"HZ Lup"],
+  [76311,15.5878,53.922,5.97,1.18],
+  [79938,16.3168,-14.873,5.97,1.48],
+  [84656,17.3065,38.811,5.97,1.01],
+  [86575,17.6923,6.313,5.97,1.27],
+  [86871,17.7489,-57.545,5.97,0.91],
+  [89047,18.1755,54.287,5.97,0.94],
+  [96760,19.6687,-23.429,5.97,1.04],
+  [99171,20.1338,-0.678,5.97,1.02,"64 Aql"],
+  [101986,20.6675,43.459,5.97,1.19],
+  [104752,21.2219,-36.423,5.97,0.97],
+  [105224,21.3145,11.203,5.97,1.61],
+  [105727,21.4138,80.525,5.97,0.95],
+  [106340,21.5374,-33.945,5.97,0.05,"6 PsA"],
+  [108975,22.0769,-26.822,5.97,-0.17,"UU PsA"],
+  [109602,22.2022,24.951,5.97,1.5],
+  [111515,22.5934,-23.991,5.97,0.98],
+  [113801,23.0456,-20.871,5.97,0.95],
+  [114189,23.1246,21.134,5.97,0.26,"V0342 Peg"],
+  [518,0.1044,58.437,5.98,0.69,"V0640 Cas"],
+  [3697,0.7899,6.741,5.98,0.94,"60 Psc"],
+  [6711,1.4385,43.458,5.98,0.52],
+  [7740,1.6613,16.406,5.98,1.12,"105 Psc"],
+  [12562,2.6928,-14.549,5.98,0.43],
+  [15241,3.2764,32.184,5.98,0.99,"V0573 Per"],
+  [16339,3.5103,-47.375,5.98,0.12,"TU Hor"],
+  [16599,3.5608,54.975,5.98,0.11],
+  [21986,4.7263,-8.794,5.98,0.65,"55 Eri"],
+  [22840,4.9141,0.467,5.98,-0.12],
+  [24831,5.3232,-27.369,5.98,-0.02],
+  [26606,5.6551,29.215,5.98,0.14,"V0433 Aur"],
+  [28562,6.0286,48.959,5.98,1.44],
+  [36055,7.4309,-5.775,5.98,0.9],
+  [36236,7.4619,-22.859,5.98,-0.09],
+  [39014,7.9838,-45.216,5.98,-0.14],
+  [41674,8.496,-46.332,5.98,-0.13],
+  [43550,8.8695,42.003,5.98,1.25],
+  [45412,9.254,34.633,5.98,0.84],
+  [49844,10.1771,-41.715,5.98,1.24],
+  [51623,10.5466,-58.667,5.98,0.29],
+  [52827,10.8015,-59.919,5.98,0.27,"V0522 Car"],
+  [57165,11.7242,-37.19,5.98,1.45],
+  [64033,13.1234,-59.861,5.98,0.43],
+  [66907,13.7121,34.989,5.98,0.86],
+  [68498,14.0223,8.895,5.98,0.09],
+  [74224,15.1687,-38.792,5.98,0.87],
+  [74561,15.235,31.788,5.98,1.55],
+  [77412,15.8037,13.789,5.98,1.27],
+  [83216,17.0075,-48.648,5.98,0.88],
+  [83693,17.1056,-37.228,5.98,0.08],
+  [83854,17.1375,-17.609,5.98,1.01],
+  [84402,17.2556,-14.584,5.98,1.1],
+  [85442,17.4604,-29.725,5.98,0.01],
+  [85543,17.4822,-36.778,5.98,1.11],
+  [88550,18.0807,-35.901,5.98,1.16],
+  [89156,18.1959,33.447,5.98,0.04],
+  [93287,19.001,-66.654,5.98,0.98],
+  [95999,19.5197,-68.434,5.98,1.64],
+  [96481,19.6146,11.273,5.98,0.88],
+  [96840,19.6849,13.816,5.98,-0.08,"QS Aql"],
+  [103652,21.0011,7.516,5.98,0.28],
+  [107129,21.7003,35.51,5.98,2.5,"V0460 Cyg"],
+  [109466,22.176,-4.267,5.98,0.98],
+  [111967,22.6803,-57.422,5.98,1.45],
+  [115065,23.3065,41.774,5.98,0.21,"9 And"],
+  [116728,23.6559,74.003,5.98,0.89],
+  [671,0.1382,-8.824,5.99,1.03],
+  [2159,0.4541,-25.547,5.99,1.02],
+  [3352,0.7117,-60.263,5.99,1.32],
+  [4552,0.9706,33.951,5.99,1],
+  [4998,1.0673,52.502,5.99,1.45],
+  [10729,2.3013,57.516,5.99,1.04,"Misam al Thurayya"],
+  [11095,2.3812,-73.646,5.99,1.09,"κ Hyi"],
+  [12608,2.7018,-38.384,5.99,0.92],
+  [18339,3.9211,-12.099,5.99,0.32,"DO Eri"],
+  [22176,4.7713,18.735,5.99,1.22],
+  [22220,4.779,40.313,5.99,0.93],
+  [24575,5.2717,34.312,5.99,0.2,"AE Aur"],
+  [25187,5.3885,-8.416,5.99,-0.04],
+  [25816,5.5135,41.462,5.99,1.11],
+  [26624,5.6587,-3.565,5.99,0.29],
+  [27939,5.9122,0.969,5.99,1.33],
+  [29692,6.2549,-18.477,5.99,1.06],
+  [29711,6.2582,-4.915,5.99,0.1],
+  [31876,6.6633,12.983,5.99,0.06],
+  [34914,7.2233,-22.674,5.99,1.48],
+  [35712,7.3676,0.177,5.99,-0.07],
+  [37345,7.6661,-37.579,5.99,-0.04,"d4 Pup"],
+  [39236,8.0251,16.455,5.99,-0.02,"5 Cnc"],
+  [46101,9.4015,-61.649,5.99,1.06],
+  [47559,9.6966,-55.214,5.99,-0.12],
+  [53272,10.895,-70.72,5.99,-0.02],
+  [53726,10.9924,36.093,5.99,1.59],
+  [55280,11.3212,-64.582,5.99,0.47],
+  [62058,12.7192,-56.176,5.99,-0.07],
+  [62786,12.8658,-39.68,5.99,-0.1],
+  [63494,13.01,-3.369,5.99,1.12,"46 Vir"],
+  [70363,14.3968,-53.176,5.99,1.1],
+  [70987,14.5197,-38.87,5.99,1.06],
+  [75256,15.377,62.047,5.99,-0.03],
+  [81854,16.7184,77.514,5.99,0.43],
+  [81992,16.7501,-28.51,5.99,0.1],
+  [82611,16.8882,47.417,5.99,1.32],
+  [82806,16.9235,-63.27,5.99,0.06],
+  [84431,17.2615,23.743,5.99,1.33],
+  [85751,17.5231,-56.921,5.99,-0.04,"V0862 Ara"],
+  [88012,17.9775,-28.759,5.99,-0.08],
+  [89587,18.2814,-3.007,5.99,0.89],
+  [90052,18.3765,12.03,5.99,0.06],
+  [92391,18.828,-5.913,5.99,1.57],
+  [92833,18.9146,33.969,5.99,0.92],
+  [96895,19.6969,50.525,5.99,0.64,"c Cyg"],
+  [98738,20.0546,18.501,5.99,1.42],
+  [101909,20.6514,15.838,5.99,-0.14],
+  [102162,20.7008,-76.181,5.99,0.45,"μ1 Oct"],
+  [102945,20.8572,-5.627,5.99,0.46,"4 Aqr"],
+  [103219,20.9123,75.926,5.99,0.95],
+  [105574,21.3823,-9.319,5.99,1.52,"17 Aqr"],
+  [112117,22.7102,-47.211,5.99,0.58],
+  [112862,22.8558,-29.536,5.99,0.91,"21 PsA"],
+  [115806,23.4612,25.167,5.99,-0.07,"69 Peg"],
+  [116653,23.64,-76.87,5.99,0.91],
+  [116768,23.6653,9.677,5.99,0.21],
+  [3137,0.6644,-44.796,6,1.14],
+  [9564,2.0479,64.901,6,0.03,"52 Cas"],
+  [10215,2.1895,-10.052,6,0.42],
+  [11687,2.5126,0.256,6,0.17],
+  [11843,2.5484,15.035,6,0.57,"29 Ari"],
+  [20075,4.3045,-20.715,6,1.6],
+  [20493,4.3923,20.982,6,0.03,"V1141 Tau"],
+  [23766,5.1083,61.17,6,1.38],
+  [27265,5.7793,15.822,6,-0.06,"129 Tau"],
+  [29808,6.2766,-39.264,6,0.16],
+  [30318,6.3768,12.57,6,0.32],
+  [34182,7.0884,22.637,6,-0.03,"44 Gem"],
+  [34561,7.1593,-16.235,6,0.04,"OS CMa"],
+  [35611,7.3486,-26.964,6,-0.17,"HQ CMa"],
+  [40183,8.2086,-46.264,6,-0.11],
+  [40889,8.3445,72.407,6,1.54],
+  [43392,8.8392,-42.09,6,-0.11],
+  [50546,10.3241,48.397,6,1.02],
+  [51194,10.457,-65.705,6,0.09],
+  [51200,10.4578,41.601,6,0.17],
+  [59384,12.1833,81.71,6,1.62],
+  [60979,12.4994,-41.736,6,1.51,"V0928 Cen"],
+  [61688,12.6457,-18.25,6,0.31],
+  [62983,12.9052,-11.649,6,0.07],
+  [63340,12.9798,75.472,6,1.03],
+  [63948,13.1059,21.153,6,0.39,"39 Com"],
+  [65129,13.3468,-55.801,6,0.24],
+  [66575,13.6469,-57.623,6,1.14],
+  [66925,13.7156,-56.768,6,-0.1],
+  [67545,13.8402,5.497,6,0.9],
+  [68101,13.9425,-54.705,6,0.78],
+  [71094,14.539,26.677,6,0.23],
+  [72848,14.8899,19.153,6,0.84,"DE Boo"],
+  [76810,15.6831,16.025,6,0.91,"τ6 Ser"],
+  [77678,15.8587,-47.061,6,1.15],
+  [78665,16.0595,-32.001,6,0.47],
+  [83601,17.088,0.703,6,0.58,"V2213 Oph"],
+  [84631,17.3014,17.318,6,0.01],
+  [86561,17.6894,51.818,6,1.07],
+  [87616,17.8985,-34.753,6,-0.06,"V0906 Sco"],
+  [91525,18.6647,52.196,6,-0.07],
+  [93855,19.1145,-16.229,6,-0.03],
+  [96198,19.5616,49.262,6,1.54,"V1743 Cyg"],
+  [97402,19.7968,25.384,6,0.99],
+  [97499,19.8173,-10.871,6,1.23],
+  [105080,21.2873,55.798,6,1.45],
+  [107487,21.7712,-9.276,6,1.63,"47 Cap"],
+  [108612,22.0022,6.717,6,-0.11,"18 Peg"],
+  [110873,22.4628,31.84,6,1.44],
+  [760,0.1556,79.715,6.01,0.2],
+  [3436,0.7306,-12.012,6.01,1.11],
+  [6981,1.498,18.356,6.01,0.16,"97 Psc"],
+  [8475,1.821,47.897,6.01,0.17],
+  [8998,1.9316,1.85,6.01,0.55],
+  [9859,2.1137,25.705,6.01,-0.03,"11 Ari"],
+  [10203,2.1867,25.937,6.01,1.36,"16 Ari"],
+  [16266,3.4942,-6.804,6.01,1.02],
+  [17007,3.6466,-27.943,6.01,-0.03,"τ For"],
+  [21137,4.531,15.852,6.01,0.34,"85 Tau"],
+  [21269,4.5634,9.414,6.01,1.06],
+  [21459,4.6081,23.341,6.01,0.38,"V1116 Tau"],
+  [28930,6.1062,29.512,6.01,1.73,"V0394 Aur"],
+  [31758,6.6432,-16.873,6.01,0.04],
+  [33800,7.0181,-58.94,6.01,0.3],
+  [34055,7.0643,12.594,6.01,1.58],
+  [37394,7.6765,-8.185,6.01,0.15],
+  [39122,8.0041,-48.981,6.01,0.04],
+  [41282,8.4219,-21.046,6.01,0.4],
+  [41597,8.4808,-9.749,6.01,0.43],
+  [43726,8.905,-5.434,6.01,0.66],
+  [46288,9.4395,-1.464,6.01,1.31],
+  [48341,9.8539,-4.243,6.01,0.17,"6 Sex"],
+  [50536,10.3214,-12.528,6.01,0.26],
+  [50635,10.342,54.217,6.01,1.13],
+  [51213,10.4608,9.762,6.01,-0.04,"45 Leo"],
+  [51905,10.6046,-16.344,6.01,1.64,"φ2 Hya"],
+  [54136,11.0753,38.241,6.01,0.17,"51 UMa"],
+  [59364,12.1795,27.282,6.01,0.12],
+  [63490,13.0091,-33.505,6.01,0.39],
+  [63584,13.0297,63.61,6.01,0.43],
+  [64212,13.1607,37.423,6.01,1.17],
+  [64979,13.3178,35.128,6.01,0.28],
+  [66015,13.5341,-18.729,6.01,0.2,"73 Vir"],
+  [68279,13.9778,14.649,6.01,1.43],
+  [70949,14.5126,4.772,6.01,1.42],
+  [75674,15.4608,25.102,6.01,1.65],
+  [77358,15.7914,-37.916,6.01,0.71],
+  [85333,17.4386,7.596,6.01,0.59],
+  [86527,17.6829,-32.215,6.01,1.67,"BM Sco"],
+  [87445,17.868,39.982,6.01,1.34],
+  [88190,18.0101,33.214,6.01,1.52],
+  [89827,18.3311,29.666,6.01,1.32],
+  [98575,20.0233,-22.737,6.01,0.98],
+  [99579,20.2088,51.464,6.01,1.14],
+  [102080,20.6878,14.583,6.01,1.24,"10 Del"],
+  [102805,20.8272,12.545,6.01,0.42,"15 Del"],
+  [103734,21.0202,36.026,6.01,0.99],
+  [105891,21.4458,52.898,6.01,-0.11],
+  [111314,22.5508,69.913,6.01,0.33],
+  [112998,22.8844,60.101,6.01,1.75],
+  [117956,23.926,47.356,6.01,1.17],
+  [118071,23.951,42.658,6.01,0.71],
+  [1196,0.2497,8.821,6.02,0.31,"35 Psc"],
+  [9220,1.9759,61.698,6.02,-0.04],
+  [14748,3.1742,26.896,6.02,1.28],
+  [19261,4.1283,15.163,6.02,0.4],
+  [23377,5.0263,-39.718,6.02,0.89],
+  [24072,5.1719,37.302,6.02,0.72],
+  [25482,5.4499,-68.623,6.02,0.35],
+  [31852,6.6592,28.263,6.02,-0.09,"54 Aur"],
+  [33614,6.9841,38.052,6.02,1.22,"62 Aur"],
+  [34999,7.2412,-10.316,6.02,-0.17],
+  [35213,7.2773,-23.311,6.02,0.32],
+  [37823,7.755,-43.753,6.02,-0.07],
+  [38732,7.9296,-43.845,6.02,-0.11],
+  [39261,8.0285,60.324,6.02,0.16,"53 Cam"],
+  [41224,8.4119,42.005,6.02,1.59],
+  [43620,8.8844,-56.65,6.02,-0.02],
+  [45418,9.2549,-58.388,6.02,-0.1],
+  [45481,9.2678,-44.899,6.02,0.27],
+  [48414,9.87,2.454,6.02,-0.04,"7 Sex"],
+  [50174,10.2416,21.168,6.02,0.57],
+  [52366,10.7031,31.697,6.02,1.62,"RX LMi"],
+  [55564,11.3809,64.331,6.02,0.09],
+  [57240,11.737,25.218,6.02,1.53],
+  [60771,12.4569,-63.789,6.02,0.05],
+  [61936,12.6928,62.713,6.02,0.05,"76 UMa"],
+  [61951,12.6971,-19.759,6.02,0.4],
+  [62757,12.8602,3.057,6.02,1.29,"37 Vir"],
+  [67005,13.7319,52.064,6.02,0.02],
+  [69090,14.1409,-74.85,6.02,0.58],
+  [71277,14.5774,36.626,6.02,1.38],
+  [74421,15.2094,-72.771,6.02,0],
+  [76935,15.7103,-49.49,6.02,1.31],
+  [79601,16.2426,73.395,6.02,0.06],
+  [81873,16.7228,-67.432,6.02,0.04],
+  [81911,16.731,34.039,6.02,0.32],
+  [82037,16.7582,1.02,6.02,-0.01,"16 Oph"],
+  [90651,18.4963,-14.582,6.02,0.01,"V0432 Sct"],
+  [90759,18.5175,-41.914,6.02,0.14],
+  [91373,18.6351,39.668,6.02,1.44,"XY Lyr"],
+  [91915,18.7384,61.048,6.02,0.97],
+  [94382,19.2102,21.555,6.02,0.07],
+  [94755,19.2809,46.999,6.02,0.48],
+  [102011,20.6716,60.505,6.02,0.44],
+  [102033,20.6767,29.806,6.02,0.16],
+  [106171,21.5056,52.958,6.02,0.08],
+  [107423,21.758,-71.009,6.02,-0.1],
+  [108626,22.0067,-55.883,6.02,-0.06],
+  [116097,23.5242,-44.844,6.02,1.01],
+  [3604,0.7697,44.861,6.03,-0.06],
+  [5074,1.0813,5.656,6.03,1.52,"73 Psc"],
+  [7387,1.5875,-58.139,6.03,0.38],
+  [13387,2.872,-62.91,6.03,1.25],
+  [15353,3.2997,-66.927,6.03,0.13],
+  [15850,3.4028,12.63,6.03,1.23],
+  [16181,3.474,22.804,6.03,0.95,"66 Ari"],
+  [23380,5.0267,61.078,6.03,0.45],
+  [24384,5.2315,-52.031,6.03,1.39],
+  [26427,5.6243,-5.938,6.03,-0.21],
+  [27421,5.8062,20.869,6.03,-0.05],
+  [28154,5.9489,24.25,6.03,0.35],
+  [30794,6.4707,70.535,6.03,0.1],
+  [31617,6.6172,-38.147,6.03,1.03],
+  [33044,6.8843,35.788,6.03,1.46],
+  [33243,6.9164,-2.804,6.03,1.1],
+  [33444,6.9536,57.563,6.03,1.5],
+  [34780,7.2005,-63.19,6.03,-0.01],
+  [38325,7.8516,54.129,6.03,0.5],
+  [38394,7.8658,19.325,6.03,1.13],
+  [38868,7.9544,8.641,6.03,1],
+  [40231,8.2166,16.514,6.03,0.89],
+  [41214,8.4101,-4.717,6.03,0.46],
+  [42895,8.7417,-65.825,6.03,0.22],
+  [53465,10.9374,42.008,6.03,1.12],
+  [53791,11.0057,42.912,6.03,0.58],
+  [60467,12.3964,42.543,6.03,0.37,"4 CVn"],
+  [60599,12.4209,23.926,6.03,1.09],
+  [70325,14.389,-50.772,6.03,1.36],
+  [71530,14.6295,-67.932,6.03,0.51],
+  [74000,15.1223,18.442,6.03,0.07],
+  [79490,16.2214,-53.671,6.03,1.97,"39 Nor"],
+  [82259,16.8075,-14.909,6.03,0.19],
+  [84792,17.3315,-17.756,6.03,0.04],
+  [87532,17.8827,-35.624,6.03,0.34],
+  [88020,17.9784,36.288,6.03,0.95],
+  [89637,18.2934,-34.107,6.03,-0.1,"RS Sgr"],
+  [94598,19.2507,20.203,6.03,0.9],
+  [95002,19.3314,11.535,6.03,0.09,"ω2 Aql"],
+  [95408,19.4084,-27.866,6.03,-0.12],
+  [96387,19.5968,36.944,6.03,-0.08,"11 Cyg"],
+  [98143,19.9456,36.251,6.03,-0.14],
+  [101160,20.505,10.896,6.03,-0.02,"1 Del"],
+  [111869,22.6595,37.593,6.03,0.85],
+  [113044,22.8939,-48.598,6.03,0.62,"τ1 Gru"],
+  [117880,23.9107,-40.3,6.03,0.57],
+  [117957,23.9261,57.412,6.03,0.15,"V0373 Cas"],
+  [2789,0.5926,-54.822,6.04,1],
+  [3988,0.8546,61.806,6.04,1.88],
+  [5824,1.2451,6.995,6.04,1.08,"88 Psc"],
+  [5936,1.2719,33.115,6.04,1.16],
+  [9568,2.0492,77.916,6.04,1.11],
+  [12862,2.7558,4.712,6.04,0.31],
+  [22144,4.7654,-39.357,6.04,1.06],
+  [22354,4.8124,3.588,6.04,1.2],
+  [23643,5.0818,-3.04,6.04,-0.12],
+  [23777,5.1102,-13.123,6.04,-0.03],
+  [26264,5.5934,-78.821,6.04,-0.02,"ι Men"],
+  [26712,5.6766,31.358,6.04,0.04,"Andrews' star"],
+  [27341,5.7908,-10.533,6.04,0.14,"V1031 Ori"],
+  [27778,5.8778,33.917,6.04,1.58],
+  [28500,6.0168,27.572,6.04,0.22],
+  [28520,6.0203,-25.418,6.04,0.03],
+  [28637,6.0468,49.906,6.04,-0.03],
+  [29371,6.1911,13.639,6.04,0.02],
+  [29993,6.3136,-15.025,6.04,1.66],
+  [32368,6.7565,-23.462,6.04,1.21],
+  [36017,7.4222,-21.983,6.04,0.23],
+  [40818,8.3305,3.948,6.04,0.96],
+  [42049,8.5704,8.452,6.04,0.33],
+  [44213,9.0062,-43.174,6.04,-0.15,"IU Vel"],
+  [45033,9.1725,21.996,6.04,0.89,"79 Cnc"],
+  [45058,9.1774,30.963,6.04,1.37,"RS Cnc"],
+  [45814,9.3416,-37.582,6.04,1.4],
+  [51551,10.5302,-28.237,6.04,0.5],
+  [51560,10.5324,-45.07,6.04,-0.1],
+  [52113,10.6473,-12.444,6.04,-0.01],
+  [58453,11.9864,-51.697,6.04,1.28],
+  [64994,13.3219,-72.036,6.04,1.34],
+  [67271,13.7871,-9.71,6.04,1.42],
+  [71581,14.6387,-38.794,6.04,1.42],
+  [76372,15.5982,11.266,6.04,1.13],
+  [78046,15.9352,-39.864,6.04,0.13],
+  [78286,15.9846,49.881,6.04,0.29],
+  [80021,16.3345,21.133,6.04,0.94],
+  [83138,16.9893,56.689,6.04,1.17],
+  [85788,17.5303,-46.037,6.04,0.81],
+  [86178,17.6102,30.785,6.04,0.16],
+  [89279,18.218,38.773,6.04,-0.06],
+  [91852,18.7267,36.557,6.04,1.04,"Xihe"],
+  [92008,18.7532,-61.095,6.04,1.48],
+  [92394,18.8288,-72.996,6.04,0.03],
+  [93354,19.0153,33.802,6.04,0.98],
+  [97087,19.731,34.163,6.04,-0.07],
+  [97515,19.8199,-28.789,6.04,0.4],
+  [97674,19.8503,-65.605,6.04,0.32,"NZ Pav"],
+  [103301,20.928,4.533,6.04,0.82],
+  [103777,21.0292,-26.881,6.04,0.07],
+  [109624,22.2072,-14.194,6.04,0.39,"39 Aqr"],
+  [110498,22.3835,62.419,6.04,0.04],
+  [113137,22.911,-70.074,6.04,0.66,"ρ Ind"],
+  [115272,23.3473,-50.307,6.04,0.42],
+  [2224,0.4702,16.445,6.05,1.58,"48 Psc"],
+  [2235,0.4722,10.19,6.05,0.45],
+  [3356,0.7119,-38.464,6.05,-0.02,"λ1 Scl"],
+  [8366,1.7962,-80.176,6.05,0.34,"τ2 Hyi"],
+  [10054,2.157,81.296,6.05,0.12],
+  [10403,2.234,47.484,6.05,0.41],
+  [10438,2.2414,66.524,6.05,0.64,"55 Cas"],
+  [13402,2.8756,-12.77,6.05,0.86,"EP Eri"],
+  [13713,2.9426,47.164,6.05,1.3],
+  [14315,3.0772,1.864,6.05,1.04],
+  [17921,3.832,22.244,6.05,-0.01],
+  [18485,3.9511,23.176,6.05,0.03,"33 Tau"],
+  [18592,3.9786,-57.102,6.05,0.44],
+  [19730,4.2291,72.126,6.05,1.02],
+  [21611,4.6394,-77.656,6.05,1.08],
+  [23442,5.0388,74.269,6.05,1.56],
+  [25007,5.3547,-34.345,6.05,-0.18,"AN Col"],
+  [26942,5.7171,56.581,6.05,0.95,"24 Cam"],
+  [29843,6.2843,-22.715,6.05,0.58],
+  [30272,6.3677,59.372,6.05,0.15,"4 Lyn"],
+  [30570,6.4258,23.327,6.05,0.02],
+  [30711,6.4532,-25.857,6.05,0.55],
+  [31646,6.6233,6.135,6.05,0.02,"Plaskett's Star"],
+  [31859,6.6601,-23.696,6.05,-0.03],
+  [33094,6.8928,-28.54,6.05,0.71],
+  [36395,7.4894,-14.999,6.05,0.48],
+  [37580,7.7121,34,6.05,0.47],
+  [38370,7.8612,-42.888,6.05,-0.18,"QU Pup"],
+  [38975,7.9754,16.519,6.05,1.47],
+  [39067,7.9931,13.242,6.05,1.32],
+  [41373,8.4403,-52.807,6.05,0.06],
+  [41574,8.4769,24.145,6.05,0.25,"28 Cnc"],
+  [42794,8.7201,-79.07,6.05,0.23,"9 Cha"],
+  [45127,9.1947,-39.259,6.05,-0.11],
+  [46093,9.3998,-51.737,6.05,0.53],
+  [46114,9.4045,-39.425,6.05,0.19],
+  [46328,9.4456,-64.93,6.05,0.15],
+  [48119,9.8111,-56.412,6.05,0.94],
+  [48876,9.9688,8.314,6.05,1.36],
+  [50109,10.2305,27.136,6.05,0.84],
+  [51302,10.4789,-3.742,6.05,0.06],
+  [52959,10.8316,27.974,6.05,0.4,"44 LMi"],
+  [55595,11.3883,0.132,6.05,1.46],
+  [56364,11.5541,-16.28,6.05,0.59],
+  [57214,11.732,-6.677,6.05,0.96],
+  [57646,11.8208,16.243,6.05,0.28],
+  [58041,11.9032,-57.41,6.05,0.05],
+  [58697,12.039,-85.632,6.05,1.29],
+  [59551,12.2131,-70.152,6.05,1.78,"S Mus"],
+  [59895,12.2843,-16.694,6.05,0.11],
+  [60851,12.472,-64.341,6.05,0.02],
+  [61103,12.5226,7.604,6.05,1.52],
+  [64320,13.1829,-52.567,6.05,-0.08,"V0824 Cen"],
+  [67890,13.9046,-28.57,6.05,1.13],
+  [72310,14.7871,-21.325,6.05,1.65],
+  [74716,15.2696,-43.485,6.05,-0.13],
+  [76608,15.645,-39.128,6.05,0.2],
+  [77454,15.814,-52.438,6.05,1.39],
+  [81440,16.6338,-6.538,6.05,0.17],
+  [81904,16.7299,-38.156,6.05,-0.05],
+  [83100,16.9812,-37.62,6.05,0.18],
+  [83255,17.0163,-86.364,6.05,0.04,"CW Oct"],
+  [85783,17.529,-26.27,6.05,-0.07],
+  [86462,17.666,31.203,6.05,1.6],
+  [87516,17.8803,-34.115,6.05,1.24],
+  [87722,17.9189,-36.476,6.05,0.07],
+  [89470,18.2585,-18.662,6.05,0.17,"V4387 Sgr"],
+  [93925,19.1252,-28.637,6.05,1.58],
+  [100232,20.3287,-1.079,6.05,1.09],
+  [104217,21.1154,38.742,6.05,1.31,"Bessel's Star"],
+  [104914,21.2518,-17.345,6.05,0.98],
+  [105432,21.3561,32.613,6.05,0.06],
+  [2852,0.6019,-22.842,6.06,0.3,"BG Cet"],
+  [3269,0.6933,24.629,6.06,0.3],
+  [3489,0.7421,-62.498,6.06,0.45],
+  [4979,1.0636,1.367,6.06,0.27,"26 Cet"],
+  [13832,2.9673,38.615,6.06,1.4],
+  [14365,3.0892,40.582,6.06,1.01],
+  [17437,3.7351,48.524,6.06,1.55],
+  [19823,4.2505,57.46,6.06,0.6],
+  [20715,4.4392,8.59,6.06,-0.01,"V1143 Tau"],
+  [21239,4.5561,-10.785,6.06,1.38],
+  [22488,4.8378,-41.321,6.06,0.41,"ν Cae"],
+  [22842,4.9142,44.061,6.06,-0.03],
+  [35442,7.3172,-19.28,6.06,0.61],
+  [37248,7.6501,-53.273,6.06,-0.12,"V0390 Car"],
+  [37843,7.7581,-14.691,6.06,0.11,"2 Pup"],
+  [38319,7.8507,33.234,6.06,0.15],
+  [48835,9.9618,-48.414,6.06,-0.13],
+  [50851,10.3835,6.543,6.06,1.12,"43 Leo"],
+  [53818,11.0113,-31.839,6.06,0.53],
+  [55140,11.2886,-67.823,6.06,1.75,"V0535 Car"],
+  [59898,12.2851,-65.693,6.06,0.02],
+  [62026,12.7138,-55.947,6.06,-0.02],
+  [64790,13.2791,-65.138,6.06,0.43],
+  [65289,13.3813,-72.147,6.06,0.05],
+  [70874,14.4936,-76.729,6.06,1.18],
+  [70892,14.4971,31.791,6.06,-0.01],
+  [71639,14.653,-46.584,6.06,0.51],
+  [72122,14.7533,-1.417,6.06,1.61],
+  [73107,14.9419,-32.637,6.06,1.41],
+  [79622,16.2482,-25.477,6.06,0.03],
+  [80558,16.4472,2.348,6.06,0.92],
+  [82780,16.9173,25.731,6.06,0.92,"56 Her"],
+  [83504,17.0661,13.567,6.06,1.05],
+  [83853,17.1371,-1.079,6.06,0.07],
+  [89597,18.2836,-51.068,6.06,-0.05],
+  [92098,18.7703,41.442,6.06,-0.12],
+  [92243,18.7993,31.757,6.06,-0.14],
+  [95167,19.3612,79.603,6.06,0.07],
+  [95978,19.5167,70.989,6.06,1.42],
+  [97892,19.8932,59.709,6.06,0.03],
+  [102989,20.8663,-33.178,6.06,0.03,"β Mic"],
+  [103414,20.9529,0.464,6.06,1.22],
+  [107173,21.7092,10.824,6.06,-0.12],
+  [108494,21.9788,-21.183,6.06,1.62,"BW Cap"],
+  [112127,22.712,-44.248,6.06,0.96],
+  [117105,23.7404,-70.49,6.06,0.91],
+  [544,0.1102,29.021,6.07,0.75,"V0439 And"],
+  [1465,0.3048,11.206,6.07,1.04],
+  [4185,0.8912,37.418,6.07,1.14],
+  [5483,1.1698,15.674,6.07,1.53],
+  [6522,1.3963,78.726,6.07,0.39],
+  [8983,1.9296,-60.861,6.07,0.36],
+  [9999,2.146,-17.779,6.07,1.66],
+  [12160,2.612,31.608,6.07,1.05],
+  [12584,2.6968,-3.214,6.07,1.18],
+  [15118,3.2491,42.504,6.07,1.09],
+  [15870,3.4073,20.803,6.07,-0.03,"65 Ari"],
+  [19302,4.1376,37.727,6.07,0.94,"49 Per"],
+  [29569,6.2293,51.172,6.07,1.05],
+  [29728,6.2612,6.066,6.07,-0.12],
+  [32504,6.7837,-21.015,6.07,-0.16,"12 CMa"],
+  [34768,7.1976,5.655,6.07,-0.02],
+  [38147,7.8172,13.372,6.07,1.37],
+  [40341,8.2364,-32.141,6.07,-0.16],
+  [41361,8.4383,-39.059,6.07,-0.01,"NO Pup"],
+  [43002,8.7637,-25.388,6.07,0.08],
+  [43822,8.9249,-7.971,6.07,0.22,"17 Hya"],
+  [44342,9.0302,27.903,6.07,0.24,"67 Cnc"],
+  [49926,10.1932,-58.828,6.07,1.65,"V0368 Car"],
+  [50044,10.217,-59.918,6.07,-0.07],
+  [51448,10.5074,64.258,6.07,0.18],
+  [54294,11.1081,-58.675,6.07,1.21],
+  [54540,11.1611,67.21,6.07,0.23,"EP UMa"],
+  [59353,12.1761,-37.87,6.07,0.19],
+  [60992,12.5012,58.768,6.07,0.99,"75 UMa"],
+  [65951,13.521,42.106,6.07,1.07],
+  [69241,14.1753,-70.305,6.07,1.72],
+  [69298,14.1839,-69.719,6.07,0.19],
+  [71154,14.5527,-30.715,6.07,1.03],
+  [72308,14.7868,-52.205,6.07,0.08],
+  [74493,15.222,-19.648,6.07,0.12,"25 Lib"],
+  [75369,15.4014,45.271,6.07,1.21],
+  [77801,15.8867,13.197,6.07,0.6,"39 Ser"],
+  [78575,16.0443,-29.136,6.07,1.3],
+  [78685,16.0627,4.987,6.07,0.96,"43 Ser"],
+  [80910,16.523,-26.538,6.07,1.08],
+  [81670,16.6835,24.859,6.07,1.32],
+  [81728,16.6934,-24.468,6.07,0.21],
+  [82012,16.7533,43.217,6.07,1.42],
+  [82162,16.786,2.064,6.07,0.14,"19 Oph"],
+  [82691,16.9028,-41.825,6.07,0.13,"V1007 Sco"],
+  [83481,17.0616,-47.161,6.07,0.07],
+  [89096,18.1846,-47.513,6.07,1.19],
+  [90487,18.464,3.749,6.07,1.61],
+  [91196,18.6037,65.489,6.07,0.28],
+  [93720,19.0829,30.733,6.07,1.57],
+  [98959,20.0924,-67.321,6.07,0.65],
+  [101949,20.6593,40.58,6.07,-0.13],
+  [103703,21.0144,-17.531,6.07,1.27],
+  [104538,21.1754,10.049,6.07,0.02,"6 Equ"],
+  [104765,21.224,36.633,6.07,0.22],
+  [105558,21.3783,30.31,6.07,1.08],
+  [106938,21.6578,-10.577,6.07,1.03],
+  [107097,21.6928,40.805,6.07,0.07,"76 Cyg"],
+  [112635,22.8123,62.938,6.07,1.19],
+  [116030,23.511,38.662,6.07,0.99],
+  [116737,23.6578,-46.638,6.07,0.24,"θ Phe"],
+  [1939,0.4082,-2.219,6.08,1.22],
+  [4366,0.9329,27.209,6.08,0.13,"k Psc"],
+  [14819,3.1885,-3.812,6.08,1.67],
+  [20109,4.3111,-52.86,6.08,0.49],
+  [20347,4.3587,-25.729,6.08,0.37],
+  [23743,5.1034,59.021,6.08,1.11,"12 Cam"],
+  [24349,5.2254,1.968,6.08,0.42],
+  [25532,5.4601,-21.376,6.08,1.03],
+  [26363,5.6146,40.182,6.08,1.03],
+  [28677,6.055,42.912,6.08,0.98,"38 Aur"],
+  [29347,6.1871,-26.482,6.08,-0.02],
+  [31168,6.5398,11.674,6.08,1.07],
+  [40085,8.1879,9.821,6.08,-0.1],
+  [41262,8.418,35.011,6.08,1.26],
+  [44315,9.0254,5.641,6.08,1.11],
+  [48396,9.8665,-16.535,6.08,1.03],
+  [50292,10.2692,-11.203,6.08,1.1],
+  [52150,10.6544,-74.493,6.08,1.68],
+  [53379,10.9169,-42.251,6.08,-0.06,"KQ Vel"],
+  [59396,12.1848,-61.277,6.08,0.4],
+  [68673,14.0576,-41.423,6.08,-0.11,"V0828 Cen"],
+  [73309,14.9813,-4.989,6.08,0.51],
+  [81659,16.6809,12.395,6.08,0.05],
+  [83494,17.0649,34.79,6.08,0.2],
+  [84311,17.2371,-56.889,6.08,1.73,"V0829 Ara"],
+  [84524,17.2785,-6.245,6.08,1.1],
+  [86476,17.67,-2.152,6.08,1.61],
+  [87926,17.9616,-76.178,6.08,1.21],
+  [92524,18.8562,-3.318,6.08,0.3,"8 Aql"],
+  [93966,19.1326,16.853,6.08,0.7],
+  [95898,19.5029,2.904,6.08,1.82],
+  [96882,19.6937,-65.854,6.08,1.56],
+  [97028,19.7193,30.678,6.08,0],
+  [100764,20.43,-40.796,6.08,1.36],
+  [101919,20.653,21.817,6.08,-0.04],
+  [105860,21.4407,19.376,6.08,0.23,"IK Peg"],
+  [109276,22.1381,25.544,6.08,0.31],
+  [115433,23.3824,-60.056,6.08,1.6,"DR Tuc"],
+  [117075,23.7337,-45.083,6.08,0.98],
+  [117340,23.7925,46.833,6.08,-0.14],
+  [394,0.0816,34.66,6.09,0.63],
+  [5121,1.0936,-9.979,6.09,1.01,"27 Cet"],
+  [8820,1.8898,-38.595,6.09,1.13],
+  [9295,1.9905,12.295,6.09,0.19],
+  [9318,1.9948,-66.067,6.09,1.18],
+  [10176,2.1813,39.039,6.09,-0.05,"59 And"],
+  [11603,2.4932,9.566,6.09,1.02],
+  [12611,2.7023,-46.524,6.09,0.88],
+  [15988,3.4326,49.121,6.09,-0.07,"V0576 Per"],
+  [17453,3.7412,20.929,6.09,0.03],
+  [17707,3.7923,55.922,6.09,-0.02],
+  [18481,3.9505,6.04,6.09,0.06],
+  [19641,4.2087,17.277,6.09,1.08],
+  [20106,4.3104,-22.97,6.09,0.3],
+  [21242,4.5569,43.064,6.09,0.37,"m Per"],
+  [21298,4.5706,-6.838,6.09,1.38],
+  [22034,4.7369,40.786,6.09,0.04],
+  [22441,4.8289,15.904,6.09,1.55,"96 Tau"],
+  [23216,4.9962,53.156,6.09,1.46,"8 Cam"],
+  [25216,5.3938,16.699,6.09,0.14,"110 Tau"],
+  [25317,5.4154,-44.226,6.09,1.2],
+  [27118,5.7505,4.008,6.09,0.32],
+  [28686,6.0569,11.681,6.09,-0.04],
+  [29705,6.2573,-9.036,6.09,-0.08],
+  [29789,6.272,23.97,6.09,0.9,"8 Gem"],
+  [31813,6.6515,22.031,6.09,1.03],
+  [34142,7.0797,-22.032,6.09,1.23],
+  [34253,7.1006,-38.383,6.09,0.7],
+  [34318,7.1146,-24.961,6.09,1.34],
+  [37406,7.6804,57.083,6.09,1.44,"23 Lyn"],
+  [38845,7.9494,-42.407,6.09,1.36],
+  [39340,8.0419,63.09,6.09,0.58],
+  [43204,8.8014,-6.559,6.09,1.28],
+  [48017,9.7883,79.137,6.09,0.3],
+  [49293,10.0614,-9.574,6.09,1.67],
+  [51676,10.5571,-58.19,6.09,0.33,"V0369 Car"],
+  [51816,10.5862,-43.665,6.09,0.94],
+  [54214,11.0928,-11.089,6.09,0.3],
+  [55979,11.4718,-72.474,6.09,0.1],
+  [56789,11.6426,46.834,6.09,0.4,"60 UMa"],
+  [60603,12.4218,-27.749,6.09,1.27],
+  [65783,13.4855,-64.676,6.09,0.12],
+  [68431,14.0091,-78.59,6.09,0.01],
+  [69491,14.2277,-54.626,6.09,0.05,"V0716 Cen"],
+  [72965,14.9118,-65.991,6.09,-0.06,"ζ Cir"],
+  [74479,15.2188,-36.091,6.09,-0.08],
+  [79332,16.1913,16.666,6.09,0.02,"q Her"],
+  [79692,16.2643,-14.849,6.09,0.1],
+  [80788,16.4959,-57.756,6.09,1.46,"V0378 Nor"],
+  [84489,17.2727,-35.75,6.09,0.48],
+  [85302,17.4318,16.918,6.09,1.53,"V0640 Her"],
+  [86064,17.5889,-53.353,6.09,0.03],
+  [86311,17.6357,-42.88,6.09,-0.06],
+  [87174,17.8106,-55.402,6.09,0.28],
+  [87379,17.8531,-53.13,6.09,0.01,"υ2 Ara"],
+  [87404,17.8624,-45.601,6.09,0.95],
+  [87744,17.9232,55.971,6.09,0.32],
+  [89023,18.1691,16.477,6.09,0.57],
+  [93134,18.9726,-31.036,6.09,1.35],
+  [94929,19.3167,-15.537,6.09,1.42],
+  [95235,19.3759,33.518,6.09,1.05],
+  [95929,19.5092,3.444,6.09,-0.02,"V0923 Aql"],
+  [99762,20.2408,-63.416,6.09,0.31],
+  [100325,20.3463,-14.785,6.09,-0.02,"Dabih Minor"],
+  [100486,20.377,31.265,6.09,1.36],
+  [101017,20.4796,-35.596,6.09,-0.09],
+  [101626,20.5977,-69.611,6.09,1.29],
+  [105768,21.4217,-71.799,6.09,1.26],
+  [113234,22.931,-31.633,6.09,1.36],
+  [117420,23.809,-6.38,6.09,1.45],
+  [117931,23.9213,-31.922,6.09,-0.09,"AL Scl"],
+  [1501,0.3117,43.791,6.1,-0.07,"26 And"],
+  [4501,0.961,45.839,6.1,1.03],
+  [9085,1.95,-51.766,6.1,0.49],
+  [14392,3.0945,56.069,6.1,1.05],
+  [17475,3.7447,46.1,6.1,0.29],
+  [20781,4.4517,-46.947,6.1,0.47],
+  [22955,4.9389,36.169,6.1,0.35],
+  [23617,5.0777,74.067,6.1,0.02],
+  [23680,5.0899,1.178,6.1,3.33,"W Ori"],
+  [25098,5.3728,-56.134,6.1,-0.09,"κ Pic"],
+  [26300,5.6008,-47.314,6.1,1.16,"TX Pic"],
+  [26315,5.6044,47.715,6.1,0.29],
+  [26395,5.6191,-11.775,6.1,0.05],
+  [32332,6.7488,-70.434,6.1,1.33],
+  [33041,6.8837,38.869,6.1,0.41,"59 Aur"],
+  [34338,7.1185,4.911,6.1,-0.13],
+  [34782,7.2011,-30.821,6.1,0.27],
+  [37854,7.7599,-56.723,6.1,0.4],
+  [42928,8.7487,-21.168,6.1,0.2],
+  [43351,8.8306,-72.551,6.1,0.18],
+  [44708,9.1095,-55.802,6.1,-0.13],
+  [45184,9.2072,-7.11,6.1,0.23,"21 Hya"],
+  [48218,9.8306,21.179,6.1,0.26,"20 Leo"],
+  [51245,10.4672,-49.406,6.1,1.51],
+  [51795,10.5827,-23.176,6.1,0.5],
+  [52112,10.6473,-42.753,6.1,0.66],
+  [55528,11.3731,-44.646,6.1,0.93],
+  [57211,11.7313,-62.878,6.1,0.06],
+  [60591,12.419,-42.514,6.1,0.65],
+  [64496,13.2201,18.727,6.1,1.2],
+  [65376,13.3983,37.034,6.1,1.64,"CL CVn"],
+  [65892,13.5071,-6.47,6.1,0.34,"72 Vir"],
+  [67714,13.8718,12.165,6.1,0.04],
+  [69623,14.2503,-29.282,6.1,0.04],
+  [70270,14.3774,-48.32,6.1,-0.13,"HX Lup"],
+  [70952,14.5128,63.186,6.1,0.43],
+  [72097,14.7487,-58.477,6.1,1.01],
+  [72121,14.753,-55.602,6.1,-0.07,"BU Cir"],
+  [73354,14.9909,-43.16,6.1,0.6],
+  [75742,15.4742,-51.598,6.1,1.07],
+  [76337,15.5926,17.656,6.1,0.97,"τ3 Ser"],
+  [78355,15.9984,-54.021,6.1,-0.02],
+  [78726,16.0716,-33.214,6.1,0.34],
+  [82453,16.85,-37.514,6.1,0.12],
+  [87671,17.9075,-34.467,6.1,0.06],
+  [89527,18.2682,2.377,6.1,1.55,"V2392 Oph"],
+  [91119,18.5871,34.458,6.1,-0.12],
+  [91606,18.6823,62.749,6.1,0.98],
+  [92551,18.8601,36.539,6.1,-0.1],
+  [96724,19.6625,33.979,6.1,0.09],
+  [98044,19.9228,58.25,6.1,1.02],
+  [100758,20.4285,-2.8,6.1,1.19],
+  [101221,20.5179,-15.056,6.1,0.8],
+  [103646,20.9999,-36.13,6.1,0.4],
+  [103894,21.0513,38.657,6.1,1.01],
+  [105841,21.4376,-54.66,6.1,0.37,"γ Ind"],
+  [106243,21.5193,12.137,6.1,-0.05],
+  [106703,21.6136,-33.048,6.1,0.23,"7 PsA"],
+  [107186,21.7108,49.6,6.1,0.99],
+  [107197,21.7126,59.271,6.1,1.35],
+  [107664,21.8082,38.649,6.1,-0.07],
+  [109509,22.184,-21.233,6.1,0.5],
+  [109902,22.2597,-44.452,6.1,0.99],
+  [116307,23.5654,20.841,6.1,1.65],
+  [365,0.0768,42.093,6.11,0.16],
+  [696,0.1426,-17.578,6.11,1.66,"CF Cet"],
+  [1415,0.2953,51.433,6.11,-0.15,"Pearce's Star"],
+  [2629,0.5565,-71.266,6.11,0.27,"θ Tuc"],
+  [3685,0.7871,19.579,6.11,0.27,"59 Psc"],
+  [4363,0.9321,-27.776,6.11,1.67],
+  [5993,1.2847,44.902,6.11,1.59],
+  [7271,1.5609,-78.505,6.11,0.97],
+  [7361,1.5808,-31.892,6.11,1.11],
+  [11524,2.4765,-31.102,6.11,1.11],
+  [13997,3.0033,38.132,6.11,-0.06],
+  [14040,3.0141,-2.879,6.11,1.75,"7 Eri"],
+  [14749,3.1742,-48.734,6.11,1.12],
+  [14821,3.1894,13.048,6.11,1.04],
+  [17181,3.6795,25.329,6.11,0.1,"11 Tau"],
+  [20255,4.3403,18.743,6.11,0.4],
+  [20765,4.4491,-24.081,6.11,0.14],
+  [21718,4.6631,-1.052,6.11,0.94],
+  [22597,4.8621,9.975,6.11,0.06],
+  [22844,4.9147,-58.548,6.11,0.44],
+  [22847,4.9152,-39.629,6.11,1.42],
+  [23511,5.0552,41.442,6.11,0.19],
+  [24041,5.1676,-0.565,6.11,1.1],
+  [26414,5.622,8.952,6.11,-0.17],
+  [27937,5.9114,-49.627,6.11,-0.15],
+  [30407,6.3933,-9.875,6.11,1.84],
+  [31674,6.628,-12.985,6.11,0.99],
+  [32775,6.8336,-60.249,6.11,0.46],
+  [36807,7.5702,-33.463,6.11,0.3],
+  [38246,7.8349,-19.523,6.11,1.26],
+  [40324,8.233,-36.341,6.11,-0.18],
+  [40926,8.3521,-64.106,6.11,0.93],
+  [41163,8.3987,10.632,6.11,1.51,"21 Cnc"],
+  [41319,8.4305,17.046,6.11,0.45,"d2 Cnc"],
+  [41907,8.5449,-73.357,6.11,0.95],
+  [46840,9.5448,1.864,6.11,0.61],
+  [48943,9.9851,-23.951,6.11,-0.1],
+  [49259,10.0557,-46.636,6.11,0.04],
+  [54185,11.0845,-49.392,6.11,-0.02],
+  [54742,11.2084,-18.5,6.11,0,"ψ Crt"],
+  [55106,11.2828,-7.135,6.11,0.21,"Abt's Star"],
+  [59750,12.2529,-10.312,6.11,0.47],
+  [61404,12.5818,-67.757,6.11,1.51,"BO Mus"],
+  [62394,12.7871,11.958,6.11,0.12,"34 Vir"],
+  [62875,12.8864,-3.553,6.11,0.49,"38 Vir"],
+  [63211,12.9522,46.177,6.11,1.01],
+  [66086,13.5467,24.347,6.11,0.97],
+  [66574,13.646,-70.445,6.11,1.42],
+  [67696,13.8669,-31.619,6.11,0.48],
+  [75342,15.3955,-1.022,6.11,0.26,"8 Ser"],
+  [77574,15.8379,-45.402,6.11,0.3],
+  [78078,15.9426,-14.829,6.11,0.24,"HR Lib"],
+  [80066,16.3424,-39.43,6.11,-0.08],
+  [80514,16.4365,11.408,6.11,1.06],
+  [83359,17.0377,64.601,6.11,0.96],
+  [83575,17.0805,48.804,6.11,1.09],
+  [86118,17.5999,20.996,6.11,0.18],
+  [88127,18.001,80.001,6.11,0.52,"40 Dra"],
+  [93523,19.048,19.661,6.11,1.32],
+  [94144,19.1634,-19.804,6.11,1.16],
+  [95965,19.515,-21.312,6.11,0.12],
+  [97423,19.8008,-13.704,6.11,0.19],
+  [98485,20.0074,-43.043,6.11,1.63],
+  [99913,20.2722,21.599,6.11,1.04,"18 Sge"],
+  [101507,20.5699,-13.721,6.11,0.54],
+  [105370,21.3426,60.756,6.11,1],
+  [105949,21.457,59.75,6.11,1.72,"V0426 Cep"],
+  [107140,21.7023,45.766,6.11,1.42,"V1339 Cyg"],
+  [109303,22.1447,45.742,6.11,0.76,"AR Lac"],
+  [109659,22.2147,73.307,6.11,1.01],
+  [111567,22.6022,35.578,6.11,1],
+  [113167,22.9165,1.065,6.11,0.19,"1 Psc"],
+  [114258,23.14,-79.481,6.11,0.14],
+  [1302,0.2726,43.595,6.12,0.07],
+  [1319,0.2761,8.24,6.12,0.92,"36 Psc"],
+  [4829,1.0338,-57.002,6.12,0.94,"ω Phe"],
+  [5170,1.1021,-23.992,6.12,1.08],
+  [9586,2.0529,73.851,6.12,0.16],
+  [10138,2.1739,-50.824,6.12,0.81],
+  [14547,3.1303,-69.265,6.12,1.01],
+  [16310,3.5038,-41.37,6.12,0.49],
+  [17120,3.6665,-1.121,6.12,0.99],
+  [19037,4.078,-20.382,6.12,1.16],
+  [21363,4.5835,-19.921,6.12,1.17],
+  [24820,5.3207,20.135,6.12,1.02],
+  [28908,6.1024,35.388,6.12,0.6],
+  [29931,6.3016,14.383,6.12,0.04],
+  [30468,6.4057,-12.962,6.12,-0.08],
+  [34924,7.2268,-27.356,6.12,-0.23,"GY CMa"],
+  [39225,8.0231,-54.516,6.12,-0.04,"V0461 Car"],
+  [39524,8.0782,-19.728,6.12,-0.15,"14 Pup"],
+  [40859,8.3381,-5.33,6.12,1.33],
+  [40876,8.3409,-22.925,6.12,1.04],
+  [42455,8.6561,-36.607,6.12,0.43],
+  [42954,8.756,30.698,6.12,0.94,"46 Cnc"],
+  [43580,8.8752,-13.233,6.12,1.14],
+  [45858,9.3498,38.188,6.12,0.38],
+  [46329,9.4458,-28.788,6.12,-0.09],
+  [46768,9.5321,-10.37,6.12,1.18],
+  [46869,9.5505,-8.505,6.12,0.97],
+  [47631,9.7119,35.093,6.12,0.39,"13 LMi"],
+  [50790,10.3703,-19.867,6.12,0.04],
+  [53240,10.8903,-2.255,6.12,0.91],
+  [54027,11.054,-0.752,6.12,0.27],
+  [54783,11.2158,-49.736,6.12,1.05],
+  [56253,11.5307,81.127,6.12,0.26],
+  [66992,13.7292,22.7,6.12,1.45],
+  [68493,14.022,-40.222,6.12,1.26],
+  [73068,14.9329,32.3,6.12,0.11],
+  [74571,15.2362,42.171,6.12,1.64],
+  [76617,15.6469,34.675,6.12,1.04],
+  [78469,16.0185,-54.578,6.12,0.26],
+  [82517,16.865,-65.376,6.12,-0.03],
+  [84108,17.1945,49.746,6.12,0.18],
+  [84175,17.207,-27.762,6.12,-0.05],
+  [86373,17.6494,13.329,6.12,0.57],
+  [89604,18.2852,40.937,6.12,0.98],
+  [92269,18.8045,48.768,6.12,0.23],
+  [92643,18.877,-29.38,6.12,1.34],
+  [94398,19.2128,-50.486,6.12,0.95],
+  [97538,19.8243,38.71,6.12,0.91],
+  [97687,19.8531,-2.461,6.12,1.57],
+  [99145,20.1282,34.423,6.12,0.12],
+  [100977,20.4736,-3.358,6.12,-0.05,"68 Aql"],
+  [104756,21.2227,81.231,6.12,0.09],
+  [105064,21.2839,53.998,6.12,0.05],
+  [105864,21.4411,1.103,6.12,0.48],
+  [110712,22.4309,-75.016,6.12,0.6],
+  [112102,22.7061,-29.361,6.12,1.52,"19 PsA"],
+  [113531,22.9932,-13.071,6.12,1.46],
+  [114162,23.1195,52.817,6.12,1.06],
+  [114699,23.2352,-62.7,6.12,0.79],
+  [115496,23.396,-43.124,6.12,1.46],
+  [3919,0.8384,45.002,6.13,0.04,"GO And"],
+  [5650,1.2095,45.337,6.13,1.65],
+  [6822,1.4629,-10.902,6.13,1.32],
+  [14514,3.1238,17.88,6.13,-0.12,"53 Ari"],
+  [17408,3.7298,19.665,6.13,0.99,"14 Tau"],
+  [20934,4.4889,-46.515,6.13,1.06],
+  [24836,5.3244,58.117,6.13,-0.03,"15 Cam"],
+  [25240,5.3976,-0.867,6.13,0.48],
+  [27900,5.9037,10.586,6.13,1.4],
+  [33079,6.8894,-18.933,6.13,0.16],
+  [39153,8.008,-48.872,6.13,-0.09,"PY Pup"],
+  [41067,8.3797,-13.055,6.13,1,"22 Pup"],
+  [42931,8.7504,5.681,6.13,0.2,"10 Hya"],
+  [43902,8.9436,4.237,6.13,1],
+  [45166,9.2034,-76.663,6.13,1.09],
+  [46744,9.5275,-10.552,6.13,0.26],
+  [48799,9.953,-52.639,6.13,-0.12,"IV Vel"],
+  [51077,10.4361,-42.739,6.13,1.13],
+  [55667,11.4061,-42.669,6.13,-0.17],
+  [57732,11.8388,-15.864,6.13,0.95],
+  [58177,11.9319,-39.69,6.13,1.01],
+  [71429,14.6067,-39.597,6.13,1.05],
+  [71729,14.6727,21.976,6.13,0.43],
+  [73927,15.1075,-22.032,6.13,1.04],
+  [79102,16.1463,17.206,6.13,0,"8 Her"],
+  [86096,17.5951,37.302,6.13,0.98],
+  [87192,17.8133,19.255,6.13,0.02],
+  [88859,18.1417,-45.767,6.13,-0.08],
+  [89086,18.182,-33.8,6.13,-0.14],
+  [90304,18.4255,-63.022,6.13,0.2,"V0346 Pav"],
+  [91751,18.71,-7.074,6.13,1.01],
+  [95396,19.406,-43.722,6.13,1.6],
+  [96440,19.6072,-18.853,6.13,0.27,"V4333 Sgr"],
+  [97651,19.8464,37.826,6.13,1.63],
+  [97789,19.8712,36.432,6.13,1.43],
+  [99685,20.2286,43.379,6.13,1.49],
+  [100184,20.3216,-47.58,6.13,0.47],
+  [101090,20.492,-22.392,6.13,1.54],
+  [104172,21.1065,26.924,6.13,1.03],
+  [104980,21.263,-36.211,6.13,1.38],
+  [108478,21.975,-59.012,6.13,0.47,"κ Ind"],
+  [109584,22.1986,-76.116,6.13,1],
+  [109746,22.2305,63.162,6.13,-0.09],
+  [114187,23.1244,32.825,6.13,0.14,"V0343 Peg"],
+  [114750,23.2445,-10.689,6.13,1.5],
+  [115510,23.3985,-53.809,6.13,0.26,"DQ Gru"],
+  [117710,23.8732,21.671,6.13,1.62],
+  [1099,0.229,-26.285,6.14,1.49],
+  [3185,0.6758,-23.805,6.14,0.72],
+  [4655,0.9971,6.483,6.14,1.65,"WW Psc"],
+  [5204,1.1093,12.956,6.14,0.96,"75 Psc"],
+  [8552,1.8389,-47.816,6.14,1],
+  [11415,2.452,27.012,6.14,1.46],
+  [11678,2.5107,19.855,6.14,0.25,"26 Ari"],
+  [13197,2.8308,-24.56,6.14,1,"γ1 For"],
+  [13883,2.9798,-9.777,6.14,0.22],
+  [13907,2.9851,-28.907,6.14,1.04],
+  [15244,3.2766,-9.155,6.14,0.41,"14 Eri"],
+  [15557,3.3404,25.663,6.14,1.24,"60 Ari"],
+  [15840,3.4006,-69.625,6.14,0.48],
+  [16303,3.503,59.366,6.14,0.1],
+  [16641,3.569,17.833,6.14,0.89],
+  [18401,3.9344,-63.464,6.14,1.09],
+  [19177,4.1108,65.521,6.14,0.14],
+  [19672,4.2142,22.413,6.14,0.17,"V1137 Tau"],
+  [20848,4.4677,1.859,6.14,1.02],
+  [23161,4.9832,14.543,6.14,0.16],
+  [23583,5.0707,30.495,6.14,1.21],
+  [27731,5.8715,58.964,6.14,-0.04,"30 Cam"],
+  [28390,5.9967,54.547,6.14,1.2],
+  [31697,6.6313,4.957,6.14,0.09],
+  [31733,6.639,-2.544,6.14,1.47],
+  [35960,7.4132,-37.291,6.14,0.26,"V0368 Pup"],
+  [38074,7.8024,-40.652,6.14,1.59,"T Pup"],
+  [38635,7.9111,-34.847,6.14,1.54],
+  [38863,7.9535,-63.297,6.14,-0.1],
+  [41036,8.375,-6.179,6.14,0.23],
+  [43685,8.8988,35.538,6.14,0.06],
+  [45167,9.2036,3.867,6.14,-0.01],
+  [45615,9.2977,-67.051,6.14,1.25,"V0478 Car"],
+  [45836,9.3455,51.266,6.14,0.44,"37 Lyn"],
+  [46529,9.4901,-2.205,6.14,0.22],
+  [49281,10.0595,-61.884,6.14,-0.03],
+  [49769,10.1588,-35.857,6.14,0.61],
+  [56731,11.6314,50.618,6.14,1.07],
+  [58989,12.0944,62.933,6.14,1.18],
+  [62788,12.8661,-26.738,6.14,0.23,"MO Hya"],
+  [66019,13.5348,-38.399,6.14,1.03],
+  [68080,13.9389,-54.132,6.14,0.07],
+  [68177,13.9577,-23.023,6.14,1.43],
+  [69316,14.1875,32.296,6.14,1.26],
+  [75093,15.3449,44.434,6.14,0.37],
+  [75118,15.3504,-15.548,6.14,0.39,"ο Lib"],
+  [77927,15.9146,-60.744,6.14,0.12],
+  [79661,16.2567,-42.899,6.14,1.11],
+  [79686,16.2631,27.422,6.14,1.33],
+  [80455,16.4228,-63.125,6.14,0.03],
+  [81914,16.7317,-41.113,6.14,-0.08],
+  [85237,17.4174,-34.696,6.14,0.05],
+  [87341,17.8468,22.316,6.14,0.24],
+  [87567,17.8888,-34.731,6.14,-0.04],
+  [88522,18.077,1.919,6.14,-0.06,"V0986 Oph"],
+  [89298,18.2213,21.88,6.14,1.47],
+  [89977,18.3579,5.436,6.14,-0.05,"NW Ser"],
+  [90290,18.4227,-35.992,6.14,1.01],
+  [92968,18.9404,2.471,6.14,0.96],
+  [93140,18.9736,-22.529,6.14,0.09],
+  [95866,19.4979,-55.442,6.14,0.97],
+  [97067,19.7271,-37.539,6.14,0.02],
+  [97242,19.7643,35.013,6.14,1.07],
+  [97372,19.7908,47.908,6.14,1.64],
+  [97970,19.9112,7.14,6.14,0.04],
+  [98379,19.9876,52.056,6.14,-0.18],
+  [98915,20.0852,51.839,6.14,1.6],
+  [100664,20.4104,1.068,6.14,-0.04],
+  [101285,20.5296,56.78,6.14,1.43],
+  [104357,21.1411,6.989,6.14,1.67],
+  [106052,21.4813,55.419,6.14,0.1],
+  [108090,21.8994,6.865,6.14,0.79],
+  [109990,22.2771,-25.898,6.14,1.11],
+  [112098,22.7058,53.909,6.14,1.63],
+  [112641,22.8133,54.415,6.14,-0.08],
+  [112924,22.8694,-63.189,6.14,1.02],
+  [2337,0.4977,-14.864,6.15,0.39],
+  [3527,0.75,-53.715,6.15,0.52],
+  [3552,0.7567,-4.629,6.15,1.65],
+  [3559,0.758,-12.881,6.15,0.6,"18 Cet"],
+  [4257,0.9049,-8.741,6.15,0.91,"21 Cet"],
+  [7050,1.5145,66.098,6.15,0.07],
+  [8991,1.9307,-78.349,6.15,0.45,"σ Hyi"],
+  [12775,2.7363,-52.571,6.15,0.09],
+  [13756,2.9513,4.501,6.15,1.62,"EH Cet"],
+  [14887,3.2027,42.376,6.15,-0.1],
+  [15209,3.2679,45.346,6.15,1.67],
+  [20263,4.3441,-6.246,6.15,0.9,"EK Eri"],
+  [20284,4.348,13.864,6.15,0.46],
+  [23060,4.9624,-14.232,6.15,-0.2],
+  [23852,5.1273,9.472,6.15,0.63,"13 Ori"],
+  [24479,5.2532,59.406,6.15,1.18],
+  [24493,5.2551,-1.409,6.15,0.4],
+  [24740,5.3052,33.767,6.15,-0.04,"17 Aur"],
+  [25976,5.5439,0.012,6.15,1.55],
+  [26408,5.6209,64.155,6.15,0.01,"19 Cam"],
+  [26412,5.6213,-27.871,6.15,0.32,"ν1 Col"],
+  [26866,5.704,-17.53,6.15,1.38],
+  [28321,5.9836,-9.382,6.15,0.33,"1 Mon"],
+  [28957,6.1114,-42.299,6.15,0.25,"π1 Col"],
+  [29025,6.1241,41.854,6.15,1.2],
+  [29323,6.1837,-6.754,6.15,0.01,"V0653 Mon"],
+  [31068,6.5196,-61.88,6.15,-0.15,"AE Pic"],
+  [31711,6.6334,-61.533,6.15,0.62,"AK Pic"],
+  [34200,7.0922,-34.778,6.15,0.35],
+  [34789,7.2021,5.474,6.15,1.14],
+  [39617,8.0958,-33.569,6.15,1.1],
+  [40485,8.2663,-35.903,6.15,1.55],
+  [40947,8.3567,-39.621,6.15,0.17],
+  [44887,9.1454,-26.768,6.15,0.17],
+  [46517,9.4878,-38.404,6.15,0.22],
+  [47694,9.7243,-51.228,6.15,-0.1,"IP Vel"],
+  [51161,10.4501,19.364,6.15,1.14],
+  [52882,10.8159,29.416,6.15,1.14,"43 LMi"],
+  [53771,11.0023,-51.818,6.15,0.19],
+  [56293,11.5398,-26.747,6.15,1.67],
+  [57629,11.817,-0.319,6.15,0.52],
+  [59950,12.2965,-36.094,6.15,0.01],
+  [60870,12.476,-56.408,6.15,0.92],
+  [63952,13.1064,62.042,6.15,1],
+  [69747,14.275,-3.196,6.15,-0.01],
+  [72139,14.7557,18.885,6.15,0.84],
+  [72412,14.8065,24.367,6.15,0.51],
+  [72449,14.815,-0.848,6.15,-0.03],
+  [72469,14.8185,37.811,6.15,0.39],
+  [75770,15.479,47.202,6.15,0.1],
+  [77111,15.745,17.264,6.15,0,"τ8 Ser"],
+  [77900,15.9084,-27.339,6.15,-0.07],
+  [78985,16.1228,21.823,6.15,1.36],
+  [82979,16.9572,-10.963,6.15,1],
+  [83706,17.1079,-35.451,6.15,0.44,"V1074 Sco"],
+  [85923,17.5588,57.559,6.15,0.6],
+  [90012,18.3667,-28.43,6.15,0.26],
+  [90253,18.4159,-1.579,6.15,0.38],
+  [93858,19.1146,-37.811,6.15,0.7],
+  [98308,19.9746,63.534,6.15,0.04],
+  [100697,20.4153,-83.311,6.15,0.2],
+  [105229,21.3154,41.041,6.15,0.26],
+  [105334,21.336,-45.022,6.15,2.39],
+  [111170,22.5218,-6.555,6.15,0.56],
+  [111171,22.5218,-2.911,6.15,1.08],
+  [111504,22.5907,-78.772,6.15,1.37],
+  [113447,22.9764,-35.523,6.15,0.58],
+  [113998,23.0869,-17.079,6.15,1.37],
+  [115062,23.3056,-67.471,6.15,1.36],
+  [2100,0.4437,-0.05,6.16,0.89,"10 Cet"],
+  [6272,1.3411,-11.239,6.16,1.1],
+  [11465,2.4644,50.57,6.16,0.43,"66 And"],
+  [20231,4.3361,31.953,6.16,1.68],
+  [24451,5.2456,53.214,6.16,0.08],
+  [26477,5.6315,-4.814,6.16,-0.03],
+  [27670,5.8579,-22.927,6.16,1.02],
+  [29210,6.1601,-5.711,6.16,0.35],
+  [30660,6.4429,-4.597,6.16,-0.15],
+  [30804,6.4719,10.304,6.16,1.15],
+  [31024,6.5097,-13.148,6.16,-0.14],
+  [32007,6.6873,-40.35,6.16,-0.15],
+  [32682,6.8177,1.002,6.16,-0.13,"V0715 Mon"],
+  [33269,6.9207,43.91,6.16,0.31,"V0352 Aur"],
+  [37339,7.665,32.01,6.16,0.37],
+  [37465,7.6899,-22.337,6.16,1.64],
+  [37720,7.7369,-69.822,6.16,-0.03],
+  [38307,7.8487,-11.129,6.16,1.13],
+  [38794,7.94,4.486,6.16,0.96],
+  [42484,8.6618,73.63,6.16,1.02],
+  [44738,9.1166,1.463,6.16,1.65],
+  [45896,9.3576,32.902,6.16,1.1],
+  [49994,10.2064,-52.163,6.16,1.17],
+  [50232,10.2546,-54.974,6.16,-0.15],
+  [50755,10.364,14.976,6.16,0.02,"42 Leo"],
+  [53546,10.9544,-75.1,6.16,1.53],
+  [53701,10.9872,-61.321,6.16,-0.06],
+  [54082,11.0667,-57.955,6.16,-0.17],
+  [57497,11.7853,-35.907,6.16,0.95],
+  [58642,12.0248,-57.504,6.16,0],
+  [59307,12.1674,-34.705,6.16,0.03],
+  [60168,12.3383,26.002,6.16,0.31],
+  [62212,12.7506,-68.831,6.16,0.69],
+  [64557,13.2327,-43.139,6.16,1.37],
+  [66860,13.7035,8.388,6.16,0.42],
+  [68030,13.9306,14.056,6.16,0.52],
+  [68637,14.0499,50.972,6.16,0.03],
+  [74026,15.1279,5.498,6.16,0.92],
+  [74121,15.1482,13.235,6.16,0.97],
+  [75110,15.3482,-18.159,6.16,1.02,"28 Lib"],
+  [78989,16.1234,-56.191,6.16,0.56],
+  [81507,16.648,-60.99,6.16,-0.07],
+  [82426,16.8453,32.554,6.16,1.01],
+  [83289,17.0214,60.649,6.16,1.01],
+  [85839,17.5402,-34.279,6.16,0.36,"V0949 Sco"],
+  [86831,17.7428,2.579,6.16,0.13,"61 Oph"],
+  [90182,18.4026,83.175,6.16,0.05],
+  [97767,19.8676,11.628,6.16,0.64],
+  [98111,19.9386,56.687,6.16,0.09],
+  [98858,20.0747,48.23,6.16,0.04],
+  [100511,20.3812,14.551,6.16,0.5],
+  [106771,21.6274,54.042,6.16,0.99],
+  [107041,21.6787,54.872,6.16,1.12],
+  [109033,22.0879,46.745,6.16,1.61,"HT Lac"],
+  [109984,22.276,-1.596,6.16,0.19],
+  [110849,22.4574,39.81,6.16,-0.14],
+  [114081,23.105,18.518,6.16,0.48],
+  [1195,0.2495,-34.904,6.17,1.34],
+  [6589,1.4111,-15.661,6.17,0.92],
+  [6605,1.4135,-2.849,6.17,0.96],
+  [7115,1.5275,-45.576,6.17,0.07],
+  [10924,2.3449,47.311,6.17,-0.09],
+  [11231,2.4094,-40.84,6.17,0.65],
+  [11671,2.5091,-22.545,6.17,1.58],
+  [12022,2.5845,7.471,6.17,1.05],
+  [13700,2.9402,64.332,6.17,1.99],
+  [15024,3.2272,-29.804,6.17,1.04],
+  [15203,3.2669,-5.919,6.17,-0.02],
+  [17900,3.8288,23.712,6.17,-0.05],
+  [24313,5.2174,61.85,6.17,0.03],
+  [25476,5.4484,35.457,6.17,1.45],
+  [27046,5.7357,61.477,6.17,0.9,"23 Cam"],
+  [28532,6.0223,85.182,6.17,1.56],
+  [30906,6.4874,2.646,6.17,1.54],
+  [31066,6.5193,11.251,6.17,-0.12],
+  [31672,6.6279,2.704,6.17,1.08],
+  [34217,7.0944,52.759,6.17,0.1],
+  [35842,7.3911,22.945,6.17,0.01,"58 Gem"],
+  [37614,7.7182,0.189,6.17,1.05],
+  [38300,7.8465,3.277,6.17,1.11],
+  [43394,8.8393,-28.618,6.17,-0.06],
+  [43957,8.9523,17.144,6.17,1],
+  [50234,10.2558,-36.518,6.17,1.06],
+  [53472,10.938,22.352,6.17,1.55],
+  [56899,11.664,-16.62,6.17,1.58,"VX Crt"],
+  [57971,11.8908,-35.067,6.17,0.09],
+  [64651,13.2526,-36.371,6.17,0.97],
+  [65311,13.3857,-33.19,6.17,1.65],
+  [65755,13.4797,-69.627,6.17,-0.01,"EZ Mus"],
+  [67851,13.8978,-35.314,6.17,1.01],
+  [73279,14.9768,-39.907,6.17,1.22],
+  [81358,16.6153,63.073,6.17,1.53],
+  [81657,16.6807,-60.446,6.17,0.49],
+  [83317,17.0278,75.297,6.17,0.31,"VX UMi"],
+  [84479,17.2706,2.186,6.17,0.23,"V2368 Oph"],
+  [85242,17.4184,-24.244,6.17,1.1],
+  [85393,17.449,-51.949,6.17,-0.04],
+  [87540,17.8843,-10.9,6.17,1.11],
+  [89805,18.3278,-63.887,6.17,0.58],
+  [92669,18.8833,-46.586,6.17,0.05],
+  [92676,18.884,-48.361,6.17,0.12],
+  [96805,19.6781,43.078,6.17,1.56],
+  [98385,19.9896,1.378,6.17,1.13],
+  [100274,20.339,14.569,6.17,0.93],
+  [102216,20.711,60.601,6.17,0.03],
+  [103532,20.9753,41.94,6.17,-0.08],
+  [105101,21.2898,42.684,6.17,-0.09],
+  [106267,21.5243,52.62,6.17,0.9],
+  [106518,21.5743,51.699,6.17,-0.01],
+  [106881,21.649,-79.443,6.17,0.46],
+  [107596,21.794,-5.917,6.17,0.23],
+  [108209,21.9224,61.542,6.17,1.6],
+  [108281,21.9372,-57.9,6.17,0.21,"π Ind"],
+  [109205,22.1238,53.307,6.17,0.39],
+  [110018,22.2833,-23.14,6.17,1.05],
+  [113371,22.9613,39.309,6.17,-0.15],
+  [113421,22.971,-2.395,6.17,0.74],
+  [115257,23.3447,-5.908,6.17,1.09],
+  [43,0.0086,59.56,6.18,1.03],
+  [664,0.1367,-2.448,6.18,1.37,"5 Psc"],
+  [967,0.1997,48.152,6.18,1.47],
+  [2388,0.5077,-40.94,6.18,0.32,"BB Phe"],
+  [2422,0.5153,77.019,6.18,0.88],
+  [2474,0.5237,66.52,6.18,-0.1,"13 Cas"],
+  [2926,0.6187,24.014,6.18,1.17],
+  [3334,0.7086,58.753,6.18,0],
+  [6669,1.4266,23.512,6.18,0.45],
+  [7506,1.6124,-58.271,6.18,1.61],
+  [8115,1.7383,57.537,6.18,0.13,"V0773 Cas"],
+  [8320,1.788,-41.76,6.18,1.54],
+  [14551,3.1308,-27.831,6.18,0.17],
+  [17058,3.6572,16.537,6.18,1],
+  [17772,3.805,50.737,6.18,0.03],
+  [18455,3.9439,-9.751,6.18,0.27,"DL Eri"],
+  [20456,4.3828,59.616,6.18,0.11],
+  [21038,4.5107,32.458,6.18,-0.03],
+  [21961,4.7205,24.089,6.18,0.54,"95 Tau"],
+  [22192,4.7738,-28.087,6.18,0.19,"EX Eri"],
+  [25378,5.4297,0.52,6.18,-0.18],
+  [25475,5.4476,33.262,6.18,1.15],
+  [25502,5.4539,15.258,6.18,0.08],
+  [25776,5.5039,-84.785,6.18,0,"31 Men"],
+  [26862,5.7032,-30.535,6.18,0.02],
+  [27308,5.7855,-16.238,6.18,0.89],
+  [27472,5.818,62.808,6.18,0.13],
+  [28517,6.0195,31.035,6.18,0.1],
+  [29401,6.1955,-4.665,6.18,-0.08,"V0638 Mon"],
+  [31067,6.5195,16.939,6.18,null],
+  [31265,6.5573,-52.329,6.18,1.09],
+  [32177,6.7185,3.034,6.18,1.37],
+  [37269,7.6533,24.223,6.18,0.03],
+  [38106,7.8093,23.141,6.18,0.57,"82 Gem"],
+  [39584,8.089,-46.978,6.18,-0.14,"MX Vel"],
+  [40858,8.3369,-0.909,6.18,0.61],
+  [41798,8.5222,37.265,6.18,-0.04],
+  [42299,8.6242,-4.934,6.18,1.05],
+  [47145,9.6071,-48.751,6.18,0.28,"IM Vel"],
+  [47172,9.6129,-52.944,6.18,1.05],
+  [47791,9.7435,64.984,6.18,0.42],
+  [48782,9.9499,-69.102,6.18,-0.1,"V0492 Car"],
+  [49233,10.05,-60.179,6.18,0.17],
+  [50222,10.2521,59.986,6.18,1.62,"U UMa"],
+  [50976,10.4124,-73.972,6.18,0.07],
+  [51014,10.4214,-42.467,6.18,1.01],
+  [53761,10.9991,77.77,6.18,0.97],
+  [56756,11.6361,8.884,6.18,1.08],
+  [58445,11.9843,0.531,6.18,1.26],
+  [59708,12.2454,53.435,6.18,1.06,"1 CVn"],
+  [63109,12.9315,-15.327,6.18,0],
+  [64478,13.2155,-59.817,6.18,0.59],
+  [64933,13.3097,-51.286,6.18,0],
+  [65288,13.3813,-47.943,6.18,0.18],
+  [65862,13.5,7.179,6.18,1.47],
+  [67139,13.7597,-15.768,6.18,0.05,"85 Vir"],
+  [68594,14.0422,9.686,6.18,0.85],
+  [68641,14.0505,-31.684,6.18,0.48],
+  [68872,14.103,-43.092,6.18,0.99],
+  [70022,14.328,0.384,6.18,0.2],
+  [70680,14.4568,-6.12,6.18,0.09,"104 Vir"],
+  [72629,14.85,-0.258,6.18,1.4],
+  [74047,15.1324,-65.275,6.18,1.47],
+  [74272,15.179,67.781,6.18,0.14],
+  [74600,15.2427,-17.769,6.18,-0.01,"26 Lib"],
+  [74929,15.3115,-31.209,6.18,1.21],
+  [79173,16.1588,-32.649,6.18,0.79],
+  [79781,16.282,-3.953,6.18,0.33],
+  [81840,16.7162,55.69,6.18,0.09],
+  [82339,16.8244,-15.668,6.18,0.23,"V1010 Oph"],
+  [82355,16.8279,43.43,6.18,1.26],
+  [82911,16.9433,-40.824,6.18,0.23,"V0861 Sco"],
+  [83650,17.0968,-44.105,6.18,0.28],
+  [86809,17.7381,14.41,6.18,0.21,"V0624 Her"],
+  [87099,17.796,-22.478,6.18,1.45],
+  [87495,17.8774,-6.144,6.18,1.25,"Y Oph"],
+  [87706,17.915,-24.887,6.18,0,"63 Oph"],
+  [88277,18.0266,33.311,6.18,1.55],
+  [88604,18.0917,21.647,6.18,1.24],
+  [89622,18.29,-28.652,6.18,0.18],
+  [91843,18.7247,53.872,6.18,0.09],
+  [92131,18.7782,18.706,6.18,1.59],
+  [94685,19.2665,27.926,6.18,0.63,"V0473 Lyr"],
+  [97307,19.7764,32.889,6.18,1.17],
+  [98482,20.007,-49.351,6.18,1.06],
+  [98921,20.0861,38.478,6.18,0.65],
+  [99221,20.142,-10.063,6.18,0.03,"AV Cap"],
+  [103828,21.0401,44.791,6.18,1.69],
+  [104297,21.1291,-17.456,6.18,-0.04],
+  [104597,21.1891,-72.544,6.18,1.09],
+  [104822,21.2362,29.901,6.18,1.1],
+  [106872,21.6459,25.499,6.18,1.03],
+  [107558,21.7847,17.194,6.18,0.35,"V0372 Peg"],
+  [107723,21.8219,61.273,6.18,1.69],
+  [108347,21.9506,-37.747,6.18,0.32],
+  [109439,22.172,19.616,6.18,0.69],
+  [110341,22.3488,8.187,6.18,0.45],
+  [110497,22.3834,57.285,6.18,-0.11],
+  [110566,22.3984,38.574,6.18,0.48],
+  [113781,23.0424,-6.574,6.18,1.59,"82 Aqr"],
+  [114268,23.1432,-73.586,6.18,1.42],
+  [115528,23.4022,-18.688,6.18,1.02],
+  [116365,23.5797,38.024,6.18,1.59],
+  [118048,23.9449,22.648,6.18,1.64],
+  [560,0.1139,-23.108,6.19,0.39],
+  [1421,0.2966,1.689,6.19,0.94],
+  [4317,0.9207,24.557,6.19,1.55],
+  [11907,2.5612,-20.002,6.19,1.1],
+  [12287,2.6383,37.727,6.19,0.49],
+  [17057,3.6571,-10.437,6.19,1.03],
+  [18508,3.9573,24.462,6.19,1.37],
+  [25781,5.5044,-63.928,6.19,0.23],
+  [26072,5.5608,20.474,6.19,-0.03],
+  [26638,5.6621,75.044,6.19,1.61],
+  [27317,5.787,-54.361,6.19,1.41],
+  [31056,6.5166,-40.916,6.19,1.4],
+  [32012,6.6881,11.003,6.19,1.68],
+  [32434,6.77,-37.775,6.19,-0.12,"V0339 Pup"],
+  [34462,7.1434,37.445,6.19,1.21],
+  [35345,7.3011,30.956,6.19,-0.02],
+  [41949,8.5513,-24.607,6.19,0.27],
+  [44010,8.9617,9.388,6.19,0.98],
+  [44162,8.9944,-19.208,6.19,0.46],
+  [45002,9.1659,-52.083,6.19,1.02],
+  [46297,9.4412,-40.502,6.19,0.25],
+  [46904,9.5584,36.487,6.19,1.26,"9 LMi"],
+  [51425,10.5024,-66.985,6.19,0,"V0655 Car"],
+  [53355,10.9117,25.491,6.19,0.29,"48 LMi"],
+  [53702,10.9872,-84.594,6.19,0.1,"η Oct"],
+  [61134,12.5274,-5.053,6.19,1.04],
+  [64472,13.2141,-42.7,6.19,1.06],
+  [67523,13.8351,-29.081,6.19,-0.01],
+  [67953,13.9162,-8.059,6.19,0.53],
+  [69113,14.1477,-43.471,6.19,-0.06],
+  [69818,14.2892,51.307,6.19,0.07],
+  [70414,14.4051,8.085,6.19,1.21],
+  [74514,15.2266,38.265,6.19,1.22],
+  [75003,15.3255,-37.097,6.19,0.96],
+  [76503,15.6246,-26.28,6.19,-0.01],
+  [76664,15.6551,-77.918,6.19,1.21],
+  [78632,16.0526,59.411,6.19,1.58],
+  [83462,17.0584,35.414,6.19,1.47,"61 Her"],
+  [83565,17.0782,19.599,6.19,0.01],
+  [86352,17.6458,-21.913,6.19,0.83],
+  [87335,17.8454,11.947,6.19,1.25],
+  [87523,17.8813,-41.996,6.19,0.52],
+  [89980,18.3587,-24.915,6.19,1.82,"V4028 Sgr"],
+  [90494,18.4657,-17.8,6.19,0],
+  [92270,18.8046,23.515,6.19,0.49],
+  [92593,18.8672,13.966,6.19,-0.01,"V0822 Her"],
+  [94833,19.2967,2.032,6.19,0.02],
+  [95492,19.4238,24.913,6.19,0.53],
+  [96607,19.6405,-57.983,6.19,0.97],
+  [98946,20.0893,56.341,6.19,0.44],
+  [101044,20.4842,83.625,6.19,0.16],
+  [101556,20.5807,51.854,6.19,0.32],
+  [101608,20.5923,-16.526,6.19,0.22],
+  [106752,21.6244,44.697,6.19,0.22,"CP Cyg"],
+  [106783,21.6288,6.618,6.19,0.05,"3 Peg"],
+  [107901,21.8616,-18.623,6.19,0.37],
+  [109121,22.1034,45.249,6.19,0.08],
+  [109667,22.216,-26.328,6.19,0.17],
+  [110171,22.3156,37.769,6.19,0.27],
+  [112615,22.8084,-10.556,6.19,0.27,"70 Aqr"],
+  [112670,22.8169,68.57,6.19,0.44],
+  [114526,23.197,26.847,6.19,0.94,"60 Peg"],
+  [115996,23.5021,49.133,6.19,1.46],
+  [602,0.1217,-17.387,6.2,0.13],
+  [4383,0.9369,57.997,6.2,1.38],
+  [5034,1.0743,29.659,6.2,0.44],
+  [5928,1.2703,87.145,6.2,1.11],
+  [7493,1.6076,48.723,6.2,1.24,"OP And"],
+  [7874,1.6884,25.746,6.2,0.46],
+  [7886,1.6909,-38.133,6.2,0.4],
+  [8094,1.7319,-4.766,6.2,1.54],
+  [11578,2.4871,23.469,6.2,0.15],
+  [14124,3.0359,-6.495,6.2,0.6],
+  [15776,3.3883,-7.794,6.2,0.7],
+  [16628,3.5658,-31.08,6.2,0.48],
+  [23484,5.0473,66.823,6.2,0.51],
+  [23589,5.0727,21.278,6.2,1.32],
+  [23799,5.1138,43.175,6.2,0.44],
+  [24977,5.3491,19.814,6.2,1.23],
+  [25730,5.4946,29.186,6.2,0.48],
+  [28622,6.0427,-14.497,6.2,0.95],
+  [33210,6.9117,-1.756,6.2,0.49],
+  [33595,6.9798,26.081,6.2,0.52,"39 Gem"],
+  [33873,7.0314,-1.346,6.2,1.29],
+  [35920,7.4048,-22.913,6.2,-0.09],
+  [37202,7.6424,-38.782,6.2,1.01],
+  [37599,7.7148,-58.23,6.2,1.05],
+  [41975,8.556,36.436,6.2,0.4,"32 Lyn"],
+  [42936,8.7515,-58.724,6.2,-0.08],
+  [43266,8.8137,66.708,6.2,-0.11],
+  [44290,9.0198,-26.664,6.2,1.14],
+  [46410,9.4643,75.098,6.2,0.12],
+  [49137,10.028,-53.364,6.2,-0.14],
+  [49160,10.0328,-57.35,6.2,1.11],
+  [49530,10.1132,5.612,6.2,0.94,"14 Sex"],
+  [50332,10.2778,-51.205,6.2,1.44,"GY Vel"],
+  [51490,10.5163,-7.638,6.2,1.38],
+  [55412,11.3483,67.101,6.2,1.02],
+  [58272,11.951,-33.316,6.2,-0.04,"LV Hya"],
+  [59678,12.238,-64.409,6.2,0.07,"DL Cru"],
+  [60183,12.3412,-65.843,6.2,-0.04],
+  [61053,12.5139,53.077,6.2,0.57],
+  [61496,12.5997,-20.527,6.2,0.34,"TU Crv"],
+  [63497,13.0108,18.373,6.2,0.47],
+  [64077,13.1316,27.556,6.2,1.36],
+  [64774,13.2746,68.408,6.2,-0.05],
+  [65108,13.3431,-59.773,6.2,0.41],
+  [68270,13.9753,-65.801,6.2,1.04],
+  [68842,14.0962,-54.669,6.2,0.23,"V0992 Cen"],
+  [71469,14.6166,-12.305,6.2,0.46],
+  [73394,14.9988,-75.033,6.2,-0.04],
+  [75939,15.5101,-20.729,6.2,0.19],
+  [77689,15.8607,-14.134,6.2,1.01],
+  [84054,17.1842,24.238,6.2,0.23,"63 Her"],
+  [84445,17.2643,-30.211,6.2,-0.03],
+  [85397,17.4506,-12.512,6.2,0.52],
+  [92254,18.8007,4.241,6.2,1.51],
+  [92963,18.9396,-1.8,6.2,-0.05],
+  [93177,18.9796,40.679,6.2,-0.15],
+  [94280,19.1898,40.429,6.2,0.09],
+  [98401,19.9935,76.481,6.2,1.61,"69 Dra"],
+  [99570,20.2066,-42.78,6.2,1.23],
+  [100208,20.3248,13.217,6.2,1.65],
+  [100515,20.3821,42.983,6.2,0.96],
+  [100969,20.4713,2.937,6.2,0.9],
+  [101245,20.5225,52.309,6.2,1.02],
+  [102780,20.8224,-18.036,6.2,1.4],
+  [102833,20.8331,5.545,6.2,0.99],
+  [104925,21.254,-40.506,6.2,1.14],
+  [105660,21.4021,25.312,6.2,0.03],
+  [106978,21.6666,-52.359,6.2,0.58],
+  [107856,21.8514,39.537,6.2,-0.07,"V1619 Cyg"],
+  [110548,22.3943,20.848,6.2,0.52,"33 Peg"],
+  [113127,22.9095,-7.205,6.2,1.28,"78 Aqr"],
+  [115906,23.4835,-9.266,6.2,1.44],
+  [699,0.1447,36.627,6.21,0.5],
+  [6432,1.3769,1.726,6.21,1.48],
+  [6539,1.4007,-8.007,6.21,0.23,"44 Cet"],
+  [10814,2.3197,46.472,6.21,0.16],
+  [11698,2.5151,17.704,6.21,0.91,"27 Ari"],
+  [12318,2.6436,3.443,6.21,1],
+  [12786,2.739,-32.525,6.21,0.04],
+  [16252,3.4906,46.938,6.21,0.13],
+  [17734,3.7971,-36.106,6.21,-0.1],
+  [18173,3.8869,-18.434,6.21,0.87],
+  [21689,4.6564,25.218,6.21,0.18],
+  [23582,5.0702,73.764,6.21,1.61],
+  [25785,5.5055,4.205,6.21,1.28,"CK Ori"],
+  [26779,5.689,53.481,6.21,0.84,"V0538 Aur"],
+  [28252,5.9699,-0.994,6.21,1.14],
+  [28434,6.0049,-12.9,6.21,0.36,"AC Lep"],
+  [28438,6.0052,44.592,6.21,1.13],
+  [32190,6.7205,37.147,6.21,1.03],
+  [36736,7.5562,-14.338,6.21,-0.06],
+  [38879,7.9556,-47.891,6.21,-0.1],
+  [39535,8.0793,18.842,6.21,-0.04],
+  [39607,8.0936,27.53,6.21,0.01],
+  [39920,8.1528,-35.455,6.21,0.89],
+  [42538,8.6717,31.942,6.21,0.4],
+  [42777,8.7167,46.901,6.21,0.98],
+  [43073,8.7733,-41.125,6.21,-0.05],
+  [44231,9.0086,37.604,6.21,1.57],
+  [46067,9.3944,-46.909,6.21,-0.09],
+  [53963,11.0401,-26.831,6.21,0.31],
+  [56901,11.6642,-14.469,6.21,-0.01],
+  [57079,11.701,-20.294,6.21,0.95],
+  [58545,12.0052,80.853,6.21,1.61,"FR Cam"],
+  [59851,12.2733,-72.615,6.21,-0.01],
+  [60327,12.3697,24.774,6.21,-0.01],
+  [60861,12.4738,-61.795,6.21,1.25],
+  [60988,12.5008,51.536,6.21,0.54,"7 CVn"],
+  [65183,13.3583,-19.489,6.21,0.1],
+  [66690,13.671,31.012,6.21,0.96],
+  [67071,13.746,-25.501,6.21,1.37],
+  [71861,14.6989,-58.616,6.21,0.45],
+  [72471,14.8186,-56.668,6.21,1.11],
+  [73559,15.0328,-34.359,6.21,0.24],
+  [75164,15.3598,-40.749,6.21,0.07],
+  [76809,15.6828,-47.736,6.21,1.62],
+  [77835,15.893,16.075,6.21,0.41],
+  [77985,15.9251,-31.084,6.21,1.37],
+  [78445,16.0149,-40.435,6.21,0.01],
+  [79414,16.207,67.144,6.21,0.99],
+  [81903,16.7294,-41.119,6.21,0.14],
+  [84158,17.2055,-70.721,6.21,1.06],
+  [91062,18.5753,-52.892,6.21,1.25],
+  [91159,18.5981,16.976,6.21,0.54],
+  [91250,18.6127,43.222,6.21,0.25],
+  [93470,19.0357,-41.91,6.21,0],
+  [97611,19.8394,-61.061,6.21,-0.14],
+  [97971,19.9112,-61.171,6.21,0.16],
+  [101213,20.5162,20.606,6.21,0.14],
+  [101214,20.5165,36.936,6.21,0.97,"44 Cyg"],
+  [101746,20.6218,0.097,6.21,-0.08],
+  [101756,20.6232,38.329,6.21,1.01],
+  [103682,21.0094,-4.73,6.21,0.64,"11 Aqr"],
+  [109939,22.2666,8.55,6.21,0.02],
+  [114227,23.1326,64.222,6.21,1.08],
+  [117494,23.8254,-15.861,6.21,1.21],
+  [106,0.022,49.982,6.22,0.97],
+  [1123,0.234,33.206,6.22,0.01],
+  [4023,0.8594,51.571,6.22,0.03],
+  [6868,1.473,7.961,6.22,1.11],
+  [11108,2.3827,-18.355,6.22,0.94],
+  [13518,2.9018,-50.871,6.22,1.57],
+  [13732,2.9474,51.261,6.22,1.57],
+  [17086,3.6607,-3.393,6.22,1.04],
+  [18094,3.8679,31.169,6.22,0.21],
+  [20063,4.3023,42.141,6.22,-0.07,"V0545 Per"],
+  [20997,4.5028,-13.592,6.22,1],
+  [23311,5.0136,-5.754,6.22,1.05],
+  [24394,5.2333,-14.607,6.22,0.38],
+  [24771,5.3112,40.465,6.22,1.39],
+  [26713,5.677,-2.825,6.22,-0.19],
+  [26821,5.6949,-16.726,6.22,-0.14],
+  [27303,5.7846,-28.639,6.22,-0.13],
+  [27795,5.8821,68.472,6.22,0.95],
+  [28232,5.9651,1.224,6.22,1.46],
+  [30028,6.3189,-8.586,6.22,-0.04],
+  [30769,6.4657,20.496,6.22,0.04,"16 Gem"],
+  [33492,6.9618,-27.538,6.22,-0.15],
+  [39271,8.0308,8.914,6.22,0.57],
+  [40058,8.183,14.63,6.22,0.01],
+  [40476,8.2646,-30.926,6.22,0.78],
+  [43035,8.7686,-11.007,6.22,1.61],
+  [43410,8.8423,33.285,6.22,0.55],
+  [47913,9.7655,-58.794,6.22,0.46],
+  [50287,10.2676,-59.903,6.22,0.19],
+  [53706,10.9883,51.882,6.22,1.35],
+  [54929,11.2484,-43.734,6.22,1.61],
+  [56775,11.64,-2.436,6.22,1.12],
+  [58259,11.9481,61.549,6.22,0.95],
+  [59200,12.1402,-60.847,6.22,1.73],
+  [61443,12.5915,-61.842,6.22,0.73],
+  [61703,12.6479,-67.193,6.22,0.01],
+  [61937,12.6929,10.426,6.22,0.19,"27 Vir"],
+  [66725,13.6775,28.065,6.22,1.31],
+  [69792,14.2844,-18.586,6.22,0.98],
+  [70310,14.3852,25.338,6.22,0.41],
+  [70336,14.3905,-11.714,6.22,0.99,"2 Lib"],
+  [70762,14.4712,36.197,6.22,1.17],
+  [73706,15.066,65.92,6.22,0.06],
+  [76069,15.536,16.056,6.22,-0.04,"τ2 Ser"],
+  [76733,15.6695,12.053,6.22,0.97],
+  [77817,15.8897,-62.607,6.22,1.47],
+  [78699,16.0652,-24.726,6.22,1.39],
+  [81847,16.7177,-46.07,6.22,0.82],
+  [85480,17.4689,-63.036,6.22,-0.07],
+  [85692,17.5121,57.877,6.22,1.4],
+  [86732,17.7228,14.295,6.22,0.43],
+  [86925,17.7612,31.505,6.22,0.01],
+  [87150,17.8056,3.804,6.22,0.14],
+  [87850,17.9468,45.351,6.22,1.45,"OP Her"],
+  [88125,18,-20.34,6.22,1.41],
+  [88346,18.0417,22.923,6.22,-0.09,"97 Her"],
+  [88760,18.1198,-21.444,6.22,0.1],
+  [90086,18.3841,16.688,6.22,1.22],
+  [90936,18.5503,-39.892,6.22,0.43],
+  [91689,18.6977,-23.833,6.22,0.23,"26 Sgr"],
+  [92021,18.7566,-56.882,6.22,1.39],
+  [92550,18.86,28.784,6.22,1.18],
+  [93138,18.9733,6.24,6.22,0.48],
+  [93975,19.1343,21.699,6.22,0.43],
+  [95154,19.3599,76.56,6.22,2.67,"UX Dra"],
+  [96907,19.6993,40.254,6.22,0.18],
+  [97700,19.8554,47.377,6.22,0.4],
+  [97944,19.9049,-23.941,6.22,1.02,"V4200 Sgr"],
+  [100268,20.3376,39.403,6.22,0.06],
+  [101810,20.6319,18.269,6.22,1.16,"EU Del"],
+  [101965,20.6644,-62.908,6.22,1.1],
+  [106605,21.5908,24.452,6.22,0.14],
+  [106758,21.626,-0.391,6.22,0.06],
+  [106818,21.6341,-64.824,6.22,0.02],
+  [111548,22.598,-57.884,6.22,0.21],
+  [113610,23.0105,0.186,6.22,0.89,"3 Psc"],
+  [115759,23.4525,-50.157,6.22,-0.08],
+  [117927,23.9188,7.071,6.22,-0.07,"26 Psc"],
+  [4563,0.9728,-60.696,6.23,0.1],
+  [5319,1.1337,32.012,6.23,0.4,"78 Psc"],
+  [5992,1.2844,-66.398,6.23,0.05],
+  [7436,1.5962,14.661,6.23,-0.04,"101 Psc"],
+  [12200,2.6185,32.891,6.23,0.52],
+  [12717,2.7241,-66.714,6.23,0.54],
+  [13462,2.8892,48.57,6.23,1.18],
+  [20771,4.4502,2.079,6.23,1.09],
+  [25410,5.4349,16.7,6.23,-0.08,"113 Tau"],
+  [25869,5.5225,-6.708,6.23,-0.18],
+  [26718,5.6783,31.921,6.23,2.09,"NO Aur"],
+  [26964,5.7221,23.204,6.23,-0.07,"V0731 Tau"],
+  [28644,6.0487,32.636,6.23,0.46],
+  [28861,6.0927,33.599,6.23,-0.08],
+  [31766,6.6439,1.613,6.23,0.09,"V0689 Mon"],
+  [33126,6.8987,-24.539,6.23,0.02],
+  [33451,6.9549,-35.507,6.23,0.47],
+  [33590,6.9783,-45.768,6.23,-0.01],
+  [34536,7.1556,-10.347,6.23,-0.02],
+  [34617,7.1693,-18.686,6.23,0.42],
+  [35737,7.3718,-2.979,6.23,0.69],
+  [36340,7.4798,15.11,6.23,-0.04],
+  [37404,7.6798,13.771,6.23,1.39],
+  [38184,7.8247,-13.353,6.23,-0.08],
+  [38723,7.928,35.413,6.23,0.28,"DD Lyn"],
+  [41894,8.5426,53.115,6.23,1.01],
+  [48584,9.9088,-22.488,6.23,0.05],
+  [49394,10.0838,-51.314,6.23,-0.05],
+  [49658,10.1377,31.604,6.23,0.47],
+  [49900,10.1883,-7.317,6.23,0.03],
+  [50066,10.2221,-27.029,6.23,0.32],
+  [55941,11.4649,-1.7,6.23,1.04],
+  [56550,11.5951,-61.288,6.23,0.13],
+  [59008,12.0991,-35.694,6.23,-0.07],
+  [59046,12.1055,-68.651,6.23,1.24],
+  [59439,12.1921,-51.359,6.23,0.82],
+  [60018,12.3088,30.249,6.23,0.31],
+  [60813,12.4643,-4.615,6.23,0.43,"FT Vir"],
+  [68478,14.0196,27.387,6.23,0.19,"11 Boo"],
+  [69458,14.2203,-26.612,6.23,1.07],
+  [69569,14.2399,41.519,6.23,1.07],
+  [75915,15.5059,-41.919,6.23,-0.01],
+  [76063,15.5345,-38.623,6.23,0.21],
+  [81823,16.7134,-62.554,6.23,1.52],
+  [94974,19.3268,54.376,6.23,0.03],
+  [98563,20.0209,37.099,6.23,1.31],
+  [100295,20.3418,53.596,6.23,1.55],
+  [100807,20.4398,17.316,6.23,1],
+  [100953,20.4688,8.437,6.23,1.07],
+  [101134,20.5002,72.532,6.23,1.35],
+  [101921,20.6537,-2.413,6.23,-0.09],
+  [103206,20.9098,-50.727,6.23,-0.1],
+  [103346,20.9381,56.888,6.23,-0.17],
+  [105034,21.2749,42.252,6.23,1.25],
+  [107238,21.7204,-19.621,6.23,0.27],
+  [109821,22.2441,-41.382,6.23,0.65],
+  [111761,22.6395,-7.898,6.23,0.78],
+  [112761,22.8361,50.677,6.23,1.13],
+  [113674,23.0232,-7.061,6.23,1.42,"81 Aqr"],
+  [117107,23.7414,-26.247,6.23,0.49],
+  [117797,23.8891,-24.229,6.23,0.19],
+  [274,0.0571,63.641,6.24,0.33,"V0639 Cas"],
+  [716,0.1478,25.463,6.24,0.98],
+  [1076,0.2233,26.988,6.24,0.68],
+  [2086,0.4394,-18.694,6.24,1.62],
+  [5412,1.1534,80.012,6.24,0.92],
+  [5679,1.2165,30.064,6.24,0.98],
+  [7580,1.6271,-9.404,6.24,0.53],
+  [9627,2.0618,18.253,6.24,1.42],
+  [10220,2.1903,31.526,6.24,0.11,"5 Tri"],
+  [11925,2.5652,-51.093,6.24,0.51],
+  [14104,3.0312,5.336,6.24,1.04],
+  [14586,3.1392,18.795,6.24,1.56,"54 Ari"],
+  [19720,4.2263,10.213,6.24,0.02],
+  [21251,4.5592,18.017,6.24,0.08],
+  [21998,4.729,-41.065,6.24,1.47,"λ Cae"],
+  [24130,5.1828,-2.254,6.24,0.98],
+  [25401,5.434,-5.519,6.24,-0.05],
+  [26106,5.5677,-1.036,6.24,-0.16],
+  [26234,5.5895,-4.424,6.24,-0.15],
+  [27212,5.7675,-4.269,6.24,1.05],
+  [28205,5.9597,66.096,6.24,1.37],
+  [29840,6.283,23.741,6.24,0.45,"9 Gem"],
+  [29982,6.3112,9.047,6.24,0.87],
+  [30448,6.4006,8.885,6.24,-0.06],
+  [30566,6.425,-35.064,6.24,1.35],
+  [30815,6.4745,16.238,6.24,0.89],
+  [33056,6.8854,44.84,6.24,0.24],
+  [33139,6.9006,-50.612,6.24,0.99],
+  [35975,7.4141,-19.012,6.24,0.29],
+  [36526,7.5142,-5.226,6.24,1.19],
+  [44130,8.9877,-28.806,6.24,1],
+  [46247,9.4289,63.941,6.24,1.47,"EZ UMa"],
+  [48273,9.8417,4.344,6.24,0.48,"4 Sex"],
+  [49802,10.1657,-12.095,6.24,0.18],
+  [50903,10.3946,-41.953,6.24,0.88],
+  [52391,10.7087,-13.975,6.24,1.54],
+  [54708,11.201,-58.423,6.24,1.5,"V0532 Car"],
+  [55130,11.2867,-38.014,6.24,0.1],
+  [56245,11.5299,-20.776,6.24,0.54],
+  [57587,11.8065,-10.313,6.24,0.58],
+  [58741,12.0477,-7.684,6.24,1.49],
+  [59785,12.2585,-41.913,6.24,1],
+  [60549,12.4124,-41.384,6.24,1.17],
+  [61320,12.5632,33.385,6.24,1.05],
+  [63820,13.0801,-41.196,6.24,1.65,"V0789 Cen"],
+  [68707,14.0655,4.901,6.24,0.41],
+  [71876,14.7009,61.262,6.24,0.41,"DL Dra"],
+  [77287,15.7793,-6.12,6.24,1.17],
+  [80227,16.3775,-2.08,6.24,0.06],
+  [84510,17.2766,-74.533,6.24,0],
+  [87655,17.9039,11.131,6.24,0.47,"V2388 Oph"],
+  [89684,18.3021,18.132,6.24,0],
+  [92072,18.7656,-50.873,6.24,-0.08],
+  [92386,18.827,0.836,6.24,0.04],
+  [92731,18.8962,57.487,6.24,1.24],
+  [96721,19.6616,-45.279,6.24,0.29,"QQ Tel"],
+  [96781,19.6719,-54.418,6.24,1],
+  [97796,19.8727,18.672,6.24,-0.03,"9 Sge"],
+  [98872,20.079,63.89,6.24,0.1],
+  [99445,20.1843,21.135,6.24,0.89],
+  [99479,20.1892,21.875,6.24,-0.05],
+  [100018,20.2921,29.148,6.24,1.01],
+  [100852,20.448,-37.403,6.24,0.96],
+  [102158,20.6995,17.521,6.24,0.94,"LU Del"],
+  [102770,20.8215,-0.563,6.24,1.4,"IQ Aqr"],
+  [103892,21.0508,1.532,6.24,0.48],
+  [108144,21.91,-3.301,6.24,0.47],
+  [108506,21.9819,-4.373,6.24,0.97],
+  [113684,23.0252,57.105,6.24,1.5],
+  [114969,23.2858,-28.438,6.24,1.56],
+  [116118,23.5283,-21.369,6.24,0.32,"100 Aqr"],
+  [116824,23.678,36.721,6.24,0.42],
+  [116912,23.6985,57.26,6.24,1.02],
+  [137,0.0288,42.367,6.25,-0.04],
+  [238,0.0493,-20.046,6.25,0.53],
+  [399,0.0822,26.649,6.25,1.37],
+  [1193,0.2489,22.284,6.25,0],
+  [1772,0.3737,13.482,6.25,1.23,"42 Psc"],
+  [4879,1.0453,-65.456,6.25,1.63,"CC Tuc"],
+  [6952,1.4918,-46.756,6.25,1.66,"AW Phe"],
+  [8148,1.7462,57.089,6.25,0.06],
+  [8922,1.9149,40.702,6.25,1.26],
+  [10350,2.2225,74.028,6.25,0.92],
+  [11279,2.4211,56.61,6.25,0.25,"10 Per"],
+  [13178,2.8252,57.084,6.25,0.79,"V0480 Per"],
+  [14814,3.188,-16.025,6.25,1.17],
+  [15125,3.2501,-26.101,6.25,0.04],
+  [15204,3.2672,34.688,6.25,0.29,"V0423 Per"],
+  [16677,3.5771,-9.868,6.25,0.02],
+  [17056,3.657,75.74,6.25,0.97],
+  [19400,4.1562,54.829,6.25,0.45],
+  [19736,4.2305,12.754,6.25,1.14],
+  [20498,4.3933,42.428,6.25,0.02],
+  [21108,4.5234,40.01,6.25,0.01],
+  [21110,4.5238,-13.644,6.25,0.09],
+  [23041,4.9548,-1.067,6.25,0.42],
+  [26149,5.5748,-0.012,6.25,1],
+  [26981,5.7251,-39.407,6.25,0.38],
+  [33584,6.9775,7.622,6.25,0.1],
+  [37636,7.7228,22.399,6.25,0.93],
+  [38623,7.9081,47.386,6.25,1.13,"25 Lyn"],
+  [39530,8.0786,-62.836,6.25,-0.09,"V0375 Car"],
+  [39675,8.1076,-9.245,6.25,-0.01],
+  [39874,8.1451,13.641,6.25,0.48,"12 Cnc"],
+  [41986,8.5584,-46.971,6.25,1.56],
+  [43575,8.8746,28.259,6.25,1.55,"53 Cnc"],
+  [44031,8.9663,30.234,6.25,0.47,"61 Cnc"],
+  [44367,9.0351,-39.402,6.25,1],
+  [45413,9.2541,-45.556,6.25,-0.07],
+  [46543,9.4923,-4.247,6.25,0.84],
+  [46893,9.5555,-7.19,6.25,1.17],
+  [47884,9.7586,78.135,6.25,1.35],
+  [49689,10.1432,-15.612,6.25,-0.01],
+  [50868,10.387,-30.162,6.25,0.3],
+  [51732,10.5702,-60.988,6.25,1.4],
+  [52316,10.6901,-1.742,6.25,0.88,"33 Sex"],
+  [52520,10.7389,-70.86,6.25,0.21],
+  [57805,11.8526,33.375,6.25,0.34],
+  [60729,12.4467,-48.913,6.25,0.67],
+  [62516,12.8116,48.467,6.25,0.2,"11 CVn"],
+  [62933,12.8971,12.418,6.25,0.28,"41 Vir"],
+  [62972,12.9036,33.535,6.25,0.21],
+  [64217,13.1617,38.534,6.25,-0.1,"15 CVn"],
+  [64437,13.2071,80.471,6.25,0.95],
+  [68687,14.0602,7.546,6.25,0.93],
+  [69751,14.2758,20.122,6.25,0.5],
+  [70319,14.3876,1.242,6.25,0.64],
+  [74181,15.1571,-63.643,6.25,0.06],
+  [78603,16.0479,-62.542,6.25,-0.01],
+  [79045,16.1347,17.054,6.25,1.14,"κ Her"],
+  [80888,16.5174,35.225,6.25,1.64],
+  [81632,16.6763,-20.409,6.25,1.08],
+  [81687,16.6865,-1,6.25,0.31],
+  [82693,16.9029,-1.612,6.25,0.28,"V2542 Oph"],
+  [84599,17.2933,23.091,6.25,1.54],
+  [85181,17.4075,36.952,6.25,0.88],
+  [86391,17.6524,2.028,6.25,1.02],
+  [87293,17.8361,78.306,6.25,1.45],
+  [91491,18.6592,40.935,6.25,-0.05],
+  [93423,19.0272,-22.695,6.25,1.65],
+  [93488,19.0393,8.373,6.25,1.65],
+  [94645,19.2592,-24.179,6.25,0.55,"Gumala"],
+  [94724,19.2746,-69.191,6.25,0.19,"τ Pav"],
+  [94932,19.317,37.445,6.25,0.01],
+  [95159,19.3603,-19.234,6.25,-0.09,"V4199 Sgr"],
+  [95812,19.4883,0.246,6.25,1.32],
+  [96706,19.6596,45.957,6.25,0.93],
+  [96901,19.6978,50.517,6.25,0.66,"c Cyg"],
+  [97139,19.7428,13.303,6.25,-0.04,"ψ Aql"],
+  [97697,19.8549,9.63,6.25,0.1],
+  [99585,20.2098,0.867,6.25,0.04],
+  [102057,20.6821,-42.397,6.25,0.93],
+  [103902,21.0528,-27.732,6.25,0.94],
+  [104452,21.1592,-20.557,6.25,0.39,"27 Cap"],
+  [106595,21.5886,28.198,6.25,0.36],
+  [107637,21.8023,36.58,6.25,1.54],
+  [114212,23.1299,63.633,6.25,-0.03],
+  [115261,23.3456,44.116,6.25,0.15],
+  [116292,23.5619,45.058,6.25,0.99],
+  [2256,0.4786,-50.533,6.26,1.09],
+  [2583,0.547,28.28,6.26,0.96],
+  [6283,1.3429,-3.247,6.26,1.01],
+  [6595,1.4116,-44.529,6.26,1.12],
+  [11651,2.5046,33.834,6.26,1.08],
+  [12447,2.671,6.112,6.26,0.4],
+  [13133,2.8154,69.634,6.26,0.15,"RZ Cas"],
+  [17543,3.7566,-71.658,6.26,-0.12],
+  [17732,3.797,32.195,6.26,0.47],
+  [23653,5.0835,-54.407,6.26,1.55],
+  [23737,5.1026,-73.038,6.26,0.01],
+  [24512,5.2577,22.285,6.26,0.07,"108 Tau"],
+  [25303,5.4129,-52.316,6.26,0.07,"θ Pic"],
+  [26309,5.6029,-28.708,6.26,0.15],
+  [26410,5.6211,66.697,6.26,0.23],
+  [29129,6.143,-44.356,6.26,-0.14],
+  [30524,6.4155,-63.828,6.26,-0.12],
+  [30541,6.4203,7.086,6.26,0.85,"T Mon"],
+  [31099,6.5264,-36.94,6.26,1.6,"SX Col"],
+  [31158,6.5385,17.784,6.26,0.54,"20 Gem"],
+  [31703,6.6319,73.696,6.26,0.4],
+  [32144,6.7128,-22.449,6.26,0.32,"V0350 CMa"],
+  [33465,6.9571,11.908,6.26,0.35],
+  [33588,6.9777,-55.729,6.26,1.16],
+  [33666,6.9942,-21.603,6.26,-0.16],
+  [36264,7.4672,-26.839,6.26,1.51],
+  [39938,8.1564,42.431,6.26,1.26],
+  [40677,8.3044,54.144,6.26,1.56],
+  [42010,8.5625,13.257,6.26,1.18],
+  [42717,8.7058,-55.775,6.26,1.18],
+  [43807,8.922,-45.042,6.26,-0.15,"IY Vel"],
+  [46569,9.4972,-23.345,6.26,1.56],
+  [46938,9.5664,23.454,6.26,1.45],
+  [47550,9.694,25.913,6.26,1.25,"13 Leo"],
+  [52535,10.7408,-72.444,6.26,0.51],
+  [52679,10.7714,-60.603,6.26,0.04],
+  [53231,10.8892,-58.894,6.26,-0.1],
+  [55308,11.3268,-75.142,6.26,-0.02],
+  [57322,11.7535,-49.07,6.26,1.17],
+  [58242,11.9455,-47.072,6.26,0.41],
+  [60087,12.322,23.035,6.26,0.18,"8 Com"],
+  [61270,12.5562,-19.793,6.26,0.3],
+  [61796,12.6655,-66.511,6.26,-0.05,"FH Mus"],
+  [62655,12.8387,-48.459,6.26,0.05],
+  [62821,12.8735,-53.83,6.26,1.11],
+  [64520,13.2241,-18.826,6.26,0.09,"54 Vir"],
+  [65119,13.3449,2.942,6.26,0.1],
+  [71040,14.5286,60.226,6.26,0.24,"ER Dra"],
+  [75535,15.4315,19.481,6.26,0.62],
+  [76143,15.5526,-24.49,6.26,0.33],
+  [76395,15.6032,-33.093,6.26,-0.07],
+  [77995,15.9277,18.621,6.26,-0.09],
+  [79463,16.2157,-4.221,6.26,0.13],
+  [83323,17.0298,-58.958,6.26,-0.12,"V0828 Ara"],
+  [83740,17.1148,-26.513,6.26,-0.04],
+  [86088,17.5931,-59.846,6.26,-0.08],
+  [86246,17.6241,-38.066,6.26,1.24],
+  [87928,17.9619,-56.896,6.26,-0.07],
+  [88415,18.0525,48.464,6.26,0.04],
+  [91523,18.6643,7.359,6.26,0.96],
+  [91985,18.7487,54.897,6.26,0.84],
+  [94140,19.1627,65.978,6.26,0.01,"55 Dra"],
+  [95953,19.513,36.228,6.26,-0.01],
+  [99137,20.1264,-55.016,6.26,0.53],
+  [100412,20.3614,-49.999,6.26,0.55],
+  [102712,20.8119,51.91,6.26,-0.07],
+  [103616,20.9934,-19.035,6.26,-0.11,"20 Cap"],
+  [103693,21.0121,-53.739,6.26,1.56],
+  [109082,22.0976,48.231,6.26,-0.09,"V0365 Lac"],
+  [110696,22.428,18.444,6.26,1.2],
+  [111325,22.5547,70.374,6.26,0.02],
+  [115768,23.4541,1.123,6.26,1.01,"9 Psc"],
+  [115953,23.4922,-4.533,6.26,1.12],
+  [116592,23.6277,16.826,6.26,0.03,"74 Peg"],
+  [116876,23.6908,49.512,6.26,0.18],
+  [118076,23.9523,-26.623,6.26,1.45],
+  [3858,0.826,-23.362,6.27,0.13],
+  [4212,0.8966,52.689,6.27,0.19],
+  [5947,1.2752,79.91,6.27,0.44],
+  [6776,1.4518,34.378,6.27,0.45],
+  [7189,1.5434,-49.728,6.27,0.46],
+  [8159,1.7488,20.083,6.27,0.72,"109 Psc"],
+  [9809,2.1034,8.248,6.27,1.64,"WZ Psc"],
+  [12982,2.7829,35.983,6.27,0.94],
+  [19121,4.099,-8.856,6.27,0.06],
+  [22439,4.8284,-13.77,6.27,0.46],
+  [26071,5.5606,34.726,6.27,0.17],
+  [26291,5.5987,27.662,6.27,1.53],
+  [29233,6.1631,-26.701,6.27,1.01],
+  [30019,6.3172,17.325,6.27,-0.09,"V1155 Ori"],
+  [30420,6.3962,-15.071,6.27,1.53],
+  [33394,6.946,-35.341,6.27,1.28],
+  [36728,7.5537,-40.059,6.27,-0.13,"V0376 Pup"],
+  [37000,7.6046,-8.311,6.27,1.54],
+  [39974,8.1632,-42.641,6.27,-0.04],
+  [45242,9.2219,-42.273,6.27,1.25],
+  [46045,9.3904,-48.287,6.27,-0.14],
+  [46504,9.484,-1.257,6.27,0.27],
+  [46737,9.5258,-66.719,6.27,1.35],
+  [48266,9.8399,65.593,6.27,0.29],
+  [48763,9.9463,-26.55,6.27,0.22],
+  [49418,10.0876,-36.384,6.27,1.11],
+  [52513,10.7374,19.759,6.27,0.2],
+  [52584,10.7526,2.488,6.27,1.21,"36 Sex"],
+  [54718,11.2028,-46.267,6.27,0.15],
+  [56242,11.5292,14.364,6.27,0.57,"88 Leo"],
+  [58874,12.0745,85.587,6.27,0.56],
+  [59767,12.2556,87.7,6.27,0.35,"UY UMi"],
+  [62421,12.7926,-6.302,6.27,0.54],
+  [65630,13.4557,-49.381,6.27,-0.12],
+  [68682,14.059,10.787,6.27,0.73],
+  [71196,14.5606,79.66,6.27,1.31],
+  [72124,14.7538,32.788,6.27,1.61],
+  [72702,14.8643,-18.355,6.27,1.09],
+  [73901,15.1039,-36.265,6.27,1.66],
+  [74470,15.217,-61.744,6.27,1.9],
+  [75091,15.3446,-67.481,6.27,-0.09],
+  [78840,16.0939,8.096,6.27,0.08],
+  [80920,16.5245,72.612,6.27,1.29],
+  [82951,16.9511,-19.54,6.27,0.08],
+  [82987,16.9586,25.353,6.27,0.91,"57 Her"],
+  [83308,17.0258,14.95,6.27,0.03,"V0451 Her"],
+  [84759,17.3251,-50.064,6.27,0.41],
+  [88258,18.0231,-17.157,6.27,1.76,"6 Sgr"],
+  [90256,18.4162,27.395,6.27,0.05],
+  [90692,18.504,-5.724,6.27,0.95],
+  [91723,18.704,-81.808,6.27,-0.1],
+  [92674,18.8838,-9.575,6.27,0.2],
+  [93049,18.954,-43.917,6.27,-0.07],
+  [94623,19.2553,50.071,6.27,0.93],
+  [95398,19.4061,16.938,6.27,0.07,"2 Sge"],
+  [96365,19.5926,-12.253,6.27,1.09],
+  [97091,19.7322,27.135,6.27,1.01,"PS Vul"],
+  [97491,19.8153,-52.888,6.27,1.13],
+  [98351,19.9823,-30.538,6.27,1.05],
+  [98658,20.0389,64.634,6.27,0.93,"65 Dra"],
+  [100165,20.3175,-63.231,6.27,1.04],
+  [100300,20.3423,-55.051,6.27,1.62],
+  [104281,21.126,15.659,6.27,1.01],
+  [104557,21.1797,-9.354,6.27,1.16],
+  [104771,21.2247,15.982,6.27,0.24],
+  [106420,21.555,45.854,6.27,1.8],
+  [107734,21.8241,20.462,6.27,-0.1],
+  [107956,21.8717,21.273,6.27,1.6],
+  [112358,22.7578,19.367,6.27,1.06,"45 Peg"],
+  [113673,23.0231,-22.791,6.27,0.13],
+  [25,0.0053,-44.291,6.28,0.76],
+  [2270,0.4824,36.9,6.28,0.92],
+  [3807,0.8158,-46.698,6.28,0.9],
+  [4298,0.9181,48.678,6.28,1.68],
+  [4932,1.0549,-29.526,6.28,0.93],
+  [5175,1.1031,32.181,6.28,1.31,"76 Psc"],
+  [6512,1.3937,34.246,6.28,0.83],
+  [8771,1.8808,51.475,6.28,0.05],
+  [8930,1.916,37.128,6.28,1.17],
+  [11802,2.5374,-36.427,6.28,1.03],
+  [12990,2.7843,35.555,6.28,0.39],
+  [14607,3.1441,8.471,6.28,1.03],
+  [20552,4.4034,-57.071,6.28,0.66],
+  [20772,4.4502,57.585,6.28,0.06],
+  [21082,4.5187,15.105,6.28,1.73,"84 Tau"],
+  [21486,4.6141,-30.717,6.28,-0.1],
+  [22717,4.8849,-72.408,6.28,0.52],
+  [26368,5.6153,-66.56,6.28,-0.05,"AZ Dor"],
+  [27661,5.8572,32.125,6.28,1.75,"V0440 Aur"],
+  [28019,5.9265,-4.789,6.28,0.06],
+  [28831,6.0859,75.586,6.28,1.51],
+  [29304,6.1778,-45.282,6.28,-0.01],
+  [29404,6.1961,52.647,6.28,0.14],
+  [30973,6.5008,-65.568,6.28,0.33],
+  [32020,6.6894,16.398,6.28,-0.02],
+  [32091,6.7046,-38.399,6.28,0.35],
+  [32261,6.7365,53.296,6.28,1.09],
+  [33297,6.9263,8.324,6.28,0.04],
+  [33760,7.0118,-28.49,6.28,0.45],
+  [36796,7.568,10.568,6.28,0.02],
+  [38792,7.9396,-30.285,6.28,1.48,"PX Pup"],
+  [39238,8.0254,-55.455,6.28,-0.15],
+  [39420,8.0582,-42.948,6.28,1.01],
+  [40617,8.2921,8.866,6.28,0.98],
+  [41107,8.388,-38.286,6.28,1.61,"V0436 Pup"],
+  [41208,8.4092,82.431,6.28,0.04],
+  [42070,8.5748,-37.611,6.28,1.56],
+  [43811,8.923,17.231,6.28,2.98,"X Cnc"],
+  [45742,9.3257,-55.187,6.28,-0.1],
+  [48468,9.8828,-27.332,6.28,0.62],
+  [49967,10.2008,-28.606,6.28,0.02],
+  [54264,11.1016,-51.213,6.28,0.94],
+  [56201,11.5208,-61.279,6.28,0.47,"V0809 Cen"],
+  [57045,11.6954,55.172,6.28,1.49],
+  [58574,12.0117,-21.837,6.28,1.22],
+  [61295,12.5595,24.283,6.28,0.11,"22 Com"],
+  [66700,13.6726,57.208,6.28,0.11,"CQ UMa"],
+  [68567,14.0367,45.754,6.28,1.35],
+  [68776,14.0771,2.297,6.28,1.02],
+  [70517,14.4248,38.393,6.28,1.23],
+  [73171,14.9538,-29.158,6.28,-0.01],
+  [74623,15.2474,-5.503,6.28,1.47],
+  [76033,15.5287,-20.165,6.28,0.22],
+  [77910,15.9112,8.58,6.28,0.17,"40 Ser"],
+  [82669,16.8997,-41.994,6.28,0.46,"V0900 Sco"],
+  [83331,17.0309,-18.886,6.28,1.35,"29 Oph"],
+  [83594,17.0848,-45.502,6.28,0.07],
+  [84649,17.3054,-16.312,6.28,1.69],
+  [85042,17.3809,-2.388,6.28,0.68],
+  [86628,17.701,-50.511,6.28,1.66,"V0626 Ara"],
+  [87866,17.9489,6.488,6.28,-0.01],
+  [87948,17.9661,-39.136,6.28,0.01],
+  [88217,18.0159,15.094,6.28,0.75],
+  [90238,18.4117,-7.076,6.28,1.16],
+  [90510,18.4684,-26.757,6.28,0.16],
+  [91811,18.7195,70.793,6.28,1.23],
+  [92599,18.8687,41.383,6.28,-0.08],
+  [92635,18.8745,-26.651,6.28,0.94],
+  [93270,18.9995,22.814,6.28,1.67,"V0387 Vul"],
+  [93887,19.119,-18.738,6.28,-0.04,"V4198 Sgr"],
+  [94272,19.1886,-29.502,6.28,-0.03],
+  [97070,19.7276,57.043,6.28,0.89],
+  [99893,20.2676,38.898,6.28,0.01],
+  [100151,20.3155,-47.711,6.28,1.66],
+  [102096,20.6902,-42.134,6.28,1.58,"AV Mic"],
+  [102561,20.7843,-2.487,6.28,1.56],
+  [105678,21.4047,-69.734,6.28,2.61],
+  [106907,21.6517,-33.679,6.28,0.95],
+  [107344,21.7415,-38.553,6.28,1.13],
+  [107502,21.7733,25.564,6.28,1.21],
+  [108784,22.0366,-17.904,6.28,1],
+  [109442,22.1725,-3.894,6.28,-0.01],
+  [111594,22.6081,-40.583,6.28,0.12,"σ1 Gru"],
+  [111627,22.6135,35.652,6.28,1.39],
+  [112078,22.7017,-5.102,6.28,1.57,"LP Aqr"],
+  [112501,22.7887,-34.162,6.28,1.15],
+  [113360,22.9591,3.81,6.28,1.12],
+  [115407,23.3779,20.829,6.28,-0.03,"65 Peg"],
+  [118178,23.9726,-15.848,6.28,1.08,"1 Cet"],
+  [6087,1.3028,47.42,6.29,1.36],
+  [9827,2.1081,0.035,6.29,0.9],
+  [11174,2.3977,55.365,6.29,0.84,"V0440 Per"],
+  [12305,2.6411,38.089,6.29,-0.03],
+  [13768,2.9536,-29.855,6.29,0.47],
+  [14972,3.2171,-35.944,6.29,-0.08],
+  [16095,3.4552,12.735,6.29,-0.03],
+  [16424,3.5248,49.21,6.29,0.07],
+  [16827,3.6084,-78.323,6.29,1.15],
+  [16974,3.6388,56.933,6.29,-0.1,"KZ Cam"],
+  [17464,3.7427,-54.274,6.29,1.03],
+  [19412,4.1577,59.908,6.29,1.11],
+  [23251,5.0037,-78.3,6.29,1.52],
+  [25806,5.512,22.462,6.29,1.18],
+  [27325,5.7885,-35.674,6.29,1.19],
+  [27625,5.849,51.515,6.29,1.05],
+  [30062,6.3273,-22.103,6.29,1.47],
+  [33719,7.005,-5.367,6.29,0.57,"Citalá"],
+  [35301,7.2921,-6.68,6.29,1.62],
+  [36856,7.5777,-51.474,6.29,0.07],
+  [42556,8.6742,19.545,6.29,0.17,"Meleph"],
+  [43195,8.8001,-52.85,6.29,-0.1],
+  [48638,9.9176,61.116,6.29,1.04],
+  [51835,10.5902,-76.309,6.29,1.21],
+  [51885,10.6013,-26.675,6.29,0.47],
+  [51914,10.606,36.327,6.29,0.44,"35 LMi"],
+  [52709,10.777,-43.193,6.29,0.2],
+  [52797,10.794,-57.467,6.29,1.67],
+  [53100,10.863,-57.272,6.29,0.23],
+  [56083,11.4954,56.738,6.29,0.16],
+  [56784,11.6423,33.626,6.29,1.32],
+  [56809,11.6458,45.108,6.29,0.57],
+  [59796,12.2615,72.551,6.29,1.15,"DK Dra"],
+  [60601,12.4215,-65.77,6.29,0.96],
+  [61246,12.5508,10.296,6.29,0.95,"20 Vir"],
+  [62523,12.8131,24.84,6.29,0.7,"LW Com"],
+  [62825,12.8743,16.122,6.29,0.17],
+  [66645,13.6613,-39.748,6.29,1.6,"V0765 Cen"],
+  [73464,15.0145,22.046,6.29,1.18],
+  [73764,15.0786,-40.861,6.29,1.39],
+  [74273,15.1791,-61.422,6.29,0.62],
+  [75230,15.3731,12.568,6.29,-0.01,"7 Ser"],
+  [77782,15.8823,17.403,6.29,1.24],
+  [78058,15.9372,-31.786,6.29,0.46],
+  [79945,16.3188,-20.218,6.29,1.07],
+  [82419,16.8434,41.897,6.29,1.09],
+  [82855,16.9327,-33.507,6.29,1.75],
+  [82880,16.938,73.128,6.29,0.26],
+  [83567,17.0793,-20.495,6.29,-0.04],
+  [83684,17.1033,-21.565,6.29,0.13],
+  [89623,18.29,-9.759,6.29,0.38],
+  [89677,18.3008,13.777,6.29,-0.04],
+  [92480,18.8474,-22.162,6.29,0.39,"30 Sgr"],
+  [93074,18.9596,-39.823,6.29,0.21],
+  [93860,19.1152,-50.323,6.29,-0.06],
+  [94981,19.3275,37.331,6.29,0.68],
+  [95932,19.5096,-55.11,6.29,0.45,"μ Tel"],
+  [97033,19.7207,58.017,6.29,0.59],
+  [100524,20.3836,-9.655,6.29,0.91],
+  [102094,20.6901,-26,6.29,1.22],
+  [102642,20.798,52.407,6.29,0.88],
+  [105344,21.3372,22.026,6.29,-0.11],
+  [109585,22.1991,59.085,6.29,1.12],
+  [110746,22.4363,-23.682,6.29,-0.02],
+  [111550,22.5982,50.071,6.29,-0.07],
+  [112259,22.7379,-60.5,6.29,0.57],
+  [115171,23.3282,48.381,6.29,1.12],
+  [117774,23.8847,2.091,6.29,0,"25 Psc"],
+  [4520,0.9651,13.696,6.3,0.9],
+  [9562,2.0477,-23.887,6.3,1.34],
+  [11043,2.3699,-43.2,6.3,0.99],
+  [12690,2.7172,48.265,6.3,1.14],
+  [13448,2.8866,16.483,6.3,0.46],
+  [14355,3.0865,-8.274,6.3,1.02],
+  [15191,3.2631,32.857,6.3,0.37],
+  [15230,3.2727,-5.731,6.3,1.65],
+  [18033,3.8544,13.046,6.3,-0.06,"V0766 Tau"],
+  [22607,4.8639,13.655,6.3,0.5],
+  [23555,5.065,-41.745,6.3,0.53],
+  [25290,5.4107,31.224,6.3,1.25],
+  [25486,5.4513,-11.901,6.3,0.55,"AF Lep"],
+  [27319,5.7874,42.527,6.3,1.35],
+  [27902,5.9044,3.226,6.3,1.28],
+  [30217,6.3572,2.268,6.3,0.25],
+  [30352,6.3837,-63.683,6.3,1.61],
+  [30505,6.4124,-40.284,6.3,-0.05],
+  [30564,6.4245,14.722,6.3,2.35],
+  [31205,6.5464,-11.166,6.3,1.1,"HR CMa"],
+  [32208,6.7232,-39.193,6.3,0.26],
+  [32990,6.873,-5.316,6.3,0.98],
+  [33082,6.8896,10.997,6.3,0.96],
+  [35241,7.2826,-30.897,6.3,0.2],
+  [36019,7.4228,81.257,6.3,-0.03],
+  [38087,7.8054,-56.471,6.3,1.01],
+  [38406,7.8687,3.277,6.3,1.46,"BC CMi"],
+  [39073,7.9945,-60.207,6.3,-0.05],
+  [39180,8.0134,19.816,6.3,1.11],
+  [41404,8.4464,26.936,6.3,0.19,"φ2 Cnc"],
+  [41737,8.5109,-44.737,6.3,-0.01],
+  [44126,8.9863,18.135,6.3,1.51,"FZ Cnc"],
+  [45421,9.256,84.181,6.3,0.34],
+  [45854,9.3487,-15.618,6.3,0.47],
+  [46049,9.3909,-60.302,6.3,1.48],
+  [46168,9.4155,51.574,6.3,0.77],
+  [48715,9.936,-71.389,6.3,-0.06],
+  [49321,10.0674,-18.101,6.3,-0.06],
+  [54688,11.1955,14.4,6.3,0.21],
+  [55068,11.2744,-45.88,6.3,0.4],
+  [56135,11.5069,46.657,6.3,1.26,"EE UMa"],
+  [56632,11.6113,-37.237,6.3,0.06],
+  [58901,12.0792,-59.253,6.3,-0.03],
+  [59003,12.0982,-65.547,6.3,0.15],
+  [60809,12.4637,-16.632,6.3,0.87],
+  [66892,13.708,41.674,6.3,0.88],
+  [68705,14.0647,-22.422,6.3,0.45],
+  [71746,14.6758,-56.441,6.3,1.17],
+  [72338,14.7922,-43.557,6.3,1.07],
+  [72772,14.8759,-30.577,6.3,0.6],
+  [74875,15.3026,-41.061,6.3,0.18],
+  [76366,15.597,38.374,6.3,1.31],
+  [77007,15.7236,-15.043,6.3,1.12],
+  [78153,15.9583,39.695,6.3,1.11],
+  [79350,16.1943,33.343,6.3,1.23],
+  [79581,16.2371,5.902,6.3,1.15],
+  [79812,16.2891,-53.086,6.3,0.27],
+  [81425,16.63,13.687,6.3,0.43],
+  [81650,16.679,-51.478,6.3,0.32,"V0872 Ara"],
+  [82783,16.9176,-42.091,6.3,0.4],
+  [82868,16.9358,-50.675,6.3,-0.02,"V0846 Ara"],
+  [84021,17.1752,52.409,6.3,-0.03],
+  [84151,17.2046,-38.822,6.3,1.05],
+  [85549,17.4836,-43.974,6.3,-0.01],
+  [86506,17.6781,31.288,6.3,1.07],
+  [86768,17.7297,-7.08,6.3,0.32],
+  [88294,18.0301,-36.378,6.3,-0.02],
+  [89474,18.259,45.209,6.3,0.64],
+  [89726,18.3112,-42.288,6.3,-0.14],
+  [89835,18.3322,51.348,6.3,1.11],
+  [90336,18.4318,-33.946,6.3,-0.07],
+  [91880,18.7309,-6.818,6.3,0.48],
+  [91958,18.7445,23.59,6.3,0.44],
+  [92687,18.8867,-51.931,6.3,-0.09],
+  [93629,19.0669,-57.96,6.3,0.86],
+  [93993,19.1374,-24.657,6.3,0.01],
+  [95067,19.3425,35.186,6.3,-0.09],
+  [95673,19.4601,37.941,6.3,-0.12],
+  [96164,19.5528,60.159,6.3,1.58],
+  [97845,19.8837,47.808,6.3,-0.13,"V0819 Cyg"],
+  [99878,20.2641,-30.005,6.3,1.51],
+  [99918,20.273,-12.337,6.3,0.01,"3 Cap"],
+  [99920,20.2732,-36.454,6.3,1.47,"V4434 Sgr"],
+  [102230,20.7147,-39.559,6.3,1.07],
+  [102530,20.7774,46.532,6.3,0.06],
+  [105685,21.4058,-46.615,6.3,0.23],
+  [109493,22.181,30.553,6.3,0.23],
+  [110919,22.4721,64.085,6.3,1.11],
+  [111649,22.618,12.577,6.3,1.43],
+  [111879,22.6623,-28.326,6.3,1.01],
+  [113593,23.0068,-25.627,6.3,1.12],
+  [116972,23.7122,16.336,6.3,0.97,"76 Peg"],
+  [302,0.0643,66.712,6.31,1.63,"V0398 Cep"],
+  [5251,1.1193,53.498,6.31,1.5],
+  [6261,1.3387,77.571,6.31,0.91],
+  [7243,1.5551,8.209,6.31,0.8],
+  [10115,2.1688,53.843,6.31,0.95],
+  [13421,2.8808,-9.441,6.31,0.2],
+  [18067,3.8616,68.507,6.31,-0.06],
+  [18438,3.9417,71.822,6.31,0.33],
+  [18717,4.0102,17.297,6.31,0.06],
+  [19172,4.1102,54.009,6.31,0.98],
+  [19810,4.2478,37.543,6.31,0.96],
+  [19877,4.2629,15.401,6.31,0.4,"48 Tau"],
+  [20188,4.3271,10.121,6.31,1.43],
+  [23296,5.0111,-2.066,6.31,0.29],
+  [26953,5.7193,-1.613,6.31,1.47,"V1197 Ori"],
+  [30376,6.3874,-31.79,6.31,0.89],
+  [31086,6.5233,-32.868,6.31,1.67,"KM CMa"],
+  [32744,6.8289,-24.076,6.31,0.05],
+  [32838,6.8451,-8.041,6.31,0.01,"V0592 Mon"],
+  [33271,6.9209,45.826,6.31,0.94],
+  [33420,6.95,-8.179,6.31,0.64],
+  [34428,7.137,33.832,6.31,1.36],
+  [35463,7.3205,-33.727,6.31,1.3],
+  [37939,7.7759,-37.773,6.31,1.35],
+  [38031,7.794,-15.991,6.31,1.79,"QY Pup"],
+  [39299,8.035,-37.05,6.31,1.6],
+  [39898,8.1491,-11.34,6.31,0.01],
+  [40766,8.3209,-10.166,6.31,0.33,"HQ Hya"],
+  [41806,8.5235,-39.064,6.31,-0.13],
+  [41927,8.5481,69.32,6.31,1.36],
+  [42249,8.6135,74.724,6.31,0.31],
+  [45259,9.2238,-38.617,6.31,0.02],
+  [46194,9.4188,-43.977,6.31,1.53,"GK Vel"],
+  [46232,9.4257,16.586,6.31,0.97],
+  [47427,9.6632,-10.57,6.31,-0.03,"37 Hya"],
+  [49408,10.0862,52.371,6.31,0.14],
+  [49688,10.1429,83.918,6.31,1.55],
+  [50492,10.3105,-36.805,6.31,1.28],
+  [50584,10.3332,-9.059,6.31,0.34],
+  [53167,10.8767,-0.202,6.31,1.5],
+  [54291,11.1076,-50.957,6.31,1.16],
+  [58002,11.8973,0.552,6.31,0.21,"IQ Vir"],
+  [60589,12.4184,63.803,6.31,0.92],
+  [61981,12.7014,-69.408,6.31,0.75,"R Mus"],
+  [62376,12.784,5.95,6.31,-0.01,"EP Vir"],
+  [62799,12.8682,-48.094,6.31,0.04],
+  [63243,12.9592,-22.753,6.31,1.07],
+  [64417,13.2023,24.258,6.31,1.01],
+  [65606,13.4518,-49.144,6.31,0],
+  [66704,13.6731,50.519,6.31,0.54],
+  [68065,13.9362,32.033,6.31,0.4],
+  [69671,14.2607,-45.001,6.31,0.6],
+  [74505,15.2255,22.983,6.31,0.06],
+  [78017,15.9305,58.912,6.31,-0.03],
+  [78117,15.9511,-48.162,6.31,0.38],
+  [78236,15.9752,-37.504,6.31,1.01],
+  [80710,16.4787,51.408,6.31,1.05],
+  [84535,17.2824,89.038,6.31,1.57,"λ UMi"],
+  [84801,17.3332,-5.918,6.31,0.85],
+  [87163,17.8077,-26.975,6.31,0.09,"V3894 Sgr"],
+  [88732,18.1149,50.823,6.31,1.05],
+  [90478,18.4622,-26.635,6.31,0.26],
+  [90969,18.5564,-38.72,6.31,0.02,"κ1 CrA"],
+  [91279,18.6192,16.198,6.31,0.9],
+  [91901,18.7355,-36.718,6.31,0.98],
+  [93418,19.026,-15.283,6.31,0.96],
+  [94916,19.3147,9.618,6.31,1.06],
+  [95281,19.3846,-7.401,6.31,1.46],
+  [95487,19.4229,20.272,6.31,-0.01],
+  [95664,19.4594,14.283,6.31,-0.07],
+  [96917,19.7008,-9.194,6.31,1.34],
+  [98579,20.0241,-40.814,6.31,0.11],
+  [107750,21.8281,-12.723,6.31,0.22],
+  [109212,22.125,18.001,6.31,1.6,"OY Peg"],
+  [110988,22.4859,58.404,6.31,-0.03,"δ Cep"],
+  [112567,22.7989,-25.912,6.31,0.91],
+  [113345,22.9548,-4.81,6.31,0.95],
+  [113501,22.9862,52.654,6.31,1.41],
+  [118029,23.9417,-24.737,6.31,0.92],
+  [417,0.0844,-0.503,6.32,1.1],
+  [730,0.1507,-54.002,6.32,0.74],
+  [2832,0.5986,13.207,6.32,0.52],
+  [8086,1.7306,32.192,6.32,0.88],
+  [8127,1.7407,46.14,6.32,1.42],
+  [10111,2.168,-43.816,6.32,0.9],
+  [12647,2.708,10.742,6.32,0.06,"85 Cet"],
+  [13947,2.994,-32.507,6.32,0],
+  [14914,3.2073,47.726,6.32,1.43],
+  [18565,3.9748,38.84,6.32,1.08],
+  [19859,4.258,6.187,6.32,0.57,"V0774 Tau"],
+  [22300,4.802,55.603,6.32,0.32],
+  [23596,5.0739,-35.705,6.32,0.31,"γ Cae"],
+  [26190,5.5826,-61.176,6.32,0.84],
+  [27583,5.8413,-52.768,6.32,0.75],
+  [28820,6.0841,37.964,6.32,0.82],
+  [28829,6.0856,59.393,6.32,1.12],
+  [30190,6.3515,-11.817,6.32,1.68],
+  [30218,6.3572,17.764,6.32,1.1],
+  [30669,6.4452,-14.603,6.32,1.24],
+  [30849,6.4785,-41.075,6.32,0.39],
+  [31469,6.5919,-22.109,6.32,1.03],
+  [32827,6.8436,-25.778,6.32,-0.18],
+  [33064,6.8871,38.438,6.32,0.52,"60 Aur"],
+  [33189,6.9074,-42.366,6.32,2.29,"NP Pup"],
+  [33703,7.0023,-20.158,6.32,-0.13],
+  [34954,7.2326,-30.34,6.32,-0.18],
+  [35893,7.3995,-35.838,6.32,-0.14],
+  [36045,7.4286,-31.739,6.32,-0.18],
+  [38183,7.8245,-44.751,6.32,0.96],
+  [39263,8.0288,25.09,6.32,0.02,"4 Cnc"],
+  [39843,8.1402,-63.801,6.32,-0.06],
+  [40604,8.2898,-16.285,6.32,0.06,"21 Pup"],
+  [41484,8.4602,45.653,6.32,0.62],
+  [42394,8.6445,-19.737,6.32,1.59],
+  [45424,9.2569,-15.025,6.32,0.01],
+  [45437,9.2596,-57.578,6.32,1.04],
+  [47096,9.598,14.38,6.32,0.03,"7 Leo"],
+  [48776,9.9484,-27.475,6.32,0.17,"BF Ant"],
+  [51401,10.4985,65.626,6.32,1.14,"35 UMa"],
+  [52526,10.7397,-59.993,6.32,-0.31,"QZ Car"],
+  [56657,11.617,-32.988,6.32,0.44],
+  [56961,11.6769,-62.568,6.32,0.03],
+  [56996,11.6837,-83.1,6.32,1.08],
+  [58603,12.0171,-1.768,6.32,1.2],
+  [60197,12.3448,27.055,6.32,0.39],
+  [60638,12.4273,-86.151,6.32,1.06],
+  [62807,12.8701,17.074,6.32,1.62,"32 Com"],
+  [64181,13.154,-9.538,6.32,1.02],
+  [64395,13.1981,-63.303,6.32,0.43],
+  [66236,13.5747,-48.272,6.32,-0.05],
+  [66607,13.6533,-75.684,6.32,0,"DY Cha"],
+  [68643,14.0511,-17.367,6.32,1.38],
+  [69862,14.297,48.002,6.32,0.47],
+  [71243,14.5699,32.535,6.32,0.45],
+  [74418,15.2087,-48.219,6.32,1.11],
+  [75822,15.4892,62.099,6.32,1.37],
+  [76567,15.6377,-28.207,6.32,1.18],
+  [77186,15.761,0.891,6.32,1.2],
+  [78059,15.9373,-14.399,6.32,0.48],
+  [78955,16.1176,-14.071,6.32,0.66],
+  [79031,16.1311,-24.462,6.32,-0.04],
+  [79605,16.2442,-18.536,6.32,1.08],
+  [80421,16.415,-45.349,6.32,0.19],
+  [82405,16.8395,-2.654,6.32,0.4],
+  [84496,17.2748,60.671,6.32,1.09,"VW Dra"],
+  [85975,17.5714,-48.527,6.32,0.95],
+  [87895,17.954,23.996,6.32,0.64],
+  [88671,18.1021,-0.446,6.32,1.01],
+  [88754,18.1184,49.71,6.32,-0.02],
+  [89674,18.3003,-68.229,6.32,-0.03],
+  [90083,18.3839,-10.219,6.32,0.13],
+  [91781,18.7153,-19.284,6.32,1.59,"V3879 Sgr"],
+  [93197,18.9832,50.809,6.32,0.98],
+  [93770,19.0964,29.922,6.32,1.67],
+  [94890,19.3105,49.569,6.32,1.12],
+  [96356,19.5916,-7.46,6.32,1.12],
+  [98333,19.9783,70.367,6.32,0.87],
+  [98890,20.0815,68.027,6.32,1.65],
+  [100016,20.2914,42.722,6.32,1.63],
+  [100762,20.4289,10.056,6.32,1.57],
+  [101765,20.6255,31.573,6.32,-0.09,"48 Cyg"],
+  [102819,20.8301,7.864,6.32,0.02,"14 Del"],
+  [103071,20.8837,-23.783,6.32,0.88],
+  [103949,21.0621,46.863,6.32,0.26],
+  [105148,21.3001,-64.682,6.32,-0.06],
+  [106500,21.5714,-42.925,6.32,1.09],
+  [108420,21.9642,74.997,6.32,1.56],
+  [111965,22.68,-3.554,6.32,0.52],
+  [114714,23.2373,50.618,6.32,-0.01],
+  [115148,23.3243,34.793,6.32,-0.05],
+  [117219,23.767,-40.183,6.32,0.21],
+  [186,0.04,8.957,6.33,0.18,"31 Psc"],
+  [1502,0.3118,-43.236,6.33,1.21],
+  [5772,1.2347,28.53,6.33,1.68,"DT Psc"],
+  [6312,1.3515,64.658,6.33,0.11,"35 Cas"],
+  [7879,1.6893,-79.148,6.33,0.95,"τ1 Hyi"],
+  [8020,1.7162,61.421,6.33,0.01],
+  [8044,1.7213,45.323,6.33,1.02],
+  [8369,1.7966,-37.16,6.33,1.02],
+  [8370,1.7967,46.23,6.33,0.46],
+  [10798,2.3163,-25.946,6.33,0.72],
+  [14566,3.1344,52.214,6.33,-0.02],
+  [16015,3.4366,-41.637,6.33,0.05],
+  [19673,4.2144,68.501,6.33,1.17],
+  [21408,4.5952,19.882,6.33,0.75],
+  [22189,4.7734,-2.954,6.33,0.04],
+  [22949,4.9377,24.592,6.33,0.35],
+  [23874,5.1305,-12.593,6.33,1.62],
+  [24377,5.2298,0.56,6.33,1.46],
+  [24847,5.3265,-1.412,6.33,-0.1],
+  [25288,5.41,2.353,6.33,-0.14],
+  [25786,5.5058,-7.435,6.33,-0.19],
+  [29949,6.3047,46.36,6.33,1.11,"43 Aur"],
+  [30595,6.4298,-3.889,6.33,1.02],
+  [33040,6.8834,-26.958,6.33,1.41,"KX CMa"],
+  [35623,7.3509,42.656,6.33,1.4],
+  [36914,7.5893,-74.275,6.33,0.02],
+  [37982,7.7849,-39.331,6.33,-0.14,"OX Pup"],
+  [39041,7.9877,-73.244,6.33,0.13],
+  [41449,8.4546,-31.673,6.33,0.9],
+  [42187,8.6021,15.314,6.33,0.34],
+  [42850,8.7318,-68.212,6.33,1.5],
+  [43114,8.7803,-34.623,6.33,-0.13,"AI Pyx"],
+  [45603,9.2951,-54.495,6.33,1.4],
+  [46407,9.4636,-71.781,6.33,0.41],
+  [47070,9.5927,-19.583,6.33,0.07],
+  [47591,9.7036,-66.915,6.33,0.07,"V0486 Car"],
+  [50122,10.2324,-40.311,6.33,0.94],
+  [50939,10.4037,2.368,6.33,0.99],
+  [51117,10.4436,-0.988,6.33,1.44,"26 Sex"],
+  [52160,10.6563,-64.112,6.33,-0.07],
+  [54842,11.2278,41.089,6.33,1.15],
+  [55821,11.4404,33.451,6.33,0.45],
+  [59879,12.2809,86.436,6.33,0.44],
+  [60305,12.3656,47.182,6.33,1.11],
+  [60699,12.4401,71.93,6.33,1.03],
+  [61637,12.6346,3.282,6.33,0],
+  [62170,12.7406,80.621,6.33,0.16],
+  [63220,12.9535,-12.067,6.33,1.49],
+  [67246,13.7825,6.35,6.33,0.63],
+  [70029,14.3299,38.794,6.33,0.05],
+  [70580,14.4371,-42.319,6.33,1.22],
+  [72194,14.766,-15.46,6.33,1.19,"5 Lib"],
+  [74083,15.1388,50.055,6.33,1.05],
+  [75000,15.325,32.515,6.33,0.23],
+  [76666,15.6559,-23.15,6.33,0.02],
+  [78486,16.0221,-31.889,6.33,1.45],
+  [79125,16.1508,57.938,6.33,0.03],
+  [81428,16.6313,78.919,6.33,1.14],
+  [81580,16.6609,-9.555,6.33,0.49],
+  [82539,16.8716,-67.682,6.33,1.29],
+  [82861,16.9338,-16.806,6.33,0.95],
+  [83342,17.033,8.451,6.33,0.09],
+  [84478,17.2704,-26.546,6.33,1.14,"V2215 Oph"],
+  [85020,17.3776,-37.805,6.33,0.68,"V0975 Sco"],
+  [86184,17.6111,69.571,6.33,0.6],
+  [87428,17.8665,-1.237,6.33,1.13],
+  [87910,17.9575,11.044,6.33,0.13],
+  [89114,18.1874,-19.842,6.33,0.16],
+  [92717,18.8926,75.787,6.33,0.02],
+  [95211,19.3693,-42.016,6.33,1.13],
+  [95369,19.4015,-68.371,6.33,1.24],
+  [96417,19.6023,22.586,6.33,-0.06],
+  [96729,19.6637,-23.428,6.33,0.03,"53 Sgr"],
+  [96931,19.7036,12.193,6.33,-0.08,"46 Aql"],
+  [98320,19.9762,38.106,6.33,-0.09],
+  [102827,20.8318,46.661,6.33,-0.07],
+  [103891,21.0505,14.73,6.33,1.68],
+  [105695,21.4068,10.174,6.33,0.47],
+  [107030,21.676,-55.738,6.33,1.06],
+  [108453,21.9704,-5.425,6.33,0.38],
+  [111191,22.5262,29.543,6.33,0.21,"GX Peg"],
+  [111884,22.6631,19.681,6.33,0.04,"41 Peg"],
+  [112508,22.7898,58.483,6.33,0.02],
+  [113009,22.8865,40.167,6.33,-0.07,"V0377 Lac"],
+  [114159,23.1193,-49.606,6.33,1.45],
+  [115015,23.2945,-11.713,6.33,0.06],
+  [115476,23.3922,0.291,6.33,1.58],
+  [117450,23.815,59.979,6.33,-0.01],
+  [798,0.1645,-62.297,6.34,0.16],
+  [1208,0.2519,31.536,6.34,1.55],
+  [6685,1.4295,70.98,6.34,-0.01],
+  [6702,1.4358,34.58,6.34,0.5],
+  [7819,1.6764,8.761,6.34,0.4],
+  [11261,2.4162,-2.78,6.34,-0.01,"71 Cet"],
+  [19111,4.0963,-20.513,6.34,0.92],
+  [19917,4.2725,-60.949,6.34,0.1,"TT Ret"],
+  [20533,4.3999,24.301,6.34,0.17,"62 Tau"],
+  [21428,4.6005,-3.612,6.34,-0.1],
+  [22128,4.7618,23.628,6.34,0.06],
+  [23092,4.9697,-2.213,6.34,0.11],
+  [24909,5.3391,-34.699,6.34,0.32],
+  [25205,5.392,5.323,6.34,0.12,"V1649 Ori"],
+  [27075,5.7412,-20.127,6.34,0.58],
+  [27901,5.9039,-29.147,6.34,0.37],
+  [29114,6.1398,41.056,6.34,1.04],
+  [33644,6.9889,7.317,6.34,-0.11],
+  [34248,7.1001,-30.656,6.34,-0.13,"IL CMa"],
+  [34940,7.2301,-22.906,6.34,-0.18],
+  [35132,7.2631,-23.74,6.34,-0.02],
+  [37089,7.6214,-23.775,6.34,0.54],
+  [37091,7.6216,40.025,6.34,1.6],
+  [38206,7.8278,-14.085,6.34,1.66],
+  [38355,7.8556,-43.095,6.34,-0.17],
+  [39194,8.0169,23.583,6.34,1.16],
+  [39279,8.032,35.413,6.34,1.56],
+  [39326,8.0405,-6.337,6.34,0.61],
+  [39691,8.1116,-48.497,6.34,-0.17],
+  [41813,8.5249,-54.394,6.34,1.3],
+  [42415,8.65,52.925,6.34,1.32],
+  [42579,8.6788,-57.545,6.34,0.21],
+  [43570,8.8734,5.34,6.34,0.12],
+  [45150,9.1988,5.469,6.34,0.33],
+  [48413,9.87,0.076,6.34,0.93],
+  [48861,9.9658,45.414,6.34,1.1],
+  [49645,10.1338,-37.333,6.34,0.98],
+  [49870,10.183,40.662,6.34,1.28],
+  [50785,10.3696,-58.266,6.34,0.88],
+  [50916,10.3974,-57.954,6.34,1.52],
+  [52685,10.7729,57.366,6.34,1.57,"41 UMa"],
+  [52730,10.78,-69.21,6.34,0.18],
+  [53259,10.8925,-15.446,6.34,1.18],
+  [54048,11.0601,-13.435,6.34,0.86],
+  [54673,11.1915,-71.436,6.34,1.37],
+  [57819,11.8561,-12.188,6.34,0.41],
+  [58469,11.9904,-62.831,6.34,0.32],
+  [59291,12.1631,74.661,6.34,0.51],
+  [59458,12.1958,57.054,6.34,1.5,"68 UMa"],
+  [59588,12.2203,-34.125,6.34,1.45],
+  [59622,12.2269,-33.793,6.34,0.07],
+  [59647,12.2324,-78.574,6.34,1.23],
+  [62172,12.7409,44.103,6.34,0.47],
+  [64117,13.1411,-67.797,6.34,1.71],
+  [64951,13.3134,-79.976,6.34,-0.03],
+  [65230,13.3678,43.903,6.34,0.26],
+  [65678,13.4666,52.746,6.34,0.26],
+  [67648,13.8601,-36.433,6.34,0.48],
+  [68537,14.0307,68.679,6.34,1.41],
+  [69122,14.149,-59.277,6.34,0.03,"V0883 Cen"],
+  [71870,14.6999,-77.011,6.34,-0.03],
+  [72373,14.7986,-12.84,6.34,1.1],
+  [73241,14.9691,-48.863,6.34,0.71],
+  [75101,15.3464,-2.413,6.34,1.06],
+  [82731,16.91,-30.587,6.34,0.21],
+  [83738,17.1147,-1.656,6.34,0.21],
+  [83816,17.1296,40.516,6.34,0.03],
+  [84113,17.1959,7.895,6.34,1.04],
+  [85187,17.4094,15.606,6.34,-0.02],
+  [85195,17.4103,-18.446,6.34,0.05],
+  [86546,17.6864,15.178,6.34,0.04],
+  [88528,18.0778,23.942,6.34,0.31,"V0831 Her"],
+  [88862,18.1427,14.285,6.34,0.18],
+  [92079,18.767,-19.606,6.34,1.58,"V4405 Sgr"],
+  [94149,19.1643,-0.428,6.34,-0.04],
+  [94243,19.1839,-39.005,6.34,0.01],
+  [95253,19.3801,9.913,6.34,0.46],
+  [95818,19.4891,20.28,6.34,-0.1,"7 Vul"],
+  [97326,19.7791,68.438,6.34,0.31,"CN Dra"],
+  [99234,20.144,10.726,6.34,-0.14],
+  [99529,20.1994,-12.392,6.34,1.21,"ξ1 Cap"],
+  [101684,20.6106,-63.121,6.34,0.41],
+  [102258,20.7205,57.114,6.34,0.28,"V0379 Cep"],
+  [102499,20.7726,52.995,6.34,1.13],
+  [103963,21.0645,41.628,6.34,0.39],
+  [104048,21.0793,2.27,6.34,0.96],
+  [109190,22.1193,58.841,6.34,0.88],
+  [112746,22.8331,-32.806,6.34,0.32],
+  [114607,23.2178,29.442,6.34,0.92],
+  [115129,23.3191,-79.472,6.34,0.91],
+  [115833,23.4669,-35.544,6.34,1.2],
+  [117860,23.9059,-27.043,6.34,0.2],
+  [1215,0.2529,27.283,6.35,0],
+  [1296,0.2705,76.951,6.35,-0.04],
+  [1575,0.3282,40.73,6.35,1.18],
+  [5141,1.097,4.908,6.35,0.38,"77 Psc"],
+  [6427,1.3751,-19.081,6.35,0.49],
+  [7786,1.6703,53.868,6.35,1.61],
+  [7963,1.7049,58.628,6.35,-0.03],
+  [8480,1.8221,-31.073,6.35,1.22],
+  [10446,2.2439,28.691,6.35,0.96],
+  [11479,2.4679,-64.3,6.35,-0.03],
+  [12708,2.7223,-40.528,6.35,-0.02],
+  [12744,2.7309,25.638,6.35,0.09],
+  [13424,2.8811,52.997,6.35,0.09],
+  [17136,3.6698,-15.226,6.35,0.88],
+  [18201,3.8929,25.683,6.35,0.11],
+  [18658,3.9946,10.33,6.35,0.42],
+  [21144,4.5325,36.743,6.35,1.09,"V0492 Per"],
+  [22280,4.7971,-30.02,6.35,1.07,"ζ Cae"],
+  [24984,5.3498,27.957,6.35,0.04],
+  [25638,5.4763,13.679,6.35,0.17],
+  [26796,5.6908,-33.401,6.35,-0.04],
+  [26853,5.7011,22.66,6.35,1.19],
+  [27660,5.8564,-64.034,6.35,0.87],
+  [28117,5.9427,28.942,6.35,0.28],
+  [28764,6.0746,-45.037,6.35,0.52],
+  [30501,6.4122,25.049,6.35,1.21],
+  [30517,6.4147,16.057,6.35,1.06],
+  [30675,6.4458,-7.512,6.35,-0.06],
+  [31593,6.6114,-22.615,6.35,-0.12],
+  [31889,6.6661,44.014,6.35,1.22],
+  [32539,6.7898,18.194,6.35,0.07],
+  [36657,7.5395,-35.961,6.35,-0.1],
+  [38870,7.9545,1.127,6.35,0.51],
+  [39035,7.9868,-49.977,6.35,-0.15],
+  [39514,8.0757,-25.7,6.35,1.46],
+  [39722,8.1194,43.26,6.35,-0.02,"28 Lyn"],
+  [41940,8.55,24.085,6.35,1.03,"υ2 Cnc"],
+  [42142,8.5903,2.743,6.35,1.02],
+  [42440,8.6537,-60.317,6.35,0],
+  [43177,8.7946,-41.737,6.35,0.58],
+  [43624,8.885,59.056,6.35,0.41],
+  [50562,10.3283,-65.137,6.35,1.56],
+  [52308,10.6882,-59.677,6.35,0.09,"V0429 Car"],
+  [52785,10.7918,-69.438,6.35,-0.09],
+  [53849,11.0159,-15.793,6.35,1.17],
+  [54725,11.2041,-32.434,6.35,1.68],
+  [55225,11.3096,-79.669,6.35,0.27],
+  [55791,11.4306,3.86,6.35,0.34,"80 Leo"],
+  [56944,11.6743,57.97,6.35,-0.09],
+  [60780,12.458,-58.316,6.35,1.61],
+  [61692,12.6462,40.875,6.35,0.2,"9 CVn"],
+  [68763,14.0742,-14.972,6.35,1.08],
+  [69398,14.2068,-24.363,6.35,1.35],
+  [69977,14.3187,-27.141,6.35,1.59],
+  [73454,15.0108,47.277,6.35,-0.1,"BX Boo"],
+  [73941,15.1098,36.456,6.35,0.54],
+  [76739,15.671,-31.214,6.35,1.42],
+  [78849,16.0957,-6.291,6.35,0.41],
+  [80610,16.459,2.871,6.35,1.64],
+  [80850,16.5108,77.447,6.35,0.99],
+  [82554,16.8743,-40.723,6.35,-0.14,"V0911 Sco"],
+  [82798,16.9211,13.62,6.35,0.34,"V0644 Her"],
+  [83007,16.9618,24.381,6.35,1.09],
+  [83493,17.0646,19.691,6.35,1.52],
+  [83906,17.1485,-3.883,6.35,0.7],
+  [84938,17.3593,16.731,6.35,1.61],
+  [89512,18.2661,-3.618,6.35,0.2],
+  [90146,18.3967,53.301,6.35,0.17],
+  [91733,18.7063,-64.643,6.35,0.15],
+  [92016,18.7552,-21.002,6.35,0.46],
+  [93117,18.9695,-83.422,6.35,-0.03],
+  [93315,19.0069,-24.942,6.35,1.25],
+  [93466,19.0353,52.261,6.35,0.98],
+  [94290,19.1919,26.736,6.35,0.44],
+  [96204,19.5628,5.466,6.35,1.47,"V0450 Aql"],
+  [100155,20.316,39.004,6.35,1.87],
+  [100781,20.4338,13.912,6.35,1.45],
+  [101211,20.5158,-29.113,6.35,0.23],
+  [101384,20.5479,-24.944,6.35,0],
+  [103103,20.8903,-30.719,6.35,1.1],
+  [105689,21.4064,24.528,6.35,1.06],
+  [106474,21.5652,-82.683,6.35,0.09],
+  [111296,22.5464,15.863,6.35,1.19],
+  [112694,22.8215,-70.348,6.35,0.07],
+  [113465,22.9785,7.34,6.35,0.05],
+  [114984,23.2886,75.299,6.35,0.05],
+  [115178,23.3287,-33.708,6.35,1.31],
+  [115945,23.4908,-1.791,6.35,1.13],
+  [116505,23.6085,32.904,6.35,0.46],
+  [63,0.0121,45.253,6.36,-0.05,"CG And"],
+  [5259,1.1203,-23.996,6.36,0.24],
+  [6025,1.29,31.745,6.36,1.13],
+  [6486,1.3893,58.143,6.36,0.46],
+  [9149,1.9648,-65.425,6.36,0.91],
+  [10832,2.3235,-41.848,6.36,1.16],
+  [12057,2.5911,39.664,6.36,-0.1],
+  [13271,2.8466,-39.932,6.36,0.04],
+  [14797,3.1848,-13.264,6.36,0.61],
+  [15700,3.3712,-25.588,6.36,0.01],
+  [18990,4.0691,-16.589,6.36,1.27],
+  [19721,4.2266,-40.358,6.36,1.47],
+  [20138,4.3175,-33.905,6.36,0.13],
+  [22508,4.8434,70.942,6.36,-0.07],
+  [22850,4.9162,19.485,6.36,0.29],
+  [24440,5.2432,76.473,6.36,-0.01],
+  [25505,5.4543,2.341,6.36,0.96],
+  [26463,5.6294,33.559,6.36,1.31],
+  [28561,6.0282,22.401,6.36,-0.07,"141 Tau"],
+  [29178,6.1556,-18.126,6.36,-0.04],
+  [31509,6.5983,-36.089,6.36,0.49],
+  [31603,6.6142,-41.557,6.36,1.15],
+  [32067,6.6998,6.345,6.36,-0.08],
+  [32222,6.7269,-73.118,6.36,0.96],
+  [33330,6.9319,-31.79,6.36,-0.15],
+  [33532,6.9688,-27.164,6.36,-0.19],
+  [34956,7.2328,71.817,6.36,1.12],
+  [35735,7.3714,59.902,6.36,0.28,"47 Cam"],
+  [36325,7.4778,27.553,6.36,1.22],
+  [38449,7.8768,55.209,6.36,0],
+  [38667,7.9168,-52.583,6.36,-0.01],
+  [38959,7.9713,43.977,6.36,1.04],
+  [39866,8.1438,-37.681,6.36,-0.05,"PQ Pup"],
+  [41653,8.4934,-55.191,6.36,0.8],
+  [41939,8.5496,-34.634,6.36,0.95,"VX Pyx"],
+  [41941,8.5505,-45.753,6.36,-0.12],
+  [43454,8.8504,15.351,6.36,0.67,"54 Cnc"],
+  [43763,8.915,-58.24,6.36,-0.09,"V0473 Car"],
+  [45214,9.2141,-60.917,6.36,-0.04],
+  [47633,9.712,48.431,6.36,0.01],
+  [48219,9.8309,-36.269,6.36,1.01],
+  [49445,10.0947,15.758,6.36,0.39],
+  [50142,10.2358,-23.814,6.36,1.64],
+  [50904,10.3949,29.616,6.36,1.09],
+  [52273,10.681,-35.742,6.36,0.92],
+  [53151,10.8746,-79.559,6.36,1.46],
+  [53492,10.9429,25.5,6.36,1.04,"50 LMi"],
+  [53589,10.9634,-59.732,6.36,0.84,"U Car"],
+  [58452,11.9863,-45.832,6.36,-0.08],
+  [59941,12.2956,15.145,6.36,1.38],
+  [60417,12.3872,-67.632,6.36,0.89],
+  [60804,12.4617,8.61,6.36,0.94],
+  [64838,13.2916,-0.676,6.36,0.26],
+  [66152,13.56,-65.633,6.36,-0.01],
+  [68380,13.997,-3.55,6.36,0.49],
+  [68516,14.0269,17.668,6.36,1.22],
+  [69564,14.2393,-5.948,6.36,0.59],
+  [70528,14.4277,-66.173,6.36,0.13],
+  [70626,14.4472,-39.874,6.36,-0.09],
+  [70873,14.4936,41.796,6.36,0.7],
+  [73116,14.9433,-39.416,6.36,0.06],
+  [74552,15.2331,-61.343,6.36,-0.04],
+  [75125,15.3519,24.958,6.36,1.26],
+  [76234,15.5725,-39.349,6.36,-0.02],
+  [79420,16.2089,75.211,6.36,1.28,"20 UMi"],
+  [81337,16.6119,15.498,6.36,-0.06,"V0773 Her"],
+  [82543,16.872,-41.855,6.36,0.26,"V0919 Sco"],
+  [83013,16.9639,42.513,6.36,1.28],
+  [84650,17.3057,-32.553,6.36,0.11,"V1077 Sco"],
+  [84855,17.3427,48.189,6.36,0.43],
+  [84947,17.3615,-24.906,6.36,1.4],
+  [85622,17.4965,-5.92,6.36,0.93],
+  [85934,17.5619,14.842,6.36,1.59,"V0642 Her"],
+  [86501,17.6771,43.471,6.36,1.2],
+  [86769,17.7301,-13.509,6.36,0.38],
+  [87822,17.9401,-65.722,6.36,0.45],
+  [88148,18.0044,0.629,6.36,0.16,"V2126 Oph"],
+  [88213,18.0147,6.268,6.36,-0.1],
+  [88929,18.1528,30.47,6.36,1.19],
+  [89246,18.2118,41.147,6.36,1.04],
+  [89620,18.2899,-28.289,6.36,0.54],
+  [90174,18.401,-3.583,6.36,0.35],
+  [90597,18.4869,-43.846,6.36,0.9],
+  [90884,18.5391,-14.644,6.36,0.22],
+  [90967,18.5563,-5.912,6.36,0.03],
+  [91172,18.5999,-29.699,6.36,1.27],
+  [91499,18.6602,5.264,6.36,0.8],
+  [94858,19.3027,-53.387,6.36,0.51],
+  [96630,19.6469,3.381,6.36,0],
+  [97151,19.747,40.717,6.36,1.56],
+  [99453,20.1854,-57.524,6.36,0.06],
+  [99870,20.262,50.233,6.36,0.1],
+  [101623,20.5966,-44.338,6.36,0.96],
+  [101997,20.6699,-23.774,6.36,0.72],
+  [103079,20.8854,29.649,6.36,1.08],
+  [103752,21.0244,-68.21,6.36,0.1],
+  [105017,21.2714,44.238,6.36,0.98],
+  [106661,21.6039,30.055,6.36,1.24],
+  [108119,21.9048,19.718,6.36,0.94],
+  [108766,22.0337,10.974,6.36,-0.1],
+  [108969,22.0763,32.942,6.36,1.12],
+  [109375,22.158,-23.659,6.36,0.92],
+  [109434,22.1709,72.111,6.36,-0.05],
+  [109445,22.1728,14.63,6.36,1.08],
+  [111086,22.5048,-14.586,6.36,-0.05,"56 Aqr"],
+  [112032,22.692,30.966,6.36,1.58],
+  [112603,22.8059,-61.684,6.36,1.06],
+  [113204,22.9252,-20.139,6.36,1.43],
+  [114742,23.2435,24.103,6.36,1.17],
+  [117472,23.82,58.963,6.36,0.41],
+  [117712,23.8737,75.545,6.36,0.98],
+  [6378,1.3664,76.239,6.37,0.28],
+  [6971,1.4952,-25.618,6.37,1.14],
+  [8514,1.8302,-38.403,6.37,0.52],
+  [9022,1.9359,-49.836,6.37,-0.08],
+  [9207,1.9741,-33.067,6.37,1.01],
+  [10562,2.266,47.812,6.37,1.03],
+  [14318,3.078,15.856,6.37,1.4],
+  [14757,3.1765,-23.738,6.37,0.91],
+  [15807,3.3942,4.882,6.37,0.85],
+  [16319,3.5054,71.864,6.37,1.77,"V0805 Cas"],
+  [16602,3.5615,57.869,6.37,0.52],
+  [18428,3.941,-13.598,6.37,1.58],
+  [19233,4.1227,-64.222,6.37,0.64],
+  [20698,4.4337,4.373,6.37,1.08],
+  [21152,4.5347,5.41,6.37,0.42],
+  [21324,4.5773,-24.041,6.37,1.14],
+  [24017,5.1624,64.919,6.37,0.45],
+  [24825,5.3215,-18.52,6.37,-0.13,"YZ Lep"],
+  [28118,5.9429,-23.215,6.37,1.07],
+  [29326,6.1838,18.131,6.37,1.35],
+  [29568,6.2292,-23.862,6.37,0.71,"V0352 CMa"],
+  [29746,6.265,1.169,6.37,0.44],
+  [30503,6.4122,-28.78,6.37,0.63],
+  [32268,6.7368,36.109,6.37,0.07],
+  [32931,6.8609,3.042,6.37,0.05],
+  [34168,7.0858,47.775,6.37,-0.05],
+  [36965,7.5989,43.031,6.37,0.36],
+  [37165,7.6373,24.36,6.37,0.34],
+  [37773,7.7455,-66.072,6.37,0.95],
+  [38372,7.8614,-12.819,6.37,0.38,"8 Pup"],
+  [39038,7.9871,-49.974,6.37,-0.09],
+  [39876,8.1454,-20.363,6.37,0.14],
+  [42854,8.7333,4.335,6.37,-0.04],
+  [44665,9.1021,-64.5,6.37,1.36],
+  [45097,9.1868,80.829,6.37,0.39],
+  [47454,9.6722,-10.769,6.37,0.08],
+  [51290,10.4768,45.212,6.37,1.33],
+  [53141,10.8705,1.025,6.37,0.09],
+  [57779,11.8487,12.279,6.37,0.29],
+  [59010,12.0999,-3.132,6.37,1],
+  [60994,12.5013,-13.393,6.37,0.59],
+  [64682,13.2571,-69.679,6.37,1.21],
+  [65303,13.3841,-48.563,6.37,-0.08],
+  [66223,13.5727,38.789,6.37,0.24],
+  [71658,14.6568,-49.055,6.37,0.44],
+  [83984,17.1684,-61.675,6.37,-0.05],
+  [84934,17.3587,28.758,6.37,0.72],
+  [85474,17.4673,-8.208,6.37,0.57],
+  [86153,17.6059,27.567,6.37,1.59],
+  [86537,17.6849,24.513,6.37,1.2],
+  [87434,17.8669,46.644,6.37,1.06],
+  [88599,18.0908,-81.487,6.37,1.53],
+  [90337,18.432,14.966,6.37,-0.04],
+  [92475,18.846,10.976,6.37,1.44],
+  [93234,18.9908,-18.566,6.37,0.96],
+  [93543,19.0519,-19.103,6.37,0.48],
+  [95319,19.3928,33.222,6.37,0.8],
+  [95820,19.4893,-7.044,6.37,0.87,"U Aql"],
+  [96003,19.5204,55.732,6.37,1.12,"V1817 Cyg"],
+  [96351,19.5903,2.914,6.37,0.41],
+  [96428,19.6044,14.391,6.37,1.04],
+  [96688,19.657,16.571,6.37,1.92,"V0340 Sge"],
+  [96734,19.6645,-66.686,6.37,0.04],
+  [97029,19.7197,38.672,6.37,1.22],
+  [98954,20.0907,15.5,6.37,1.61,"V1472 Aql"],
+  [101300,20.5328,25.805,6.37,0.28],
+  [103929,21.0572,50.352,6.37,0.99],
+  [107893,21.8603,65.753,6.37,0.28],
+  [109306,22.1452,-33.126,6.37,0.2],
+  [111543,22.5978,56.071,6.37,0.11],
+  [112368,22.7596,30.443,6.37,0.93],
+  [113080,22.9016,-19.175,6.37,1.51],
+  [113802,23.0459,44.059,6.37,-0.02,"LN And"],
+  [115530,23.4025,41.613,6.37,1.7,"V0385 And"],
+  [115839,23.4681,-11.45,6.37,0.9],
+  [345,0.0723,-29.269,6.38,0.01],
+  [3132,0.6631,82.494,6.38,0.55],
+  [3965,0.8493,51.508,6.38,0.31,"V0526 Cas"],
+  [7651,1.6422,45.4,6.38,-0.02,"GY And"],
+  [8233,1.767,-27.349,6.38,0.37],
+  [9983,2.1427,44.459,6.38,0.96],
+  [10227,2.1914,57.645,6.38,0.3,"5 Per"],
+  [13363,2.8656,-30.814,6.38,0.48],
+  [14232,3.0584,28.27,6.38,0.31],
+  [14544,3.1298,47.309,6.38,0.12,"V0521 Per"],
+  [16449,3.5316,-25.614,6.38,0.12],
+  [20467,4.3855,-35.545,6.38,1.24],
+  [20630,4.422,-44.161,6.38,0.46],
+  [20904,4.4811,30.361,6.38,0.55],
+  [23908,5.137,-15.095,6.38,0.89],
+  [25810,5.5125,39.826,6.38,0.99],
+  [27001,5.7281,-45.833,6.38,0.29],
+  [27512,5.8261,-44.875,6.38,1.26],
+  [28642,6.0482,43.378,6.38,1.21],
+  [31105,6.5271,15.903,6.38,0.28,"19 Gem"],
+  [35253,7.2843,26.689,6.38,0.88],
+  [36123,7.4411,10.608,6.38,0.08],
+  [36346,7.4809,-64.51,6.38,1.55],
+  [36553,7.5191,11.203,6.38,1.28],
+  [37128,7.6292,-38.01,6.38,1.47],
+  [38037,7.7959,-16.015,6.38,1.7],
+  [38306,7.8482,0.08,6.38,1.24],
+  [40291,8.2281,-33.569,6.38,1.14],
+  [41893,8.5426,-15.03,6.38,0.28],
+  [41926,8.5476,-31.501,6.38,0.78],
+  [43354,8.8312,-39.142,6.38,0.25,"HZ Vel"],
+  [43520,8.8639,-44.151,6.38,-0.15],
+  [45249,9.2227,-29.664,6.38,1.6],
+  [50075,10.2235,-33.032,6.38,0.59],
+  [50552,10.3257,-5.106,6.38,0.89],
+  [52660,10.7682,6.373,6.38,1.12,"37 Sex"],
+  [53860,11.0182,63.421,6.38,0.17],
+  [56410,11.5656,36.816,6.38,1.06],
+  [57137,11.7153,-79.306,6.38,0.89],
+  [58085,11.9124,-66.376,6.38,0.41],
+  [60098,12.3249,28.157,6.38,0.52,"9 Com"],
+  [61328,12.5664,-49.91,6.38,0.43],
+  [62128,12.733,-36.349,6.38,-0.06],
+  [69592,14.2447,21.873,6.38,0.19],
+  [69735,14.2734,39.745,6.38,0.38],
+  [71853,14.6976,-30.933,6.38,-0.08],
+  [72983,14.915,-69.861,6.38,-0.06],
+  [73571,15.0357,-7.575,6.38,0.18],
+  [75810,15.4867,16.396,6.38,0.95],
+  [78540,16.0346,-51.121,6.38,0],
+  [82241,16.8025,13.59,6.38,0.88],
+  [82989,16.9589,13.884,6.38,0.93],
+  [83677,17.1027,9.734,6.38,1.46],
+  [83688,17.1036,10.454,6.38,0.9],
+  [85313,17.4336,26.879,6.38,0.12],
+  [85589,17.4904,-38.517,6.38,0.09],
+  [86713,17.7182,44.084,6.38,1.52],
+  [88565,18.0836,41.946,6.38,0.29],
+  [88972,18.1604,38.458,6.38,0.88,"NSV 10 316"],
+  [88981,18.162,-13.934,6.38,1.43],
+  [89006,18.166,-59.04,6.38,1.55],
+  [95576,19.4407,62.557,6.38,1.41],
+  [97228,19.761,36.091,6.38,-0.05],
+  [98346,19.9814,-68.763,6.38,0.16],
+  [98910,20.0848,-11.599,6.38,0.54,"V1401 Aql"],
+  [100434,20.3675,41.132,6.38,1.02],
+  [100808,20.4399,56.639,6.38,0.02],
+  [101808,20.6312,-25.109,6.38,0.33],
+  [102631,20.7966,3.307,6.38,-0.01],
+  [103077,20.8849,-11.574,6.38,0.66],
+  [104788,21.2285,64.404,6.38,0.63],
+  [104872,21.2436,0.092,6.38,1.57],
+  [105662,21.4022,-22.747,6.38,1.03],
+  [105729,21.4144,-3.398,6.38,0.33,"20 Aqr"],
+  [107797,21.8369,-16.845,6.38,1.42],
+  [109009,22.0843,14.816,6.38,1.52],
+  [109124,22.1038,56.343,6.38,-0.09,"V0444 Cep"],
+  [109977,22.2749,27.804,6.38,0.98],
+  [110408,22.3641,42.078,6.38,-0.09],
+  [111753,22.6382,45.183,6.38,0.77],
+  [113433,22.9732,-1.41,6.38,0.37],
+  [114152,23.1181,35.636,6.38,1.16],
+  [115389,23.3746,25.919,6.38,1.54],
+  [116624,23.6342,-15.095,6.38,1.08],
+  [1803,0.3811,-12.209,6.39,0.66,"9 Cet"],
+  [2734,0.582,13.371,6.39,1.14],
+  [3641,0.7774,69.325,6.39,0.42],
+  [3992,0.8551,3.385,6.39,1.07],
+  [4446,0.9487,68.776,6.39,0.38],
+  [6093,1.3039,57.803,6.39,1.59],
+  [7147,1.5354,34.8,6.39,-0.1],
+  [7444,1.5979,41.076,6.39,1.12],
+  [7505,1.6121,7.832,6.39,1.6,"CY Psc"],
+  [9862,2.1145,-19.139,6.39,1.14],
+  [11293,2.424,-66.494,6.39,1.51,"TZ Hor"],
+  [15987,3.4322,-35.921,6.39,0.08,"χ1 For"],
+  [16672,3.576,-31.875,6.39,1.4],
+  [18769,4.0208,36.989,6.39,-0.01],
+  [20039,4.2977,80.536,6.39,0.95],
+  [24955,5.3446,66.747,6.39,0.92],
+  [25667,5.4825,-3.307,6.39,-0.01],
+  [28765,6.0748,51.573,6.39,0.2,"35 Cam"],
+  [29798,6.2733,17.182,6.39,1.56],
+  [30602,6.4312,11.126,6.39,0.08],
+  [31266,6.5574,-20.924,6.39,0.82],
+  [31662,6.6269,10.853,6.39,1.35],
+  [33154,6.9024,-5.852,6.39,0.17],
+  [33774,7.0138,-33.465,6.39,1.05],
+  [36141,7.4448,11.009,6.39,-0.13],
+  [36977,7.6004,-55.888,6.39,1.18],
+  [37951,7.7791,-12.675,6.39,0],
+  [40354,8.2392,13.048,6.39,1.03],
+  [41781,8.5196,-47.867,6.39,-0.15],
+  [42516,8.6684,20.008,6.39,0.98,"39 Cnc"],
+  [43593,8.878,-52.129,6.39,0],
+  [43853,8.9322,-23.818,6.39,0.16],
+  [44331,9.028,39.714,6.39,0.31],
+  [44423,9.0515,-53.55,6.39,-0.07],
+  [44768,9.1241,22.981,6.39,0.45],
+  [47260,9.6323,73.08,6.39,0.35],
+  [47627,9.7115,-35.502,6.39,-0.05],
+  [48706,9.9348,-40.825,6.39,1.61],
+  [48730,9.9394,-51.336,6.39,-0.16],
+  [50893,10.3924,-3.643,6.39,1.6],
+  [54289,11.1067,-64.84,6.39,0.11],
+  [54749,11.2097,-21.749,6.39,1.38],
+  [58809,12.0623,5.558,6.39,0.48],
+  [60454,12.3935,-39.302,6.39,0.28],
+  [60468,12.3966,-30.335,6.39,1.57],
+  [61719,12.6506,22.66,6.39,1.1],
+  [61748,12.6547,35.952,6.39,0.1,"AX CVn"],
+  [62046,12.7178,61.155,6.39,1.27],
+  [67589,13.8498,68.315,6.39,1.18],
+  [68739,14.0707,-5.381,6.39,1.32],
+  [68902,14.107,-59.716,6.39,0.08],
+  [69065,14.1373,-63.208,6.39,1.01],
+  [70385,14.4006,27.413,6.39,1.61],
+  [70966,14.5157,-40.845,6.39,1.44],
+  [71168,14.5556,36.959,6.39,0.52,"CP Boo"],
+  [71333,14.5881,-60.016,6.39,1.26],
+  [71406,14.6019,23.25,6.39,1.06],
+  [72000,14.7245,-62.967,6.39,-0.09],
+  [73118,14.944,-62.364,6.39,-0.06],
+  [75959,15.5137,-71.654,6.39,-0.11],
+  [76006,15.5229,36.617,6.39,0.53],
+  [77729,15.8702,-29.887,6.39,0.99],
+  [78870,16.0999,-6.14,6.39,1.03],
+  [79385,16.2018,39.056,6.39,1.26],
+  [79867,16.3027,68.555,6.39,1.34],
+  [87670,17.9074,75.171,6.39,0.97],
+  [89010,18.1667,-32.72,6.39,1.02],
+  [89943,18.352,49.725,6.39,1.09],
+  [92233,18.797,-77.868,6.39,0.59],
+  [93437,19.0301,33.621,6.39,-0.12],
+  [94372,19.2078,-21.658,6.39,1.13],
+  [96316,19.5837,52.502,6.39,1.12],
+  [97142,19.7439,34.414,6.39,1.52],
+  [98086,19.9338,-81.35,6.39,1.4],
+  [98701,20.0469,31.959,6.39,1.21],
+  [99176,20.1351,16.664,6.39,1.72,"V0344 Sge"],
+  [99457,20.1861,-8.842,6.39,-0.14,"BE Cap"],
+  [100866,20.4522,34.329,6.39,0.48],
+  [101966,20.6644,11.25,6.39,0.56],
+  [105406,21.3504,40.345,6.39,0.53],
+  [106021,21.4736,8.196,6.39,1.64],
+  [106065,21.4834,-53.706,6.39,1.14],
+  [106590,21.5878,-23.454,6.39,1.1],
+  [108296,21.94,21.24,6.39,1.7],
+  [108759,22.0313,-77.662,6.39,0.23],
+  [108797,22.0406,-16.965,6.39,0.45,"29 Aqr"],
+  [109647,22.2122,-4.721,6.39,0.5],
+  [110091,22.3012,-0.238,6.39,0.44],
+  [111200,22.5281,-10.906,6.39,0.29,"58 Aqr"],
+  [111539,22.5969,-17.46,6.39,1.42],
+  [112170,22.7179,47.169,6.39,0.45],
+  [113131,22.9099,16.942,6.39,1.73,"HR Peg"],
+  [114005,23.0882,1.307,6.39,0.93],
+  [115218,23.3373,61.97,6.39,1.68],
+  [116060,23.517,-6.288,6.39,1.26],
+  [116146,23.5327,-1.086,6.39,1.18,"13 Psc"],
+  [2213,0.4662,19.514,6.4,0.99,"46 Psc"],
+  [2937,0.6217,-54.394,6.4,0.99],
+  [4709,1.0086,70.983,6.4,0.14],
+  [5485,1.17,-8.906,6.4,1.03,"32 Cet"],
+  [5688,1.2194,61.706,6.4,0.02,"V0761 Cas"],
+  [9521,2.0412,-29.666,6.4,0.14],
+  [10050,2.1564,17.224,6.4,0.47],
+  [11020,2.3654,57.243,6.4,0.57],
+  [12272,2.6335,7.695,6.4,0.43],
+  [12784,2.7386,17.764,6.4,1.14,"36 Ari"],
+  [15323,3.2945,31.127,6.4,0.57],
+  [15585,3.3459,-26.607,6.4,0.54],
+  [15655,3.3593,-47.777,6.4,0.99],
+  [16924,3.63,15.431,6.4,0.17],
+  [17328,3.7091,-85.262,6.4,-0.01],
+  [21525,4.622,-41.873,6.4,0.17],
+  [22720,4.8861,52.841,6.4,0.07],
+  [24114,5.1791,-25.91,6.4,1.25],
+  [24925,5.3407,-5.367,6.4,-0.05],
+  [26263,5.5933,-3.253,6.4,-0.12],
+  [26602,5.6545,-17.849,6.4,-0.1],
+  [26781,5.6892,29.487,6.4,-0.08],
+  [27777,5.8777,39.575,6.4,0.1],
+  [29913,6.2977,-52.733,6.4,1.46],
+  [30608,6.433,-7.895,6.4,0.14],
+  [33650,6.9911,25.914,6.4,-0.11,"40 Gem"],
+  [34250,7.1003,59.802,6.4,1.19],
+  [35725,7.3704,38.996,6.4,1.22],
+  [36740,7.5569,37.188,6.4,1.23],
+  [36986,7.6021,-22.16,6.4,0.97],
+  [37289,7.6567,-16.847,6.4,1.47],
+  [37530,7.7028,-58.631,6.4,-0.09],
+  [37723,7.7372,12.86,6.4,1.39],
+  [39625,8.0971,-0.573,6.4,1.06],
+  [40220,8.2143,-37.925,6.4,0.11],
+  [41011,8.3693,74.82,6.4,1.02],
+  [42071,8.5749,-27.098,6.4,1.43],
+  [45614,9.2976,11.501,6.4,0.1],
+  [45754,9.33,-34.103,6.4,-0.09],
+  [45888,9.3566,45.37,6.4,1.3],
+  [47249,9.631,-9.424,6.4,-0.04,"34 Hya"],
+  [47422,9.6625,-62.943,6.4,-0.08],
+  [49619,10.1266,-48.261,6.4,-0.15],
+  [52877,10.8139,65.132,6.4,-0.02],
+  [53411,10.9242,-43.02,6.4,0.07],
+  [54319,11.1122,17.737,6.4,1.55],
+  [54721,11.203,68.272,6.4,0.13],
+  [56170,11.5147,47.929,6.4,0.88],
+  [56830,11.6501,-24.721,6.4,0.82],
+  [59352,12.1755,16.809,6.4,0.07,"3 Com"],
+  [61557,12.6129,-50.335,6.4,0.03],
+  [65621,13.4541,-40.163,6.4,0.97],
+  [65835,13.4952,-23.281,6.4,1.32,"R Hya"],
+  [67261,13.7864,-62.59,6.4,null,"V0766 Cen"],
+  [69655,14.2559,-53.51,6.4,1.58],
+  [70809,14.4811,-47.992,6.4,-0.11],
+  [71857,14.6984,21.124,6.4,0.93],
+  [73966,15.1155,-52.03,6.4,-0.11],
+  [76165,15.5568,-40.491,6.4,1.02],
+  [78360,15.9986,-78.027,6.4,0.39],
+  [78710,16.0684,-59.176,6.4,1.37],
+  [79530,16.2293,-24.422,6.4,0.04,"V1051 Sco"],
+  [79787,16.283,-53.696,6.4,0.79],
+  [79788,16.2831,-20.104,6.4,1.27],
+  [81691,16.688,1.245,6.4,1.02],
+  [82898,16.9404,65.039,6.4,0.38,"20 Dra"],
+  [83269,17.0186,-56.555,6.4,0.1],
+  [86130,17.6023,28.185,6.4,1.37],
+  [86725,17.7216,-27.884,6.4,0.44],
+  [88815,18.1301,-64.55,6.4,1.27],
+  [90981,18.5582,-58.709,6.4,0.69],
+  [91677,18.6951,-14.564,6.4,0.76],
+  [92040,18.7606,79.943,6.4,0.3],
+  [94913,19.3142,0.339,6.4,1.05,"24 Aql"],
+  [95340,19.3964,20.264,6.4,0.01],
+  [101641,20.6023,25.883,6.4,0.16,"26 Vul"],
+  [105228,21.315,-28.766,6.4,0.97],
+  [105425,21.3546,-49.938,6.4,1.33],
+  [107398,21.7534,52.268,6.4,1.9],
+  [110316,22.3443,50.981,6.4,1.2],
+  [112179,22.7206,-6.963,6.4,-0.04,"67 Aqr"],
+  [113189,22.9208,-36.389,6.4,1.31],
+  [116428,23.5922,-7.464,6.4,0.87],
+  [116962,23.7087,61.679,6.4,1.25],
+  [695,0.1425,63.204,6.41,1],
+  [2628,0.5554,70.982,6.41,-0.01],
+  [2663,0.5622,-35.002,6.41,0.62],
+  [3649,0.7785,59.575,6.41,1.08],
+  [5240,1.1167,56.935,6.41,1.19],
+  [5477,1.1687,-57.694,6.41,0.89],
+  [7363,1.581,-23.7,6.41,1.31],
+  [13789,2.9591,-38.191,6.41,-0.02],
+  [14649,3.1556,20.761,6.41,1.24],
+  [15309,3.2921,65.658,6.41,0.08],
+  [16226,3.4844,3.249,6.41,0.79],
+  [16447,3.5303,49.401,6.41,0.07],
+  [16938,3.6334,42.583,6.41,-0.06],
+  [19601,4.2001,-17.275,6.41,0.97],
+  [20856,4.4693,-41.96,6.41,1.61,"RV Cae"],
+  [25453,5.4441,6.869,6.41,-0.02],
+  [25580,5.4669,33.764,6.41,0.51],
+  [25582,5.4671,1.298,6.41,-0.17],
+  [26820,5.6945,-2.897,6.41,0.32],
+  [28596,6.0359,-60.097,6.41,1.51,"SW Pic"],
+  [30200,6.3533,29.541,6.41,0.05],
+  [30382,6.3885,3.764,6.41,-0.15],
+  [33012,6.8793,-59.341,6.41,0.18],
+  [33591,6.9788,-30.998,6.41,-0.14],
+  [37461,7.6894,-44.632,6.41,0],
+  [39172,8.0123,-2.882,6.41,-0.09,"V0695 Mon"],
+  [42075,8.5755,-32.599,6.41,0.75],
+  [42951,8.7558,-2.601,6.41,0.52],
+  [43427,8.8459,18.832,6.41,0.01],
+  [43590,8.8774,-36.545,6.41,0.55],
+  [46058,9.3922,25.183,6.41,0.86],
+  [47231,9.6271,60.214,6.41,0.92],
+  [49223,10.0471,-62.157,6.41,1.69],
+  [51461,10.5109,-61.356,6.41,1.65],
+  [53798,11.0071,51.502,6.41,1.01],
+  [54745,11.209,35.814,6.41,0.6,"MN UMa"],
+  [55350,11.3345,-71.994,6.41,0.02],
+  [58706,12.0412,-71.489,6.41,1.16],
+  [60525,12.4074,25.582,6.41,0.28],
+  [61208,12.5424,-21.212,6.41,1.11],
+  [62084,12.7245,-58.903,6.41,1.09],
+  [66521,13.6355,-58.415,6.41,1.11],
+  [69614,14.2481,3.336,6.41,1.6,"FS Vir"],
+  [70320,14.3876,-47.417,6.41,1.26],
+  [72846,14.8898,15.705,6.41,0.57],
+  [73953,15.1136,-16.484,6.41,0.16,"22 Lib"],
+  [77138,15.7499,-50.785,6.41,0.16],
+  [77350,15.7904,-40.194,6.41,0.88],
+  [77397,15.8005,31.736,6.41,1.52],
+  [79599,16.2414,-21.108,6.41,0],
+  [80247,16.3824,32.333,6.41,0.08,"23 Her"],
+  [83114,16.984,69.186,6.41,0.72],
+  [83365,17.0381,31.884,6.41,1.13],
+  [87042,17.7854,-38.112,6.41,-0.02],
+  [87264,17.8314,-61.715,6.41,-0.05],
+  [87624,17.8995,-34.831,6.41,0,"V0951 Sco"],
+  [88429,18.054,19.613,6.41,0.02],
+  [90163,18.3992,38.739,6.41,1.43],
+  [90858,18.5352,3.66,6.41,-0.03,"MV Ser"],
+  [91675,18.6948,31.618,6.41,-0.05],
+  [100672,20.4116,1.369,6.41,1.6],
+  [101011,20.4788,-15.742,6.41,1],
+  [101570,20.5851,-71.189,6.41,1.3],
+  [102585,20.7891,45.58,6.41,1.61],
+  [103168,20.9018,-27.925,6.41,1.63],
+  [104041,21.0782,2.942,6.41,1.05],
+  [105079,21.2871,-13.279,6.41,0.04],
+  [106103,21.4929,6.581,6.41,1.18],
+  [106544,21.5785,1.829,6.41,1.4,"IZ Aqr"],
+  [108259,21.9321,-30.606,6.41,0.93],
+  [108364,21.9531,66.156,6.41,-0.06],
+  [109272,22.1379,49.797,6.41,1.58],
+  [110311,22.3434,-57.51,6.41,1.4],
+  [111066,22.5004,-12.915,6.41,0.36],
+  [111072,22.5018,49.356,6.41,1.17,"V0350 Lac"],
+  [111247,22.5385,54.037,6.41,1.04],
+  [114163,23.1196,59.727,6.41,-0.03],
+  [114725,23.2394,29.772,6.41,0.45],
+  [115245,23.3429,62.213,6.41,1.6],
+  [116119,23.5286,28.404,6.41,0.04,"V0354 Peg"],
+  [116187,23.5414,23.844,6.41,1.49],
+  [117430,23.8108,64.876,6.41,0.06,"V0650 Cas"],
+  [6717,1.4409,-0.399,6.42,1.24],
+  [6794,1.4574,41.101,6.42,0.31],
+  [8664,1.8605,-6.874,6.42,1.23],
+  [9094,1.9527,-10.242,6.42,0.82],
+  [14719,3.1691,27.82,6.42,0.01],
+  [16516,3.5442,44.856,6.42,-0.01,"KP Per"],
+  [16531,3.5477,-61.017,6.42,1.04],
+  [20558,4.404,12.158,6.42,1.41],
+  [22534,4.849,-53.46,6.42,0.48,"ι Pic"],
+  [22938,4.9358,7.905,6.42,0.41],
+  [23551,5.0645,-14.37,6.42,-0.19],
+  [24193,5.194,29.904,6.42,1.75],
+  [24607,5.2781,1.947,6.42,-0.01],
+  [26079,5.5623,-54.902,6.42,0.55],
+  [26616,5.6575,21.763,6.42,0.07],
+  [28385,5.9961,55.321,6.42,0.32],
+  [28951,6.1109,63.454,6.42,1.01],
+  [30627,6.436,-3.516,6.42,1.04],
+  [32918,6.859,-48.293,6.42,1.21],
+  [35080,7.2554,-0.161,6.42,0.9,"24 Mon"],
+  [35707,7.3672,-8.979,6.42,-0.19],
+  [36351,7.4813,46.315,6.42,1.2],
+  [37666,7.7286,-38.202,6.42,-0.12],
+  [38196,7.8256,12.814,6.42,0.98],
+  [38945,7.9683,7.213,6.42,-0.03,"BU CMi"],
+  [40063,8.1838,-37.292,6.42,-0.04],
+  [40639,8.2962,-36.068,6.42,1.45],
+  [40675,8.304,15.678,6.42,1.02],
+  [41060,8.3789,60.631,6.42,0.97],
+  [41564,8.4748,-2.517,6.42,0.33,"LO Hya"],
+  [42549,8.6728,19.67,6.42,1.02],
+  [42775,8.7158,-35.943,6.42,0.02],
+  [43215,8.8041,-28.639,6.42,1.36,"AK Pyx"],
+  [43246,8.8104,-1.045,6.42,1.14],
+  [43673,8.8974,-40.447,6.42,0.96],
+  [45764,9.3321,74.017,6.42,1.05],
+  [48351,9.856,-6.182,6.42,0.58],
+  [49092,10.02,-56.097,6.42,-0.01],
+  [49343,10.0732,-39.976,6.42,1.31],
+  [50067,10.2226,-61.659,6.42,-0.11],
+  [50509,10.3163,46.761,6.42,1.19],
+  [50516,10.3169,24.712,6.42,1.39],
+  [51248,10.4677,48.785,6.42,0.61],
+  [51265,10.4717,-63.165,6.42,-0.04,"V0507 Car"],
+  [51327,10.4844,-65.176,6.42,1.68],
+  [52032,10.6312,34.079,6.42,1.36,"36 LMi"],
+  [52929,10.8247,63.81,6.42,1.29],
+  [55003,11.2619,-57.356,6.42,0.1],
+  [57939,11.883,37.719,6.42,0.75,"Groombridge 1830"],
+  [58369,11.9687,32.274,6.42,0.33],
+  [58436,11.9818,-25.909,6.42,0.04],
+  [62443,12.7976,3.573,6.42,1.6,"35 Vir"],
+  [62904,12.8923,19.481,6.42,0.81],
+  [65754,13.4794,50.719,6.42,0.4],
+  [65796,13.4875,-1.364,6.42,1.12],
+  [67104,13.7537,10.325,6.42,1.23],
+  [67199,13.7707,-54.683,6.42,0.12],
+  [68224,13.9664,-25.998,6.42,1.27],
+  [69340,14.192,1.362,6.42,0.48],
+  [70038,14.3314,-6.746,6.42,0.92],
+  [70418,14.4061,-82.848,6.42,0],
+  [78476,16.0196,-63.776,6.42,0.57,"S TrA"],
+  [81231,16.5906,17.057,6.42,0.06],
+  [84332,17.241,-39.767,6.42,2.28,"V0915 Sco"],
+  [85019,17.3772,-35.911,6.42,0.54],
+  [85391,17.4487,-25.944,6.42,-0.06],
+  [85450,17.4622,8.442,6.42,1.66,"V2114 Oph"],
+  [85826,17.5375,11.93,6.42,-0.01],
+  [88172,18.0077,19.506,6.42,-0.05],
+  [88876,18.1441,-21.45,6.42,0.76,"V4381 Sgr"],
+  [90971,18.5565,8.268,6.42,-0.04,"V2393 Oph"],
+  [94770,19.2835,-65.228,6.42,-0.05],
+  [95239,19.3772,-51.231,6.42,0.33],
+  [96919,19.7012,55.463,6.42,1.45,"V1351 Cyg"],
+  [97485,19.8141,33.437,6.42,0.13,"V1765 Cyg"],
+  [101489,20.5666,4.899,6.42,1.02],
+  [101552,20.5798,-30.474,6.42,-0.07],
+  [102901,20.8464,-32.055,6.42,1.51],
+  [102993,20.8668,32.849,6.42,-0.14],
+  [105091,21.2886,58.611,6.42,0.19,"V0421 Cep"],
+  [106064,21.4833,17.906,6.42,1.39],
+  [106320,21.5342,-84.81,6.42,1.41],
+  [106564,21.5814,-29.696,6.42,-0.1],
+  [110478,22.3789,-45.948,6.42,2.23,"π1 Gru"],
+  [111601,22.6101,11.697,6.42,0.03],
+  [113904,23.0669,6.616,6.42,0.42],
+  [34,0.0066,26.918,6.43,0.51],
+  [635,0.1289,-2.549,6.43,-0.15,"4 Cet"],
+  [1269,0.2652,61,6.43,0.84],
+  [1821,0.3846,-15.943,6.43,1.59],
+  [2889,0.6105,-65.124,6.43,1.26],
+  [2954,0.6251,3.135,6.43,1.34],
+  [3056,0.6469,-25.108,6.43,1.48],
+  [6789,1.4565,-22.338,6.43,1.12],
+  [7443,1.5974,-39.947,6.43,0.41],
+  [7597,1.6311,-3.441,6.43,1.57],
+  [8957,1.9221,-60.313,6.43,0.41],
+  [9655,2.0701,-11.86,6.43,1.5],
+  [10379,2.2282,58.561,6.43,0.55],
+  [10396,2.2315,-9.065,6.43,1.42],
+  [16712,3.5836,60.041,6.43,0.43],
+  [17588,3.7675,24.528,6.43,-0.02,"Sterope"],
+  [19509,4.1794,-35.274,6.43,1.07],
+  [22737,4.8918,-66.675,6.43,1.64],
+  [24003,5.1602,69.639,6.43,1.1,"Mago"],
+  [24960,5.3455,2.545,6.43,1.04],
+  [26515,5.6382,-50.641,6.43,-0.05],
+  [29525,6.2201,10.627,6.43,0.66,"V1357 Ori"],
+  [30741,6.4599,32.563,6.43,1.26],
+  [31850,6.6587,24.6,6.43,0.52],
+  [32322,6.7478,-27.342,6.43,0.55],
+  [34608,7.1685,21.247,6.43,0.88],
+  [35751,7.3745,0.701,6.43,0.99],
+  [37375,7.6725,-11.753,6.43,1.25],
+  [38316,7.85,-24.529,6.43,0],
+  [40474,8.264,60.381,6.43,0.21,"56 Cam"],
+  [40656,8.2995,-30.004,6.43,1.04],
+  [41547,8.4722,-8.816,6.43,1.2],
+  [43209,8.8024,-42.463,6.43,-0.18],
+  [43623,8.8848,-16.953,6.43,1.08],
+  [44565,9.08,-57.853,6.43,0.29],
+  [46810,9.5384,-28.628,6.43,0.36,"S Ant"],
+  [46874,9.5521,-39.129,6.43,0.34],
+  [48839,9.9622,-1.942,6.43,0.7],
+  [49329,10.069,3.201,6.43,0.4,"13 Sex"],
+  [49929,10.1939,13.355,6.43,0.47,"34 Leo"],
+  [51984,10.6211,-53.855,6.43,-0.15],
+  [52537,10.7423,-70.855,6.43,0.23],
+  [54703,11.1994,-26.806,6.43,0.92],
+  [55485,11.3637,57.075,6.43,0.16],
+  [55497,11.3658,-77.608,6.43,0.2],
+  [56500,11.583,-4.361,6.43,1.17],
+  [62081,12.724,-40.178,6.43,0.24],
+  [62448,12.7982,-24.852,6.43,-0.06],
+  [62653,12.8381,22.863,6.43,1],
+  [63822,13.0805,73.025,6.43,0.22],
+  [63883,13.0919,-52.116,6.43,1.69,"V1154 Cen"],
+  [64108,13.139,-78.446,6.43,0.01],
+  [64779,13.2756,19.785,6.43,0.27],
+  [66923,13.7152,-50.79,6.43,1.67],
+  [67483,13.8291,36.633,6.43,0.26],
+  [67537,13.8387,-39.901,6.43,0.99],
+  [67620,13.8556,-24.39,6.43,0.7],
+  [68956,14.1157,74.594,6.43,0.16,"3 UMi"],
+  [69011,14.128,-48.704,6.43,0],
+  [70451,14.4113,-44.311,6.43,1.05],
+  [72217,14.7697,-21.176,6.43,0.6],
+  [75790,15.483,-28.867,6.43,0.61],
+  [79164,16.1572,55.829,6.43,1.08],
+  [79203,16.1654,-18.341,6.43,0.45],
+  [81198,16.5855,-45.244,6.43,1.35],
+  [83321,17.0295,-51.131,6.43,0.28],
+  [84780,17.3296,2.139,6.43,1.49,"V2113 Oph"],
+  [85688,17.5112,38.882,6.43,0.51],
+  [85786,17.5298,-33.703,6.43,1.19],
+  [87427,17.8662,15.326,6.43,1],
+  [89347,18.2312,2.393,6.43,1.54],
+  [90476,18.4617,59.549,6.43,0.98],
+  [91533,18.6672,30.849,6.43,0.9],
+  [93210,18.9867,39.217,6.43,-0.17],
+  [96503,19.6193,29.334,6.43,-0.09],
+  [96856,19.6874,22.453,6.43,1.48],
+  [97144,19.7448,8.726,6.43,0.94],
+  [99158,20.1307,9.4,6.43,0.46],
+  [101133,20.5,45.929,6.43,1.14],
+  [102040,20.6792,19.936,6.43,0.61],
+  [105193,21.309,61.184,6.43,1.54,"V0422 Cep"],
+  [106306,21.5306,23.845,6.43,1.06],
+  [106363,21.5426,-24.59,6.43,0.2],
+  [106419,21.5549,-52.738,6.43,1.48],
+  [107297,21.7328,22.815,6.43,1.29],
+  [108133,21.9074,80.309,6.43,1.45,"V0438 Cep"],
+  [109408,22.1661,-48.108,6.43,1.38],
+  [111138,22.5149,-26.074,6.43,1.08,"ζ PsA"],
+  [111278,22.5432,20.23,6.43,0.35,"39 Peg"],
+  [112144,22.7154,37.803,6.43,-0.12],
+  [112300,22.747,52.517,6.43,1.54],
+  [113445,22.9764,9.357,6.43,0.64],
+  [113750,23.0365,44.573,6.43,0.96],
+  [113852,23.0559,58.564,6.43,0.9],
+  [113994,23.0851,16.563,6.43,0.89],
+  [114371,23.1638,-14.511,6.43,0.01],
+  [114550,23.2035,-80.913,6.43,1.5],
+  [115709,23.4432,-21.741,6.43,1.04],
+  [115907,23.4836,-44.498,6.43,1.18],
+  [116941,23.7041,44.992,6.43,1.5],
+  [2178,0.4586,16.026,6.44,0.23],
+  [2237,0.4725,-20.335,6.44,0.59],
+  [4164,0.8868,-24.777,6.44,0.44],
+  [4475,0.9554,61.422,6.44,0.94],
+  [5042,1.0757,-33.533,6.44,1.07],
+  [5315,1.1332,1.993,6.44,0.85,"29 Cet"],
+  [5743,1.2292,7.578,6.44,0.49,"ζ Psc"],
+  [6140,1.3131,37.386,6.44,0.23],
+  [6714,1.4399,20.071,6.44,0.95],
+  [7362,1.5809,-3.524,6.44,1.34],
+  [8641,1.8573,-39.836,6.44,1.09],
+  [8688,1.8628,-15.648,6.44,1.61],
+  [8847,1.8968,55.598,6.44,0.18],
+  [9706,2.0808,7.736,6.44,1.11],
+  [10830,2.323,48.956,6.44,0.43],
+  [13257,2.8431,36.948,6.44,0.62],
+  [15282,3.2865,40.483,6.44,-0.03],
+  [17759,3.8018,24.988,6.44,1.7],
+  [20661,4.427,15.941,6.44,0.51,"70 Tau"],
+  [25368,5.4268,-1.491,6.44,-0.16],
+  [25973,5.5427,57.221,6.44,0.59,"18 Cam"],
+  [26592,5.6524,41.359,6.44,1],
+  [28138,5.9469,-31.976,6.44,1.07],
+  [29788,6.2719,-59.214,6.44,0.59],
+  [30988,6.5033,-19.215,6.44,1.68],
+  [31241,6.5528,-38.625,6.44,1],
+  [31385,6.5795,7.572,6.44,-0.01,"14 Mon"],
+  [31650,6.6242,24.591,6.44,0.1],
+  [33909,7.0376,-43.404,6.44,-0.04],
+  [34066,7.066,-10.124,6.44,-0.07],
+  [36779,7.5643,51.314,6.44,1.35],
+  [38963,7.9726,-51.449,6.44,0.26],
+  [40007,8.1703,25.845,6.44,1.42,"ψ1 Cnc"],
+  [40433,8.2565,-50.449,6.44,1.52],
+  [40787,8.3249,-34.59,6.44,-0.08],
+  [41306,8.4276,-17.439,6.44,1.23],
+  [41644,8.4916,-54.212,6.44,-0.11,"V0469 Car"],
+  [42123,8.5868,-39.971,6.44,0.58],
+  [44717,9.112,59.344,6.44,0.04],
+  [48029,9.7905,11.568,6.44,0.26,"19 Leo"],
+  [53157,10.8756,52.504,6.44,1.11],
+  [53811,11.0101,-53.112,6.44,1.28],
+  [54030,11.0545,-31.961,6.44,1.62],
+  [54038,11.0576,70.031,6.44,1.28],
+  [54380,11.1261,-48.64,6.44,1.49],
+  [55164,11.2941,-34.737,6.44,0.41],
+  [55953,11.4663,-35.329,6.44,1.61],
+  [57001,11.6857,-29.196,6.44,0.65],
+  [58810,12.0624,-74.214,6.44,1.2],
+  [60066,12.3172,26.008,6.44,0.18,"FM Com"],
+  [63297,12.9719,64.925,6.44,1.15],
+  [63849,13.0852,-47.117,6.44,0.41,"V0947 Cen"],
+  [65381,13.3992,-20.925,6.44,1.1],
+  [65417,13.4085,12.432,6.44,1.06],
+  [67036,13.7378,-51.013,6.44,-0.11,"V0827 Cen"],
+  [69727,14.2726,-6.622,6.44,0.28],
+  [72135,14.7552,-51.315,6.44,1.59],
+  [72670,14.8583,-77.176,6.44,-0.02],
+  [74336,15.193,-45.278,6.44,1.04],
+  [74775,15.2819,-46.202,6.44,0.51],
+  [75587,15.4423,54.02,6.44,0.08],
+  [75818,15.4887,-38.635,6.44,0.35],
+  [80809,16.5017,48.961,6.44,0.03,"34 Her"],
+  [81499,16.6466,-8.619,6.44,1.81],
+  [83834,17.1335,31.206,6.44,1.28],
+  [85235,17.4167,67.307,6.44,0.76],
+  [85307,17.4327,-1.652,6.44,0.46],
+  [86716,17.7186,-33.051,6.44,1.81],
+  [87224,17.822,1.961,6.44,1.24],
+  [93371,19.0179,-37.062,6.44,0.02],
+  [93443,19.0304,22.264,6.44,0.13],
+  [94054,19.1479,-55.72,6.44,1.1],
+  [94130,19.161,-39.827,6.44,1.06],
+  [95370,19.4017,36.452,6.44,1.07],
+  [96546,19.628,35.023,6.44,1.56],
+  [97454,19.8085,10.694,6.44,0.93],
+  [97569,19.8315,-66.813,6.44,1.48],
+  [98253,19.9656,42.261,6.44,0.1],
+  [98785,20.0623,-22.596,6.44,0.5],
+  [99894,20.2683,4.581,6.44,0.87,"Chechia"],
+  [100714,20.4181,59.6,6.44,0.09],
+  [100876,20.4539,20.477,6.44,1.03],
+  [103154,20.8996,-6.889,6.44,0.36],
+  [104481,21.1662,2.944,6.44,0.38],
+  [107445,21.7624,35.857,6.44,1],
+  [109412,22.1667,-28.292,6.44,0.15],
+  [110504,22.3853,55.963,6.44,2.21],
+  [113705,23.0288,3.531,6.44,0.97],
+  [114096,23.1089,19.911,6.44,0.54],
+  [114981,23.288,45.164,6.44,1.08],
+  [116465,23.5989,24.561,6.44,1.7],
+  [116991,23.7181,51.939,6.44,1.03],
+  [117510,23.8304,-25.331,6.44,0.1],
+  [2846,0.6009,-14.973,6.45,1.06],
+  [8143,1.7455,-6.766,6.45,0.86],
+  [9685,2.0764,-54.882,6.45,0.39],
+  [10623,2.2793,83.561,6.45,0.95],
+  [10795,2.3161,23.168,6.45,0.38],
+  [11212,2.4056,-25.848,6.45,1.32],
+  [11427,2.4565,10.198,6.45,0.45,"25 Ari"],
+  [11474,2.4666,1.961,6.45,0.97],
+  [13036,2.792,44.272,6.45,0.64],
+  [13176,2.8241,37.326,6.45,0.42],
+  [16587,3.5589,58.765,6.45,0.17],
+  [17436,3.7351,-40.66,6.45,1.06],
+  [17558,3.7603,38.676,6.45,1.2],
+  [19590,4.1989,-8.838,6.45,0.95],
+  [19725,4.2273,-1.15,6.45,-0.13],
+  [20360,4.3604,-6.284,6.45,0.06],
+  [21666,4.6512,-51.673,6.45,1.32],
+  [23419,5.0333,1.609,6.45,-0.05],
+  [24560,5.2696,-11.353,6.45,0.67],
+  [25192,5.3897,28.937,6.45,-0.04,"22 Aur"],
+  [26104,5.5674,-7.024,6.45,1.12],
+  [26571,5.6493,26.618,6.45,0.98],
+  [29509,6.2165,6.016,6.45,1.62],
+  [30480,6.4074,-63.429,6.45,0.66],
+  [31359,6.5758,55.353,6.45,1.55,"7 Lyn"],
+  [32019,6.6891,28.197,6.45,1.09,"25 Gem"],
+  [32477,6.7782,-54.695,6.45,0.86],
+  [35326,7.2967,-26.798,6.45,-0.15],
+  [35548,7.3352,15.143,6.45,0.01],
+  [38292,7.8451,-44.58,6.45,0.9],
+  [38686,7.9205,-30.918,6.45,1.47],
+  [39198,8.0176,-6.419,6.45,0.84],
+  [40397,8.2476,-46.486,6.45,-0.15],
+  [40559,8.2816,84.058,6.45,0.05],
+  [40749,8.3182,-48.198,6.45,-0.13],
+  [42400,8.6458,-53.09,6.45,-0.1],
+  [42981,8.7597,4.664,6.45,1.23],
+  [45543,9.2825,-11.103,6.45,1.17],
+  [46143,9.4103,-70.076,6.45,1.27],
+  [47242,9.6294,-3.171,6.45,0.99],
+  [47868,9.7561,-30.203,6.45,-0.14],
+  [48324,9.8506,13.066,6.45,1.62,"23 Leo"],
+  [49642,10.1324,-62.221,6.45,-0.1,"V0495 Car"],
+  [50013,10.2105,-19.153,6.45,0.49],
+  [50606,10.3374,53.779,6.45,0.58],
+  [50887,10.3912,-0.902,6.45,0.92],
+  [52488,10.7312,-60.118,6.45,-0.02],
+  [53260,10.8926,-56.42,6.45,1.39],
+  [53387,10.9199,-20.665,6.45,1.1],
+  [56050,11.4875,-63.554,6.45,0.32,"V0808 Cen"],
+  [56508,11.5844,20.442,6.45,1.01,"Formosa"],
+  [62915,12.8939,-4.225,6.45,1.09],
+  [66060,13.5429,-29.565,6.45,0.44],
+  [67548,13.841,58.539,6.45,0.09],
+  [69012,14.1282,-49.868,6.45,0.66],
+  [69127,14.1502,-10.335,6.45,1,"96 Vir"],
+  [69585,14.2432,13.976,6.45,1.35],
+  [70051,14.3357,30.429,6.45,0.16],
+  [71510,14.6246,2.277,6.45,0.56],
+  [73341,14.9872,-37.881,6.45,-0.08],
+  [75788,15.4825,55.195,6.45,0.08],
+  [75919,15.5063,31.286,6.45,0.2],
+  [76603,15.6445,-8.791,6.45,0.51],
+  [76651,15.6526,57.924,6.45,1.1],
+  [76736,15.6699,-70.228,6.45,0.08],
+  [79522,16.2274,-1.475,6.45,1],
+  [80324,16.3991,-33.199,6.45,0.01],
+  [80682,16.4725,67.044,6.45,1.52],
+  [82418,16.8434,-50.045,6.45,0.33],
+  [83593,17.0847,43.812,6.45,0.1],
+  [88274,18.0262,-85.215,6.45,0.44],
+  [89683,18.3021,23.297,6.45,1.7],
+  [90223,18.4092,-49.653,6.45,0.59],
+  [91552,18.6701,38.367,6.45,0.22],
+  [91820,18.7213,39.3,6.45,1.59],
+  [92972,18.9409,-31.689,6.45,1.22],
+  [93733,19.0861,49.923,6.45,1.35],
+  [97572,19.8319,28.44,6.45,-0.1,"V0379 Vul"],
+  [98772,20.0608,22.941,6.45,1.03],
+  [99200,20.139,-66.355,6.45,1.59],
+  [100779,20.4337,19.866,6.45,1.04],
+  [101558,20.5821,-38.09,6.45,0.26],
+  [101900,20.6501,56.005,6.45,0.4],
+  [102771,20.8215,64.042,6.45,0.03],
+  [104296,21.129,-45.38,6.45,0.24],
+  [104962,21.2603,47.974,6.45,-0.13],
+  [105019,21.2716,-9.215,6.45,1.61,"IW Aqr"],
+  [105390,21.3472,32.452,6.45,0.8],
+  [105819,21.431,0.534,6.45,0.16],
+  [106527,21.5761,22.755,6.45,0.51],
+  [107555,21.7836,70.151,6.45,-0.01],
+  [108952,22.0733,-29.916,6.45,1.6,"13 PsA"],
+  [109458,22.1751,20.978,6.45,0.1,"28 Peg"],
+  [110487,22.3806,36.659,6.45,1.05],
+  [112168,22.7176,-8.311,6.45,0.17],
+  [112324,22.751,58.147,6.45,0.43],
+  [115915,23.4849,23.048,6.45,1.09],
+  [117986,23.9319,15.23,6.45,1.56,"V0363 Peg"],
+  [118081,23.9528,-20.834,6.45,0.98],
+  [253,0.0522,-24.145,6.46,1.18],
+  [1402,0.2924,-19.051,6.46,0.39],
+  [1639,0.3419,48.969,6.46,0.56],
+  [4382,0.9359,13.952,6.46,0.96],
+  [4911,1.0504,47.376,6.46,0.25],
+  [7283,1.5641,89.016,6.46,0.11],
+  [9237,1.9794,-11.301,6.46,1.13],
+  [10309,2.2139,79.692,6.46,0.24],
+  [13347,2.8627,58.314,6.46,0.1],
+  [15193,3.2635,50.956,6.46,0.1,"V0572 Per"],
+  [17858,3.8222,57.118,6.46,0.06],
+  [18275,3.9094,-52.69,6.46,0.16],
+  [22081,4.7494,-63.23,6.46,1.08],
+  [22152,4.7668,76.611,6.46,0.51],
+  [23268,5.0064,39.655,6.46,1.68,"6 Aur"],
+  [26728,5.6795,-10.409,6.46,-0.13,"V1051 Ori"],
+  [29140,6.1466,-6.821,6.46,0.88],
+  [32500,6.7829,-87.025,6.46,0.43],
+  [33133,6.8992,38.505,6.46,-0.04,"ψ8 Aur"],
+  [33577,6.9768,-56.395,6.46,0.39],
+  [34350,7.1212,-59.716,6.46,-0.11],
+  [34860,7.2136,27.225,6.46,0.5],
+  [37705,7.7355,2.405,6.46,0.21,"AZ CMi"],
+  [37996,7.7874,-36.074,6.46,1.08],
+  [38925,7.9652,-40.784,6.46,0.98],
+  [40016,8.1724,-49.237,6.46,-0.14],
+  [42462,8.6568,8.018,6.46,1.08],
+  [42701,8.7027,-11.966,6.46,0.16],
+  [44509,9.0683,-47.441,6.46,-0.15],
+  [44574,9.082,32.377,6.46,0.24],
+  [45305,9.2342,-14.695,6.46,0.96],
+  [47119,9.6019,74.319,6.46,-0.08],
+  [50316,10.2745,28.683,6.46,0.64,"24 LMi"],
+  [52815,10.7982,-64.263,6.46,0.01],
+  [55133,11.2873,-41.934,6.46,0.01],
+  [55332,11.3308,-72.958,6.46,0],
+  [56769,11.639,-63.373,6.46,0.04,"V0871 Cen"],
+  [58057,11.9072,-37.749,6.46,0.53],
+  [60353,12.3756,5.305,6.46,0.57,"17 Vir"],
+  [61172,12.5346,-32.534,6.46,0.17],
+  [61738,12.654,-75.371,6.46,0.1],
+  [64751,13.2706,19.052,6.46,0.97],
+  [66251,13.5785,76.547,6.46,1.57],
+  [66254,13.5788,-33.311,6.46,1.25],
+  [66594,13.6506,18.265,6.46,1.22],
+  [70798,14.4787,-59.197,6.46,0.11],
+  [71251,14.5711,57.065,6.46,0.53],
+  [74769,15.2811,-47.864,6.46,0.93],
+  [75294,15.3838,-15.134,6.46,1.6,"30 Lib"],
+  [76456,15.6148,29.991,6.46,0.43],
+  [77042,15.732,-60.287,6.46,1.02],
+  [78731,16.0726,-53.71,6.46,0.01,"QY Nor"],
+  [80708,16.4784,0.055,6.46,1.38],
+  [80840,16.5083,-7.514,6.46,0.37],
+  [81891,16.7274,-32.106,6.46,-0.08],
+  [82944,16.9503,-71.112,6.46,0.26],
+  [83857,17.1381,50.842,6.46,-0.02],
+  [84556,17.2849,-44.779,6.46,0.19],
+  [84883,17.348,-10.696,6.46,0.33],
+  [85268,17.4233,52.791,6.46,0.62],
+  [87865,17.9489,-40.306,6.46,1.41],
+  [88675,18.1026,-51.744,6.46,0.17],
+  [89920,18.3487,-37.488,6.46,1.31],
+  [92301,18.8126,-18.601,6.46,0.9],
+  [94646,19.2593,18.516,6.46,1.74],
+  [97573,19.8322,27.085,6.46,0.94],
+  [98146,19.9459,50.903,6.46,0],
+  [99270,20.1511,-47.068,6.46,1.46],
+  [100142,20.3138,46.322,6.46,-0.12,"V1773 Cyg"],
+  [100332,20.3477,-35.674,6.46,1.31],
+  [101911,20.6516,-4.929,6.46,1.02],
+  [104537,21.1753,47.692,6.46,0.01],
+  [105637,21.3968,37.352,6.46,1.47],
+  [107409,21.7552,-49.499,6.46,1.15],
+  [108632,22.0074,33.006,6.46,0.46],
+  [110055,22.2912,49.127,6.46,1.05],
+  [110314,22.3441,58.41,6.46,0.99],
+  [110346,22.35,26.935,6.46,1.53,"PT Peg"],
+  [110790,22.446,37.444,6.46,-0.13],
+  [111801,22.6457,-28.748,6.46,1.03],
+  [112986,22.8812,50.412,6.46,-0.05],
+  [113498,22.9858,59.815,6.46,0.01],
+  [113784,23.0428,-36.421,6.46,0.94],
+  [115522,23.4011,-21.774,6.46,0.43],
+  [117133,23.7468,55.8,6.46,0.99],
+  [410,0.0837,27.675,6.47,0.95],
+  [728,0.15,28.247,6.47,0.24],
+  [1499,0.3116,-8.053,6.47,0.67],
+  [2707,0.5736,66.75,6.47,-0.05,"16 Cas"],
+  [3576,0.7616,-16.424,6.47,0.31],
+  [4558,0.9719,21.404,6.47,0.09],
+  [4801,1.0274,-16.266,6.47,1.18],
+  [10826,2.3224,-2.978,6.47,0.97,"Mira"],
+  [11121,2.3852,-37.576,6.47,1.59],
+  [13008,2.7864,-22.486,6.47,0.4],
+  [13429,2.8818,-65.455,6.47,1.01],
+  [14626,3.1484,62.385,6.47,0.23,"V0801 Cas"],
+  [15800,3.3934,0.91,6.47,1.15],
+  [16042,3.4432,28.715,6.47,0.88,"UX Ari"],
+  [17832,3.8158,23.857,6.47,0.38,"26 Tau"],
+  [17950,3.8378,-1.523,6.47,0.43],
+  [18926,4.0569,-20.144,6.47,-0.18],
+  [19746,4.2332,37.967,6.47,1.03],
+  [20985,4.5006,10.262,6.47,1.04],
+  [23818,5.1194,-19.392,6.47,0.65],
+  [25059,5.3654,-17.604,6.47,1.21],
+  [27116,5.7504,12.888,6.47,0.23],
+  [27293,5.7833,51.521,6.47,0.9],
+  [27705,5.8666,-29.449,6.47,1.47],
+  [30357,6.3851,56.976,6.47,1.07],
+  [30423,6.3964,-58.544,6.47,0.12],
+  [32269,6.7369,-54.696,6.47,-0.12],
+  [32404,6.7651,12.694,6.47,0.34,"32 Gem"],
+  [33015,6.8798,-43.976,6.47,-0.1],
+  [34177,7.0879,-50.36,6.47,1.42],
+  [34270,7.104,-68.838,6.47,1.04],
+  [34367,7.1236,28.177,6.47,-0.08],
+  [35933,7.4077,15.517,6.47,-0.19,"OT Gem"],
+  [36211,7.4572,66.332,6.47,-0.06],
+  [39958,8.1598,29.093,6.47,0.8],
+  [40342,8.2364,17.676,6.47,0.33],
+  [40655,8.2988,-59.167,6.47,0.4],
+  [42434,8.6528,59.939,6.47,0.04],
+  [43850,8.9318,-15.44,6.47,1.39],
+  [44825,9.1345,32.54,6.47,0.38],
+  [46075,9.3958,-37.757,6.47,0.19],
+  [47893,9.7613,-57.186,6.47,-0.11,"V0487 Car"],
+  [48320,9.8502,-80.061,6.47,0.07],
+  [50218,10.2518,31.468,6.47,0.86,"22 LMi"],
+  [50728,10.358,-23.711,6.47,0.19],
+  [52806,10.7956,-59.875,6.47,-0.12],
+  [54430,11.1377,-29.973,6.47,0.03],
+  [58119,11.9206,36.756,6.47,1.58],
+  [59489,12.2003,28.536,6.47,0.43],
+  [60210,12.3469,15.541,6.47,1.02],
+  [60418,12.3876,-4.974,6.47,1.19],
+  [62478,12.804,13.553,6.47,0.01,"28 Com"],
+  [67103,13.7537,55.879,6.47,0.49],
+  [69107,14.1461,59.338,6.47,1.02],
+  [69773,14.2802,-8.884,6.47,1.21],
+  [69881,14.3002,-7.542,6.47,0.72],
+  [69958,14.3155,54.864,6.47,0.18],
+  [74490,15.2215,-24.008,6.47,-0.03],
+  [74500,15.2246,-25.309,6.47,0.69,"23 Lib"],
+  [74690,15.2641,50.938,6.47,0.85],
+  [74695,15.2649,6.465,6.47,1.31],
+  [79086,16.1435,8.613,6.47,1.42,"FQ Ser"],
+  [81663,16.6823,-8.31,6.47,1.15],
+  [81803,16.7081,-37.079,6.47,0.78],
+  [82091,16.7684,-46.532,6.47,0.09],
+  [83556,17.076,-68.279,6.47,1.57],
+  [85666,17.5063,11.924,6.47,0.06],
+  [86060,17.5885,-22.044,6.47,0.01,"52 Oph"],
+  [87045,17.7856,47.612,6.47,0.1],
+  [89370,18.2379,-63.69,6.47,1.41],
+  [91142,18.5935,4.936,6.47,0.07,"FR Ser"],
+  [91662,18.6919,-48.095,6.47,1.22],
+  [92608,18.87,-41.709,6.47,1.43],
+  [93012,18.9485,-62.802,6.47,1.53],
+  [93068,18.9579,58.225,6.47,0.07],
+  [93374,19.0182,19.31,6.47,1.11],
+  [94478,19.2289,5.516,6.47,0.1],
+  [96297,19.5795,63.434,6.47,1.33],
+  [96396,19.5989,50.239,6.47,1.03],
+  [96572,19.6324,49.284,6.47,0.99],
+  [97244,19.7645,-2.884,6.47,0.02],
+  [97484,19.8139,-12.319,6.47,1.68],
+  [97709,19.8575,4.089,6.47,1.34],
+  [97849,19.8851,-14.603,6.47,0.15,"V0505 Sgr"],
+  [98012,19.9181,-33.046,6.47,1.49],
+  [99024,20.1034,-4.078,6.47,1.16],
+  [99188,20.136,-52.578,6.47,0.68],
+  [99624,20.2179,-0.331,6.47,1.53],
+  [99666,20.2257,-47.713,6.47,1.25],
+  [99719,20.2347,36.605,6.47,-0.01],
+  [99929,20.2745,37.056,6.47,-0.1],
+  [101268,20.5267,34.33,6.47,0.42],
+  [101339,20.539,2.133,6.47,1.51],
+  [102670,20.8051,-44.197,6.47,1.16],
+  [103596,20.9902,42.325,6.47,-0.08],
+  [104441,21.1562,-36.706,6.47,0.52],
+  [104634,21.1948,-14.472,6.47,0.32,"EW Aqr"],
+  [105646,21.3989,-25.203,6.47,1.12],
+  [106424,21.5559,-80.039,6.47,0.04],
+  [106550,21.5794,18.329,6.47,1.25],
+  [106604,21.5905,68.219,6.47,-0.08,"V0431 Cep"],
+  [107271,21.7277,7.529,6.47,1.11],
+  [112305,22.7481,39.201,6.47,1.5],
+  [112895,22.8625,-59.881,6.47,1.13],
+  [114367,23.1624,-67.876,6.47,0.39],
+  [114408,23.1701,-66.858,6.47,0.96],
+  [114686,23.2332,19.634,6.47,1.15],
+  [115756,23.4521,-66.581,6.47,1.46],
+  [116422,23.5913,1.313,6.47,1.15,"15 Psc"],
+  [117445,23.8137,2.214,6.47,0.46],
+  [117551,23.8395,51.622,6.47,0.4],
+  [118116,23.9593,60.024,6.47,0.03],
+  [1948,0.4106,14.316,6.48,1.16],
+  [4786,1.0242,49.544,6.48,1.1],
+  [4844,1.0385,51.035,6.48,0.12],
+  [9163,1.9665,47.096,6.48,1.2],
+  [10069,2.1597,-24.346,6.48,0.29],
+  [10633,2.281,57.055,6.48,0.28,"V0551 Per"],
+  [12189,2.6168,24.647,6.48,0.51,"30 Ari"],
+  [12300,2.6402,-37.99,6.48,0.52],
+  [12720,2.7247,-2.531,6.48,0.98],
+  [12964,2.7792,-21.64,6.48,0.39],
+  [14264,3.0658,47.849,6.48,0.3,"V0509 Per"],
+  [16697,3.5812,-25.583,6.48,0.98],
+  [23695,5.0923,19.807,6.48,0.22],
+  [24332,5.2215,37.337,6.48,0.54],
+  [24520,5.2608,-52.182,6.48,1.21],
+  [25322,5.4165,73.707,6.48,1.74],
+  [27353,5.793,25.569,6.48,1.19],
+  [28180,5.954,-53.426,6.48,1.48],
+  [28988,6.1172,-45.092,6.48,1.16],
+  [29185,6.1565,-49.563,6.48,0.5],
+  [29348,6.1871,60.453,6.48,1.7],
+  [30706,6.4521,-37.895,6.48,0.39],
+  [30798,6.4713,1.913,6.48,-0.06],
+  [31736,6.6397,-23.58,6.48,0.66],
+  [32040,6.6938,35.932,6.48,0.51],
+  [33453,6.9551,37.395,6.48,1.67],
+  [34297,7.11,-12.394,6.48,-0.12],
+  [35317,7.2952,38.876,6.48,0.99],
+  [39348,8.0433,57.274,6.48,0.65,"54 Lyn"],
+  [40086,8.1884,54.54,6.48,0.94],
+  [40160,8.2017,-43.4,6.48,1.7],
+  [40263,8.2227,-1.166,6.48,0.92],
+  [41904,8.5444,10.066,6.48,-0.01,"34 Cnc"],
+  [41970,8.5555,-38.371,6.48,-0.15],
+  [43152,8.7893,-17.053,6.48,0.68],
+  [43338,8.8292,-21.048,6.48,0.26],
+  [44888,9.1457,-16.277,6.48,1.1],
+  [44979,9.1625,-49.424,6.48,0.17],
+  [44984,9.1629,11.564,6.48,0.35],
+  [45272,9.227,21.283,6.48,0.05],
+  [47039,9.5866,-35.824,6.48,0.42],
+  [48375,9.8614,-11.341,6.48,1.61],
+  [48895,9.9739,27.759,6.48,0.36,"HN Leo"],
+  [50069,10.2229,-56.587,6.48,1.45],
+  [50391,10.2889,-46.835,6.48,0.33],
+  [50485,10.3091,43.048,6.48,0.93],
+  [51883,10.6005,80.495,6.48,0.96],
+  [53556,10.9556,-69.038,6.48,0],
+  [53940,11.0372,-41.114,6.48,1.47,"V0361 Vel"],
+  [54388,11.1277,23.324,6.48,0.16,"64 Leo"],
+  [57092,11.7041,-75.227,6.48,0.53],
+  [57507,11.7877,-30.287,6.48,0.68],
+  [57749,11.8437,-27.278,6.48,0.98],
+  [58859,12.0713,-51.472,6.48,-0.05],
+  [59389,12.1837,-68.261,6.48,1.35],
+  [60421,12.3886,-11.812,6.48,1.64,"TT Crv"],
+  [62743,12.8564,-10.338,6.48,1.03],
+  [63204,12.9495,-54.587,6.48,-0.04,"V0823 Cen"],
+  [65372,13.3978,-49.823,6.48,0.96],
+  [65969,13.5259,-28.113,6.48,0.09],
+  [66326,13.5926,10.205,6.48,1.04],
+  [66385,13.6111,49.487,6.48,1.18],
+  [66405,13.614,-34.468,6.48,1.03],
+  [67778,13.8857,40.338,6.48,1.55],
+  [69778,14.282,-77.664,6.48,1.38],
+  [70538,14.4299,-26.852,6.48,0.94],
+  [73850,15.0928,-30.551,6.48,0.49],
+  [73881,15.1007,-48.883,6.48,-0.14],
+  [76985,15.7196,13.668,6.48,0.87],
+  [79441,16.2126,26.671,6.48,0.39],
+  [81404,16.626,5.277,6.48,1.15],
+  [81800,16.7077,49.936,6.48,0.54],
+  [83090,16.9782,-14.87,6.48,0.39],
+  [83499,17.0658,-37.844,6.48,0.26,"V0884 Sco"],
+  [85149,17.4006,38.583,6.48,0.72],
+  [85405,17.4527,-15.853,6.48,1.15],
+  [86098,17.5953,-37.44,6.48,0.01],
+  [86510,17.679,-67.854,6.48,1],
+  [87564,17.8884,-65.489,6.48,1.09],
+  [87782,17.9319,-18.802,6.48,0.06],
+  [88030,17.9812,45.476,6.48,-0.06,"V0771 Her"],
+  [91090,18.5799,10.892,6.48,0.03],
+  [92456,18.842,-13.572,6.48,1.66],
+  [92866,18.9232,-37.387,6.48,1.12],
+  [93666,19.0734,-5.685,6.48,2.3,"V Aql"],
+  [95149,19.3583,-34.983,6.48,0.63],
+  [96095,19.5372,-44.546,6.48,0.53],
+  [102276,20.7234,35.588,6.48,1.25,"X Cyg"],
+  [104202,21.1111,3.803,6.48,0.88],
+  [105046,21.2776,-1.608,6.48,0.98],
+  [107749,21.8278,41.149,6.48,0.38],
+  [110907,22.4698,27.019,6.48,0.99],
+  [113283,22.94,-31.566,6.48,1.09,"TW PsA"],
+  [115036,23.2989,45.489,6.48,-0.04,"ET And"],
+  [50,0.0095,-53.098,6.49,0.62],
+  [1268,0.2652,-75.912,6.49,0.98],
+  [3175,0.6746,-16.517,6.49,0.91],
+  [3903,0.8344,-43.395,6.49,0.29,"AZ Phe"],
+  [5575,1.1914,10.292,6.49,0.89],
+  [7593,1.6298,64.739,6.49,0.78],
+  [10096,2.1635,-40.867,6.49,0.43],
+  [10273,2.2044,2.746,6.49,1.04],
+  [16156,3.4699,-35.853,6.49,0.13,"χ3 For"],
+  [16177,3.4732,60.256,6.49,0.01],
+  [16695,3.5803,6.418,6.49,0.64],
+  [16779,3.5992,-5.125,6.49,1.09],
+  [17214,3.6872,-11.802,6.49,0.38],
+  [17493,3.7474,-48.061,6.49,1.01],
+  [19222,4.1197,74,6.49,0.98],
+  [19434,4.1619,3.323,6.49,0.44],
+  [21517,4.6208,18.543,6.49,0.81,"SZ Tau"],
+  [22003,4.7301,32.865,6.49,0.31],
+  [23724,5.1003,35.936,6.49,0.18],
+  [24348,5.2253,62.691,6.49,0.2,"14 Cam"],
+  [24507,5.2569,-73.588,6.49,0.15],
+  [24832,5.3233,33.985,6.49,0.26,"18 Aur"],
+  [24881,5.334,44.425,6.49,1.33],
+  [25011,5.3554,4.012,6.49,-0.09],
+  [25180,5.3867,-26.705,6.49,0.51],
+  [25301,5.4124,36.2,6.49,1.65],
+  [25732,5.4949,-0.802,6.49,0.25],
+  [26623,5.6586,-9.707,6.49,-0.11],
+  [27346,5.7923,63.599,6.49,1.01],
+  [28634,6.0459,47.809,6.49,0.57],
+  [30141,6.3431,-23.638,6.49,1.13],
+  [32746,6.829,37.513,6.49,1.55],
+  [33754,7.0109,-9.203,6.49,0.14],
+  [34238,7.0977,70.732,6.49,1.57],
+  [35946,7.4103,-71.471,6.49,0.12],
+  [38209,7.828,-19.506,6.49,1.23],
+  [38303,7.8475,4.46,6.49,0.94],
+  [38349,7.8543,37.082,6.49,1.51],
+  [40299,8.2293,-46.579,6.49,-0.16],
+  [41426,8.4494,-52.705,6.49,0.42],
+  [41905,8.5446,-47.042,6.49,1.29],
+  [43528,8.8654,-40.987,6.49,-0.11],
+  [43573,8.8739,-32.509,6.49,1.45],
+  [44148,8.9908,13.074,6.49,1.46],
+  [45170,9.2049,14.996,6.49,0.73,"81 Cnc"],
+  [46879,9.5531,45.514,6.49,1.14],
+  [47779,9.7417,18.863,6.49,1.16],
+  [48023,9.7895,23.648,6.49,1.09],
+  [51047,10.4291,35.425,6.49,1.09,"29 LMi"],
+  [51852,10.5941,-18.569,6.49,0.2],
+  [55846,11.4459,3.013,6.49,0.78,"83 Leo"],
+  [56388,11.5601,2.499,6.49,1.6],
+  [56716,11.6284,77.596,6.49,1.61],
+  [56816,11.647,64.347,6.49,0.15],
+  [58450,11.9859,-10.476,6.49,1.45],
+  [58512,11.9993,34.035,6.49,0.24],
+  [59021,12.1014,-32.961,6.49,0.62],
+  [64375,13.1942,-26.552,6.49,0.19],
+  [64797,13.2808,17.017,6.49,0.93],
+  [65682,13.4672,-26.402,6.49,1.61],
+  [65723,13.474,40.73,6.49,0.93],
+  [66522,13.6355,14.302,6.49,0.27],
+  [66613,13.6541,51.804,6.49,1.38],
+  [68184,13.9589,61.493,6.49,1.04],
+  [68413,14.0048,-61.481,6.49,0.33],
+  [70452,14.4113,-11.67,6.49,0.42],
+  [70501,14.4216,-13.353,6.49,1.22],
+  [71295,14.5808,-20.439,6.49,0.14],
+  [71494,14.6201,-53.061,6.49,1.45],
+  [72508,14.8257,51.374,6.49,0.4],
+  [74044,15.1323,-61.129,6.49,0.43],
+  [74391,15.2033,-19.107,6.49,1.51],
+  [75324,15.3903,-46.14,6.49,0.94],
+  [75736,15.472,-88.133,6.49,0.3,"BP Oct"],
+  [76048,15.5306,-32.881,6.49,0.07],
+  [76198,15.5646,17.137,6.49,0.34],
+  [77235,15.7702,-28.061,6.49,0.33],
+  [80719,16.4803,-8.129,6.49,0.41],
+  [82723,16.9088,-49.711,6.49,1.47],
+  [85317,17.4347,58.652,6.49,0.14],
+  [90509,18.4685,-84.387,6.49,-0.04],
+  [90729,18.5116,20.815,6.49,0.8],
+  [91132,18.5893,-20.84,6.49,0.28,"V4190 Sgr"],
+  [91369,18.6346,-14.005,6.49,0.19],
+  [91394,18.6399,-3.194,6.49,0.55],
+  [91707,18.7022,34.746,6.49,-0.12],
+  [92296,18.811,-6.004,6.49,0.24],
+  [93209,18.9864,-39.535,6.49,-0.04],
+  [93238,18.9915,-70.469,6.49,0.3],
+  [96771,19.6703,60.507,6.49,0.21],
+  [97607,19.8382,7.902,6.49,-0.09,"V1339 Aql"],
+  [97967,19.9106,-8.237,6.49,-0.04,"57 Aql"],
+  [98038,19.9221,-6.735,6.49,0.39],
+  [98458,20.0043,26.188,6.49,1.13],
+  [99294,20.1562,56.027,6.49,0.94],
+  [100250,20.3322,46.837,6.49,-0.08,"V1584 Cyg"],
+  [100379,20.3578,-66.75,6.49,0.51],
+  [100651,20.409,53.552,6.49,-0.03],
+  [101505,20.5694,20.985,6.49,-0.14],
+  [102496,20.7718,-36.12,6.49,0.43],
+  [107299,21.7331,-57.325,6.49,0.48],
+  [107710,21.8189,66.792,6.49,0.39],
+  [112432,22.7745,-49.686,6.49,1.16],
+  [112533,22.7932,-65.56,6.49,1.21],
+  [114937,23.2805,-41.194,6.49,1.07],
+  [115121,23.3176,-28.388,6.49,1.53],
+  [116781,23.6674,37.653,6.49,0.35],
+  [117571,23.8432,-47.377,6.49,1.02],
+  [128,0.0276,73.612,6.5,0.18],
+  [1009,0.2095,44.707,6.5,1.11],
+  [1331,0.2784,-20.21,6.5,-0.11],
+  [6429,1.3763,-0.45,6.5,1.08,"43 Cet"],
+  [6687,1.4312,-3.927,6.5,1.35],
+  [9951,2.1349,-41.88,6.5,0.2],
+  [10361,2.226,53.059,6.5,1.66],
+  [10854,2.328,-4.346,6.5,0.08],
+  [11644,2.5038,-25.186,6.5,0.29,"TY For"],
+  [14791,3.1835,64.896,6.5,0.16],
+  [15884,3.4101,-51.063,6.5,0],
+  [16425,3.5251,40.76,6.5,0.24],
+  [17026,3.65,20.916,6.5,0.15],
+  [17298,3.7027,-45.958,6.5,0.52],
+  [21053,4.513,16.149,6.5,0.43],
+  [22923,4.9329,5.399,6.5,0.03],
+  [25911,5.53,85.939,6.5,0.36],
+  [26054,5.5576,32.801,6.5,0.09],
+  [27164,5.7582,31.325,6.5,1.1],
+  [28656,6.0512,57.018,6.5,0.95],
+  [30700,6.4502,-4.356,6.5,-0.15,"9 Mon"],
+  [31977,6.6827,-71.775,6.5,1.11],
+  [34234,7.0971,-10.66,6.5,-0.06,"V0569 Mon"],
+  [34763,7.1963,16.976,6.5,1.42],
+  [37293,7.6575,-26.863,6.5,-0.09],
+  [37634,7.7226,4.946,6.5,1.36],
+  [37934,7.7743,62.831,6.5,0.26,"49 Cam"],
+  [38403,7.8677,45.933,6.5,0.21],
+  [39094,7.9976,36.082,6.5,1.56],
+  [39730,8.1211,-17.369,6.5,1.25],
+  [40878,8.3414,53.574,6.5,0.3],
+  [41572,8.4767,-23.071,6.5,0.06],
+  [41833,8.5281,18.988,6.5,1.5],
+  [46566,9.4966,55.745,6.5,0.39],
+  [46891,9.5551,28.368,6.5,0.13],
+  [47521,9.688,55.867,6.5,1.15],
+  [47664,9.7186,54.364,6.5,0.12],
+  [48469,9.8834,-55.373,6.5,-0.14,"QZ Vel"],
+  [49052,10.0096,-56.946,6.5,0.98],
+  [49477,10.102,-52.188,6.5,1,"R Vel"],
+  [50693,10.3522,-17.985,6.5,0.4],
+  [52103,10.6459,-59.262,6.5,-0.1],
+  [55645,11.399,-57.88,6.5,1.5],
+  [59742,12.2518,-29.237,6.5,1.09],
+  [62600,12.8272,48.74,6.5,1.14],
+  [63647,13.0446,59.716,6.5,0.06],
+  [64530,13.2267,36.888,6.5,1.62],
+  [65530,13.4333,63.261,6.5,0.74],
+  [69704,14.2673,45.566,6.5,1.04],
+  [70236,14.3706,29.37,6.5,1.44,"CI Boo"],
+  [72518,14.827,-68.936,6.5,-0.1],
+  [73156,14.951,21.555,6.5,0.01],
+  [74441,15.2131,10.702,6.5,1.27],
+  [74895,15.3063,0.939,6.5,1.6],
+  [75272,15.3792,-29.342,6.5,1.01],
+  [79208,16.1664,-62.967,6.5,0.23],
+  [79834,16.2954,1.497,6.5,1.13],
+  [83202,17.004,-44.989,6.5,0.4],
+  [84700,17.3144,-62.875,6.5,1.09],
+  [84856,17.3429,-19.334,6.5,0.58],
+  [89104,18.1853,60.41,6.5,0],
+  [90398,18.4447,26.449,6.5,-0.11],
+  [90437,18.4525,-8.04,6.5,1.05],
+  [92487,18.8496,-41.063,6.5,-0.07],
+  [93053,18.9548,62.397,6.5,0.93],
+  [94604,19.2522,83.463,6.5,0.11],
+  [94910,19.3134,19.61,6.5,-0.01,"U Sge"],
+  [95453,19.4171,-4.885,6.5,0.34,"V1691 Aql"],
+  [96601,19.6383,20.783,6.5,1.04],
+  [97819,19.8775,-54.976,6.5,0.1],
+  [98661,20.0395,22.151,6.5,0.13],
+  [101467,20.5635,41.773,6.5,0.99],
+  [102370,20.7425,69.752,6.5,0.97],
+  [102414,20.7536,-27.247,6.5,0.95],
+  [102804,20.8271,50.127,6.5,1.62],
+  [103822,21.0392,39.509,6.5,1.51],
+  [103871,21.0468,45.849,6.5,-0.12],
+  [103889,21.0499,-0.925,6.5,-0.09],
+  [106643,21.6014,15.082,6.5,0.94],
+  [108268,21.9343,-52.464,6.5,0.93],
+  [108513,21.9832,19.02,6.5,1.01],
+  [109079,22.0973,45.112,6.5,-0.03],
+  [109691,22.2194,18.28,6.5,1.37],
+  [109788,22.2384,17.189,6.5,1.29],
+  [116106,23.5254,-4.087,6.5,0.53]
+];
@@ -0,0 +1,103 @@
+/**
+ * All 88 IAU constellations
+ * Generated by generate-constellations.js from the d3-celestial data files
+ * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.
+ *
+ * Coordinates are J2000, RA in hours and Dec in degrees.
+ * - ra, dec: centre of the figure
+ * - magnitude: brightest star in the line figure
+ * - rank: 1 (prominent) to 3 (faint), for label display
+ * - stars: line-figure stars [ra, dec, magnitude], brightest first
+ * - lines: line-figure star pairs [[ra, dec], [ra, dec]]
+ * - boundaries: IAU boundary polygons [[ra, dec], ...] (two for Serpens)
+ */
+export const CONSTELLATIONS = [
+  {"name":"Andromeda","abbr":"And","genitive":"Andromedae","ra":0.6667,"dec":37,"season":"Fall","magnitude":2.07,"rank":1,"stars":[[1.1622,35.621,2.07],[0.1398,29.09,2.07],[2.065,42.33,2.1],[0.6555,30.861,3.27],[1.6332,48.628,3.59],[23.032,42.326,3.62],[23.6261,46.458,3.81],[0.9459,38.499,3.86],[0.789,24.267,4.08],[23.6735,44.334,4.15],[1.1584,47.242,4.26],[23.6356,43.268,4.29],[0.6426,29.312,4.34],[0.6147,33.719,4.34],[0.9534,23.418,4.4],[0.8302,41.079,4.53],[23.7672,46.42,4.97]],"lines":[[[2.065,42.33],[1.1622,35.621]],[[1.1622,35.621],[0.6555,30.861]],[[0.6555,30.861],[0.1398,29.09]],[[0.9534,23.418],[0.789,24.267]],[[0.789,24.267],[0.6426,29.312]],[[0.6426,29.312],[0.6555,30.861]],[[0.6555,30.861],[0.6147,33.719]],[[0.6147,33.719],[23.6356,43.268]],[[23.6356,43.268],[23.032,42.326]],[[23.6356,43.268],[23.6735,44.334]],[[23.6735,44.334],[23.6261,46.458]],[[1.1622,35.621],[0.9459,38.499]],[[0.9459,38.499],[0.8302,41.079]],[[0.8302,41.079],[1.1584,47.242]],[[1.1584,47.242],[1.6332,48.628]],[[23.6735,44.334],[23.7672,46.42]]],"boundaries":[[[22.9644,35.168],[22.9562,53.168],[23.4302,53.187],[23.431,50.687],[23.6847,50.693],[23.6851,48.693],[0.2764,48.695],[0.2762,46.695],[0.9851,46.676],[0.9859,48.676],[1.2392,48.663],[1.2404,50.663],[1.4939,50.648],[1.7979,50.626],[1.7954,47.626],[2.1748,47.593],[2.1783,51.093],[2.659,51.042],[2.6453,37.293],[2.1247,37.347],[2.1236,35.597],[1.5274,35.645],[1.5265,33.645],[0.8295,33.682],[0.8276,24.432],[0.9616,24.427],[0.961,21.677],[0.2493,21.695],[0.2494,22.695],[0.174,22.696],[0.1742,28.696],[0.1071,28.696],[0.1071,32.029],[23.8552,32.029],[23.8552,32.779],[23.6033,32.775],[23.6029,35.191],[22.9644,35.168]]]},
+  {"name":"Antlia","abbr":"Ant","genitive":"Antliae","ra":10.2738,"dec":-32.48,"season":"Spring","magnitude":4.28,"rank":3,"stars":[[10.4525,-31.068,4.28],[9.4874,-35.951,4.51],[10.9453,-37.138,4.6]],"lines":[[[9.4874,-35.951],[10.4525,-31.068]],[[10.4525,-31.068],[10.9453,-37.138]]],"boundaries":[[[9.4603,-24.543],[9.4514,-37.292],[9.4489,-40.292],[11.0971,-40.425],[11.0986,-35.675],[10.9306,-35.666],[10.9319,-31.833],[10.6801,-31.819],[10.6809,-29.819],[10.3454,-29.795],[10.3466,-27.128],[9.844,-27.084],[9.8453,-24.584],[9.4603,-24.543]]]},
+  {"name":"Apus","abbr":"Aps","genitive":"Apodis","ra":16.1333,"dec":-75,"season":"All Year","magnitude":3.83,"rank":3,"stars":[[14.7977,-79.045,3.83],[16.5575,-78.897,3.86],[16.718,-77.517,4.23],[16.3391,-78.696,4.68]],"lines":[[[14.7977,-79.045],[16.3391,-78.696]],[[16.3391,-78.696],[16.718,-77.517]],[[16.718,-77.517],[16.5575,-78.897]]],"boundaries":[[[13.9407,-83.12],[18.4577,-82.458],[18.2797,-74.975],[18.2187,-67.48],[17.7184,-67.571],[17.2162,-67.661],[17.2314,-70.16],[14.9444,-70.511],[13.8307,-70.624],[13.8521,-75.624],[13.9407,-83.12]]]},
+  {"name":"Aquarius","abbr":"Aqr","genitive":"Aquarii","ra":22.3333,"dec":-11,"season":"Fall","magnitude":2.9,"rank":2,"stars":[[21.526,-5.571,2.9],[22.0964,-0.32,2.95],[22.4805,-0.02,3.65],[23.1574,-21.172,3.68],[22.8769,-7.58,3.73],[20.7946,-9.496,3.78],[22.3609,-1.387,3.86],[23.3828,-20.101,3.96],[22.5893,-0.117,4.04],[22.2806,-7.783,4.17],[22.1073,-13.87,4.29],[23.2984,-9.182,4.41],[20.8776,-8.983,4.73],[22.4213,1.377,4.8],[23.6961,-17.817,4.82]],"lines":[[[20.7946,-9.496],[20.8776,-8.983]],[[20.8776,-8.983],[21.526,-5.571]],[[21.526,-5.571],[22.0964,-0.32]],[[22.0964,-0.32],[22.3609,-1.387]],[[22.3609,-1.387],[22.4805,-0.02]],[[22.4805,-0.02],[22.5893,-0.117]],[[22.5893,-0.117],[22.8769,-7.58]],[[22.8769,-7.58],[23.2984,-9.182]],[[23.2984,-9.182],[23.1574,-21.172]],[[21.526,-5.571],[22.1073,-13.87]],[[22.0964,-0.32],[22.2806,-7.783]],[[22.4805,-0.02],[22.4213,1.377]],[[23.3828,-20.101],[23.2984,-9.182]],[[23.2984,-9.182],[23.6961,-17.817]]],"boundaries":[[[20.6399,0.436],[20.6387,2.436],[20.9387,2.477],[21.4389,2.539],[21.5723,2.554],[21.5719,3.304],[21.772,3.326],[21.7725,2.326],[22.1059,2.358],[22.1058,2.608],[22.8561,2.662],[22.8566,0.662],[22.8576,-3.338],[23.9401,-3.304],[23.9402,-6.304],[23.9407,-24.804],[23.1121,-24.825],[21.9847,-24.904],[21.9771,-8.404],[21.4446,-8.46],[21.4478,-14.46],[20.6496,-14.563],[20.6456,-8.563],[20.6399,0.436]]]},
+  {"name":"Aquila","abbr":"Aql","genitive":"Aquilae","ra":19.667,"dec":3.41,"season":"Summer","magnitude":0.76,"rank":1,"stars":[[19.8464,8.868,0.76],[19.771,10.613,2.72],[19.0902,13.864,2.99],[20.1884,-0.822,3.24],[19.425,3.115,3.36],[19.1041,-4.883,3.43],[19.9219,6.407,3.71],[19.8745,1.006,3.87]],"lines":[[[19.771,10.613],[19.8464,8.868]],[[19.8464,8.868],[19.9219,6.407]],[[19.9219,6.407],[20.1884,-0.822]],[[20.1884,-0.822],[19.8745,1.006]],[[19.8745,1.006],[19.425,3.115]],[[19.425,3.115],[19.0902,13.864]],[[19.0902,13.864],[19.8464,8.868]],[[19.8464,8.868],[19.425,3.115]],[[19.425,3.115],[19.1041,-4.883]]],"boundaries":[[[18.69,0.116],[18.6884,2.115],[18.9718,2.166],[18.9684,6.416],[18.7639,6.379],[18.7592,12.129],[18.9638,12.165],[18.9582,18.665],[19.0917,18.688],[19.0937,16.355],[19.9281,16.496],[19.9284,16.079],[20.2373,16.128],[20.2424,8.878],[20.4009,8.902],[20.4053,2.402],[20.6387,2.436],[20.6399,0.436],[20.6456,-8.563],[20.1129,-8.643],[20.1151,-11.676],[18.9829,-11.866],[18.9765,-3.834],[18.6932,-3.884],[18.69,0.116]]]},
+  {"name":"Ara","abbr":"Ara","genitive":"Arae","ra":17.3748,"dec":-56.59,"season":"Summer","magnitude":2.84,"rank":3,"stars":[[17.5307,-49.876,2.84],[17.4217,-55.53,2.84],[16.977,-55.99,3.12],[17.4232,-56.378,3.31],[17.5183,-60.684,3.6],[16.8298,-59.041,3.77],[16.9931,-53.16,4.06]],"lines":[[[17.4232,-56.378],[17.5183,-60.684]],[[17.5183,-60.684],[16.8298,-59.041]],[[16.8298,-59.041],[16.977,-55.99]],[[16.977,-55.99],[16.9931,-53.16]],[[16.9931,-53.16],[17.5307,-49.876]],[[17.5307,-49.876],[17.4217,-55.53]]],"boundaries":[[[16.6023,-60.264],[16.5714,-45.767],[17.9873,-45.516],[18.1539,-45.486],[18.1782,-56.984],[17.6779,-57.075],[17.7184,-67.571],[17.2162,-67.661],[17.0483,-67.691],[17.0362,-65.192],[16.9522,-65.206],[16.9463,-63.79],[16.7784,-63.819],[16.7692,-61.236],[16.6054,-61.264],[16.6023,-60.264]]]},
+  {"name":"Aries","abbr":"Ari","genitive":"Arietis","ra":2.6361,"dec":20.79,"season":"Winter","magnitude":2.01,"rank":1,"stars":[[2.1196,23.462,2.01],[1.9107,20.808,2.64],[2.8331,27.261,3.61],[1.8922,19.294,3.88]],"lines":[[[2.8331,27.261],[2.1196,23.462]],[[2.1196,23.462],[1.9107,20.808]],[[1.9107,20.808],[1.8922,19.294]]],"boundaries":[[[2.111,10.514],[1.777,10.543],[1.783,25.626],[2.0342,25.605],[2.0354,27.855],[2.538,27.805],[2.5402,31.221],[2.8419,31.186],[3.4951,31.1],[3.486,19.434],[3.4025,19.446],[3.3964,10.363],[2.111,10.514]]]},
+  {"name":"Auriga","abbr":"Aur","genitive":"Aurigae","ra":6.0667,"dec":42,"season":"Winter","magnitude":0.08,"rank":1,"stars":[[5.2782,45.998,0.08],[5.4382,28.608,1.65],[5.9921,44.947,1.9],[5.9954,37.213,2.65],[4.9499,33.166,2.69],[5.0328,43.823,3.03],[5.1086,41.234,3.18],[5.0413,41.076,3.69],[5.9921,54.285,3.72]],"lines":[[[5.9921,44.947],[5.2782,45.998]],[[5.2782,45.998],[5.1086,41.234]],[[5.1086,41.234],[4.9499,33.166]],[[4.9499,33.166],[5.4382,28.608]],[[5.4382,28.608],[5.9954,37.213]],[[5.9954,37.213],[5.9921,44.947]],[[5.9921,44.947],[5.9921,54.285]],[[5.9921,54.285],[5.2782,45.998]],[[5.2782,45.998],[5.0328,43.823]],[[5.0328,43.823],[5.0413,41.076]]],"boundaries":[[[4.6325,30.922],[4.6383,36.255],[4.8305,36.222],[4.856,52.72],[5.1657,52.666],[5.1738,56.165],[6.2754,55.966],[6.2705,53.966],[6.6697,53.894],[6.6613,49.895],[6.9604,49.841],[6.951,44.342],[7.5156,44.243],[7.504,35.245],[6.6727,35.391],[6.6644,27.891],[6.0147,28.009],[6.0153,28.509],[4.8808,28.712],[4.8824,30.212],[4.6318,30.255],[4.6325,30.922]]]},
+  {"name":"Boötes","abbr":"Boo","genitive":"Boötis","ra":14.6667,"dec":31,"season":"Spring","magnitude":-0.05,"rank":1,"stars":[[14.261,19.182,-0.05],[14.7498,27.074,2.35],[13.9114,18.398,2.68],[14.5346,38.308,3.04],[15.2584,33.315,3.46],[15.0324,40.391,3.49],[14.5305,30.371,3.57],[14.6858,13.728,3.78],[14.4199,51.851,4.04],[14.2731,46.088,4.18],[13.7877,17.457,4.5],[14.2244,51.788,4.53]],"lines":[[[13.7877,17.457],[13.9114,18.398]],[[13.9114,18.398],[14.261,19.182]],[[14.261,19.182],[14.5305,30.371]],[[14.5305,30.371],[14.5346,38.308]],[[14.5346,38.308],[15.0324,40.391]],[[15.0324,40.391],[15.2584,33.315]],[[15.2584,33.315],[14.7498,27.074]],[[14.7498,27.074],[14.261,19.182]],[[14.261,19.182],[14.6858,13.728]],[[14.5346,38.308],[14.2731,46.088]],[[14.2731,46.088],[14.2244,51.788]],[[14.2244,51.788],[14.4199,51.851]],[[14.4199,51.851],[14.2731,46.088]]],"boundaries":[[[15.1854,7.525],[13.6043,7.361],[13.6019,14.361],[13.5969,27.86],[14.0526,27.898],[14.0514,30.148],[14.1259,30.154],[14.1132,47.904],[14.1056,54.904],[14.4834,54.942],[15.3061,55.045],[15.3105,52.545],[15.8056,52.617],[15.8083,51.118],[15.8244,39.619],[15.5096,39.572],[15.5165,32.573],[15.2677,32.538],[15.2733,25.538],[15.1737,25.525],[15.1854,7.525]]]},
+  {"name":"Caelum","abbr":"Cae","genitive":"Caeli","ra":4.7046,"dec":-37.88,"season":"Winter","magnitude":4.44,"rank":3,"stars":[[4.676,-41.864,4.44],[5.0734,-35.483,4.55],[4.701,-37.144,5.04],[4.5139,-44.954,5.07]],"lines":[[[4.5139,-44.954],[4.676,-41.864]],[[4.676,-41.864],[4.701,-37.144]],[[4.701,-37.144],[5.0734,-35.483]]],"boundaries":[[[4.3384,-39.701],[4.3255,-48.7],[4.5575,-48.738],[4.5616,-46.239],[4.8935,-46.296],[4.8988,-42.796],[5.065,-42.826],[5.0837,-27.077],[4.9173,-27.048],[4.7842,-27.025],[4.7815,-29.775],[4.6651,-29.755],[4.6575,-36.754],[4.342,-36.701],[4.3384,-39.701]]]},
+  {"name":"Camelopardalis","abbr":"Cam","genitive":"Camelopardalis","ra":5.3333,"dec":70,"season":"Winter","magnitude":4.03,"rank":2,"stars":[[5.057,60.442,4.03],[3.4845,59.94,4.21],[4.9008,66.343,4.26],[3.8254,65.526,4.39],[4.9548,53.752,4.43],[7.0011,76.977,4.55],[3.8393,71.332,4.59],[6.3141,69.32,4.76]],"lines":[[[4.9548,53.752],[5.057,60.442]],[[5.057,60.442],[4.9008,66.343]],[[4.9008,66.343],[3.8393,71.332]],[[3.8393,71.332],[3.8254,65.526]],[[3.8254,65.526],[3.4845,59.94]],[[4.9008,66.343],[6.3141,69.32]],[[6.3141,69.32],[7.0011,76.977]]],"boundaries":[[[6.2754,55.966],[5.1738,56.165],[5.1657,52.666],[4.856,52.72],[3.4875,52.937],[3.4921,55.436],[3.3236,55.46],[3.3276,57.459],[3.2601,57.468],[3.293,68.466],[3.6158,68.421],[3.6872,77.416],[3.7817,77.403],[3.8354,80.399],[5.3659,80.148],[5.6357,85.124],[8.5302,84.61],[8.6935,86.097],[14.2015,85.931],[14.4522,79.445],[13.5873,79.363],[13.6105,76.364],[13.0547,76.329],[11.629,76.308],[11.6354,79.308],[10.8546,79.34],[10.8737,81.34],[9.4794,81.468],[9.3744,72.974],[8.2057,73.138],[8.1419,59.643],[7.1835,59.804],[7.1901,61.803],[6.2938,61.964],[6.2754,55.966]]]},
+  {"name":"Cancer","abbr":"Cnc","genitive":"Cancri","ra":8.6493,"dec":19.81,"season":"Spring","magnitude":3.53,"rank":2,"stars":[[8.2753,9.185,3.53],[8.7447,18.154,3.94],[8.9748,11.858,4.26],[8.7214,21.468,4.66],[8.7778,28.765,6.58]],"lines":[[[8.9748,11.858],[8.7447,18.154]],[[8.7447,18.154],[8.7214,21.468]],[[8.7214,21.468],[8.7778,28.765]],[[8.7447,18.154],[8.2753,9.185]]],"boundaries":[[[9.3603,6.47],[8.1948,6.63],[8.0366,6.655],[8.0387,9.655],[7.9222,9.673],[7.9248,13.173],[7.9298,19.673],[8.0047,19.661],[8.0114,27.66],[8.1277,27.642],[8.1329,33.142],[9.3764,32.969],[9.3603,6.47]]]},
+  {"name":"Canes Venatici","abbr":"CVn","genitive":"Canum Venaticorum","ra":13.116,"dec":40.1,"season":"Spring","magnitude":4.24,"rank":2,"stars":[[12.5624,41.358,4.24],[12.9335,38.315,5.61]],"lines":[[[12.9335,38.315],[12.5624,41.358]]],"boundaries":[[[12.1063,33.304],[12.1061,44.304],[12.1884,44.304],[12.1879,52.304],[13.5828,52.36],[13.5863,47.86],[14.1132,47.904],[14.1259,30.154],[14.0514,30.148],[14.0526,27.898],[13.5969,27.86],[13.3484,27.844],[13.3472,31.344],[12.4372,31.307],[12.437,33.307],[12.1063,33.304]]]},
+  {"name":"Canis Major","abbr":"CMa","genitive":"Canis Majoris","ra":6.8291,"dec":-22.14,"season":"Winter","magnitude":-1.44,"rank":1,"stars":[[6.7525,-16.716,-1.44],[6.9771,-28.972,1.5],[7.1399,-26.393,1.83],[6.3783,-17.956,1.98],[7.4016,-29.303,2.45],[7.0504,-23.833,3.02],[6.3386,-30.063,3.02],[7.0287,-27.935,3.49],[6.9032,-12.039,4.08],[7.0626,-15.633,4.11],[6.9356,-17.054,4.36]],"lines":[[[6.3783,-17.956],[6.7525,-16.716]],[[6.7525,-16.716],[7.0504,-23.833]],[[7.0504,-23.833],[7.1399,-26.393]],[[7.1399,-26.393],[7.0287,-27.935]],[[7.0287,-27.935],[6.9771,-28.972]],[[6.9771,-28.972],[6.3386,-30.063]],[[7.4016,-29.303],[7.1399,-26.393]],[[6.7525,-16.716],[6.9356,-17.054]],[[6.9356,-17.054],[7.0626,-15.633]],[[7.0626,-15.633],[6.9032,-12.039]],[[6.9032,-12.039],[6.9356,-17.054]]],"boundaries":[[[6.2144,-11.03],[7.4649,-11.252],[7.4451,-33.251],[6.6603,-33.113],[6.1933,-33.028],[6.1995,-27.279],[6.2144,-11.03]]]},
+  {"name":"Canis Minor","abbr":"CMi","genitive":"Canis Minoris","ra":7.6529,"dec":6.43,"season":"Winter","magnitude":0.4,"rank":2,"stars":[[7.655,5.225,0.4],[7.4525,8.289,2.89]],"lines":[[[7.655,5.225],[7.4525,8.289]]],"boundaries":[[[8.1899,-0.369],[7.3066,-0.224],[7.3078,1.276],[7.1245,1.307],[7.1276,5.307],[7.111,5.31],[7.1145,9.81],[7.1165,12.31],[7.6161,12.224],[7.6168,13.224],[7.9248,13.173],[7.9222,9.673],[8.0387,9.655],[8.0366,6.655],[8.1948,6.63],[8.1899,-0.369]]]},
+  {"name":"Capricornus","abbr":"Cap","genitive":"Capricorni","ra":21.0488,"dec":-18.02,"season":"Fall","magnitude":2.85,"rank":2,"stars":[[21.784,-16.127,2.85],[20.3502,-14.781,3.05],[21.6682,-16.662,3.69],[21.4445,-22.411,3.77],[21.0991,-17.233,4.08],[20.8637,-26.919,4.12],[20.7683,-25.271,4.13],[21.3708,-16.834,4.28],[20.2941,-12.508,4.3],[20.481,-17.814,4.77]],"lines":[[[20.2941,-12.508],[20.3502,-14.781]],[[20.3502,-14.781],[20.481,-17.814]],[[20.481,-17.814],[20.7683,-25.271]],[[20.7683,-25.271],[20.8637,-26.919]],[[20.8637,-26.919],[21.4445,-22.411]],[[21.4445,-22.411],[21.784,-16.127]],[[21.784,-16.127],[21.6682,-16.662]],[[21.6682,-16.662],[21.3708,-16.834]],[[21.3708,-16.834],[21.0991,-17.233]],[[21.0991,-17.233],[20.2941,-12.508]]],"boundaries":[[[20.6456,-8.563],[20.1129,-8.643],[20.1151,-11.676],[20.1277,-27.642],[20.4599,-27.591],[21.4554,-27.46],[21.4539,-24.96],[21.9847,-24.904],[21.9771,-8.404],[21.4446,-8.46],[21.4478,-14.46],[20.6496,-14.563],[20.6456,-8.563]]]},
+  {"name":"Carina","abbr":"Car","genitive":"Carinae","ra":8.695,"dec":-63.22,"season":"Spring","magnitude":-0.62,"rank":1,"stars":[[6.3992,-52.696,-0.62],[9.22,-69.717,1.67],[8.1589,-47.337,1.75],[8.3752,-59.51,1.86],[8.7451,-54.709,1.93],[9.2848,-59.275,2.21],[10.7159,-64.394,2.74],[6.6294,-43.196,3.17],[10.2289,-70.038,3.29],[10.5337,-61.685,3.3],[10.2847,-61.332,3.39],[7.9463,-52.982,3.46],[10.8916,-58.853,3.78],[11.1432,-58.975,3.93],[11.21,-60.318,4.59],[11.109,-62.424,4.62],[11.1428,-61.947,5.11]],"lines":[[[6.6294,-43.196],[6.3992,-52.696]],[[6.3992,-52.696],[9.22,-69.717]],[[9.22,-69.717],[10.2289,-70.038]],[[10.2289,-70.038],[10.7159,-64.394]],[[10.7159,-64.394],[10.5337,-61.685]],[[10.5337,-61.685],[10.2847,-61.332]],[[10.2847,-61.332],[9.2848,-59.275]],[[9.2848,-59.275],[8.3752,-59.51]],[[8.3752,-59.51],[7.9463,-52.982]],[[7.9463,-52.982],[8.1589,-47.337]],[[8.1589,-47.337],[8.7451,-54.709]],[[8.7451,-54.709],[9.2848,-59.275]],[[10.7159,-64.394],[11.109,-62.424]],[[11.109,-62.424],[11.1428,-61.947]],[[11.1428,-61.947],[11.21,-60.318]],[[11.21,-60.318],[11.1432,-58.975]],[[11.1432,-58.975],[10.8916,-58.853]],[[10.8916,-58.853],[10.5337,-61.685]]],"boundaries":[[[11.3437,-57.184],[11.0892,-57.174],[8.8882,-56.974],[8.892,-54.974],[8.5045,-54.92],[8.5073,-53.421],[8.2213,-53.378],[8.2254,-51.129],[8.0574,-51.103],[6.0499,-50.755],[6.0462,-52.504],[6.213,-52.535],[6.2072,-55.034],[6.541,-55.095],[6.533,-58.094],[6.8674,-58.154],[6.8469,-64.152],[9.073,-64.499],[9.0162,-75.496],[11.3238,-75.684],[11.339,-64.684],[11.3437,-57.184]]]},
+  {"name":"Cassiopeia","abbr":"Cas","genitive":"Cassiopeiae","ra":1.3193,"dec":62.18,"season":"Fall","magnitude":2.15,"rank":1,"stars":[[0.9451,60.717,2.15],[0.6751,56.537,2.24],[0.153,59.15,2.28],[1.4303,60.235,2.66],[1.9066,63.67,3.35]],"lines":[[[1.9066,63.67],[1.4303,60.235]],[[1.4303,60.235],[0.9451,60.717]],[[0.9451,60.717],[0.6751,56.537]],[[0.6751,56.537],[0.153,59.15]]],"boundaries":[[[22.9562,53.168],[22.9536,56.918],[22.9513,59.751],[23.2573,59.765],[23.2544,63.681],[23.6812,63.693],[23.6799,66.693],[0.4509,66.692],[0.4615,77.692],[3.6872,77.416],[3.6158,68.421],[3.293,68.466],[3.2601,57.468],[2.5842,57.551],[2.5868,59.051],[2.053,59.105],[2.0516,58.105],[1.8397,58.123],[1.8356,54.623],[1.4971,54.648],[1.4939,50.648],[1.2404,50.663],[1.2392,48.663],[0.9859,48.676],[0.9851,46.676],[0.2762,46.695],[0.2764,48.695],[23.6851,48.693],[23.6847,50.693],[23.431,50.687],[23.4302,53.187],[22.9562,53.168]]]},
+  {"name":"Centaurus","abbr":"Cen","genitive":"Centauri","ra":13.0667,"dec":-47,"season":"Spring","magnitude":0.61,"rank":1,"stars":[[14.0637,-60.373,0.61],[14.6597,-60.837,1.35],[14.1114,-36.37,2.06],[12.692,-48.96,2.2],[13.6648,-53.466,2.29],[14.5918,-42.158,2.33],[13.9257,-47.288,2.55],[12.1393,-50.722,2.58],[13.3433,-36.712,2.75],[14.986,-42.104,3.13],[13.8251,-41.688,3.41],[13.8269,-42.474,3.47],[11.3501,-54.491,3.9],[12.4673,-50.231,3.91],[12.1942,-52.368,3.97],[11.5295,-59.442,5.07]],"lines":[[[11.3501,-54.491],[12.1393,-50.722]],[[12.1393,-50.722],[12.4673,-50.231]],[[12.4673,-50.231],[12.692,-48.96]],[[12.692,-48.96],[13.6648,-53.466]],[[13.6648,-53.466],[13.9257,-47.288]],[[13.9257,-47.288],[13.8269,-42.474]],[[13.8269,-42.474],[13.8251,-41.688]],[[13.8251,-41.688],[14.1114,-36.37]],[[14.1114,-36.37],[14.5918,-42.158]],[[14.5918,-42.158],[14.986,-42.104]],[[13.8251,-41.688],[13.3433,-36.712]],[[14.6597,-60.837],[13.6648,-53.466]],[[13.6648,-53.466],[14.0637,-60.373]],[[12.4673,-50.231],[12.1942,-52.368]],[[12.1942,-52.368],[11.5295,-59.442]]],"boundaries":[[[11.0986,-35.675],[11.0971,-40.425],[11.0892,-57.174],[11.3437,-57.184],[11.339,-64.684],[11.9372,-64.696],[11.9381,-55.696],[12.9556,-55.677],[12.9626,-64.677],[13.6454,-64.638],[14.701,-64.539],[14.6823,-55.54],[14.3105,-55.58],[14.2967,-42.581],[15.0531,-42.494],[15.0421,-29.995],[12.6945,-30.186],[12.6951,-33.686],[12.3592,-33.694],[12.3594,-35.694],[11.0986,-35.675]]]},
+  {"name":"Cepheus","abbr":"Cep","genitive":"Cephei","ra":22.8,"dec":73,"season":"Fall","magnitude":2.45,"rank":2,"stars":[[21.3097,62.586,2.45],[23.6558,77.632,3.21],[21.4777,70.561,3.23],[22.1809,58.201,3.39],[20.7548,61.839,3.41],[22.828,66.2,3.5],[22.4862,58.415,4.07],[22.2506,57.044,4.18],[20.493,62.994,4.21],[21.7251,58.78,4.23]],"lines":[[[20.493,62.994],[20.7548,61.839]],[[20.7548,61.839],[21.3097,62.586]],[[21.3097,62.586],[21.7251,58.78]],[[21.7251,58.78],[22.2506,57.044]],[[22.2506,57.044],[22.1809,58.201]],[[22.1809,58.201],[22.4862,58.415]],[[22.4862,58.415],[22.828,66.2]],[[22.828,66.2],[23.6558,77.632]],[[23.6558,77.632],[21.4777,70.561]],[[21.4777,70.561],[21.3097,62.586]],[[21.4777,70.561],[22.828,66.2]]],"boundaries":[[[20.0382,59.851],[20.0323,61.851],[20.4541,61.914],[20.4345,67.413],[20.6889,67.449],[20.6382,75.445],[20.1249,75.371],[20.0449,80.365],[20.9137,80.487],[20.5814,86.466],[20.5554,86.631],[22.9007,86.837],[22.6174,88.664],[0.0632,88.609],[1.6472,88.356],[3.8443,88.006],[9.0555,87.569],[8.6935,86.097],[8.5302,84.61],[5.6357,85.124],[5.3659,80.148],[3.8354,80.399],[3.7817,77.403],[3.6872,77.416],[0.4615,77.692],[0.4509,66.692],[23.6799,66.693],[23.6812,63.693],[23.2544,63.681],[23.2573,59.765],[22.9513,59.751],[22.9536,56.918],[22.3941,56.883],[22.3954,55.633],[22.2092,55.618],[22.2116,53.368],[22.0426,53.353],[22.0401,55.437],[20.6554,55.275],[20.6416,61.358],[20.5774,61.349],[20.5811,59.932],[20.0382,59.851]]]},
+  {"name":"Cetus","abbr":"Cet","genitive":"Ceti","ra":1.6667,"dec":-7,"season":"Fall","magnitude":2.04,"rank":1,"stars":[[0.7265,-17.987,2.04],[3.038,4.09,2.54],[1.1432,-10.182,3.46],[2.7217,3.236,3.47],[1.7345,-15.938,3.49],[0.3238,-8.824,3.56],[1.4004,-8.183,3.6],[1.8577,-10.335,3.74],[2.658,0.329,4.08],[2.749,10.114,4.27],[2.4693,8.46,4.3],[2.9953,8.907,4.71],[2.5979,5.593,4.87],[2.3224,-2.978,6.47]],"lines":[[[2.7217,3.236],[2.5979,5.593]],[[2.5979,5.593],[2.4693,8.46]],[[2.4693,8.46],[2.749,10.114]],[[2.749,10.114],[2.9953,8.907]],[[2.9953,8.907],[3.038,4.09]],[[3.038,4.09],[2.7217,3.236]],[[2.7217,3.236],[2.658,0.329]],[[2.658,0.329],[2.3224,-2.978]],[[2.3224,-2.978],[1.8577,-10.335]],[[1.8577,-10.335],[1.7345,-15.938]],[[1.7345,-15.938],[0.7265,-17.987]],[[0.7265,-17.987],[0.3238,-8.824]],[[0.3238,-8.824],[1.1432,-10.182]],[[1.1432,-10.182],[1.4004,-8.183]],[[1.4004,-8.183],[1.8577,-10.335]]],"boundaries":[[[0.4401,0.693],[0.4403,2.692],[2.1077,2.598],[2.111,10.514],[3.3964,10.363],[3.3902,0.447],[3.3891,-1.303],[2.7559,-1.221],[2.7433,-23.854],[1.7644,-23.756],[1.7639,-24.873],[23.9407,-24.804],[23.9402,-6.304],[0.4395,-6.308],[0.4401,0.693]]]},
+  {"name":"Chamaeleon","abbr":"Cha","genitive":"Chamaeleontis","ra":10.6667,"dec":-79,"season":"All Year","magnitude":4.05,"rank":3,"stars":[[8.3088,-76.92,4.05],[10.5911,-78.608,4.11],[12.3058,-79.312,4.24],[11.9938,-78.222,4.88],[10.7545,-80.47,5.46]],"lines":[[[8.3088,-76.92],[10.5911,-78.608]],[[10.5911,-78.608],[10.7545,-80.47]],[[10.7545,-80.47],[12.3058,-79.312]],[[12.3058,-79.312],[11.9938,-78.222]],[[11.9938,-78.222],[10.5911,-78.608]]],"boundaries":[[[7.4435,-82.776],[13.9407,-83.12],[13.8521,-75.624],[11.3238,-75.684],[9.0162,-75.496],[7.6143,-75.29],[7.4435,-82.776]]]},
+  {"name":"Circinus","abbr":"Cir","genitive":"Circini","ra":14.5757,"dec":-63.03,"season":"Spring","magnitude":3.18,"rank":3,"stars":[[14.7084,-64.975,3.18],[15.2919,-58.801,4.07],[15.3896,-59.321,4.48]],"lines":[[[15.2919,-58.801],[14.7084,-64.975]],[[14.7084,-64.975],[15.3896,-59.321]]],"boundaries":[[[13.6454,-64.638],[13.6472,-65.638],[13.8179,-65.625],[13.8307,-70.624],[14.9444,-70.511],[14.9336,-68.012],[15.1038,-67.991],[15.0902,-64.075],[15.3444,-64.042],[15.337,-61.459],[15.506,-61.435],[15.5033,-60.435],[15.4921,-55.436],[15.2056,-55.475],[14.6823,-55.54],[14.701,-64.539],[13.6454,-64.638]]]},
+  {"name":"Columba","abbr":"Col","genitive":"Columbae","ra":5.8626,"dec":-35.09,"season":"Winter","magnitude":2.65,"rank":3,"stars":[[5.6608,-34.074,2.65],[5.8493,-35.768,3.12],[6.3686,-33.436,3.85],[5.5202,-35.471,3.86],[5.9858,-42.815,3.96]],"lines":[[[6.3686,-33.436],[5.8493,-35.768]],[[5.8493,-35.768],[5.6608,-34.074]],[[5.6608,-34.074],[5.5202,-35.471]],[[5.8493,-35.768],[5.9858,-42.815]]],"boundaries":[[[5.065,-42.826],[5.0837,-27.077],[6.1995,-27.279],[6.1933,-33.028],[6.6603,-33.113],[6.6473,-43.112],[6.0635,-43.006],[5.065,-42.826]]]},
+  {"name":"Coma Berenices","abbr":"Com","genitive":"Comae Berenices","ra":12.7878,"dec":23.31,"season":"Spring","magnitude":4.23,"rank":3,"stars":[[13.1979,27.878,4.23],[13.1665,17.529,4.32],[12.449,28.268,4.35]],"lines":[[[13.1665,17.529],[13.1979,27.878]],[[13.1979,27.878],[12.449,28.268]]],"boundaries":[[[11.9736,13.304],[11.9739,28.304],[12.1064,28.304],[12.1063,33.304],[12.437,33.307],[12.4372,31.307],[13.3472,31.344],[13.3484,27.844],[13.5969,27.86],[13.6019,14.361],[12.9373,14.322],[12.9375,13.322],[11.9736,13.304]]]},
+  {"name":"Corona Australis","abbr":"CrA","genitive":"Coronae Australis","ra":18.6465,"dec":-41.15,"season":"Summer","magnitude":4.1,"rank":3,"stars":[[19.1672,-39.341,4.1],[19.1579,-37.904,4.11],[19.107,-37.063,4.23],[19.1392,-40.497,4.57],[18.5584,-42.313,4.62],[19.0519,-42.095,4.74],[18.9787,-37.107,4.83],[18.8264,-43.434,5.6]],"lines":[[[18.9787,-37.107],[19.107,-37.063]],[[19.107,-37.063],[19.1579,-37.904]],[[19.1579,-37.904],[19.1672,-39.341]],[[19.1672,-39.341],[19.1392,-40.497]],[[19.1392,-40.497],[19.0519,-42.095]],[[19.0519,-42.095],[18.8264,-43.434]],[[18.8264,-43.434],[18.5584,-42.313]]],"boundaries":[[[17.975,-37.017],[19.3064,-36.779],[19.318,-45.278],[18.1539,-45.486],[17.9873,-45.516],[17.975,-37.017]]]},
+  {"name":"Corona Borealis","abbr":"CrB","genitive":"Coronae Borealis","ra":15.8432,"dec":32.62,"season":"Summer","magnitude":2.22,"rank":2,"stars":[[15.5781,26.715,2.22],[15.4638,29.106,3.66],[15.7124,26.296,3.81],[15.5488,31.359,4.14],[15.9598,26.878,4.14],[15.8266,26.068,4.59],[16.024,29.851,4.98]],"lines":[[[15.5488,31.359],[15.4638,29.106]],[[15.4638,29.106],[15.5781,26.715]],[[15.5781,26.715],[15.7124,26.296]],[[15.7124,26.296],[15.8266,26.068]],[[15.8266,26.068],[15.9598,26.878]],[[15.9598,26.878],[16.024,29.851]]],"boundaries":[[[15.2733,25.538],[15.2677,32.538],[15.5165,32.573],[15.5096,39.572],[15.8244,39.619],[16.4048,39.712],[16.4187,26.713],[16.2524,26.686],[16.2533,25.686],[16.1204,25.664],[15.2733,25.538]]]},
+  {"name":"Corvus","abbr":"Crv","genitive":"Corvi","ra":12.4419,"dec":-18.44,"season":"Spring","magnitude":2.58,"rank":3,"stars":[[12.2634,-17.542,2.58],[12.5731,-23.397,2.65],[12.4977,-16.515,2.94],[12.1687,-22.62,3.02],[12.1402,-24.729,4.02]],"lines":[[[12.1402,-24.729],[12.1687,-22.62]],[[12.1687,-22.62],[12.2634,-17.542]],[[12.2634,-17.542],[12.4977,-16.515]],[[12.4977,-16.515],[12.5731,-23.397]],[[12.5731,-23.397],[12.1687,-22.62]]],"boundaries":[[[12.9422,-11.677],[11.9398,-11.696],[11.9394,-25.196],[12.6936,-25.186],[12.6932,-22.686],[12.9445,-22.677],[12.9422,-11.677]]]},
+  {"name":"Crater","abbr":"Crt","genitive":"Crateris","ra":11.3958,"dec":-15.93,"season":"Spring","magnitude":3.56,"rank":3,"stars":[[11.3223,-14.778,3.56],[11.4147,-17.684,4.06],[10.9962,-18.299,4.08],[11.1943,-22.826,4.46],[11.6114,-9.802,4.7],[11.746,-18.351,4.71],[11.4102,-10.859,4.81],[11.3894,-18.78,5.08],[11.9336,-17.151,5.17]],"lines":[[[11.6114,-9.802],[11.4102,-10.859]],[[11.4102,-10.859],[11.3223,-14.778]],[[11.3223,-14.778],[10.9962,-18.299]],[[10.9962,-18.299],[11.1943,-22.826]],[[11.1943,-22.826],[11.3894,-18.78]],[[11.3894,-18.78],[11.4147,-17.684]],[[11.4147,-17.684],[11.746,-18.351]],[[11.746,-18.351],[11.9336,-17.151]],[[11.3223,-14.778],[11.4147,-17.684]]],"boundaries":[[[10.8551,-6.662],[10.8539,-11.662],[10.8517,-19.662],[10.9354,-19.667],[10.9339,-25.167],[11.9394,-25.196],[11.9398,-11.696],[11.9399,-6.696],[11.6228,-6.692],[10.8551,-6.662]]]},
+  {"name":"Crux","abbr":"Cru","genitive":"Crucis","ra":12.4499,"dec":-60.19,"season":"Spring","magnitude":0.77,"rank":2,"stars":[[12.4433,-63.099,0.77],[12.7954,-59.689,1.25],[12.5194,-57.113,1.59],[12.2524,-58.749,2.79]],"lines":[[[12.7954,-59.689],[12.2524,-58.749]],[[12.4433,-63.099],[12.5194,-57.113]]],"boundaries":[[[11.9381,-55.696],[11.9372,-64.696],[12.9626,-64.677],[12.9556,-55.677],[11.9381,-55.696]]]},
+  {"name":"Cygnus","abbr":"Cyg","genitive":"Cygni","ra":20.588,"dec":44.55,"season":"Summer","magnitude":1.25,"rank":1,"stars":[[20.6905,45.28,1.25],[20.3705,40.257,2.23],[20.7702,33.97,2.48],[19.7496,45.131,2.86],[19.512,27.96,3.05],[21.2156,30.227,3.21],[19.4951,51.73,3.76],[19.285,53.368,3.8],[19.9384,35.083,3.89]],"lines":[[[21.2156,30.227],[20.7702,33.97]],[[20.7702,33.97],[20.3705,40.257]],[[20.3705,40.257],[19.7496,45.131]],[[19.7496,45.131],[19.4951,51.73]],[[19.4951,51.73],[19.285,53.368]],[[20.6905,45.28],[20.3705,40.257]],[[20.3705,40.257],[19.9384,35.083]],[[19.9384,35.083],[19.512,27.96]]],"boundaries":[[[19.3422,27.732],[19.3397,30.232],[19.4399,30.249],[19.4328,36.749],[19.4746,36.756],[19.4656,43.755],[19.2314,43.715],[19.225,47.714],[19.1414,47.7],[19.1251,55.698],[19.4603,55.756],[19.454,58.255],[19.8067,58.314],[19.8026,59.813],[20.0382,59.851],[20.5811,59.932],[20.5774,61.349],[20.6416,61.358],[20.6554,55.275],[22.0401,55.437],[22.0426,53.353],[22.0508,44.604],[21.9919,44.598],[21.9921,44.348],[21.9584,44.345],[21.9641,36.595],[21.8213,36.581],[21.8263,28.582],[21.508,28.548],[21.0056,28.487],[21.0048,29.487],[19.7501,29.301],[19.7515,27.801],[19.3422,27.732]]]},
+  {"name":"Delphinus","abbr":"Del","genitive":"Delphini","ra":20.6936,"dec":11.67,"season":"Summer","magnitude":3.64,"rank":3,"stars":[[20.6258,14.595,3.64],[20.6606,15.912,3.77],[20.5535,11.303,4.03],[20.7775,16.124,4.27],[20.7243,15.075,4.43]],"lines":[[[20.5535,11.303],[20.6258,14.595]],[[20.6258,14.595],[20.6606,15.912]],[[20.6606,15.912],[20.7775,16.124]],[[20.7775,16.124],[20.7243,15.075]],[[20.7243,15.075],[20.6258,14.595]]],"boundaries":[[[20.6387,2.436],[20.4053,2.402],[20.4009,8.902],[20.2424,8.878],[20.2373,16.128],[20.3458,16.144],[20.3423,20.894],[20.6598,20.94],[20.6605,19.94],[21.1453,20.005],[21.1499,12.338],[20.9746,12.316],[20.9781,6.483],[20.9364,6.477],[20.9387,2.477],[20.6387,2.436]]]},
+  {"name":"Dorado","abbr":"Dor","genitive":"Doradus","ra":5.2419,"dec":-59.39,"season":"Winter","magnitude":3.3,"rank":3,"stars":[[4.5666,-55.045,3.3],[5.5604,-62.49,3.76],[4.2671,-51.487,4.26],[5.7462,-65.736,4.34],[5.9017,-63.09,4.65],[5.0918,-57.473,4.71]],"lines":[[[4.2671,-51.487],[4.5666,-55.045]],[[4.5666,-55.045],[5.5604,-62.49]],[[5.5604,-62.49],[5.7462,-65.736]],[[5.7462,-65.736],[5.9017,-63.09]],[[5.9017,-63.09],[5.5604,-62.49]],[[5.5604,-62.49],[5.0918,-57.473]],[[5.0918,-57.473],[4.5666,-55.045]]],"boundaries":[[[3.8879,-52.797],[4.0532,-52.823],[4.0462,-56.156],[4.3767,-56.209],[4.3703,-58.709],[4.6183,-58.751],[4.5863,-67.248],[4.5721,-69.747],[6.5636,-70.104],[6.5958,-64.107],[6.0116,-64.001],[6.023,-61.002],[5.5238,-60.911],[5.5346,-57.412],[5.0365,-57.323],[5.0451,-53.824],[4.5478,-53.738],[4.5575,-48.738],[4.3255,-48.7],[4.1433,-48.67],[4.1399,-50.67],[3.8918,-50.63],[3.8879,-52.797]]]},
+  {"name":"Draco","abbr":"Dra","genitive":"Draconis","ra":15.144,"dec":67.01,"season":"Summer","magnitude":2.24,"rank":2,"stars":[[17.9434,51.489,2.24],[16.3999,61.514,2.73],[17.5072,52.301,2.79],[19.2093,67.662,3.07],[17.1464,65.715,3.17],[15.4155,58.966,3.29],[18.3509,72.733,3.55],[14.0732,64.376,3.67],[17.8921,56.873,3.73],[11.5234,69.331,3.82],[19.8029,70.268,3.84],[12.558,69.788,3.85],[16.0315,58.565,4.01],[18.346,71.338,4.22],[17.5378,55.173,4.86]],"lines":[[[17.8921,56.873],[17.9434,51.489]],[[17.9434,51.489],[17.5072,52.301]],[[17.5072,52.301],[17.5378,55.173]],[[17.5378,55.173],[17.8921,56.873]],[[17.8921,56.873],[19.2093,67.662]],[[19.2093,67.662],[18.346,71.338]],[[18.346,71.338],[17.1464,65.715]],[[17.1464,65.715],[16.3999,61.514]],[[16.3999,61.514],[16.0315,58.565]],[[16.0315,58.565],[15.4155,58.966]],[[15.4155,58.966],[14.0732,64.376]],[[14.0732,64.376],[12.558,69.788]],[[12.558,69.788],[11.5234,69.331]],[[18.346,71.338],[18.3509,72.733]],[[19.2093,67.662],[19.8029,70.268]]],"boundaries":[[[9.3744,72.974],[9.4794,81.468],[10.8737,81.34],[10.8546,79.34],[11.6354,79.308],[11.629,76.308],[13.0547,76.329],[13.0732,69.329],[14.0434,69.399],[14.0547,65.4],[15.6886,65.602],[15.67,69.601],[16.5227,69.738],[16.4814,74.735],[17.4358,74.903],[17.3479,79.895],[17.8437,79.986],[17.4481,85.95],[20.5814,86.466],[20.9137,80.487],[20.0449,80.365],[20.1249,75.371],[20.6382,75.445],[20.6889,67.449],[20.4345,67.413],[20.4541,61.914],[20.0323,61.851],[20.0382,59.851],[19.8026,59.813],[19.8067,58.314],[19.454,58.255],[19.4603,55.756],[19.1251,55.698],[19.1414,47.7],[18.2895,47.548],[18.2838,50.547],[17.0524,50.324],[17.0505,51.324],[15.8083,51.118],[15.8056,52.617],[15.3105,52.545],[15.3061,55.045],[14.4834,54.942],[14.4697,62.441],[13.5716,62.359],[13.57,63.359],[12.1054,63.304],[12.1053,65.804],[11.4566,65.813],[11.4641,72.813],[9.3744,72.974]]]},
+  {"name":"Equuleus","abbr":"Equ","genitive":"Equulei","ra":21.1876,"dec":7.76,"season":"Fall","magnitude":3.92,"rank":3,"stars":[[21.2637,5.248,3.92],[21.2413,10.007,4.47],[21.1724,10.132,4.7]],"lines":[[[21.2637,5.248],[21.2413,10.007]],[[21.2413,10.007],[21.1724,10.132]]],"boundaries":[[[20.9387,2.477],[20.9364,6.477],[20.9781,6.483],[20.9746,12.316],[21.1499,12.338],[21.2167,12.347],[21.2163,13.013],[21.4334,13.039],[21.4389,2.539],[20.9387,2.477]]]},
+  {"name":"Eridanus","abbr":"Eri","genitive":"Eridani","ra":3.3333,"dec":-28,"season":"Winter","magnitude":0.45,"rank":1,"stars":[[1.6286,-57.237,0.45],[5.1308,-5.086,2.78],[2.971,-40.305,2.88],[3.9672,-13.508,2.97],[3.7208,-9.763,3.52],[4.2982,-33.798,3.55],[2.2752,-51.512,3.56],[1.9326,-51.609,3.69],[3.3253,-21.758,3.7],[3.5488,-9.458,3.72],[4.5925,-30.562,3.81],[2.9405,-8.898,3.89],[4.6053,-3.353,3.93],[4.4006,-34.017,3.97],[4.7584,-3.255,4.01],[4.1978,-6.838,4.04],[3.0399,-23.625,4.08],[2.6778,-39.855,4.11],[3.8242,-36.2,4.17],[3.7808,-23.25,4.22],[2.7354,-13.859,4.24],[2.4498,-47.704,4.24],[3.5631,-21.633,4.26],[3.3321,-43.07,4.26],[3.769,-12.102,4.43],[2.7517,-18.573,4.47],[3.6182,-40.275,4.57]],"lines":[[[5.1308,-5.086],[4.7584,-3.255]],[[4.7584,-3.255],[4.6053,-3.353]],[[4.6053,-3.353],[4.1978,-6.838]],[[4.1978,-6.838],[3.9672,-13.508]],[[3.9672,-13.508],[3.769,-12.102]],[[3.769,-12.102],[3.7208,-9.763]],[[3.7208,-9.763],[3.5488,-9.458]],[[3.5488,-9.458],[2.9405,-8.898]],[[2.9405,-8.898],[2.7354,-13.859]],[[2.7354,-13.859],[2.7517,-18.573]],[[2.7517,-18.573],[3.0399,-23.625]],[[3.0399,-23.625],[3.3253,-21.758]],[[3.3253,-21.758],[3.5631,-21.633]],[[3.5631,-21.633],[3.7808,-23.25]],[[3.7808,-23.25],[4.5925,-30.562]],[[4.5925,-30.562],[4.4006,-34.017]],[[4.4006,-34.017],[4.2982,-33.798]],[[4.2982,-33.798],[3.8242,-36.2]],[[3.8242,-36.2],[3.6182,-40.275]],[[3.6182,-40.275],[3.3321,-43.07]],[[3.3321,-43.07],[2.971,-40.305]],[[2.971,-40.305],[2.6778,-39.855]],[[2.6778,-39.855],[2.4498,-47.704]],[[2.4498,-47.704],[2.2752,-51.512]],[[2.2752,-51.512],[1.9326,-51.609]],[[1.9326,-51.609],[1.6286,-57.237]]],"boundaries":[[[3.6902,0.404],[4.7235,0.237],[4.7735,0.229],[4.7704,-3.771],[5.187,-3.844],[5.1813,-10.843],[5.0148,-10.814],[5.0119,-14.314],[4.9287,-14.299],[4.9173,-27.048],[4.7842,-27.025],[4.7815,-29.775],[4.6651,-29.755],[4.6575,-36.754],[4.342,-36.701],[4.3384,-39.701],[3.9404,-39.637],[3.9354,-43.636],[3.4885,-43.569],[3.4859,-45.569],[3.0727,-45.513],[3.069,-48.512],[2.739,-48.471],[2.7365,-50.471],[2.4894,-50.443],[2.4856,-53.442],[2.2389,-53.416],[2.2326,-57.916],[1.4137,-57.848],[1.4182,-52.849],[1.6645,-52.866],[1.6663,-50.866],[1.9129,-50.886],[1.9159,-47.553],[2.4102,-47.6],[2.4176,-39.434],[3.0792,-39.513],[3.0796,-39.096],[3.5763,-39.165],[3.58,-35.582],[3.8287,-35.619],[3.8393,-24.003],[2.7433,-23.854],[2.7559,-1.221],[3.3891,-1.303],[3.689,-1.346],[3.6902,0.404]]]},
+  {"name":"Fornax","abbr":"For","genitive":"Fornacis","ra":2.798,"dec":-31.63,"season":"Winter","magnitude":3.8,"rank":3,"stars":[[3.2013,-28.988,3.8],[2.8182,-32.406,4.45],[2.0748,-29.297,4.68]],"lines":[[[3.2013,-28.988],[2.8182,-32.406]],[[2.8182,-32.406],[2.0748,-29.297]]],"boundaries":[[[1.7644,-23.756],[2.7433,-23.854],[3.8393,-24.003],[3.8287,-35.619],[3.58,-35.582],[3.5763,-39.165],[3.0796,-39.096],[3.0792,-39.513],[2.4176,-39.434],[1.7567,-39.373],[1.7639,-24.873],[1.7644,-23.756]]]},
+  {"name":"Gemini","abbr":"Gem","genitive":"Geminorum","ra":7.0706,"dec":22.6,"season":"Winter","magnitude":1.16,"rank":1,"stars":[[7.7553,28.026,1.16],[7.5766,31.888,1.58],[6.6285,16.399,1.93],[6.3827,22.514,2.87],[6.7322,25.131,3.06],[6.248,22.507,3.31],[6.7548,12.896,3.35],[7.3354,21.982,3.5],[7.3015,16.54,3.58],[7.0685,20.57,4.01],[7.5987,26.896,4.06],[7.1857,30.245,4.41]],"lines":[[[6.248,22.507],[6.3827,22.514]],[[6.3827,22.514],[6.7322,25.131]],[[6.7322,25.131],[7.1857,30.245]],[[7.1857,30.245],[7.5766,31.888]],[[7.5766,31.888],[7.7553,28.026]],[[7.7553,28.026],[7.5987,26.896]],[[7.5987,26.896],[7.3354,21.982]],[[7.3354,21.982],[7.0685,20.57]],[[7.0685,20.57],[6.6285,16.399]],[[6.6285,16.399],[6.7548,12.896]],[[7.3354,21.982],[7.3015,16.54]]],"boundaries":[[[6.4249,11.933],[6.4296,17.433],[6.338,17.45],[6.3416,21.449],[6.0083,21.51],[6.0096,22.843],[6.0147,28.009],[6.6644,27.891],[6.6727,35.391],[7.504,35.245],[7.886,35.181],[7.8839,33.181],[8.1329,33.142],[8.1277,27.642],[8.0114,27.66],[8.0047,19.661],[7.9298,19.673],[7.9248,13.173],[7.6168,13.224],[7.6161,12.224],[7.1165,12.31],[7.1145,9.81],[7.0479,9.822],[7.0495,11.821],[6.4249,11.933]]]},
+  {"name":"Grus","abbr":"Gru","genitive":"Gruis","ra":22.4566,"dec":-46.35,"season":"Fall","magnitude":1.73,"rank":3,"stars":[[22.1372,-46.961,1.73],[22.7111,-46.885,2.07],[21.8988,-37.365,3],[22.8092,-51.317,3.49],[22.4878,-43.496,3.97],[23.0147,-52.754,4.11],[22.496,-43.749,4.12],[22.1019,-39.543,4.47],[22.2603,-41.347,4.79]],"lines":[[[23.0147,-52.754],[22.8092,-51.317]],[[22.8092,-51.317],[22.7111,-46.885]],[[22.7111,-46.885],[22.496,-43.749]],[[22.496,-43.749],[22.1372,-46.961]],[[22.1372,-46.961],[22.7111,-46.885]],[[22.4878,-43.496],[22.2603,-41.347]],[[22.2603,-41.347],[22.1019,-39.543]],[[22.1019,-39.543],[21.8988,-37.365]]],"boundaries":[[[21.4619,-36.459],[21.4695,-44.959],[21.4745,-49.459],[22.1333,-49.391],[22.1409,-56.391],[23.4512,-56.313],[23.4462,-39.313],[23.4456,-36.313],[23.1152,-36.325],[21.4619,-36.459]]]},
+  {"name":"Hercules","abbr":"Her","genitive":"Herculis","ra":17.4,"dec":27,"season":"Summer","magnitude":2.78,"rank":2,"stars":[[16.5037,21.49,2.78],[17.2441,14.39,2.78],[16.6881,31.603,2.81],[17.2505,24.839,3.12],[17.2508,36.809,3.16],[17.7743,27.721,3.42],[16.7149,38.922,3.48],[17.9627,29.248,3.7],[16.3653,19.153,3.74],[18.1257,28.762,3.84],[17.9376,37.251,3.86],[16.329,46.313,3.91],[17.0048,30.926,3.92],[17.3947,37.146,4.15],[16.5684,42.437,4.2],[16.1462,44.935,4.23],[15.8779,42.452,4.6]],"lines":[[[16.3653,19.153],[16.5037,21.49]],[[16.5037,21.49],[16.6881,31.603]],[[16.6881,31.603],[16.7149,38.922]],[[16.7149,38.922],[16.5684,42.437]],[[16.5684,42.437],[16.329,46.313]],[[16.329,46.313],[16.1462,44.935]],[[16.1462,44.935],[15.8779,42.452]],[[16.6881,31.603],[17.0048,30.926]],[[16.7149,38.922],[17.2508,36.809]],[[17.9376,37.251],[17.3947,37.146]],[[17.3947,37.146],[17.2508,36.809]],[[17.2508,36.809],[17.0048,30.926]],[[17.0048,30.926],[17.2505,24.839]],[[17.2505,24.839],[17.7743,27.721]],[[17.7743,27.721],[17.9627,29.248]],[[17.9627,29.248],[18.1257,28.762]],[[17.2441,14.39],[16.5037,21.49]]],"boundaries":[[[16.3706,3.703],[16.1873,3.674],[16.1784,15.673],[16.0121,15.646],[16.0074,21.646],[16.1238,21.664],[16.1204,25.664],[16.2533,25.686],[16.2524,26.686],[16.4187,26.713],[16.4048,39.712],[15.8244,39.619],[15.8083,51.118],[17.0505,51.324],[17.0524,50.324],[18.2838,50.547],[18.2895,47.548],[18.2311,47.537],[18.255,30.039],[18.4467,30.074],[18.4509,26.074],[18.9513,26.164],[18.9518,25.664],[18.9559,21.248],[18.9582,18.665],[18.9638,12.165],[18.7592,12.129],[18.3469,12.054],[18.3449,14.387],[17.3451,14.206],[17.3464,12.706],[16.8468,12.618],[16.8537,3.785],[16.3706,3.703]]]},
+  {"name":"Horologium","abbr":"Hor","genitive":"Horologii","ra":3.276,"dec":-53.34,"season":"Winter","magnitude":3.85,"rank":3,"stars":[[4.2334,-42.294,3.85],[2.9799,-64.071,4.98],[3.0602,-59.738,5.12],[2.6777,-54.55,5.21],[2.6234,-52.543,5.3],[2.7093,-50.8,5.4]],"lines":[[[4.2334,-42.294],[2.7093,-50.8]],[[2.7093,-50.8],[2.6234,-52.543]],[[2.6234,-52.543],[2.6777,-54.55]],[[2.6777,-54.55],[3.0602,-59.738]],[[3.0602,-59.738],[2.9799,-64.071]]],"boundaries":[[[4.3384,-39.701],[4.3255,-48.7],[4.1433,-48.67],[4.1399,-50.67],[3.8918,-50.63],[3.8879,-52.797],[3.5577,-52.747],[3.5491,-57.08],[3.2527,-57.038],[3.2242,-67.036],[2.2135,-66.915],[2.2326,-57.916],[2.2389,-53.416],[2.4856,-53.442],[2.4894,-50.443],[2.7365,-50.471],[2.739,-48.471],[3.069,-48.512],[3.0727,-45.513],[3.4859,-45.569],[3.4885,-43.569],[3.9354,-43.636],[3.9404,-39.637],[4.3384,-39.701]]]},
+  {"name":"Hydra","abbr":"Hya","genitive":"Hydrae","ra":11.6,"dec":-14,"season":"Spring","magnitude":1.99,"rank":2,"stars":[[9.4598,-8.659,1.99],[13.3154,-23.172,2.99],[8.9232,5.946,3.11],[10.8271,-16.194,3.11],[14.1062,-26.682,3.25],[8.7796,6.419,3.38],[11.55,-31.858,3.54],[10.1765,-12.354,3.61],[10.4348,-16.836,3.83],[9.2394,2.314,3.89],[9.6643,-1.143,3.9],[9.858,-14.847,4.11],[8.6276,5.704,4.14],[11.8818,-33.908,4.29],[8.7204,3.399,4.3],[8.8072,5.838,4.35],[14.8381,-27.96,4.42],[8.646,3.341,4.45]],"lines":[[[8.7796,6.419],[8.8072,5.838]],[[8.8072,5.838],[8.7204,3.399]],[[8.7204,3.399],[8.646,3.341]],[[8.646,3.341],[8.6276,5.704]],[[8.6276,5.704],[8.7796,6.419]],[[8.7796,6.419],[8.9232,5.946]],[[8.9232,5.946],[9.2394,2.314]],[[9.2394,2.314],[9.6643,-1.143]],[[9.6643,-1.143],[9.4598,-8.659]],[[9.4598,-8.659],[9.858,-14.847]],[[9.858,-14.847],[10.1765,-12.354]],[[10.1765,-12.354],[10.4348,-16.836]],[[10.4348,-16.836],[10.8271,-16.194]],[[10.8271,-16.194],[11.55,-31.858]],[[11.55,-31.858],[11.8818,-33.908]],[[11.8818,-33.908],[13.3154,-23.172]],[[13.3154,-23.172],[14.1062,-26.682]],[[14.1062,-26.682],[14.8381,-27.96]]],"boundaries":[[[8.1899,-0.369],[8.1948,6.63],[9.3603,6.47],[9.6932,6.433],[9.6899,-0.567],[9.6847,-11.567],[10.8539,-11.662],[10.8517,-19.662],[10.9354,-19.667],[10.9339,-25.167],[11.9394,-25.196],[12.6936,-25.186],[12.6932,-22.686],[12.9445,-22.677],[14.3675,-22.573],[14.3689,-25.073],[15.0384,-24.995],[15.0421,-29.995],[12.6945,-30.186],[12.6951,-33.686],[12.3592,-33.694],[12.3594,-35.694],[11.0986,-35.675],[10.9306,-35.666],[10.9319,-31.833],[10.6801,-31.819],[10.6809,-29.819],[10.3454,-29.795],[10.3466,-27.128],[9.844,-27.084],[9.8453,-24.584],[9.4603,-24.543],[9.1758,-24.509],[9.179,-19.509],[8.6776,-19.442],[8.679,-17.442],[8.4618,-17.411],[8.466,-11.412],[8.1823,-11.369],[8.1899,-0.369]]]},
+  {"name":"Hydrus","abbr":"Hyi","genitive":"Hydri","ra":2.3442,"dec":-69.96,"season":"Winter","magnitude":2.82,"rank":3,"stars":[[0.4292,-77.254,2.82],[1.9795,-61.57,2.86],[3.7873,-74.239,3.26],[2.3625,-68.659,4.08],[2.6598,-68.267,4.12],[1.9156,-67.647,4.68]],"lines":[[[0.4292,-77.254],[3.7873,-74.239]],[[3.7873,-74.239],[2.6598,-68.267]],[[2.6598,-68.267],[2.3625,-68.659]],[[2.3625,-68.659],[1.9156,-67.647]],[[1.9156,-67.647],[1.9795,-61.57]]],"boundaries":[[[4.5863,-67.248],[4.5721,-69.747],[4.5305,-74.743],[3.4717,-74.574],[3.3394,-82.064],[0.1022,-81.804],[0.1044,-74.304],[0.8222,-74.319],[0.8197,-75.319],[1.3769,-75.347],[1.4137,-57.848],[2.2326,-57.916],[2.2135,-66.915],[3.2242,-67.036],[4.5863,-67.248]]]},
+  {"name":"Indus","abbr":"Ind","genitive":"Indi","ra":21.3333,"dec":-63,"season":"Fall","magnitude":3.11,"rank":3,"stars":[[20.6261,-47.291,3.11],[20.9135,-58.454,3.67],[21.3311,-53.449,4.39],[21.9653,-54.993,4.4],[20.734,-51.921,4.51]],"lines":[[[20.6261,-47.291],[20.734,-51.921]],[[20.734,-51.921],[20.9135,-58.454]],[[20.9135,-58.454],[21.9653,-54.993]],[[21.9653,-54.993],[21.3311,-53.449]],[[21.3311,-53.449],[20.6261,-47.291]]],"boundaries":[[[21.5457,-74.454],[23.4665,-74.313],[23.4574,-66.813],[22.1599,-66.89],[22.1409,-56.391],[22.1333,-49.391],[21.4745,-49.459],[21.4695,-44.959],[20.478,-45.09],[20.4973,-56.589],[20.5043,-59.588],[21.4899,-59.458],[21.5457,-74.454]]]},
+  {"name":"Lacerta","abbr":"Lac","genitive":"Lacertae","ra":22.4614,"dec":46.04,"season":"Fall","magnitude":3.76,"rank":3,"stars":[[22.5215,50.282,3.76],[22.2662,37.749,4.14],[22.4922,47.707,4.34],[22.3927,52.229,4.42],[22.6752,44.276,4.5],[22.2313,39.715,4.5],[22.5081,43.123,4.52],[22.3504,46.537,4.55],[22.4086,49.476,4.55]],"lines":[[[22.3927,52.229],[22.5215,50.282]],[[22.5215,50.282],[22.4922,47.707]],[[22.4922,47.707],[22.3504,46.537]],[[22.3504,46.537],[22.5081,43.123]],[[22.5081,43.123],[22.6752,44.276]],[[22.6752,44.276],[22.4922,47.707]],[[22.4922,47.707],[22.4086,49.476]],[[22.4086,49.476],[22.3927,52.229]],[[22.5081,43.123],[22.2313,39.715]],[[22.2313,39.715],[22.2662,37.749]]],"boundaries":[[[21.9641,36.595],[21.9584,44.345],[21.9921,44.348],[21.9919,44.598],[22.0508,44.604],[22.0426,53.353],[22.2116,53.368],[22.2092,55.618],[22.3954,55.633],[22.3941,56.883],[22.9536,56.918],[22.9562,53.168],[22.9644,35.168],[22.9139,35.166],[22.9138,35.666],[22.0906,35.607],[22.09,36.607],[21.9641,36.595]]]},
+  {"name":"Leo","abbr":"Leo","genitive":"Leonis","ra":10.6667,"dec":13,"season":"Spring","magnitude":1.36,"rank":1,"stars":[[10.1395,11.967,1.36],[10.3329,19.841,2.01],[11.8177,14.572,2.14],[11.2351,20.524,2.56],[9.7642,23.774,2.97],[11.2373,15.43,3.33],[10.2782,23.417,3.43],[10.1222,16.763,3.48],[9.8794,26.007,3.88]],"lines":[[[10.1395,11.967],[10.1222,16.763]],[[10.1222,16.763],[10.3329,19.841]],[[10.3329,19.841],[11.2351,20.524]],[[11.2351,20.524],[11.8177,14.572]],[[11.8177,14.572],[11.2373,15.43]],[[11.2373,15.43],[10.1395,11.967]],[[10.3329,19.841],[10.2782,23.417]],[[10.2782,23.417],[9.8794,26.007]],[[9.8794,26.007],[9.7642,23.774]]],"boundaries":[[[10.8566,-0.662],[10.8584,6.338],[9.6932,6.433],[9.3603,6.47],[9.3764,32.969],[10.0056,32.902],[10.0028,27.902],[10.6159,27.853],[10.6141,22.853],[10.8628,22.838],[10.8634,24.838],[11.1121,24.825],[11.1129,28.325],[11.9739,28.304],[11.9736,13.304],[11.9736,10.304],[11.6244,10.308],[11.6234,-0.692],[11.6228,-6.692],[10.8551,-6.662],[10.8566,-0.662]]]},
+  {"name":"Leo Minor","abbr":"LMi","genitive":"Leonis Minoris","ra":10.2453,"dec":32.13,"season":"Spring","magnitude":3.79,"rank":3,"stars":[[10.8885,34.215,3.79],[10.4647,36.707,4.2],[10.1238,35.245,4.49],[9.5704,36.398,4.54],[10.4319,33.796,4.72]],"lines":[[[10.1238,35.245],[10.4319,33.796]],[[10.4319,33.796],[10.8885,34.215]],[[10.8885,34.215],[10.4647,36.707]],[[10.4647,36.707],[10.1238,35.245]],[[10.1238,35.245],[9.5704,36.398]]],"boundaries":[[[9.3764,32.969],[9.3814,39.219],[9.7121,39.182],[9.7139,41.432],[10.2919,41.377],[10.2906,39.377],[10.9015,39.336],[10.8993,33.336],[11.1143,33.325],[11.1129,28.325],[11.1121,24.825],[10.8634,24.838],[10.8628,22.838],[10.6141,22.853],[10.6159,27.853],[10.0028,27.902],[10.0056,32.902],[9.3764,32.969]]]},
+  {"name":"Lepus","abbr":"Lep","genitive":"Leporis","ra":5.5658,"dec":-19.05,"season":"Winter","magnitude":2.58,"rank":3,"stars":[[5.5455,-17.822,2.58],[5.4708,-20.759,2.81],[5.091,-22.371,3.19],[5.2155,-16.206,3.29],[5.7826,-14.822,3.55],[5.7411,-22.448,3.59],[5.9401,-14.168,3.71],[5.8554,-20.879,3.76],[5.3263,-13.177,4.29],[5.2205,-12.941,4.36],[6.1026,-14.935,4.67]],"lines":[[[6.1026,-14.935],[5.9401,-14.168]],[[5.9401,-14.168],[5.7826,-14.822]],[[5.7826,-14.822],[5.5455,-17.822]],[[5.5455,-17.822],[5.2155,-16.206]],[[5.2155,-16.206],[5.091,-22.371]],[[5.091,-22.371],[5.4708,-20.759]],[[5.4708,-20.759],[5.7411,-22.448]],[[5.7411,-22.448],[5.8554,-20.879]],[[5.2205,-12.941],[5.2155,-16.206]],[[5.2155,-16.206],[5.3263,-13.177]]],"boundaries":[[[4.9173,-27.048],[5.0837,-27.077],[6.1995,-27.279],[6.2144,-11.03],[5.9311,-10.979],[5.1813,-10.843],[5.0148,-10.814],[5.0119,-14.314],[4.9287,-14.299],[4.9173,-27.048]]]},
+  {"name":"Libra","abbr":"Lib","genitive":"Librae","ra":15.1993,"dec":-15.23,"season":"Summer","magnitude":2.61,"rank":2,"stars":[[15.2834,-9.383,2.61],[14.848,-16.042,2.75],[15.0678,-25.282,3.25],[15.6171,-28.135,3.6],[15.6443,-29.778,3.66],[15.5921,-14.79,3.91]],"lines":[[[15.0678,-25.282],[14.848,-16.042]],[[14.848,-16.042],[15.2834,-9.383]],[[15.2834,-9.383],[15.5921,-14.79]],[[15.5921,-14.79],[15.6171,-28.135]],[[15.6171,-28.135],[15.6443,-29.778]],[[14.848,-16.042],[15.5921,-14.79]]],"boundaries":[[[15.1902,-0.474],[14.7735,-0.527],[14.7778,-8.527],[14.3606,-8.573],[14.3675,-22.573],[14.3689,-25.073],[15.0384,-24.995],[15.0421,-29.995],[15.7953,-29.89],[15.7875,-20.39],[16.0381,-20.352],[16.0292,-8.352],[16.0258,-3.603],[15.1921,-3.724],[15.1902,-0.474]]]},
+  {"name":"Lupus","abbr":"Lup","genitive":"Lupi","ra":15.2201,"dec":-42.71,"season":"Summer","magnitude":2.3,"rank":3,"stars":[[14.6988,-47.388,2.3],[14.9755,-43.134,2.68],[15.5857,-41.167,2.8],[15.3562,-40.648,3.22],[15.378,-44.69,3.37],[15.2047,-52.099,3.41],[16.002,-38.397,3.42],[15.3634,-36.261,3.57],[15.8493,-33.627,3.97],[16.1099,-36.802,4.22],[15.3089,-47.875,4.27],[15.6628,-34.412,4.66]],"lines":[[[15.8493,-33.627],[15.6628,-34.412]],[[15.6628,-34.412],[15.3634,-36.261]],[[15.3634,-36.261],[15.3562,-40.648]],[[15.3562,-40.648],[14.9755,-43.134]],[[14.9755,-43.134],[14.6988,-47.388]],[[14.6988,-47.388],[15.2047,-52.099]],[[15.2047,-52.099],[15.3089,-47.875]],[[15.3089,-47.875],[15.378,-44.69]],[[15.378,-44.69],[15.5857,-41.167]],[[15.5857,-41.167],[16.002,-38.397]],[[16.002,-38.397],[16.1099,-36.802]],[[15.3562,-40.648],[15.5857,-41.167]]],"boundaries":[[[14.3105,-55.58],[14.6823,-55.54],[15.2056,-55.475],[15.2038,-54.476],[15.4902,-54.436],[15.4805,-48.437],[15.8165,-48.388],[15.8083,-42.389],[16.1435,-42.337],[16.1298,-29.838],[15.7953,-29.89],[15.0421,-29.995],[15.0531,-42.494],[14.2967,-42.581],[14.3105,-55.58]]]},
+  {"name":"Lynx","abbr":"Lyn","genitive":"Lyncis","ra":7.9922,"dec":47.47,"season":"Winter","magnitude":3.14,"rank":3,"stars":[[9.3509,34.393,3.14],[9.3141,36.803,3.82],[9.0107,41.783,3.96],[8.3806,43.188,4.25],[6.9546,58.423,4.35],[6.3271,59.011,4.44],[7.4452,49.212,4.61]],"lines":[[[6.3271,59.011],[6.9546,58.423]],[[6.9546,58.423],[7.4452,49.212]],[[7.4452,49.212],[8.3806,43.188]],[[8.3806,43.188],[9.0107,41.783]],[[9.0107,41.783],[9.3141,36.803]],[[9.3141,36.803],[9.3509,34.393]]],"boundaries":[[[7.504,35.245],[7.5156,44.243],[6.951,44.342],[6.9604,49.841],[6.6613,49.895],[6.6697,53.894],[6.2705,53.966],[6.2754,55.966],[6.2938,61.964],[7.1901,61.803],[7.1835,59.804],[8.1419,59.643],[8.5866,59.576],[8.5627,46.578],[9.306,46.478],[9.3008,41.479],[9.7139,41.432],[9.7121,39.182],[9.3814,39.219],[9.3764,32.969],[8.1329,33.142],[7.8839,33.181],[7.886,35.181],[7.504,35.245]]]},
+  {"name":"Lyra","abbr":"Lyr","genitive":"Lyrae","ra":18.8529,"dec":36.69,"season":"Summer","magnitude":0.03,"rank":2,"stars":[[18.6156,38.784,0.03],[18.9824,32.69,3.25],[18.8347,33.363,3.52],[18.9084,36.899,4.22],[18.7462,37.605,4.34],[18.7397,39.613,4.59]],"lines":[[[18.7462,37.605],[18.7397,39.613]],[[18.7397,39.613],[18.6156,38.784]],[[18.6156,38.784],[18.7462,37.605]],[[18.7462,37.605],[18.9084,36.899]],[[18.9084,36.899],[18.9824,32.69]],[[18.9824,32.69],[18.8347,33.363]],[[18.8347,33.363],[18.7462,37.605]]],"boundaries":[[[18.9518,25.664],[18.9513,26.164],[18.4509,26.074],[18.4467,30.074],[18.255,30.039],[18.2311,47.537],[18.2895,47.548],[19.1414,47.7],[19.225,47.714],[19.2314,43.715],[19.4656,43.755],[19.4746,36.756],[19.4328,36.749],[19.4399,30.249],[19.3397,30.232],[19.3422,27.732],[19.3441,25.733],[18.9518,25.664]]]},
+  {"name":"Mensa","abbr":"Men","genitive":"Mensae","ra":5.4149,"dec":-77.5,"season":"All Year","magnitude":5.08,"rank":3,"stars":[[6.1707,-74.753,5.08],[5.5314,-76.341,5.18],[5.0453,-71.314,5.3],[4.9198,-74.937,5.47]],"lines":[[[6.1707,-74.753],[5.5314,-76.341]],[[5.5314,-76.341],[4.9198,-74.937]],[[4.9198,-74.937],[5.0453,-71.314]]],"boundaries":[[[7.268,-85.261],[3.2155,-84.555],[3.3394,-82.064],[3.4717,-74.574],[4.5305,-74.743],[4.5721,-69.747],[6.5636,-70.104],[6.518,-75.1],[7.6143,-75.29],[7.4435,-82.776],[7.268,-85.261]]]},
+  {"name":"Microscopium","abbr":"Mic","genitive":"Microscopii","ra":20.9647,"dec":-36.27,"season":"Fall","magnitude":4.67,"rank":3,"stars":[[21.0215,-32.258,4.67],[21.299,-32.172,4.71],[21.346,-40.809,4.8],[20.8328,-33.78,4.89],[20.8081,-43.989,5.11]],"lines":[[[20.8328,-33.78],[20.8081,-43.989]],[[20.8081,-43.989],[21.346,-40.809]],[[21.346,-40.809],[21.299,-32.172]],[[21.299,-32.172],[21.0215,-32.258]],[[21.0215,-32.258],[20.8328,-33.78]]],"boundaries":[[[20.4599,-27.591],[21.4554,-27.46],[21.4619,-36.459],[21.4695,-44.959],[20.478,-45.09],[20.4599,-27.591]]]},
+  {"name":"Monoceros","abbr":"Mon","genitive":"Monocerotis","ra":7,"dec":0,"season":"Winter","magnitude":3.76,"rank":2,"stars":[[6.4803,-7.033,3.76],[7.6875,-9.551,3.94],[6.2476,-6.275,3.99],[7.1977,-0.493,4.15],[8.1432,-2.984,4.36],[6.3961,4.593,4.39],[6.5484,7.333,4.47],[6.7977,2.412,4.48],[6.683,9.896,4.66]],"lines":[[[7.6875,-9.551],[8.1432,-2.984]],[[8.1432,-2.984],[7.1977,-0.493]],[[7.1977,-0.493],[6.4803,-7.033]],[[6.4803,-7.033],[6.2476,-6.275]],[[7.1977,-0.493],[6.7977,2.412]],[[6.7977,2.412],[6.3961,4.593]],[[6.3961,4.593],[6.5484,7.333]],[[6.5484,7.333],[6.683,9.896]]],"boundaries":[[[6.3484,-0.054],[6.3565,9.945],[6.4232,9.933],[6.4249,11.933],[7.0495,11.821],[7.0479,9.822],[7.1145,9.81],[7.111,5.31],[7.1276,5.307],[7.1245,1.307],[7.3078,1.276],[7.3066,-0.224],[8.1899,-0.369],[8.1823,-11.369],[7.4649,-11.252],[6.2144,-11.03],[5.9311,-10.979],[5.9368,-3.979],[6.3451,-4.053],[6.3484,-0.054]]]},
+  {"name":"Musca","abbr":"Mus","genitive":"Muscae","ra":12.5879,"dec":-70.16,"season":"Spring","magnitude":2.69,"rank":3,"stars":[[12.6197,-69.136,2.69],[12.7713,-68.108,3.04],[13.0379,-71.549,3.61],[11.7601,-66.729,3.63],[12.5411,-72.133,3.84],[12.2929,-67.961,4.06]],"lines":[[[11.7601,-66.729],[12.2929,-67.961]],[[12.2929,-67.961],[12.6197,-69.136]],[[12.6197,-69.136],[12.7713,-68.108]],[[12.7713,-68.108],[13.0379,-71.549]],[[13.0379,-71.549],[12.5411,-72.133]],[[12.5411,-72.133],[12.6197,-69.136]]],"boundaries":[[[11.339,-64.684],[11.3238,-75.684],[13.8521,-75.624],[13.8307,-70.624],[13.8179,-65.625],[13.6472,-65.638],[13.6454,-64.638],[12.9626,-64.677],[11.9372,-64.696],[11.339,-64.684]]]},
+  {"name":"Norma","abbr":"Nor","genitive":"Normae","ra":15.903,"dec":-51.35,"season":"Summer","magnitude":4.01,"rank":3,"stars":[[16.3307,-50.156,4.01],[16.4531,-47.555,4.46],[16.0536,-49.23,4.65],[16.1082,-45.173,4.73]],"lines":[[[16.1082,-45.173],[16.4531,-47.555]],[[16.4531,-47.555],[16.3307,-50.156]],[[16.3307,-50.156],[16.0536,-49.23]],[[16.0536,-49.23],[16.1082,-45.173]]],"boundaries":[[[15.5033,-60.435],[16.6023,-60.264],[16.5714,-45.767],[16.5663,-42.267],[16.1435,-42.337],[15.8083,-42.389],[15.8165,-48.388],[15.4805,-48.437],[15.4902,-54.436],[15.2038,-54.476],[15.2056,-55.475],[15.4921,-55.436],[15.5033,-60.435]]]},
+  {"name":"Octans","abbr":"Oct","genitive":"Octantis","ra":22,"dec":-83,"season":"All Year","magnitude":3.73,"rank":3,"stars":[[21.6913,-77.39,3.73],[22.7676,-81.382,4.13],[14.4487,-83.668,4.31]],"lines":[[[14.4487,-83.668],[22.7676,-81.382]],[[22.7676,-81.382],[21.6913,-77.39]],[[21.6913,-77.39],[14.4487,-83.668]]],"boundaries":[[[0.1022,-81.804],[3.3394,-82.064],[3.2155,-84.555],[7.268,-85.261],[7.4435,-82.776],[13.9407,-83.12],[18.4577,-82.458],[18.2797,-74.975],[21.5457,-74.454],[23.4665,-74.313],[0.1044,-74.304],[0.1022,-81.804]]]},
+  {"name":"Ophiuchus","abbr":"Oph","genitive":"Ophiuchi","ra":17.4,"dec":-7,"season":"Summer","magnitude":2.08,"rank":2,"stars":[[17.5822,12.56,2.08],[17.173,-15.725,2.43],[16.6193,-10.567,2.54],[16.2391,-3.694,2.73],[17.7245,4.567,2.76],[16.9611,9.375,3.19],[16.3054,-4.692,3.23],[17.3668,-25,3.27],[17.9838,-9.774,3.32],[17.7982,2.707,3.75],[16.5152,1.984,3.82],[16.4504,-18.456,4.22],[17.4559,-29.867,4.28],[16.519,-16.613,4.29],[16.4017,-20.037,4.48],[16.4264,-23.447,4.57]],"lines":[[[17.9838,-9.774],[17.7982,2.707]],[[17.7982,2.707],[17.7245,4.567]],[[17.7245,4.567],[17.5822,12.56]],[[17.5822,12.56],[16.9611,9.375]],[[16.9611,9.375],[16.5152,1.984]],[[16.5152,1.984],[16.2391,-3.694]],[[16.2391,-3.694],[16.3054,-4.692]],[[16.3054,-4.692],[16.6193,-10.567]],[[16.6193,-10.567],[17.173,-15.725]],[[16.9611,9.375],[16.6193,-10.567]],[[16.6193,-10.567],[16.519,-16.613]],[[16.519,-16.613],[16.4504,-18.456]],[[16.4504,-18.456],[16.4017,-20.037]],[[16.4017,-20.037],[16.4264,-23.447]],[[17.7245,4.567],[17.173,-15.725]],[[17.173,-15.725],[17.3668,-25]],[[17.3668,-25],[17.4559,-29.867]]],"boundaries":[[[16.3735,-0.296],[16.3706,3.703],[16.8537,3.785],[16.8468,12.618],[17.3464,12.706],[17.3451,14.206],[18.3449,14.387],[18.3469,12.054],[18.7592,12.129],[18.7639,6.379],[18.3516,6.305],[18.3531,4.555],[18.5281,4.587],[18.5293,3.087],[18.3543,3.055],[18.3567,0.055],[17.9401,-0.021],[17.9433,-4.02],[18.0766,-3.996],[18.0816,-9.996],[17.7816,-10.05],[17.783,-11.717],[17.6996,-11.732],[17.6982,-10.065],[17.2815,-10.14],[17.2865,-16.14],[17.72,-16.062],[17.7335,-30.061],[16.8824,-30.212],[16.877,-24.796],[16.3928,-24.878],[16.3882,-19.545],[16.4967,-19.527],[16.4959,-18.527],[16.3874,-18.545],[16.3794,-8.296],[16.0292,-8.352],[16.0258,-3.603],[16.3759,-3.546],[16.3735,-0.296]]]},
+  {"name":"Orion","abbr":"Ori","genitive":"Orionis","ra":5.5333,"dec":6,"season":"Winter","magnitude":0.18,"rank":1,"stars":[[5.2423,-8.202,0.18],[5.9195,7.407,0.45],[5.4189,6.35,1.64],[5.6036,-1.202,1.69],[5.6793,-1.943,1.74],[5.7959,-9.67,2.07],[5.5334,-0.299,2.25],[4.8307,6.961,3.19],[5.4079,-2.397,3.35],[5.5856,9.934,3.39],[4.8534,5.605,3.68],[4.9042,2.441,3.71],[4.9395,13.514,4.06],[6.0397,9.647,4.12],[4.8435,8.9,4.35],[5.9064,20.276,4.39],[6.1262,14.768,4.42],[6.199,14.209,4.45],[4.9758,1.714,4.47],[6.0653,20.139,4.64],[4.9149,10.151,4.64],[5.0762,15.404,4.65],[5.1617,15.597,4.81]],"lines":[[[6.1262,14.768],[5.9064,20.276]],[[5.9064,20.276],[6.0653,20.139]],[[6.0653,20.139],[6.199,14.209]],[[6.199,14.209],[6.0397,9.647]],[[6.0397,9.647],[5.9195,7.407]],[[5.9195,7.407],[5.4189,6.35]],[[5.4189,6.35],[4.9149,10.151]],[[4.9758,1.714],[4.9042,2.441]],[[4.9042,2.441],[4.8534,5.605]],[[4.8534,5.605],[4.8307,6.961]],[[4.8307,6.961],[4.8435,8.9]],[[4.8435,8.9],[4.9149,10.151]],[[4.9149,10.151],[4.9395,13.514]],[[4.9395,13.514],[5.0762,15.404]],[[5.0762,15.404],[5.1617,15.597]],[[5.2423,-8.202],[5.4079,-2.397]],[[5.4079,-2.397],[5.5334,-0.299]],[[5.5334,-0.299],[5.4189,6.35]],[[5.4189,6.35],[5.5856,9.934]],[[5.5856,9.934],[5.9195,7.407]],[[5.9195,7.407],[5.6793,-1.943]],[[5.6793,-1.943],[5.7959,-9.67]],[[5.6793,-1.943],[5.6036,-1.202]],[[5.6036,-1.202],[5.5334,-0.299]]],"boundaries":[[[4.7235,0.237],[4.7356,15.736],[5.0859,15.675],[5.0864,16.175],[5.4532,16.11],[5.4528,15.61],[5.7196,15.562],[5.717,12.562],[5.8837,12.532],[5.8885,18.031],[5.8218,18.044],[5.8263,22.877],[6.0096,22.843],[6.0083,21.51],[6.3416,21.449],[6.338,17.45],[6.4296,17.433],[6.4249,11.933],[6.4232,9.933],[6.3565,9.945],[6.3484,-0.054],[6.3451,-4.053],[5.9368,-3.979],[5.9311,-10.979],[5.1813,-10.843],[5.187,-3.844],[4.7704,-3.771],[4.7735,0.229],[4.7235,0.237]]]},
+  {"name":"Pavo","abbr":"Pav","genitive":"Pavonis","ra":19.6118,"dec":-65.78,"season":"Summer","magnitude":1.94,"rank":2,"stars":[[20.4275,-56.735,1.94],[20.7493,-66.203,3.42],[20.1454,-66.182,3.55],[17.7622,-64.724,3.61],[20.0099,-72.91,3.97],[18.7173,-71.428,4.01],[21.4407,-65.366,4.21],[18.8703,-62.188,4.22],[18.143,-63.669,4.33],[18.3871,-61.494,4.35]],"lines":[[[20.4275,-56.735],[20.7493,-66.203]],[[20.7493,-66.203],[20.1454,-66.182]],[[20.1454,-66.182],[18.8703,-62.188]],[[18.8703,-62.188],[18.3871,-61.494]],[[18.3871,-61.494],[18.143,-63.669]],[[18.143,-63.669],[17.7622,-64.724]],[[17.7622,-64.724],[18.7173,-71.428]],[[18.7173,-71.428],[20.0099,-72.91]],[[20.0099,-72.91],[20.7493,-66.203]],[[20.7493,-66.203],[21.4407,-65.366]]],"boundaries":[[[18.2797,-74.975],[21.5457,-74.454],[21.4899,-59.458],[20.5043,-59.588],[20.4973,-56.589],[18.1782,-56.984],[17.6779,-57.075],[17.7184,-67.571],[18.2187,-67.48],[18.2797,-74.975]]]},
+  {"name":"Pegasus","abbr":"Peg","genitive":"Pegasi","ra":22.7333,"dec":19,"season":"Fall","magnitude":2.07,"rank":1,"stars":[[0.1398,29.09,2.07],[21.7364,9.875,2.38],[23.0629,28.083,2.44],[23.0793,15.205,2.49],[0.2206,15.184,2.83],[22.7167,30.221,2.93],[22.691,10.831,3.41],[22.8334,24.602,3.51],[22.17,6.198,3.52],[22.1169,25.345,3.77],[22.7755,23.566,3.97],[21.7441,25.645,4.14],[22.7782,12.173,4.2],[22.1665,33.178,4.28]],"lines":[[[22.1665,33.178],[22.7167,30.221]],[[22.7167,30.221],[23.0629,28.083]],[[23.0629,28.083],[0.1398,29.09]],[[0.1398,29.09],[0.2206,15.184]],[[0.2206,15.184],[23.0793,15.205]],[[23.0793,15.205],[22.7782,12.173]],[[22.7782,12.173],[22.691,10.831]],[[22.691,10.831],[22.17,6.198]],[[22.17,6.198],[21.7364,9.875]],[[23.0793,15.205],[23.0629,28.083]],[[23.0629,28.083],[22.8334,24.602]],[[22.8334,24.602],[22.7755,23.566]],[[22.7755,23.566],[22.1169,25.345]],[[22.1169,25.345],[21.7441,25.645]]],"boundaries":[[[21.4389,2.539],[21.4334,13.039],[21.2163,13.013],[21.2167,12.347],[21.1499,12.338],[21.1453,20.005],[21.3459,20.029],[21.3434,24.029],[21.5108,24.048],[21.508,28.548],[21.8263,28.582],[21.8213,36.581],[21.9641,36.595],[22.09,36.607],[22.0906,35.607],[22.9138,35.666],[22.9139,35.166],[22.9644,35.168],[23.6029,35.191],[23.6033,32.775],[23.8552,32.779],[23.8552,32.029],[0.1071,32.029],[0.1071,28.696],[0.1742,28.696],[0.174,22.696],[0.2494,22.695],[0.2493,21.695],[0.2489,13.195],[0.1069,13.196],[0.1068,10.696],[23.9398,10.696],[23.9399,8.196],[22.8548,8.162],[22.8561,2.662],[22.1058,2.608],[22.1059,2.358],[21.7725,2.326],[21.772,3.326],[21.5719,3.304],[21.5723,2.554],[21.4389,2.539]]]},
+  {"name":"Perseus","abbr":"Per","genitive":"Persei","ra":3.1749,"dec":45.01,"season":"Winter","magnitude":1.79,"rank":1,"stars":[[3.4054,49.861,1.79],[3.1361,40.956,2.09],[3.9022,31.884,2.84],[3.9642,40.01,2.9],[3.0799,53.506,2.91],[3.7154,47.788,3.01],[3.0863,38.84,3.32],[3.7532,42.578,3.77],[2.8449,55.895,3.77],[3.1583,44.858,3.79],[3.7386,32.288,3.84],[2.9043,52.763,3.93],[4.1444,47.712,3.96],[3.9828,35.791,3.98],[1.7277,50.689,4.01],[3.1511,49.613,4.05],[2.7367,49.228,4.1],[4.2483,48.409,4.12],[4.1097,50.351,4.25],[3.6082,48.193,4.32],[3.1882,39.612,4.61],[2.9794,39.663,4.68],[2.9944,41.033,5.89]],"lines":[[[3.7386,32.288],[3.9022,31.884]],[[3.9022,31.884],[3.9828,35.791]],[[3.9828,35.791],[3.9642,40.01]],[[3.9642,40.01],[3.7532,42.578]],[[3.7532,42.578],[3.7154,47.788]],[[3.7154,47.788],[3.6082,48.193]],[[3.6082,48.193],[3.4054,49.861]],[[3.4054,49.861],[3.0799,53.506]],[[3.0799,53.506],[2.8449,55.895]],[[2.8449,55.895],[2.9043,52.763]],[[2.9043,52.763],[3.1511,49.613]],[[3.1511,49.613],[3.1583,44.858]],[[3.1583,44.858],[3.1361,40.956]],[[3.1361,40.956],[3.1882,39.612]],[[3.1882,39.612],[3.0863,38.84]],[[3.0863,38.84],[2.9794,39.663]],[[2.9794,39.663],[2.9944,41.033]],[[2.9944,41.033],[3.1361,40.956]],[[4.1097,50.351],[4.2483,48.409]],[[4.2483,48.409],[4.1444,47.712]],[[4.1444,47.712],[3.7154,47.788]],[[3.1511,49.613],[2.7367,49.228]],[[2.7367,49.228],[1.7277,50.689]]],"boundaries":[[[2.8419,31.186],[2.8444,34.52],[2.6935,34.538],[2.6956,37.287],[2.6453,37.293],[2.659,51.042],[2.1783,51.093],[2.1748,47.593],[1.7954,47.626],[1.7979,50.626],[1.4939,50.648],[1.4971,54.648],[1.8356,54.623],[1.8397,58.123],[2.0516,58.105],[2.053,59.105],[2.5868,59.051],[2.5842,57.551],[3.2601,57.468],[3.3276,57.459],[3.3236,55.46],[3.4921,55.436],[3.4875,52.937],[4.856,52.72],[4.8305,36.222],[4.6383,36.255],[4.6325,30.922],[3.4951,31.1],[2.8419,31.186]]]},
+  {"name":"Phoenix","abbr":"Phe","genitive":"Phoenicis","ra":0.9319,"dec":-48.58,"season":"Fall","magnitude":2.4,"rank":2,"stars":[[0.4381,-42.306,2.4],[1.1014,-46.718,3.32],[1.4728,-43.318,3.41],[0.1568,-45.747,3.88],[1.5209,-49.073,3.93],[1.1397,-55.246,3.94]],"lines":[[[0.4381,-42.306],[1.1014,-46.718]],[[1.1014,-46.718],[1.4728,-43.318]],[[1.4728,-43.318],[1.5209,-49.073]],[[1.5209,-49.073],[1.1397,-55.246]],[[1.1397,-55.246],[1.1014,-46.718]],[[1.1014,-46.718],[0.1568,-45.747]],[[0.1568,-45.747],[0.4381,-42.306]]],"boundaries":[[[23.4462,-39.313],[23.4512,-56.313],[23.4519,-57.813],[1.4137,-57.848],[1.4182,-52.849],[1.6645,-52.866],[1.6663,-50.866],[1.9129,-50.886],[1.9159,-47.553],[2.4102,-47.6],[2.4176,-39.434],[1.7567,-39.373],[0.0402,-39.304],[23.4462,-39.313]]]},
+  {"name":"Pictor","abbr":"Pic","genitive":"Pictoris","ra":5.7076,"dec":-53.47,"season":"Winter","magnitude":3.24,"rank":3,"stars":[[6.8032,-61.941,3.24],[5.7881,-51.066,3.85],[5.8305,-56.167,4.5]],"lines":[[[6.8032,-61.941],[5.8305,-56.167]],[[5.8305,-56.167],[5.7881,-51.066]]],"boundaries":[[[6.0635,-43.006],[5.065,-42.826],[4.8988,-42.796],[4.8935,-46.296],[4.5616,-46.239],[4.5575,-48.738],[4.5478,-53.738],[5.0451,-53.824],[5.0365,-57.323],[5.5346,-57.412],[5.5238,-60.911],[6.023,-61.002],[6.0116,-64.001],[6.5958,-64.107],[6.8469,-64.152],[6.8674,-58.154],[6.533,-58.094],[6.541,-55.095],[6.2072,-55.034],[6.213,-52.535],[6.0462,-52.504],[6.0499,-50.755],[6.0635,-43.006]]]},
+  {"name":"Pisces","abbr":"Psc","genitive":"Piscium","ra":0.4667,"dec":14,"season":"Fall","magnitude":3.62,"rank":2,"stars":[[1.5247,15.346,3.62],[23.2861,3.282,3.7],[2.0341,2.764,3.82],[23.9885,6.863,4.03],[23.6658,5.626,4.13],[1.7566,9.158,4.26],[1.0491,7.89,4.27],[23.4661,6.379,4.27],[0.8114,7.585,4.44],[1.6905,5.488,4.45],[23.0646,3.82,4.48],[23.7008,1.78,4.49],[1.1943,30.09,4.51],[1.8926,3.188,4.61],[1.1909,21.035,4.66],[1.2292,24.584,4.67],[1.3244,27.264,4.74],[1.5031,6.144,4.84],[23.4489,1.256,4.95],[23.7732,3.487,4.95],[23.3391,5.381,5.05],[1.2289,7.575,5.21]],"lines":[[[1.2292,24.584],[1.1943,30.09]],[[1.1943,30.09],[1.3244,27.264]],[[1.3244,27.264],[1.2292,24.584]],[[1.2292,24.584],[1.1909,21.035]],[[1.1909,21.035],[1.5247,15.346]],[[1.5247,15.346],[1.7566,9.158]],[[1.7566,9.158],[2.0341,2.764]],[[2.0341,2.764],[1.8926,3.188]],[[1.8926,3.188],[1.6905,5.488]],[[1.6905,5.488],[1.5031,6.144]],[[1.5031,6.144],[1.2289,7.575]],[[1.2289,7.575],[1.0491,7.89]],[[1.0491,7.89],[0.8114,7.585]],[[0.8114,7.585],[23.9885,6.863]],[[23.9885,6.863],[23.6658,5.626]],[[23.6658,5.626],[23.4661,6.379]],[[23.4661,6.379],[23.3391,5.381]],[[23.3391,5.381],[23.2861,3.282]],[[23.2861,3.282],[23.4489,1.256]],[[23.4489,1.256],[23.7008,1.78]],[[23.7008,1.78],[23.7732,3.487]],[[23.7732,3.487],[23.6658,5.626]],[[23.2861,3.282],[23.0646,3.82]]],"boundaries":[[[22.8566,0.662],[22.8561,2.662],[22.8548,8.162],[23.9399,8.196],[23.9398,10.696],[0.1068,10.696],[0.1069,13.196],[0.2489,13.195],[0.2493,21.695],[0.961,21.677],[0.9616,24.427],[0.8276,24.432],[0.8295,33.682],[1.5265,33.645],[1.5244,28.645],[1.7843,28.626],[1.783,25.626],[1.777,10.543],[2.111,10.514],[2.1077,2.598],[0.4403,2.692],[0.4401,0.693],[0.4395,-6.308],[23.9402,-6.304],[23.9401,-3.304],[22.8576,-3.338],[22.8566,0.662]]]},
+  {"name":"Piscis Austrinus","abbr":"PsA","genitive":"Piscis Austrini","ra":22.2845,"dec":-30.64,"season":"Fall","magnitude":1.17,"rank":2,"stars":[[22.9608,-29.622,1.17],[22.6776,-27.044,4.18],[22.9325,-32.54,4.2],[22.5251,-32.346,4.29],[21.7491,-33.026,4.35],[22.8754,-32.876,4.46],[22.1397,-32.989,4.5],[21.7956,-30.898,5.02]],"lines":[[[22.6776,-27.044],[22.9608,-29.622]],[[22.9608,-29.622],[22.9325,-32.54]],[[22.9325,-32.54],[22.8754,-32.876]],[[22.8754,-32.876],[22.5251,-32.346]],[[22.5251,-32.346],[22.1397,-32.989]],[[22.1397,-32.989],[21.7491,-33.026]],[[21.7491,-33.026],[21.7956,-30.898]],[[21.7956,-30.898],[22.1397,-32.989]],[[22.1397,-32.989],[22.6776,-27.044]]],"boundaries":[[[23.1121,-24.825],[21.9847,-24.904],[21.4539,-24.96],[21.4554,-27.46],[21.4619,-36.459],[23.1152,-36.325],[23.1121,-24.825]]]},
+  {"name":"Puppis","abbr":"Pup","genitive":"Puppis","ra":7.2667,"dec":-31,"season":"Winter","magnitude":1.75,"rank":2,"stars":[[8.1589,-47.337,1.75],[8.0597,-40.003,2.21],[7.2857,-37.097,2.71],[8.1257,-24.304,2.83],[6.6294,-43.196,3.17],[7.8216,-24.86,3.34],[7.6472,-26.804,3.8],[7.7301,-28.955,3.94],[7.9476,-22.88,4.2],[7.8014,-25.937,4.4],[7.5897,-28.369,4.65]],"lines":[[[6.6294,-43.196],[7.2857,-37.097]],[[7.2857,-37.097],[7.5897,-28.369]],[[7.5897,-28.369],[7.6472,-26.804]],[[7.6472,-26.804],[7.8216,-24.86]],[[7.8216,-24.86],[7.9476,-22.88]],[[7.9476,-22.88],[8.1257,-24.304]],[[8.1257,-24.304],[8.0597,-40.003]],[[8.0597,-40.003],[8.1589,-47.337]],[[7.8216,-24.86],[7.8014,-25.937]],[[7.8014,-25.937],[7.7301,-28.955]],[[7.7301,-28.955],[7.5897,-28.369]]],"boundaries":[[[7.4649,-11.252],[7.4451,-33.251],[6.6603,-33.113],[6.6473,-43.112],[6.0635,-43.006],[6.0499,-50.755],[8.0574,-51.103],[8.0692,-43.353],[8.4382,-43.41],[8.4452,-37.16],[8.4618,-17.411],[8.466,-11.412],[8.1823,-11.369],[7.4649,-11.252]]]},
+  {"name":"Pyxis","abbr":"Pyx","genitive":"Pyxidis","ra":8.9527,"dec":-27.35,"season":"Spring","magnitude":2.21,"rank":3,"stars":[[8.0597,-40.003,2.21],[8.7265,-33.186,3.68],[8.6684,-35.308,3.97],[8.8422,-27.71,4.02]],"lines":[[[8.0597,-40.003],[8.6684,-35.308]],[[8.6684,-35.308],[8.7265,-33.186]],[[8.7265,-33.186],[8.8422,-27.71]]],"boundaries":[[[8.4618,-17.411],[8.679,-17.442],[8.6776,-19.442],[9.179,-19.509],[9.1758,-24.509],[9.4603,-24.543],[9.4514,-37.292],[8.4452,-37.16],[8.4618,-17.411]]]},
+  {"name":"Reticulum","abbr":"Ret","genitive":"Reticuli","ra":3.9212,"dec":-60,"season":"Winter","magnitude":3.33,"rank":3,"stars":[[4.2404,-62.474,3.33],[3.7367,-64.807,3.84],[4.2747,-59.302,4.44],[3.9791,-61.4,4.56]],"lines":[[[4.2404,-62.474],[4.2747,-59.302]],[[4.2747,-59.302],[3.9791,-61.4]],[[3.9791,-61.4],[3.7367,-64.807]],[[3.7367,-64.807],[4.2404,-62.474]]],"boundaries":[[[3.2242,-67.036],[4.5863,-67.248],[4.6183,-58.751],[4.3703,-58.709],[4.3767,-56.209],[4.0462,-56.156],[4.0532,-52.823],[3.8879,-52.797],[3.5577,-52.747],[3.5491,-57.08],[3.2527,-57.038],[3.2242,-67.036]]]},
+  {"name":"Sagitta","abbr":"Sge","genitive":"Sagittae","ra":19.6509,"dec":18.86,"season":"Summer","magnitude":3.51,"rank":3,"stars":[[19.9793,19.492,3.51],[19.7898,18.534,3.68],[19.6683,18.014,4.39],[19.6841,17.476,4.39]],"lines":[[[19.6683,18.014],[19.7898,18.534]],[[19.7898,18.534],[19.9793,19.492]],[[19.6841,17.476],[19.7898,18.534]]],"boundaries":[[[18.9582,18.665],[18.9559,21.248],[19.3398,21.315],[19.3414,19.398],[19.9257,19.495],[19.924,21.579],[20.3417,21.644],[20.3423,20.894],[20.3458,16.144],[20.2373,16.128],[19.9284,16.079],[19.9281,16.496],[19.0937,16.355],[19.0917,18.688],[18.9582,18.665]]]},
+  {"name":"Sagittarius","abbr":"Sgr","genitive":"Sagittarii","ra":19.099,"dec":-28.48,"season":"Summer","magnitude":1.79,"rank":1,"stars":[[18.4029,-34.385,1.79],[18.9211,-26.297,2.05],[19.0435,-29.88,2.6],[18.3499,-29.828,2.72],[18.4662,-25.422,2.82],[19.1627,-21.024,2.88],[18.0968,-30.424,2.98],[18.2938,-36.762,3.1],[18.7609,-26.991,3.17],[19.1157,-27.67,3.32],[18.9622,-21.107,3.52],[19.0781,-21.741,3.76],[18.2294,-21.059,3.84],[19.3612,-17.847,3.92],[19.3773,-44.459,3.96],[19.3981,-40.616,3.96],[19.921,-41.868,4.12],[19.9956,-35.276,4.37],[19.3621,-15.955,4.52],[19.6118,-24.884,4.59],[19.9307,-26.299,4.7],[19.259,-25.257,4.86],[18.9028,-22.745,4.86],[19.2939,-18.953,4.88],[19.4212,-24.509,5.02]],"lines":[[[18.2938,-36.762],[18.4029,-34.385]],[[18.4029,-34.385],[18.3499,-29.828]],[[18.3499,-29.828],[18.4662,-25.422]],[[18.4662,-25.422],[18.2294,-21.059]],[[19.3773,-44.459],[19.3981,-40.616]],[[19.3981,-40.616],[19.0435,-29.88]],[[19.0435,-29.88],[18.7609,-26.991]],[[18.7609,-26.991],[18.4662,-25.422]],[[19.921,-41.868],[19.9956,-35.276]],[[19.9956,-35.276],[19.9307,-26.299]],[[19.9307,-26.299],[19.6118,-24.884]],[[19.6118,-24.884],[19.4212,-24.509]],[[19.4212,-24.509],[19.259,-25.257]],[[19.259,-25.257],[18.9211,-26.297]],[[18.9211,-26.297],[18.7609,-26.991]],[[18.7609,-26.991],[18.3499,-29.828]],[[18.3499,-29.828],[18.0968,-30.424]],[[18.0968,-30.424],[18.4029,-34.385]],[[18.4029,-34.385],[19.0435,-29.88]],[[19.0435,-29.88],[19.1157,-27.67]],[[19.1157,-27.67],[18.9211,-26.297]],[[18.9211,-26.297],[19.0781,-21.741]],[[19.0781,-21.741],[19.1627,-21.024]],[[19.1627,-21.024],[19.2939,-18.953]],[[19.2939,-18.953],[19.3612,-17.847]],[[19.3612,-17.847],[19.3621,-15.955]],[[19.0781,-21.741],[18.9622,-21.107]],[[18.9622,-21.107],[18.9028,-22.745]],[[18.9028,-22.745],[18.9211,-26.297]]],"boundaries":[[[18.9829,-11.866],[18.9862,-15.833],[18.37,-15.944],[17.72,-16.062],[17.7335,-30.061],[17.9669,-30.018],[17.975,-37.017],[19.3064,-36.779],[19.318,-45.278],[20.478,-45.09],[20.4599,-27.591],[20.1277,-27.642],[20.1151,-11.676],[18.9829,-11.866]]]},
+  {"name":"Scorpius","abbr":"Sco","genitive":"Scorpii","ra":16.9333,"dec":-32,"season":"Summer","magnitude":1.06,"rank":1,"stars":[[16.4901,-26.432,1.06],[17.5601,-37.104,1.62],[17.622,-42.998,1.86],[16.0056,-22.622,2.29],[16.8361,-34.293,2.29],[17.7081,-39.03,2.39],[16.0906,-19.805,2.56],[16.598,-28.216,2.82],[15.9809,-26.114,2.89],[16.3531,-25.593,2.9],[17.7931,-40.127,2.99],[16.8645,-38.047,3],[17.2026,-43.239,3.32],[16.9097,-42.361,3.62]],"lines":[[[15.9809,-26.114],[16.0056,-22.622]],[[16.0056,-22.622],[16.0906,-19.805]],[[16.0056,-22.622],[16.3531,-25.593]],[[16.3531,-25.593],[16.4901,-26.432]],[[16.4901,-26.432],[16.598,-28.216]],[[16.598,-28.216],[16.8361,-34.293]],[[16.8361,-34.293],[16.8645,-38.047]],[[16.8645,-38.047],[16.9097,-42.361]],[[16.9097,-42.361],[17.2026,-43.239]],[[17.2026,-43.239],[17.622,-42.998]],[[17.622,-42.998],[17.7931,-40.127]],[[17.7931,-40.127],[17.7081,-39.03]],[[17.7081,-39.03],[17.5601,-37.104]]],"boundaries":[[[16.0292,-8.352],[16.3794,-8.296],[16.3874,-18.545],[16.4959,-18.527],[16.4967,-19.527],[16.3882,-19.545],[16.3928,-24.878],[16.877,-24.796],[16.8824,-30.212],[17.7335,-30.061],[17.9669,-30.018],[17.975,-37.017],[17.9873,-45.516],[16.5714,-45.767],[16.5663,-42.267],[16.1435,-42.337],[16.1298,-29.838],[15.7953,-29.89],[15.7875,-20.39],[16.0381,-20.352],[16.0292,-8.352]]]},
+  {"name":"Sculptor","abbr":"Scl","genitive":"Sculptoris","ra":0.438,"dec":-32.09,"season":"Fall","magnitude":4.3,"rank":3,"stars":[[0.9768,-29.357,4.3],[23.5495,-37.818,4.38],[23.3137,-32.532,4.41],[23.8154,-28.13,4.59]],"lines":[[[0.9768,-29.357],[23.8154,-28.13]],[[23.8154,-28.13],[23.3137,-32.532]],[[23.3137,-32.532],[23.5495,-37.818]]],"boundaries":[[[23.1121,-24.825],[23.9407,-24.804],[1.7639,-24.873],[1.7567,-39.373],[0.0402,-39.304],[23.4462,-39.313],[23.4456,-36.313],[23.1152,-36.325],[23.1121,-24.825]]]},
+  {"name":"Scutum","abbr":"Sct","genitive":"Scuti","ra":18.6731,"dec":-9.89,"season":"Summer","magnitude":3.85,"rank":3,"stars":[[18.5868,-8.244,3.85],[18.7862,-4.748,4.22],[18.4866,-14.566,4.67],[18.7046,-9.053,4.7]],"lines":[[[18.5868,-8.244],[18.7862,-4.748]],[[18.7862,-4.748],[18.7046,-9.053]],[[18.7046,-9.053],[18.4866,-14.566]],[[18.4866,-14.566],[18.5868,-8.244]]],"boundaries":[[[18.37,-15.944],[18.9862,-15.833],[18.9829,-11.866],[18.9765,-3.834],[18.6932,-3.884],[18.3599,-3.945],[18.37,-15.944]]]},
+  {"name":"Serpens","abbr":"Ser","genitive":"Serpentis","ra":17.0667,"dec":5,"season":"Summer","magnitude":2.43,"rank":3,"stars":[[17.173,-15.725,2.43],[15.7378,6.426,2.63],[16.2391,-3.694,2.73],[18.3552,-2.899,3.23],[17.9838,-9.774,3.32],[17.6264,-15.399,3.54],[15.7698,15.422,3.65],[15.8469,4.478,3.71],[15.58,10.539,3.8],[15.9409,15.662,3.85],[15.8123,18.142,4.09],[15.6925,19.67,4.51],[18.937,4.204,4.62],[18.0514,-8.18,4.77]],"lines":[[[15.7698,15.422],[15.6925,19.67]],[[15.6925,19.67],[15.8123,18.142]],[[15.8123,18.142],[15.9409,15.662]],[[15.9409,15.662],[15.7698,15.422]],[[15.7698,15.422],[15.58,10.539]],[[15.58,10.539],[15.7378,6.426]],[[15.7378,6.426],[15.8469,4.478]],[[15.8469,4.478],[16.2391,-3.694]],[[17.173,-15.725],[17.6264,-15.399]],[[17.6264,-15.399],[17.9838,-9.774]],[[17.9838,-9.774],[18.0514,-8.18]],[[18.0514,-8.18],[18.3552,-2.899]],[[18.3552,-2.899],[18.937,4.204]]],"boundaries":[[[15.1902,-0.474],[15.1854,7.525],[15.1737,25.525],[15.2733,25.538],[16.1204,25.664],[16.1238,21.664],[16.0074,21.646],[16.0121,15.646],[16.1784,15.673],[16.1873,3.674],[16.3706,3.703],[16.3735,-0.296],[16.3759,-3.546],[16.0258,-3.603],[15.1921,-3.724],[15.1902,-0.474]],[[18.3567,0.055],[18.3543,3.055],[18.5293,3.087],[18.5281,4.587],[18.3531,4.555],[18.3516,6.305],[18.7639,6.379],[18.9684,6.416],[18.9718,2.166],[18.6884,2.115],[18.69,0.116],[18.6932,-3.884],[18.3599,-3.945],[18.37,-15.944],[17.72,-16.062],[17.2865,-16.14],[17.2815,-10.14],[17.6982,-10.065],[17.6996,-11.732],[17.783,-11.717],[17.7816,-10.05],[18.0816,-9.996],[18.0766,-3.996],[17.9433,-4.02],[17.9401,-0.021],[18.3567,0.055]]]},
+  {"name":"Sextans","abbr":"Sex","genitive":"Sextantis","ra":10.2715,"dec":-2.61,"season":"Spring","magnitude":4.48,"rank":3,"stars":[[10.1323,-0.372,4.48],[9.8751,-8.105,5.07],[10.5049,-0.637,5.08],[10.4913,-2.739,5.19]],"lines":[[[10.1323,-0.372],[9.8751,-8.105]],[[9.8751,-8.105],[10.4913,-2.739]],[[10.4913,-2.739],[10.5049,-0.637]]],"boundaries":[[[9.6899,-0.567],[9.6932,6.433],[10.8584,6.338],[10.8566,-0.662],[10.8551,-6.662],[10.8539,-11.662],[9.6847,-11.567],[9.6899,-0.567]]]},
+  {"name":"Taurus","abbr":"Tau","genitive":"Tauri","ra":4.6667,"dec":15,"season":"Winter","magnitude":0.87,"rank":1,"stars":[[4.5987,16.509,0.87],[5.4382,28.608,1.65],[5.6274,21.142,2.97],[4.4777,15.871,3.4],[4.0113,12.49,3.41],[4.4769,19.18,3.53],[3.4136,9.029,3.61],[4.3299,15.628,3.65],[3.4528,9.733,3.73],[4.3822,17.543,3.77],[4.0526,5.989,3.91],[3.6146,0.402,4.29]],"lines":[[[5.6274,21.142],[4.5987,16.509]],[[4.5987,16.509],[4.4777,15.871]],[[4.4777,15.871],[4.3299,15.628]],[[4.3299,15.628],[4.3822,17.543]],[[4.3822,17.543],[4.4769,19.18]],[[4.4769,19.18],[5.4382,28.608]],[[4.3299,15.628],[4.0113,12.49]],[[4.0113,12.49],[3.4528,9.733]],[[3.4528,9.733],[4.0526,5.989]],[[3.4528,9.733],[3.4136,9.029]],[[3.4136,9.029],[3.6146,0.402]]],"boundaries":[[[3.3891,-1.303],[3.3902,0.447],[3.3964,10.363],[3.4025,19.446],[3.486,19.434],[3.4951,31.1],[4.6325,30.922],[4.6318,30.255],[4.8824,30.212],[4.8808,28.712],[6.0153,28.509],[6.0147,28.009],[6.0096,22.843],[5.8263,22.877],[5.8218,18.044],[5.8885,18.031],[5.8837,12.532],[5.717,12.562],[5.7196,15.562],[5.4528,15.61],[5.4532,16.11],[5.0864,16.175],[5.0859,15.675],[4.7356,15.736],[4.7235,0.237],[3.6902,0.404],[3.689,-1.346],[3.3891,-1.303]]]},
+  {"name":"Telescopium","abbr":"Tel","genitive":"Telescopii","ra":19.3256,"dec":-51.04,"season":"Summer","magnitude":3.49,"rank":3,"stars":[[18.4496,-45.968,3.49],[18.4805,-49.071,4.1],[18.1872,-45.954,4.52]],"lines":[[[18.1872,-45.954],[18.4496,-45.968]],[[18.4496,-45.968],[18.4805,-49.071]]],"boundaries":[[[20.4973,-56.589],[20.478,-45.09],[19.318,-45.278],[18.1539,-45.486],[18.1782,-56.984],[20.4973,-56.589]]]},
+  {"name":"Triangulum","abbr":"Tri","genitive":"Trianguli","ra":2.1844,"dec":31.48,"season":"Fall","magnitude":3,"rank":3,"stars":[[2.1591,34.987,3],[1.8847,29.579,3.42],[2.2886,33.847,4.03]],"lines":[[[1.8847,29.579],[2.1591,34.987]],[[2.1591,34.987],[2.2886,33.847]],[[2.2886,33.847],[1.8847,29.579]]],"boundaries":[[[1.783,25.626],[1.7843,28.626],[1.5244,28.645],[1.5265,33.645],[1.5274,35.645],[2.1236,35.597],[2.1247,37.347],[2.6453,37.293],[2.6956,37.287],[2.6935,34.538],[2.8444,34.52],[2.8419,31.186],[2.5402,31.221],[2.538,27.805],[2.0354,27.855],[2.0342,25.605],[1.783,25.626]]]},
+  {"name":"Triangulum Australe","abbr":"TrA","genitive":"Trianguli Australis","ra":16.0825,"dec":-65.39,"season":"Summer","magnitude":1.91,"rank":2,"stars":[[16.8111,-69.028,1.91],[15.919,-63.431,2.83],[15.3152,-68.68,2.87]],"lines":[[[16.8111,-69.028],[15.919,-63.431]],[[15.919,-63.431],[15.3152,-68.68]],[[15.3152,-68.68],[16.8111,-69.028]]],"boundaries":[[[14.9444,-70.511],[14.9336,-68.012],[15.1038,-67.991],[15.0902,-64.075],[15.3444,-64.042],[15.337,-61.459],[15.506,-61.435],[15.5033,-60.435],[16.6023,-60.264],[16.6054,-61.264],[16.7692,-61.236],[16.7784,-63.819],[16.9463,-63.79],[16.9522,-65.206],[17.0362,-65.192],[17.0483,-67.691],[17.2162,-67.661],[17.2314,-70.16],[14.9444,-70.511]]]},
+  {"name":"Tucana","abbr":"Tuc","genitive":"Tucanae","ra":23.7773,"dec":-65.83,"season":"Fall","magnitude":2.87,"rank":3,"stars":[[22.3084,-60.26,2.87],[23.2905,-58.236,3.99],[0.3345,-64.875,4.23],[0.5257,-62.958,4.36],[23.9986,-65.577,4.49],[22.4555,-64.966,4.51]],"lines":[[[22.3084,-60.26],[23.2905,-58.236]],[[23.2905,-58.236],[0.5257,-62.958]],[[0.5257,-62.958],[0.3345,-64.875]],[[0.3345,-64.875],[23.9986,-65.577]],[[23.9986,-65.577],[22.4555,-64.966]],[[22.4555,-64.966],[22.3084,-60.26]]],"boundaries":[[[23.4665,-74.313],[0.1044,-74.304],[0.8222,-74.319],[0.8197,-75.319],[1.3769,-75.347],[1.4137,-57.848],[23.4519,-57.813],[23.4512,-56.313],[22.1409,-56.391],[22.1599,-66.89],[23.4574,-66.813],[23.4665,-74.313]]]},
+  {"name":"Ursa Major","abbr":"UMa","genitive":"Ursae Majoris","ra":11.3127,"dec":50.72,"season":"Spring","magnitude":1.76,"rank":1,"stars":[[12.9005,55.96,1.76],[11.0621,61.751,1.81],[13.7923,49.313,1.85],[13.3988,54.925,2.23],[11.0307,56.382,2.34],[11.8972,53.695,2.41],[11.1611,44.498,3],[10.3722,41.499,3.06],[8.9868,48.042,3.12],[9.5476,51.677,3.17],[12.2571,57.033,3.32],[8.5044,60.718,3.35],[10.2849,42.914,3.45],[11.308,33.094,3.49],[9.0604,47.157,3.57],[9.5255,63.062,3.65],[11.7675,47.779,3.69],[9.8498,59.039,3.78],[11.3031,31.531,3.79],[9.8684,54.064,4.55]],"lines":[[[12.2571,57.033],[11.0621,61.751]],[[11.0621,61.751],[11.0307,56.382]],[[11.0307,56.382],[11.8972,53.695]],[[11.8972,53.695],[12.2571,57.033]],[[12.2571,57.033],[12.9005,55.96]],[[12.9005,55.96],[13.3988,54.925]],[[13.3988,54.925],[13.7923,49.313]],[[11.8972,53.695],[11.7675,47.779]],[[11.7675,47.779],[11.308,33.094]],[[11.308,33.094],[11.3031,31.531]],[[11.7675,47.779],[11.1611,44.498]],[[11.1611,44.498],[10.3722,41.499]],[[11.1611,44.498],[10.2849,42.914]],[[11.0621,61.751],[9.5255,63.062]],[[9.5255,63.062],[8.5044,60.718]],[[8.5044,60.718],[9.8498,59.039]],[[9.8498,59.039],[11.0307,56.382]],[[11.0307,56.382],[9.8684,54.064]],[[9.8684,54.064],[9.5476,51.677]],[[9.5476,51.677],[8.9868,48.042]],[[9.0604,47.157],[9.5476,51.677]]],"boundaries":[[[9.7139,41.432],[9.3008,41.479],[9.306,46.478],[8.5627,46.578],[8.5866,59.576],[8.1419,59.643],[8.2057,73.138],[9.3744,72.974],[11.4641,72.813],[11.4566,65.813],[12.1053,65.804],[12.1054,63.304],[13.57,63.359],[13.5716,62.359],[14.4697,62.441],[14.4834,54.942],[14.1056,54.904],[14.1132,47.904],[13.5863,47.86],[13.5828,52.36],[12.1879,52.304],[12.1884,44.304],[12.1061,44.304],[12.1063,33.304],[12.1064,28.304],[11.9739,28.304],[11.1129,28.325],[11.1143,33.325],[10.8993,33.336],[10.9015,39.336],[10.2906,39.377],[10.2919,41.377],[9.7139,41.432]]]},
+  {"name":"Ursa Minor","abbr":"UMi","genitive":"Ursae Minoris","ra":14.6667,"dec":78,"season":"All Year","magnitude":1.97,"rank":2,"stars":[[2.5303,89.264,1.97],[14.8451,74.156,2.07],[15.3455,71.834,3],[16.7662,82.037,4.21],[15.7343,77.794,4.29],[17.5369,86.587,4.35],[16.2917,75.755,4.95]],"lines":[[[15.7343,77.794],[16.2917,75.755]],[[16.2917,75.755],[15.3455,71.834]],[[15.3455,71.834],[14.8451,74.156]],[[14.8451,74.156],[15.7343,77.794]],[[15.7343,77.794],[16.7662,82.037]],[[16.7662,82.037],[17.5369,86.587]],[[17.5369,86.587],[2.5303,89.264]]],"boundaries":[[[13.0547,76.329],[13.0732,69.329],[14.0434,69.399],[14.0547,65.4],[15.6886,65.602],[15.67,69.601],[16.5227,69.738],[16.4814,74.735],[17.4358,74.903],[17.3479,79.895],[17.8437,79.986],[17.4481,85.95],[20.5814,86.466],[20.5554,86.631],[22.9007,86.837],[22.6174,88.664],[0.0632,88.609],[1.6472,88.356],[3.8443,88.006],[9.0555,87.569],[8.6935,86.097],[14.2015,85.931],[14.4522,79.445],[13.5873,79.363],[13.6105,76.364],[13.0547,76.329]]]},
+  {"name":"Vela","abbr":"Vel","genitive":"Velorum","ra":9.5773,"dec":-47.17,"season":"Spring","magnitude":1.75,"rank":2,"stars":[[8.1589,-47.337,1.75],[8.7451,-54.709,1.93],[9.1333,-43.433,2.23],[9.3686,-55.011,2.47],[10.7795,-49.42,2.69],[9.9477,-54.568,3.52],[9.5117,-40.467,3.6],[10.2456,-42.122,3.85]],"lines":[[[8.7451,-54.709],[9.3686,-55.011]],[[9.3686,-55.011],[9.9477,-54.568]],[[9.9477,-54.568],[10.7795,-49.42]],[[10.7795,-49.42],[10.2456,-42.122]],[[10.2456,-42.122],[9.5117,-40.467]],[[9.5117,-40.467],[9.1333,-43.433]],[[9.1333,-43.433],[8.1589,-47.337]]],"boundaries":[[[11.0892,-57.174],[11.0971,-40.425],[9.4489,-40.292],[9.4514,-37.292],[8.4452,-37.16],[8.4382,-43.41],[8.0692,-43.353],[8.0574,-51.103],[8.2254,-51.129],[8.2213,-53.378],[8.5073,-53.421],[8.5045,-54.92],[8.892,-54.974],[8.8882,-56.974],[11.0892,-57.174]]]},
+  {"name":"Virgo","abbr":"Vir","genitive":"Virginis","ra":13.4667,"dec":-4,"season":"Spring","magnitude":0.98,"rank":1,"stars":[[13.4199,-11.161,0.98],[12.6943,-1.449,2.74],[13.0363,10.959,2.85],[13.5782,-0.596,3.38],[12.9267,3.397,3.39],[11.8449,1.765,3.59],[14.7708,1.893,3.73],[14.7177,-5.658,3.87],[12.3318,-0.667,3.89],[11.7643,6.529,4.04],[14.2669,-6,4.07],[14.0274,1.544,4.23],[13.1658,-5.539,4.38]],"lines":[[[11.7643,6.529],[11.8449,1.765]],[[11.8449,1.765],[12.3318,-0.667]],[[12.3318,-0.667],[12.6943,-1.449]],[[12.6943,-1.449],[13.1658,-5.539]],[[13.1658,-5.539],[13.4199,-11.161]],[[13.4199,-11.161],[14.2669,-6]],[[14.2669,-6],[14.7177,-5.658]],[[13.0363,10.959],[12.9267,3.397]],[[12.9267,3.397],[12.6943,-1.449]],[[13.1658,-5.539],[13.5782,-0.596]],[[13.5782,-0.596],[14.0274,1.544]],[[14.0274,1.544],[14.7708,1.893]]],"boundaries":[[[11.6234,-0.692],[11.6244,10.308],[11.9736,10.304],[11.9736,13.304],[12.9375,13.322],[12.9373,14.322],[13.6019,14.361],[13.6043,7.361],[15.1854,7.525],[15.1902,-0.474],[14.7735,-0.527],[14.7778,-8.527],[14.3606,-8.573],[14.3675,-22.573],[12.9445,-22.677],[12.9422,-11.677],[11.9398,-11.696],[11.9399,-6.696],[11.6228,-6.692],[11.6234,-0.692]]]},
+  {"name":"Volans","abbr":"Vol","genitive":"Volantis","ra":7.7955,"dec":-69.8,"season":"Winter","magnitude":3.77,"rank":3,"stars":[[8.4289,-66.137,3.77],[7.1458,-70.499,3.78],[7.2805,-67.957,3.97],[9.0408,-66.396,4],[8.1322,-68.617,4.35]],"lines":[[[9.0408,-66.396],[8.4289,-66.137]],[[8.4289,-66.137],[8.1322,-68.617]],[[8.1322,-68.617],[7.2805,-67.957]],[[7.2805,-67.957],[7.1458,-70.499]],[[7.1458,-70.499],[8.1322,-68.617]],[[8.1322,-68.617],[9.0408,-66.396]]],"boundaries":[[[6.5958,-64.107],[6.5636,-70.104],[6.518,-75.1],[7.6143,-75.29],[9.0162,-75.496],[9.073,-64.499],[6.8469,-64.152],[6.5958,-64.107]]]},
+  {"name":"Vulpecula","abbr":"Vul","genitive":"Vulpeculae","ra":20.2313,"dec":24.44,"season":"Summer","magnitude":4.44,"rank":3,"stars":[[19.4784,24.665,4.44],[20.2628,27.814,4.5],[19.891,24.08,4.57],[20.0183,27.754,4.66],[19.2703,21.39,4.76]],"lines":[[[19.2703,21.39],[19.4784,24.665]],[[19.4784,24.665],[19.891,24.08]],[[19.891,24.08],[20.0183,27.754]],[[20.0183,27.754],[20.2628,27.814]]],"boundaries":[[[18.9559,21.248],[18.9518,25.664],[19.3441,25.733],[19.3422,27.732],[19.7515,27.801],[19.7501,29.301],[21.0048,29.487],[21.0056,28.487],[21.508,28.548],[21.5108,24.048],[21.3434,24.029],[21.3459,20.029],[21.1453,20.005],[20.6605,19.94],[20.6598,20.94],[20.3423,20.894],[20.3417,21.644],[19.924,21.579],[19.9257,19.495],[19.3414,19.398],[19.3398,21.315],[18.9559,21.248]]]}
+];
@@ -0,0 +1,507 @@
+/**
+ * Deep-sky objects: Messier, Caldwell and NGC/IC objects to magnitude 9
+ * Generated by generate-deep-sky.js from the d3-celestial data files
+ * (BSD-3-Clause, Olaf Frohn) - do not edit by hand.
+ *
+ * - id: M31, C14 or NGC7000 (Messier number first, then Caldwell)
+ * - messier, caldwell: catalogue numbers, or null
+ * - ngc: NGC/IC (or other) designation
+ * - type: d3-celestial type code, see getDSOType in dsoService
+ * - ra, dec: J2000, RA in hours and Dec in degrees
+ * - magnitude: integrated V magnitude (null when unknown)
+ * - size: [major, minor] axes in arcminutes
+ * - surfaceBrightness: mean surface brightness in mag/arcsec²
+ */
+export const DEEP_SKY_OBJECTS = [
+  {"id":"M1","name":"Crab Nebula","messier":1,"caldwell":null,"ngc":"NGC 1952","type":"snr","ra":5.575,"dec":22.017,"magnitude":8.4,"size":[6,4],"surfaceBrightness":20.5},
+  {"id":"M2","name":null,"messier":2,"caldwell":null,"ngc":"NGC 7089","type":"gc","ra":21.5583,"dec":-0.817,"magnitude":6.5,"size":[13,13],"surfaceBrightness":20.7},
+  {"id":"M3","name":null,"messier":3,"caldwell":null,"ngc":"NGC 5272","type":"gc","ra":13.7033,"dec":28.383,"magnitude":6.4,"size":[16,16],"surfaceBrightness":21},
+  {"id":"M4","name":"Crab Globular Cluster","messier":4,"caldwell":null,"ngc":"NGC 6121","type":"gc","ra":16.3933,"dec":-26.533,"magnitude":5.9,"size":[26,26],"surfaceBrightness":21.6},
+  {"id":"M5","name":"Rose Cluster","messier":5,"caldwell":null,"ngc":"NGC 5904","type":"gc","ra":15.31,"dec":2.083,"magnitude":5.8,"size":[17,17],"surfaceBrightness":20.6},
+  {"id":"M6","name":"Butterfly Cluster","messier":6,"caldwell":null,"ngc":"NGC 6405","type":"oc","ra":17.6683,"dec":-32.217,"magnitude":4.2,"size":[15,15],"surfaceBrightness":18.7},
+  {"id":"M7","name":"Ptolemy's Cluster","messier":7,"caldwell":null,"ngc":"NGC 6475","type":"oc","ra":17.8983,"dec":-34.817,"magnitude":3.3,"size":[80,80],"surfaceBrightness":21.4},
+  {"id":"M8","name":"Lagoon Nebula","messier":8,"caldwell":null,"ngc":"NGC 6523","type":"sfr","ra":18.0633,"dec":-24.383,"magnitude":5.8,"size":[90,40],"surfaceBrightness":23.3},
+  {"id":"M9","name":null,"messier":9,"caldwell":null,"ngc":"NGC 6333","type":"gc","ra":17.32,"dec":-18.517,"magnitude":7.9,"size":[9,9],"surfaceBrightness":21.3},
+  {"id":"M10","name":null,"messier":10,"caldwell":null,"ngc":"NGC 6254","type":"gc","ra":16.9517,"dec":-4.1,"magnitude":6.6,"size":[15,15],"surfaceBrightness":21.1},
+  {"id":"M11","name":"Wild Duck Cluster","messier":11,"caldwell":null,"ngc":"NGC 6705","type":"oc","ra":18.8517,"dec":-6.267,"magnitude":5.8,"size":[14,14],"surfaceBrightness":20.2},
+  {"id":"M12","name":"Gumball Globular Cluster","messier":12,"caldwell":null,"ngc":"NGC 6218","type":"gc","ra":16.7867,"dec":-1.95,"magnitude":6.6,"size":[14,14],"surfaceBrightness":21},
+  {"id":"M13","name":"Great Star Cluster in Hercules","messier":13,"caldwell":null,"ngc":"NGC 6205","type":"gc","ra":16.695,"dec":36.467,"magnitude":5.9,"size":[17,17],"surfaceBrightness":20.7},
+  {"id":"M14","name":null,"messier":14,"caldwell":null,"ngc":"NGC 6402","type":"gc","ra":17.6267,"dec":-3.25,"magnitude":7.6,"size":[12,12],"surfaceBrightness":21.6},
+  {"id":"M15","name":"Pegasus Cluster","messier":15,"caldwell":null,"ngc":"NGC 7078","type":"gc","ra":21.5,"dec":12.167,"magnitude":6.4,"size":[12,12],"surfaceBrightness":20.4},
+  {"id":"M16","name":"Eagle Nebula","messier":16,"caldwell":null,"ngc":"NGC 6611","type":"sfr","ra":18.3133,"dec":-13.783,"magnitude":6,"size":[7,7],"surfaceBrightness":18.9},
+  {"id":"M17","name":"Omega Nebula","messier":17,"caldwell":null,"ngc":"NGC 6618","type":"sfr","ra":18.3467,"dec":-16.183,"magnitude":7,"size":[46,37],"surfaceBrightness":23.7},
+  {"id":"M18","name":"Black Swan Cluster","messier":18,"caldwell":null,"ngc":"NGC 6613","type":"oc","ra":18.3317,"dec":-17.133,"magnitude":6.9,"size":[9,9],"surfaceBrightness":20.3},
+  {"id":"M19","name":null,"messier":19,"caldwell":null,"ngc":"NGC 6273","type":"gc","ra":17.0433,"dec":-26.267,"magnitude":7.2,"size":[14,14],"surfaceBrightness":21.6},
+  {"id":"M20","name":"Trifid Nebula","messier":20,"caldwell":null,"ngc":"NGC 6514","type":"sfr","ra":18.0433,"dec":-23.033,"magnitude":8.5,"size":[29,27],"surfaceBrightness":24.4},
+  {"id":"M21","name":"Webb's Cross","messier":21,"caldwell":null,"ngc":"NGC 6531","type":"oc","ra":18.0767,"dec":-22.5,"magnitude":5.9,"size":[13,13],"surfaceBrightness":20.1},
+  {"id":"M22","name":"Great Sagittarius Cluster","messier":22,"caldwell":null,"ngc":"NGC 6656","type":"gc","ra":18.6067,"dec":-23.9,"magnitude":5.1,"size":[24,24],"surfaceBrightness":20.6},
+  {"id":"M23","name":null,"messier":23,"caldwell":null,"ngc":"NGC 6494","type":"oc","ra":17.9467,"dec":-19.017,"magnitude":5.5,"size":[27,27],"surfaceBrightness":21.3},
+  {"id":"M24","name":"Milky Way patch","messier":24,"caldwell":null,"ngc":null,"type":"pos","ra":18.2817,"dec":-18.483,"magnitude":4.5,"size":[90,90],"surfaceBrightness":22.9},
+  {"id":"M25","name":null,"messier":25,"caldwell":null,"ngc":"IC 4725","type":"oc","ra":18.5267,"dec":-19.25,"magnitude":4.6,"size":[32,32],"surfaceBrightness":20.8},
+  {"id":"M26","name":null,"messier":26,"caldwell":null,"ngc":"NGC 6694","type":"oc","ra":18.7533,"dec":-9.4,"magnitude":8,"size":[15,15],"surfaceBrightness":22.5},
+  {"id":"M27","name":"Dumbbell Nebula","messier":27,"caldwell":null,"ngc":"NGC 6853","type":"pn","ra":19.9933,"dec":22.717,"magnitude":8.1,"size":[8,4],"surfaceBrightness":20.5},
+  {"id":"M28","name":null,"messier":28,"caldwell":null,"ngc":"NGC 6626","type":"gc","ra":18.4083,"dec":-24.867,"magnitude":6.9,"size":[11,11],"surfaceBrightness":20.7},
+  {"id":"M29","name":"Cooling Tower","messier":29,"caldwell":null,"ngc":"NGC 6913","type":"oc","ra":20.3983,"dec":38.533,"magnitude":6.6,"size":[7,7],"surfaceBrightness":19.5},
+  {"id":"M30","name":"Jellyfish Cluster","messier":30,"caldwell":null,"ngc":"NGC 7099","type":"gc","ra":21.6733,"dec":-23.183,"magnitude":7.5,"size":[11,11],"surfaceBrightness":21.3},
+  {"id":"M31","name":"Andromeda Galaxy","messier":31,"caldwell":null,"ngc":"NGC 224","type":"s","ra":0.7117,"dec":41.267,"magnitude":3.4,"size":[190,60],"surfaceBrightness":22.2},
+  {"id":"M32","name":null,"messier":32,"caldwell":null,"ngc":"NGC 221","type":"e","ra":0.7117,"dec":40.867,"magnitude":8.2,"size":[9,7],"surfaceBrightness":21.3},
+  {"id":"M33","name":"Triangulum Galaxy","messier":33,"caldwell":null,"ngc":"NGC 598","type":"s","ra":1.565,"dec":30.65,"magnitude":5.7,"size":[71,42],"surfaceBrightness":23},
+  {"id":"M34","name":"Spiral Cluster","messier":34,"caldwell":null,"ngc":"NGC 1039","type":"oc","ra":2.7,"dec":42.783,"magnitude":5.2,"size":[35,35],"surfaceBrightness":21.5},
+  {"id":"M35","name":"Shoe-Buckle Cluster","messier":35,"caldwell":null,"ngc":"NGC 2168","type":"oc","ra":6.1483,"dec":24.333,"magnitude":5.1,"size":[28,28],"surfaceBrightness":21},
+  {"id":"M36","name":"Pinwheel Cluster","messier":36,"caldwell":null,"ngc":"NGC 1960","type":"oc","ra":5.6017,"dec":34.133,"magnitude":6,"size":[12,12],"surfaceBrightness":20},
+  {"id":"M37","name":"January Salt-and-Pepper Cluster","messier":37,"caldwell":null,"ngc":"NGC 2099","type":"oc","ra":5.8733,"dec":32.55,"magnitude":5.6,"size":[24,24],"surfaceBrightness":21.1},
+  {"id":"M38","name":"Starfish Cluster","messier":38,"caldwell":null,"ngc":"NGC 1912","type":"oc","ra":5.4783,"dec":35.833,"magnitude":6.4,"size":[21,21],"surfaceBrightness":21.6},
+  {"id":"M39","name":null,"messier":39,"caldwell":null,"ngc":"NGC 7092","type":"oc","ra":21.5367,"dec":48.433,"magnitude":4.6,"size":[32,32],"surfaceBrightness":20.8},
+  {"id":"M40","name":null,"messier":40,"caldwell":null,"ngc":"WN 4","type":"pos","ra":12.3733,"dec":58.083,"magnitude":8,"size":null,"surfaceBrightness":null},
+  {"id":"M41","name":"Little Beehive Cluster","messier":41,"caldwell":null,"ngc":"NGC 2287","type":"oc","ra":6.7833,"dec":-20.733,"magnitude":4.5,"size":[38,38],"surfaceBrightness":21},
+  {"id":"M42","name":"Orion Nebula","messier":42,"caldwell":null,"ngc":"NGC 1976","type":"sfr","ra":5.59,"dec":-5.45,"magnitude":4,"size":[66,60],"surfaceBrightness":21.6},
+  {"id":"M43","name":"de Mairan's Nebula","messier":43,"caldwell":null,"ngc":"NGC 1982","type":"sfr","ra":5.5933,"dec":-5.267,"magnitude":9,"size":[20,15],"surfaceBrightness":23.8},
+  {"id":"M44","name":"Praesepe","messier":44,"caldwell":null,"ngc":"NGC 2632","type":"oc","ra":8.6683,"dec":19.983,"magnitude":3.1,"size":[95,95],"surfaceBrightness":21.6},
+  {"id":"M45","name":"Pleiades","messier":45,"caldwell":null,"ngc":null,"type":"oc","ra":3.7833,"dec":24.117,"magnitude":1.2,"size":[110,110],"surfaceBrightness":20},
+  {"id":"M46","name":null,"messier":46,"caldwell":null,"ngc":"NGC 2437","type":"oc","ra":7.6967,"dec":-14.817,"magnitude":6.1,"size":[27,27],"surfaceBrightness":21.9},
+  {"id":"M47","name":null,"messier":47,"caldwell":null,"ngc":"NGC 2422","type":"oc","ra":7.61,"dec":-14.5,"magnitude":4.4,"size":[30,30],"surfaceBrightness":20.4},
+  {"id":"M48","name":null,"messier":48,"caldwell":null,"ngc":"NGC 2548","type":"oc","ra":8.23,"dec":-5.8,"magnitude":5.8,"size":[54,54],"surfaceBrightness":23.1},
+  {"id":"M49","name":null,"messier":49,"caldwell":null,"ngc":"NGC 4472","type":"e","ra":12.4967,"dec":8,"magnitude":8.4,"size":[10,8],"surfaceBrightness":21.8},
+  {"id":"M50","name":"Heart-Shaped Cluster","messier":50,"caldwell":null,"ngc":"NGC 2323","type":"oc","ra":7.0533,"dec":-8.333,"magnitude":5.9,"size":[16,16],"surfaceBrightness":20.5},
+  {"id":"M51","name":"Whirlpool","messier":51,"caldwell":null,"ngc":"NGC 5194/5","type":"s","ra":13.4983,"dec":47.2,"magnitude":8.1,"size":[11,8],"surfaceBrightness":21.6},
+  {"id":"M52","name":"Cassiopeia Salt-and-Pepper Cluster","messier":52,"caldwell":null,"ngc":"NGC 7654","type":"oc","ra":23.4033,"dec":61.583,"magnitude":6.9,"size":[13,13],"surfaceBrightness":21.1},
+  {"id":"M53","name":null,"messier":53,"caldwell":null,"ngc":"NGC 5024","type":"gc","ra":13.215,"dec":18.167,"magnitude":7.7,"size":[13,13],"surfaceBrightness":21.9},
+  {"id":"M54","name":null,"messier":54,"caldwell":null,"ngc":"NGC 6715","type":"gc","ra":18.9183,"dec":-30.483,"magnitude":7.7,"size":[9,9],"surfaceBrightness":21.1},
+  {"id":"M55","name":"Specter Cluster","messier":55,"caldwell":null,"ngc":"NGC 6809","type":"gc","ra":19.6667,"dec":-30.967,"magnitude":7,"size":[19,19],"surfaceBrightness":22},
+  {"id":"M56","name":null,"messier":56,"caldwell":null,"ngc":"NGC 6779","type":"gc","ra":19.2767,"dec":30.183,"magnitude":8.2,"size":[7,7],"surfaceBrightness":21.1},
+  {"id":"M57","name":"Ring Nebula","messier":57,"caldwell":null,"ngc":"NGC 6720","type":"pn","ra":18.8933,"dec":33.033,"magnitude":9,"size":[1,1],"surfaceBrightness":17.6},
+  {"id":"M58","name":null,"messier":58,"caldwell":null,"ngc":"NGC 4579","type":"s","ra":12.6283,"dec":11.817,"magnitude":9.8,"size":[6,5],"surfaceBrightness":22.1},
+  {"id":"M59","name":null,"messier":59,"caldwell":null,"ngc":"NGC 4621","type":"e","ra":12.7,"dec":11.65,"magnitude":9.8,"size":[5,4],"surfaceBrightness":21.7},
+  {"id":"M60","name":null,"messier":60,"caldwell":null,"ngc":"NGC 4649","type":"e","ra":12.7283,"dec":11.55,"magnitude":8.8,"size":[7,6],"surfaceBrightness":21.5},
+  {"id":"M61","name":"Swelling Spiral Galaxy","messier":61,"caldwell":null,"ngc":"NGC 4303","type":"s","ra":12.365,"dec":4.467,"magnitude":9.7,"size":[7,6],"surfaceBrightness":22.4},
+  {"id":"M62","name":"Flickering Globular Cluster","messier":62,"caldwell":null,"ngc":"NGC 6266","type":"gc","ra":17.02,"dec":-30.117,"magnitude":6.6,"size":[14,14],"surfaceBrightness":21},
+  {"id":"M63","name":"Sunflower Galaxy","messier":63,"caldwell":null,"ngc":"NGC 5055","type":"s","ra":13.2633,"dec":42.033,"magnitude":8.6,"size":[13,7],"surfaceBrightness":22.1},
+  {"id":"M64","name":"Black Eye Galaxy","messier":64,"caldwell":null,"ngc":"NGC 4826","type":"s","ra":12.945,"dec":21.683,"magnitude":8.5,"size":[10,5],"surfaceBrightness":21.4},
+  {"id":"M65","name":"Leo Triplet","messier":65,"caldwell":null,"ngc":"NGC 3623","type":"s","ra":11.315,"dec":13.083,"magnitude":9.3,"size":[10,3],"surfaceBrightness":21.6},
+  {"id":"M66","name":"Leo Triplet","messier":66,"caldwell":null,"ngc":"NGC 3627","type":"s","ra":11.3367,"dec":12.983,"magnitude":9,"size":[9,4],"surfaceBrightness":21.5},
+  {"id":"M67","name":"Golden-Eye Cluster","messier":67,"caldwell":null,"ngc":"NGC 2682","type":"oc","ra":8.84,"dec":11.817,"magnitude":6.9,"size":[30,30],"surfaceBrightness":22.9},
+  {"id":"M68","name":null,"messier":68,"caldwell":null,"ngc":"NGC 4590","type":"gc","ra":12.6583,"dec":-26.75,"magnitude":8.2,"size":[12,12],"surfaceBrightness":22.2},
+  {"id":"M69","name":null,"messier":69,"caldwell":null,"ngc":"NGC 6637","type":"gc","ra":18.5233,"dec":-32.35,"magnitude":7.7,"size":[7,7],"surfaceBrightness":20.6},
+  {"id":"M70","name":null,"messier":70,"caldwell":null,"ngc":"NGC 6681","type":"gc","ra":18.72,"dec":-32.3,"magnitude":8.1,"size":[8,8],"surfaceBrightness":21.2},
+  {"id":"M71","name":"Angelfish Cluster","messier":71,"caldwell":null,"ngc":"NGC 6838","type":"gc","ra":19.8967,"dec":18.783,"magnitude":8.3,"size":[7,7],"surfaceBrightness":21.2},
+  {"id":"M72","name":null,"messier":72,"caldwell":null,"ngc":"NGC 6981","type":"gc","ra":20.8917,"dec":-12.533,"magnitude":9.4,"size":[6,6],"surfaceBrightness":21.9},
+  {"id":"M73","name":"4 Star asterism","messier":73,"caldwell":null,"ngc":"NGC 6994","type":"pos","ra":20.9817,"dec":-12.633,"magnitude":10,"size":null,"surfaceBrightness":null},
+  {"id":"M74","name":"Phantom Galaxy","messier":74,"caldwell":null,"ngc":"NGC 628","type":"s","ra":1.6117,"dec":15.783,"magnitude":9.2,"size":[11,10],"surfaceBrightness":22.9},
+  {"id":"M75","name":null,"messier":75,"caldwell":null,"ngc":"NGC 6864","type":"gc","ra":20.1017,"dec":-21.917,"magnitude":8.6,"size":[6,6],"surfaceBrightness":21.1},
+  {"id":"M76","name":"Little Dumbbell Nebula","messier":76,"caldwell":null,"ngc":"NGC 650/1","type":"pn","ra":1.7067,"dec":51.567,"magnitude":11.5,"size":[2,1],"surfaceBrightness":20.9},
+  {"id":"M77","name":"Cetus A","messier":77,"caldwell":null,"ngc":"NGC 1068","type":"s","ra":2.7117,"dec":-0.017,"magnitude":8.8,"size":[7,6],"surfaceBrightness":21.5},
+  {"id":"M78","name":"Casper the Friendly Ghost Nebula","messier":78,"caldwell":null,"ngc":"NGC 2068","type":"rn","ra":5.7783,"dec":0.05,"magnitude":8,"size":[8,6],"surfaceBrightness":20.8},
+  {"id":"M79","name":null,"messier":79,"caldwell":null,"ngc":"NGC 1904","type":"gc","ra":5.4083,"dec":-24.55,"magnitude":8,"size":[9,9],"surfaceBrightness":21.4},
+  {"id":"M80","name":null,"messier":80,"caldwell":null,"ngc":"NGC 6093","type":"gc","ra":16.2833,"dec":-22.983,"magnitude":7.2,"size":[9,9],"surfaceBrightness":20.6},
+  {"id":"M81","name":"Bode's Galaxy","messier":81,"caldwell":null,"ngc":"NGC 3031","type":"s","ra":9.9266,"dec":69.067,"magnitude":6.8,"size":[27,14],"surfaceBrightness":21.9},
+  {"id":"M82","name":"Cigar Galaxy","messier":82,"caldwell":null,"ngc":"NGC 3034","type":"i","ra":9.93,"dec":69.683,"magnitude":8.4,"size":[11,4],"surfaceBrightness":21.1},
+  {"id":"M83","name":"Southern Pinwheel Galaxy","messier":83,"caldwell":null,"ngc":"NGC 5236","type":"s","ra":13.6167,"dec":-29.867,"magnitude":7.6,"size":[13,12],"surfaceBrightness":21.7},
+  {"id":"M84","name":"Markarian's Chain","messier":84,"caldwell":null,"ngc":"NGC 4374","type":"e","ra":12.4183,"dec":12.883,"magnitude":9.3,"size":[7,6],"surfaceBrightness":22},
+  {"id":"M85","name":null,"messier":85,"caldwell":null,"ngc":"NGC 4382","type":"e","ra":12.4233,"dec":18.183,"magnitude":9.2,"size":[7,5],"surfaceBrightness":21.7},
+  {"id":"M86","name":"Faust V051","messier":86,"caldwell":null,"ngc":"NGC 4406","type":"e","ra":12.4367,"dec":12.95,"magnitude":9.2,"size":[9,6],"surfaceBrightness":22.2},
+  {"id":"M87","name":"Virgo Galaxy","messier":87,"caldwell":null,"ngc":"NGC 4486","type":"e","ra":12.5133,"dec":12.4,"magnitude":8.6,"size":[8,7],"surfaceBrightness":21.6},
+  {"id":"M88","name":null,"messier":88,"caldwell":null,"ngc":"NGC 4501","type":"s","ra":12.5333,"dec":14.417,"magnitude":9.5,"size":[7,4],"surfaceBrightness":21.7},
+  {"id":"M89","name":null,"messier":89,"caldwell":null,"ngc":"NGC 4552","type":"e","ra":12.595,"dec":12.55,"magnitude":9.8,"size":[5,5],"surfaceBrightness":21.9},
+  {"id":"M90","name":null,"messier":90,"caldwell":null,"ngc":"NGC 4569","type":"s","ra":12.6133,"dec":13.167,"magnitude":9.5,"size":[10,5],"surfaceBrightness":22.4},
+  {"id":"M91","name":null,"messier":91,"caldwell":null,"ngc":"NGC 4548","type":"s","ra":12.59,"dec":14.5,"magnitude":10.2,"size":[5,4],"surfaceBrightness":22.1},
+  {"id":"M92","name":null,"messier":92,"caldwell":null,"ngc":"NGC 6341","type":"gc","ra":17.285,"dec":43.133,"magnitude":6.5,"size":[11,11],"surfaceBrightness":20.3},
+  {"id":"M93","name":"Butterfly Cluster","messier":93,"caldwell":null,"ngc":"NGC 2447","type":"oc","ra":7.7433,"dec":-23.867,"magnitude":6.2,"size":[22,22],"surfaceBrightness":21.5},
+  {"id":"M94","name":"Croc's Eye Galaxy","messier":94,"caldwell":null,"ngc":"NGC 4736","type":"s","ra":12.8483,"dec":41.117,"magnitude":8.1,"size":[11,9],"surfaceBrightness":21.7},
+  {"id":"M95","name":null,"messier":95,"caldwell":null,"ngc":"NGC 3351","type":"s","ra":10.7333,"dec":11.7,"magnitude":9.7,"size":[3,3],"surfaceBrightness":20.7},
+  {"id":"M96","name":null,"messier":96,"caldwell":null,"ngc":"NGC 3368","type":"s","ra":10.78,"dec":11.817,"magnitude":9.2,"size":[8,5],"surfaceBrightness":21.8},
+  {"id":"M97","name":"Owl Nebula","messier":97,"caldwell":null,"ngc":"NGC 3587","type":"pn","ra":11.2467,"dec":55.017,"magnitude":11.2,"size":[3,3],"surfaceBrightness":22.2},
+  {"id":"M98","name":null,"messier":98,"caldwell":null,"ngc":"NGC 4192","type":"s","ra":12.23,"dec":14.9,"magnitude":10.1,"size":[10,3],"surfaceBrightness":22.4},
+  {"id":"M99","name":"Virgo Cluster Pinwheel","messier":99,"caldwell":null,"ngc":"NGC 4254","type":"s","ra":12.3133,"dec":14.417,"magnitude":9.8,"size":[5,5],"surfaceBrightness":21.9},
+  {"id":"M100","name":"Blowdryer Galaxy","messier":100,"caldwell":null,"ngc":"NGC 4321","type":"s","ra":12.3817,"dec":15.817,"magnitude":9.4,"size":[7,6],"surfaceBrightness":22.1},
+  {"id":"M101","name":"Pinwheel Galaxy","messier":101,"caldwell":null,"ngc":"NGC 5457","type":"s","ra":14.0533,"dec":54.35,"magnitude":7.7,"size":[29,27],"surfaceBrightness":23.6},
+  {"id":"M102","name":"Spindle Galaxy","messier":102,"caldwell":null,"ngc":"NGC 5866","type":"s","ra":15.1082,"dec":55.76,"magnitude":9.9,"size":[5,2],"surfaceBrightness":21},
+  {"id":"M103","name":null,"messier":103,"caldwell":null,"ngc":"NGC 581","type":"oc","ra":1.5533,"dec":60.7,"magnitude":7.4,"size":[6,6],"surfaceBrightness":19.9},
+  {"id":"M104","name":"Sombrero Galaxy","messier":104,"caldwell":null,"ngc":"NGC 4594","type":"s","ra":12.6667,"dec":-11.617,"magnitude":8.3,"size":[9,4],"surfaceBrightness":20.8},
+  {"id":"M105","name":null,"messier":105,"caldwell":null,"ngc":"NGC 3379","type":"e","ra":10.7967,"dec":12.583,"magnitude":9.3,"size":[5,5],"surfaceBrightness":21.4},
+  {"id":"M106","name":null,"messier":106,"caldwell":null,"ngc":"NGC 4258","type":"s","ra":12.3167,"dec":47.3,"magnitude":8.3,"size":[19,7],"surfaceBrightness":22.2},
+  {"id":"M107","name":"The Crucifix Cluster","messier":107,"caldwell":null,"ngc":"NGC 6171","type":"gc","ra":16.5417,"dec":-13.05,"magnitude":8.1,"size":[10,10],"surfaceBrightness":21.7},
+  {"id":"M108","name":"Surfboard Galaxy","messier":108,"caldwell":null,"ngc":"NGC 3556","type":"s","ra":11.1917,"dec":55.667,"magnitude":10,"size":[9,2],"surfaceBrightness":21.8},
+  {"id":"M109","name":"Vacuum Cleaner Galaxy","messier":109,"caldwell":null,"ngc":"NGC 3992","type":"s","ra":11.96,"dec":53.383,"magnitude":9.8,"size":[8,5],"surfaceBrightness":22.4},
+  {"id":"M110","name":null,"messier":110,"caldwell":null,"ngc":"NGC 205","type":"e","ra":0.6733,"dec":41.683,"magnitude":8,"size":[22,11],"surfaceBrightness":22.6},
+  {"id":"C1","name":"Polarissima Cluster","messier":null,"caldwell":1,"ngc":"NGC 188","type":"oc","ra":0.8072,"dec":85.255,"magnitude":8.1,"size":[15,15],"surfaceBrightness":22.6},
+  {"id":"C2","name":"Bow-Tie Nebula","messier":null,"caldwell":2,"ngc":"NGC 40","type":"pn","ra":0.2169,"dec":72.522,"magnitude":10.7,"size":[0.6,0.6],"surfaceBrightness":18.2},
+  {"id":"C3","name":null,"messier":null,"caldwell":3,"ngc":"NGC 4236","type":"s","ra":12.2784,"dec":69.463,"magnitude":10.5,"size":[21.9,7.2],"surfaceBrightness":24.6},
+  {"id":"C4","name":"Iris Nebula","messier":null,"caldwell":4,"ngc":"NGC 7023","type":"sfr","ra":21.0269,"dec":68.163,"magnitude":6.8,"size":[10,8],"surfaceBrightness":20.2},
+  {"id":"C5","name":"Maffei 1 Group","messier":null,"caldwell":5,"ngc":"IC 342","type":"s","ra":3.7801,"dec":68.096,"magnitude":9.1,"size":[21.4,20.9],"surfaceBrightness":24.4},
+  {"id":"C6","name":"Cat's Eye Nebula","messier":null,"caldwell":6,"ngc":"NGC 6543","type":"pn","ra":17.976,"dec":66.633,"magnitude":8.1,"size":[0.3,0.5],"surfaceBrightness":14.7},
+  {"id":"C7","name":null,"messier":null,"caldwell":7,"ngc":"NGC 2403","type":"s","ra":7.6143,"dec":65.603,"magnitude":8.9,"size":[21.9,12.3],"surfaceBrightness":23.6},
+  {"id":"C8","name":null,"messier":null,"caldwell":8,"ngc":"NGC 559","type":"oc","ra":1.492,"dec":63.302,"magnitude":9.5,"size":[7,7],"surfaceBrightness":22.4},
+  {"id":"C9","name":"Cave Nebula","messier":null,"caldwell":9,"ngc":"Sh2-155","type":"bn","ra":22.9547,"dec":62.476,"magnitude":7.7,"size":[50,30],"surfaceBrightness":24.3},
+  {"id":"C10","name":"Lawnmower Cluster","messier":null,"caldwell":10,"ngc":"NGC 663","type":"oc","ra":1.7691,"dec":61.235,"magnitude":7.1,"size":[15,15],"surfaceBrightness":21.6},
+  {"id":"C11","name":"Bubble Nebula","messier":null,"caldwell":11,"ngc":"NGC 7635","type":"bn","ra":23.3467,"dec":61.202,"magnitude":10,"size":[15,8],"surfaceBrightness":23.8},
+  {"id":"C12","name":"Fireworks Galaxy","messier":null,"caldwell":12,"ngc":"NGC 6946","type":"s","ra":20.5812,"dec":60.154,"magnitude":9.6,"size":[11.5,9.8],"surfaceBrightness":23.4},
+  {"id":"C13","name":"Dragonfly Cluster","messier":null,"caldwell":13,"ngc":"NGC 457","type":"oc","ra":1.3264,"dec":58.287,"magnitude":6.4,"size":[20,20],"surfaceBrightness":21.5},
+  {"id":"C14","name":"Double Cluster","messier":null,"caldwell":14,"ngc":"NGC 869/884","type":"oc","ra":2.3167,"dec":57.128,"magnitude":3.8,"size":[30,30],"surfaceBrightness":19.8},
+  {"id":"C15","name":"Blinking Planetary Nebula","messier":null,"caldwell":15,"ngc":"NGC 6826","type":"pn","ra":19.7467,"dec":50.525,"magnitude":8.8,"size":[0.5,0.4],"surfaceBrightness":15.7},
+  {"id":"C16","name":null,"messier":null,"caldwell":16,"ngc":"NGC 7243","type":"oc","ra":22.2522,"dec":49.898,"magnitude":6.4,"size":[30,30],"surfaceBrightness":22.4},
+  {"id":"C17","name":null,"messier":null,"caldwell":17,"ngc":"NGC 147","type":"sd","ra":0.5534,"dec":48.509,"magnitude":9.5,"size":[13.2,7.8],"surfaceBrightness":23.2},
+  {"id":"C18","name":null,"messier":null,"caldwell":18,"ngc":"NGC 185","type":"sd","ra":0.6494,"dec":48.337,"magnitude":9.2,"size":[11.7,10],"surfaceBrightness":23},
+  {"id":"C19","name":"Cocoon Nebula","messier":null,"caldwell":19,"ngc":"IC 5146","type":"sfr","ra":21.89,"dec":47.267,"magnitude":7.2,"size":[12,12],"surfaceBrightness":21.2},
+  {"id":"C20","name":"North America Nebula","messier":null,"caldwell":20,"ngc":"NGC 7000","type":"bn","ra":20.9797,"dec":44.33,"magnitude":4,"size":[120,100],"surfaceBrightness":22.8},
+  {"id":"C21","name":null,"messier":null,"caldwell":21,"ngc":"NGC 4449","type":"i","ra":12.4698,"dec":44.094,"magnitude":9.4,"size":[6.2,4.4],"surfaceBrightness":21.6},
+  {"id":"C22","name":"Blue Snowball","messier":null,"caldwell":22,"ngc":"NGC 7662","type":"pn","ra":23.4316,"dec":42.535,"magnitude":8.3,"size":[0.6,0.3],"surfaceBrightness":15.1},
+  {"id":"C23","name":null,"messier":null,"caldwell":23,"ngc":"NGC 891","type":"s","ra":2.3758,"dec":42.348,"magnitude":10.1,"size":[13.5,2.5],"surfaceBrightness":22.5},
+  {"id":"C24","name":"Perseus A","messier":null,"caldwell":24,"ngc":"NGC 1275","type":"g","ra":3.33,"dec":41.512,"magnitude":12.5,"size":[2.9,2.4],"surfaceBrightness":23.2},
+  {"id":"C25","name":"Intergalactic Wanderer","messier":null,"caldwell":25,"ngc":"NGC 2419","type":"gc","ra":7.6357,"dec":38.882,"magnitude":9.1,"size":[4.6,4.6],"surfaceBrightness":21},
+  {"id":"C26","name":null,"messier":null,"caldwell":26,"ngc":"NGC 4244","type":"s","ra":12.2916,"dec":37.807,"magnitude":10,"size":[16.6,1.9],"surfaceBrightness":22.4},
+  {"id":"C27","name":"Crescent Nebula","messier":null,"caldwell":27,"ngc":"NGC 6888","type":"en","ra":20.2019,"dec":38.355,"magnitude":7.4,"size":[20,10],"surfaceBrightness":21.8},
+  {"id":"C28","name":null,"messier":null,"caldwell":28,"ngc":"NGC 752","type":"oc","ra":1.9614,"dec":37.785,"magnitude":5.7,"size":[75,75],"surfaceBrightness":23.7},
+  {"id":"C29","name":null,"messier":null,"caldwell":29,"ngc":"NGC 5005","type":"s","ra":13.1823,"dec":37.059,"magnitude":13.7,"size":[3.9,1.6],"surfaceBrightness":24.3},
+  {"id":"C30","name":"Deer Lick Group","messier":null,"caldwell":30,"ngc":"NGC 7331","type":"s","ra":22.6178,"dec":34.416,"magnitude":9.5,"size":[10.5,3.7],"surfaceBrightness":22.1},
+  {"id":"C31","name":"Flaming Star Nebula","messier":null,"caldwell":31,"ngc":"IC 405","type":"en","ra":5.29,"dec":34.38,"magnitude":6,"size":[50,30],"surfaceBrightness":22.6},
+  {"id":"C32","name":"Whale Galaxy","messier":null,"caldwell":32,"ngc":"NGC 4631","type":"s","ra":12.7022,"dec":32.542,"magnitude":9.2,"size":[9.3,2.8],"surfaceBrightness":21.4},
+  {"id":"C33","name":"East Veil Nebula","messier":null,"caldwell":33,"ngc":"NGC 6992","type":"snr","ra":20.9386,"dec":31.743,"magnitude":7,"size":[230,160],"surfaceBrightness":27},
+  {"id":"C34","name":"Filamentary Nebula","messier":null,"caldwell":34,"ngc":"NGC 6960","type":"snr","ra":20.7606,"dec":30.708,"magnitude":7,"size":[210,160],"surfaceBrightness":26.9},
+  {"id":"C35","name":"Coma B","messier":null,"caldwell":35,"ngc":"NGC 4889","type":"e","ra":13.0022,"dec":27.977,"magnitude":11.3,"size":[2.7,1.8],"surfaceBrightness":21.6},
+  {"id":"C36","name":null,"messier":null,"caldwell":36,"ngc":"NGC 4559","type":"s","ra":12.5993,"dec":27.96,"magnitude":10,"size":[10.7,4.4],"surfaceBrightness":22.8},
+  {"id":"C37","name":"20 Vulpeculae Cluster","messier":null,"caldwell":37,"ngc":"NGC 6885","type":"oc","ra":20.2003,"dec":26.478,"magnitude":8.1,"size":[20,20],"surfaceBrightness":23.2},
+  {"id":"C38","name":"Needle Galaxy","messier":null,"caldwell":38,"ngc":"NGC 4565","type":"s","ra":12.6058,"dec":25.9878,"magnitude":9.6,"size":[15.9,1.9],"surfaceBrightness":21.9},
+  {"id":"C39","name":"Eskimo Nebula","messier":null,"caldwell":39,"ngc":"NGC 2392","type":"pn","ra":7.4863,"dec":20.912,"magnitude":9.7,"size":[0.8,0.7],"surfaceBrightness":17.7},
+  {"id":"C40","name":null,"messier":null,"caldwell":40,"ngc":"NGC 3626","type":"s","ra":11.3344,"dec":18.357,"magnitude":11.2,"size":[2.2,1.2],"surfaceBrightness":20.9},
+  {"id":"C41","name":"Hyades","messier":null,"caldwell":41,"ngc":"Mel 25","type":"oc","ra":4.45,"dec":15.867,"magnitude":0.5,"size":[330,330],"surfaceBrightness":21.7},
+  {"id":"C42","name":null,"messier":null,"caldwell":42,"ngc":"NGC 7006","type":"gc","ra":21.0249,"dec":16.188,"magnitude":10.5,"size":[1.5,1.5],"surfaceBrightness":20},
+  {"id":"C43","name":"The Little Sombrero Galaxy","messier":null,"caldwell":43,"ngc":"NGC 7814","type":"s","ra":0.0542,"dec":16.145,"magnitude":11.6,"size":[5.5,2.3],"surfaceBrightness":23},
+  {"id":"C44","name":"Superman Galaxy","messier":null,"caldwell":44,"ngc":"NGC 7479","type":"s","ra":23.0824,"dec":12.323,"magnitude":10.8,"size":[4.1,3.1],"surfaceBrightness":22.2},
+  {"id":"C45","name":null,"messier":null,"caldwell":45,"ngc":"NGC 5248","type":"s","ra":13.6256,"dec":8.885,"magnitude":11,"size":[6.2,4.5],"surfaceBrightness":23.2},
+  {"id":"C46","name":"Hubble's Variable Nebula","messier":null,"caldwell":46,"ngc":"NGC 2261","type":"rn","ra":6.6528,"dec":8.736,"magnitude":9,"size":[2,1],"surfaceBrightness":18.4},
+  {"id":"C47","name":null,"messier":null,"caldwell":47,"ngc":"NGC 6934","type":"gc","ra":20.5698,"dec":7.404,"magnitude":8.8,"size":[8.4,8.4],"surfaceBrightness":22},
+  {"id":"C48","name":null,"messier":null,"caldwell":48,"ngc":"NGC 2775","type":"s","ra":9.1723,"dec":7.038,"magnitude":10.5,"size":[4.3,3.3],"surfaceBrightness":22},
+  {"id":"C49","name":"Rosette Nebula","messier":null,"caldwell":49,"ngc":"NGC 2237","type":"bn","ra":6.508,"dec":5.05,"magnitude":9,"size":[80,60],"surfaceBrightness":26.8},
+  {"id":"C50","name":"Rosette Nebula","messier":null,"caldwell":50,"ngc":"NGC 2244","type":"oc","ra":6.5319,"dec":4.942,"magnitude":4.8,"size":[24,24],"surfaceBrightness":20.3},
+  {"id":"C51","name":null,"messier":null,"caldwell":51,"ngc":"IC 1613","type":"i","ra":1.0799,"dec":2.118,"magnitude":9.2,"size":[16.2,14.5],"surfaceBrightness":23.8},
+  {"id":"C52","name":null,"messier":null,"caldwell":52,"ngc":"NGC 4697","type":"e","ra":12.81,"dec":-5.801,"magnitude":11,"size":[4.4,2.8],"surfaceBrightness":22.4},
+  {"id":"C53","name":"Spindle Galaxy","messier":null,"caldwell":53,"ngc":"NGC 3115","type":"s0","ra":10.0872,"dec":-7.719,"magnitude":9.9,"size":[7.2,2.5],"surfaceBrightness":21.7},
+  {"id":"C54","name":null,"messier":null,"caldwell":54,"ngc":"NGC 2506","type":"oc","ra":8.0003,"dec":-10.77,"magnitude":7.6,"size":[12,12],"surfaceBrightness":21.6},
+  {"id":"C55","name":"Saturn Nebula","messier":null,"caldwell":55,"ngc":"NGC 7009","type":"pn","ra":21.0697,"dec":-11.363,"magnitude":8,"size":[0.7,0.6],"surfaceBrightness":15.7},
+  {"id":"C56","name":"Skull Nebula","messier":null,"caldwell":56,"ngc":"NGC 246","type":"pn","ra":0.7843,"dec":-11.872,"magnitude":11.8,"size":[3.7,3.7],"surfaceBrightness":23.3},
+  {"id":"C57","name":"Barnard's Galaxy","messier":null,"caldwell":57,"ngc":"NGC 6822","type":"i","ra":19.7489,"dec":-14.798,"magnitude":8.1,"size":[15.5,13.5],"surfaceBrightness":22.5},
+  {"id":"C58","name":"Caroline's Cluster","messier":null,"caldwell":58,"ngc":"NGC 2360","type":"oc","ra":7.2953,"dec":-15.642,"magnitude":7.2,"size":[14,14],"surfaceBrightness":21.6},
+  {"id":"C59","name":"Ghost of Jupiter Nebula","messier":null,"caldwell":59,"ngc":"NGC 3242","type":"pn","ra":10.4128,"dec":-18.642,"magnitude":8.6,"size":[0.4,0.6],"surfaceBrightness":15.7},
+  {"id":"C60","name":"Antennae","messier":null,"caldwell":60,"ngc":"NGC 4038","type":"i","ra":12.0314,"dec":-18.868,"magnitude":10.9,"size":[5.2,3.1],"surfaceBrightness":22.5},
+  {"id":"C61","name":"Antennae","messier":null,"caldwell":61,"ngc":"NGC 4039","type":"i","ra":12.0316,"dec":-18.886,"magnitude":11.1,"size":[3.1,1.6],"surfaceBrightness":21.5},
+  {"id":"C62","name":"Burbidge Chain","messier":null,"caldwell":62,"ngc":"NGC 247","type":"s","ra":0.7857,"dec":-20.76,"magnitude":9.1,"size":[21.4,6.9],"surfaceBrightness":23.2},
+  {"id":"C63","name":"Helix Nebula","messier":null,"caldwell":63,"ngc":"NGC 7293","type":"pn","ra":22.494,"dec":-20.837,"magnitude":7.6,"size":[25,13.4],"surfaceBrightness":22.5},
+  {"id":"C64","name":"τ CMa Cluster","messier":null,"caldwell":64,"ngc":"NGC 2362","type":"oc","ra":7.3114,"dec":-24.955,"magnitude":4.1,"size":[8,8],"surfaceBrightness":17.2},
+  {"id":"C65","name":"Sculptor Galaxy","messier":null,"caldwell":65,"ngc":"NGC 253","type":"s","ra":0.7925,"dec":-25.289,"magnitude":8,"size":[27.5,6.8],"surfaceBrightness":22.3},
+  {"id":"C66","name":null,"messier":null,"caldwell":66,"ngc":"NGC 5694","type":"gc","ra":14.6601,"dec":-26.538,"magnitude":10.9,"size":[4,4],"surfaceBrightness":22.5},
+  {"id":"C67","name":null,"messier":null,"caldwell":67,"ngc":"NGC 1097","type":"g","ra":2.772,"dec":-30.275,"magnitude":9.5,"size":[6,3.3],"surfaceBrightness":21.4},
+  {"id":"C68","name":"R CrA Nebula","messier":null,"caldwell":68,"ngc":"NGC 6729","type":"bn","ra":19.0296,"dec":-36.961,"magnitude":null,"size":[25,20],"surfaceBrightness":null},
+  {"id":"C69","name":"Bug Nebula","messier":null,"caldwell":69,"ngc":"NGC 6302","type":"pn","ra":17.2289,"dec":-37.104,"magnitude":7.1,"size":[1.5,0.7],"surfaceBrightness":15.8},
+  {"id":"C70","name":"Southern Pinwheel Galaxy","messier":null,"caldwell":70,"ngc":"NGC 300","type":"s","ra":0.9149,"dec":-37.684,"magnitude":8.1,"size":[21.9,15.5],"surfaceBrightness":23.1},
+  {"id":"C71","name":"Electric Guitar Cluster","messier":null,"caldwell":71,"ngc":"NGC 2477","type":"oc","ra":7.8695,"dec":-38.53,"magnitude":5.8,"size":[27,27],"surfaceBrightness":21.6},
+  {"id":"C72","name":"String of Pearls","messier":null,"caldwell":72,"ngc":"NGC 55","type":"s","ra":0.2482,"dec":-39.197,"magnitude":7.9,"size":[32.4,5.6],"surfaceBrightness":22.2},
+  {"id":"C73","name":null,"messier":null,"caldwell":73,"ngc":"NGC 1851","type":"gc","ra":5.2352,"dec":-40.047,"magnitude":7.2,"size":[12,12],"surfaceBrightness":21.2},
+  {"id":"C74","name":"Eight-Burst Planetary Nebula","messier":null,"caldwell":74,"ngc":"NGC 3132","type":"pn","ra":10.1172,"dec":-40.436,"magnitude":10,"size":[1,0.7],"surfaceBrightness":18.2},
+  {"id":"C75","name":null,"messier":null,"caldwell":75,"ngc":"NGC 6124","type":"oc","ra":16.4222,"dec":-40.653,"magnitude":5.8,"size":[29,29],"surfaceBrightness":21.7},
+  {"id":"C76","name":"False Comet Nebula","messier":null,"caldwell":76,"ngc":"NGC 6231","type":"oc","ra":16.9024,"dec":-41.827,"magnitude":2.6,"size":[15,15],"surfaceBrightness":17.1},
+  {"id":"C77","name":"Centaurus A","messier":null,"caldwell":77,"ngc":"NGC 5128","type":"s0","ra":13.4243,"dec":-43.019,"magnitude":6.8,"size":[25.7,20],"surfaceBrightness":22.2},
+  {"id":"C78","name":"Cacciatore Cluster","messier":null,"caldwell":78,"ngc":"NGC 6541","type":"gc","ra":18.134,"dec":-43.715,"magnitude":7.3,"size":[15,15],"surfaceBrightness":21.8},
+  {"id":"C79","name":null,"messier":null,"caldwell":79,"ngc":"NGC 3201","type":"gc","ra":10.2936,"dec":-46.412,"magnitude":8.2,"size":[18.2,18.2],"surfaceBrightness":23.1},
+  {"id":"C80","name":"ω Cen Cluster","messier":null,"caldwell":80,"ngc":"NGC 5139","type":"gc","ra":13.4465,"dec":-47.479,"magnitude":5.3,"size":[55,55],"surfaceBrightness":22.6},
+  {"id":"C81","name":null,"messier":null,"caldwell":81,"ngc":"NGC 6352","type":"gc","ra":17.4248,"dec":-48.422,"magnitude":8.9,"size":[7.1,7.1],"surfaceBrightness":21.8},
+  {"id":"C82","name":null,"messier":null,"caldwell":82,"ngc":"NGC 6193","type":"oc","ra":16.6889,"dec":-48.763,"magnitude":5.2,"size":[15,15],"surfaceBrightness":19.7},
+  {"id":"C83","name":"The Tweezers Galaxy","messier":null,"caldwell":83,"ngc":"NGC 4945","type":"s","ra":13.0909,"dec":-49.468,"magnitude":9.3,"size":[20,3.8],"surfaceBrightness":22.6},
+  {"id":"C84","name":null,"messier":null,"caldwell":84,"ngc":"NGC 5286","type":"gc","ra":13.7741,"dec":-51.374,"magnitude":8.3,"size":[11,11],"surfaceBrightness":22.1},
+  {"id":"C85","name":"ο Vel Cluster","messier":null,"caldwell":85,"ngc":"IC 2391","type":"oc","ra":8.6755,"dec":-53.033,"magnitude":2.5,"size":[60,60],"surfaceBrightness":20},
+  {"id":"C86","name":null,"messier":null,"caldwell":86,"ngc":"NGC 6397","type":"gc","ra":17.6784,"dec":-53.674,"magnitude":5.2,"size":[32,32],"surfaceBrightness":21.4},
+  {"id":"C87","name":null,"messier":null,"caldwell":87,"ngc":"NGC 1261","type":"gc","ra":3.2045,"dec":-55.216,"magnitude":8.6,"size":[12.9,12.9],"surfaceBrightness":22.8},
+  {"id":"C88","name":null,"messier":null,"caldwell":88,"ngc":"NGC 5823","type":"oc","ra":15.092,"dec":-55.595,"magnitude":7.9,"size":[12,12],"surfaceBrightness":21.9},
+  {"id":"C89","name":"S Nor Cluster","messier":null,"caldwell":89,"ngc":"NGC 6087","type":"oc","ra":16.3139,"dec":-57.935,"magnitude":5.4,"size":[15,15],"surfaceBrightness":19.9},
+  {"id":"C90","name":null,"messier":null,"caldwell":90,"ngc":"NGC 2867","type":"pn","ra":9.357,"dec":-58.311,"magnitude":10,"size":[0.2,0.3],"surfaceBrightness":15.6},
+  {"id":"C91","name":"Wishing Well Cluster","messier":null,"caldwell":91,"ngc":"NGC 3532","type":"oc","ra":11.0942,"dec":-58.753,"magnitude":3,"size":[50,50],"surfaceBrightness":20.1},
+  {"id":"C92","name":"η Car Nebula","messier":null,"caldwell":92,"ngc":"NGC 3372","type":"bn","ra":10.7386,"dec":-59.889,"magnitude":1,"size":[120,120],"surfaceBrightness":20},
+  {"id":"C93","name":"Pavo Globular Cluster","messier":null,"caldwell":93,"ngc":"NGC 6752","type":"gc","ra":19.1811,"dec":-59.985,"magnitude":6.3,"size":[20.4,20.4],"surfaceBrightness":21.5},
+  {"id":"C94","name":"Jewel Box","messier":null,"caldwell":94,"ngc":"NGC 4755","type":"oc","ra":12.8941,"dec":-60.362,"magnitude":4.2,"size":[10,10],"surfaceBrightness":17.8},
+  {"id":"C95","name":null,"messier":null,"caldwell":95,"ngc":"NGC 6025","type":"oc","ra":16.0547,"dec":-60.432,"magnitude":5.1,"size":[15,15],"surfaceBrightness":19.6},
+  {"id":"C96","name":"Diamond Cluster","messier":null,"caldwell":96,"ngc":"NGC 2516","type":"oc","ra":7.9678,"dec":-60.753,"magnitude":3.8,"size":[22,22],"surfaceBrightness":19.1},
+  {"id":"C97","name":"Pearl Cluster","messier":null,"caldwell":97,"ngc":"NGC 3766","type":"oc","ra":11.605,"dec":-61.615,"magnitude":5.3,"size":[15,15],"surfaceBrightness":19.8},
+  {"id":"C98","name":"Coalsack Cluster","messier":null,"caldwell":98,"ngc":"NGC 4609","type":"oc","ra":12.705,"dec":-62.995,"magnitude":6.9,"size":[6,6],"surfaceBrightness":19.4},
+  {"id":"C99","name":"Coalsack Nebula","messier":null,"caldwell":99,"ngc":null,"type":"dn","ra":12.8333,"dec":-62.5,"magnitude":null,"size":[430,300],"surfaceBrightness":null},
+  {"id":"C100","name":"Running Chicken Nebula","messier":null,"caldwell":100,"ngc":"IC 2944","type":"bn","ra":11.639,"dec":-63.373,"magnitude":4.5,"size":[40,20],"surfaceBrightness":20.4},
+  {"id":"C101","name":null,"messier":null,"caldwell":101,"ngc":"NGC 6744","type":"s","ra":19.1628,"dec":-63.858,"magnitude":8.3,"size":[20,12.9],"surfaceBrightness":23},
+  {"id":"C102","name":"Southern Pleiades","messier":null,"caldwell":102,"ngc":"IC 2602","type":"oc","ra":10.7161,"dec":-64.4,"magnitude":1.9,"size":[100,100],"surfaceBrightness":20.5},
+  {"id":"C103","name":"Tarantula Nebula","messier":null,"caldwell":103,"ngc":"NGC 2070","type":"sfr","ra":5.645,"dec":-69.1,"magnitude":7.3,"size":[30,20],"surfaceBrightness":22.9},
+  {"id":"C104","name":null,"messier":null,"caldwell":104,"ngc":"NGC 362","type":"gc","ra":1.054,"dec":-70.849,"magnitude":6.6,"size":[12.9,12.9],"surfaceBrightness":20.8},
+  {"id":"C105","name":"The Southern Butterfly","messier":null,"caldwell":105,"ngc":"NGC 4833","type":"gc","ra":12.9928,"dec":-70.876,"magnitude":7.8,"size":[13.5,13.5],"surfaceBrightness":22.1},
+  {"id":"C106","name":"47 Tuc","messier":null,"caldwell":106,"ngc":"NGC 104","type":"gc","ra":0.4015,"dec":-72.081,"magnitude":4.1,"size":[30.9,12.4],"surfaceBrightness":19.2},
+  {"id":"C107","name":null,"messier":null,"caldwell":107,"ngc":"NGC 6101","type":"gc","ra":16.43,"dec":-72.202,"magnitude":10.1,"size":[10.7,10.7],"surfaceBrightness":23.9},
+  {"id":"C108","name":null,"messier":null,"caldwell":108,"ngc":"NGC 4372","type":"gc","ra":12.4293,"dec":-72.659,"magnitude":9.8,"size":[5,5],"surfaceBrightness":21.9},
+  {"id":"C109","name":null,"messier":null,"caldwell":109,"ngc":"NGC 3195","type":"pn","ra":10.1558,"dec":-80.859,"magnitude":11.6,"size":[0.7,0.6],"surfaceBrightness":19.3},
+  {"id":"NGC129","name":null,"messier":null,"caldwell":null,"ngc":"NGC 129","type":"oc","ra":0.5,"dec":60.218,"magnitude":6.5,"size":[21,21],"surfaceBrightness":21.7},
+  {"id":"NGC189","name":null,"messier":null,"caldwell":null,"ngc":"NGC 189","type":"oc","ra":0.658,"dec":61.115,"magnitude":8.8,"size":[5,5],"surfaceBrightness":20.9},
+  {"id":"NGC225","name":"Sailboat Cluster","messier":null,"caldwell":null,"ngc":"NGC 225","type":"oc","ra":0.7275,"dec":61.775,"magnitude":7,"size":[12,12],"surfaceBrightness":21},
+  {"id":"NGC288","name":null,"messier":null,"caldwell":null,"ngc":"NGC 288","type":"gc","ra":0.8792,"dec":-26.583,"magnitude":8.1,"size":[12,12],"surfaceBrightness":22.1},
+  {"id":"NGC292","name":"Small Magellanic Cloud","messier":null,"caldwell":null,"ngc":"NGC 292","type":"i","ra":0.8772,"dec":-72.8,"magnitude":2.2,"size":[309,204.1],"surfaceBrightness":22.8},
+  {"id":"NGC436","name":null,"messier":null,"caldwell":null,"ngc":"NGC 436","type":"oc","ra":1.2661,"dec":58.812,"magnitude":8.8,"size":[4,4],"surfaceBrightness":20.4},
+  {"id":"NGC637","name":null,"messier":null,"caldwell":null,"ngc":"NGC 637","type":"oc","ra":1.7178,"dec":64.04,"magnitude":8.2,"size":[3.5,3.5],"surfaceBrightness":19.5},
+  {"id":"NGC654","name":"Fuzzy Butterfly Cluster","messier":null,"caldwell":null,"ngc":"NGC 654","type":"oc","ra":1.7333,"dec":61.885,"magnitude":6.5,"size":[5,5],"surfaceBrightness":18.6},
+  {"id":"NGC659","name":"Yin-Yang Cluster","messier":null,"caldwell":null,"ngc":"NGC 659","type":"oc","ra":1.74,"dec":60.67,"magnitude":7.9,"size":[5,5],"surfaceBrightness":20},
+  {"id":"NGC744","name":null,"messier":null,"caldwell":null,"ngc":"NGC 744","type":"oc","ra":1.9767,"dec":55.47,"magnitude":7.9,"size":[11,11],"surfaceBrightness":21.7},
+  {"id":"NGC884","name":"χ Persei","messier":null,"caldwell":null,"ngc":"NGC 884","type":"oc","ra":2.3731,"dec":57.125,"magnitude":3.8,"size":[30,30],"surfaceBrightness":19.8},
+  {"id":"NGC956","name":null,"messier":null,"caldwell":null,"ngc":"NGC 956","type":"oc","ra":2.5375,"dec":44.563,"magnitude":8.9,"size":[7,7],"surfaceBrightness":21.8},
+  {"id":"NGC957","name":null,"messier":null,"caldwell":null,"ngc":"NGC 957","type":"oc","ra":2.5559,"dec":57.56,"magnitude":7.6,"size":[11,11],"surfaceBrightness":21.4},
+  {"id":"NGC1027","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1027","type":"oc","ra":2.7119,"dec":61.633,"magnitude":6.7,"size":[18,18],"surfaceBrightness":21.6},
+  {"id":"NGC1245","name":"Patrick Starfish Cluster","messier":null,"caldwell":null,"ngc":"NGC 1245","type":"oc","ra":3.2467,"dec":47.253,"magnitude":8.4,"size":[30,30],"surfaceBrightness":24.4},
+  {"id":"NGC1269","name":"Snow Collar Galaxy","messier":null,"caldwell":null,"ngc":"NGC 1269","type":"s","ra":3.2885,"dec":-41.108,"magnitude":8.5,"size":[5.2,3.7],"surfaceBrightness":20.3},
+  {"id":"NGC1316","name":"Fornax A","messier":null,"caldwell":null,"ngc":"NGC 1316","type":"i","ra":3.3783,"dec":-37.208,"magnitude":8.5,"size":[5.4,3.9],"surfaceBrightness":20.4},
+  {"id":"NGC1342","name":"Little Scorpion Cluster","messier":null,"caldwell":null,"ngc":"NGC 1342","type":"oc","ra":3.5272,"dec":37.377,"magnitude":6.7,"size":[15,15],"surfaceBrightness":21.2},
+  {"id":"NGC1432","name":"Maia Nebula","messier":null,"caldwell":null,"ngc":"NGC 1432","type":"bn","ra":3.7667,"dec":24.2,"magnitude":3.9,"size":[60,40],"surfaceBrightness":21},
+  {"id":"NGC1435","name":"Merope Nebula","messier":null,"caldwell":null,"ngc":"NGC 1435","type":"rn","ra":3.7667,"dec":23.9,"magnitude":4.2,"size":[30,30],"surfaceBrightness":20.2},
+  {"id":"NGC1444","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1444","type":"oc","ra":3.8233,"dec":52.64,"magnitude":6.6,"size":[4,4],"surfaceBrightness":18.2},
+  {"id":"NGC1502","name":"Jolly Roger Cluster","messier":null,"caldwell":null,"ngc":"NGC 1502","type":"oc","ra":4.1305,"dec":62.332,"magnitude":6.9,"size":[7,7],"surfaceBrightness":19.8},
+  {"id":"NGC1513","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1513","type":"oc","ra":4.1767,"dec":49.52,"magnitude":8.4,"size":[9,9],"surfaceBrightness":21.8},
+  {"id":"NGC1528","name":"m & m Double Cluster","messier":null,"caldwell":null,"ngc":"NGC 1528","type":"oc","ra":4.2564,"dec":51.215,"magnitude":6.4,"size":[25,25],"surfaceBrightness":22},
+  {"id":"NGC1545","name":"m & m Double Cluster","messier":null,"caldwell":null,"ngc":"NGC 1545","type":"oc","ra":4.3491,"dec":50.253,"magnitude":6.2,"size":[18,18],"surfaceBrightness":21.1},
+  {"id":"NGC1555","name":"Hind's Variable Nebula","messier":null,"caldwell":null,"ngc":"NGC 1555","type":"bn","ra":4.3659,"dec":19.535,"magnitude":6.5,"size":[1,1],"surfaceBrightness":15.1},
+  {"id":"NGC1579","name":"Northern Trifid Nebula","messier":null,"caldwell":null,"ngc":"NGC 1579","type":"bn","ra":4.5031,"dec":35.279,"magnitude":8.5,"size":[3,3],"surfaceBrightness":19.5},
+  {"id":"NGC1582","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1582","type":"oc","ra":4.5376,"dec":43.845,"magnitude":7,"size":[37,37],"surfaceBrightness":23.5},
+  {"id":"NGC1600","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1600","type":"e","ra":4.5277,"dec":-5.086,"magnitude":8.9,"size":[2.7,1.6],"surfaceBrightness":19.1},
+  {"id":"NGC1647","name":"Pirate Moon Cluster","messier":null,"caldwell":null,"ngc":"NGC 1647","type":"oc","ra":4.7653,"dec":19.115,"magnitude":6.4,"size":[40,40],"surfaceBrightness":23},
+  {"id":"NGC1662","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1662","type":"oc","ra":4.8075,"dec":10.937,"magnitude":6.4,"size":[20,20],"surfaceBrightness":21.5},
+  {"id":"NGC1664","name":"4-H cluster","messier":null,"caldwell":null,"ngc":"NGC 1664","type":"oc","ra":4.8517,"dec":43.675,"magnitude":7.6,"size":[15,15],"surfaceBrightness":22.1},
+  {"id":"NGC1746","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1746","type":"oc","ra":5.0639,"dec":23.77,"magnitude":6.1,"size":[45,45],"surfaceBrightness":23},
+  {"id":"NGC1778","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1778","type":"oc","ra":5.1345,"dec":37.023,"magnitude":7.7,"size":[6,6],"surfaceBrightness":20.2},
+  {"id":"NGC1807","name":"Poor Man's Double Cluster","messier":null,"caldwell":null,"ngc":"NGC 1807","type":"oc","ra":5.1802,"dec":16.522,"magnitude":7,"size":[17,17],"surfaceBrightness":21.8},
+  {"id":"NGC1817","name":"Poor Man's Double Cluster","messier":null,"caldwell":null,"ngc":"NGC 1817","type":"oc","ra":5.2042,"dec":16.69,"magnitude":7.7,"size":[16,16],"surfaceBrightness":22.3},
+  {"id":"NGC1850","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1850","type":"oc","ra":5.1461,"dec":-68.761,"magnitude":9,"size":[3,3],"surfaceBrightness":20},
+  {"id":"NGC1857","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1857","type":"oc","ra":5.3343,"dec":39.29,"magnitude":7,"size":[9,9],"surfaceBrightness":20.4},
+  {"id":"NGC1893","name":"Letter Y Cluster","messier":null,"caldwell":null,"ngc":"NGC 1893","type":"oc","ra":5.3789,"dec":33.412,"magnitude":7.5,"size":[12,12],"surfaceBrightness":21.5},
+  {"id":"NGC1907","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1907","type":"oc","ra":5.4681,"dec":35.325,"magnitude":8.2,"size":[5,5],"surfaceBrightness":20.3},
+  {"id":"NGC1909","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1909","type":"rn","ra":5.0333,"dec":-7.9,"magnitude":8,"size":[180,60],"surfaceBrightness":26.7},
+  {"id":"NGC1955","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1955","type":"oc","ra":5.4367,"dec":-67.498,"magnitude":8.9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC1968","name":null,"messier":null,"caldwell":null,"ngc":"NGC 1968","type":"oc","ra":5.4564,"dec":-67.472,"magnitude":8.2,"size":null,"surfaceBrightness":null},
+  {"id":"NGC1980","name":"The Lost Jewel of Orion","messier":null,"caldwell":null,"ngc":"NGC 1980","type":"oc","ra":5.59,"dec":-5.915,"magnitude":2.5,"size":[240,180],"surfaceBrightness":22.7},
+  {"id":"NGC1981","name":"Coal Car Cluster","messier":null,"caldwell":null,"ngc":"NGC 1981","type":"oc","ra":5.5858,"dec":-4.432,"magnitude":4.2,"size":[25,25],"surfaceBrightness":19.8},
+  {"id":"NGC2014","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2014","type":"oc","ra":5.54,"dec":-67.688,"magnitude":9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2023","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2023","type":"rn","ra":5.6939,"dec":-2.264,"magnitude":7.8,"size":[10,8],"surfaceBrightness":21.2},
+  {"id":"NGC2055","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2055","type":"oc","ra":5.6122,"dec":-69.498,"magnitude":8.4,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2129","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2129","type":"oc","ra":6.0186,"dec":23.322,"magnitude":6.7,"size":[6,6],"surfaceBrightness":19.2},
+  {"id":"NGC2158","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2158","type":"oc","ra":6.1236,"dec":24.097,"magnitude":8.6,"size":[4,4],"surfaceBrightness":20.2},
+  {"id":"NGC2169","name":"The 37 Cluster","messier":null,"caldwell":null,"ngc":"NGC 2169","type":"oc","ra":6.14,"dec":13.99,"magnitude":5.9,"size":[6,6],"surfaceBrightness":18.4},
+  {"id":"NGC2175","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2175","type":"oc","ra":6.1609,"dec":20.487,"magnitude":6.8,"size":[40,30],"surfaceBrightness":23.1},
+  {"id":"NGC2180","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2180","type":"oc","ra":6.1633,"dec":4.807,"magnitude":9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2182","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2182","type":"rn","ra":6.1583,"dec":-6.328,"magnitude":9,"size":[3,2],"surfaceBrightness":19.6},
+  {"id":"NGC2186","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2186","type":"oc","ra":6.2019,"dec":5.458,"magnitude":8.7,"size":[4,4],"surfaceBrightness":20.3},
+  {"id":"NGC2194","name":"Intergalactic Wanderer","messier":null,"caldwell":null,"ngc":"NGC 2194","type":"oc","ra":6.2295,"dec":12.818,"magnitude":8.5,"size":[5,5],"surfaceBrightness":20.6},
+  {"id":"NGC2204","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2204","type":"oc","ra":6.2591,"dec":-18.665,"magnitude":8.6,"size":[9,9],"surfaceBrightness":22},
+  {"id":"NGC2215","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2215","type":"oc","ra":6.3469,"dec":-7.283,"magnitude":8.4,"size":[8,8],"surfaceBrightness":21.5},
+  {"id":"NGC2232","name":"Double Wedge Cluster","messier":null,"caldwell":null,"ngc":"NGC 2232","type":"oc","ra":6.4542,"dec":-4.758,"magnitude":3.9,"size":[29,29],"surfaceBrightness":19.8},
+  {"id":"NGC2236","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2236","type":"oc","ra":6.4945,"dec":6.817,"magnitude":8.5,"size":[6,6],"surfaceBrightness":21},
+  {"id":"NGC2247","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2247","type":"rn","ra":6.5512,"dec":10.322,"magnitude":8.5,"size":[2,2],"surfaceBrightness":18.6},
+  {"id":"NGC2250","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2250","type":"oc","ra":6.5615,"dec":-5.08,"magnitude":8.9,"size":[7,7],"surfaceBrightness":21.8},
+  {"id":"NGC2251","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2251","type":"oc","ra":6.5772,"dec":8.367,"magnitude":7.3,"size":[10,10],"surfaceBrightness":20.9},
+  {"id":"NGC2252","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2252","type":"oc","ra":6.5836,"dec":5.42,"magnitude":7.7,"size":[20,20],"surfaceBrightness":22.8},
+  {"id":"NGC2264","name":"Fox Fur Nebula","messier":null,"caldwell":null,"ngc":"NGC 2264","type":"oc","ra":6.6828,"dec":9.895,"magnitude":3.9,"size":[10,7],"surfaceBrightness":17.1},
+  {"id":"NGC2281","name":"Broken Heart Cluster","messier":null,"caldwell":null,"ngc":"NGC 2281","type":"oc","ra":6.8047,"dec":41.078,"magnitude":5.4,"size":[15,15],"surfaceBrightness":19.9},
+  {"id":"NGC2286","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2286","type":"oc","ra":6.7942,"dec":-3.155,"magnitude":7.5,"size":[14,14],"surfaceBrightness":21.9},
+  {"id":"NGC2298","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2298","type":"gc","ra":6.8165,"dec":-36.005,"magnitude":8.9,"size":[2,2],"surfaceBrightness":19},
+  {"id":"NGC2301","name":"Hagrid's Dragon Cluster","messier":null,"caldwell":null,"ngc":"NGC 2301","type":"oc","ra":6.8625,"dec":0.46,"magnitude":6,"size":[15,15],"surfaceBrightness":20.5},
+  {"id":"NGC2302","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2302","type":"oc","ra":6.8647,"dec":-7.08,"magnitude":8.9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2324","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2324","type":"oc","ra":7.0686,"dec":1.045,"magnitude":8.4,"size":[9,9],"surfaceBrightness":21.8},
+  {"id":"NGC2331","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2331","type":"oc","ra":7.112,"dec":27.255,"magnitude":8.5,"size":[18,18],"surfaceBrightness":23.4},
+  {"id":"NGC2335","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2335","type":"oc","ra":7.1136,"dec":-10.028,"magnitude":7.2,"size":[10,10],"surfaceBrightness":20.8},
+  {"id":"NGC2343","name":"Doublemint Cluster","messier":null,"caldwell":null,"ngc":"NGC 2343","type":"oc","ra":7.135,"dec":-10.617,"magnitude":6.7,"size":[6,6],"surfaceBrightness":19.2},
+  {"id":"NGC2345","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2345","type":"oc","ra":7.1383,"dec":-13.193,"magnitude":7.7,"size":[10,10],"surfaceBrightness":21.3},
+  {"id":"NGC2353","name":"Avery's Island","messier":null,"caldwell":null,"ngc":"NGC 2353","type":"oc","ra":7.2417,"dec":-10.267,"magnitude":7.1,"size":[20,20],"surfaceBrightness":22.2},
+  {"id":"NGC2354","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2354","type":"oc","ra":7.2361,"dec":-25.69,"magnitude":6.5,"size":[20,20],"surfaceBrightness":21.6},
+  {"id":"NGC2367","name":"Charlie Brown's Christmas Tree","messier":null,"caldwell":null,"ngc":"NGC 2367","type":"oc","ra":7.335,"dec":-21.882,"magnitude":7.9,"size":[3.5,3.5],"surfaceBrightness":19.2},
+  {"id":"NGC2374","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2374","type":"oc","ra":7.3989,"dec":-13.263,"magnitude":8,"size":[19,19],"surfaceBrightness":23},
+  {"id":"NGC2383","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2383","type":"oc","ra":7.4111,"dec":-20.948,"magnitude":8.4,"size":[5,5],"surfaceBrightness":20.5},
+  {"id":"NGC2384","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2384","type":"oc","ra":7.4195,"dec":-21.022,"magnitude":7.4,"size":[2.5,2.5],"surfaceBrightness":18},
+  {"id":"NGC2395","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2395","type":"oc","ra":7.4516,"dec":13.584,"magnitude":8,"size":[12,12],"surfaceBrightness":22},
+  {"id":"NGC2396","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2396","type":"oc","ra":7.4667,"dec":-11.717,"magnitude":7.4,"size":[10,10],"surfaceBrightness":21},
+  {"id":"NGC2409","name":"Firsse 213","messier":null,"caldwell":null,"ngc":"NGC 2409","type":"sfr","ra":7.5269,"dec":-17.193,"magnitude":7.3,"size":[17,15],"surfaceBrightness":21.9},
+  {"id":"NGC2414","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2414","type":"oc","ra":7.5533,"dec":-15.453,"magnitude":7.9,"size":[4,4],"surfaceBrightness":19.5},
+  {"id":"NGC2420","name":"Twinkling Comet Cluster","messier":null,"caldwell":null,"ngc":"NGC 2420","type":"oc","ra":7.6397,"dec":21.573,"magnitude":8.3,"size":[7,7],"surfaceBrightness":21.2},
+  {"id":"NGC2421","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2421","type":"oc","ra":7.6033,"dec":-20.62,"magnitude":8.3,"size":[8,8],"surfaceBrightness":21.4},
+  {"id":"NGC2423","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2423","type":"oc","ra":7.6183,"dec":-13.872,"magnitude":6.7,"size":[20,20],"surfaceBrightness":21.8},
+  {"id":"NGC2439","name":"Bold Arrow Cluster","messier":null,"caldwell":null,"ngc":"NGC 2439","type":"oc","ra":7.6792,"dec":-31.693,"magnitude":6.9,"size":[9,9],"surfaceBrightness":20.3},
+  {"id":"NGC2451","name":"Stinging Scorpion Cluster","messier":null,"caldwell":null,"ngc":"NGC 2451","type":"oc","ra":7.7567,"dec":-37.97,"magnitude":2.8,"size":[45,45],"surfaceBrightness":19.7},
+  {"id":"NGC2453","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2453","type":"oc","ra":7.7935,"dec":-27.193,"magnitude":8.3,"size":[5,5],"surfaceBrightness":20.4},
+  {"id":"NGC2467","name":"Skull and Crossbones Nebula","messier":null,"caldwell":null,"ngc":"NGC 2467","type":"bn","ra":7.8718,"dec":-26.428,"magnitude":7.1,"size":[8,7],"surfaceBrightness":20.1},
+  {"id":"NGC2482","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2482","type":"oc","ra":7.92,"dec":-24.258,"magnitude":7.3,"size":[12,12],"surfaceBrightness":21.3},
+  {"id":"NGC2483","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2483","type":"oc","ra":7.9267,"dec":-27.9,"magnitude":7.6,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2489","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2489","type":"oc","ra":7.9375,"dec":-30.063,"magnitude":7.9,"size":[7,7],"surfaceBrightness":20.8},
+  {"id":"NGC2527","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2527","type":"oc","ra":8.0828,"dec":-28.147,"magnitude":6.5,"size":[22,22],"surfaceBrightness":21.8},
+  {"id":"NGC2533","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2533","type":"oc","ra":8.1178,"dec":-29.883,"magnitude":7.6,"size":[3.5,3.5],"surfaceBrightness":18.9},
+  {"id":"NGC2539","name":"The Dish Cluster","messier":null,"caldwell":null,"ngc":"NGC 2539","type":"oc","ra":8.1769,"dec":-12.818,"magnitude":6.5,"size":[21,21],"surfaceBrightness":21.7},
+  {"id":"NGC2546","name":"Heart and Dagger Cluster","messier":null,"caldwell":null,"ngc":"NGC 2546","type":"oc","ra":8.2041,"dec":-37.595,"magnitude":6.3,"size":[40,40],"surfaceBrightness":22.9},
+  {"id":"NGC2547","name":"Golden Earring Cluster","messier":null,"caldwell":null,"ngc":"NGC 2547","type":"oc","ra":8.1652,"dec":-49.205,"magnitude":4.7,"size":[15,15],"surfaceBrightness":19.2},
+  {"id":"NGC2567","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2567","type":"oc","ra":8.3089,"dec":-30.64,"magnitude":7.4,"size":[10,10],"surfaceBrightness":21},
+  {"id":"NGC2571","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2571","type":"oc","ra":8.3155,"dec":-29.75,"magnitude":7,"size":[13,13],"surfaceBrightness":21.2},
+  {"id":"NGC2579","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2579","type":"bn","ra":8.3487,"dec":-36.223,"magnitude":7.5,"size":[1.5,1.4],"surfaceBrightness":16.9},
+  {"id":"NGC2610","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2610","type":"pn","ra":8.5565,"dec":-16.149,"magnitude":9,"size":[0.6,0.6],"surfaceBrightness":16.5},
+  {"id":"NGC2627","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2627","type":"oc","ra":8.6208,"dec":-29.955,"magnitude":8.4,"size":[8,8],"surfaceBrightness":21.5},
+  {"id":"NGC2645","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2645","type":"oc","ra":8.6508,"dec":-46.233,"magnitude":7.3,"size":null,"surfaceBrightness":null},
+  {"id":"NGC2659","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2659","type":"oc","ra":8.71,"dec":-44.98,"magnitude":8.6,"size":[10,10],"surfaceBrightness":22.2},
+  {"id":"NGC2660","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2660","type":"oc","ra":8.7105,"dec":-47.2,"magnitude":8.8,"size":[1.5,1.5],"surfaceBrightness":18.3},
+  {"id":"NGC2669","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2669","type":"oc","ra":8.7728,"dec":-52.948,"magnitude":6.1,"size":[12,12],"surfaceBrightness":20.1},
+  {"id":"NGC2670","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2670","type":"oc","ra":8.7583,"dec":-48.8,"magnitude":7.8,"size":[15,15],"surfaceBrightness":22.3},
+  {"id":"NGC2808","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2808","type":"gc","ra":9.2009,"dec":-64.864,"magnitude":5.7,"size":[5,5],"surfaceBrightness":17.8},
+  {"id":"NGC2818","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2818","type":"pn","ra":9.2671,"dec":-36.627,"magnitude":8.2,"size":[0.7,0.7],"surfaceBrightness":16.1},
+  {"id":"NGC2903","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2903","type":"s","ra":9.5361,"dec":21.501,"magnitude":9,"size":[6.1,3.3],"surfaceBrightness":20.9},
+  {"id":"NGC2910","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2910","type":"oc","ra":9.508,"dec":-52.92,"magnitude":7.2,"size":[5,5],"surfaceBrightness":19.3},
+  {"id":"NGC2925","name":null,"messier":null,"caldwell":null,"ngc":"NGC 2925","type":"oc","ra":9.5531,"dec":-53.398,"magnitude":8.3,"size":[12,12],"surfaceBrightness":22.3},
+  {"id":"NGC3033","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3033","type":"oc","ra":9.8103,"dec":-56.422,"magnitude":8.8,"size":[5,5],"surfaceBrightness":20.9},
+  {"id":"NGC3114","name":"Hand Cluster","messier":null,"caldwell":null,"ngc":"NGC 3114","type":"oc","ra":10.0433,"dec":-60.12,"magnitude":4.2,"size":[30,30],"surfaceBrightness":20.2},
+  {"id":"NGC3228","name":"Queen's Cache Cluster","messier":null,"caldwell":null,"ngc":"NGC 3228","type":"oc","ra":10.3561,"dec":-51.728,"magnitude":6,"size":[5,5],"surfaceBrightness":18.1},
+  {"id":"NGC3247","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3247","type":"oc","ra":10.4048,"dec":-57.76,"magnitude":7.6,"size":null,"surfaceBrightness":null},
+  {"id":"NGC3293","name":"Gem Cluster","messier":null,"caldwell":null,"ngc":"NGC 3293","type":"sfr","ra":10.597,"dec":-58.23,"magnitude":4.7,"size":[8,8],"surfaceBrightness":17.8},
+  {"id":"NGC3324","name":"Keyhole Nebula","messier":null,"caldwell":null,"ngc":"NGC 3324","type":"oc","ra":10.6222,"dec":-58.642,"magnitude":6.7,"size":[15.5,14],"surfaceBrightness":21.2},
+  {"id":"NGC3330","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3330","type":"oc","ra":10.6467,"dec":-54.12,"magnitude":7.4,"size":[6,6],"surfaceBrightness":19.9},
+  {"id":"NGC3411","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3411","type":"e","ra":10.8406,"dec":-12.845,"magnitude":9,"size":[1.4,1.3],"surfaceBrightness":18.3},
+  {"id":"NGC3496","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3496","type":"oc","ra":10.9933,"dec":-60.337,"magnitude":8.2,"size":[9,9],"surfaceBrightness":21.6},
+  {"id":"NGC3519","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3519","type":"oc","ra":11.0693,"dec":-61.375,"magnitude":7.7,"size":null,"surfaceBrightness":null},
+  {"id":"NGC3521","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3521","type":"s","ra":11.0968,"dec":-0.036,"magnitude":9,"size":[5.7,2.9],"surfaceBrightness":20.7},
+  {"id":"NGC3572","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3572","type":"oc","ra":11.1731,"dec":-60.248,"magnitude":6.6,"size":[6,6],"surfaceBrightness":19.1},
+  {"id":"NGC3590","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3590","type":"oc","ra":11.2164,"dec":-60.788,"magnitude":8.2,"size":[4,4],"surfaceBrightness":19.8},
+  {"id":"NGC3680","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3680","type":"oc","ra":11.4272,"dec":-43.243,"magnitude":7.6,"size":[12,12],"surfaceBrightness":21.6},
+  {"id":"NGC3918","name":"Blue Planetary Nebula","messier":null,"caldwell":null,"ngc":"NGC 3918","type":"pn","ra":11.8383,"dec":-57.182,"magnitude":8.5,"size":[0.3,0.3],"surfaceBrightness":14.5},
+  {"id":"NGC3960","name":null,"messier":null,"caldwell":null,"ngc":"NGC 3960","type":"oc","ra":11.8425,"dec":-55.673,"magnitude":8.3,"size":[6,6],"surfaceBrightness":20.8},
+  {"id":"NGC4052","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4052","type":"oc","ra":12.02,"dec":-63.22,"magnitude":8.8,"size":[10,10],"surfaceBrightness":22.4},
+  {"id":"NGC4103","name":"The Longtail","messier":null,"caldwell":null,"ngc":"NGC 4103","type":"oc","ra":12.111,"dec":-61.25,"magnitude":7.4,"size":[9,9],"surfaceBrightness":20.8},
+  {"id":"NGC4337","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4337","type":"oc","ra":12.4,"dec":-58.117,"magnitude":8.9,"size":[3.5,3.5],"surfaceBrightness":20.2},
+  {"id":"NGC4349","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4349","type":"oc","ra":12.4022,"dec":-61.872,"magnitude":7.4,"size":[15,15],"surfaceBrightness":21.9},
+  {"id":"NGC4439","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4439","type":"oc","ra":12.4733,"dec":-60.1,"magnitude":8.4,"size":[4,4],"surfaceBrightness":20},
+  {"id":"NGC4463","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4463","type":"oc","ra":12.4989,"dec":-64.79,"magnitude":7.2,"size":[5,5],"surfaceBrightness":19.3},
+  {"id":"NGC4815","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4815","type":"oc","ra":12.967,"dec":-64.96,"magnitude":8.6,"size":[3,3],"surfaceBrightness":19.6},
+  {"id":"NGC4852","name":null,"messier":null,"caldwell":null,"ngc":"NGC 4852","type":"oc","ra":13.0025,"dec":-59.613,"magnitude":8.9,"size":[10,10],"surfaceBrightness":22.5},
+  {"id":"NGC5138","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5138","type":"oc","ra":13.4545,"dec":-59.033,"magnitude":7.6,"size":[7,7],"surfaceBrightness":20.5},
+  {"id":"NGC5281","name":"Little Scorpion Cluster","messier":null,"caldwell":null,"ngc":"NGC 5281","type":"oc","ra":13.7764,"dec":-62.917,"magnitude":5.9,"size":[3,3],"surfaceBrightness":16.9},
+  {"id":"NGC5316","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5316","type":"oc","ra":13.8991,"dec":-61.868,"magnitude":6,"size":[12,12],"surfaceBrightness":20},
+  {"id":"NGC5460","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5460","type":"oc","ra":14.1241,"dec":-48.343,"magnitude":5.6,"size":[30,30],"surfaceBrightness":21.6},
+  {"id":"NGC5606","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5606","type":"oc","ra":14.4631,"dec":-59.64,"magnitude":7.7,"size":[3,3],"surfaceBrightness":18.7},
+  {"id":"NGC5617","name":"Dracula Cluster","messier":null,"caldwell":null,"ngc":"NGC 5617","type":"oc","ra":14.4955,"dec":-60.712,"magnitude":6.3,"size":[15,15],"surfaceBrightness":20.8},
+  {"id":"NGC5662","name":"Gypsy Moth Cluster","messier":null,"caldwell":null,"ngc":"NGC 5662","type":"oc","ra":14.5936,"dec":-56.618,"magnitude":5.5,"size":[8,8],"surfaceBrightness":18.6},
+  {"id":"NGC5749","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5749","type":"oc","ra":14.8153,"dec":-54.5,"magnitude":8.8,"size":[7,7],"surfaceBrightness":21.7},
+  {"id":"NGC5822","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5822","type":"oc","ra":15.0745,"dec":-54.39,"magnitude":6.5,"size":[40,40],"surfaceBrightness":23.1},
+  {"id":"NGC5897","name":"Ghost Globular Cluster","messier":null,"caldwell":null,"ngc":"NGC 5897","type":"gc","ra":15.2901,"dec":-21.01,"magnitude":8.5,"size":[6,6],"surfaceBrightness":21},
+  {"id":"NGC5925","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5925","type":"oc","ra":15.4574,"dec":-54.534,"magnitude":8.4,"size":[20,20],"surfaceBrightness":23.5},
+  {"id":"NGC5927","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5927","type":"gc","ra":15.4669,"dec":-50.673,"magnitude":8.9,"size":[4.5,4.5],"surfaceBrightness":20.8},
+  {"id":"NGC5986","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5986","type":"gc","ra":15.7675,"dec":-37.786,"magnitude":6.9,"size":[5,5],"surfaceBrightness":19},
+  {"id":"NGC5999","name":null,"messier":null,"caldwell":null,"ngc":"NGC 5999","type":"oc","ra":15.8695,"dec":-56.467,"magnitude":9,"size":[4,4],"surfaceBrightness":20.6},
+  {"id":"NGC6031","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6031","type":"oc","ra":16.1309,"dec":-54.051,"magnitude":8.5,"size":[2,2],"surfaceBrightness":18.6},
+  {"id":"NGC6067","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6067","type":"oc","ra":16.2197,"dec":-54.218,"magnitude":5.6,"size":[15,15],"surfaceBrightness":20.1},
+  {"id":"NGC6134","name":"Little Pincushion","messier":null,"caldwell":null,"ngc":"NGC 6134","type":"oc","ra":16.4628,"dec":-49.152,"magnitude":7.2,"size":[9,9],"surfaceBrightness":20.6},
+  {"id":"NGC6152","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6152","type":"oc","ra":16.5453,"dec":-52.63,"magnitude":8.1,"size":[29,29],"surfaceBrightness":24},
+  {"id":"NGC6164","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6164","type":"bn","ra":16.5646,"dec":-48.111,"magnitude":6.7,"size":[8,4],"surfaceBrightness":19.1},
+  {"id":"NGC6167","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6167","type":"oc","ra":16.5761,"dec":-49.772,"magnitude":6.7,"size":[7,7],"surfaceBrightness":19.6},
+  {"id":"NGC6169","name":"μ Normae Cluster","messier":null,"caldwell":null,"ngc":"NGC 6169","type":"oc","ra":16.5685,"dec":-44.016,"magnitude":6.6,"size":[12,12],"surfaceBrightness":20.6},
+  {"id":"NGC6178","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6178","type":"oc","ra":16.5964,"dec":-45.643,"magnitude":7.2,"size":[4,4],"surfaceBrightness":18.8},
+  {"id":"NGC6192","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6192","type":"oc","ra":16.6731,"dec":-43.367,"magnitude":8.5,"size":[7,7],"surfaceBrightness":21.4},
+  {"id":"NGC6200","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6200","type":"oc","ra":16.7347,"dec":-47.47,"magnitude":7.4,"size":[12,12],"surfaceBrightness":21.4},
+  {"id":"NGC6204","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6204","type":"oc","ra":16.769,"dec":-47.02,"magnitude":8.2,"size":[5,5],"surfaceBrightness":20.3},
+  {"id":"NGC6208","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6208","type":"oc","ra":16.8245,"dec":-53.728,"magnitude":7.2,"size":[15,15],"surfaceBrightness":21.7},
+  {"id":"NGC6235","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6235","type":"gc","ra":16.8904,"dec":-22.177,"magnitude":7.2,"size":[1.5,1.5],"surfaceBrightness":16.7},
+  {"id":"NGC6242","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6242","type":"oc","ra":16.9267,"dec":-39.47,"magnitude":6.4,"size":[10,10],"surfaceBrightness":20},
+  {"id":"NGC6249","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6249","type":"oc","ra":16.96,"dec":-44.82,"magnitude":8.2,"size":[6,6],"surfaceBrightness":20.7},
+  {"id":"NGC6250","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6250","type":"oc","ra":16.9661,"dec":-45.943,"magnitude":5.9,"size":[7,7],"surfaceBrightness":18.8},
+  {"id":"NGC6259","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6259","type":"oc","ra":17.0125,"dec":-44.655,"magnitude":8,"size":[15,15],"surfaceBrightness":22.5},
+  {"id":"NGC6281","name":"Moth Wing Cluster","messier":null,"caldwell":null,"ngc":"NGC 6281","type":"sfr","ra":17.0781,"dec":-37.985,"magnitude":5.4,"size":[9,9],"surfaceBrightness":18.8},
+  {"id":"NGC6284","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6284","type":"gc","ra":17.0747,"dec":-24.764,"magnitude":7.4,"size":[1.5,1.4],"surfaceBrightness":16.8},
+  {"id":"NGC6293","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6293","type":"gc","ra":17.1696,"dec":-26.582,"magnitude":9,"size":[2.5,2.5],"surfaceBrightness":19.6},
+  {"id":"NGC6304","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6304","type":"gc","ra":17.2423,"dec":-29.462,"magnitude":9,"size":[1.5,1.5],"surfaceBrightness":18.5},
+  {"id":"NGC6316","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6316","type":"gc","ra":17.2771,"dec":-28.14,"magnitude":9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6322","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6322","type":"oc","ra":17.3069,"dec":-42.933,"magnitude":6,"size":[10,10],"surfaceBrightness":19.6},
+  {"id":"NGC6356","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6356","type":"gc","ra":17.3931,"dec":-17.813,"magnitude":7.4,"size":[1.5,1.5],"surfaceBrightness":16.9},
+  {"id":"NGC6362","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6362","type":"gc","ra":17.5319,"dec":-67.048,"magnitude":8.9,"size":[10,10],"surfaceBrightness":22.5},
+  {"id":"NGC6374","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6374","type":"oc","ra":17.5375,"dec":-32.597,"magnitude":5.5,"size":[2.5,2.5],"surfaceBrightness":16.1},
+  {"id":"NGC6383","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6383","type":"sfr","ra":17.58,"dec":-32.567,"magnitude":5.5,"size":[2.5,2.5],"surfaceBrightness":16.1},
+  {"id":"NGC6388","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6388","type":"gc","ra":17.6049,"dec":-44.736,"magnitude":6.8,"size":[1.6,1.5],"surfaceBrightness":16.4},
+  {"id":"NGC6396","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6396","type":"oc","ra":17.6267,"dec":-35.027,"magnitude":8.5,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6400","name":"Phantom Cluster","messier":null,"caldwell":null,"ngc":"NGC 6400","type":"oc","ra":17.67,"dec":-36.945,"magnitude":8.8,"size":[6,6],"surfaceBrightness":21.3},
+  {"id":"NGC6416","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6416","type":"oc","ra":17.7386,"dec":-32.362,"magnitude":5.7,"size":[30,30],"surfaceBrightness":21.7},
+  {"id":"NGC6425","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6425","type":"oc","ra":17.783,"dec":-31.53,"magnitude":7.2,"size":[15,15],"surfaceBrightness":21.7},
+  {"id":"NGC6441","name":"Silver Nugget Cluster","messier":null,"caldwell":null,"ngc":"NGC 6441","type":"gc","ra":17.837,"dec":-37.051,"magnitude":8,"size":[1.5,1.5],"surfaceBrightness":17.5},
+  {"id":"NGC6451","name":"Tom Thumb Cluster","messier":null,"caldwell":null,"ngc":"NGC 6451","type":"oc","ra":17.8447,"dec":-30.21,"magnitude":8.2,"size":[6,6],"surfaceBrightness":20.7},
+  {"id":"NGC6469","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6469","type":"oc","ra":17.8867,"dec":-22.32,"magnitude":8.2,"size":[12,12],"surfaceBrightness":22.2},
+  {"id":"NGC6496","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6496","type":"gc","ra":17.9844,"dec":-44.266,"magnitude":8.6,"size":[1.5,1.5],"surfaceBrightness":18.1},
+  {"id":"NGC6520","name":"Dead Man's Chest Cluster","messier":null,"caldwell":null,"ngc":"NGC 6520","type":"oc","ra":18.0567,"dec":-27.888,"magnitude":7.6,"size":[5,5],"surfaceBrightness":19.7},
+  {"id":"NGC6530","name":"Herschel 36","messier":null,"caldwell":null,"ngc":"NGC 6530","type":"oc","ra":18.0753,"dec":-24.358,"magnitude":4.6,"size":[14,14],"surfaceBrightness":19},
+  {"id":"NGC6539","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6539","type":"gc","ra":18.0805,"dec":-7.586,"magnitude":8.9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6546","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6546","type":"oc","ra":18.1228,"dec":-23.297,"magnitude":8,"size":[15,15],"surfaceBrightness":22.5},
+  {"id":"NGC6553","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6553","type":"gc","ra":18.1544,"dec":-25.908,"magnitude":8.3,"size":[1.5,1.5],"surfaceBrightness":17.8},
+  {"id":"NGC6568","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6568","type":"oc","ra":18.212,"dec":-21.6,"magnitude":8.6,"size":[12,12],"surfaceBrightness":22.6},
+  {"id":"NGC6584","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6584","type":"gc","ra":18.3104,"dec":-52.216,"magnitude":8.2,"size":[2,2],"surfaceBrightness":18.3},
+  {"id":"NGC6595","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6595","type":"oc","ra":18.2833,"dec":-19.88,"magnitude":7,"size":[4,4],"surfaceBrightness":18.6},
+  {"id":"NGC6604","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6604","type":"oc","ra":18.3008,"dec":-12.242,"magnitude":6.5,"size":[4,4],"surfaceBrightness":18.1},
+  {"id":"NGC6605","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6605","type":"oc","ra":18.2832,"dec":-15.011,"magnitude":6,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6625","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6625","type":"oc","ra":18.3798,"dec":-11.955,"magnitude":9,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6633","name":"Tweedledum Cluster","messier":null,"caldwell":null,"ngc":"NGC 6633","type":"oc","ra":18.4587,"dec":6.57,"magnitude":4.6,"size":[20,20],"surfaceBrightness":19.7},
+  {"id":"NGC6645","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6645","type":"oc","ra":18.542,"dec":-16.91,"magnitude":8.5,"size":[10,10],"surfaceBrightness":22.1},
+  {"id":"NGC6647","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6647","type":"oc","ra":18.5245,"dec":-17.34,"magnitude":8,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6649","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6649","type":"oc","ra":18.5575,"dec":-10.403,"magnitude":8.9,"size":[8,8],"surfaceBrightness":22},
+  {"id":"NGC6664","name":"Santa's Sleigh Cluster","messier":null,"caldwell":null,"ngc":"NGC 6664","type":"oc","ra":18.6103,"dec":-7.813,"magnitude":7.8,"size":[18,18],"surfaceBrightness":22.7},
+  {"id":"NGC6709","name":"Flying Unicorn Cluster","messier":null,"caldwell":null,"ngc":"NGC 6709","type":"oc","ra":18.855,"dec":10.318,"magnitude":6.7,"size":[12,12],"surfaceBrightness":20.7},
+  {"id":"NGC6712","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6712","type":"gc","ra":18.8845,"dec":-8.706,"magnitude":8.7,"size":[2.5,2.5],"surfaceBrightness":19.3},
+  {"id":"NGC6716","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6716","type":"oc","ra":18.9095,"dec":-19.902,"magnitude":7.5,"size":[6,6],"surfaceBrightness":20},
+  {"id":"NGC6723","name":"Chandelier Cluster","messier":null,"caldwell":null,"ngc":"NGC 6723","type":"gc","ra":18.9925,"dec":-36.632,"magnitude":7.9,"size":[8,8],"surfaceBrightness":21},
+  {"id":"NGC6738","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6738","type":"oc","ra":19.0213,"dec":11.62,"magnitude":8.3,"size":[15,15],"surfaceBrightness":22.8},
+  {"id":"NGC6743","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6743","type":"oc","ra":19.02,"dec":29.28,"magnitude":8.2,"size":null,"surfaceBrightness":null},
+  {"id":"NGC6755","name":"Possible Binary Cluster","messier":null,"caldwell":null,"ngc":"NGC 6755","type":"oc","ra":19.1303,"dec":4.267,"magnitude":7.5,"size":[14,14],"surfaceBrightness":21.9},
+  {"id":"NGC6802","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6802","type":"oc","ra":19.51,"dec":20.259,"magnitude":8.8,"size":[3.3,3.3],"surfaceBrightness":20},
+  {"id":"NGC6811","name":"Hole in a Cluster","messier":null,"caldwell":null,"ngc":"NGC 6811","type":"oc","ra":19.6214,"dec":46.388,"magnitude":6.8,"size":[15,15],"surfaceBrightness":21.3},
+  {"id":"NGC6819","name":"The Foxhead Cluster","messier":null,"caldwell":null,"ngc":"NGC 6819","type":"oc","ra":19.6883,"dec":40.187,"magnitude":7.3,"size":[6,6],"surfaceBrightness":19.8},
+  {"id":"NGC6823","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6823","type":"sfr","ra":19.7192,"dec":23.3,"magnitude":7.1,"size":[40,30],"surfaceBrightness":23.4},
+  {"id":"NGC6830","name":"Poodle Cluster","messier":null,"caldwell":null,"ngc":"NGC 6830","type":"oc","ra":19.8497,"dec":23.1,"magnitude":7.9,"size":[8,8],"surfaceBrightness":21},
+  {"id":"NGC6834","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6834","type":"oc","ra":19.87,"dec":29.408,"magnitude":7.8,"size":[4,4],"surfaceBrightness":19.4},
+  {"id":"NGC6866","name":"Kite Cluster","messier":null,"caldwell":null,"ngc":"NGC 6866","type":"oc","ra":20.0653,"dec":44.158,"magnitude":7.6,"size":[6,6],"surfaceBrightness":20.1},
+  {"id":"NGC6871","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6871","type":"oc","ra":20.0997,"dec":35.777,"magnitude":5.2,"size":[30,30],"surfaceBrightness":21.2},
+  {"id":"NGC6883","name":null,"messier":null,"caldwell":null,"ngc":"NGC 6883","type":"oc","ra":20.1886,"dec":35.832,"magnitude":8,"size":[35,35],"surfaceBrightness":24.3},
+  {"id":"NGC6910","name":"The Inchworm Cluster","messier":null,"caldwell":null,"ngc":"NGC 6910","type":"oc","ra":20.3855,"dec":40.775,"magnitude":7.4,"size":[7,7],"surfaceBrightness":20.3},
+  {"id":"NGC6939","name":"Ghost Bush Cluster","messier":null,"caldwell":null,"ngc":"NGC 6939","type":"oc","ra":20.525,"dec":60.662,"magnitude":7.8,"size":[5,5],"surfaceBrightness":19.9},
+  {"id":"NGC6940","name":"Mothra Cluster","messier":null,"caldwell":null,"ngc":"NGC 6940","type":"oc","ra":20.5739,"dec":28.283,"magnitude":6.3,"size":[20,20],"surfaceBrightness":21.4},
+  {"id":"NGC7039","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7039","type":"oc","ra":21.18,"dec":45.617,"magnitude":7.6,"size":[25,25],"surfaceBrightness":23.2},
+  {"id":"NGC7062","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7062","type":"oc","ra":21.3908,"dec":46.39,"magnitude":8.3,"size":[6,6],"surfaceBrightness":20.8},
+  {"id":"NGC7063","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7063","type":"oc","ra":21.4067,"dec":36.48,"magnitude":7,"size":[7,7],"surfaceBrightness":19.9},
+  {"id":"NGC7082","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7082","type":"oc","ra":21.4881,"dec":47.127,"magnitude":7.2,"size":null,"surfaceBrightness":null},
+  {"id":"NGC7086","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7086","type":"oc","ra":21.5075,"dec":51.6,"magnitude":8.4,"size":[9,9],"surfaceBrightness":21.8},
+  {"id":"NGC7160","name":"Swimming Alligator Cluster","messier":null,"caldwell":null,"ngc":"NGC 7160","type":"oc","ra":21.8945,"dec":62.603,"magnitude":6.1,"size":[7,7],"surfaceBrightness":19},
+  {"id":"NGC7209","name":"Star Lizard Cluster","messier":null,"caldwell":null,"ngc":"NGC 7209","type":"oc","ra":22.0853,"dec":46.483,"magnitude":7.7,"size":[20,20],"surfaceBrightness":22.8},
+  {"id":"NGC7235","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7235","type":"oc","ra":22.2069,"dec":57.27,"magnitude":7.7,"size":[4,4],"surfaceBrightness":19.3},
+  {"id":"NGC7261","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7261","type":"oc","ra":22.3353,"dec":58.128,"magnitude":8.4,"size":[5,5],"surfaceBrightness":20.5},
+  {"id":"NGC7380","name":"The Wizard Nebula","messier":null,"caldwell":null,"ngc":"NGC 7380","type":"sfr","ra":22.7891,"dec":58.132,"magnitude":7.2,"size":[25,20],"surfaceBrightness":22.6},
+  {"id":"NGC7510","name":"The Dormouse Cluster","messier":null,"caldwell":null,"ngc":"NGC 7510","type":"oc","ra":23.1833,"dec":60.57,"magnitude":7.9,"size":[7,7],"surfaceBrightness":20.8},
+  {"id":"NGC7686","name":null,"messier":null,"caldwell":null,"ngc":"NGC 7686","type":"oc","ra":23.4948,"dec":49.17,"magnitude":5.6,"size":[14,14],"surfaceBrightness":20},
+  {"id":"NGC7789","name":"Caroline's Rose Cluster","messier":null,"caldwell":null,"ngc":"NGC 7789","type":"oc","ra":23.9567,"dec":56.708,"magnitude":6.7,"size":[30,30],"surfaceBrightness":22.7},
+  {"id":"NGC7790","name":"The Widow's Web Cluster","messier":null,"caldwell":null,"ngc":"NGC 7790","type":"oc","ra":23.9733,"dec":61.208,"magnitude":8.5,"size":[5,5],"surfaceBrightness":20.6},
+  {"id":"IC348","name":"ο Per Cloud","messier":null,"caldwell":null,"ngc":"IC 348","type":"sfr","ra":3.7428,"dec":32.163,"magnitude":7.3,"size":[10,10],"surfaceBrightness":20.9},
+  {"id":"IC420","name":null,"messier":null,"caldwell":null,"ngc":"IC 420","type":"rn","ra":5.5372,"dec":-4.52,"magnitude":8.1,"size":null,"surfaceBrightness":null},
+  {"id":"IC431","name":null,"messier":null,"caldwell":null,"ngc":"IC 431","type":"rn","ra":5.6706,"dec":-1.463,"magnitude":7.7,"size":[8,5],"surfaceBrightness":20.3},
+  {"id":"IC432","name":null,"messier":null,"caldwell":null,"ngc":"IC 432","type":"rn","ra":5.6822,"dec":-1.507,"magnitude":7,"size":[10,10],"surfaceBrightness":20.6},
+  {"id":"IC434","name":null,"messier":null,"caldwell":null,"ngc":"IC 434","type":"bn","ra":5.68,"dec":-2.5,"magnitude":7.3,"size":[60,10],"surfaceBrightness":22.9},
+  {"id":"IC435","name":null,"messier":null,"caldwell":null,"ngc":"IC 435","type":"rn","ra":5.7168,"dec":-2.313,"magnitude":8.3,"size":[4.5,3],"surfaceBrightness":19.8},
+  {"id":"IC444","name":null,"messier":null,"caldwell":null,"ngc":"IC 444","type":"rn","ra":6.3095,"dec":23.313,"magnitude":7.5,"size":[8,4],"surfaceBrightness":19.9},
+  {"id":"IC448","name":null,"messier":null,"caldwell":null,"ngc":"IC 448","type":"bn","ra":6.5667,"dec":7.3,"magnitude":4.5,"size":[15,10],"surfaceBrightness":18.6},
+  {"id":"IC1284","name":null,"messier":null,"caldwell":null,"ngc":"IC 1284","type":"bn","ra":18.2953,"dec":-19.67,"magnitude":7.7,"size":[16.5,15],"surfaceBrightness":22.3},
+  {"id":"IC1287","name":null,"messier":null,"caldwell":null,"ngc":"IC 1287","type":"bn","ra":18.5333,"dec":-10.8,"magnitude":5.5,"size":[20,10],"surfaceBrightness":19.9},
+  {"id":"IC1369","name":null,"messier":null,"caldwell":null,"ngc":"IC 1369","type":"oc","ra":21.2032,"dec":47.755,"magnitude":8.8,"size":[2,2],"surfaceBrightness":18.9},
+  {"id":"IC1396","name":"Elephant's Trunk Nebula","messier":null,"caldwell":null,"ngc":"IC 1396","type":"sfr","ra":21.65,"dec":57.49,"magnitude":3.5,"size":[12,4],"surfaceBrightness":16.3},
+  {"id":"IC1434","name":null,"messier":null,"caldwell":null,"ngc":"IC 1434","type":"oc","ra":22.1759,"dec":52.843,"magnitude":9,"size":[6,6],"surfaceBrightness":21.5},
+  {"id":"IC1590","name":null,"messier":null,"caldwell":null,"ngc":"IC 1590","type":"oc","ra":0.8803,"dec":56.628,"magnitude":7.4,"size":[25,25],"surfaceBrightness":23},
+  {"id":"IC1805","name":"Heart Nebula","messier":null,"caldwell":null,"ngc":"IC 1805","type":"sfr","ra":2.545,"dec":61.45,"magnitude":6.5,"size":[60,60],"surfaceBrightness":24},
+  {"id":"IC1848","name":null,"messier":null,"caldwell":null,"ngc":"IC 1848","type":"oc","ra":2.8518,"dec":60.41,"magnitude":6.5,"size":[40,10],"surfaceBrightness":21.6},
+  {"id":"IC2157","name":null,"messier":null,"caldwell":null,"ngc":"IC 2157","type":"oc","ra":6.0805,"dec":24.07,"magnitude":8.4,"size":null,"surfaceBrightness":null},
+  {"id":"IC2169","name":null,"messier":null,"caldwell":null,"ngc":"IC 2169","type":"bn","ra":6.5133,"dec":10.1,"magnitude":7.7,"size":[25,20],"surfaceBrightness":23.1},
+  {"id":"IC2177","name":null,"messier":null,"caldwell":null,"ngc":"IC 2177","type":"rn","ra":7.0736,"dec":-10.455,"magnitude":7,"size":[20,20],"surfaceBrightness":22.1},
+  {"id":"IC2395","name":null,"messier":null,"caldwell":null,"ngc":"IC 2395","type":"oc","ra":8.7086,"dec":-48.1,"magnitude":4.6,"size":[7,7],"surfaceBrightness":17.5},
+  {"id":"IC2488","name":"Strings of Pearl Cluster","messier":null,"caldwell":null,"ngc":"IC 2488","type":"oc","ra":9.4605,"dec":-57,"magnitude":7.4,"size":[18,18],"surfaceBrightness":22.3},
+  {"id":"IC2581","name":null,"messier":null,"caldwell":null,"ngc":"IC 2581","type":"oc","ra":10.4581,"dec":-57.617,"magnitude":4.3,"size":[7,7],"surfaceBrightness":17.2},
+  {"id":"IC2714","name":"The Rip-Torn Cluster","messier":null,"caldwell":null,"ngc":"IC 2714","type":"oc","ra":11.2908,"dec":-62.733,"magnitude":8.2,"size":[15,15],"surfaceBrightness":22.7},
+  {"id":"IC4499","name":null,"messier":null,"caldwell":null,"ngc":"IC 4499","type":"gc","ra":15.0052,"dec":-82.214,"magnitude":8.6,"size":[3,3],"surfaceBrightness":19.6},
+  {"id":"IC4592","name":"Blue Horsehead Nebula","messier":null,"caldwell":null,"ngc":"IC 4592","type":"rn","ra":16.2133,"dec":-19.3,"magnitude":4,"size":[60,40],"surfaceBrightness":21.1},
+  {"id":"IC4603","name":null,"messier":null,"caldwell":null,"ngc":"IC 4603","type":"bn","ra":16.4333,"dec":-24.4,"magnitude":7.9,"size":[20,5],"surfaceBrightness":21.5},
+  {"id":"IC4604","name":"ρ Oph Nebula","messier":null,"caldwell":null,"ngc":"IC 4604","type":"bn","ra":16.4333,"dec":-23.4,"magnitude":4.6,"size":[60,25],"surfaceBrightness":21.2},
+  {"id":"IC4605","name":null,"messier":null,"caldwell":null,"ngc":"IC 4605","type":"bn","ra":16.52,"dec":-25.1,"magnitude":4.8,"size":[30,15],"surfaceBrightness":20.1},
+  {"id":"IC4628","name":"Prawn Nebula","messier":null,"caldwell":null,"ngc":"IC 4628","type":"sfr","ra":16.9485,"dec":-40.512,"magnitude":7.1,"size":[34,16],"surfaceBrightness":22.6},
+  {"id":"IC4651","name":null,"messier":null,"caldwell":null,"ngc":"IC 4651","type":"oc","ra":17.4136,"dec":-49.933,"magnitude":6.9,"size":[14,14],"surfaceBrightness":21.3},
+  {"id":"IC4665","name":"Summer Beehive Cluster","messier":null,"caldwell":null,"ngc":"IC 4665","type":"oc","ra":17.7717,"dec":5.717,"magnitude":4.2,"size":[70,70],"surfaceBrightness":22.1},
+  {"id":"IC4756","name":"Graff's Cluster","messier":null,"caldwell":null,"ngc":"IC 4756","type":"oc","ra":18.642,"dec":5.49,"magnitude":4.6,"size":[45,45],"surfaceBrightness":21.5},
+  {"id":"IC4996","name":"P Cyg Cluster","messier":null,"caldwell":null,"ngc":"IC 4996","type":"oc","ra":20.275,"dec":37.633,"magnitude":7.3,"size":[5,5],"surfaceBrightness":19.4},
+  {"id":"IC5076","name":null,"messier":null,"caldwell":null,"ngc":"IC 5076","type":"rn","ra":20.9333,"dec":47.4,"magnitude":5.7,"size":[7,7],"surfaceBrightness":18.6}
+];
@@ -5,6 +5,8 @@ import L from 'leaflet';
 import PropTypes from 'prop-types';
 import LayerSwitcher from '../components/LayerSwitcher';
 import ZoomControl from '../components/ZoomControl';
+import LightPollutionOverlay from '../components/LightPollutionOverlay';
+import AerosolOverlay from '../components/AerosolOverlay';
 import SkyInfoPanel from '../components/SkyInfoPanel';
 import AQIView from '../components/AQIView';
 import LightPollutionView from '../components/LightPollutionView';
@@ -13,13 +15,13 @@ import UltimateView from '../components/UltimateView';
 import ViewToggle from '../components/ViewToggle';
 import AutocompleteInput from '../components/AutocompleteInput';
 import Board from '../components/Board';
-import LightPollutionOverlay from '../components/LightPollutionOverlay';
 import Stary from '../components/Stary';
 import NearbyLocations from '../components/NearbyLocations';
 import HelpTooltip from '../components/HelpTooltip';
 import { searchLocations, parseCoordinates } from '../services/searchService';
-import { getAQI, getAQICategory } from '../services/aqiService';
+import { getAQI, getAQICategory, formatAQI } from '../services/aqiService';
 import { getLightPollution } from '../services/lightPollutionService';
+import { LIGHT_POLLUTION_TILE_URL, LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM } from '../services/lightPollutionOverlayService';
 import './MapPage.css';
 import 'leaflet/dist/leaflet.css';
 
@@ -90,14 +92,17 @@ function MapPage() {
   const [pinnedLocations, setPinnedLocations] = useState([]);
   const [searchInput, setSearchInput] = useState('');
   const [currentLayer, setCurrentLayer] = useState('standard');
+  const [lightOverlayMode, setLightOverlayMode] = useState('tiles'); // 'tiles', 'canvas' heatmap or 'markers' grid
+  const [showAerosolLayer, setShowAerosolLayer] = useState(false); // Smoke & aerosol overlay visibility
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [showSkyInfo, setShowSkyInfo] = useState(false);
   const [tileError, setTileError] = useState(false);
   const [currentView, setCurrentView] = useState('ultimate');
+  const [observationTime, setObservationTime] = useState(null); // Time shown in ConstellationView (null = now)
+  const [showHomeTime, setShowHomeTime] = useState(false); // Show the user's own time next to site times
   const [showBoard, setShowBoard] = useState(false);
-  const [overlayCenter, setOverlayCenter] = useState(null); // Center for light pollution overlay
   const [showMobileControls, setShowMobileControls] = useState(false); // Mobile controls visibility
   const [isStaryVisible, setIsStaryVisible] = useState(false); // Stary chatbot visibility
   const [showNearbyLocations, setShowNearbyLocations] = useState(false); // Nearby locations visibility
@@ -130,8 +135,9 @@ function MapPage() {
         id: Date.now(),
         position: [lat, lon],
         name: name,
-        aqi: aqiData ? aqiData.aqi : 50, // Default to "Good" AQI (exact numeric value)
-        aqiCategory: aqiData ? getAQICategory(aqiData.aqi) : null,
+        aqi: aqiData?.aqi ?? null, // Exact numeric value, or null when there is no data
+        aqiIsEstimate: Boolean(aqiData?.isEstimate),
+        aqiCategory: aqiData?.hasData ? getAQICategory(aqiData.aqi) : null,
         lightPollution: lightData,
         pollutionIndex: lightData ? lightData.bortleClass : DEFAULT_BORTLE_CLASS
       };
@@ -139,7 +145,6 @@ function MapPage() {
       setMarkers(prev => [...prev, newMarker]);
       setCenter([lat, lon]);
       setZoom(10);
-      setOverlayCenter([lat, lon]); // Set overlay center for light pollution overlay
       setSearchInput('');
     } catch (err) {
       console.error('Error adding marker:', err);
@@ -231,6 +236,12 @@ function MapPage() {
     }
   };
 
+  // Clicking an hour in the Ultimate night timeline opens the sky at that time
+  const handleTimelineSelect = (time) => {
+    setObservationTime(time);
+    handleViewChange('constellation');
+  };
+
   const handleAutocompleteSelect = async (suggestion) => {
     await addMarker(suggestion.lat, suggestion.lon, suggestion.name);
     setSearchInput('');
@@ -254,8 +265,9 @@ function MapPage() {
         id: Date.now(),
         position: [lat, lon],
         name: name,
-        aqi: aqiData ? aqiData.aqi : 50, // Default to "Good" AQI (exact numeric value)
-        aqiCategory: aqiData ? getAQICategory(aqiData.aqi) : null,
+        aqi: aqiData?.aqi ?? null, // Exact numeric value, or null when there is no data
+        aqiIsEstimate: Boolean(aqiData?.isEstimate),
+        aqiCategory: aqiData?.hasData ? getAQICategory(aqiData.aqi) : null,
         lightPollution: lightData,
         pollutionIndex: lightData ? lightData.bortleClass : DEFAULT_BORTLE_CLASS,
         isPinned: true
@@ -390,6 +402,10 @@ function MapPage() {
             <LayerSwitcher
               currentLayer={currentLayer}
               onLayerChange={handleLayerChange}
+              lightOverlayMode={lightOverlayMode}
+              onLightOverlayModeChange={setLightOverlayMode}
+              showAerosolLayer={showAerosolLayer}
+              onAerosolLayerToggle={() => setShowAerosolLayer(!showAerosolLayer)}
             />
           </div>
         )}
@@ -464,7 +480,7 @@ function MapPage() {
                   {marker.lightPollution && marker.pollutionIndex != null && (
                     <p><strong>Light Pollution Index:</strong> {marker.pollutionIndex} (Bortle Class)</p>
                   )}
-                  <p><strong>AQI:</strong> {marker.aqi}</p>
+                  <p><strong>AQI:</strong> {formatAQI(marker.aqi, marker.aqiIsEstimate)}</p>
                   {marker.aqiCategory && (
                     <p className="aqi-description" style={{ color: marker.aqiCategory.color }}>
                       {marker.aqiCategory.level}
@@ -512,7 +528,7 @@ function MapPage() {
                   {pin.lightPollution && pin.pollutionIndex != null && (
                     <p><strong>Light Pollution Index:</strong> {pin.pollutionIndex} (Bortle Class)</p>
                   )}
-                  <p><strong>AQI:</strong> {pin.aqi}</p>
+                  <p><strong>AQI:</strong> {formatAQI(pin.aqi, pin.aqiIsEstimate)}</p>
                   {pin.aqiCategory && (
                     <p className="aqi-description" style={{ color: pin.aqiCategory.color }}>
                       {pin.aqiCategory.level}
@@ -544,12 +560,24 @@ function MapPage() {
             </Marker>
           ))}
 
-          {/* Light Pollution Overlay - only visible in light view mode */}
+          {/* Light Pollution Tiles - only visible in light view mode */}
+          {currentView === 'light' && lightOverlayMode === 'tiles' && (
+            <TileLayer
+              attribution="Light pollution: DarkSkyFinder sky brightness model"
+              url={LIGHT_POLLUTION_TILE_URL}
+              maxNativeZoom={LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM}
+              zIndex={10}
+            />
+          )}
+
+          {/* Light Pollution Heatmap or grid points - client-side alternatives to the tiles */}
           <LightPollutionOverlay
-            center={overlayCenter}
-            radius={1000}
-            visible={currentView === 'light' && overlayCenter !== null}
+            mode={lightOverlayMode === 'canvas' ? 'canvas' : 'markers'}
+            visible={currentView === 'light' && lightOverlayMode !== 'tiles'}
           />
+
+          {/* Smoke & aerosol layer - optional, independent of the current view */}
+          <AerosolOverlay visible={showAerosolLayer} />
         </MapContainer>
       </div>
 
@@ -566,6 +594,8 @@ function MapPage() {
           location={selectedLocation}
           visible={showSkyInfo}
           onClose={() => setShowSkyInfo(false)}
+          showHomeTime={showHomeTime}
+          onToggleHomeTime={setShowHomeTime}
         />
       )}
 
@@ -590,6 +620,10 @@ function MapPage() {
           location={selectedLocation}
           visible={showSkyInfo}
           onClose={() => setShowSkyInfo(false)}
+          time={observationTime}
+          onTimeChange={setObservationTime}
+          showHomeTime={showHomeTime}
+          onToggleHomeTime={setShowHomeTime}
         />
       )}
 
@@ -598,6 +632,9 @@ function MapPage() {
           location={selectedLocation}
           visible={showSkyInfo}
           onClose={() => setShowSkyInfo(false)}
+          onSelectTime={handleTimelineSelect}
+          showHomeTime={showHomeTime}
+          onToggleHomeTime={setShowHomeTime}
         />
       )}
 
@@ -0,0 +1,227 @@
+import axios from 'axios';
+
+/**
+ * Service for aerosol optical depth (AOD) at 550 nm
+ * Smoke and dust aloft scatter starlight even when surface air quality is good,
+ * so AOD is a better guide to transparency than AQI.
+ * Uses the Open-Meteo air-quality API (CAMS forecasts)
+ * Documentation: https://open-meteo.com/en/docs/air-quality-api
+ *
+ * Set VITE_AEROSOL_API_URL to point at the local stand-in server
+ * (cd server && npm run aerosol:standin) for offline testing.
+ */
+
+const AEROSOL_API_URL = import.meta.env.VITE_AEROSOL_API_URL ||
+  'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Cache for API responses to avoid excessive calls
+const cache = new Map();
+const gridCache = new Map();
+const CACHE_DURATION = 3600000; // 1 hour in milliseconds
+
+// Forecast values further than this from the requested time are not used
+const MAX_TIME_OFFSET = 90 * 60 * 1000;
+
+// Open-Meteo accepts many coordinates per request; keep URLs a sane length
+const GRID_BATCH_SIZE = 50;
+
+// AOD at or below this counts as pristine, at or above the upper bound as opaque (for scoring)
+const CLEAN_AOD = 0.05;
+const OPAQUE_AOD = 1.0;
+
+/**
+ * Fetch the hourly aerosol optical depth forecast for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} { series: [{ time, aod550, dust }], source, timestamp }, or null if unavailable
+ */
+export const getAerosolForecast = async (lat, lon) => {
+  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+  // Check cache first
+  const cachedData = cache.get(cacheKey);
+  if (cachedData && Date.now() - cachedData.timestamp < CACHE_DURATION) {
+    return cachedData.data;
+  }
+
+  try {
+    const response = await axios.get(AEROSOL_API_URL, {
+      params: {
+        latitude: lat.toFixed(2),
+        longitude: lon.toFixed(2),
+        hourly: 'aerosol_optical_depth,dust',
+        forecast_days: 4,
+        timezone: 'GMT'
+      },
+      timeout: 10000
+    });
+
+    const hourly = response.data?.hourly;
+    if (!hourly?.time || !hourly.aerosol_optical_depth) {
+      throw new Error('Invalid response from aerosol API');
+    }
+
+    const series = hourly.time
+      .map((time, index) => ({
+        time: Date.parse(`${time}Z`),
+        aod550: hourly.aerosol_optical_depth[index],
+        dust: hourly.dust?.[index] ?? null
+      }))
+      .filter(entry => typeof entry.aod550 === 'number');
+
+    const data = {
+      series,
+      source: 'Open-Meteo (CAMS)',
+      timestamp: Date.now()
+    };
+
+    cache.set(cacheKey, {
+      data,
+      timestamp: Date.now()
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching aerosol data:', error);
+    return null;
+  }
+};
+
+/**
+ * Get AOD at 550 nm from a forecast for a given time
+ * @param {Object} forecast - Result of getAerosolForecast
+ * @param {Date|number} time - Time of interest (defaults to now)
+ * @returns {number|null} AOD550, or null if the forecast doesn't cover the time
+ */
+export const getAOD550FromForecast = (forecast, time = new Date()) => {
+  if (!forecast?.series?.length) return null;
+
+  const target = typeof time === 'number' ? time : time.getTime();
+  let closest = null;
+
+  forecast.series.forEach(entry => {
+    const offset = Math.abs(entry.time - target);
+    if (offset <= MAX_TIME_OFFSET && (!closest || offset < closest.offset)) {
+      closest = { offset, aod550: entry.aod550 };
+    }
+  });
+
+  return closest ? closest.aod550 : null;
+};
+
+/**
+ * Get AOD at 550 nm for a location and time
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date|number} time - Time of interest (defaults to now)
+ * @returns {Promise<number|null>} AOD550, or null if unavailable
+ */
+export const getAOD550 = async (lat, lon, time = new Date()) => {
+  const forecast = await getAerosolForecast(lat, lon);
+  return getAOD550FromForecast(forecast, time);
+};
+
+/**
+ * Describe an AOD value in stargazing terms
+ * @param {number} aod - Aerosol optical depth at 550 nm
+ * @returns {Object} Level, color and description
+ */
+export const getAerosolLevel = (aod) => {
+  if (aod < 0.1) {
+    return {
+      level: 'Very Clean',
+      color: '#4CAF50',
+      description: 'Exceptionally transparent air - faint galaxies and the Milky Way stand out'
+    };
+  }
+  if (aod < 0.2) {
+    return {
+      level: 'Clean',
+      color: '#8BC34A',
+      description: 'Good transparency with little aerosol haze'
+    };
+  }
+  if (aod < 0.4) {
+    return {
+      level: 'Hazy',
+      color: '#FFC107',
+      description: 'Noticeable haze - faint objects fade, especially near the horizon'
+    };
+  }
+  if (aod < 0.8) {
+    return {
+      level: 'Smoky',
+      color: '#FF9800',
+      description: 'Smoke or dust aloft - deep sky observing is badly affected'
+    };
+  }
+  return {
+    level: 'Heavy Smoke/Dust',
+    color: '#F44336',
+    description: 'Thick smoke or dust - only the Moon, planets and bright stars will show'
+  };
+};
+
+/**
+ * Calculate aerosol transparency score (0-100, higher is better)
+ * Falls off logarithmically from 100 at AOD 0.05 to 0 at AOD 1.0
+ * @param {number|null} aod - Aerosol optical depth at 550 nm
+ * @returns {number|null} Score 0-100, or null if AOD is unknown
+ */
+export const calculateAerosolScore = (aod) => {
+  if (aod === null || aod === undefined || isNaN(aod)) return null;
+  if (aod <= CLEAN_AOD) return 100;
+
+  const score = (1 - Math.log(aod / CLEAN_AOD) / Math.log(OPAQUE_AOD / CLEAN_AOD)) * 100;
+  return Math.max(0, Math.min(100, score));
+};
+
+/**
+ * Get current AOD for a set of points (used by the map layer)
+ * @param {Array<{lat: number, lon: number}>} points - Points to sample
+ * @returns {Promise<Array<Object>>} [{ lat, lon, aod550 }] for points with data
+ */
+export const getAerosolGrid = async (points) => {
+  const results = [];
+  const missing = [];
+
+  points.forEach(point => {
+    const cached = gridCache.get(`${point.lat.toFixed(2)},${point.lon.toFixed(2)}`);
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      results.push({ ...point, aod550: cached.aod550 });
+    } else {
+      missing.push(point);
+    }
+  });
+
+  for (let i = 0; i < missing.length; i += GRID_BATCH_SIZE) {
+    const batch = missing.slice(i, i + GRID_BATCH_SIZE);
+
+    try {
+      const response = await axios.get(AEROSOL_API_URL, {
+        params: {
+          latitude: batch.map(point => point.lat.toFixed(2)).join(','),
+          longitude: batch.map(point => point.lon.toFixed(2)).join(','),
+          current: 'aerosol_optical_depth',
+          timezone: 'GMT'
+        },
+        timeout: 15000
+      });
+
+      // A single location comes back as an object, several as an array
+      const locations = Array.isArray(response.data) ? response.data : [response.data];
+
+      batch.forEach((point, index) => {
+        const aod550 = locations[index]?.current?.aerosol_optical_depth;
+        if (typeof aod550 !== 'number') return;
+
+        gridCache.set(`${point.lat.toFixed(2)},${point.lon.toFixed(2)}`, { aod550, timestamp: Date.now() });
+        results.push({ ...point, aod550 });
+      });
+    } catch (error) {
+      console.error('Error fetching aerosol grid:', error);
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,308 @@
+/**
+ * aqiCalculator.js
+ * --------------------------------------------
+ * US EPA AQI (0–500) from raw pollutant concentrations.
+ *
+ * Kept free of browser-only APIs so the provider adapters
+ * (and their fixture tests) can use it outside Vite.
+ */
+
+/* ======================================================
+   AQI BREAKPOINT TABLES (US EPA STANDARD)
+   ------------------------------------------------------
+   Concentration units and averaging periods follow EPA's
+   Technical Assistance Document (May 2024):
+     pm25   µg/m³, 24-hour   (2024 revision: Good ends at 9.0)
+     pm10   µg/m³, 24-hour
+     o3_8h  ppm,   8-hour
+     o3_1h  ppm,   1-hour    (only defined from AQI 101 up)
+     co     ppm,   8-hour
+     so2    ppb,   1-hour    (24-hour values above 304 ppb)
+     no2    ppb,   1-hour
+====================================================== */
+
+const AQI_BREAKPOINTS = {
+  pm25: [
+    { cLow: 0.0, cHigh: 9.0, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 9.1, cHigh: 35.4, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 35.5, cHigh: 55.4, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 55.5, cHigh: 125.4, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 125.5, cHigh: 225.4, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 225.5, cHigh: 325.4, aqiLow: 301, aqiHigh: 500 }
+  ],
+  pm10: [
+    { cLow: 0, cHigh: 54, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 55, cHigh: 154, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 155, cHigh: 254, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 255, cHigh: 354, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 355, cHigh: 424, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 425, cHigh: 604, aqiLow: 301, aqiHigh: 500 }
+  ],
+  o3_8h: [
+    { cLow: 0.000, cHigh: 0.054, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 0.055, cHigh: 0.070, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 0.071, cHigh: 0.085, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 0.086, cHigh: 0.105, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 0.106, cHigh: 0.200, aqiLow: 201, aqiHigh: 300 }
+  ],
+  o3_1h: [
+    { cLow: 0.125, cHigh: 0.164, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 0.165, cHigh: 0.204, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 0.205, cHigh: 0.404, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 0.405, cHigh: 0.604, aqiLow: 301, aqiHigh: 500 }
+  ],
+  co: [
+    { cLow: 0.0, cHigh: 4.4, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 4.5, cHigh: 9.4, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 9.5, cHigh: 12.4, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 12.5, cHigh: 15.4, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 15.5, cHigh: 30.4, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 30.5, cHigh: 50.4, aqiLow: 301, aqiHigh: 500 }
+  ],
+  so2: [
+    { cLow: 0, cHigh: 35, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 36, cHigh: 75, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 76, cHigh: 185, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 186, cHigh: 304, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 305, cHigh: 604, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 605, cHigh: 1004, aqiLow: 301, aqiHigh: 500 }
+  ],
+  no2: [
+    { cLow: 0, cHigh: 53, aqiLow: 0, aqiHigh: 50 },
+    { cLow: 54, cHigh: 100, aqiLow: 51, aqiHigh: 100 },
+    { cLow: 101, cHigh: 360, aqiLow: 101, aqiHigh: 150 },
+    { cLow: 361, cHigh: 649, aqiLow: 151, aqiHigh: 200 },
+    { cLow: 650, cHigh: 1249, aqiLow: 201, aqiHigh: 300 },
+    { cLow: 1250, cHigh: 2049, aqiLow: 301, aqiHigh: 500 }
+  ]
+};
+
+// Decimal places each concentration is truncated to before lookup (EPA rule)
+const TRUNCATION_DECIMALS = {
+  pm25: 1,
+  pm10: 0,
+  o3_8h: 3,
+  o3_1h: 3,
+  co: 1,
+  so2: 0,
+  no2: 0
+};
+
+// Pollutant keys used by getPollutantInfo and the `dominant` field
+const DOMINANT_KEYS = {
+  pm25: 'pm2_5',
+  pm10: 'pm10',
+  o3_8h: 'o3',
+  o3_1h: 'o3',
+  co: 'co',
+  so2: 'so2',
+  no2: 'no2'
+};
+
+// Molecular weights (g/mol) for converting gas concentrations from µg/m³ at 25 °C
+const MOLECULAR_WEIGHTS = {
+  o3: 48.00,
+  no2: 46.01,
+  so2: 64.07,
+  co: 28.01
+};
+const MOLAR_VOLUME = 24.45; // Litres per mole at 25 °C and 1 atm
+
+// Display units for the pollutant fields of an AQI result (`pollutantUnits`).
+// Concentration-based sources report EPA units; AQICN reports per-pollutant sub-indices.
+export const CONCENTRATION_UNITS = {
+  pm25: 'µg/m³',
+  pm10: 'µg/m³',
+  o3: 'ppm',
+  no2: 'ppb',
+  so2: 'ppb',
+  co: 'ppm'
+};
+export const SUB_INDEX_UNITS = {
+  pm25: 'AQI',
+  pm10: 'AQI',
+  o3: 'AQI',
+  no2: 'AQI',
+  so2: 'AQI',
+  co: 'AQI'
+};
+
+// NowCast (EPA, particulates): hours averaged and the lowest allowed weight factor
+export const NOWCAST_HOURS = 12;
+const NOWCAST_MIN_WEIGHT = 0.5;
+
+/* ======================================================
+   AQI CALCULATION (LINEAR INTERPOLATION)
+====================================================== */
+
+/**
+ * Truncate (not round) a concentration to the EPA reporting precision
+ * @param {number} value Concentration
+ * @param {number} decimals Decimal places to keep
+ * @returns {number} Truncated concentration
+ */
+function truncateConcentration(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  // The small offset keeps values like 0.07 from truncating to 0.069 through float error
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+/**
+ * Calculate the AQI sub-index for a single pollutant concentration
+ * @param {string} pollutant Breakpoint key ('pm25', 'pm10', 'o3_8h', 'o3_1h', 'co', 'so2', 'no2')
+ * @param {number} concentration Concentration in the units listed above
+ * @returns {number|null} AQI sub-index (0–500), or null if not computable
+ */
+export function calculatePollutantAQI(pollutant, concentration) {
+  const breakpoints = AQI_BREAKPOINTS[pollutant];
+
+  // Handle unknown pollutants and invalid concentrations
+  if (!breakpoints || concentration == null || isNaN(concentration) || concentration < 0) {
+    return null;
+  }
+
+  const truncated = truncateConcentration(concentration, TRUNCATION_DECIMALS[pollutant]);
+
+  // Find the appropriate breakpoint range
+  for (const bp of breakpoints) {
+    if (truncated >= bp.cLow && truncated <= bp.cHigh) {
+      return Math.round(
+        ((bp.aqiHigh - bp.aqiLow) / (bp.cHigh - bp.cLow)) *
+          (truncated - bp.cLow) +
+          bp.aqiLow
+      );
+    }
+  }
+
+  // If concentration exceeds highest breakpoint, cap at maximum AQI
+  if (truncated > breakpoints[breakpoints.length - 1].cHigh) {
+    // 8-hour ozone above 0.200 ppm has no 8-hour AQI; EPA uses the 1-hour value instead
+    return pollutant === 'o3_8h' ? null : 500;
+  }
+
+  // Below the first range (1-hour ozone under 0.125 ppm) the pollutant does not set the AQI
+  return null;
+}
+
+/**
+ * Calculate the overall AQI from raw pollutant concentrations
+ * The overall AQI is the highest sub-index; that pollutant is reported as dominant.
+ * For ozone, the higher of the 8-hour and 1-hour sub-indices is used.
+ * @param {Object} concentrations Concentrations keyed like AQI_BREAKPOINTS (missing keys are skipped)
+ * @returns {Object|null} { aqi, dominant, subIndices } or null if no pollutant could be rated
+ */
+export function calculateAQIFromConcentrations(concentrations) {
+  const subIndices = {};
+  let aqi = null;
+  let dominant = null;
+
+  Object.keys(AQI_BREAKPOINTS).forEach(pollutant => {
+    const subIndex = calculatePollutantAQI(pollutant, concentrations[pollutant]);
+    if (subIndex === null) return;
+
+    const key = DOMINANT_KEYS[pollutant];
+    subIndices[key] = Math.max(subIndices[key] ?? 0, subIndex);
+
+    if (aqi === null || subIndex > aqi) {
+      aqi = subIndex;
+      dominant = key;
+    }
+  });
+
+  if (aqi === null) {
+    return null;
+  }
+
+  return { aqi, dominant, subIndices };
+}
+
+/**
+ * Convert a gas concentration from µg/m³ to the units the EPA breakpoints use
+ * (ppm for O₃ and CO, ppb for NO₂ and SO₂). Particulates are returned unchanged.
+ * @param {string} pollutant Pollutant ('pm25', 'pm10', 'o3', 'co', 'so2', 'no2')
+ * @param {number} microgramsPerCubicMetre Concentration in µg/m³
+ * @returns {number|null} Concentration in EPA units
+ */
+export function convertToEPAUnits(pollutant, microgramsPerCubicMetre) {
+  if (microgramsPerCubicMetre == null) {
+    return null;
+  }
+
+  const molecularWeight = MOLECULAR_WEIGHTS[pollutant];
+  if (!molecularWeight) {
+    return microgramsPerCubicMetre;
+  }
+
+  const ppb = microgramsPerCubicMetre * MOLAR_VOLUME / molecularWeight;
+  return pollutant === 'o3' || pollutant === 'co' ? ppb / 1000 : ppb;
+}
+
+/**
+ * Convert a sub-index back to a concentration by inverting the breakpoint
+ * interpolation. Used to recover approximate concentrations from sources
+ * that only report sub-indices (e.g. AQICN).
+ * @param {string} pollutant Breakpoint key ('pm25', 'pm10', ...)
+ * @param {number} aqi Sub-index (0–500)
+ * @returns {number|null} Concentration in the breakpoint units, or null if not invertible
+ */
+export function calculateConcentrationFromAQI(pollutant, aqi) {
+  const breakpoints = AQI_BREAKPOINTS[pollutant];
+
+  if (!breakpoints || aqi == null || isNaN(aqi) || aqi < 0) {
+    return null;
+  }
+
+  // Sub-indices are whole numbers; round so values like 50.5 don't fall between ranges
+  const rounded = Math.round(aqi);
+  const bp = breakpoints.find(range => rounded >= range.aqiLow && rounded <= range.aqiHigh);
+
+  if (!bp) {
+    // Above the top range (capped at 500) or below the first range (1-hour ozone)
+    return rounded > breakpoints[breakpoints.length - 1].aqiHigh
+      ? breakpoints[breakpoints.length - 1].cHigh
+      : null;
+  }
+
+  return ((rounded - bp.aqiLow) * (bp.cHigh - bp.cLow)) / (bp.aqiHigh - bp.aqiLow) + bp.cLow;
+}
+
+/* ======================================================
+   NOWCAST (EPA, PM2.5 / PM10)
+   ------------------------------------------------------
+   Weighted average of the last 12 hourly concentrations.
+   The weight factor is 1 − (max − min) / max over those
+   hours, but never below 0.5, so a steady air mass is
+   averaged over the full 12 hours while a rapidly
+   changing one follows the most recent hours.
+====================================================== */
+
+/**
+ * Calculate the NowCast concentration from hourly readings
+ * @param {Array<number|null>} hourlyConcentrations Hourly averages, most recent hour first
+ *   (missing hours as null; only the first 12 are used)
+ * @returns {number|null} NowCast concentration, or null if fewer than 2 of the 3 most recent hours are valid
+ */
+export function calculateNowCast(hourlyConcentrations) {
+  const hours = hourlyConcentrations.slice(0, NOWCAST_HOURS);
+  const isValid = value => value != null && !isNaN(value) && value >= 0;
+
+  if (hours.slice(0, 3).filter(isValid).length < 2) {
+    return null;
+  }
+
+  const valid = hours.filter(isValid);
+  const max = Math.max(...valid);
+  const min = Math.min(...valid);
+  const weight = max > 0 ? Math.max(1 - (max - min) / max, NOWCAST_MIN_WEIGHT) : 1;
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  hours.forEach((value, index) => {
+    if (!isValid(value)) return;
+    const hourWeight = Math.pow(weight, index);
+    weightedSum += hourWeight * value;
+    weightTotal += hourWeight;
+  });
+
+  return weightedSum / weightTotal;
+}
@@ -0,0 +1,513 @@
+/**
+ * aqiProviders.js
+ * --------------------------------------------
+ * Air quality provider adapters used by aqiService.
+ *
+ * Every provider exposes the same interface:
+ *
+ *   {
+ *     id: 'openaq',             // Used in VITE_AQI_PROVIDERS and setAQIProviderOrder
+ *     name: 'OpenAQ',           // Shown as the data source
+ *     requiresApiKey: true,     // Skipped in the chain when no key is configured
+ *     fetchAQI: async (lat, lon, { apiKey, fetchJSON }) => result
+ *   }
+ *
+ * `fetchAQI` resolves to the normalised AQI shape used across the app
+ * ({ aqi, pm25, pm10, o3, no2, so2, co, dominant, source, ... }) or throws
+ * when the provider has no usable data for the location. All HTTP goes
+ * through the injected `fetchJSON`, so adapters can be exercised offline
+ * against recorded responses (see test-aqi-providers.js).
+ */
+
+import {
+  calculateAQIFromConcentrations,
+  convertToEPAUnits,
+  CONCENTRATION_UNITS,
+  SUB_INDEX_UNITS
+} from './aqiCalculator.js';
+
+/* ======================================================
+   SHARED HELPERS
+====================================================== */
+
+/**
+ * Fetch a URL and parse the JSON body, turning HTTP errors into readable messages
+ * @param {string} url Request URL
+ * @param {Object} options Options object
+ * @param {Object} options.headers Request headers
+ * @param {string} options.label Provider name used in error messages
+ * @returns {Promise<Object>} Parsed response body
+ */
+export async function fetchJSON(url, { headers = {}, label = 'Air quality provider' } = {}) {
+  const response = await fetch(url, { headers });
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`${label} API authentication failed. Verify your API key is correct and active.`);
+    }
+    if (response.status === 429) {
+      throw new Error(`${label} API rate limit exceeded. Please try again later.`);
+    }
+    throw new Error(`Failed to fetch AQI data from ${label} (Status: ${response.status})`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Convert a reported concentration to the units the EPA breakpoints use
+ * @param {string} pollutant Pollutant ('pm25', 'pm10', 'o3', 'no2', 'so2', 'co')
+ * @param {number} value Reported value
+ * @param {string} units Reported units ('µg/m³', 'ppm' or 'ppb')
+ * @returns {number|null} Concentration in EPA units, or null for unknown units
+ */
+function toEPAUnits(pollutant, value, units) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return null;
+  }
+
+  // Open-Meteo writes µ with the Greek letter mu, OpenAQ with the micro sign
+  const normalisedUnits = String(units).replace('μ', 'µ').toLowerCase();
+  // EPA rates O₃ and CO in ppm, NO₂ and SO₂ in ppb
+  const epaInPPM = pollutant === 'o3' || pollutant === 'co';
+
+  if (normalisedUnits === 'µg/m³') return convertToEPAUnits(pollutant, value);
+  if (normalisedUnits === 'ppm') return epaInPPM ? value : value * 1000;
+  if (normalisedUnits === 'ppb') return epaInPPM ? value / 1000 : value;
+  return null;
+}
+
+/**
+ * Build the normalised AQI result from concentrations in EPA units
+ * Providers report current (hourly) values, so they stand in for the 24-hour
+ * and 8-hour averages the breakpoints are defined on.
+ * @param {Object} concentrations { pm25, pm10, o3, no2, so2, co } in EPA units (null if unmeasured)
+ * @param {Object} metadata Extra fields (source, cityName, attribution, ...)
+ * @returns {Object} Normalised AQI data
+ */
+function buildConcentrationResult(concentrations, metadata) {
+  const { pm25 = null, pm10 = null, o3 = null, no2 = null, so2 = null, co = null } = concentrations;
+
+  const calculated = calculateAQIFromConcentrations({
+    pm25,
+    pm10,
+    o3_8h: o3,
+    o3_1h: o3,
+    no2,
+    so2,
+    co
+  });
+
+  if (!calculated) {
+    throw new Error(`Cannot calculate AQI - no rated pollutants in ${metadata.source} response`);
+  }
+
+  return {
+    aqi: calculated.aqi,
+    pm25,
+    pm10,
+    pm25AQI: calculated.subIndices.pm2_5 ?? null,
+    pm10AQI: calculated.subIndices.pm10 ?? null,
+    o3,
+    no2,
+    so2,
+    co,
+    pollutantUnits: CONCENTRATION_UNITS,
+    dominant: calculated.dominant,
+    subIndices: calculated.subIndices,
+    timestamp: Date.now(),
+    isEstimate: false,
+    hasData: true,
+    cityName: null,
+    cityUrl: null,
+    attribution: null,
+    forecast: null,
+    pmHistory: null,
+    ...metadata
+  };
+}
+
+/* ======================================================
+   AQICN (World Air Quality Index)
+====================================================== */
+
+export const aqicnProvider = {
+  id: 'aqicn',
+  name: 'AQICN',
+  requiresApiKey: true,
+
+  /**
+   * Fetch the nearest AQICN station feed directly (exposes the token to the browser)
+   * @param {number} lat Latitude
+   * @param {number} lon Longitude
+   * @param {Object} context { apiKey, fetchJSON }
+   * @returns {Promise<Object>} Normalised AQI data
+   */
+  async fetchAQI(lat, lon, { apiKey, fetchJSON: request = fetchJSON }) {
+    const url = `https://api.waqi.info/feed/geo:${lat};${lon}/?token=${apiKey}`;
+    const data = await request(url, { label: 'AQICN' });
+
+    if (data.status !== 'ok' || !data.data) {
+      throw new Error('Invalid AQI data received from AQICN');
+    }
+
+    return parseAQICNFeed(data.data);
+  }
+};
+
+/**
+ * Create an AQICN provider that goes through the backend's /api/aqi proxy,
+ * which holds the token and shares a cache between visitors
+ * @param {string} backendUrl Backend base URL
+ * @returns {Object} Provider
+ */
+export function createAQICNProxyProvider(backendUrl) {
+  return {
+    id: 'aqicn',
+    name: 'AQICN',
+    requiresApiKey: false,
+
+    /**
+     * Fetch the nearest AQICN station feed through the backend proxy
+     * @param {number} lat Latitude
+     * @param {number} lon Longitude
+     * @param {Object} context { fetchJSON }
+     * @returns {Promise<Object>} Normalised AQI data
+     */
+    async fetchAQI(lat, lon, { fetchJSON: request = fetchJSON }) {
+      const body = await request(`${backendUrl}/api/aqi?lat=${lat}&lon=${lon}`, { label: 'AQICN proxy' });
+
+      if (!body.success || !body.data) {
+        throw new Error(body.message || 'Invalid AQI data received from AQICN proxy');
+      }
+
+      return {
+        ...parseAQICNFeed(body.data),
+        // Age from when the backend fetched it, so shared cache entries are judged correctly
+        timestamp: body.fetchedAt || Date.now()
+      };
+    }
+  };
+}
+
+/**
+ * Normalise the `data` object of an AQICN geo feed
+ * AQICN reports per-pollutant sub-indices rather than concentrations,
+ * so its overall AQI is used as-is.
+ * @param {Object} aqicnData Feed data
+ * @returns {Object} Normalised AQI data
+ */
+function parseAQICNFeed(aqicnData) {
+  // AQICN returns the overall AQI directly
+  const overallAQI = aqicnData.aqi;
+
+  if (overallAQI === null || overallAQI === undefined || overallAQI === '-') {
+    throw new Error('Cannot calculate AQI - AQI data is missing from API response');
+  }
+
+  // Extract pollutant values from iaqi (Individual Air Quality Index)
+  // Note: These are already AQI values (not raw concentrations in µg/m³)
+  const iaqi = aqicnData.iaqi || {};
+
+  const pm25 = iaqi.pm25?.v ?? null;
+  const pm10 = iaqi.pm10?.v ?? null;
+  const o3 = iaqi.o3?.v ?? null;
+  const no2 = iaqi.no2?.v ?? null;
+  const so2 = iaqi.so2?.v ?? null;
+  const co = iaqi.co?.v ?? null;
+
+  const subIndices = {};
+  [['pm2_5', pm25], ['pm10', pm10], ['o3', o3], ['no2', no2], ['so2', so2], ['co', co]]
+    .forEach(([key, value]) => {
+      if (value !== null) subIndices[key] = value;
+    });
+
+  // Get dominant pollutant from AQICN (they provide it directly)
+  // Note: AQICN API uses the spelling "dominentpol" (their typo, not ours)
+  // If it is missing, pick the pollutant with the highest sub-index as EPA does
+  let dominant = aqicnData.dominentpol ||
+    Object.keys(subIndices).reduce((best, key) => (best === null || subIndices[key] > subIndices[best] ? key : best), null) ||
+    'pm2_5';
+
+  // Normalize dominant pollutant name to match our convention
+  if (dominant === 'pm25') {
+    dominant = 'pm2_5';
+  }
+
+  // Extract city information and metadata
+  const cityInfo = aqicnData.city || {};
+  const attribution = aqicnData.attributions || [];
+
+  return {
+    aqi: overallAQI, // Exact numeric value (0-500 scale)
+    pm25,
+    pm10,
+    pm25AQI: pm25, // Exact numeric PM2.5 AQI
+    pm10AQI: pm10, // Exact numeric PM10 AQI
+    o3,
+    no2,
+    so2,
+    co,
+    pollutantUnits: SUB_INDEX_UNITS,
+    dominant,
+    subIndices,
+    timestamp: Date.now(),
+    source: 'AQICN',
+    isEstimate: false,
+    hasData: true,
+    cityName: cityInfo.name || null,
+    cityUrl: cityInfo.url || null,
+    attribution: attribution.length > 0 ? attribution : null,
+    forecast: parseAQICNForecast(aqicnData.forecast),
+    pmHistory: null
+  };
+}
+
+// AQICN forecast keys and the pollutant keys used elsewhere in the app
+const AQICN_FORECAST_POLLUTANTS = {
+  pm25: 'pm2_5',
+  pm10: 'pm10',
+  o3: 'o3'
+};
+
+/**
+ * Normalise AQICN's daily forecast block into one entry per day
+ * AQICN forecasts per-pollutant sub-indices (avg/min/max) plus the UV index.
+ * A day's AQI is the highest average sub-index, like the current AQI.
+ * @param {Object} forecast The feed's `forecast` object
+ * @returns {Array<Object>|null} [{ date, aqi, dominant, pollutants, uvi }] sorted by date, or null
+ */
+function parseAQICNForecast(forecast) {
+  const daily = forecast?.daily;
+  if (!daily) {
+    return null;
+  }
+
+  const days = new Map();
+  const dayFor = (date) => {
+    if (!days.has(date)) {
+      days.set(date, { date, aqi: null, dominant: null, pollutants: {}, uvi: null });
+    }
+    return days.get(date);
+  };
+
+  Object.entries(AQICN_FORECAST_POLLUTANTS).forEach(([aqicnKey, pollutant]) => {
+    (daily[aqicnKey] || []).forEach(({ day, avg, min, max }) => {
+      if (!day || typeof avg !== 'number') return;
+      const entry = dayFor(day);
+      entry.pollutants[pollutant] = { avg, min, max };
+      if (entry.aqi === null || avg > entry.aqi) {
+        entry.aqi = avg;
+        entry.dominant = pollutant;
+      }
+    });
+  });
+
+  (daily.uvi || []).forEach(({ day, avg, min, max }) => {
+    if (!day || typeof avg !== 'number') return;
+    dayFor(day).uvi = { avg, min, max };
+  });
+
+  const series = [...days.values()]
+    .filter(entry => entry.aqi !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return series.length > 0 ? series : null;
+}
+
+/* ======================================================
+   OPENAQ (v3)
+====================================================== */
+
+const OPENAQ_API_URL = 'https://api.openaq.org/v3';
+const OPENAQ_SEARCH_RADIUS = 25000; // Metres (the API maximum)
+const OPENAQ_MAX_AGE = 86400000; // Ignore stations that haven't reported for a day
+const OPENAQ_PARAMETERS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+export const openAQProvider = {
+  id: 'openaq',
+  name: 'OpenAQ',
+  requiresApiKey: true,
+
+  /**
+   * Fetch the latest measurements from the nearest OpenAQ station with particulate sensors
+   * @param {number} lat Latitude
+   * @param {number} lon Longitude
+   * @param {Object} context { apiKey, fetchJSON, now } (`now` is the time stations are judged active against)
+   * @returns {Promise<Object>} Normalised AQI data
+   */
+  async fetchAQI(lat, lon, { apiKey, fetchJSON: request = fetchJSON, now = Date.now() }) {
+    const options = { headers: { 'X-API-Key': apiKey }, label: 'OpenAQ' };
+
+    const locations = await request(
+      `${OPENAQ_API_URL}/locations?coordinates=${lat},${lon}&radius=${OPENAQ_SEARCH_RADIUS}&limit=20`,
+      options
+    );
+
+    const station = (locations.results || [])
+      .filter(location => {
+        const lastSeen = Date.parse(location.datetimeLast?.utc);
+        const hasParticulates = (location.sensors || [])
+          .some(sensor => sensor.parameter?.name === 'pm25' || sensor.parameter?.name === 'pm10');
+        return hasParticulates && !isNaN(lastSeen) && now - lastSeen < OPENAQ_MAX_AGE;
+      })
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))[0];
+
+    if (!station) {
+      throw new Error(`No active OpenAQ station within ${OPENAQ_SEARCH_RADIUS / 1000} km`);
+    }
+
+    const latest = await request(`${OPENAQ_API_URL}/locations/${station.id}/latest`, options);
+
+    // Latest values are keyed by sensor; the station listing says what each sensor measures
+    const sensorsById = new Map((station.sensors || []).map(sensor => [sensor.id, sensor.parameter]));
+    const concentrations = {};
+
+    (latest.results || []).forEach(measurement => {
+      const parameter = sensorsById.get(measurement.sensorsId);
+      if (!parameter || !OPENAQ_PARAMETERS.includes(parameter.name)) return;
+      if (concentrations[parameter.name] !== undefined) return;
+
+      const value = toEPAUnits(parameter.name, measurement.value, parameter.units);
+      // Negative readings are sensor noise around zero
+      if (value !== null) {
+        concentrations[parameter.name] = Math.max(0, value);
+      }
+    });
+
+    return buildConcentrationResult(concentrations, {
+      source: 'OpenAQ',
+      cityName: [station.name, station.locality].filter(Boolean).join(', ') || null,
+      cityUrl: `https://explore.openaq.org/locations/${station.id}`,
+      attribution: [
+        { name: station.provider?.name || 'OpenAQ', url: 'https://openaq.org/' }
+      ]
+    });
+  }
+};
+
+/* ======================================================
+   OPEN-METEO AIR QUALITY (CAMS model, no key needed)
+====================================================== */
+
+const OPEN_METEO_AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Open-Meteo variable name for each pollutant
+const OPEN_METEO_VARIABLES = {
+  pm25: 'pm2_5',
+  pm10: 'pm10',
+  o3: 'ozone',
+  no2: 'nitrogen_dioxide',
+  so2: 'sulphur_dioxide',
+  co: 'carbon_monoxide'
+};
+
+/**
+ * Extract the past day of hourly particulate concentrations (for NowCast)
+ * Open-Meteo reports hourly times in the location's time zone without an offset.
+ * @param {Object} data Open-Meteo response with `hourly` pm2_5/pm10 and `current`
+ * @returns {Array<Object>|null} [{ time, pm25, pm10 }] up to the current hour, oldest first
+ */
+function parseOpenMeteoPMHistory(data) {
+  const hourly = data.hourly;
+  if (!hourly?.time || (!hourly.pm2_5 && !hourly.pm10)) {
+    return null;
+  }
+
+  const offsetMs = (data.utc_offset_seconds || 0) * 1000;
+  const toTimestamp = localTime => Date.parse(`${localTime}Z`) - offsetMs;
+  const currentTime = data.current?.time ? toTimestamp(data.current.time) : Infinity;
+
+  const history = hourly.time
+    .map((time, index) => ({
+      time: toTimestamp(time),
+      pm25: hourly.pm2_5?.[index] ?? null,
+      pm10: hourly.pm10?.[index] ?? null
+    }))
+    .filter(entry => entry.time <= currentTime && (entry.pm25 !== null || entry.pm10 !== null));
+
+  return history.length > 0 ? history : null;
+}
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+  requiresApiKey: false,
+
+  /**
+   * Fetch current modelled concentrations from the Open-Meteo air-quality API,
+   * plus the past day of hourly particulates for NowCast
+   * @param {number} lat Latitude
+   * @param {number} lon Longitude
+   * @param {Object} context { fetchJSON }
+   * @returns {Promise<Object>} Normalised AQI data
+   */
+  async fetchAQI(lat, lon, { fetchJSON: request = fetchJSON }) {
+    const variables = Object.values(OPEN_METEO_VARIABLES).join(',');
+    const data = await request(
+      `${OPEN_METEO_AIR_QUALITY_URL}?latitude=${lat}&longitude=${lon}&current=${variables}` +
+        '&hourly=pm2_5,pm10&past_days=1&forecast_days=1&timezone=auto',
+      { label: 'Open-Meteo' }
+    );
+
+    if (!data.current) {
+      throw new Error('Invalid AQI data received from Open-Meteo');
+    }
+
+    const concentrations = {};
+    Object.entries(OPEN_METEO_VARIABLES).forEach(([pollutant, variable]) => {
+      concentrations[pollutant] = toEPAUnits(
+        pollutant,
+        data.current[variable],
+        data.current_units?.[variable] || 'µg/m³'
+      );
+    });
+
+    return buildConcentrationResult(concentrations, {
+      source: 'Open-Meteo',
+      pmHistory: parseOpenMeteoPMHistory(data),
+      attribution: [
+        { name: 'Open-Meteo Air Quality API (CAMS)', url: 'https://open-meteo.com/en/docs/air-quality-api' }
+      ]
+    });
+  }
+};
+
+/* ======================================================
+   FALLBACK CHAIN
+====================================================== */
+
+export const DEFAULT_AQI_PROVIDERS = [aqicnProvider, openAQProvider, openMeteoProvider];
+
+/**
+ * Try providers in order and return the first successful result
+ * Providers that need a key are skipped when none is configured.
+ * @param {number} lat Latitude
+ * @param {number} lon Longitude
+ * @param {Array<Object>} providers Providers in priority order
+ * @param {Object} options Options object
+ * @param {Object} options.apiKeys API keys by provider id
+ * @param {Function} options.fetchJSON JSON fetcher (defaults to the network)
+ * @returns {Promise<Object|null>} Normalised AQI data, or null if every provider failed
+ */
+export async function fetchFromProviders(lat, lon, providers, { apiKeys = {}, fetchJSON: request = fetchJSON } = {}) {
+  for (const provider of providers) {
+    const apiKey = apiKeys[provider.id];
+
+    if (provider.requiresApiKey && !apiKey) {
+      console.log(`[AQI Service] Skipping ${provider.name} (no API key configured)`);
+      continue;
+    }
+
+    try {
+      console.log(`[AQI Service] Fetching AQI data from ${provider.name} for coordinates: ${lat}, ${lon}`);
+      const result = await provider.fetchAQI(lat, lon, { apiKey, fetchJSON: request });
+      console.log(`[AQI Service] Successfully fetched and calculated exact numeric AQI: ${result.aqi}`);
+      return result;
+    } catch (error) {
+      console.warn(`[AQI Service] ${provider.name} failed: ${error.message}`);
+    }
+  }
+
+  return null;
+}
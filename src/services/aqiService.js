@@ -1,8 +1,10 @@
 /**
  * aqiService.js
  * --------------------------------------------
- * Calculates REAL (US EPA) AQI (0–500) using
- * PM2.5 and PM10 data from AQICN (World Air Quality Index).
+ * Calculates REAL (US EPA) AQI (0–500) from a chain of
+ * air quality providers (AQICN, OpenAQ, Open-Meteo), computing
+ * it from raw pollutant concentrations via the EPA breakpoint
+ * tables where a provider doesn't report AQI directly.
  * 
  * Provides exact numeric AQI values (not labels) and detailed
  * air quality information for stargazing locations.
@@ -13,23 +15,77 @@
    ------------------------------------------------------
    DO NOT hardcode your API token here.
 
-   Instead, set it as an environment variable in .env file:
+   With the backend running, keep the token on the server
+   (server/.env) and point the frontend at it:
+
+   AQICN_TOKEN=your_api_token_here          (server/.env)
+   VITE_BACKEND_URL=http://localhost:3001   (.env)
+
+   AQICN requests then go through /api/aqi and the token never
+   reaches the browser. Without a backend, VITE_AQICN_TOKEN still
+   works, but it is bundled into the client code:
 
    VITE_AQICN_TOKEN=your_api_token_here
 
    Get your free API token at: https://aqicn.org/data-platform/token/
    Free tier includes: 1,000 calls/minute with rate limits
+
+   Optional:
+   VITE_OPENAQ_API_KEY=your_openaq_key   (https://explore.openaq.org/register)
+   VITE_AQI_PROVIDERS=aqicn,openaq,open-meteo   (fallback order)
+
+   Open-Meteo needs no key, so real data is available even
+   when no token is configured.
 ====================================================== */
 
-// Load AQICN API token from environment variables (configured in .env file)
+import {
+  calculatePollutantAQI,
+  calculateAQIFromConcentrations,
+  calculateConcentrationFromAQI,
+  calculateNowCast,
+  convertToEPAUnits,
+  CONCENTRATION_UNITS,
+  NOWCAST_HOURS
+} from './aqiCalculator.js';
+import { DEFAULT_AQI_PROVIDERS, createAQICNProxyProvider, fetchFromProviders } from './aqiProviders.js';
+import { getLightPollution } from './lightPollutionService';
+
+// Concentration→AQI helpers are part of this service's public API
+export { calculatePollutantAQI, calculateAQIFromConcentrations, calculateNowCast, convertToEPAUnits };
+
+// Load provider API keys from environment variables (configured in .env file)
 // SECURITY: Never hardcode the token here - always use environment variables
-const AQICN_TOKEN = import.meta.env.VITE_AQICN_TOKEN;
+const providerApiKeys = {
+  aqicn: import.meta.env.VITE_AQICN_TOKEN,
+  openaq: import.meta.env.VITE_OPENAQ_API_KEY
+};
+
+// When a backend is configured, AQICN goes through its /api/aqi proxy instead
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL;
+
+// Providers are tried in this order until one returns data (ids from aqiProviders.js)
+const DEFAULT_PROVIDER_ORDER = 'aqicn,openaq,open-meteo';
+const AQI_PROVIDER_ORDER = import.meta.env.VITE_AQI_PROVIDERS;
 
 /* Cache for AQI data to reduce API calls */
 const aqiCache = new Map();
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
 const STALE_THRESHOLD = 10800000; // 3 hours in milliseconds
 
+// Night-light estimate: natural zenith brightness (mag/arcsec²), PM2.5 at a dark site,
+// and extra PM2.5 per tenfold increase in artificial sky brightness (µg/m³)
+const NATURAL_SKY_SQM = 22.0;
+const ESTIMATE_BACKGROUND_PM25 = 5;
+const ESTIMATE_PM25_PER_DECADE = 4;
+
+/* Hourly particulate history per cache key, for NowCast and the 24-hour trend */
+const aqiHistory = new Map();
+const HOUR = 3600000; // 1 hour in milliseconds
+const HISTORY_RETENTION = 86400000; // 24 hours in milliseconds
+
+// Particulate AQI above which forecast days are flagged as hazy (Unhealthy for Sensitive Groups and up)
+const TRANSPARENCY_AQI_THRESHOLD = 100;
+
 /* ======================================================
    AQI CATEGORY DEFINITIONS (US EPA STANDARD)
    Returns exact numeric AQI values with category metadata
@@ -44,7 +100,7 @@ const AQI_CATEGORIES = [
     description: 'Air quality is satisfactory, and air pollution poses little or no risk.',
     breathingQuality: 'Excellent',
     healthImplications: 'Air quality is considered satisfactory. Outdoor activities are safe for everyone.',
-    stargazingImpact: 'Excellent visibility. Ideal conditions for stargazing with minimal atmospheric interference.'
+    stargazingImpact: 'Little haze near the ground. Smoke or dust higher up is not measured here - check the aerosol reading before relying on transparency.'
   },
   {
     min: 51,
@@ -148,66 +204,87 @@ const POLLUTANT_INFO = {
 };
 
 /* ======================================================
-   AQI BREAKPOINT TABLES (US EPA STANDARD)
+   PROVIDER REGISTRY + FALLBACK ORDER
 ====================================================== */
 
-const AQI_BREAKPOINTS = {
-  pm25: [
-    { cLow: 0.0, cHigh: 12.0, aqiLow: 0, aqiHigh: 50 },
-    { cLow: 12.1, cHigh: 35.4, aqiLow: 51, aqiHigh: 100 },
-    { cLow: 35.5, cHigh: 55.4, aqiLow: 101, aqiHigh: 150 },
-    { cLow: 55.5, cHigh: 150.4, aqiLow: 151, aqiHigh: 200 },
-    { cLow: 150.5, cHigh: 250.4, aqiLow: 201, aqiHigh: 300 },
-    { cLow: 250.5, cHigh: 350.4, aqiLow: 301, aqiHigh: 400 },
-    { cLow: 350.5, cHigh: 500.4, aqiLow: 401, aqiHigh: 500 }
-  ],
-  pm10: [
-    { cLow: 0, cHigh: 54, aqiLow: 0, aqiHigh: 50 },
-    { cLow: 55, cHigh: 154, aqiLow: 51, aqiHigh: 100 },
-    { cLow: 155, cHigh: 254, aqiLow: 101, aqiHigh: 150 },
-    { cLow: 255, cHigh: 354, aqiLow: 151, aqiHigh: 200 },
-    { cLow: 355, cHigh: 424, aqiLow: 201, aqiHigh: 300 },
-    { cLow: 425, cHigh: 504, aqiLow: 301, aqiHigh: 400 },
-    { cLow: 505, cHigh: 604, aqiLow: 401, aqiHigh: 500 }
-  ]
-};
+const providerRegistry = new Map(DEFAULT_AQI_PROVIDERS.map(provider => [provider.id, provider]));
 
-/* ======================================================
-   AQI CALCULATION (LINEAR INTERPOLATION)
-====================================================== */
+if (BACKEND_URL) {
+  providerRegistry.set('aqicn', createAQICNProxyProvider(BACKEND_URL));
+}
 
-function _calculateAQI(concentration, breakpoints) {
-  // Handle invalid or zero concentrations
-  if (concentration == null || concentration < 0) {
-    return null;
-  }
+let providerOrder = parseProviderOrder(AQI_PROVIDER_ORDER);
 
-  // Find the appropriate breakpoint range
-  for (const bp of breakpoints) {
-    if (concentration >= bp.cLow && concentration <= bp.cHigh) {
-      return Math.round(
-        ((bp.aqiHigh - bp.aqiLow) / (bp.cHigh - bp.cLow)) *
-          (concentration - bp.cLow) +
-          bp.aqiLow
-      );
+/**
+ * Parse a comma-separated provider list, dropping unknown ids
+ * @param {string} value Provider ids, e.g. 'aqicn,openaq,open-meteo'
+ * @returns {Array<string>} Known provider ids in order
+ */
+function parseProviderOrder(value) {
+  const ids = String(value || DEFAULT_PROVIDER_ORDER)
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const known = ids.filter(id => {
+    if (!providerRegistry.has(id)) {
+      console.warn(`[AQI Service] Unknown AQI provider "${id}" ignored`);
+      return false;
     }
+    return true;
+  });
+
+  return known.length > 0 ? known : DEFAULT_PROVIDER_ORDER.split(',');
+}
+
+/**
+ * Register an additional air quality provider (see aqiProviders.js for the interface)
+ * Registering an existing id replaces that provider. New providers are appended
+ * to the fallback order unless it is set explicitly.
+ * @param {Object} provider Provider with id, name, requiresApiKey and fetchAQI
+ * @param {string} apiKey API key for the provider, if it needs one
+ */
+export function registerAQIProvider(provider, apiKey) {
+  if (!provider?.id || typeof provider.fetchAQI !== 'function') {
+    throw new Error('AQI providers need an id and a fetchAQI function');
   }
 
-  // If concentration exceeds highest breakpoint, cap at maximum AQI
-  if (concentration > breakpoints[breakpoints.length - 1].cHigh) {
-    return 500; // Maximum AQI value
+  providerRegistry.set(provider.id, provider);
+  if (apiKey) {
+    providerApiKeys[provider.id] = apiKey;
+  }
+  if (!providerOrder.includes(provider.id)) {
+    providerOrder = [...providerOrder, provider.id];
   }
+}
 
-  // If we somehow didn't match any range, return null
-  return null;
+/**
+ * Set the priority order of the fallback chain and clear cached results
+ * @param {Array<string>|string} order Provider ids, as an array or comma-separated string
+ */
+export function setAQIProviderOrder(order) {
+  providerOrder = parseProviderOrder(Array.isArray(order) ? order.join(',') : order);
+  aqiCache.clear();
 }
 
-/* ======================================================
-   FETCH + COMPUTE EXACT AQI
-====================================================== */
+/**
+ * Get the providers in the current fallback order
+ * @returns {Array<Object>} { id, name, requiresApiKey, configured } per provider
+ */
+export function getAQIProviders() {
+  return providerOrder.map(id => {
+    const provider = providerRegistry.get(id);
+    return {
+      id,
+      name: provider.name,
+      requiresApiKey: provider.requiresApiKey,
+      configured: !provider.requiresApiKey || Boolean(providerApiKeys[id])
+    };
+  });
+}
 
 /**
- * Fetch AQI from AQICN and compute exact numeric AQI value
+ * Fetch AQI from the configured providers in priority order
  * @param {number} lat Latitude
  * @param {number} lon Longitude
  * @returns {Object} AQI details with exact numeric values
@@ -218,134 +295,275 @@ async function fetchAQIFromAPI(lat, lon) {
     throw new Error('Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.');
   }
 
-  if (!AQICN_TOKEN) {
-    console.warn('[AQI Service] AQICN API token not configured. Using mock data.');
-    return null;
+  const providers = providerOrder.map(id => providerRegistry.get(id));
+  const aqiData = await fetchFromProviders(lat, lon, providers, { apiKeys: providerApiKeys });
+
+  if (!aqiData) {
+    throw new Error(`No AQI provider returned data (tried: ${providerOrder.join(', ')})`);
   }
 
-  const url = `https://api.waqi.info/feed/geo:${lat};${lon}/?token=${AQICN_TOKEN}`;
+  return aqiData;
+}
 
-  console.log(`[AQI Service] Fetching AQI data from AQICN for coordinates: ${lat}, ${lon}`);
+/* ======================================================
+   ESTIMATES & NO-DATA RESULTS
+   ------------------------------------------------------
+   When no provider has data, the AQI is estimated from
+   night-light sky brightness: artificial light tracks
+   population and traffic, which track particulate
+   emissions. The estimate is deterministic (a site always
+   gets the same value) and flagged with isEstimate, and
+   callers must not rank or score sites on it as if it were
+   measured. Where the light pollution is itself only a
+   geographic guess, an explicit no-data result is returned.
+====================================================== */
 
-  const response = await fetch(url);
+/**
+ * Build a result for a location with no air quality data
+ * @returns {Object} AQI result with aqi null and hasData false
+ */
+function createNoDataAQI() {
+  return {
+    aqi: null,
+    pm25: null,
+    pm10: null,
+    pm25AQI: null,
+    pm10AQI: null,
+    o3: null,
+    no2: null,
+    so2: null,
+    co: null,
+    pollutantUnits: CONCENTRATION_UNITS,
+    dominant: null,
+    subIndices: {},
+    timestamp: Date.now(),
+    source: null,
+    forecast: null,
+    hasData: false,
+    isEstimate: false,
+    isStale: false,
+    aqiInstant: null,
+    aqiNowCast: null,
+    aqiMethod: null,
+    nowCast: null,
+    hourlyHistory: []
+  };
+}
 
-  if (!response.ok) {
-    if (response.status === 401) {
-      console.error('[AQI Service] API authentication failed. Check your API token.');
-      throw new Error('AQICN API authentication failed. Verify your API token is correct and active.');
-    }
-    if (response.status === 429) {
-      console.error('[AQI Service] API rate limit exceeded.');
-      throw new Error('AQICN API rate limit exceeded. Please try again later.');
-    }
-    throw new Error(`Failed to fetch AQI data from AQICN (Status: ${response.status})`);
+/**
+ * Estimate AQI from the modelled night-light sky brightness
+ * @param {number} lat Latitude
+ * @param {number} lon Longitude
+ * @returns {Promise<Object>} Estimated AQI data, or a no-data result if the site has no light model
+ */
+async function estimateAQI(lat, lon) {
+  let lightData = null;
+  try {
+    lightData = await getLightPollution(lat, lon);
+  } catch (error) {
+    console.warn('[AQI Service] Light pollution unavailable for AQI estimate:', error.message);
   }
 
-  const data = await response.json();
-
-  if (data.status !== 'ok' || !data.data) {
-    throw new Error('Invalid AQI data received from AQICN');
+  // Don't stack one guess on another: the heuristic light estimate is not a basis
+  if (!lightData || lightData.source === 'Estimated' || typeof lightData.sqm !== 'number') {
+    console.warn('[AQI Service] No AQI data and no night-light model for this location');
+    return createNoDataAQI();
   }
 
-  const aqicnData = data.data;
+  // Artificial brightness relative to the natural sky (0 at pristine sites)
+  const artificialRatio = Math.max(0, Math.pow(10, (NATURAL_SKY_SQM - lightData.sqm) / 2.5) - 1);
+  const pm25 = Math.round((ESTIMATE_BACKGROUND_PM25 + ESTIMATE_PM25_PER_DECADE * Math.log10(1 + artificialRatio)) * 10) / 10; // µg/m³
+  const pm10 = Math.round(pm25 * 1.6); // µg/m³, typical coarse-to-fine ratio
 
-  // AQICN returns the overall AQI directly
-  const overallAQI = aqicnData.aqi;
-  
-  if (overallAQI === null || overallAQI === undefined || overallAQI === '-') {
-    throw new Error('Cannot calculate AQI - AQI data is missing from API response');
-  }
+  // Derive the AQI from the concentrations so the numbers shown agree with each other
+  const { aqi, dominant, subIndices } = calculateAQIFromConcentrations({ pm25, pm10 });
 
-  // Extract pollutant concentrations from iaqi (Individual Air Quality Index)
-  // AQICN provides pollutant data in iaqi object where each pollutant has a 'v' value
-  // Note: These are already AQI values (not raw concentrations in µg/m³)
-  const iaqi = aqicnData.iaqi || {};
-  
-  const pm25 = iaqi.pm25?.v ?? null;
-  const pm10 = iaqi.pm10?.v ?? null;
-  const o3 = iaqi.o3?.v ?? null;
-  const no2 = iaqi.no2?.v ?? null;
-  const so2 = iaqi.so2?.v ?? null;
-  const co = iaqi.co?.v ?? null;
-
-  // AQICN already provides AQI values in iaqi, not raw concentrations
-  // So we use them directly as AQI values
-  const pm25AQI = pm25 !== null ? pm25 : null;
-  const pm10AQI = pm10 !== null ? pm10 : null;
-
-  // Get dominant pollutant from AQICN (they provide it directly)
-  // Note: AQICN API uses the spelling "dominentpol" (their typo, not ours)
-  let dominant = aqicnData.dominentpol || 'pm2_5';
-  
-  // Normalize dominant pollutant name to match our convention
-  if (dominant === 'pm25') {
-    dominant = 'pm2_5';
+  console.warn(`[AQI Service] Using night-light estimate (not a measurement): AQI ${aqi}`);
+
+  return {
+    ...createNoDataAQI(),
+    aqi,
+    pm25,
+    pm10,
+    pm25AQI: subIndices.pm2_5,
+    pm10AQI: subIndices.pm10,
+    dominant,
+    subIndices,
+    source: 'Estimated',
+    estimateBasis: `Night-light sky brightness (SQM ${lightData.sqm})`,
+    hasData: true,
+    isEstimate: true,
+    // Estimates have no history, so there is no NowCast
+    aqiInstant: aqi,
+    aqiMethod: 'instant'
+  };
+}
+
+/**
+ * Check whether an AQI result is a real measurement or model value that can be
+ * compared between sites and used in scores (not an estimate or no-data result)
+ * @param {Object} aqiData Result of getAQI
+ * @returns {boolean} True if the AQI can be relied on
+ */
+export function hasMeasuredAQI(aqiData) {
+  return Boolean(aqiData?.hasData && !aqiData.isEstimate && typeof aqiData.aqi === 'number');
+}
+
+/**
+ * Format an AQI for display, marking estimates and missing data
+ * @param {number|null} aqi AQI value
+ * @param {boolean} isEstimate Whether the value is an estimate
+ * @returns {string} e.g. '42', '~42 (est.)' or 'No data'
+ */
+export function formatAQI(aqi, isEstimate = false) {
+  if (aqi === null || aqi === undefined || aqi === 'N/A') {
+    return 'No data';
   }
+  return isEstimate ? `~${aqi} (est.)` : String(aqi);
+}
+
+/* ======================================================
+   NOWCAST & HOURLY HISTORY
+   ------------------------------------------------------
+   Each fresh reading is stored by hour under its cache
+   key (providers may back-fill earlier hours). Agencies
+   report PM2.5/PM10 as a 12-hour NowCast rather than the
+   latest hour, so once enough hours are known the NowCast
+   AQI is the one displayed.
+====================================================== */
+
+/**
+ * Get particulate concentrations (µg/m³) from an AQI result
+ * AQICN only reports sub-indices, which are converted back through the breakpoints.
+ * @param {Object} aqiData AQI result
+ * @returns {Object} { pm25, pm10 } concentrations (null when unknown)
+ */
+function getPMConcentrations(aqiData) {
+  const units = aqiData.pollutantUnits || {};
+  const toConcentration = (pollutant, value) => {
+    if (value === null || value === undefined) return null;
+    return units[pollutant] === 'AQI' ? calculateConcentrationFromAQI(pollutant, value) : value;
+  };
+
+  return {
+    pm25: toConcentration('pm25', aqiData.pm25),
+    pm10: toConcentration('pm10', aqiData.pm10)
+  };
+}
+
+/**
+ * Store a reading, and any hourly back-fill from its provider, in the history for a cache key
+ * @param {string} cacheKey Cache key
+ * @param {Object} aqiData Fresh AQI result
+ * @returns {Map} History for the key (hour timestamp → { time, pm25, pm10 })
+ */
+function recordHourlyHistory(cacheKey, aqiData) {
+  const history = aqiHistory.get(cacheKey) || new Map();
 
-  console.log(`[AQI Service] Successfully fetched and calculated exact numeric AQI: ${overallAQI}`);
+  (aqiData.pmHistory || []).forEach(entry => {
+    const hour = Math.floor(entry.time / HOUR) * HOUR;
+    if (!history.has(hour)) {
+      history.set(hour, { time: hour, pm25: entry.pm25, pm10: entry.pm10 });
+    }
+  });
+
+  // The live reading wins over back-filled values for its hour
+  const hour = Math.floor(aqiData.timestamp / HOUR) * HOUR;
+  history.set(hour, { time: hour, ...getPMConcentrations(aqiData) });
+
+  [...history.keys()].forEach(time => {
+    if (time <= hour - HISTORY_RETENTION) history.delete(time);
+  });
+
+  aqiHistory.set(cacheKey, history);
+  return history;
+}
+
+/**
+ * Calculate particulate NowCast for the 12 hours ending at a given hour
+ * @param {Map} history Hourly history
+ * @param {number} hour Hour timestamp
+ * @returns {Object} { pm25, pm10 } NowCast concentrations and their { aqi, subIndices } (aqi null if unavailable)
+ */
+function calculateNowCastAt(history, hour) {
+  const hourlyValues = pollutant => Array.from(
+    { length: NOWCAST_HOURS },
+    (_, index) => history.get(hour - index * HOUR)?.[pollutant] ?? null
+  );
 
-  // Extract city information and metadata
-  const cityInfo = aqicnData.city || {};
-  const attribution = aqicnData.attributions || [];
+  const pm25 = calculateNowCast(hourlyValues('pm25'));
+  const pm10 = calculateNowCast(hourlyValues('pm10'));
+  const calculated = calculateAQIFromConcentrations({ pm25, pm10 });
 
   return {
-    aqi: overallAQI, // Exact numeric value (0-500 scale)
     pm25,
     pm10,
-    pm25AQI, // Exact numeric PM2.5 AQI
-    pm10AQI, // Exact numeric PM10 AQI
-    o3,
-    no2,
-    so2,
-    co,
-    dominant,
-    timestamp: Date.now(),
-    source: 'AQICN',
-    isMockData: false,
-    cityName: cityInfo.name || null,
-    cityUrl: cityInfo.url || null,
-    attribution: attribution.length > 0 ? attribution : null,
-    forecast: aqicnData.forecast || null
+    aqi: calculated?.aqi ?? null,
+    subIndices: calculated?.subIndices ?? {}
   };
 }
 
 /**
- * Generate mock/estimated AQI data as fallback
- * Returns exact numeric values based on location characteristics
- * @param {number} lat Latitude
- * @param {number} lon Longitude (reserved for future use in mock data generation)
- * @returns {Object} Mock AQI data with exact numeric values
+ * Record a fresh reading and add instantaneous and NowCast AQI to it
+ * The NowCast AQI replaces the PM sub-indices with their NowCast values and
+ * keeps the latest values of the other pollutants.
+ * @param {string} cacheKey Cache key
+ * @param {Object} aqiData Fresh AQI result
+ * @returns {Object} AQI result with aqiInstant, aqiNowCast, aqiMethod, nowCast and hourlyHistory
  */
-function generateMockAQI(lat, lon) { // eslint-disable-line no-unused-vars
-  // Generate reasonable mock data based on location (exact numeric values)
-  // Urban areas typically have higher AQI, rural areas lower
-  const urbanFactor = Math.abs(lat) < 40 ? 1.2 : 1.0; // Tropical/subtropical areas tend to be more polluted
-  const baseAQI = Math.round(50 + (Math.random() * 30) * urbanFactor);
-  
-  // Ensure exact numeric value between 30 and 100
-  const mockAQI = Math.min(100, Math.max(30, baseAQI));
+function addNowCast(cacheKey, aqiData) {
+  const history = recordHourlyHistory(cacheKey, aqiData);
+  const hour = Math.floor(aqiData.timestamp / HOUR) * HOUR;
+  const nowCast = calculateNowCastAt(history, hour);
+
+  let aqiNowCast = null;
+  let nowCastDominant = null;
+  if (nowCast.aqi !== null) {
+    const subIndices = { ...aqiData.subIndices, ...nowCast.subIndices };
+    Object.entries(subIndices).forEach(([key, value]) => {
+      if (aqiNowCast === null || value > aqiNowCast) {
+        aqiNowCast = value;
+        nowCastDominant = key;
+      }
+    });
+  }
 
-  console.warn(`[AQI Service] Using estimated mock data with exact numeric AQI: ${mockAQI}`);
+  // Hourly particulate AQI for the past day (oldest first), for the trend sparkline
+  const hourlyHistory = [];
+  for (let time = hour - HISTORY_RETENTION + HOUR; time <= hour; time += HOUR) {
+    const entry = history.get(time);
+    if (!entry) continue;
+
+    hourlyHistory.push({
+      time,
+      aqiInstant: calculateAQIFromConcentrations({ pm25: entry.pm25, pm10: entry.pm10 })?.aqi ?? null,
+      aqiNowCast: calculateNowCastAt(history, time).aqi
+    });
+  }
+
+  const useNowCast = aqiNowCast !== null;
 
   return {
-    aqi: mockAQI, // Exact numeric value
-    pm25: mockAQI * 0.35, // Estimated concentration
-    pm10: mockAQI * 0.50, // Estimated concentration
-    o3: null,
-    no2: null,
-    so2: null,
-    co: null,
-    dominant: 'pm2_5',
-    timestamp: Date.now(),
-    source: 'Estimated',
-    isMockData: true,
-    isStale: false
+    ...aqiData,
+    aqi: useNowCast ? aqiNowCast : aqiData.aqi,
+    dominant: useNowCast ? nowCastDominant : aqiData.dominant,
+    aqiInstant: aqiData.aqi,
+    aqiNowCast,
+    aqiMethod: useNowCast ? 'nowcast' : 'instant',
+    nowCast: { pm25: nowCast.pm25, pm10: nowCast.pm10 },
+    hourlyHistory
   };
 }
 
 /**
  * Main function to get AQI data with caching and fallback
- * Always returns exact numeric AQI values (never labels)
+ * Always returns exact numeric AQI values (never labels), except for
+ * locations without any data, where `aqi` is null and `hasData` false.
+ * When every provider fails, `isEstimate` marks a night-light estimate
+ * (see hasMeasuredAQI before comparing or scoring).
+ * `aqi` is the NowCast AQI once enough hourly readings are known
+ * (`aqiMethod` 'nowcast'), otherwise the latest reading ('instant');
+ * both are also returned as `aqiNowCast` and `aqiInstant`.
  * @param {number} lat Latitude
  * @param {number} lon Longitude
  * @param {Object} options Options object
@@ -372,14 +590,7 @@ export async function getAQI(lat, lon, options = {}) {
 
   // Try to fetch fresh data from API
   try {
-    const aqiData = await fetchAQIFromAPI(lat, lon);
-    
-    // If API returned null (no API key), use mock data
-    if (!aqiData) {
-      const mockData = generateMockAQI(lat, lon);
-      aqiCache.set(cacheKey, mockData);
-      return mockData;
-    }
+    const aqiData = addNowCast(cacheKey, await fetchAQIFromAPI(lat, lon));
 
     // Cache the real data
     aqiCache.set(cacheKey, aqiData);
@@ -400,11 +611,11 @@ export async function getAQI(lat, lon, options = {}) {
       };
     }
 
-    // Last resort: return mock data
-    console.warn('[AQI Service] Falling back to mock data due to API error');
-    const mockData = generateMockAQI(lat, lon);
-    aqiCache.set(cacheKey, mockData);
-    return mockData;
+    // Last resort: a labelled estimate, or an explicit no-data result
+    console.warn('[AQI Service] Falling back to an estimate due to API error');
+    const estimate = await estimateAQI(lat, lon);
+    aqiCache.set(cacheKey, estimate);
+    return estimate;
   }
 }
 
@@ -438,6 +649,61 @@ export function getAQICategory(aqiValue) {
   return AQI_CATEGORIES[0];
 }
 
+/**
+ * Get the daily AQI forecast with categories, from today onwards
+ * Days whose particulate AQI is above 100 are flagged as hurting transparency:
+ * PM2.5 and PM10 scatter light into haze, while ozone is invisible.
+ * @param {Object} aqiData Result of getAQI
+ * @param {Date} today Reference date (defaults to now)
+ * @returns {Array<Object>} [{ date, isToday, aqi, dominant, pollutants, uvi, category, particulateAQI, hurtsTransparency }]
+ */
+export function getAQIForecast(aqiData, today = new Date()) {
+  if (!Array.isArray(aqiData?.forecast)) {
+    return [];
+  }
+
+  const todayKey = toDateKey(today);
+
+  return aqiData.forecast
+    .filter(day => day.date >= todayKey)
+    .map(day => {
+      const particulateAQI = Math.max(
+        day.pollutants.pm2_5?.avg ?? 0,
+        day.pollutants.pm10?.avg ?? 0
+      );
+
+      return {
+        ...day,
+        isToday: day.date === todayKey,
+        category: getAQICategory(day.aqi),
+        particulateAQI,
+        hurtsTransparency: particulateAQI > TRANSPARENCY_AQI_THRESHOLD
+      };
+    });
+}
+
+/**
+ * Get the forecast AQI for the night of a given date
+ * @param {Object} aqiData Result of getAQI
+ * @param {Date|string} date Date, or a 'YYYY-MM-DD' key
+ * @returns {Object|null} Forecast day from getAQIForecast, or null if not forecast
+ */
+export function getForecastAQIForDate(aqiData, date) {
+  const dateKey = typeof date === 'string' ? date : toDateKey(date);
+  return getAQIForecast(aqiData).find(day => day.date === dateKey) || null;
+}
+
+/**
+ * Format a date as a local 'YYYY-MM-DD' key, matching AQICN forecast days
+ * @param {Date} date Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Get information about a specific pollutant
  * @param {string} pollutantKey Pollutant key (e.g., 'pm2_5', 'pm10', 'o3')
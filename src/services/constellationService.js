@@ -1,4 +1,6 @@
 import * as Astronomy from 'astronomy-engine';
+import { CONSTELLATIONS } from '../data/constellations.js';
+import { getMoonlightPenalty, EXTINCTION } from './moonService.js';
 
 /**
  * Service for calculating constellation visibility based on location and time
@@ -9,48 +11,15 @@ import * as Astronomy from 'astronomy-engine';
 const cache = new Map();
 const CACHE_DURATION = 1800000; // 30 minutes in milliseconds
 
-/**
- * Constellation data with approximate center coordinates (RA in hours, Dec in degrees)
- * Source: IAU constellation boundaries
- */
-const CONSTELLATIONS = [
-  { name: 'Ursa Major', abbr: 'UMa', ra: 11.0, dec: 50.0, season: 'Spring', magnitude: 1.8 },
-  { name: 'Ursa Minor', abbr: 'UMi', ra: 15.0, dec: 75.0, season: 'All Year', magnitude: 2.0 },
-  { name: 'Orion', abbr: 'Ori', ra: 5.5, dec: 5.0, season: 'Winter', magnitude: 0.1 },
-  { name: 'Cassiopeia', abbr: 'Cas', ra: 1.0, dec: 60.0, season: 'Fall', magnitude: 2.2 },
-  { name: 'Andromeda', abbr: 'And', ra: 1.0, dec: 40.0, season: 'Fall', magnitude: 2.1 },
-  { name: 'Perseus', abbr: 'Per', ra: 3.0, dec: 45.0, season: 'Winter', magnitude: 1.8 },
-  { name: 'Taurus', abbr: 'Tau', ra: 4.5, dec: 15.0, season: 'Winter', magnitude: 0.9 },
-  { name: 'Gemini', abbr: 'Gem', ra: 7.0, dec: 22.0, season: 'Winter', magnitude: 1.2 },
-  { name: 'Cancer', abbr: 'Cnc', ra: 8.5, dec: 20.0, season: 'Spring', magnitude: 3.5 },
-  { name: 'Leo', abbr: 'Leo', ra: 10.5, dec: 15.0, season: 'Spring', magnitude: 1.4 },
-  { name: 'Virgo', abbr: 'Vir', ra: 13.0, dec: 0.0, season: 'Spring', magnitude: 1.0 },
-  { name: 'Libra', abbr: 'Lib', ra: 15.0, dec: -15.0, season: 'Summer', magnitude: 2.6 },
-  { name: 'Scorpius', abbr: 'Sco', ra: 17.0, dec: -30.0, season: 'Summer', magnitude: 1.1 },
-  { name: 'Sagittarius', abbr: 'Sgr', ra: 19.0, dec: -25.0, season: 'Summer', magnitude: 1.8 },
-  { name: 'Capricornus', abbr: 'Cap', ra: 21.0, dec: -20.0, season: 'Fall', magnitude: 3.6 },
-  { name: 'Aquarius', abbr: 'Aqr', ra: 22.5, dec: -10.0, season: 'Fall', magnitude: 2.9 },
-  { name: 'Pisces', abbr: 'Psc', ra: 0.5, dec: 10.0, season: 'Fall', magnitude: 3.6 },
-  { name: 'Aries', abbr: 'Ari', ra: 2.5, dec: 20.0, season: 'Winter', magnitude: 2.0 },
-  { name: 'Cygnus', abbr: 'Cyg', ra: 20.5, dec: 40.0, season: 'Summer', magnitude: 1.3 },
-  { name: 'Lyra', abbr: 'Lyr', ra: 18.5, dec: 35.0, season: 'Summer', magnitude: 0.0 },
-  { name: 'Aquila', abbr: 'Aql', ra: 19.5, dec: 5.0, season: 'Summer', magnitude: 0.8 },
-  { name: 'Pegasus', abbr: 'Peg', ra: 23.0, dec: 20.0, season: 'Fall', magnitude: 2.4 },
-  { name: 'Boötes', abbr: 'Boo', ra: 14.5, dec: 30.0, season: 'Spring', magnitude: 0.0 },
-  { name: 'Corona Borealis', abbr: 'CrB', ra: 15.5, dec: 30.0, season: 'Summer', magnitude: 2.2 },
-  { name: 'Hercules', abbr: 'Her', ra: 17.0, dec: 30.0, season: 'Summer', magnitude: 2.8 },
-  { name: 'Ophiuchus', abbr: 'Oph', ra: 17.5, dec: -8.0, season: 'Summer', magnitude: 2.1 },
-  { name: 'Draco', abbr: 'Dra', ra: 17.0, dec: 65.0, season: 'Summer', magnitude: 2.2 },
-  { name: 'Cepheus', abbr: 'Cep', ra: 22.0, dec: 70.0, season: 'Fall', magnitude: 2.4 },
-  { name: 'Auriga', abbr: 'Aur', ra: 6.0, dec: 40.0, season: 'Winter', magnitude: 0.1 },
-  { name: 'Canis Major', abbr: 'CMa', ra: 6.5, dec: -20.0, season: 'Winter', magnitude: -1.5 },
-  { name: 'Canis Minor', abbr: 'CMi', ra: 7.5, dec: 5.0, season: 'Winter', magnitude: 0.4 },
-  { name: 'Hydra', abbr: 'Hya', ra: 10.0, dec: -15.0, season: 'Spring', magnitude: 2.0 },
-  { name: 'Corvus', abbr: 'Crv', ra: 12.5, dec: -20.0, season: 'Spring', magnitude: 2.6 },
-  { name: 'Crater', abbr: 'Crt', ra: 11.5, dec: -15.0, season: 'Spring', magnitude: 3.6 },
-  { name: 'Centaurus', abbr: 'Cen', ra: 13.0, dec: -45.0, season: 'Spring', magnitude: 0.0 },
-  { name: 'Crux', abbr: 'Cru', ra: 12.5, dec: -60.0, season: 'Spring', magnitude: 0.8 },
-];
+// A constellation counts as visible when this share of its figure is above the altitude limit
+const MIN_ALTITUDE = 10;
+const VISIBLE_FRACTION = 0.5;
+
+// Spacing of the points sampled along each figure line (degrees)
+const FIGURE_SAMPLE_STEP = 2;
+
+// Sample points per constellation, built on first use
+const figureSamples = new Map();
 
 /**
  * Calculate horizontal coordinates (altitude and azimuth) from equatorial coordinates
@@ -59,14 +28,15 @@ const CONSTELLATIONS = [
  * @param {number} lat - Observer latitude in degrees
  * @param {number} lon - Observer longitude in degrees
  * @param {Date} date - Observation date/time
+ * @param {number} siderealTime - Greenwich sidereal time in hours (optional, saves recomputing it)
  * @returns {Object} Altitude and azimuth in degrees
  */
-function raDecToAltAz(ra, dec, lat, lon, date) {
+export function raDecToAltAz(ra, dec, lat, lon, date, siderealTime = Astronomy.SiderealTime(date)) {
   // Convert RA from hours to degrees
   const raDeg = ra * 15.0;
   
   // Calculate Local Sidereal Time (LST)
-  const hourAngle = Astronomy.SiderealTime(date) * 15.0 - raDeg + lon;
+  const hourAngle = siderealTime * 15.0 - raDeg + lon;
   
   // Convert to radians
   const haRad = hourAngle * Math.PI / 180.0;
@@ -91,15 +61,139 @@ function raDecToAltAz(ra, dec, lat, lon, date) {
   return { altitude, azimuth };
 }
 
+/**
+ * Get points spread evenly along a constellation's figure lines
+ * @param {Object} constellation - Constellation from CONSTELLATIONS
+ * @returns {Array<Array<number>>} [[ra (hours), dec (degrees)], ...]
+ */
+const getFigureSamples = (constellation) => {
+  if (figureSamples.has(constellation.abbr)) {
+    return figureSamples.get(constellation.abbr);
+  }
+
+  const samples = [];
+  constellation.lines.forEach(([[ra1, dec1], [ra2, dec2]]) => {
+    // Take the short way round when a line crosses RA 0h
+    let dRa = ra2 - ra1;
+    if (dRa > 12) dRa -= 24;
+    if (dRa < -12) dRa += 24;
+
+    const length = Math.hypot(dRa * 15 * Math.cos(dec1 * Math.PI / 180), dec2 - dec1);
+    const steps = Math.max(1, Math.ceil(length / FIGURE_SAMPLE_STEP));
+    for (let step = 0; step <= steps; step++) {
+      samples.push([ra1 + (dRa * step) / steps, dec1 + ((dec2 - dec1) * step) / steps]);
+    }
+  });
+
+  figureSamples.set(constellation.abbr, samples);
+  return samples;
+};
+
+/**
+ * Get the share of a constellation's figure above an altitude
+ * @param {Object} constellation - Constellation from CONSTELLATIONS
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {Date} date - Observation date/time
+ * @param {number} minAltitude - Altitude limit in degrees
+ * @param {number} siderealTime - Greenwich sidereal time in hours (optional)
+ * @returns {number} Fraction 0-1 of the figure above the limit
+ */
+export const getFigureFractionAbove = (constellation, lat, lon, date, minAltitude = MIN_ALTITUDE,
+  siderealTime = Astronomy.SiderealTime(date)) => {
+  const samples = getFigureSamples(constellation);
+  const above = samples.filter(([ra, dec]) =>
+    raDecToAltAz(ra, dec, lat, lon, date, siderealTime).altitude > minAltitude
+  ).length;
+  return samples.length > 0 ? above / samples.length : 0;
+};
+
+/**
+ * Estimate naked eye limiting magnitude from sky brightness
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {number} NELM value
+ */
+export const getNELMFromSQM = (sqm) => {
+  return 7.93 - 5 * Math.log10(Math.pow(10, 4.316 - sqm / 5) + 1);
+};
+
+/**
+ * Relative airmass towards an altitude (Kasten & Young 1989)
+ * @param {number} altitude - Altitude in degrees
+ * @returns {number} Airmass (1 at the zenith, about 38 at the horizon)
+ */
+export const getAirmass = (altitude) =>
+  1 / (Math.sin(altitude * Math.PI / 180) + 0.50572 * Math.pow(altitude + 6.07995, -1.6364));
+
+/**
+ * Get the naked-eye limiting magnitude at the zenith, with the Moon up or not
+ * Moonlight is added to the sky brightness, and the drop in NELM that causes
+ * is taken off the sky's own NELM, so a city sky loses less than a dark one.
+ * @param {Object} sky - { nelm, sqm } of the moonless sky (e.g. from getLightPollution)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Observation date/time
+ * @returns {Object} { nelm, sqm (including moonlight), moonLoss (magnitudes) }
+ */
+export const getLimitingMagnitude = (sky, lat, lon, date = new Date()) => {
+  const { effectiveSQM } = getMoonlightPenalty(lat, lon, date, sky.sqm);
+  const moonLoss = Math.max(0, getNELMFromSQM(sky.sqm) - getNELMFromSQM(effectiveSQM));
+
+  return {
+    nelm: sky.nelm - moonLoss,
+    sqm: effectiveSQM,
+    moonLoss
+  };
+};
+
+/**
+ * Check whether a star can be seen with the naked eye
+ * Stars dim towards the horizon as their light passes through more air.
+ * @param {number} magnitude - Star magnitude (above the atmosphere)
+ * @param {number} altitude - Star altitude in degrees
+ * @param {number} limitingMagnitude - Zenith NELM
+ * @returns {boolean} True if the star is up and bright enough
+ */
+export const isNakedEyeVisible = (magnitude, altitude, limitingMagnitude) =>
+  altitude > 0 && magnitude + EXTINCTION * (getAirmass(altitude) - 1) <= limitingMagnitude;
+
+/**
+ * Count the stars of a constellation's figure that can be seen with the naked eye
+ * @param {Object} constellation - Constellation from CONSTELLATIONS
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {Date} date - Observation date/time
+ * @param {number} limitingMagnitude - Zenith NELM
+ * @param {number} siderealTime - Greenwich sidereal time in hours (optional)
+ * @returns {number} Number of figure stars visible (out of constellation.stars.length)
+ */
+export const countVisibleFigureStars = (constellation, lat, lon, date, limitingMagnitude,
+  siderealTime = Astronomy.SiderealTime(date)) =>
+  constellation.stars.filter(([ra, dec, magnitude]) =>
+    isNakedEyeVisible(magnitude, raDecToAltAz(ra, dec, lat, lon, date, siderealTime).altitude, limitingMagnitude)
+  ).length;
+
+/**
+ * Get the path of a constellation's image in public/constellations
+ * Accents are dropped and spaces become dashes ("Boötes" -> "/constellations/Bootes.svg")
+ * @param {string} name - Constellation name
+ * @returns {string} Image path
+ */
+export const getConstellationImagePath = (name) =>
+  `/constellations/${name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '-')}.svg`;
+
 /**
  * Get visible constellations for a given location and time
+ * A constellation is visible when at least half of its line figure is above
+ * the altitude limit; its altitude and direction are those of the figure's centre.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {Date} date - Observation date/time (default: now)
+ * @param {number} minAltitude - Altitude limit in degrees (default: 10°, clear of horizon haze)
  * @returns {Promise<Object>} Constellation visibility data
  */
-export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
-  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)},${date.getTime()}`;
+export const getVisibleConstellations = async (lat, lon, date = new Date(), minAltitude = MIN_ALTITUDE) => {
+  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)},${date.getTime()},${minAltitude}`;
   
   // Check cache first
   const cachedData = cache.get(cacheKey);
@@ -132,20 +226,24 @@ export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
     const moonFraction = moonIllumination.phase_fraction * 100;
     
     // Calculate constellation positions
+    const siderealTime = Astronomy.SiderealTime(date);
     const constellations = CONSTELLATIONS.map(constellation => {
       const position = raDecToAltAz(
         constellation.ra,
         constellation.dec,
         lat,
         lon,
-        date
+        date,
+        siderealTime
       );
+      const visibleFraction = getFigureFractionAbove(constellation, lat, lon, date, minAltitude, siderealTime);
+      const isVisible = visibleFraction >= VISIBLE_FRACTION;
       
       // Determine visibility status
       let visibility = 'Not Visible';
       let visibilityScore = 0;
       
-      if (position.altitude > 0) {
+      if (isVisible) {
         if (position.altitude > 60) {
           visibility = 'Excellent (Overhead)';
           visibilityScore = 5;
@@ -155,13 +253,13 @@ export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
         } else if (position.altitude > 15) {
           visibility = 'Fair (Medium)';
           visibilityScore = 3;
-        } else if (position.altitude > 5) {
+        } else {
           visibility = 'Poor (Low)';
           visibilityScore = 2;
-        } else {
-          visibility = 'Very Low (Near Horizon)';
-          visibilityScore = 1;
         }
+      } else if (visibleFraction > 0) {
+        visibility = 'Partly Above Horizon';
+        visibilityScore = 1;
       }
       
       // Get cardinal direction from azimuth
@@ -172,17 +270,21 @@ export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
         altitude: position.altitude,
         azimuth: position.azimuth,
         direction,
+        visibleFraction,
         visibility,
         visibilityScore,
-        isVisible: position.altitude > 0
+        isVisible
       };
     });
     
-    // Sort by visibility score (highest first), then altitude
+    // Sort by visibility score (highest first), then share of the figure up, then altitude
     const sortedConstellations = constellations.sort((a, b) => {
       if (b.visibilityScore !== a.visibilityScore) {
         return b.visibilityScore - a.visibilityScore;
       }
+      if (b.visibleFraction !== a.visibleFraction) {
+        return b.visibleFraction - a.visibleFraction;
+      }
       return b.altitude - a.altitude;
     });
     
@@ -198,6 +300,7 @@ export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
       constellations: sortedConstellations,
       visibleCount,
       totalCount: CONSTELLATIONS.length,
+      minAltitude,
       bestViewing: timeOfDay.includes('Night')
     };
     
@@ -217,9 +320,9 @@ export const getVisibleConstellations = async (lat, lon, date = new Date()) => {
 /**
  * Get cardinal direction from azimuth
  * @param {number} azimuth - Azimuth in degrees
- * @returns {string} Cardinal direction
+ * @returns {string} Cardinal direction (one of 16 compass points)
  */
-function getCardinalDirection(azimuth) {
+export function getCardinalDirection(azimuth) {
   const directions = [
     'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
     'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
@@ -233,15 +336,16 @@ function getCardinalDirection(azimuth) {
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {Date} date - Date to check (default: today)
- * @returns {Promise<Object>} Best viewing times
+ * @returns {Promise<Object>} Best viewing times for the night after the next sunset; the
+ *   astronomical night bounds are null (and noAstronomicalDarkness true) when the Sun stays above -18°
  */
 export const getBestViewingTime = async (lat, lon, date = new Date()) => {
   try {
     const observer = new Astronomy.Observer(lat, lon, 0);
     
-    // Find sunset and sunrise times
+    // Find the next sunset and the sunrise that ends that night
     const sunset = Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, -1, date, 1);
-    const sunrise = Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, 1, date, 1);
+    const sunrise = sunset && Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, 1, sunset.date, 1);
     
     // Check if we got valid results
     if (!sunset || !sunrise) {
@@ -258,62 +362,44 @@ export const getBestViewingTime = async (lat, lon, date = new Date()) => {
     const sunsetDate = sunset.date;
     const sunriseDate = sunrise.date;
     
-    // Calculate astronomical twilight more accurately
-    // Astronomical twilight ends when sun is 18° below horizon
-    let nightStart = new Date(sunsetDate.getTime());
-    let nightEnd = new Date(sunriseDate.getTime());
+    // Astronomical night runs between the Sun's -18° crossings after sunset and
+    // before sunrise. Crossings outside that night belong to another one, so
+    // when either is missing the Sun never gets that low (white nights) and the
+    // night bounds are null.
+    const astroTwilightEvening = Astronomy.SearchAltitude(
+      Astronomy.Body.Sun, 
+      observer, 
+      -1, // direction: descending (sun going down)
+      sunsetDate, 
+      1,  // limitDays: search within 1 day
+      -18 // target altitude
+    );
+    const astroTwilightMorning = Astronomy.SearchAltitude(
+      Astronomy.Body.Sun, 
+      observer, 
+      1,  // direction: ascending (sun coming up)
+      sunsetDate, 
+      1,  // limitDays: search within 1 day
+      -18 // target altitude
+    );
     
-    try {
-      // Try to find precise astronomical twilight times
-      // Search for when sun reaches -18° altitude after sunset
-      const astroTwilightEvening = Astronomy.SearchAltitude(
-        Astronomy.Body.Sun, 
-        observer, 
-        1,  // direction: descending (sun going down)
-        sunsetDate, 
-        1,  // limitDays: search within 1 day
-        -18 // target altitude
-      );
-      
-      if (astroTwilightEvening) {
-        nightStart = astroTwilightEvening.date;
-      } else {
-        // Fallback to approximation
-        nightStart.setHours(nightStart.getHours() + 1.5);
-      }
-      
-      // Search for when sun reaches -18° altitude before sunrise
-      const astroTwilightMorning = Astronomy.SearchAltitude(
-        Astronomy.Body.Sun, 
-        observer, 
-        -1, // direction: ascending (sun coming up)
-        sunriseDate, 
-        1,  // limitDays: search within 1 day
-        -18 // target altitude
-      );
-      
-      if (astroTwilightMorning) {
-        nightEnd = astroTwilightMorning.date;
-      } else {
-        // Fallback to approximation
-        nightEnd.setHours(nightEnd.getHours() - 1.5);
-      }
-    } catch (twilightError) {
-      // If astronomical twilight calculation fails, use approximation
-      console.warn('Using approximate astronomical twilight:', twilightError);
-      nightStart.setHours(nightStart.getHours() + 1.5);
-      nightEnd.setHours(nightEnd.getHours() - 1.5);
-    }
+    const hasNight = Boolean(astroTwilightEvening && astroTwilightMorning &&
+      astroTwilightEvening.date < sunriseDate && astroTwilightMorning.date < sunriseDate);
+    const nightStart = hasNight ? astroTwilightEvening.date : null;
+    const nightEnd = hasNight ? astroTwilightMorning.date : null;
     
-    // Calculate midnight (best viewing time)
-    const midnight = new Date((nightStart.getTime() + nightEnd.getTime()) / 2);
+    // Calculate midnight (best viewing time), the darkest point of the night either way
+    const midnight = hasNight
+      ? new Date((nightStart.getTime() + nightEnd.getTime()) / 2)
+      : new Date((sunsetDate.getTime() + sunriseDate.getTime()) / 2);
     
     return {
       sunset: sunsetDate.toISOString(),
       sunrise: sunriseDate.toISOString(),
-      astronomicalNightStart: nightStart.toISOString(),
-      astronomicalNightEnd: nightEnd.toISOString(),
-      bestTime: midnight.toISOString()
+      astronomicalNightStart: nightStart ? nightStart.toISOString() : null,
+      astronomicalNightEnd: nightEnd ? nightEnd.toISOString() : null,
+      bestTime: midnight.toISOString(),
+      noAstronomicalDarkness: !hasNight
     };
   } catch (error) {
     console.error('Error calculating best viewing time:', error);
@@ -0,0 +1,202 @@
+import * as Astronomy from 'astronomy-engine';
+import { DEEP_SKY_OBJECTS } from '../data/deepSky.js';
+import { getCardinalDirection, getAirmass } from './constellationService.js';
+import { getMoonlightPenalty, EXTINCTION } from './moonService.js';
+
+/**
+ * Service for ranking deep-sky objects over a night
+ * Each object is followed through the night with astronomy-engine, and its
+ * observability at every step comes from how its surface brightness (dimmed by
+ * extinction) compares with the sky: the site's own sky brightness with the
+ * Moon's light added.
+ */
+
+// Cache for nightly rankings
+const cache = new Map();
+const CACHE_DURATION = 1800000; // 30 minutes in milliseconds
+
+// Sampling step through the night
+const NIGHT_STEP = 30 * 60 * 1000;
+
+// Objects are not worth looking for below MIN_ALTITUDE; above GOOD_ALTITUDE height no longer helps
+const MIN_ALTITUDE = 10;
+const GOOD_ALTITUDE = 40;
+
+// Contrast (sky minus object, mag/arcsec²) at which an object stops being visible and becomes easy
+const MIN_CONTRAST = -5;
+const FULL_CONTRAST = 1;
+
+// Used for the few objects without a magnitude or size (mag/arcsec², about the catalogue median)
+const DEFAULT_SURFACE_BRIGHTNESS = 21;
+
+const TYPES = {
+  gc: { name: 'Globular cluster', category: 'Cluster' },
+  oc: { name: 'Open cluster', category: 'Cluster' },
+  pos: { name: 'Star group', category: 'Cluster' },
+  pn: { name: 'Planetary nebula', category: 'Nebula' },
+  bn: { name: 'Bright nebula', category: 'Nebula' },
+  en: { name: 'Emission nebula', category: 'Nebula' },
+  rn: { name: 'Reflection nebula', category: 'Nebula' },
+  sfr: { name: 'Star-forming region', category: 'Nebula' },
+  snr: { name: 'Supernova remnant', category: 'Nebula' },
+  dn: { name: 'Dark nebula', category: 'Nebula' },
+  s: { name: 'Spiral galaxy', category: 'Galaxy' },
+  s0: { name: 'Lenticular galaxy', category: 'Galaxy' },
+  sd: { name: 'Dwarf spheroidal galaxy', category: 'Galaxy' },
+  e: { name: 'Elliptical galaxy', category: 'Galaxy' },
+  i: { name: 'Irregular galaxy', category: 'Galaxy' },
+  g: { name: 'Galaxy', category: 'Galaxy' },
+  gg: { name: 'Galaxy group', category: 'Galaxy' }
+};
+
+export const DSO_CATEGORIES = ['Galaxy', 'Cluster', 'Nebula'];
+
+const RATINGS = [
+  { min: 70, rating: 'Excellent', ratingScore: 5 },
+  { min: 45, rating: 'Good', ratingScore: 4 },
+  { min: 20, rating: 'Fair', ratingScore: 3 },
+  { min: 1, rating: 'Poor', ratingScore: 2 },
+  { min: 0, rating: 'Not observable', ratingScore: 1 }
+];
+
+/**
+ * Get the name of a deep-sky object type
+ * @param {string} code - Type code from the catalogue (e.g. 'gc', 's')
+ * @returns {string} Type name
+ */
+export const getDSOType = (code) => TYPES[code]?.name ?? 'Deep-sky object';
+
+/**
+ * Get the broad category of a deep-sky object type
+ * @param {string} code - Type code from the catalogue
+ * @returns {string} 'Galaxy', 'Cluster', 'Nebula' or 'Other'
+ */
+export const getDSOCategory = (code) => TYPES[code]?.category ?? 'Other';
+
+/**
+ * Get the catalogue label of a deep-sky object, e.g. 'M31' or 'C14 (NGC 869/884)'
+ * @param {Object} object - Object from DEEP_SKY_OBJECTS
+ * @returns {string} Label
+ */
+export const getDSOLabel = (object) => {
+  if (object.messier) return `M${object.messier}`;
+  if (object.caldwell) return object.ngc ? `C${object.caldwell} (${object.ngc})` : `C${object.caldwell}`;
+  return object.ngc;
+};
+
+/**
+ * Score an object's observability at one moment
+ * @param {number} altitude - Object altitude in degrees
+ * @param {number|null} surfaceBrightness - Object surface brightness (mag/arcsec²)
+ * @param {number} skySQM - Sky brightness including moonlight (mag/arcsec²)
+ * @returns {Object} { score (0-100), contrast } where contrast is the sky minus the object after extinction
+ *   (null below the altitude limit)
+ */
+export const getObservability = (altitude, surfaceBrightness, skySQM) => {
+  // The airmass formula breaks down below the horizon, and nothing that low is observable anyway
+  if (altitude < MIN_ALTITUDE) return { score: 0, contrast: null };
+
+  const objectSB = (surfaceBrightness ?? DEFAULT_SURFACE_BRIGHTNESS) + EXTINCTION * (getAirmass(altitude) - 1);
+  const contrast = skySQM - objectSB;
+
+  const altitudeFactor = Math.min(1, (altitude - MIN_ALTITUDE) / (GOOD_ALTITUDE - MIN_ALTITUDE));
+  const contrastFactor = Math.max(0, Math.min(1, (contrast - MIN_CONTRAST) / (FULL_CONTRAST - MIN_CONTRAST)));
+
+  return { score: Math.round(altitudeFactor * contrastFactor * 100), contrast };
+};
+
+/**
+ * Get the rating for an observability score
+ * @param {number} score - Score (0-100)
+ * @returns {Object} { rating, ratingScore (1-5) }
+ */
+export const getObservabilityRating = (score) => {
+  const { rating, ratingScore } = RATINGS.find(entry => score >= entry.min);
+  return { rating, ratingScore };
+};
+
+/**
+ * Get a deep-sky object's position in the sky
+ * Catalogue positions are J2000, so they are precessed to the equator of date
+ * before astronomy-engine's Horizon (which also adds refraction).
+ * @param {Object} object - Object from DEEP_SKY_OBJECTS
+ * @param {Astronomy.Observer} observer - Observer from new Astronomy.Observer(lat, lon, 0)
+ * @param {Date} date - Observation date/time
+ * @param {Astronomy.RotationMatrix} rotation - J2000-to-date rotation for the date, when already known
+ * @returns {Object} { altitude, azimuth } in degrees
+ */
+export const getDSOHorizon = (object, observer, date, rotation = Astronomy.Rotation_EQJ_EQD(Astronomy.MakeTime(date))) => {
+  const sphere = new Astronomy.Spherical(object.dec, object.ra * 15, 1);
+  const vector = Astronomy.RotateVector(rotation, Astronomy.VectorFromSphere(sphere, Astronomy.MakeTime(date)));
+  const equatorial = Astronomy.EquatorFromVector(vector);
+  const { altitude, azimuth } = Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal');
+  return { altitude, azimuth };
+};
+
+/**
+ * Rank the catalogue's deep-sky objects for a night at a site
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} start - Start of the night (e.g. astronomical dusk)
+ * @param {Date} end - End of the night (e.g. astronomical dawn)
+ * @param {number} siteSQM - Site sky brightness without the Moon (mag/arcsec², defaults to a natural sky)
+ * @returns {Array<Object>} Catalogue objects with { label, typeName, category, score, rating, ratingScore,
+ *   bestTime, altitude, azimuth, direction, maxAltitude, contrast }, best first
+ */
+export const getTonightsTargets = (lat, lon, start, end, siteSQM) => {
+  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)},${start.getTime()},${end.getTime()},${siteSQM}`;
+  const cachedData = cache.get(cacheKey);
+  if (cachedData && Date.now() - cachedData.timestamp < CACHE_DURATION) {
+    return cachedData.data;
+  }
+
+  const observer = new Astronomy.Observer(lat, lon, 0);
+
+  // Sky brightness and precession are shared by every object at each step
+  const steps = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += NIGHT_STEP) {
+    const date = new Date(time);
+    steps.push({
+      date,
+      rotation: Astronomy.Rotation_EQJ_EQD(Astronomy.MakeTime(date)),
+      skySQM: getMoonlightPenalty(lat, lon, date, siteSQM).effectiveSQM
+    });
+  }
+
+  const targets = DEEP_SKY_OBJECTS.map(object => {
+    let best = null;
+    let maxAltitude = -90;
+
+    steps.forEach(step => {
+      const horizontal = getDSOHorizon(object, observer, step.date, step.rotation);
+      const observability = getObservability(horizontal.altitude, object.surfaceBrightness, step.skySQM);
+
+      maxAltitude = Math.max(maxAltitude, horizontal.altitude);
+      if (!best || observability.score > best.score ||
+          (observability.score === best.score && horizontal.altitude > best.altitude)) {
+        best = { ...observability, time: step.date, altitude: horizontal.altitude, azimuth: horizontal.azimuth };
+      }
+    });
+
+    const score = best?.score ?? 0;
+    return {
+      ...object,
+      label: getDSOLabel(object),
+      typeName: getDSOType(object.type),
+      category: getDSOCategory(object.type),
+      score,
+      ...getObservabilityRating(score),
+      bestTime: best?.time ?? null,
+      altitude: best?.altitude ?? null,
+      azimuth: best?.azimuth ?? null,
+      direction: best ? getCardinalDirection(best.azimuth) : null,
+      maxAltitude: best ? maxAltitude : null,
+      contrast: best?.contrast ?? null
+    };
+  });
+
+  targets.sort((a, b) => b.score - a.score || (a.magnitude ?? 99) - (b.magnitude ?? 99));
+
+  cache.set(cacheKey, { data: targets, timestamp: Date.now() });
+  return targets;
+};
@@ -1,94 +1,183 @@
 /**
  * Service for generating light pollution overlay data
- * Creates a grid of light pollution data points within a specified radius
+ * Creates a grid of light pollution data points covering the map viewport,
+ * and points the map at the backend's rendered light pollution tiles
  */
 
-import { getLightPollution } from './lightPollutionService';
+import { getLightPollutionGrid } from './lightPollutionService';
+
+// Backend API base URL (configurable via environment variable)
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
+// Bortle-coloured map tiles rendered by the backend (Leaflet URL template)
+export const LIGHT_POLLUTION_TILE_URL = `${BACKEND_URL}/tiles/lightpollution/{z}/{x}/{y}.png`;
+
+// Rasters are ~10 km per cell; beyond this zoom Leaflet scales tiles up instead of requesting more
+export const LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM = 12;
+
+// Grid points per 256px map tile, so on-screen density stays the same at every zoom level
+const GRID_POINTS_PER_TILE = 3;
+
+// Coarsen the grid when a zoomed-out viewport would need more points than this
+const MAX_VIEWPORT_POINTS = 400;
+
+// Points sampled per backend request (the backend accepts up to 500)
+const BATCH_SIZE = 400;
+
+// Drop cached points outside the view once the cache grows past this
+const MAX_CACHED_POINTS = 2000;
+
+/**
+ * List the grid points covering a map viewport
+ * Points sit on a fixed global lattice per zoom level, so a pan reuses every point
+ * that is still in view and only the newly exposed ones need fetching.
+ * @param {Object} bounds - Viewport bounds ({ south, west, north, east } in degrees)
+ * @param {number} zoom - Map zoom level
+ * @returns {Array<Object>} Grid points with a stable key, lat and lon
+ */
+export const getViewportGridPoints = (bounds, zoom) => {
+  const south = Math.max(-85, bounds.south);
+  const north = Math.min(85, bounds.north);
+
+  // Pad by one step so points just outside the edge still cover it
+  let level = Math.round(zoom);
+  let step = 360 / Math.pow(2, level) / GRID_POINTS_PER_TILE;
+  const countPoints = () =>
+    (Math.ceil(north / step) - Math.floor(south / step) + 3) *
+    (Math.ceil(bounds.east / step) - Math.floor(bounds.west / step) + 3);
+
+  while (level > 0 && countPoints() > MAX_VIEWPORT_POINTS) {
+    level--;
+    step = 360 / Math.pow(2, level) / GRID_POINTS_PER_TILE;
+  }
+
+  const points = [];
+  for (let row = Math.floor(south / step) - 1; row <= Math.ceil(north / step) + 1; row++) {
+    const lat = row * step;
+    if (Math.abs(lat) > 85) continue;
+
+    for (let col = Math.floor(bounds.west / step) - 1; col <= Math.ceil(bounds.east / step) + 1; col++) {
+      points.push({ key: `${level}/${row}/${col}`, lat, lon: col * step });
+    }
+  }
+
+  return points;
+};
 
 /**
- * Generate a grid of light pollution data points around a center location
- * @param {number} centerLat - Center latitude
- * @param {number} centerLon - Center longitude
- * @param {number} radiusKm - Radius in kilometers (default: 1000)
- * @param {number} gridSize - Number of grid points per side (default: 15, use lower values for better performance)
+ * Fetch light pollution data for grid points, in batches
+ * Each batch is one backend request. Aborting the signal cancels the request in
+ * flight and stops further batches; points already fetched are still returned
+ * so callers can keep them for the next viewport.
+ * @param {Array<Object>} points - Grid points from getViewportGridPoints
+ * @param {AbortSignal} signal - Optional signal to cancel stale requests
  * @returns {Promise<Array>} Array of grid points with light pollution data
  */
-export const generateLightPollutionGrid = async (centerLat, centerLon, radiusKm = 1000, gridSize = 15) => {
+export const generateLightPollutionGrid = async (points, signal) => {
   const gridPoints = [];
-  
-  // Convert radius from km to degrees (approximate)
-  // 1 degree of latitude ≈ 111 km
-  // 1 degree of longitude varies by latitude
-  const latDegrees = radiusKm / 111;
-  const lonDegrees = radiusKm / (111 * Math.cos(centerLat * Math.PI / 180));
-  
-  // Calculate bounds
-  const minLat = centerLat - latDegrees;
-  const maxLat = centerLat + latDegrees;
-  const minLon = centerLon - lonDegrees;
-  const maxLon = centerLon + lonDegrees;
-  
-  // Generate grid points
-  const latStep = (maxLat - minLat) / (gridSize - 1);
-  const lonStep = (maxLon - minLon) / (gridSize - 1);
-  
-  // Create array of promises to fetch data in parallel (but limited batches)
-  const batchSize = 25; // Process 25 points at a time to avoid overwhelming
-  const allPromises = [];
-  
-  for (let i = 0; i < gridSize; i++) {
-    for (let j = 0; j < gridSize; j++) {
-      const lat = minLat + (i * latStep);
-      const lon = minLon + (j * lonStep);
-      
-      // Check if point is within circular radius (not just square bounds)
-      const distance = calculateDistance(centerLat, centerLon, lat, lon);
-      if (distance <= radiusKm) {
-        allPromises.push({ lat, lon, distance });
-      }
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    if (signal?.aborted) break;
+
+    const batch = points.slice(i, i + BATCH_SIZE);
+    let lightData;
+    try {
+      // Points on other world copies share data with their wrapped longitude
+      lightData = await getLightPollutionGrid(
+        batch.map(({ lat, lon }) => ({ lat, lon: wrapLongitude(lon) })),
+        signal
+      );
+    } catch (error) {
+      if (signal?.aborted) break;
+      throw error;
     }
+
+    gridPoints.push(...batch.map(({ key, lat, lon }, index) => ({
+      key,
+      lat,
+      lon,
+      bortleClass: lightData[index].bortleClass,
+      color: getOverlayColor(lightData[index].bortleClass),
+      intensity: getIntensity(lightData[index].bortleClass)
+    })));
   }
-  
-  // Fetch data in batches
-  for (let i = 0; i < allPromises.length; i += batchSize) {
-    const batch = allPromises.slice(i, i + batchSize);
-    const batchResults = await Promise.all(
-      batch.map(async ({ lat, lon, distance }) => {
-        const lightData = await getLightPollution(lat, lon);
-        return {
-          lat,
-          lon,
-          distance,
-          bortleClass: lightData.bortleClass,
-          color: getOverlayColor(lightData.bortleClass),
-          intensity: getIntensity(lightData.bortleClass)
-        };
-      })
-    );
-    gridPoints.push(...batchResults);
-  }
-  
+
   return gridPoints;
 };
 
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - First latitude
- * @param {number} lon1 - First longitude
- * @param {number} lat2 - Second latitude
- * @param {number} lon2 - Second longitude
- * @returns {number} Distance in kilometers
+ * Keep the grid points of a moving viewport up to date
+ * Fetched points are cached by key, so a pan only fetches the newly exposed ones.
+ * Each update cancels the one still in flight, and only the latest update reports
+ * its points and ends the loading state.
+ * @param {Object} handlers - Callbacks for the map overlay
+ * @param {Function} handlers.onPoints - Receives the points to show for the viewport
+ * @param {Function} handlers.onLoading - Receives true while points are being fetched
+ * @returns {Object} { update(bounds, zoom), cancel() }
  */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const centralAngle = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * centralAngle;
+export const createViewportGridUpdater = ({ onPoints, onLoading }) => {
+  const cache = new Map();
+  let current = null;
+
+  const update = async (bounds, zoom) => {
+    current?.abort();
+    const controller = new AbortController();
+    current = controller;
+
+    const points = getViewportGridPoints(bounds, zoom);
+    const showCachedPoints = () => {
+      onPoints(points.filter(point => cache.has(point.key)).map(point => cache.get(point.key)));
+    };
+
+    showCachedPoints();
+    const missing = points.filter(point => !cache.has(point.key));
+    if (missing.length === 0) {
+      onLoading(false);
+      return;
+    }
+
+    onLoading(true);
+    try {
+      const fetched = await generateLightPollutionGrid(missing, controller.signal);
+      fetched.forEach(point => cache.set(point.key, point));
+    } catch (error) {
+      // Cancelling is routine on every pan
+      if (!controller.signal.aborted) {
+        console.error('Error generating light pollution overlay:', error);
+      }
+    } finally {
+      if (current === controller) onLoading(false);
+    }
+
+    // Points fetched before a cancellation stay cached, but only the latest request renders
+    if (current !== controller) return;
+
+    if (cache.size > MAX_CACHED_POINTS) {
+      const inView = new Set(points.map(point => point.key));
+      [...cache.keys()].forEach(key => {
+        if (!inView.has(key)) cache.delete(key);
+      });
+    }
+
+    showCachedPoints();
+  };
+
+  const cancel = () => {
+    current?.abort();
+    current = null;
+    onLoading(false);
+  };
+
+  return { update, cancel };
+};
+
+/**
+ * Wrap a longitude into the -180 to 180 range
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Wrapped longitude
+ */
+const wrapLongitude = (lon) => {
+  return ((lon + 180) % 360 + 360) % 360 - 180;
 };
 
 /**
@@ -98,7 +187,7 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
  * @param {number} bortleClass - Bortle class (1-9)
  * @returns {string} RGB color string
  */
-const getOverlayColor = (bortleClass) => {
+export const getOverlayColor = (bortleClass) => {
   const colors = {
     1: 'rgb(0, 0, 139)',      // Dark blue - Excellent dark sky
     2: 'rgb(0, 100, 200)',    // Blue - Truly dark sky
@@ -119,19 +208,51 @@ const getOverlayColor = (bortleClass) => {
  * @param {number} bortleClass - Bortle class (1-9)
  * @returns {number} Opacity value (0-1)
  */
-const getIntensity = (bortleClass) => {
+export const getIntensity = (bortleClass) => {
   // Scale opacity from 0.2 (class 1) to 0.7 (class 9)
   return 0.2 + ((bortleClass - 1) / 8) * 0.5;
 };
 
 /**
- * Create simplified grid for faster initial rendering
- * @param {number} centerLat - Center latitude
- * @param {number} centerLon - Center longitude
- * @param {number} radiusKm - Radius in kilometers (default: 1000)
- * @returns {Promise<Array>} Array of grid points with light pollution data
+ * Fetch SQM values for a set of sample points, in batches
+ * Aborting the signal rejects with the cancellation error, since a partial
+ * set of samples is no use to the tile waiting for them.
+ * @param {Array<Object>} points - Points with lat and lon
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Array<number>>} SQM values in the same order as the points
  */
-export const generateSimplifiedGrid = async (centerLat, centerLon, radiusKm = 1000) => {
-  // Use smaller grid for better performance (7x7 = ~49 points in circle)
-  return generateLightPollutionGrid(centerLat, centerLon, radiusKm, 7);
+export const getSQMSamples = async (points, signal) => {
+  const samples = [];
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    const batch = points.slice(i, i + BATCH_SIZE);
+    const lightData = await getLightPollutionGrid(
+      batch.map(({ lat, lon }) => ({ lat, lon: wrapLongitude(lon) })),
+      signal
+    );
+    samples.push(...lightData.map(point => point.sqm));
+  }
+
+  return samples;
+};
+
+/**
+ * Bilinearly interpolate a square lattice of samples
+ * @param {Array<number>} values - Row-major samples, size × size
+ * @param {number} size - Samples per side
+ * @param {number} u - Horizontal position from 0 (left edge) to 1 (right edge)
+ * @param {number} v - Vertical position from 0 (top edge) to 1 (bottom edge)
+ * @returns {number} Interpolated value
+ */
+export const interpolateBilinear = (values, size, u, v) => {
+  const x = u * (size - 1);
+  const y = v * (size - 1);
+  const col = Math.min(size - 2, Math.floor(x));
+  const row = Math.min(size - 2, Math.floor(y));
+  const fx = x - col;
+  const fy = y - row;
+
+  const top = values[row * size + col] * (1 - fx) + values[row * size + col + 1] * fx;
+  const bottom = values[(row + 1) * size + col] * (1 - fx) + values[(row + 1) * size + col + 1] * fx;
+  return top * (1 - fy) + bottom * fy;
 };
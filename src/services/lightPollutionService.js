@@ -1,17 +1,30 @@
+import axios from 'axios';
+import { getSkyGlow, brightnessToSQM, NATURAL_SKY_BRIGHTNESS } from './skyGlowService';
+import { getCardinalDirection, getNELMFromSQM } from './constellationService';
+import { getNearbySQMReadings, blendSQMReadings } from './sqmReadingsService';
+
 /**
  * Service for light pollution data and Bortle scale information
- * Uses a combination of geographic data and calculations
+ * Models sky glow from night-lights radiance, or samples artificial sky brightness
+ * rasters served by the backend, and falls back to geographic heuristics where
+ * no raster coverage is available
  */
 
+// Backend API base URL (configurable via environment variable)
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
 // Cache for light pollution data
 const cache = new Map();
+const historyCache = new Map();
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
 
 /**
  * Get light pollution data for a location
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Promise<Object>} Light pollution data with Bortle scale
+ * @returns {Promise<Object>} Light pollution data with Bortle scale, plus a 16-direction
+ *   horizonGlow array (N, NNE, …) when the sky-glow model is available and a measurements
+ *   summary when nearby SQM meter readings were blended in
  */
 export const getLightPollution = async (lat, lon) => {
   const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
@@ -22,9 +35,12 @@ export const getLightPollution = async (lat, lon) => {
     return cachedData.data;
   }
 
-  // In a production app, you would fetch from a light pollution API
-  // For now, we'll use geographic heuristics to estimate light pollution
-  const lightData = estimateLightPollution(lat, lon);
+  // Prefer the propagation model over the single raster pixel,
+  // and use heuristics only outside raster coverage
+  const modelData = await fetchSkyGlowLightPollution(lat, lon) ||
+    await fetchRasterLightPollution(lat, lon) ||
+    estimateLightPollution(lat, lon);
+  const lightData = await applySQMReadings(modelData, lat, lon);
 
   // Cache the result
   cache.set(cacheKey, {
@@ -35,6 +51,279 @@ export const getLightPollution = async (lat, lon) => {
   return lightData;
 };
 
+/**
+ * Get light pollution for many points in one request, for map overlays
+ * Only the brightness rasters are sampled: the sky-glow model and meter readings
+ * would cost several requests per point. Points outside raster coverage, or all
+ * of them with the backend offline, get the heuristic estimate.
+ * @param {Array<Object>} points - Points with lat and lon
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Array<Object>>} { bortleClass, sqm, source } per point, in the same order
+ */
+export const getLightPollutionGrid = async (points, signal) => {
+  let values = [];
+  let naturalSkyBrightness = NATURAL_SKY_BRIGHTNESS;
+
+  try {
+    const response = await axios.post(`${BACKEND_URL}/api/light-pollution/grid`, {
+      points: points.map(({ lat, lon }) => ({ lat, lon }))
+    }, {
+      signal,
+      timeout: 10000
+    });
+
+    if (response.data.success) {
+      values = response.data.values;
+      naturalSkyBrightness = response.data.naturalSkyBrightness ?? NATURAL_SKY_BRIGHTNESS;
+    }
+  } catch (error) {
+    if (axios.isCancel(error)) throw error;
+    console.warn('Light pollution grid unavailable:', error.message);
+  }
+
+  return points.map(({ lat, lon }, index) => {
+    const artificialBrightness = values[index] ?? null;
+    if (artificialBrightness === null) {
+      const { bortleClass, sqm, source } = estimateLightPollution(lat, lon);
+      return { bortleClass, sqm, source };
+    }
+
+    const sqm = brightnessToSQM(artificialBrightness + naturalSkyBrightness);
+    return { bortleClass: getBortleFromSQM(sqm), sqm: Number(sqm.toFixed(2)), source: 'Raster' };
+  });
+};
+
+/**
+ * Get the yearly history of sky brightness at a location from the dated rasters
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Yearly series with trend figures, or null if no dated rasters cover the location
+ */
+export const getLightPollutionHistory = async (lat, lon) => {
+  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+  const cachedData = historyCache.get(cacheKey);
+  if (cachedData && Date.now() - cachedData.timestamp < CACHE_DURATION) {
+    return cachedData.data;
+  }
+
+  try {
+    const response = await axios.get(`${BACKEND_URL}/api/light-pollution/history`, {
+      params: { lat, lon },
+      timeout: 5000
+    });
+
+    if (!response.data.success) return null;
+
+    const naturalSkyBrightness = response.data.naturalSkyBrightness ?? NATURAL_SKY_BRIGHTNESS;
+    const series = response.data.series.map((entry, index, entries) => {
+      const totalBrightness = entry.artificialBrightness + naturalSkyBrightness;
+      const sqm = brightnessToSQM(totalBrightness);
+      const previous = entries[index - 1];
+      const changePercent = previous
+        ? (totalBrightness / (previous.artificialBrightness + naturalSkyBrightness) - 1) * 100
+        : null;
+
+      return {
+        year: entry.year,
+        artificialBrightness: entry.artificialBrightness,
+        sqm: Number(sqm.toFixed(2)),
+        bortleClass: getBortleFromSQM(sqm),
+        changePercent: changePercent === null ? null : Number(changePercent.toFixed(2))
+      };
+    });
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const data = {
+      series,
+      startYear: first.year,
+      endYear: last.year,
+      annualChangePercent: Number(getAnnualChangePercent(series, naturalSkyBrightness).toFixed(2)),
+      sqmChange: Number((last.sqm - first.sqm).toFixed(2)),
+      timestamp: Date.now()
+    };
+
+    historyCache.set(cacheKey, {
+      data,
+      timestamp: Date.now()
+    });
+
+    return data;
+  } catch (error) {
+    // 404 only means the location is outside raster coverage
+    if (error.response?.status !== 404) {
+      console.warn('Light pollution history unavailable:', error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Average yearly change in total sky brightness, from a log-linear least-squares fit
+ * @param {Array} series - Yearly entries with year and artificialBrightness
+ * @param {number} naturalSkyBrightness - Natural sky background in mcd/m²
+ * @returns {number} Percentage change per year (positive means brightening)
+ */
+const getAnnualChangePercent = (series, naturalSkyBrightness) => {
+  if (series.length < 2) return 0;
+
+  const points = series.map(entry => ({
+    x: entry.year,
+    y: Math.log(entry.artificialBrightness + naturalSkyBrightness)
+  }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + Math.pow(point.x - meanX, 2), 0);
+
+  return (Math.exp(covariance / variance) - 1) * 100;
+};
+
+/**
+ * Format a light pollution history as CSV
+ * @param {Object} history - Result of getLightPollutionHistory
+ * @returns {string} CSV text with a header row
+ */
+export const formatLightPollutionHistoryCSV = (history) => {
+  const rows = history.series.map(entry => [
+    entry.year,
+    entry.artificialBrightness.toFixed(4),
+    entry.sqm.toFixed(2),
+    entry.bortleClass,
+    entry.changePercent === null ? '' : entry.changePercent.toFixed(2)
+  ].join(','));
+
+  return [
+    'year,artificial_brightness_mcd_m2,sqm_mag_arcsec2,bortle_class,change_percent',
+    ...rows
+  ].join('\n') + '\n';
+};
+
+/**
+ * Clear cached light pollution data, e.g. after submitting a new SQM reading
+ */
+export const clearLightPollutionCache = () => {
+  cache.clear();
+};
+
+/**
+ * Calibrate modelled sky brightness with nearby measured SQM readings
+ * @param {Object} lightData - Modelled light pollution data
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Light pollution data, with source 'Measured' when readings dominate
+ */
+const applySQMReadings = async (lightData, lat, lon) => {
+  const readings = await getNearbySQMReadings(lat, lon);
+  const blend = blendSQMReadings(lightData.sqm, lat, lon, readings);
+
+  if (!blend) {
+    return { ...lightData, measurements: null };
+  }
+
+  return {
+    ...lightData,
+    ...buildLightDataFromSQM(blend.sqm),
+    measurements: {
+      count: blend.usedCount,
+      rejected: blend.rejectedCount,
+      modelSQM: lightData.sqm,
+      weight: Number(blend.measuredWeight.toFixed(2))
+    },
+    source: blend.dominated ? 'Measured' : `${lightData.source} + SQM readings`
+  };
+};
+
+/**
+ * Model zenith sky brightness from surrounding night-lights radiance
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Light pollution data or null if no radiance raster covers the location
+ */
+const fetchSkyGlowLightPollution = async (lat, lon) => {
+  const skyGlow = await getSkyGlow(lat, lon);
+  if (!skyGlow) return null;
+
+  return {
+    ...buildLightDataFromSQM(skyGlow.zenithSQM),
+    artificialBrightness: skyGlow.zenithBrightness,
+    horizonGlow: skyGlow.horizonProfile.map(sector => ({
+      direction: getCardinalDirection(sector.azimuth),
+      azimuth: sector.azimuth,
+      sqm: Number(sector.sqm.toFixed(2)),
+      ratio: Number(sector.ratio.toFixed(2))
+    })),
+    source: `Sky-glow model (${skyGlow.source})`
+  };
+};
+
+/**
+ * Fetch artificial sky brightness from the backend raster and derive sky metrics
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Light pollution data or null if no raster covers the location
+ */
+const fetchRasterLightPollution = async (lat, lon) => {
+  try {
+    const response = await axios.get(`${BACKEND_URL}/api/light-pollution`, {
+      params: { lat, lon },
+      timeout: 5000
+    });
+
+    if (!response.data.success) return null;
+
+    const { artificialBrightness, naturalSkyBrightness, dataset } = response.data;
+    const totalBrightness = artificialBrightness + (naturalSkyBrightness ?? NATURAL_SKY_BRIGHTNESS);
+
+    return {
+      ...buildLightDataFromSQM(brightnessToSQM(totalBrightness)),
+      artificialBrightness,
+      horizonGlow: null, // A single raster pixel carries no directional information
+      source: dataset.name
+    };
+  } catch (error) {
+    // 404 only means the location is outside raster coverage
+    if (error.response?.status !== 404) {
+      console.warn('Light pollution raster unavailable:', error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Determine Bortle class from a measured SQM value
+ * Uses the lower SQM bound of each class from getBortleSQM
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {number} Bortle class (1-9)
+ */
+export const getBortleFromSQM = (sqm) => {
+  for (let bortleClass = 1; bortleClass < 9; bortleClass++) {
+    if (sqm >= getBortleSQM(bortleClass)) {
+      return bortleClass;
+    }
+  }
+  return 9;
+};
+
+/**
+ * Build the light pollution result from a measured SQM value
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {Object} Light pollution data with Bortle scale
+ */
+const buildLightDataFromSQM = (sqm) => {
+  const bortleClass = getBortleFromSQM(sqm);
+
+  return {
+    bortleClass,
+    ...getBortleInfo(bortleClass),
+    sqm: Number(sqm.toFixed(2)),
+    nelm: Number(getNELMFromSQM(sqm).toFixed(1)),
+    mpsas: Number(sqm.toFixed(2)),
+    timestamp: Date.now()
+  };
+};
+
 /**
  * Estimate light pollution based on geographic location
  * @param {number} lat - Latitude
@@ -67,6 +356,7 @@ const estimateLightPollution = (lat, lon) => {
     sqm: getBortleSQM(bortleClass),
     nelm: getBortleNELM(bortleClass),
     mpsas: getBortleMPSAS(bortleClass),
+    horizonGlow: null,
     timestamp: Date.now(),
     source: 'Estimated'
   };
@@ -188,7 +478,7 @@ export const getBortleInfo = (bortleClass) => {
  * @param {number} bortleClass - Bortle class
  * @returns {number} SQM value in mag/arcsec²
  */
-const getBortleSQM = (bortleClass) => {
+export const getBortleSQM = (bortleClass) => {
   const sqmValues = {
     1: 21.7,
     2: 21.5,
@@ -208,7 +498,7 @@ const getBortleSQM = (bortleClass) => {
  * @param {number} bortleClass - Bortle class
  * @returns {number} NELM value
  */
-const getBortleNELM = (bortleClass) => {
+export const getBortleNELM = (bortleClass) => {
   const nelmValues = {
     1: 7.8,
     2: 7.4,
@@ -0,0 +1,175 @@
+import * as Astronomy from 'astronomy-engine';
+import { DEEP_SKY_OBJECTS } from '../data/deepSky.js';
+import { getBestViewingTime, getCardinalDirection } from './constellationService.js';
+import { getDSOHorizon, getDSOLabel, getDSOType } from './dsoService.js';
+
+/**
+ * Service for planning a Messier marathon
+ * Every Messier object is followed through the astronomical night, and the
+ * observing order is built by always going for the object whose window closes
+ * first: the western objects sinking into the dusk, then the rest in turn, and
+ * the eastern ones as they rise before dawn.
+ */
+
+// Sampling step for each object's altitude through the night
+const NIGHT_STEP = 5 * 60 * 1000;
+
+// Marathon objects are caught low, so the default limit sits well under the usual 10°
+const DEFAULT_MIN_ALTITUDE = 5;
+const DEFAULT_MINUTES_PER_OBJECT = 4;
+
+const MESSIER_OBJECTS = DEEP_SKY_OBJECTS.filter(object => object.messier);
+
+/**
+ * Highest altitude an object ever reaches at a latitude (at culmination)
+ * @param {number} dec - Declination in degrees
+ * @param {number} lat - Latitude in degrees
+ * @returns {number} Altitude in degrees, negative when the object never rises
+ */
+export const getCulminationAltitude = (dec, lat) => 90 - Math.abs(lat - dec);
+
+/**
+ * Find the stretches of the night when an object is above an altitude
+ * @param {Array<Object>} samples - [{ time (ms), altitude }] at NIGHT_STEP spacing
+ * @param {number} minAltitude - Altitude limit in degrees
+ * @returns {Array<Object>} [{ start, end }] in ms
+ */
+const getWindows = (samples, minAltitude) => {
+  const windows = [];
+  let current = null;
+  samples.forEach(({ time, altitude }) => {
+    if (altitude >= minAltitude) {
+      if (!current) {
+        current = { start: time, end: time };
+        windows.push(current);
+      }
+      current.end = time;
+    } else {
+      current = null;
+    }
+  });
+  return windows;
+};
+
+/**
+ * Plan a Messier marathon for a night at a site
+ * Objects are observed one after another, each taking minutesPerObject. At each
+ * step the object whose current window ends soonest is taken next; when nothing
+ * is up, the plan waits for the next object to rise.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Date of the night (searched forward from this time, as in getBestViewingTime)
+ * @param {Object} options - { minAltitude (degrees), minutesPerObject }
+ * @returns {Promise<Object>} { nightStart, nightEnd, minAltitude, minutesPerObject, sequence, impossible,
+ *   notInDarkness, missed }. Sequence entries are [{ order, time, altitude, azimuth, direction, windowEnd }]
+ *   plus the catalogue fields, label and typeName; the others list objects with their maxAltitude.
+ */
+export const planMessierMarathon = async (lat, lon, date = new Date(), options = {}) => {
+  const {
+    minAltitude = DEFAULT_MIN_ALTITUDE,
+    minutesPerObject = DEFAULT_MINUTES_PER_OBJECT
+  } = options;
+  const slot = minutesPerObject * 60 * 1000;
+
+  const describe = (object) => ({ ...object, label: getDSOLabel(object), typeName: getDSOType(object.type) });
+
+  // Objects that never climb above the limit here, whatever the date
+  const impossible = [];
+  const candidates = [];
+  MESSIER_OBJECTS.forEach(object => {
+    const maxAltitude = getCulminationAltitude(object.dec, lat);
+    if (maxAltitude < minAltitude) {
+      impossible.push({ ...describe(object), maxAltitude });
+    } else {
+      candidates.push(object);
+    }
+  });
+
+  const times = await getBestViewingTime(lat, lon, date);
+  const plan = {
+    nightStart: times.astronomicalNightStart ? new Date(times.astronomicalNightStart) : null,
+    nightEnd: times.astronomicalNightEnd ? new Date(times.astronomicalNightEnd) : null,
+    minAltitude,
+    minutesPerObject,
+    sequence: [],
+    impossible,
+    notInDarkness: [],
+    missed: []
+  };
+
+  if (!plan.nightStart || !plan.nightEnd) {
+    plan.notInDarkness = candidates.map(object => ({ ...describe(object), maxAltitude: null }));
+    return plan;
+  }
+
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const steps = [];
+  for (let time = plan.nightStart.getTime(); time <= plan.nightEnd.getTime(); time += NIGHT_STEP) {
+    const stepDate = new Date(time);
+    steps.push({ time, date: stepDate, rotation: Astronomy.Rotation_EQJ_EQD(Astronomy.MakeTime(stepDate)) });
+  }
+
+  // Objects that are up at some point in the dark, with their windows
+  const pending = [];
+  candidates.forEach(object => {
+    const samples = steps.map(step => ({
+      time: step.time,
+      altitude: getDSOHorizon(object, observer, step.date, step.rotation).altitude
+    }));
+    const maxAltitude = Math.max(...samples.map(sample => sample.altitude));
+    const windows = getWindows(samples, minAltitude);
+
+    if (windows.length === 0) {
+      plan.notInDarkness.push({ ...describe(object), maxAltitude });
+    } else {
+      pending.push({ object, windows, maxAltitude });
+    }
+  });
+
+  let now = plan.nightStart.getTime();
+  while (pending.length > 0) {
+    // Drop objects whose last window has closed
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (pending[i].windows[pending[i].windows.length - 1].end < now) {
+        const [{ object, maxAltitude }] = pending.splice(i, 1);
+        plan.missed.push({ ...describe(object), maxAltitude });
+      }
+    }
+    if (pending.length === 0) break;
+
+    // Earliest-deadline first among the objects that are up now
+    let next = null;
+    let nextWindow = null;
+    pending.forEach(entry => {
+      const window = entry.windows.find(candidate => candidate.start <= now && now <= candidate.end);
+      if (window && (!nextWindow || window.end < nextWindow.end)) {
+        next = entry;
+        nextWindow = window;
+      }
+    });
+
+    if (!next) {
+      // Nothing up: wait for the next object to rise
+      now = Math.min(...pending.flatMap(entry => entry.windows.map(window => window.start).filter(start => start > now)));
+      continue;
+    }
+
+    const time = new Date(now);
+    const { altitude, azimuth } = getDSOHorizon(next.object, observer, time);
+    plan.sequence.push({
+      ...describe(next.object),
+      order: plan.sequence.length + 1,
+      time,
+      altitude,
+      azimuth,
+      direction: getCardinalDirection(azimuth),
+      windowEnd: new Date(nextWindow.end)
+    });
+    pending.splice(pending.indexOf(next), 1);
+    now += slot;
+  }
+
+  plan.missed.sort((a, b) => a.messier - b.messier);
+  plan.notInDarkness.sort((a, b) => a.messier - b.messier);
+  return plan;
+};
@@ -0,0 +1,215 @@
+import * as Astronomy from 'astronomy-engine';
+
+/**
+ * Service for the Moon's phase, position and its effect on sky brightness
+ * Uses astronomy-engine for astronomical calculations
+ */
+
+// Sky brightness range used for darkness: Bortle 9 city sky to Bortle 1 natural sky (mag/arcsec²)
+const CITY_SKY_SQM = 16.0;
+const NATURAL_SKY_SQM = 21.7;
+
+// V-band atmospheric extinction at a typical dark site (mag per airmass)
+export const EXTINCTION = 0.172;
+
+// A crescent thinner than this barely lights the sky, so it counts as moon-free
+const THIN_CRESCENT = 0.05;
+
+// Sampling step when following the Moon through the night
+const NIGHT_STEP = 10 * 60 * 1000;
+
+const PHASES = [
+  { name: 'New Moon', emoji: '🌑' },
+  { name: 'Waxing Crescent', emoji: '🌒' },
+  { name: 'First Quarter', emoji: '🌓' },
+  { name: 'Waxing Gibbous', emoji: '🌔' },
+  { name: 'Full Moon', emoji: '🌕' },
+  { name: 'Waning Gibbous', emoji: '🌖' },
+  { name: 'Last Quarter', emoji: '🌗' },
+  { name: 'Waning Crescent', emoji: '🌘' }
+];
+
+/**
+ * Get the Moon's phase
+ * @param {Date} date - Date/time
+ * @returns {Object} { name, emoji, illumination (0-1), phaseAngle (0-360, 0 = new, 180 = full), isWaxing }
+ */
+export const getMoonPhase = (date = new Date()) => {
+  const phaseAngle = Astronomy.MoonPhase(date);
+  const illumination = Astronomy.Illumination(Astronomy.Body.Moon, date);
+  const phase = PHASES[Math.round(phaseAngle / 45) % PHASES.length];
+
+  return {
+    name: phase.name,
+    emoji: phase.emoji,
+    illumination: illumination.phase_fraction,
+    phaseAngle,
+    isWaxing: phaseAngle < 180
+  };
+};
+
+/**
+ * Get the Moon's position and illuminated fraction at a time
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Observation date/time
+ * @returns {Object} { altitude, azimuth (degrees), illumination (0-1), isUp }
+ */
+export const getMoonPosition = (lat, lon, date = new Date()) => {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const equatorial = Astronomy.Equator(Astronomy.Body.Moon, date, observer, true, true);
+  const horizontal = Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal');
+  const illumination = Astronomy.Illumination(Astronomy.Body.Moon, date);
+
+  return {
+    altitude: horizontal.altitude,
+    azimuth: horizontal.azimuth,
+    illumination: illumination.phase_fraction,
+    isUp: horizontal.altitude > 0
+  };
+};
+
+/**
+ * Get the next moonrise and moonset within a day of a time
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Start of the search
+ * @returns {Object} { rise, set } Dates, or null when the event doesn't happen within a day
+ */
+export const getMoonRiseSet = (lat, lon, date = new Date()) => {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const rise = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, 1, date, 1);
+  const set = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, -1, date, 1);
+
+  return {
+    rise: rise ? rise.date : null,
+    set: set ? set.date : null
+  };
+};
+
+/**
+ * Convert sky brightness between mag/arcsec² and nanoLamberts
+ * (Garstang's conversion, as used by Krisciunas & Schaefer)
+ */
+const sqmToNanoLamberts = (sqm) => 34.08 * Math.exp(20.7233 - 0.92104 * sqm);
+const nanoLambertsToSQM = (nanoLamberts) => (20.7233 - Math.log(nanoLamberts / 34.08)) / 0.92104;
+
+/**
+ * Moonlight scattered into the zenith sky (Krisciunas & Schaefer 1991)
+ * @param {number} altitude - Moon altitude (degrees)
+ * @param {number} phaseAngle - Sun-Moon-Earth angle (degrees, 0 = full)
+ * @returns {number} Added sky brightness in nanoLamberts (0 when the Moon is down)
+ */
+const getZenithMoonlight = (altitude, phaseAngle) => {
+  if (altitude <= 0) return 0;
+
+  // Moon's apparent magnitude and illuminance outside the atmosphere
+  const magnitude = -12.73 + 0.026 * Math.abs(phaseAngle) + 4e-9 * Math.pow(phaseAngle, 4);
+  const illuminance = Math.pow(10, -0.4 * (magnitude + 16.57));
+
+  // Scattering towards the zenith, which is (90° − altitude) from the Moon
+  const separation = 90 - altitude;
+  const separationRad = separation * Math.PI / 180;
+  const scattering = Math.pow(10, 5.36) * (1.06 + Math.cos(separationRad) ** 2) +
+    Math.pow(10, 6.15 - separation / 40);
+
+  // Airmass towards the Moon (Krisciunas & Schaefer's form)
+  const zenithRad = separationRad;
+  const moonAirmass = 1 / Math.sqrt(1 - 0.96 * Math.sin(zenithRad) ** 2);
+
+  return scattering * illuminance *
+    Math.pow(10, -0.4 * EXTINCTION * moonAirmass) *
+    (1 - Math.pow(10, -0.4 * EXTINCTION));
+};
+
+/**
+ * Share of the city-to-natural darkness range a sky brightness reaches
+ * @param {number} sqm - Sky brightness in mag/arcsec²
+ * @returns {number} 0 (Bortle 9) to 1 (Bortle 1)
+ */
+const getDarkness = (sqm) =>
+  Math.max(0, Math.min(1, (sqm - CITY_SKY_SQM) / (NATURAL_SKY_SQM - CITY_SKY_SQM)));
+
+/**
+ * Calculate the moonlight sky-brightness penalty at a site and time
+ * Moonlight is added to the site's own sky brightness, so the same Moon costs a
+ * dark site much more than a city sky that is already bright. The penalty is the
+ * share of the city-to-natural darkness range lost (0 = no effect, 1 = a natural
+ * sky turned into a city sky); scores subtract it from their darkness factor.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Observation date/time
+ * @param {number} siteSQM - Site sky brightness without the Moon (defaults to a natural sky)
+ * @returns {Object} { penalty (0-1), effectiveSQM, brightening (mag), altitude, illumination }
+ */
+export const getMoonlightPenalty = (lat, lon, date = new Date(), siteSQM = NATURAL_SKY_SQM) => {
+  const position = getMoonPosition(lat, lon, date);
+  const { phase_angle: phaseAngle } = Astronomy.Illumination(Astronomy.Body.Moon, date);
+  const sqm = siteSQM ?? NATURAL_SKY_SQM;
+
+  const siteBrightness = sqmToNanoLamberts(sqm);
+  const moonlight = getZenithMoonlight(position.altitude, phaseAngle);
+  const effectiveSQM = nanoLambertsToSQM(siteBrightness + moonlight);
+
+  return {
+    penalty: Math.max(0, getDarkness(sqm) - getDarkness(effectiveSQM)),
+    effectiveSQM,
+    brightening: sqm - effectiveSQM,
+    altitude: position.altitude,
+    illumination: position.illumination
+  };
+};
+
+/**
+ * Follow the Moon through a night
+ * Moon-free windows are stretches where the Moon is below the horizon or only a
+ * thin crescent.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} start - Start of the night (e.g. astronomical dusk)
+ * @param {Date} end - End of the night (e.g. astronomical dawn)
+ * @param {number} siteSQM - Site sky brightness without the Moon
+ * @returns {Object} { phase, riseSet, samples: [{ time, altitude, penalty, isMoonFree }],
+ *   meanPenalty, maxPenalty, moonFreeWindows: [{ start, end, minutes }], isMoonFreeAllNight }
+ */
+export const getMoonNight = (lat, lon, start, end, siteSQM = NATURAL_SKY_SQM) => {
+  const samples = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += NIGHT_STEP) {
+    const moonlight = getMoonlightPenalty(lat, lon, new Date(time), siteSQM);
+    samples.push({
+      time: new Date(time),
+      altitude: moonlight.altitude,
+      penalty: moonlight.penalty,
+      isMoonFree: moonlight.altitude <= 0 || moonlight.illumination < THIN_CRESCENT
+    });
+  }
+
+  const moonFreeWindows = [];
+  let windowStart = null;
+  samples.forEach((sample, index) => {
+    const { isMoonFree } = sample;
+    if (isMoonFree && windowStart === null) {
+      windowStart = sample.time;
+    }
+    if (windowStart !== null && (!isMoonFree || index === samples.length - 1)) {
+      const windowEnd = isMoonFree ? end : sample.time;
+      const minutes = Math.round((windowEnd.getTime() - windowStart.getTime()) / 60000);
+      if (minutes > 0) {
+        moonFreeWindows.push({ start: windowStart, end: windowEnd, minutes });
+      }
+      windowStart = null;
+    }
+  });
+
+  const penalties = samples.map(sample => sample.penalty);
+
+  return {
+    phase: getMoonPhase(new Date((start.getTime() + end.getTime()) / 2)),
+    riseSet: getMoonRiseSet(lat, lon, start),
+    samples,
+    meanPenalty: penalties.length > 0 ? penalties.reduce((sum, value) => sum + value, 0) / penalties.length : 0,
+    maxPenalty: penalties.length > 0 ? Math.max(...penalties) : 0,
+    moonFreeWindows,
+    isMoonFreeAllNight: samples.every(sample => sample.isMoonFree)
+  };
+};
@@ -1,4 +1,4 @@
-import { getAQI } from './aqiService';
+import { getAQI, hasMeasuredAQI, formatAQI } from './aqiService';
 import { getLightPollution } from './lightPollutionService';
 
 /**
@@ -94,7 +94,8 @@ const generateSearchGrid = (lat, lon, radiusKm, gridSize = 8) => {
  * Find nearby locations with equal or better stargazing conditions
  * @param {number} lat - Center latitude
  * @param {number} lon - Center longitude
- * @param {number} currentAQI - Current location's AQI
+ * @param {number|null} currentAQI - Current location's measured AQI (null if unknown or estimated,
+ *   in which case sites are compared on Bortle class only)
  * @param {number} currentBortle - Current location's Bortle class
  * @param {number} radiusKm - Search radius in kilometers (default 10)
  * @returns {Promise<Object>} Nearby locations with better conditions
@@ -124,7 +125,9 @@ export const findNearbyLocations = async (lat, lon, currentAQI, currentBortle, r
             lon: point.lon,
             distance: point.distance,
             direction: point.direction,
-            aqi: aqiData?.aqi || null,
+            aqi: aqiData?.aqi ?? null,
+            // Estimates and missing data are shown but never compared
+            aqiMeasured: hasMeasuredAQI(aqiData),
             bortleClass: lightData?.bortleClass || null,
             aqiData: aqiData,
             lightData: lightData
@@ -138,10 +141,11 @@ export const findNearbyLocations = async (lat, lon, currentAQI, currentBortle, r
     
     // Filter out failed fetches and locations that don't meet criteria
     const validLocations = results.filter(loc => {
-      if (!loc || loc.aqi === null || loc.bortleClass === null) return false;
+      if (!loc || loc.bortleClass === null) return false;
       
-      // Location must have equal or better (lower) AQI and Bortle class
-      const betterAQI = loc.aqi <= currentAQI;
+      // Location must have equal or better (lower) AQI and Bortle class;
+      // AQI only counts when both sites have measured values
+      const betterAQI = !canCompareAQI(currentAQI, loc) || loc.aqi <= currentAQI;
       const betterBortle = loc.bortleClass <= currentBortle;
       
       return betterAQI && betterBortle;
@@ -150,11 +154,11 @@ export const findNearbyLocations = async (lat, lon, currentAQI, currentBortle, r
     // Calculate improvement scores
     const locationsWithScores = validLocations.map(loc => {
       // Calculate improvement (negative values mean better conditions)
-      const aqiImprovement = currentAQI - loc.aqi;
+      const aqiImprovement = canCompareAQI(currentAQI, loc) ? currentAQI - loc.aqi : null;
       const bortleImprovement = currentBortle - loc.bortleClass;
       
       // Combined score (higher is better)
-      const score = (aqiImprovement * 0.3) + (bortleImprovement * 0.7) - (loc.distance * 0.1);
+      const score = ((aqiImprovement ?? 0) * 0.3) + (bortleImprovement * 0.7) - (loc.distance * 0.1);
       
       return {
         ...loc,
@@ -179,7 +183,7 @@ export const findNearbyLocations = async (lat, lon, currentAQI, currentBortle, r
         !(loc.improvements.aqi >= 20 && loc.improvements.bortle >= 2)
       ),
       similar: locationsWithScores.filter(loc => 
-        loc.improvements.aqi < 10 && loc.improvements.bortle < 1
+        (loc.improvements.aqi ?? 0) < 10 && loc.improvements.bortle < 1
       )
     };
     
@@ -242,6 +246,16 @@ export const getDirection = (lat, lon, targetLat, targetLon) => {
   return directions[index];
 };
 
+/**
+ * Check whether two sites' AQI can be compared (both measured, not estimated)
+ * @param {number|null} currentAQI - Current location's measured AQI
+ * @param {Object} location - Candidate location
+ * @returns {boolean} True if the AQI values can be compared
+ */
+const canCompareAQI = (currentAQI, location) => {
+  return currentAQI !== null && location.aqiMeasured;
+};
+
 /**
  * Format location summary for display
  * @param {Object} location - Location data
@@ -253,7 +267,7 @@ export const formatLocationSummary = (location) => {
   
   return {
     distance: `${location.distance.toFixed(1)} km ${dir}`.trim(),
-    conditions: `AQI: ${location.aqi}, Bortle: ${location.bortleClass}`,
+    conditions: `AQI: ${formatAQI(location.aqi, !location.aqiMeasured && location.aqi !== null)}, Bortle: ${location.bortleClass}`,
     improvement: getImprovementText(location.improvements)
   };
 };
@@ -0,0 +1,176 @@
+import * as Astronomy from 'astronomy-engine';
+import { CONSTELLATIONS } from '../data/constellations.js';
+import {
+  raDecToAltAz,
+  getVisiblePlanets,
+  getCardinalDirection,
+  isNakedEyeVisible
+} from './constellationService.js';
+import { getMoonPosition, getMoonPhase } from './moonService.js';
+
+/**
+ * Service for laying out the all-sky star chart
+ * Stars, constellation figures, planets and the Moon are placed on a
+ * stereographic projection of the sky dome: zenith in the centre, horizon on
+ * the unit circle, north up and east on the left (as seen lying on your back
+ * with your head to the north).
+ */
+
+// Line-figure ends further below the horizon than this are dropped (degrees)
+const LINE_HORIZON_MARGIN = 30;
+
+// B-V colour index to star colour, from hot blue-white to cool orange-red
+const STAR_COLORS = [
+  { bv: -0.3, color: '#9bb2ff' },
+  { bv: 0.0, color: '#cad8ff' },
+  { bv: 0.3, color: '#f8f7ff' },
+  { bv: 0.6, color: '#fff4e8' },
+  { bv: 1.0, color: '#ffddb4' },
+  { bv: 1.5, color: '#ffbd6f' },
+  { bv: 2.0, color: '#ff9d3f' }
+];
+
+/**
+ * Project a point on the sky dome onto the chart
+ * @param {number} altitude - Altitude in degrees
+ * @param {number} azimuth - Azimuth in degrees (0 = north, 90 = east)
+ * @returns {Object} { x, y } with the horizon on the unit circle and y pointing down (SVG)
+ */
+export const projectAltAz = (altitude, azimuth) => {
+  const radius = Math.tan((90 - altitude) * Math.PI / 360);
+  const angle = azimuth * Math.PI / 180;
+  return {
+    x: -radius * Math.sin(angle),
+    y: -radius * Math.cos(angle)
+  };
+};
+
+/**
+ * Get a star's colour from its B-V colour index
+ * @param {number|null} bv - B-V colour index
+ * @returns {string} Hex colour (white when unknown)
+ */
+export const getStarColor = (bv) => {
+  if (bv === null || bv === undefined) return '#ffffff';
+  const match = STAR_COLORS.find(stop => bv <= stop.bv);
+  return (match ?? STAR_COLORS[STAR_COLORS.length - 1]).color;
+};
+
+/**
+ * Lay out everything above the horizon at a location and time
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} date - Observation date/time
+ * @param {Array} stars - Catalogue rows [hip, ra, dec, magnitude, bv, name?] (BRIGHT_STARS)
+ * @returns {Object} { stars, lines, labels, planets, moon, sunAltitude }
+ */
+export const getSkyChartData = (lat, lon, date, stars = []) => {
+  const siderealTime = Astronomy.SiderealTime(date);
+  const place = (ra, dec) => {
+    const position = raDecToAltAz(ra, dec, lat, lon, date, siderealTime);
+    return { ...position, ...projectAltAz(position.altitude, position.azimuth) };
+  };
+
+  const visibleStars = [];
+  stars.forEach(([hip, ra, dec, magnitude, bv, name]) => {
+    const { altitude, azimuth } = raDecToAltAz(ra, dec, lat, lon, date, siderealTime);
+    if (altitude > 0) {
+      visibleStars.push({ hip, name: name ?? null, magnitude, bv, altitude, azimuth, ...projectAltAz(altitude, azimuth) });
+    }
+  });
+
+  // Figure lines crossing the horizon are kept; the chart clips them at the edge
+  const lines = [];
+  const labels = [];
+  CONSTELLATIONS.forEach(constellation => {
+    constellation.lines.forEach(([[ra1, dec1], [ra2, dec2]]) => {
+      const from = place(ra1, dec1);
+      const to = place(ra2, dec2);
+      if (Math.max(from.altitude, to.altitude) > 0 &&
+          Math.min(from.altitude, to.altitude) > -LINE_HORIZON_MARGIN) {
+        lines.push({ abbr: constellation.abbr, x1: from.x, y1: from.y, x2: to.x, y2: to.y });
+      }
+    });
+
+    const centre = place(constellation.ra, constellation.dec);
+    if (centre.altitude > 0) {
+      labels.push({ name: constellation.name, abbr: constellation.abbr, rank: constellation.rank, x: centre.x, y: centre.y });
+    }
+  });
+
+  const planets = getVisiblePlanets(lat, lon, date).map(planet => ({
+    ...planet,
+    magnitude: Astronomy.Illumination(Astronomy.Body[planet.name], date).mag,
+    ...projectAltAz(planet.altitude, planet.azimuth)
+  }));
+
+  const moonPosition = getMoonPosition(lat, lon, date);
+  let moon = null;
+  if (moonPosition.isUp) {
+    const phase = getMoonPhase(date);
+    moon = {
+      ...moonPosition,
+      phase: phase.name,
+      emoji: phase.emoji,
+      ...projectAltAz(moonPosition.altitude, moonPosition.azimuth)
+    };
+  }
+
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const sun = Astronomy.Equator(Astronomy.Body.Sun, date, observer, true, true);
+  const sunAltitude = Astronomy.Horizon(date, observer, sun.ra, sun.dec, 'normal').altitude;
+
+  return { stars: visibleStars, lines, labels, planets, moon, sunAltitude };
+};
+
+/**
+ * Keep the chart stars that can be seen with the naked eye under a sky
+ * @param {Array<Object>} stars - Stars from getSkyChartData
+ * @param {number|null} limitingMagnitude - Zenith NELM, or null to keep every star
+ * @returns {Array<Object>} Stars bright enough after extinction at their altitude
+ */
+export const filterNakedEyeStars = (stars, limitingMagnitude) => {
+  if (limitingMagnitude === null || limitingMagnitude === undefined) return stars;
+  return stars.filter(star => isNakedEyeVisible(star.magnitude, star.altitude, limitingMagnitude));
+};
+
+/**
+ * Find the object nearest a point on the chart
+ * Stars count as half as far again as the Moon and planets, which are drawn
+ * on top of them.
+ * @param {Object} chartData - Layout from getSkyChartData
+ * @param {number} x - Chart x (unit-circle coordinates)
+ * @param {number} y - Chart y
+ * @param {number} maxDistance - Search radius in chart units
+ * @returns {Object|null} { type, name, hip, magnitude, altitude, azimuth, direction, phase } or null when nothing is close
+ */
+export const findNearestObject = (chartData, x, y, maxDistance) => {
+  const candidates = [
+    ...(chartData.moon ? [{ ...chartData.moon, type: 'moon', name: 'Moon', weight: 1 }] : []),
+    ...chartData.planets.map(planet => ({ ...planet, type: 'planet', weight: 1 })),
+    ...chartData.stars.map(star => ({ ...star, type: 'star', name: star.name ?? `HIP ${star.hip}`, weight: 1.5 }))
+  ];
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = Math.hypot(candidate.x - x, candidate.y - y) * candidate.weight;
+    if (distance <= maxDistance && distance < nearestDistance) {
+      nearest = candidate;
+      nearestDistance = distance;
+    }
+  });
+
+  if (!nearest) return null;
+
+  return {
+    type: nearest.type,
+    name: nearest.name,
+    hip: nearest.hip ?? null,
+    magnitude: nearest.magnitude ?? null,
+    altitude: nearest.altitude,
+    azimuth: nearest.azimuth,
+    direction: getCardinalDirection(nearest.azimuth),
+    phase: nearest.phase ?? null
+  };
+};
@@ -0,0 +1,188 @@
+import axios from 'axios';
+
+/**
+ * Sky-glow propagation model
+ * Estimates zenith sky brightness and the horizon glow profile at a site by
+ * summing the light scattered from surrounding upward-radiance cells (VIIRS
+ * night lights). Each lit cell is treated as a point source whose contribution
+ * falls off with Walker's law (I ∝ d^-2.5), softened in the near field the way
+ * Garstang's model handles an observer standing inside a city.
+ */
+
+// Backend API base URL (configurable via environment variable)
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
+// Cache for sky-glow results
+const cache = new Map();
+const CACHE_DURATION = 3600000; // 1 hour in milliseconds
+
+// Natural sky background brightness used by the World Atlas (mcd/m²)
+export const NATURAL_SKY_BRIGHTNESS = 0.171168;
+
+// Cities further than this barely register at the zenith
+const DEFAULT_RADIUS_KM = 200;
+
+// Zenith brightness (mcd/m²) per unit of radiance × km² at unit distance
+const ZENITH_COEFFICIENT = 0.08;
+
+// Softening length for sources close to the observer (about one raster cell)
+const NEAR_FIELD_KM = 8;
+
+// Light domes stand out more near the horizon the further away the city is
+const HORIZON_SCALE_KM = 10;
+
+// Airglow makes the natural sky ~1.6x brighter at 10° altitude than at zenith
+const HORIZON_NATURAL_FACTOR = 1.6;
+
+const SECTOR_COUNT = 16;
+const SECTOR_WIDTH = 360 / SECTOR_COUNT;
+
+/**
+ * Convert sky luminance to surface brightness
+ * @param {number} brightness - Total sky brightness in mcd/m²
+ * @returns {number} Sky brightness in mag/arcsec²
+ */
+export const brightnessToSQM = (brightness) => {
+  // 1 mag/arcsec² zero point corresponds to 108,000 cd/m²
+  return -2.5 * Math.log10(brightness / 1.08e8);
+};
+
+/**
+ * Get the sky-glow model for a location, using radiance cells from the backend
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusKm - Radius of surrounding cells to include (default: 200)
+ * @returns {Promise<Object|null>} Sky-glow result or null if no radiance raster covers the location
+ */
+export const getSkyGlow = async (lat, lon, radiusKm = DEFAULT_RADIUS_KM) => {
+  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)},${radiusKm}`;
+
+  const cachedData = cache.get(cacheKey);
+  if (cachedData && Date.now() - cachedData.timestamp < CACHE_DURATION) {
+    return cachedData.data;
+  }
+
+  try {
+    const response = await axios.get(`${BACKEND_URL}/api/light-pollution/radiance`, {
+      params: { lat, lon, radiusKm },
+      timeout: 5000
+    });
+
+    if (!response.data.success) return null;
+
+    const data = {
+      ...computeSkyGlow(lat, lon, response.data.cells),
+      radiusKm: response.data.radiusKm,
+      source: response.data.dataset.name
+    };
+
+    cache.set(cacheKey, {
+      data,
+      timestamp: Date.now()
+    });
+
+    return data;
+  } catch (error) {
+    // 404 only means the location is outside raster coverage
+    if (error.response?.status !== 404) {
+      console.warn('Sky-glow radiance data unavailable:', error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Propagate upward radiance from surrounding cells to the observer
+ * @param {number} lat - Observer latitude
+ * @param {number} lon - Observer longitude
+ * @param {Array<Object>} cells - Radiance cells ({ lat, lon, radiance, areaKm2 })
+ * @returns {Object} Zenith brightness and per-azimuth horizon glow profile
+ */
+export const computeSkyGlow = (lat, lon, cells) => {
+  let zenithBrightness = 0;
+  const horizonBrightness = new Array(SECTOR_COUNT).fill(0);
+
+  cells.forEach(cell => {
+    const distance = calculateDistance(lat, lon, cell.lat, cell.lon);
+    const flux = cell.radiance * cell.areaKm2;
+    const zenith = ZENITH_COEFFICIENT * flux *
+      Math.pow(distance * distance + NEAR_FIELD_KM * NEAR_FIELD_KM, -1.25);
+
+    zenithBrightness += zenith;
+
+    // Spread the dome over neighbouring sectors by its apparent width;
+    // a source underfoot lights every direction equally
+    const bearing = calculateBearing(lat, lon, cell.lat, cell.lon);
+    const halfWidthKm = Math.sqrt(cell.areaKm2) / 2 + NEAR_FIELD_KM;
+    const spread = Math.max(SECTOR_WIDTH / 2, Math.atan2(halfWidthKm, distance) * 180 / Math.PI);
+    const horizon = zenith * (1 + distance / HORIZON_SCALE_KM);
+
+    for (let sector = 0; sector < SECTOR_COUNT; sector++) {
+      const offset = angularDifference(sector * SECTOR_WIDTH, bearing);
+      horizonBrightness[sector] += horizon * Math.exp(-(offset * offset) / (2 * spread * spread));
+    }
+  });
+
+  const horizonNatural = NATURAL_SKY_BRIGHTNESS * HORIZON_NATURAL_FACTOR;
+
+  return {
+    zenithBrightness,
+    zenithSQM: brightnessToSQM(zenithBrightness + NATURAL_SKY_BRIGHTNESS),
+    horizonProfile: horizonBrightness.map((brightness, sector) => ({
+      azimuth: sector * SECTOR_WIDTH,
+      brightness,
+      sqm: brightnessToSQM(brightness + horizonNatural),
+      ratio: brightness / horizonNatural
+    })),
+    sourceCount: cells.length,
+    model: 'Walker/Garstang point-source propagation'
+  };
+};
+
+/**
+ * Smallest absolute difference between two bearings
+ * @param {number} a - First bearing in degrees
+ * @param {number} b - Second bearing in degrees
+ * @returns {number} Difference in degrees (0-180)
+ */
+const angularDifference = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const centralAngle = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * centralAngle;
+};
+
+/**
+ * Calculate initial bearing from the first coordinate to the second
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
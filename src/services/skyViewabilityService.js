@@ -10,13 +10,100 @@ import axios from 'axios';
 const cache = new Map();
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
 
+// Requests in flight, so the snapshot and the forecast share one 7Timer call
+const pendingRequests = new Map();
+
+// ASTRO forecasts are 3-hourly; a point stands for the hours around it
+const STEP_HOURS = 3;
+const MAX_POINT_DISTANCE = (STEP_HOURS / 2) * 3600000;
+
+// 7Timer marks missing values with -9999
+const MISSING_VALUE = -9999;
+
+// 7Timer wind speed classes (1-8) as upper bounds in m/s
+const WIND_SPEED_LIMITS = [0.3, 3.4, 8.0, 10.8, 17.2, 24.5, 32.6];
+
 /**
- * Fetch astronomical weather data from 7Timer!
+ * Parse the 7Timer `init` field (model run, 'YYYYMMDDHH' in UTC)
+ * @param {string} init - Model initialisation time
+ * @returns {number|null} Milliseconds since epoch
+ */
+const parseInitTime = (init) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})$/.exec(String(init ?? ''));
+  if (!match) return null;
+
+  const [, year, month, day, hour] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour);
+};
+
+/**
+ * Convert the 7Timer relative humidity class (-4 to 16) to a percentage
+ * @param {number} rh2m - Humidity class (-4: 0-5%, each step 5%, 16: 100%)
+ * @returns {number|null} Middle of the class range in percent
+ */
+const decodeHumidity = (rh2m) => {
+  if (typeof rh2m !== 'number' || rh2m === MISSING_VALUE) return null;
+  if (rh2m >= 16) return 100;
+  return Math.max(0, (rh2m + 4) * 5 + 2.5);
+};
+
+/**
+ * Convert the 7Timer wind speed class (1-8) to m/s
+ * @param {number} speed - Wind speed class
+ * @returns {number|null} Middle of the class range in m/s (the lower bound for class 8)
+ */
+const decodeWindSpeed = (speed) => {
+  if (typeof speed !== 'number' || speed < 1) return null;
+  if (speed > WIND_SPEED_LIMITS.length) return WIND_SPEED_LIMITS[WIND_SPEED_LIMITS.length - 1];
+
+  const lower = speed === 1 ? 0 : WIND_SPEED_LIMITS[speed - 2];
+  return Number(((lower + WIND_SPEED_LIMITS[speed - 1]) / 2).toFixed(1));
+};
+
+/**
+ * Read a 7Timer value, treating the missing-value marker as absent
+ * @param {*} value - Raw value
+ * @returns {*} The value, or null
+ */
+const readValue = (value) => (value === undefined || value === MISSING_VALUE ? null : value);
+
+/**
+ * Parse a 7Timer ASTRO response into a timestamped series
+ * @param {Object} data - Raw ASTRO JSON ({ init, dataseries: [{ timepoint, ... }] })
+ * @returns {Array<Object>} Forecast points, oldest first
+ */
+const parseAstroSeries = (data) => {
+  const init = parseInitTime(data?.init);
+  if (init === null || !Array.isArray(data.dataseries)) return [];
+
+  return data.dataseries
+    .filter(point => typeof point.timepoint === 'number')
+    .map(point => {
+      const wind10m = point.wind10m || {};
+      return {
+        time: init + point.timepoint * 3600000,
+        cloudCover: readValue(point.cloudcover),
+        seeing: readValue(point.seeing),
+        transparency: readValue(point.transparency),
+        lifted_index: readValue(point.lifted_index),
+        rh2m: readValue(point.rh2m),
+        humidity: decodeHumidity(point.rh2m),
+        wind10m: { direction: wind10m.direction, speed: readValue(wind10m.speed) },
+        windSpeed: decodeWindSpeed(readValue(wind10m.speed)),
+        temp2m: readValue(point.temp2m),
+        prec_type: point.prec_type || 'none'
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Fetch and parse the 7Timer ASTRO forecast, sharing cache and in-flight requests
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Promise<Object>} Sky viewability data
+ * @returns {Promise<Object>} { init, series, source, timestamp }
  */
-export const getSkyViewability = async (lat, lon) => {
+const fetchAstroForecast = async (lat, lon) => {
   const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
   
   // Check cache first
@@ -25,7 +112,11 @@ export const getSkyViewability = async (lat, lon) => {
     return cachedData.data;
   }
 
-  try {
+  if (pendingRequests.has(cacheKey)) {
+    return pendingRequests.get(cacheKey);
+  }
+
+  const request = (async () => {
     // Use 7Timer! ASTRO API for astronomical weather
     const response = await axios.get('https://www.7timer.info/bin/astro.php', {
       params: {
@@ -39,32 +130,65 @@ export const getSkyViewability = async (lat, lon) => {
       timeout: 10000
     });
 
-    if (response.data && response.data.dataseries) {
-      const currentForecast = response.data.dataseries[0]; // Get current/next forecast
-      
-      const skyData = {
-        cloudCover: currentForecast.cloudcover || 'unknown',
-        seeing: currentForecast.seeing || 'unknown',
-        transparency: currentForecast.transparency || 'unknown',
-        lifted_index: currentForecast.lifted_index || 0,
-        rh2m: currentForecast.rh2m || 0,
-        wind10m: currentForecast.wind10m || {},
-        temp2m: currentForecast.temp2m || 0,
-        prec_type: currentForecast.prec_type || 'none',
-        timestamp: Date.now(),
-        source: '7Timer! ASTRO'
-      };
+    const series = parseAstroSeries(response.data);
+    if (series.length === 0) {
+      throw new Error('Invalid response from 7Timer!');
+    }
 
-      // Cache the result
-      cache.set(cacheKey, {
-        data: skyData,
-        timestamp: Date.now()
-      });
+    const forecast = {
+      init: parseInitTime(response.data.init),
+      series,
+      source: '7Timer! ASTRO',
+      timestamp: Date.now()
+    };
 
-      return skyData;
-    }
+    // Cache the result
+    cache.set(cacheKey, {
+      data: forecast,
+      timestamp: Date.now()
+    });
+
+    return forecast;
+  })();
+
+  pendingRequests.set(cacheKey, request);
+  try {
+    return await request;
+  } finally {
+    pendingRequests.delete(cacheKey);
+  }
+};
+
+/**
+ * Fetch astronomical weather data from 7Timer!
+ * Returns the forecast point closest to now
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Sky viewability data
+ */
+export const getSkyViewability = async (lat, lon) => {
+  try {
+    const forecast = await fetchAstroForecast(lat, lon);
+    const now = Date.now();
+    const currentForecast = forecast.series.reduce((closest, point) =>
+      Math.abs(point.time - now) < Math.abs(closest.time - now) ? point : closest
+    );
 
-    throw new Error('Invalid response from 7Timer!');
+    return {
+      cloudCover: currentForecast.cloudCover || 'unknown',
+      seeing: currentForecast.seeing || 'unknown',
+      transparency: currentForecast.transparency || 'unknown',
+      lifted_index: currentForecast.lifted_index || 0,
+      rh2m: currentForecast.rh2m || 0,
+      humidity: currentForecast.humidity,
+      wind10m: currentForecast.wind10m || {},
+      windSpeed: currentForecast.windSpeed,
+      temp2m: currentForecast.temp2m || 0,
+      prec_type: currentForecast.prec_type || 'none',
+      forecastTime: currentForecast.time,
+      timestamp: Date.now(),
+      source: '7Timer! ASTRO'
+    };
   } catch (error) {
     console.error('Error fetching sky viewability data:', error);
     
@@ -73,6 +197,46 @@ export const getSkyViewability = async (lat, lon) => {
   }
 };
 
+/**
+ * Fetch the full 72-hour astronomical forecast from 7Timer!
+ * 7Timer's `init` (model run, UTC) plus each `timepoint` offset gives real timestamps.
+ * Cloud cover, seeing and transparency keep the 7Timer scales used elsewhere;
+ * `humidity` (%) and `windSpeed` (m/s) are decoded from the rh2m and wind classes.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} { init, series: [{ time, cloudCover, seeing, transparency,
+ *   humidity, rh2m, wind10m, windSpeed, temp2m, prec_type, lifted_index }], source, timestamp },
+ *   or null if the forecast is unavailable
+ */
+export const getSkyForecast = async (lat, lon) => {
+  try {
+    return await fetchAstroForecast(lat, lon);
+  } catch (error) {
+    console.error('Error fetching sky forecast:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the forecast point covering a given time
+ * @param {Object} forecast - Forecast from getSkyForecast
+ * @param {Date|number} time - Time to look up
+ * @returns {Object|null} Nearest point within half a forecast step, or null
+ */
+export const getSkyConditionsAt = (forecast, time) => {
+  if (!forecast?.series?.length) return null;
+
+  const target = time instanceof Date ? time.getTime() : time;
+  let nearest = null;
+  forecast.series.forEach(point => {
+    if (!nearest || Math.abs(point.time - target) < Math.abs(nearest.time - target)) {
+      nearest = point;
+    }
+  });
+
+  return Math.abs(nearest.time - target) <= MAX_POINT_DISTANCE ? nearest : null;
+};
+
 /**
  * Get mock sky viewability data (fallback)
  * @returns {Object} Mock sky data
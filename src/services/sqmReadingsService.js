@@ -0,0 +1,162 @@
+import axios from 'axios';
+import * as Astronomy from 'astronomy-engine';
+
+/**
+ * Service for crowdsourced sky quality meter (SQM) readings
+ * Submits readings to the backend and blends nearby ones into modelled sky
+ * brightness. Readings taken in twilight or under a risen moon are rejected,
+ * since they measure scattered sun or moonlight rather than light pollution.
+ */
+
+// Backend API base URL (configurable via environment variable)
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
+// Readings further away or older than this are not fetched
+const SEARCH_RADIUS_KM = 25;
+const MAX_AGE_DAYS = 730;
+
+// A reading this far from the site counts half as much as one taken on it
+const DISTANCE_HALF_WEIGHT_KM = 5;
+
+// Lighting changes slowly; a reading loses half its weight per year
+const AGE_HALF_LIFE_DAYS = 365;
+
+// Weight given to the model, so a single fresh reading on site outweighs it
+const MODEL_WEIGHT = 0.75;
+
+// Sun must be below astronomical twilight for a clean reading
+const MAX_SUN_ALTITUDE = -18;
+
+// A risen moon brighter than a thin crescent brightens the sky
+const MAX_MOON_FRACTION = 0.1;
+
+/**
+ * Submit a meter reading to the backend
+ * @param {Object} reading - Reading ({ lat, lon, sqm, takenAt, meter, observer, notes })
+ * @returns {Promise<Object>} Stored reading
+ */
+export const submitSQMReading = async (reading) => {
+  try {
+    const response = await axios.post(`${BACKEND_URL}/api/sqm-readings`, reading, {
+      timeout: 5000
+    });
+    return response.data.reading;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || 'Unable to submit SQM reading');
+  }
+};
+
+/**
+ * Get readings taken near a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Array>} Readings closest first, empty when the backend is unavailable
+ */
+export const getNearbySQMReadings = async (lat, lon) => {
+  try {
+    const response = await axios.get(`${BACKEND_URL}/api/sqm-readings`, {
+      params: { lat, lon, radiusKm: SEARCH_RADIUS_KM, maxAgeDays: MAX_AGE_DAYS },
+      timeout: 5000
+    });
+    return response.data.success ? response.data.readings : [];
+  } catch (error) {
+    console.warn('SQM readings unavailable:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Check whether a reading was contaminated by twilight or moonlight
+ * @param {Object} reading - Reading with lat, lon and takenAt
+ * @returns {string|null} Rejection reason or null if the sky was dark
+ */
+export const getReadingRejection = (reading) => {
+  const date = new Date(reading.takenAt);
+  const observer = new Astronomy.Observer(reading.lat, reading.lon, 0);
+
+  if (getBodyAltitude(Astronomy.Body.Sun, date, observer) > MAX_SUN_ALTITUDE) {
+    return 'twilight';
+  }
+
+  const moonFraction = Astronomy.Illumination(Astronomy.Body.Moon, date).phase_fraction;
+  if (moonFraction > MAX_MOON_FRACTION && getBodyAltitude(Astronomy.Body.Moon, date, observer) > 0) {
+    return 'moon';
+  }
+
+  return null;
+};
+
+/**
+ * Blend nearby readings with a modelled SQM value
+ * @param {number} modelSQM - Modelled sky brightness in mag/arcsec²
+ * @param {number} lat - Site latitude
+ * @param {number} lon - Site longitude
+ * @param {Array} readings - Readings from getNearbySQMReadings
+ * @returns {Object|null} Blended result, or null if no usable readings
+ */
+export const blendSQMReadings = (modelSQM, lat, lon, readings) => {
+  const now = Date.now();
+  let measuredWeight = 0;
+  let weightedSum = 0;
+  let usedCount = 0;
+  let rejectedCount = 0;
+
+  readings.forEach(reading => {
+    if (getReadingRejection(reading)) {
+      rejectedCount++;
+      return;
+    }
+
+    const distance = calculateDistance(lat, lon, reading.lat, reading.lon);
+    const ageDays = Math.max(0, (now - new Date(reading.takenAt).getTime()) / 86400000);
+    const weight = 1 / (1 + Math.pow(distance / DISTANCE_HALF_WEIGHT_KM, 2)) *
+      Math.pow(0.5, ageDays / AGE_HALF_LIFE_DAYS);
+
+    measuredWeight += weight;
+    weightedSum += weight * reading.sqm;
+    usedCount++;
+  });
+
+  if (usedCount === 0) return null;
+
+  return {
+    sqm: (weightedSum + MODEL_WEIGHT * modelSQM) / (measuredWeight + MODEL_WEIGHT),
+    measuredWeight,
+    modelWeight: MODEL_WEIGHT,
+    dominated: measuredWeight > MODEL_WEIGHT,
+    usedCount,
+    rejectedCount
+  };
+};
+
+/**
+ * Get the altitude of a body above the horizon
+ * @param {string} body - Astronomy.Body value
+ * @param {Date} date - Time of observation
+ * @param {Astronomy.Observer} observer - Observer location
+ * @returns {number} Altitude in degrees
+ */
+const getBodyAltitude = (body, date, observer) => {
+  const equatorial = Astronomy.Equator(body, date, observer, true, true);
+  return Astronomy.Horizon(date, observer, equatorial.ra, equatorial.dec, 'normal').altitude;
+};
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const centralAngle = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * centralAngle;
+};
@@ -1,65 +1,271 @@
-import { getSunTimes } from './sunCalculationService';
+import { getSunTimes, formatTime, getDarknessNote } from './sunCalculationService';
+import { getTimeZone } from './timezoneService';
+import { getAOD550FromForecast, calculateAerosolScore } from './aerosolService';
+import { getSkyConditionsAt } from './skyViewabilityService';
+import { getMoonlightPenalty, getMoonNight } from './moonService';
 
 /**
  * Service for calculating the best times for stargazing
- * Considers sunset, astronomical twilight, cloud cover, humidity, and light pollution
+ * Considers sunset, astronomical twilight, cloud cover, humidity, light pollution,
+ * moonlight and, when available, smoke and dust aloft (aerosol optical depth)
  */
 
+const HOUR = 60 * 60 * 1000;
+
+// Hourly quality needed for an hour to count towards the optimal / fallback window
+const GOOD_QUALITY = 55;
+const FAIR_QUALITY = 25;
+
+// Without astronomical night the sky is at best as dark as these Bortle classes,
+// by the deepest twilight it reaches (none: the Sun stays above -6°)
+const TWILIGHT_BORTLE = {
+  astronomical: 4,
+  nautical: 6,
+  none: 9
+};
+
 /**
  * Calculate optimal stargazing times for a location
+ * With a sky forecast, every hour of astronomical darkness is scored on its own
+ * conditions and the optimal window is the best run of good hours; otherwise the
+ * skyData snapshot is applied to the whole night. On white nights the deepest
+ * twilight stands in for astronomical darkness and caps how dark the sky can get.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {Object} skyData - Sky viewability data (cloud cover, humidity, etc.)
  * @param {Object} lightData - Light pollution data (Bortle class)
  * @param {Date} date - Date for calculation (defaults to today)
+ * @param {Object} aerosolData - Aerosol forecast from getAerosolForecast (optional)
+ * @param {Object} skyForecast - Sky forecast from getSkyForecast (optional)
  * @returns {Object} Stargazing time recommendations
  */
-export const getBestStargazingTimes = (lat, lon, skyData, lightData, date = new Date()) => {
+export const getBestStargazingTimes = (
+  lat,
+  lon,
+  skyData,
+  lightData,
+  date = new Date(),
+  aerosolData = null,
+  skyForecast = null
+) => {
   // Get sun times for the location
   const sunTimes = getSunTimes(lat, lon, date);
   
-  // Calculate quality scores for different factors
-  const scores = {
-    cloudCover: calculateCloudCoverScore(skyData?.cloudCover),
-    humidity: calculateHumidityScore(skyData?.rh2m),
-    lightPollution: calculateLightPollutionScore(lightData?.bortleClass),
-    transparency: calculateTransparencyScore(skyData?.transparency)
+  // Smoke is judged in the middle of the night, when deep sky observing happens
+  const midNight = getMidNight(sunTimes);
+  const aod550 = getAOD550FromForecast(aerosolData, midNight || date);
+  
+  // Follow the Moon through the darkest part of the night (null when the Sun stays above -6°)
+  const night = getNightBounds(sunTimes);
+  const moon = night ? getMoonNight(lat, lon, night.start, night.end, lightData?.sqm) : null;
+  
+  // White nights and midnight sun can't get darker than the twilit sky
+  const depth = night ? night.depth : 'none';
+  const darkLightData = depth === 'night' ? lightData : {
+    ...lightData,
+    bortleClass: Math.max(lightData?.bortleClass ?? 0, TWILIGHT_BORTLE[depth])
   };
   
+  // Score each dark hour the forecast covers
+  const hourly = scoreDarkHours(lat, lon, sunTimes, skyForecast, darkLightData, aerosolData);
+  
+  // Calculate quality scores for different factors (night averages when scored hourly)
+  const scores = hourly.length > 0
+    ? averageScores(hourly)
+    : calculateScores(skyData, darkLightData, aod550, moon ? moon.meanPenalty : 0);
+  
   // Calculate overall viewing quality (0-100)
-  const overallQuality = Math.round(
-    scores.cloudCover * 0.40 +      // Cloud cover most important (40%)
-    scores.lightPollution * 0.30 +  // Light pollution (30%)
-    scores.transparency * 0.20 +    // Atmospheric transparency (20%)
-    scores.humidity * 0.10          // Humidity (10%)
+  const overallQuality = Math.round(hourly.length > 0
+    ? hourly.reduce((sum, hour) => sum + hour.quality, 0) / hourly.length
+    : calculateQuality(scores)
   );
   
   // Get viewing quality category
   const qualityCategory = getQualityCategory(overallQuality);
   
   // Determine optimal time windows
-  const timeWindows = calculateTimeWindows(sunTimes, overallQuality);
+  const timeWindows = hourly.length > 0
+    ? calculateHourlyTimeWindows(sunTimes, hourly)
+    : calculateTimeWindows(sunTimes, overallQuality);
   
   // Generate recommendations
   const recommendations = generateRecommendations(
     overallQuality,
     scores,
     skyData,
-    lightData
+    lightData,
+    aod550,
+    moon,
+    getTimeZone(lat, lon)
   );
   
+  // Explain polar day, polar night and white nights first
+  const darknessNote = getDarknessNote(sunTimes);
+  if (darknessNote) {
+    recommendations.unshift(`${sunTimes.polarNight ? '🌌' : '☀️'} ${darknessNote}`);
+  }
+  
   return {
     sunTimes,
+    darkness: depth,
+    skyBortleClass: darkLightData?.bortleClass ?? null,
     scores,
+    aod550,
+    moon,
     overallQuality,
     qualityCategory,
     timeWindows,
+    hourly,
+    scoringMode: hourly.length > 0 ? 'hourly' : 'snapshot',
     recommendations,
     bestTime: timeWindows.optimal,
     calculated: new Date()
   };
 };
 
+/**
+ * Score each factor for one set of sky conditions
+ * @param {Object} conditions - Sky data or a forecast point (cloudCover, transparency, humidity/rh2m)
+ * @param {Object} lightData - Light pollution data
+ * @param {number|null} aod550 - Aerosol optical depth at 550 nm, if known
+ * @param {number} moonPenalty - Moonlight penalty from getMoonlightPenalty (0-1)
+ * @returns {Object} Factor scores (0-100; aerosol is null when unknown; moonlight 100 = no moonlight)
+ */
+const calculateScores = (conditions, lightData, aod550, moonPenalty = 0) => ({
+  cloudCover: calculateCloudCoverScore(conditions?.cloudCover),
+  humidity: calculateHumidityScore(conditions?.humidity ?? conditions?.rh2m),
+  lightPollution: calculateLightPollutionScore(lightData?.bortleClass),
+  moonlight: Math.round((1 - moonPenalty) * 100),
+  transparency: calculateTransparencyScore(conditions?.transparency),
+  aerosol: calculateAerosolScore(aod550)
+});
+
+/**
+ * Combine factor scores into an overall viewing quality
+ * Moonlight takes its penalty off the light pollution share, since both brighten the sky.
+ * @param {Object} scores - Factor scores from calculateScores
+ * @returns {number} Quality 0-100 (unrounded)
+ */
+const calculateQuality = (scores) => {
+  const darkness = Math.max(0, scores.lightPollution - (100 - scores.moonlight));
+  
+  return scores.aerosol === null
+    ? scores.cloudCover * 0.40 +      // Cloud cover most important (40%)
+      darkness * 0.30 +               // Light pollution and moonlight (30%)
+      scores.transparency * 0.20 +    // Atmospheric transparency (20%)
+      scores.humidity * 0.10          // Humidity (10%)
+    : scores.cloudCover * 0.35 +      // Cloud cover (35%)
+      darkness * 0.25 +               // Light pollution and moonlight (25%)
+      scores.transparency * 0.15 +    // Atmospheric transparency (15%)
+      scores.aerosol * 0.15 +         // Smoke and dust aloft (15%)
+      scores.humidity * 0.10;         // Humidity (10%)
+};
+
+/**
+ * Score every hour of the darkest part of the night from the sky forecast
+ * Hours the forecast does not cover are left out.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @param {Object|null} skyForecast - Sky forecast from getSkyForecast
+ * @param {Object} lightData - Light pollution data
+ * @param {Object|null} aerosolData - Aerosol forecast from getAerosolForecast
+ * @returns {Array<Object>} [{ start, end, quality, scores, conditions, aod550, moonPenalty }]
+ */
+const scoreDarkHours = (lat, lon, sunTimes, skyForecast, lightData, aerosolData) => {
+  const night = getNightBounds(sunTimes);
+  if (!skyForecast || !night) return [];
+  
+  const dawnTime = night.end.getTime();
+  const hours = [];
+  for (let start = night.start.getTime(); start < dawnTime; start += HOUR) {
+    const end = Math.min(start + HOUR, dawnTime);
+    const middle = new Date((start + end) / 2);
+    const conditions = getSkyConditionsAt(skyForecast, middle);
+    if (!conditions) continue;
+    
+    const aod550 = getAOD550FromForecast(aerosolData, middle);
+    const moonPenalty = getMoonlightPenalty(lat, lon, middle, lightData?.sqm).penalty;
+    const scores = calculateScores(conditions, lightData, aod550, moonPenalty);
+    hours.push({
+      start: new Date(start),
+      end: new Date(end),
+      quality: Math.round(calculateQuality(scores)),
+      scores,
+      conditions,
+      aod550,
+      moonPenalty
+    });
+  }
+  
+  return hours;
+};
+
+/**
+ * Average factor scores over the scored hours
+ * @param {Array<Object>} hourly - Hours from scoreDarkHours
+ * @returns {Object} Mean factor scores (aerosol is null when no hour has it)
+ */
+const averageScores = (hourly) => {
+  const average = (factor) => {
+    const values = hourly.map(hour => hour.scores[factor]).filter(value => value !== null);
+    return values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  };
+  
+  return {
+    cloudCover: average('cloudCover'),
+    humidity: average('humidity'),
+    lightPollution: average('lightPollution'),
+    moonlight: average('moonlight'),
+    transparency: average('transparency'),
+    aerosol: average('aerosol')
+  };
+};
+
+/**
+ * Get the darkest part of the night, with dawn moved to the following morning
+ * Uses astronomical dusk to dawn when the Sun gets below -18°. On white nights it
+ * falls back to the nautical or civil limits, and depth names the deepest twilight
+ * the sky reaches instead. In a polar night that never brightens past -18° the
+ * whole day counts.
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @returns {Object|null} { start, end, depth ('night' | 'astronomical' | 'nautical') },
+ *   or null when the Sun stays above -6° (midnight sun)
+ */
+const getNightBounds = (sunTimes) => {
+  if (sunTimes.polarNight && !sunTimes.astronomicalTwilight.dusk) {
+    const noon = sunTimes.solarNoon.getTime();
+    return { start: new Date(noon), end: new Date(noon + 24 * HOUR), depth: 'night' };
+  }
+  
+  const depths = [
+    ['night', sunTimes.astronomicalTwilight],
+    ['astronomical', sunTimes.nauticalTwilight],
+    ['nautical', sunTimes.civilTwilight]
+  ];
+  const found = depths.find(([, twilight]) => twilight.dusk && twilight.dawn);
+  if (!found) return null;
+  
+  const [depth, { dusk, dawn }] = found;
+  let dawnTime = dawn.getTime();
+  if (dawnTime < dusk.getTime()) {
+    dawnTime += 24 * HOUR;
+  }
+  return { start: dusk, end: new Date(dawnTime), depth };
+};
+
+/**
+ * Get the middle of the night
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @returns {Date|null} Midpoint of the darkest part of the night, or null under the midnight sun
+ */
+const getMidNight = (sunTimes) => {
+  const night = getNightBounds(sunTimes);
+  return night ? new Date((night.start.getTime() + night.end.getTime()) / 2) : null;
+};
+
 /**
  * Calculate cloud cover score (0-100, higher is better)
  * @param {number} cloudCover - Cloud cover value (1-9 scale from 7Timer)
@@ -183,42 +389,33 @@ const calculateTimeWindows = (sunTimes, quality) => {
     allNight: null
   };
   
-  if (!sunTimes.astronomicalTwilight.dusk || !sunTimes.astronomicalTwilight.dawn) {
+  const night = getNightBounds(sunTimes);
+  if (!night) {
     return windows;
   }
   
-  const dusk = sunTimes.astronomicalTwilight.dusk;
-  const dawn = sunTimes.astronomicalTwilight.dawn;
+  const dusk = night.start;
+  const dawn = night.end;
+  const period = describeNight(night.depth);
   
-  // Astronomical dark period is the all-night window
+  // Darkest period is the all-night window
   windows.allNight = {
     start: dusk,
     end: dawn,
     duration: calculateDuration(dusk, dawn)
   };
   
-  // If quality is good, the entire astronomical dark period is optimal
+  // If quality is good, the entire dark period is optimal
   if (quality >= 55) {
     windows.optimal = {
       start: dusk,
       end: dawn,
       duration: calculateDuration(dusk, dawn),
-      description: 'Entire astronomical dark period'
+      description: period
     };
   } else if (quality >= 25) {
     // For fair conditions, recommend middle of the night (darkest time)
-    // Handle midnight crossing properly
-    const duskTime = dusk.getTime();
-    const dawnTime = dawn.getTime();
-    
-    let midNight;
-    if (dawnTime > duskTime) {
-      // Same night, no midnight crossing
-      midNight = new Date((duskTime + dawnTime) / 2);
-    } else {
-      // Crosses midnight
-      midNight = new Date(((duskTime + dawnTime + 24 * 60 * 60 * 1000) / 2));
-    }
+    const midNight = new Date((dusk.getTime() + dawn.getTime()) / 2);
     
     const twoHoursBefore = new Date(midNight.getTime() - 2 * 60 * 60 * 1000);
     const twoHoursAfter = new Date(midNight.getTime() + 2 * 60 * 60 * 1000);
@@ -253,6 +450,75 @@ const calculateTimeWindows = (sunTimes, quality) => {
   return windows;
 };
 
+/**
+ * Describe a whole-night window
+ * @param {string} depth - Night depth from getNightBounds
+ * @returns {string} Description
+ */
+const describeNight = (depth) => depth === 'night'
+  ? 'Entire astronomical dark period'
+  : `Darkest ${depth} twilight - no astronomical darkness tonight`;
+
+/**
+ * Calculate time windows from hourly scores
+ * The optimal window is the longest run of consecutive good hours (best average
+ * quality on ties); if no hour is good, the best run of fair hours is offered instead.
+ * @param {Object} sunTimes - Sun times from getSunTimes
+ * @param {Array<Object>} hourly - Hours from scoreDarkHours
+ * @returns {Object} Time windows
+ */
+const calculateHourlyTimeWindows = (sunTimes, hourly) => {
+  // Twilight and all-night windows don't depend on the weather
+  const windows = calculateTimeWindows(sunTimes, 0);
+  
+  const findBestRun = (threshold) => {
+    let best = null;
+    let run = [];
+    const closeRun = () => {
+      if (run.length === 0) return;
+      const mean = run.reduce((sum, hour) => sum + hour.quality, 0) / run.length;
+      if (!best || run.length > best.hours.length ||
+          (run.length === best.hours.length && mean > best.mean)) {
+        best = { hours: run, mean };
+      }
+      run = [];
+    };
+    
+    hourly.forEach((hour, index) => {
+      // A gap in forecast coverage also ends a run
+      const contiguous = index > 0 && hourly[index - 1].end.getTime() === hour.start.getTime();
+      if (!contiguous) closeRun();
+      if (hour.quality >= threshold) {
+        run.push(hour);
+      } else {
+        closeRun();
+      }
+    });
+    closeRun();
+    
+    return best;
+  };
+  
+  const good = findBestRun(GOOD_QUALITY);
+  const best = good || findBestRun(FAIR_QUALITY);
+  if (best) {
+    const start = best.hours[0].start;
+    const end = best.hours[best.hours.length - 1].end;
+    const wholeNight = best.hours.length === hourly.length;
+    windows.optimal = {
+      start,
+      end,
+      duration: calculateDuration(start, end),
+      quality: Math.round(best.mean),
+      description: !good
+        ? 'Best available hours - conditions are only fair'
+        : wholeNight ? describeNight(getNightBounds(sunTimes).depth) : 'Clearest stretch of the night'
+    };
+  }
+  
+  return windows;
+};
+
 /**
  * Calculate duration between two times
  * @param {Date} start - Start time
@@ -281,9 +547,12 @@ const calculateDuration = (start, end) => {
  * @param {Object} scores - Individual factor scores
  * @param {Object} skyData - Sky data
  * @param {Object} lightData - Light pollution data
+ * @param {number|null} aod550 - Aerosol optical depth at 550 nm, if known
+ * @param {Object|null} moon - Moon over the night from getMoonNight
+ * @param {string} timeZone - Site timezone for times in the text
  * @returns {Array} Array of recommendation strings
  */
-const generateRecommendations = (overallQuality, scores, skyData, lightData) => {
+const generateRecommendations = (overallQuality, scores, skyData, lightData, aod550, moon, timeZone) => {
   const recommendations = [];
   
   // Cloud cover recommendations
@@ -313,6 +582,15 @@ const generateRecommendations = (overallQuality, scores, skyData, lightData) =>
     recommendations.push('⚠️ Poor atmospheric transparency - fainter objects may be difficult');
   }
   
+  // Smoke and dust aloft (not visible in surface air quality)
+  if (aod550 >= 0.4) {
+    recommendations.push(`🔥 Smoke or dust aloft (AOD ${aod550.toFixed(2)}) - expect washed-out skies even if air quality reads Good`);
+  } else if (aod550 >= 0.2) {
+    recommendations.push(`🌫️ Some haze aloft (AOD ${aod550.toFixed(2)}) - faint objects near the horizon will suffer`);
+  } else if (aod550 !== null && aod550 < 0.1) {
+    recommendations.push('✅ Very clean air aloft - excellent transparency for faint objects');
+  }
+  
   // Overall recommendations
   if (overallQuality >= 70) {
     recommendations.push('🌟 Excellent night for stargazing - great for all types of observations');
@@ -320,8 +598,22 @@ const generateRecommendations = (overallQuality, scores, skyData, lightData) =>
     recommendations.push('💡 Consider waiting for better conditions or focusing on bright objects');
   }
   
-  // Moon phase recommendation (placeholder - could be enhanced with moon phase calculation)
-  recommendations.push('🌙 Check moon phase - new moon nights offer the darkest skies');
+  // Moonlight
+  if (moon) {
+    const phase = `${moon.phase.emoji} ${moon.phase.name} (${Math.round(moon.phase.illumination * 100)}% lit)`;
+    const longestWindow = moon.moonFreeWindows.reduce(
+      (longest, window) => (!longest || window.minutes > longest.minutes ? window : longest),
+      null
+    );
+    
+    if (moon.isMoonFreeAllNight) {
+      recommendations.push(`${phase} - no moonlight in the dark hours, ideal for faint galaxies and nebulae`);
+    } else if (!longestWindow) {
+      recommendations.push(`${phase} - moonlight all night; favour the Moon, planets, double stars and bright clusters`);
+    } else {
+      recommendations.push(`${phase} - darkest skies from ${formatTime(longestWindow.start, timeZone)} to ${formatTime(longestWindow.end, timeZone)}, while the Moon is down`);
+    }
+  }
   
   return recommendations;
 };
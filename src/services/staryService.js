@@ -7,6 +7,9 @@
 import { searchLocations, parseCoordinates } from './searchService.js';
 import { getLightPollution, getStargazingRecommendations } from './lightPollutionService.js';
 import { getSkyViewability } from './skyViewabilityService.js';
+import { getBestStargazingTimes } from './stargazingTimeService.js';
+import { formatTime } from './sunCalculationService.js';
+import { getTimeZone, getTimeZoneAbbreviation } from './timezoneService.js';
 import { 
   processLLMQuery, 
   formatConversationHistory, 
@@ -143,11 +146,14 @@ const analyzeLocation = async (lat, lon, locationName) => {
     // Get recommendations
     const recommendations = getStargazingRecommendations(lightData.bortleClass);
     
+    // Tonight's Moon (null when there is no astronomical night)
+    const { moon } = getBestStargazingTimes(lat, lon, skyData, lightData);
+    
     // Determine overall suitability
-    const suitability = determineSuitability(lightData, skyData);
+    const suitability = determineSuitability(lightData, skyData, moon);
     
     // Generate friendly message
-    const message = generateMessage(locationName, lightData, skyData, suitability);
+    const message = generateMessage(locationName, lightData, skyData, suitability, moon, getTimeZone(lat, lon));
     
     // Generate alternatives if location is not ideal
     const alternatives = suitability.score < 6 ? generateAlternatives(lat) : null;
@@ -174,6 +180,11 @@ const analyzeLocation = async (lat, lon, locationName) => {
           transparency: skyData.transparency,
           quality: skyData.overallQuality
         } : null,
+        moon: moon ? {
+          phase: moon.phase.name,
+          illumination: Math.round(moon.phase.illumination * 100),
+          moonFreeWindows: moon.moonFreeWindows
+        } : null,
         recommendations: recommendations,
         suitability: suitability
       },
@@ -193,9 +204,10 @@ const analyzeLocation = async (lat, lon, locationName) => {
  * Determine overall stargazing suitability
  * @param {Object} lightData - Light pollution data
  * @param {Object} skyData - Sky viewability data
+ * @param {Object} moon - Tonight's Moon from getBestStargazingTimes (optional)
  * @returns {Object} Suitability score and recommendation
  */
-const determineSuitability = (lightData, skyData) => {
+const determineSuitability = (lightData, skyData, moon = null) => {
   let score = 0;
   const factors = [];
 
@@ -203,12 +215,21 @@ const determineSuitability = (lightData, skyData) => {
   // Bortle scale ranges from 1-9. Multiplier converts to 0-10 scale: (10-1)*1.11=9.99 ≈ 10
   const BORTLE_TO_SCORE_MULTIPLIER = 10 / 9; // 1.11
   const lightScore = (10 - lightData.bortleClass) * BORTLE_TO_SCORE_MULTIPLIER;
-  score += lightScore * 0.6; // 60% weight
+  // Moonlight brightens the sky as well, so its penalty comes off the darkness share
+  const moonPenalty = moon ? moon.meanPenalty * 10 : 0;
+  score += Math.max(0, lightScore - moonPenalty) * 0.6; // 60% weight
   factors.push({
     name: 'Light Pollution',
     score: lightScore.toFixed(1),
     impact: 'high'
   });
+  if (moon) {
+    factors.push({
+      name: 'Moonlight',
+      score: (10 - moonPenalty).toFixed(1),
+      impact: moonPenalty >= 3 ? 'high' : moonPenalty >= 1 ? 'medium' : 'low'
+    });
+  }
 
   // Sky conditions score (if available)
   if (skyData) {
@@ -259,9 +280,11 @@ const determineSuitability = (lightData, skyData) => {
  * @param {Object} lightData - Light pollution data
  * @param {Object} skyData - Sky viewability data
  * @param {Object} suitability - Suitability analysis
+ * @param {Object} moon - Tonight's Moon from getBestStargazingTimes (optional)
+ * @param {string} timeZone - Site timezone for the times in the message (optional)
  * @returns {string} Friendly message
  */
-const generateMessage = (locationName, lightData, skyData, suitability) => {
+const generateMessage = (locationName, lightData, skyData, suitability, moon = null, timeZone = undefined) => {
   const { recommendation, emoji } = suitability;
   const bortleClass = lightData.bortleClass;
 
@@ -304,6 +327,24 @@ const generateMessage = (locationName, lightData, skyData, suitability) => {
     }
   }
 
+  // Moonlight
+  if (moon) {
+    const longestWindow = moon.moonFreeWindows.reduce(
+      (longest, window) => (!longest || window.minutes > longest.minutes ? window : longest),
+      null
+    );
+
+    message += `\n**Tonight's Moon:** ${moon.phase.emoji} ${moon.phase.name} (${Math.round(moon.phase.illumination * 100)}% lit)\n`;
+    if (moon.isMoonFreeAllNight) {
+      message += `No moonlight during the dark hours - perfect for faint galaxies and nebulae! 🌌\n`;
+    } else if (longestWindow) {
+      const zone = timeZone ? ` ${getTimeZoneAbbreviation(timeZone, longestWindow.start)}` : '';
+      message += `Darkest skies from ${formatTime(longestWindow.start, timeZone)} to ${formatTime(longestWindow.end, timeZone)}${zone} (local time), while the Moon is down. 🌑\n`;
+    } else {
+      message += `The Moon will brighten the sky all night - a good time for the Moon itself and the planets. 🔭\n`;
+    }
+  }
+
   return message;
 };
 
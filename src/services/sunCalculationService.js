@@ -1,141 +1,120 @@
+import * as Astronomy from 'astronomy-engine';
+
 /**
  * Service for calculating sunrise, sunset, and astronomical twilight times
- * Uses astronomical formulas to calculate sun position
+ * Uses astronomy-engine for the Sun's position
  */
 
-/**
- * Calculate Julian Day from Date
- * @param {Date} date - Date to convert
- * @returns {number} Julian Day
- */
-const getJulianDay = (date) => {
-  const time = date.getTime();
-  return (time / 86400000) + 2440587.5;
-};
+const HOUR = 60 * 60 * 1000;
 
-/**
- * Calculate solar mean anomaly
- * @param {number} jd - Julian Day
- * @returns {number} Solar mean anomaly in degrees
- */
-const getSolarMeanAnomaly = (jd) => {
-  const n = jd - 2451545.0;
-  return (357.5291 + 0.98560028 * n) % 360;
+// Sun altitude (degrees) at each event; sunrise/sunset use the upper limb with refraction
+const TWILIGHT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
 };
+const SUNRISE_ALTITUDE = -0.833;
 
 /**
- * Calculate equation of center
- * @param {number} M - Solar mean anomaly in degrees
- * @returns {number} Equation of center in degrees
+ * Get local solar midnight at the start of the site's calendar day
+ * The day is taken at the site (by longitude), not in UTC, so sites near the
+ * date line get their own day's events rather than a neighbour's.
+ * @param {number} lon - Longitude
+ * @param {Date} date - Any time during the day
+ * @returns {Date} Approximate local midnight
  */
-const getEquationOfCenter = (M) => {
-  const Mrad = M * Math.PI / 180;
-  return 1.9148 * Math.sin(Mrad) + 
-         0.0200 * Math.sin(2 * Mrad) + 
-         0.0003 * Math.sin(3 * Mrad);
+const getLocalMidnight = (lon, date) => {
+  const offset = (lon / 15) * HOUR;
+  const local = new Date(date.getTime() + offset);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offset);
 };
 
 /**
- * Calculate solar declination
- * @param {number} lambda - Ecliptic longitude in degrees
- * @returns {number} Declination in degrees
+ * Find when the Sun crosses an altitude within a search window
+ * @param {Astronomy.Observer} observer - Observer
+ * @param {number} direction - +1 rising, -1 setting
+ * @param {Date} start - Start of the search
+ * @param {Date} end - End of the search
+ * @param {number} altitude - Sun altitude (degrees)
+ * @returns {Date|null} Time of the crossing, or null if the Sun doesn't cross it
  */
-const getSolarDeclination = (lambda) => {
-  const lambdaRad = lambda * Math.PI / 180;
-  const epsilon = 23.439; // Earth's axial tilt in degrees
-  const epsilonRad = epsilon * Math.PI / 180;
-  return Math.asin(Math.sin(lambdaRad) * Math.sin(epsilonRad)) * 180 / Math.PI;
-};
-
-/**
- * Calculate hour angle for a given altitude
- * @param {number} lat - Latitude in degrees
- * @param {number} declination - Solar declination in degrees
- * @param {number} altitude - Sun altitude in degrees (-0.833 for sunrise/sunset, -18 for astronomical twilight)
- * @returns {number} Hour angle in degrees
- */
-const getHourAngle = (lat, declination, altitude) => {
-  const latRad = lat * Math.PI / 180;
-  const decRad = declination * Math.PI / 180;
-  const altRad = altitude * Math.PI / 180;
-  
-  const cosH = (Math.sin(altRad) - Math.sin(latRad) * Math.sin(decRad)) / 
-               (Math.cos(latRad) * Math.cos(decRad));
-  
-  // Check if sun is always above or below horizon
-  if (cosH > 1) return null; // Sun never rises
-  if (cosH < -1) return null; // Sun never sets
-  
-  return Math.acos(cosH) * 180 / Math.PI;
+const searchSunAltitude = (observer, direction, start, end, altitude) => {
+  const limitDays = (end.getTime() - start.getTime()) / (24 * HOUR);
+  const event = altitude === SUNRISE_ALTITUDE
+    ? Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, direction, start, limitDays)
+    : Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, direction, start, limitDays, altitude);
+  return event ? event.date : null;
 };
 
 /**
  * Calculate sunrise and sunset times
+ * Morning events (sunrise, dawns) and evening events (sunset, dusks) are for the
+ * site's calendar day containing `date`, so the dawns come before the dusks.
+ * Events the Sun doesn't reach are null, and the flags say why:
+ * - polarDay: the Sun never sets
+ * - polarNight: the Sun never rises
+ * - noAstronomicalDarkness: the Sun stays above -18° all night (white nights,
+ *   and always during polar day)
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Date for calculation (defaults to today)
  * @returns {Object} Sunrise and sunset times with twilight data
  */
 export const getSunTimes = (lat, lon, date = new Date()) => {
-  // Set to noon UTC for calculation
-  const noon = new Date(date);
-  noon.setUTCHours(12, 0, 0, 0);
-  
-  const jd = getJulianDay(noon);
-  const M = getSolarMeanAnomaly(jd);
-  const C = getEquationOfCenter(M);
-  const lambda = (M + C + 180 + 102.9372) % 360; // Ecliptic longitude
-  const declination = getSolarDeclination(lambda);
-  
-  // Calculate equation of time for more accurate results
-  const n = jd - 2451545.0;
-  const L = (280.460 + 0.9856474 * n) % 360;
-  const eot = 4 * (L - lambda); // in minutes
-  
-  // Sunrise/sunset (sun's center at -0.833 degrees)
-  const H0 = getHourAngle(lat, declination, -0.833);
-  
-  // Civil twilight (sun at -6 degrees)
-  const H_civil = getHourAngle(lat, declination, -6);
-  
-  // Nautical twilight (sun at -12 degrees)
-  const H_nautical = getHourAngle(lat, declination, -12);
-  
-  // Astronomical twilight (sun at -18 degrees)
-  const H_astro = getHourAngle(lat, declination, -18);
-  
-  // Calculate times in UTC
-  const calculateTime = (hourAngle, isRise) => {
-    if (hourAngle === null) return null;
-    
-    const t = 720 - 4 * (lon + (isRise ? -hourAngle : hourAngle)) - eot;
-    const hours = Math.floor(t / 60);
-    const minutes = Math.round(t % 60);
-    
-    const time = new Date(date);
-    time.setUTCHours(hours, minutes, 0, 0);
-    return time;
-  };
-  
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const localMidnight = getLocalMidnight(lon, date);
+
+  // The Sun's highest and lowest points bracket the morning and evening searches
+  const noon = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 0, localMidnight);
+  const previousMidnight = Astronomy.SearchHourAngle(
+    Astronomy.Body.Sun, observer, 12, new Date(noon.time.date.getTime() - 13 * HOUR)
+  );
+  const nextMidnight = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 12, noon.time.date);
+
+  const solarNoon = noon.time.date;
+  const morning = (altitude) => searchSunAltitude(observer, 1, previousMidnight.time.date, solarNoon, altitude);
+  const evening = (altitude) => searchSunAltitude(observer, -1, solarNoon, nextMidnight.time.date, altitude);
+
+  // Lowest altitude of the night that follows, and the highest of the day
+  const lowestAltitude = Math.min(previousMidnight.hor.altitude, nextMidnight.hor.altitude);
+  const highestAltitude = noon.hor.altitude;
+
+  const twilight = (altitude) => ({
+    dawn: morning(altitude),
+    dusk: evening(altitude)
+  });
+
   return {
-    sunrise: calculateTime(H0, true),
-    sunset: calculateTime(H0, false),
-    civilTwilight: {
-      dawn: calculateTime(H_civil, true),
-      dusk: calculateTime(H_civil, false)
-    },
-    nauticalTwilight: {
-      dawn: calculateTime(H_nautical, true),
-      dusk: calculateTime(H_nautical, false)
-    },
-    astronomicalTwilight: {
-      dawn: calculateTime(H_astro, true),
-      dusk: calculateTime(H_astro, false)
-    },
-    solarNoon: new Date(noon.getTime() + (eot * 60000))
+    sunrise: morning(SUNRISE_ALTITUDE),
+    sunset: evening(SUNRISE_ALTITUDE),
+    civilTwilight: twilight(TWILIGHT_ALTITUDES.civil),
+    nauticalTwilight: twilight(TWILIGHT_ALTITUDES.nautical),
+    astronomicalTwilight: twilight(TWILIGHT_ALTITUDES.astronomical),
+    solarNoon,
+    polarDay: lowestAltitude > SUNRISE_ALTITUDE,
+    polarNight: highestAltitude < SUNRISE_ALTITUDE,
+    noAstronomicalDarkness: nextMidnight.hor.altitude > TWILIGHT_ALTITUDES.astronomical
   };
 };
 
+/**
+ * Describe why a night has no (or no astronomical) darkness
+ * @param {Object} sunTimes - Sun times object from getSunTimes
+ * @returns {string|null} Explanation, or null for an ordinary night
+ */
+export const getDarknessNote = (sunTimes) => {
+  if (sunTimes.polarDay) {
+    return 'Midnight sun - the Sun does not set today, so there is no darkness for stargazing';
+  }
+  if (sunTimes.polarNight) {
+    return 'Polar night - the Sun does not rise today, so the dark hours last well beyond the night';
+  }
+  if (sunTimes.noAstronomicalDarkness) {
+    return 'No astronomical darkness - the Sun stays less than 18° below the horizon, so the sky never gets fully dark';
+  }
+  return null;
+};
+
 /**
  * Format time for display
  * @param {Date} time - Time to format
@@ -179,17 +158,18 @@ export const formatDateTime = (time, timezone = undefined) => {
  * @returns {boolean} True if nighttime
  */
 export const isNighttime = (sunTimes, currentTime = new Date()) => {
+  if (sunTimes.polarNight) return true;
   if (!sunTimes.sunset || !sunTimes.sunrise) return false;
   
   const now = currentTime.getTime();
   const sunset = sunTimes.sunset.getTime();
   const sunrise = sunTimes.sunrise.getTime();
   
-  if (sunset < sunrise) {
-    // Normal case: sunset is before sunrise (same day)
-    return now >= sunset || now < sunrise;
+  if (sunrise < sunset) {
+    // Normal case: sunrise and sunset on the same day
+    return now < sunrise || now >= sunset;
   } else {
-    // Edge case: crossing midnight
+    // Edge case: the night falls between sunset and the following sunrise
     return now >= sunset && now < sunrise;
   }
 };
@@ -201,17 +181,20 @@ export const isNighttime = (sunTimes, currentTime = new Date()) => {
  * @returns {boolean} True if astronomical dark
  */
 export const isAstronomicalDark = (sunTimes, currentTime = new Date()) => {
-  if (!sunTimes.astronomicalTwilight.dusk || !sunTimes.astronomicalTwilight.dawn) return false;
+  if (!sunTimes.astronomicalTwilight.dusk || !sunTimes.astronomicalTwilight.dawn) {
+    // Deep in the polar night the Sun never climbs to -18°
+    return Boolean(sunTimes.polarNight);
+  }
   
   const now = currentTime.getTime();
   const dusk = sunTimes.astronomicalTwilight.dusk.getTime();
   const dawn = sunTimes.astronomicalTwilight.dawn.getTime();
   
-  if (dusk < dawn) {
-    // Normal case
-    return now >= dusk || now < dawn;
+  if (dawn < dusk) {
+    // Normal case: dawn and dusk on the same day
+    return now < dawn || now >= dusk;
   } else {
-    // Edge case
+    // Edge case: the dark period falls between dusk and the following dawn
     return now >= dusk && now < dawn;
   }
 };
@@ -0,0 +1,162 @@
+import tzlookup from '@photostructure/tz-lookup';
+
+/**
+ * Service for looking up a site's timezone and converting times to and from it
+ * Uses an offline timezone boundary dataset (@photostructure/tz-lookup), so no
+ * API calls are made
+ */
+
+// Cache for timezone lookups (boundaries don't change while the app is open)
+const cache = new Map();
+
+// Far enough either side of a wall-clock time to be outside any UTC offset (ms)
+const OFFSET_WINDOW = 15 * 60 * 60 * 1000;
+
+/**
+ * Get the user's own timezone
+ * @returns {string} IANA timezone name (e.g. 'Europe/London')
+ */
+export const getHomeTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Get the timezone at a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} IANA timezone name; the user's own timezone if the lookup fails
+ */
+export const getTimeZone = (lat, lon) => {
+  const cacheKey = `${lat.toFixed(3)},${lon.toFixed(3)}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let timeZone;
+  try {
+    timeZone = tzlookup(lat, lon);
+  } catch (error) {
+    console.error('Error looking up timezone:', error);
+    timeZone = getHomeTimeZone();
+  }
+
+  cache.set(cacheKey, timeZone);
+  return timeZone;
+};
+
+/**
+ * Check whether two timezones show the same clock time at a moment
+ * @param {string} zoneA - IANA timezone name
+ * @param {string} zoneB - IANA timezone name
+ * @param {Date} date - Moment to compare at (defaults to now)
+ * @returns {boolean} True if the UTC offsets match
+ */
+export const isSameTimeZone = (zoneA, zoneB, date = new Date()) =>
+  zoneA === zoneB || getTimeZoneOffset(zoneA, date) === getTimeZoneOffset(zoneB, date);
+
+/**
+ * Get a timezone's short name at a moment
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} date - Moment (defaults to now), which decides daylight saving
+ * @returns {string} Abbreviation such as 'PDT', or an offset such as 'GMT+2'
+ */
+export const getTimeZoneAbbreviation = (timeZone, date = new Date()) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+/**
+ * Read a moment's wall-clock fields in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+/**
+ * Get a timezone's offset from UTC at a moment
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} date - Moment (defaults to now)
+ * @returns {number} Offset in minutes (positive east of Greenwich)
+ */
+export const getTimeZoneOffset = (timeZone, date = new Date()) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Format a moment as date and time input values in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+export const toZonedInputValues = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+};
+
+/**
+ * Get the moment a wall-clock date and time occur in a timezone
+ * During a daylight-saving change, skipped times move forward and repeated
+ * times use the first occurrence.
+ * @param {string} dateValue - Date as 'YYYY-MM-DD'
+ * @param {string} timeValue - Time as 'HH:MM'
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Moment
+ */
+export const fromZonedInputValues = (dateValue, timeValue, timeZone) => {
+  const [year, month, day] = dateValue.split('-').map(Number);
+  const [hour, minute] = timeValue.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets either side of the day cover any daylight-saving change in it
+  const candidates = [-OFFSET_WINDOW, OFFSET_WINDOW].map(shift =>
+    wallClock - getTimeZoneOffset(timeZone, new Date(wallClock + shift)) * 60000
+  );
+  const valid = candidates.filter(time => {
+    const zoned = toZonedInputValues(new Date(time), timeZone);
+    return zoned.date === dateValue && zoned.time === timeValue;
+  });
+
+  // A skipped time reads the old offset, which lands just after the change
+  return new Date(valid.length > 0 ? Math.min(...valid) : candidates[0]);
+};
+
+/**
+ * Get noon on the site's clock at or before a time, where its night begins
+ * A night runs noon to noon, so times after midnight belong to the night that
+ * began the previous evening.
+ * @param {Date} time - Moment
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Site-local noon
+ */
+export const getNightStart = (time, timeZone) => {
+  const { date } = toZonedInputValues(new Date(time.getTime() - 12 * 60 * 60 * 1000), timeZone);
+  return fromZonedInputValues(date, '12:00', timeZone);
+};
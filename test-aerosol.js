@@ -0,0 +1,142 @@
+/**
+ * Aerosol Tests
+ * Checks the aerosol optical depth forecast, the transparency score and the
+ * smoke factor in the stargazing times, with a wildfire plume over Arizona.
+ *
+ * Usage: node test-aerosol.js
+ *
+ * axios is stubbed to answer from the synthetic scene in
+ * test-fixtures/aerosol/smoke-plume.json, computed the same way as the
+ * stand-in server (cd server && npm run aerosol:standin).
+ */
+
+import axios from 'axios';
+import { register } from 'module';
+import { loadScene, getAirQuality } from './server/scripts/aerosolScene.js';
+
+register('./test-fixtures/vite-loader.js', import.meta.url);
+
+const {
+  getAerosolForecast,
+  getAOD550FromForecast,
+  calculateAerosolScore,
+  getAerosolLevel
+} = await import('./src/services/aerosolService.js');
+const { getBestStargazingTimes } = await import('./src/services/stargazingTimeService.js');
+
+const scene = loadScene(new URL('./test-fixtures/aerosol/smoke-plume.json', import.meta.url));
+
+// The scene is queried at 18:00 UTC on 19 Oct 2026, so the forecast starts at midnight UTC that day
+const NOW = Date.UTC(2026, 9, 19, 18);
+const DAY_START = Date.UTC(2026, 9, 19);
+const HOUR = 3600000;
+
+const requests = [];
+axios.get = async (url, { params }) => {
+  requests.push(params);
+  const { data, error } = getAirQuality(scene, params, NOW);
+  if (error) throw new Error(error);
+  return { data };
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// Grand Canyon under the smoke, and the Texas Hill Country in clean air
+const GRAND_CANYON = [36.1, -112.1];
+const TEXAS = [30, -100];
+const SAHEL = [18, -22];
+
+console.log('=== Aerosol Tests ===\n');
+
+// Test 1: forecast
+console.log('Test 1: getAerosolForecast');
+const smoky = await getAerosolForecast(...GRAND_CANYON);
+const clean = await getAerosolForecast(...TEXAS);
+{
+  check('Asks for hourly AOD and dust', requests[0].hourly, 'aerosol_optical_depth,dust');
+  check('Four days ahead', requests[0].forecast_days, 4);
+  check('Hourly entries', smoky.series.length, 96);
+  check('Starts at midnight UTC', smoky.series[0].time, DAY_START);
+  check('Hourly steps', smoky.series[1].time - smoky.series[0].time, HOUR);
+  check('Thick smoke at midnight UTC', smoky.series[0].aod550, 1.24);
+  check('No dust in wildfire smoke', smoky.series[0].dust, 0);
+  check('Clean air in Texas', clean.series.every(entry => entry.aod550 < 0.1), true);
+  check('Source', smoky.source, 'Open-Meteo (CAMS)');
+
+  const dusty = await getAerosolForecast(...SAHEL);
+  check('Saharan dust', dusty.series[0].dust > 100, true);
+
+  const count = requests.length;
+  await getAerosolForecast(...GRAND_CANYON);
+  check('Cached', requests.length, count);
+
+  const get = axios.get;
+  axios.get = async () => ({ data: { error: true } });
+  check('Unusable response', await getAerosolForecast(0, 0), null);
+  axios.get = get;
+}
+console.log('');
+
+// Test 2: reading a time from the forecast
+console.log('Test 2: getAOD550FromForecast');
+{
+  check('On the hour', getAOD550FromForecast(smoky, new Date(DAY_START + 4 * HOUR)), 1.27);
+  check('Nearest hour', getAOD550FromForecast(smoky, DAY_START + 4 * HOUR + 20 * 60000), 1.27);
+  check('Up to 90 minutes past the end', getAOD550FromForecast(smoky, DAY_START + 96 * HOUR), smoky.series[95].aod550);
+  check('Not beyond', getAOD550FromForecast(smoky, DAY_START + 97 * HOUR), null);
+  check('Before the start', getAOD550FromForecast(smoky, DAY_START - 2 * HOUR), null);
+  check('No forecast', getAOD550FromForecast(null, NOW), null);
+}
+console.log('');
+
+// Test 3: score
+console.log('Test 3: calculateAerosolScore');
+{
+  check('Pristine', calculateAerosolScore(0.05), 100);
+  check('Cleaner than pristine', calculateAerosolScore(0.02), 100);
+  check('Halfway on a log scale', Math.round(calculateAerosolScore(Math.sqrt(0.05))), 50);
+  check('Opaque', calculateAerosolScore(1.0), 0);
+  check('Beyond opaque', calculateAerosolScore(2.5), 0);
+  check('Unknown', calculateAerosolScore(null), null);
+  check('Not a number', calculateAerosolScore(NaN), null);
+  check('Level for 0.84', getAerosolLevel(0.84).level, 'Heavy Smoke/Dust');
+  check('Level for 0.09', getAerosolLevel(0.09).level, 'Very Clean');
+}
+console.log('');
+
+// Test 4: the smoke factor in the night's score (clear, dry, dark site on 19-20 Oct 2026)
+console.log('Test 4: getBestStargazingTimes');
+{
+  const sky = { cloudCover: 1, humidity: 30, transparency: 8 };
+  const light = { bortleClass: 2, sqm: 21.5 };
+  const date = new Date('2026-10-19T19:00:00Z');
+
+  const unknown = getBestStargazingTimes(...GRAND_CANYON, sky, light, date);
+  const cleanNight = getBestStargazingTimes(...GRAND_CANYON, sky, light, date, clean);
+  const smokyNight = getBestStargazingTimes(...GRAND_CANYON, sky, light, date, smoky);
+
+  check('No forecast, no aerosol score', unknown.scores.aerosol, null);
+  check('No forecast, no AOD', unknown.aod550, null);
+  check('Smoke read in the middle of the night', smokyNight.aod550, 0.84);
+  check('Clean air scores well', Math.round(cleanNight.scores.aerosol), 80);
+  check('Smoke scores badly', Math.round(smokyNight.scores.aerosol), 6);
+  check('Without AOD the weights are 40/30/20/10', unknown.overallQuality, 93);
+  check('Clean air barely changes the night', cleanNight.overallQuality, 91);
+  check('Smoke takes 15% of the weight', smokyNight.overallQuality, 80);
+  check('Smoke recommendation', smokyNight.recommendations.some(text => text.includes('Smoke or dust aloft (AOD 0.84)')), true);
+  check('Clean air recommendation', cleanNight.recommendations.some(text => text.includes('Very clean air aloft')), true);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
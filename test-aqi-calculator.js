@@ -0,0 +1,137 @@
+/**
+ * AQI Calculator Tests
+ * Checks the EPA breakpoint tables at their edges (including the 2024 PM2.5
+ * revision), the truncation rules, the sub-index inversion and the unit
+ * conversion for gases reported in µg/m³.
+ *
+ * Usage: node test-aqi-calculator.js
+ */
+
+import {
+  calculatePollutantAQI,
+  calculateAQIFromConcentrations,
+  calculateConcentrationFromAQI,
+  convertToEPAUnits
+} from './src/services/aqiCalculator.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const round = (value, decimals = 1) => (value === null ? null : Number(value.toFixed(decimals)));
+
+console.log('=== AQI Calculator Tests ===\n');
+
+// Test 1: PM2.5 breakpoints, 2024 revision (Good ends at 9.0 instead of 12.0 µg/m³)
+console.log('Test 1: PM2.5 breakpoints');
+{
+  const edges = [
+    [9.0, 50], [9.1, 51],
+    [35.4, 100], [35.5, 101],
+    [55.4, 150], [55.5, 151],
+    [125.4, 200], [125.5, 201],
+    [225.4, 300], [225.5, 301],
+    [325.4, 500]
+  ];
+  edges.forEach(([concentration, aqi]) => {
+    check(`${concentration} µg/m³`, calculatePollutantAQI('pm25', concentration), aqi);
+  });
+  check('12.0 µg/m³ is no longer Good', calculatePollutantAQI('pm25', 12.0), 56);
+  check('Above the table caps at 500', calculatePollutantAQI('pm25', 400), 500);
+}
+console.log('');
+
+// Test 2: the other pollutants at their edges
+console.log('Test 2: Other breakpoints');
+{
+  check('PM10 54 µg/m³', calculatePollutantAQI('pm10', 54), 50);
+  check('PM10 55 µg/m³', calculatePollutantAQI('pm10', 55), 51);
+  check('PM10 604 µg/m³', calculatePollutantAQI('pm10', 604), 500);
+  check('8-hour O₃ 0.070 ppm', calculatePollutantAQI('o3_8h', 0.070), 100);
+  check('8-hour O₃ 0.071 ppm', calculatePollutantAQI('o3_8h', 0.071), 101);
+  check('8-hour O₃ above 0.200 ppm defers to 1-hour', calculatePollutantAQI('o3_8h', 0.201), null);
+  check('1-hour O₃ below 0.125 ppm sets nothing', calculatePollutantAQI('o3_1h', 0.124), null);
+  check('1-hour O₃ 0.125 ppm', calculatePollutantAQI('o3_1h', 0.125), 101);
+  check('CO 9.4 ppm', calculatePollutantAQI('co', 9.4), 100);
+  check('CO 9.5 ppm', calculatePollutantAQI('co', 9.5), 101);
+  check('SO₂ 304 ppb', calculatePollutantAQI('so2', 304), 200);
+  check('SO₂ 305 ppb', calculatePollutantAQI('so2', 305), 201);
+  check('NO₂ 100 ppb', calculatePollutantAQI('no2', 100), 100);
+  check('NO₂ 101 ppb', calculatePollutantAQI('no2', 101), 101);
+  check('Negative', calculatePollutantAQI('pm25', -1), null);
+  check('Missing', calculatePollutantAQI('pm25', null), null);
+  check('Unknown pollutant', calculatePollutantAQI('nh3', 10), null);
+}
+console.log('');
+
+// Test 3: concentrations are truncated, not rounded, before the lookup
+console.log('Test 3: Truncation');
+{
+  check('PM2.5 9.09 → 9.0', calculatePollutantAQI('pm25', 9.09), 50);
+  check('PM2.5 35.49 → 35.4', calculatePollutantAQI('pm25', 35.49), 100);
+  check('PM10 54.9 → 54', calculatePollutantAQI('pm10', 54.9), 50);
+  check('8-hour O₃ 0.0549 → 0.054', calculatePollutantAQI('o3_8h', 0.0549), 50);
+  check('8-hour O₃ 0.0709 → 0.070', calculatePollutantAQI('o3_8h', 0.0709), 100);
+  check('8-hour O₃ 0.07 survives float error', calculatePollutantAQI('o3_8h', 0.07), 100);
+  check('CO 4.49 → 4.4', calculatePollutantAQI('co', 4.49), 50);
+  check('SO₂ 35.9 → 35', calculatePollutantAQI('so2', 35.9), 50);
+  check('NO₂ 53.9 → 53', calculatePollutantAQI('no2', 53.9), 50);
+}
+console.log('');
+
+// Test 4: the overall AQI
+console.log('Test 4: calculateAQIFromConcentrations');
+{
+  const result = calculateAQIFromConcentrations({ pm25: 12, o3_8h: 0.06, o3_1h: 0.13, no2: 40 });
+  check('Highest sub-index', result.aqi, 107);
+  check('Dominant pollutant', result.dominant, 'o3');
+  check('Ozone takes the higher of 8-hour and 1-hour', result.subIndices.o3, 107);
+  check('PM2.5 sub-index', result.subIndices.pm2_5, 56);
+  check('Nothing to rate', calculateAQIFromConcentrations({}), null);
+}
+console.log('');
+
+// Test 5: sub-index → concentration
+console.log('Test 5: calculateConcentrationFromAQI');
+{
+  check('PM2.5 AQI 0', calculateConcentrationFromAQI('pm25', 0), 0);
+  check('PM2.5 AQI 51 starts Moderate', round(calculateConcentrationFromAQI('pm25', 51)), 9.1);
+  check('PM2.5 AQI 101', round(calculateConcentrationFromAQI('pm25', 101)), 35.5);
+  check('PM2.5 AQI 500', round(calculateConcentrationFromAQI('pm25', 500)), 325.4);
+  check('Fractional AQI rounds first', round(calculateConcentrationFromAQI('pm25', 50.4)), 9);
+  const pm25RoundTrips = Array.from({ length: 501 }, (_, aqi) => aqi)
+    .every(aqi => calculatePollutantAQI('pm25', calculateConcentrationFromAQI('pm25', aqi)) === aqi);
+  check('PM2.5 round trip for every AQI 0-500', pm25RoundTrips, true);
+  // Truncating whole-ppb and whole-µg/m³ values can lose one point on the way back
+  const pm10WithinOne = Array.from({ length: 501 }, (_, aqi) => aqi)
+    .every(aqi => aqi - calculatePollutantAQI('pm10', calculateConcentrationFromAQI('pm10', aqi)) <= 1);
+  check('PM10 round trip within one point', pm10WithinOne, true);
+  check('No 1-hour O₃ below AQI 101', calculateConcentrationFromAQI('o3_1h', 50), null);
+  check('Negative', calculateConcentrationFromAQI('pm25', -3), null);
+  check('Unknown pollutant', calculateConcentrationFromAQI('nh3', 50), null);
+}
+console.log('');
+
+// Test 6: µg/m³ → EPA units at 25 °C
+console.log('Test 6: convertToEPAUnits');
+{
+  check('O₃ 100 µg/m³ in ppm', round(convertToEPAUnits('o3', 100), 4), 0.0509);
+  check('NO₂ 100 µg/m³ in ppb', round(convertToEPAUnits('no2', 100)), 53.1);
+  check('SO₂ 100 µg/m³ in ppb', round(convertToEPAUnits('so2', 100)), 38.2);
+  check('CO 1000 µg/m³ in ppm', round(convertToEPAUnits('co', 1000), 3), 0.873);
+  check('Particulates unchanged', convertToEPAUnits('pm25', 12), 12);
+  check('Missing', convertToEPAUnits('no2', null), null);
+  check('Open-Meteo O₃ 138 µg/m³ is an 8-hour AQI of 100', calculatePollutantAQI('o3_8h', convertToEPAUnits('o3', 138)), 100);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,151 @@
+/**
+ * AQI Estimate Tests
+ * Checks the night-light AQI estimate used when every provider fails, the
+ * no-data result where the light pollution is itself only estimated, and
+ * hasMeasuredAQI.
+ *
+ * Usage: node test-aqi-estimate.js
+ *
+ * The only provider in the chain always fails, and axios is stubbed to answer
+ * light pollution requests from the sample rasters, as the backend would.
+ */
+
+import { register } from 'module';
+import axios from 'axios';
+import { loadManifest, findDataset, sampleDataset } from './server/lightPollutionRaster.js';
+
+register('./test-fixtures/vite-loader.js', import.meta.url);
+
+const {
+  getAQI,
+  hasMeasuredAQI,
+  calculatePollutantAQI,
+  registerAQIProvider,
+  setAQIProviderOrder
+} = await import('./src/services/aqiService.js');
+
+// Phoenix is bright, the Navajo Nation site dark, and London outside raster coverage
+const PHOENIX = [33.45, -112.07];
+const DARK_SITE = [37.0, -110.8];
+const LONDON = [51.5, -0.12];
+
+const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+// Raster lookups only: no sky-glow model or meter readings
+axios.get = async (url, { params }) => {
+  const route = new URL(url).pathname;
+  if (route === '/api/sqm-readings') {
+    return { data: { success: true, readings: [] } };
+  }
+  const dataset = route === '/api/light-pollution' && findDataset('artificial-brightness', params.lat, params.lon);
+  if (!dataset) throw notFound();
+  return {
+    data: {
+      success: true,
+      artificialBrightness: sampleDataset(dataset, params.lat, params.lon),
+      naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+      dataset: { id: dataset.id, name: dataset.name, year: dataset.year }
+    }
+  };
+};
+
+registerAQIProvider({
+  id: 'offline',
+  name: 'Offline',
+  requiresApiKey: false,
+  fetchAQI: async () => {
+    throw new Error('Service unavailable');
+  }
+});
+setAQIProviderOrder(['offline']);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+console.log('=== AQI Estimate Tests ===\n');
+
+// Test 1: estimate from the night-light model
+console.log('Test 1: Night-light estimate');
+{
+  const phoenix = await getAQI(...PHOENIX);
+  check('Labelled as an estimate', phoenix.source, 'Estimated');
+  check('Flagged', phoenix.isEstimate, true);
+  check('Has a value', phoenix.hasData, true);
+  check('Basis', phoenix.estimateBasis, 'Night-light sky brightness (SQM 17.9)');
+  check('PM2.5 from sky brightness', phoenix.pm25, 11.6);
+  check('PM10 from the coarse-to-fine ratio', phoenix.pm10, 19);
+  check('AQI', phoenix.aqi, 56);
+  check('AQI agrees with PM2.5', phoenix.aqi, calculatePollutantAQI('pm25', phoenix.pm25));
+  check('PM2.5 sub-index', phoenix.pm25AQI, 56);
+  check('PM10 sub-index', phoenix.pm10AQI, 18);
+  check('Dominant pollutant', phoenix.dominant, 'pm2_5');
+  check('No NowCast for estimates', phoenix.aqiMethod, 'instant');
+  check('Not a measurement', hasMeasuredAQI(phoenix), false);
+
+  const dark = await getAQI(...DARK_SITE);
+  check('Dark site at background PM2.5', dark.pm25, 5);
+  check('Dark site AQI', dark.aqi, 28);
+}
+console.log('');
+
+// Test 2: the same site always gets the same estimate
+console.log('Test 2: Deterministic');
+{
+  // Resetting the order clears the AQI cache, so each call computes the estimate again
+  const random = Math.random;
+  Math.random = () => 0;
+  setAQIProviderOrder(['offline']);
+  const first = await getAQI(...PHOENIX);
+  Math.random = () => 0.99;
+  setAQIProviderOrder(['offline']);
+  const second = await getAQI(...PHOENIX);
+  Math.random = random;
+
+  check('Same AQI', second.aqi, first.aqi);
+  check('Same PM2.5', second.pm25, first.pm25);
+  check('Same PM10', second.pm10, first.pm10);
+  check('Computed, not the stale copy', second.isStale, false);
+  check('Cached estimate', (await getAQI(...PHOENIX)).aqi, first.aqi);
+}
+console.log('');
+
+// Test 3: no estimate on top of an estimated light level
+console.log('Test 3: No data');
+{
+  const london = await getAQI(...LONDON);
+  check('No AQI', london.aqi, null);
+  check('No data', london.hasData, false);
+  check('Not an estimate', london.isEstimate, false);
+  check('No source', london.source, null);
+  check('No PM2.5', london.pm25, null);
+  check('No dominant pollutant', london.dominant, null);
+  check('Not a measurement', hasMeasuredAQI(london), false);
+}
+console.log('');
+
+// Test 4: hasMeasuredAQI
+console.log('Test 4: hasMeasuredAQI');
+{
+  check('Measured', hasMeasuredAQI({ aqi: 42, hasData: true, isEstimate: false }), true);
+  check('Measured zero', hasMeasuredAQI({ aqi: 0, hasData: true, isEstimate: false }), true);
+  check('Stale but measured', hasMeasuredAQI({ aqi: 42, hasData: true, isEstimate: false, isStale: true }), true);
+  check('Estimate', hasMeasuredAQI({ aqi: 42, hasData: true, isEstimate: true }), false);
+  check('Without a value', hasMeasuredAQI({ aqi: null, hasData: true, isEstimate: false }), false);
+  check('Label instead of a value', hasMeasuredAQI({ aqi: 'N/A', hasData: true, isEstimate: false }), false);
+  check('No data', hasMeasuredAQI({ aqi: 42, hasData: false, isEstimate: false }), false);
+  check('Missing result', hasMeasuredAQI(null), false);
+  check('Undefined result', hasMeasuredAQI(undefined), false);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
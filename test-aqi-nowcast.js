@@ -0,0 +1,73 @@
+/**
+ * NowCast Tests
+ * Checks the EPA NowCast weighting for particulates and the sub-index
+ * inversion used to recover concentrations from AQICN readings.
+ *
+ * Usage: node test-aqi-nowcast.js
+ */
+
+import {
+  calculateNowCast,
+  calculateConcentrationFromAQI,
+  calculatePollutantAQI
+} from './src/services/aqiCalculator.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const round = (value, decimals = 1) => (value === null ? null : Number(value.toFixed(decimals)));
+
+console.log('=== NowCast Tests ===\n');
+
+// Test 1: a steady air mass averages to the same value
+console.log('Test 1: Steady concentrations');
+check('NowCast of 12 × 10 µg/m³', round(calculateNowCast(Array(12).fill(10))), 10);
+console.log('');
+
+// Test 2: a sudden spike is damped, but the weight factor never drops below 0.5
+console.log('Test 2: Spike in the latest hour (50, then 11 × 10 µg/m³)');
+{
+  const nowCast = calculateNowCast([50, ...Array(11).fill(10)]);
+  // Weight factor 1 − 40/50 = 0.2 is raised to 0.5
+  check('NowCast concentration', round(nowCast), 30);
+  check('NowCast PM2.5 AQI', calculatePollutantAQI('pm25', nowCast), 90);
+  check('Instant PM2.5 AQI', calculatePollutantAQI('pm25', 50), 137);
+}
+console.log('');
+
+// Test 3: a gradual decline uses the computed weight factor
+console.log('Test 3: Gradual change (12, 11.5, 11 … 6.5 µg/m³)');
+{
+  const hours = Array.from({ length: 12 }, (_, index) => 12 - index * 0.5);
+  // Weight factor 1 − 5.5/12 ≈ 0.542
+  check('NowCast concentration', round(calculateNowCast(hours), 2), 11.41);
+}
+console.log('');
+
+// Test 4: EPA requires two of the three most recent hours
+console.log('Test 4: Missing hours');
+check('Only 1 of the last 3 hours', calculateNowCast([null, null, 10, 10, 10]), null);
+check('2 of the last 3 hours', round(calculateNowCast([12, null, 12, 12])), 12);
+check('Hours beyond 12 are ignored', round(calculateNowCast([...Array(12).fill(8), 500])), 8);
+console.log('');
+
+// Test 5: AQICN sub-indices back to concentrations
+console.log('Test 5: Sub-index → concentration');
+check('PM2.5 AQI 50', round(calculateConcentrationFromAQI('pm25', 50)), 9);
+check('PM2.5 AQI 100', round(calculateConcentrationFromAQI('pm25', 100)), 35.4);
+check('PM10 AQI 75', Math.round(calculateConcentrationFromAQI('pm10', 75)), 103);
+check('Round trip PM2.5 AQI 137', calculatePollutantAQI('pm25', calculateConcentrationFromAQI('pm25', 137)), 137);
+check('Above 500 caps at the top breakpoint', calculateConcentrationFromAQI('pm25', 650), 325.4);
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
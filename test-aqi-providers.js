@@ -0,0 +1,188 @@
+/**
+ * AQI Provider Fixture Tests
+ * Runs each air quality provider adapter against recorded API responses,
+ * so the adapters and the fallback chain can be checked offline.
+ *
+ * Usage: node test-aqi-providers.js
+ *
+ * Fixtures live in test-fixtures/aqi/. To re-record one, save the raw JSON
+ * body of the request the adapter makes (URLs are listed below).
+ */
+
+import fs from 'fs';
+import {
+  aqicnProvider,
+  createAQICNProxyProvider,
+  openAQProvider,
+  openMeteoProvider,
+  fetchFromProviders
+} from './src/services/aqiProviders.js';
+
+const FIXTURE_DIR = new URL('./test-fixtures/aqi/', import.meta.url);
+
+// Tucson, AZ - the location the fixtures were recorded for
+const LAT = 32.2951;
+const LON = -110.9825;
+
+// Time the OpenAQ fixtures were recorded (stations are judged active against it)
+const RECORDED_AT = Date.parse('2024-06-02T05:00:00Z');
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Build a fetchJSON stand-in that serves fixtures by URL prefix
+ * @param {Object} routes Map of URL prefix to fixture file name (or an Error to throw)
+ * @returns {Function} fetchJSON replacement
+ */
+function fixtureFetcher(routes) {
+  return async (url) => {
+    const prefix = Object.keys(routes).find(route => url.startsWith(route));
+    if (!prefix) {
+      throw new Error(`No fixture recorded for ${url}`);
+    }
+    if (routes[prefix] instanceof Error) {
+      throw routes[prefix];
+    }
+    return JSON.parse(fs.readFileSync(new URL(routes[prefix], FIXTURE_DIR), 'utf8'));
+  };
+}
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+async function checkThrows(description, run) {
+  try {
+    await run();
+    console.log(`  ❌ FAIL - ${description}: no error thrown`);
+    failed++;
+  } catch (error) {
+    console.log(`  ✅ PASS - ${description}: ${error.message}`);
+    passed++;
+  }
+}
+
+console.log('=== AQI Provider Fixture Tests ===\n');
+
+// Test 1: AQICN passes its own AQI and sub-indices through
+console.log('Test 1: AQICN feed (https://api.waqi.info/feed/geo:...)');
+{
+  const result = await aqicnProvider.fetchAQI(LAT, LON, {
+    apiKey: 'fixture-token',
+    fetchJSON: fixtureFetcher({ 'https://api.waqi.info/feed/': 'aqicn-feed.json' })
+  });
+  check('AQI', result.aqi, 42);
+  check('Dominant pollutant', result.dominant, 'o3');
+  check('PM2.5 sub-index', result.pm25, 25);
+  check('PM2.5 unit', result.pollutantUnits.pm25, 'AQI');
+  check('Source', result.source, 'AQICN');
+  check('City', result.cityName, "Tucson - Children's Park, Arizona, USA");
+  check('Forecast days', result.forecast.length, 2);
+  check('Forecast AQI (highest daily average)', result.forecast[1].aqi, 38);
+  check('Forecast dominant', result.forecast[1].dominant, 'o3');
+  check('Forecast PM2.5 max', result.forecast[1].pollutants.pm2_5.max, 42);
+  check('Forecast UV index max', result.forecast[1].uvi.max, 11);
+}
+console.log('');
+
+// Test 2: AQICN reports a bad token with HTTP 200 and status "error"
+console.log('Test 2: AQICN invalid key');
+await checkThrows('Rejects error response', () => aqicnProvider.fetchAQI(LAT, LON, {
+  apiKey: 'bad-token',
+  fetchJSON: fixtureFetcher({ 'https://api.waqi.info/feed/': 'aqicn-invalid-key.json' })
+}));
+console.log('');
+
+// Test 2b: AQICN through the backend proxy (token stays on the server)
+console.log('Test 2b: AQICN via backend proxy (/api/aqi)');
+{
+  const proxyProvider = createAQICNProxyProvider('http://localhost:3001');
+  const result = await proxyProvider.fetchAQI(LAT, LON, {
+    fetchJSON: fixtureFetcher({ 'http://localhost:3001/api/aqi?': 'aqicn-proxy.json' })
+  });
+  check('AQI', result.aqi, 42);
+  check('No key needed', proxyProvider.requiresApiKey, false);
+  check('Timestamp from backend fetch', result.timestamp, 1717301400000);
+}
+console.log('');
+
+// Test 3: OpenAQ picks the nearest active station with particulate sensors
+console.log('Test 3: OpenAQ v3 (https://api.openaq.org/v3/locations, /locations/{id}/latest)');
+{
+  const result = await openAQProvider.fetchAQI(LAT, LON, {
+    apiKey: 'fixture-key',
+    now: RECORDED_AT,
+    fetchJSON: fixtureFetcher({
+      'https://api.openaq.org/v3/locations?': 'openaq-locations.json',
+      'https://api.openaq.org/v3/locations/1871/latest': 'openaq-latest.json'
+    })
+  });
+  // PM2.5 14.0 µg/m³ → 60, PM10 31 → 29, O₃ 0.038 ppm → 35, NO₂ 12 ppb → 11
+  check('AQI', result.aqi, 60);
+  check('Dominant pollutant', result.dominant, 'pm2_5');
+  check('PM10 sub-index', result.subIndices.pm10, 29);
+  check('O₃ sub-index', result.subIndices.o3, 35);
+  check('NO₂ converted to ppb', result.no2, 12);
+  check('Temperature sensor ignored', Object.keys(result.subIndices).length, 4);
+  check('Source', result.source, 'OpenAQ');
+  check('Station', result.cityName, "Children's Park, Tucson");
+}
+console.log('');
+
+// Test 4: OpenAQ without an active particulate station nearby
+console.log('Test 4: OpenAQ with only stale stations');
+await checkThrows('Rejects stale stations', () => openAQProvider.fetchAQI(LAT, LON, {
+  apiKey: 'fixture-key',
+  now: RECORDED_AT + 7 * 86400000,
+  fetchJSON: fixtureFetcher({ 'https://api.openaq.org/v3/locations?': 'openaq-locations.json' })
+}));
+console.log('');
+
+// Test 5: Open-Meteo modelled concentrations in µg/m³ (Greek mu in units)
+console.log('Test 5: Open-Meteo air quality (https://air-quality-api.open-meteo.com/v1/air-quality)');
+{
+  const result = await openMeteoProvider.fetchAQI(LAT, LON, {
+    fetchJSON: fixtureFetcher({ 'https://air-quality-api.open-meteo.com/': 'open-meteo-current.json' })
+  });
+  // O₃ 118 µg/m³ ≈ 0.060 ppm → 67, PM2.5 6.1 → 34, CO 145 µg/m³ ≈ 0.13 ppm → 1
+  check('AQI', result.aqi, 67);
+  check('Dominant pollutant', result.dominant, 'o3');
+  check('PM2.5 sub-index', result.subIndices.pm2_5, 34);
+  check('CO sub-index', result.subIndices.co, 1);
+  check('O₃ unit', result.pollutantUnits.o3, 'ppm');
+  check('Source', result.source, 'Open-Meteo');
+  // Hourly PM up to the current hour (21:00 MST), for NowCast
+  check('PM history hours', result.pmHistory.length, 13);
+  check('PM history starts (UTC)', new Date(result.pmHistory[0].time).toISOString(), '2024-06-01T16:00:00.000Z');
+  check('PM history latest PM2.5', result.pmHistory[12].pm25, 6.1);
+}
+console.log('');
+
+// Test 6: Fallback chain skips unkeyed providers and falls through failures
+console.log('Test 6: Fallback chain (AQICN without key → OpenAQ error → Open-Meteo)');
+{
+  const result = await fetchFromProviders(LAT, LON, [aqicnProvider, openAQProvider, openMeteoProvider], {
+    apiKeys: { openaq: 'fixture-key' },
+    fetchJSON: fixtureFetcher({
+      'https://api.openaq.org/': new Error('Failed to fetch AQI data from OpenAQ (Status: 500)'),
+      'https://air-quality-api.open-meteo.com/': 'open-meteo-current.json'
+    })
+  });
+  check('Source', result?.source, 'Open-Meteo');
+  check('AQI', result?.aqi, 67);
+
+  const none = await fetchFromProviders(LAT, LON, [aqicnProvider, openAQProvider], {
+    fetchJSON: fixtureFetcher({})
+  });
+  check('No configured provider', none, null);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,173 @@
+/**
+ * AQI Proxy Tests
+ * Runs the backend's AQICN proxy against a stubbed upstream: the shared cache,
+ * stale-while-revalidate, upstream failures and the /api/aqi rate limit.
+ *
+ * Usage: node test-aqi-proxy.js
+ *
+ * The backend is started on a free port; fetch calls to AQICN are answered by
+ * the stub below and everything else goes to the network as usual.
+ */
+
+import process from 'process';
+
+process.env.AQICN_TOKEN = 'test-token';
+process.env.BACKEND_PORT = '0';
+process.env.AQI_RATE_LIMIT_PER_MINUTE = '4';
+
+// Time is pinned so cache ages and rate limit windows can be stepped through
+let now = Date.parse('2026-10-19T06:00:00Z');
+Date.now = () => now;
+
+// Stubbed AQICN upstream: answer() builds the next response from the request
+const upstream = [];
+let answer = (url) => ({ status: 200, body: { status: 'ok', data: { aqi: 42, idx: upstream.length, url } } });
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, options) => {
+  if (!String(url).startsWith('https://api.waqi.info/')) return realFetch(url, options);
+  upstream.push({ url, signal: options?.signal });
+  const { status, body } = await answer(url);
+  return new Response(JSON.stringify(body), { status });
+};
+
+const { getAQIFeed, AQI_CACHE_TTL_MS, AQI_STALE_WHILE_REVALIDATE_MS } = await import('./server/aqiProxy.js');
+const { default: app } = await import('./server/index.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// Let background refreshes settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Tucson, AZ
+const LAT = 32.2951;
+const LON = -110.9825;
+
+console.log('=== AQI Proxy Tests ===\n');
+
+// Test 1: fresh entries
+console.log('Test 1: Fresh hit');
+{
+  const miss = await getAQIFeed(LAT, LON);
+  check('First request goes upstream', miss.cacheStatus, 'MISS');
+  check('One upstream call', upstream.length, 1);
+  check('Token sent upstream', upstream[0].url.includes('token=test-token'), true);
+  check('Location bucketed to 0.01°', upstream[0].url.includes(':32.3;-110.98/'), true);
+  check('Upstream call has a timeout signal', upstream[0].signal instanceof AbortSignal, true);
+
+  const hit = await getAQIFeed(LAT, LON);
+  check('Second request served from cache', hit.cacheStatus, 'HIT');
+  check('Same feed', hit.data.idx, miss.data.idx);
+  check('Nearby request shares the entry', (await getAQIFeed(LAT + 0.001, LON)).cacheStatus, 'HIT');
+  check('No further upstream calls', upstream.length, 1);
+}
+console.log('');
+
+// Test 2: stale entries are served while one background request refreshes them
+console.log('Test 2: Stale hit');
+{
+  const before = await getAQIFeed(LAT, LON);
+  now += AQI_CACHE_TTL_MS + 60000;
+
+  const stale = await getAQIFeed(LAT, LON);
+  check('Stale entry served', stale.cacheStatus, 'STALE');
+  check('Stale feed is the cached one', stale.data.idx, before.data.idx);
+  check('Background refresh started', upstream.length, 2);
+  check('Concurrent stale request shares the refresh', (await getAQIFeed(LAT, LON)).cacheStatus, 'STALE');
+  check('Still one refresh', upstream.length, 2);
+
+  await settle();
+  const refreshed = await getAQIFeed(LAT, LON);
+  check('Refreshed entry is fresh', refreshed.cacheStatus, 'HIT');
+  check('Refreshed feed replaces the stale one', refreshed.data.idx, 2);
+  check('Refreshed entry timestamped now', refreshed.fetchedAt, now);
+}
+console.log('');
+
+// Test 3: failed upstream calls
+console.log('Test 3: Upstream failure');
+{
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+
+  now += AQI_CACHE_TTL_MS + 60000;
+  answer = () => ({ status: 500, body: {} });
+  const calls = upstream.length;
+  const stale = await getAQIFeed(LAT, LON);
+  await settle();
+  check('Stale feed served while upstream fails', stale.cacheStatus, 'STALE');
+  check('Stale feed kept', stale.data.idx, 2);
+  check('Failed refresh logged', warnings.length, 1);
+
+  // A stalled request gives up when its timeout fires, and the stale feed is still served
+  answer = () => Promise.reject(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+  const retry = await getAQIFeed(LAT, LON);
+  await settle();
+  check('Next request retries upstream', upstream.length, calls + 2);
+  check('Stale feed served after a timeout', retry.cacheStatus, 'STALE');
+  check('Timed out refresh logged', warnings.length, 2);
+
+  answer = () => ({ status: 200, body: { status: 'error', data: 'Invalid key' } });
+  now += AQI_STALE_WHILE_REVALIDATE_MS;
+  check('Expired entry with upstream down rejects',
+    await getAQIFeed(LAT, LON).then(() => 'served', error => error.message), 'AQICN returned an error: Invalid key');
+
+  console.warn = warn;
+}
+console.log('');
+
+// Test 4: /api/aqi
+console.log('Test 4: /api/aqi');
+{
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://localhost:${server.address().port}`;
+  const error = console.error;
+  console.error = () => {};
+  const calls = upstream.length;
+
+  answer = (url) => ({ status: 200, body: { status: 'ok', data: { aqi: 17, idx: upstream.length, url } } });
+  const first = await fetch(`${base}/api/aqi?lat=40.7128&lon=-74.006`);
+  check('Feed served', first.status, 200);
+  check('Miss reported', first.headers.get('X-Cache'), 'MISS');
+  check('Browsers keep a fresh feed for the TTL', first.headers.get('Cache-Control'), `public, max-age=${AQI_CACHE_TTL_MS / 1000}`);
+  check('Feed in the body', (await first.json()).data.aqi, 17);
+
+  const second = await fetch(`${base}/api/aqi?lat=40.7128&lon=-74.006`);
+  check('Hit reported', second.headers.get('X-Cache'), 'HIT');
+  check('Remaining requests counted down', second.headers.get('X-RateLimit-Remaining'), '2');
+
+  answer = () => ({ status: 502, body: {} });
+  const down = await fetch(`${base}/api/aqi?lat=-33.8688&lon=151.2093`);
+  check('Uncached feed with upstream down', down.status, 503);
+
+  check('Last request in the window', (await fetch(`${base}/api/aqi?lat=40.7128&lon=-74.006`)).status, 200);
+  const limited = await fetch(`${base}/api/aqi?lat=40.7128&lon=-74.006`);
+  check('Over the limit', limited.status, 429);
+  check('Retry-After sent', limited.headers.get('Retry-After'), '60');
+  check('Limited requests not sent upstream', upstream.length, calls + 2);
+
+  now += 60000;
+  check('Allowed again in the next window', (await fetch(`${base}/api/aqi?lat=40.7128&lon=-74.006`)).status, 200);
+
+  console.error = error;
+  server.close();
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
+
+// server/index.js starts its own listener when imported
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,85 @@
+/**
+ * Constellation Tests
+ * Checks the 88-constellation dataset, its images and figure-based visibility.
+ *
+ * Usage: node test-constellations.js
+ */
+
+import fs from 'fs';
+import { CONSTELLATIONS } from './src/data/constellations.js';
+import {
+  getVisibleConstellations,
+  getFigureFractionAbove,
+  getConstellationImagePath
+} from './src/services/constellationService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const byAbbr = (abbr) => CONSTELLATIONS.find(constellation => constellation.abbr === abbr);
+
+// London on a January evening, and the same night in Sydney
+const LONDON = [51.5, -0.13];
+const SYDNEY = [-33.87, 151.21];
+const WINTER_EVENING = new Date('2027-01-15T22:00:00Z');
+
+console.log('=== Constellation Tests ===\n');
+
+// Test 1: the full IAU set
+console.log('Test 1: Dataset');
+check('Constellations', CONSTELLATIONS.length, 88);
+check('Unique abbreviations', new Set(CONSTELLATIONS.map(c => c.abbr)).size, 88);
+check('Every one has a line figure', CONSTELLATIONS.every(c => c.lines.length > 0), true);
+check('Every one has a boundary', CONSTELLATIONS.every(c => c.boundaries.length > 0), true);
+check('Serpens has two boundary parts', byAbbr('Ser').boundaries.length, 2);
+check('Orion\'s brightest star (Rigel)', byAbbr('Ori').magnitude, 0.18);
+check('Orion\'s figure stars, brightest first', byAbbr('Ori').stars[0][2], 0.18);
+console.log('');
+
+// Test 2: an image for every constellation
+console.log('Test 2: Images');
+{
+  const missing = CONSTELLATIONS.filter(c =>
+    !fs.existsSync(new URL(`./public${getConstellationImagePath(c.name)}`, import.meta.url))
+  );
+  check('Missing images', missing.map(c => c.name).join(', ') || 'none', 'none');
+  check('Accents dropped', getConstellationImagePath('Boötes'), '/constellations/Bootes.svg');
+}
+console.log('');
+
+// Test 3: visibility is the share of the figure above the altitude limit
+console.log('Test 3: Figure visibility');
+{
+  const [lat, lon] = LONDON;
+  check('Orion fully up from London', getFigureFractionAbove(byAbbr('Ori'), lat, lon, WINTER_EVENING), 1);
+  check('Crux never rises in London', getFigureFractionAbove(byAbbr('Cru'), lat, lon, WINTER_EVENING), 0);
+  const scorpius = getFigureFractionAbove(byAbbr('Sco'), lat, lon, new Date('2027-07-01T22:00:00Z'), 5);
+  check('Scorpius only partly clears 5° in a London summer', scorpius > 0 && scorpius < 1, true);
+}
+console.log('');
+
+// Test 4: the visibility list
+console.log('Test 4: Visible constellations');
+{
+  const london = await getVisibleConstellations(...LONDON, WINTER_EVENING);
+  const sydney = await getVisibleConstellations(...SYDNEY, WINTER_EVENING);
+  const isVisible = (data, abbr) => data.constellations.find(c => c.abbr === abbr).isVisible;
+  check('Total', london.totalCount, 88);
+  check('Ursa Minor visible from London', isVisible(london, 'UMi'), true);
+  check('Ursa Minor hidden from Sydney', isVisible(sydney, 'UMi'), false);
+  check('Crux hidden from London', isVisible(london, 'Cru'), false);
+  check('Sorted by visibility', london.constellations[0].visibilityScore >= london.constellations[87].visibilityScore, true);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
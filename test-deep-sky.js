@@ -0,0 +1,104 @@
+/**
+ * Deep-Sky Tests
+ * Checks the deep-sky catalogue and the nightly observability ranking: type
+ * names, contrast scoring, and how a city sky and the Moon change the list.
+ *
+ * Usage: node test-deep-sky.js
+ */
+
+import { DEEP_SKY_OBJECTS } from './src/data/deepSky.js';
+import {
+  getDSOType,
+  getDSOCategory,
+  getDSOLabel,
+  getObservability,
+  getObservabilityRating,
+  getTonightsTargets
+} from './src/services/dsoService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const find = (list, id) => list.find(object => object.id === id);
+
+// Greenwich, dusk to dawn (UTC) around the November 2026 New Moon and the October Full Moon
+const GREENWICH = [51.48, 0];
+const NEW_MOON_NIGHT = [new Date('2026-11-09T18:30:00Z'), new Date('2026-11-10T05:00:00Z')];
+const FULL_MOON_NIGHT = [new Date('2026-10-26T18:30:00Z'), new Date('2026-10-27T05:00:00Z')];
+const DARK_SQM = 21.5;
+const CITY_SQM = 17.0;
+
+console.log('=== Deep-Sky Tests ===\n');
+
+// Test 1: catalogue
+console.log('Test 1: Catalogue');
+{
+  check('All 110 Messier objects', DEEP_SKY_OBJECTS.filter(object => object.messier).length, 110);
+  check('All 109 Caldwell objects', DEEP_SKY_OBJECTS.filter(object => object.caldwell).length, 109);
+  check('Unique ids', new Set(DEEP_SKY_OBJECTS.map(object => object.id)).size, DEEP_SKY_OBJECTS.length);
+  const m31 = find(DEEP_SKY_OBJECTS, 'M31');
+  check('M31 name', m31.name, 'Andromeda Galaxy');
+  check('M31 surface brightness', m31.surfaceBrightness, 22.2);
+  check('C14 label', getDSOLabel(find(DEEP_SKY_OBJECTS, 'C14')), 'C14 (NGC 869/884)');
+  check('Extra NGC objects', DEEP_SKY_OBJECTS.some(object => object.id === 'NGC2264'), true);
+  check('Globular cluster', getDSOType('gc'), 'Globular cluster');
+  check('Spiral galaxy category', getDSOCategory('s'), 'Galaxy');
+  check('Unknown type', getDSOType('xx'), 'Deep-sky object');
+}
+console.log('');
+
+// Test 2: scoring one moment
+console.log('Test 2: Observability');
+{
+  check('Below 10° scores nothing', getObservability(5, 17.6, DARK_SQM).score, 0);
+  check('No contrast below the horizon', getObservability(-20, 20, DARK_SQM).contrast, null);
+  check('High, compact object under a dark sky', getObservability(60, 17.6, DARK_SQM).score, 100);
+  check('Faint galaxy lost in a city sky', getObservability(60, 23.0, CITY_SQM).score, 0);
+  check('Lower is worse', getObservability(20, 21, DARK_SQM).score < getObservability(60, 21, DARK_SQM).score, true);
+  check('Rating for 75', getObservabilityRating(75).rating, 'Excellent');
+  check('Rating for 0', getObservabilityRating(0).rating, 'Not observable');
+}
+console.log('');
+
+// Test 3: ranking a night
+console.log('Test 3: Greenwich, 9-10 Nov 2026');
+const dark = getTonightsTargets(GREENWICH[0], GREENWICH[1], ...NEW_MOON_NIGHT, DARK_SQM);
+const city = getTonightsTargets(GREENWICH[0], GREENWICH[1], ...NEW_MOON_NIGHT, CITY_SQM);
+{
+  check('Every object ranked', dark.length, DEEP_SKY_OBJECTS.length);
+  check('Best first', dark.every((target, index) => index === 0 || dark[index - 1].score >= target.score), true);
+  const m31 = find(dark, 'M31');
+  check(`M31 is a good target from a dark site (${m31.score})`, m31.score >= 45, true);
+  check('M31 best well after dusk', m31.bestTime > NEW_MOON_NIGHT[0], true);
+  check('Omega Centauri never rises', find(dark, 'C80').score, 0);
+  check('No contrast for it either', find(dark, 'C80').contrast, null);
+  check(`M31 is lost in a city sky (${find(city, 'M31').score})`, find(city, 'M31').score, 0);
+  check(`Ring Nebula still good from the city (${find(city, 'M57').score})`, find(city, 'M57').score >= 45, true);
+  const darkCount = dark.filter(target => target.score > 0).length;
+  const cityCount = city.filter(target => target.score > 0).length;
+  check(`Fewer targets from the city (${cityCount} vs ${darkCount})`, cityCount < darkCount, true);
+}
+console.log('');
+
+// Test 4: the Moon
+console.log('Test 4: Full Moon, 26-27 Oct 2026');
+{
+  const moonlit = getTonightsTargets(GREENWICH[0], GREENWICH[1], ...FULL_MOON_NIGHT, DARK_SQM);
+  const darkM33 = find(dark, 'M33').score;
+  const moonlitM33 = find(moonlit, 'M33').score;
+  check(`Full Moon washes out M33 (${darkM33} → ${moonlitM33})`, moonlitM33 < darkM33 / 2, true);
+  check('Cached', getTonightsTargets(GREENWICH[0], GREENWICH[1], ...FULL_MOON_NIGHT, DARK_SQM) === moonlit, true);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,27 @@
+/**
+ * Node module hooks for tests that import the Vite client services
+ * Vite resolves extensionless relative imports and fills in import.meta.env at
+ * build time; these hooks do the same under node, with an empty environment so
+ * every service falls back to its defaults (e.g. the backend on localhost:3001).
+ *
+ * Usage, before importing the services with await import():
+ *   register('./test-fixtures/vite-loader.js', import.meta.url);
+ */
+
+const RELATIVE_SPECIFIER = /^\.{1,2}\//;
+const HAS_EXTENSION = /\.(js|jsx|json|css)$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (RELATIVE_SPECIFIER.test(specifier) && !HAS_EXTENSION.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (result.format === 'module' && url.includes('/src/')) {
+    return { ...result, source: String(result.source).replaceAll('import.meta.env', '({})') };
+  }
+  return result;
+}
@@ -0,0 +1,432 @@
+/**
+ * Light Pollution Tests
+ * Runs the light pollution pipeline against the sample rasters in
+ * server/data/lightpollution/: raster sampling, the sky-glow model, SQM meter
+ * blending, the map tiles, the heatmap samples, the viewport grid and the
+ * yearly trend.
+ *
+ * Usage: node test-light-pollution.js
+ *
+ * The client services are loaded through test-fixtures/vite-loader.js, and
+ * axios is stubbed to answer their backend requests from the same rasters the
+ * server reads.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import zlib from 'zlib';
+import { Buffer } from 'buffer';
+import { register } from 'module';
+import axios from 'axios';
+import {
+  loadManifest,
+  findDataset,
+  findDatasets,
+  getCell,
+  sampleDataset,
+  getCellsWithinRadius
+} from './server/lightPollutionRaster.js';
+import { encodePNG } from './server/pngEncoder.js';
+
+register('./test-fixtures/vite-loader.js', import.meta.url);
+
+// Keep rendered tiles out of the server's cache
+const tileCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lightpollution-tiles-'));
+process.env.LIGHT_POLLUTION_TILE_CACHE_DIR = tileCacheDir;
+
+const { getTile, MAX_TILE_ZOOM } = await import('./server/lightPollutionTiles.js');
+const { computeSkyGlow, NATURAL_SKY_BRIGHTNESS } = await import('./src/services/skyGlowService.js');
+const { getReadingRejection, blendSQMReadings } = await import('./src/services/sqmReadingsService.js');
+const {
+  getLightPollution,
+  getLightPollutionGrid,
+  getLightPollutionHistory,
+  formatLightPollutionHistoryCSV
+} = await import('./src/services/lightPollutionService.js');
+const {
+  getSQMSamples,
+  interpolateBilinear,
+  getViewportGridPoints,
+  generateLightPollutionGrid,
+  createViewportGridUpdater,
+  LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM
+} = await import('./src/services/lightPollutionOverlayService.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// Sites in the sample area: central Phoenix, and dark sky on the Navajo Nation
+const PHOENIX = [33.45, -112.07];
+const DARK_SITE = [37.0, -110.8];
+const LONDON = [51.5, 0];
+
+// Phoenix sky at local midnight: moonless (9 Nov 2026 New Moon), under the
+// 26 Oct 2026 Full Moon, and an hour after sunset
+const MOONLESS = '2026-11-10T07:00:00Z';
+const MOONLIT = '2026-10-26T07:00:00Z';
+const TWILIGHT = '2026-11-10T01:45:00Z';
+
+const reading = (overrides) => ({ lat: PHOENIX[0], lon: PHOENIX[1], sqm: 18.6, takenAt: MOONLESS, ...overrides });
+
+// Backend responses built from the rasters, the way server/index.js builds them
+const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+const backend = {
+  '/api/light-pollution': ({ lat, lon }) => {
+    const dataset = findDataset('artificial-brightness', lat, lon);
+    if (!dataset) throw notFound();
+    return {
+      success: true,
+      artificialBrightness: sampleDataset(dataset, lat, lon),
+      naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+      dataset: { id: dataset.id, name: dataset.name, year: dataset.year }
+    };
+  },
+  '/api/light-pollution/radiance': ({ lat, lon, radiusKm }) => {
+    const dataset = findDataset('radiance', lat, lon);
+    if (!dataset) throw notFound();
+    return {
+      success: true,
+      radiusKm,
+      dataset: { id: dataset.id, name: dataset.name, resolution: dataset.resolution },
+      cells: getCellsWithinRadius(dataset, lat, lon, radiusKm).map(cell => ({
+        lat: cell.lat, lon: cell.lon, radiance: cell.value, areaKm2: cell.areaKm2
+      }))
+    };
+  },
+  '/api/light-pollution/history': ({ lat, lon }) => {
+    const series = findDatasets('artificial-brightness', lat, lon)
+      .map(dataset => ({ year: dataset.year, artificialBrightness: sampleDataset(dataset, lat, lon) }))
+      .sort((a, b) => a.year - b.year);
+    if (series.length === 0) throw notFound();
+    return { success: true, naturalSkyBrightness: loadManifest().naturalSkyBrightness, series };
+  },
+  '/api/light-pollution/grid': ({ points }) => ({
+    success: true,
+    naturalSkyBrightness: loadManifest().naturalSkyBrightness,
+    values: points.map(({ lat, lon }) => {
+      const dataset = findDataset('artificial-brightness', lat, lon);
+      return dataset ? sampleDataset(dataset, lat, lon) : null;
+    })
+  }),
+  '/api/sqm-readings': ({ lat, lon }) => ({
+    success: true,
+    readings: lat === PHOENIX[0] && lon === PHOENIX[1] ? [reading(), reading({ sqm: 21.0, takenAt: MOONLIT })] : []
+  })
+};
+
+const requests = [];
+axios.get = async (url, { params }) => {
+  const route = new URL(url).pathname;
+  requests.push(route);
+  return { data: backend[route](params) };
+};
+axios.post = async (url, body, { signal }) => {
+  // Give the caller a chance to abort while the request is in flight
+  await null;
+  if (signal?.aborted) throw new axios.CanceledError();
+  const route = new URL(url).pathname;
+  requests.push(route);
+  return { data: backend[route](body) };
+};
+
+/**
+ * Decode the pixels of a PNG written by encodePNG (8-bit RGBA, no filtering)
+ * @param {Buffer} png - PNG file contents
+ * @returns {Object} { width, height, pixel(x, y) } where pixel returns 'r,g,b,a'
+ */
+const decodePNG = (png) => {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idat = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    if (png.toString('ascii', offset + 4, offset + 8) === 'IDAT') {
+      idat.push(png.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += length + 12;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixel = (x, y) => {
+    const start = y * (width * 4 + 1) + 1 + x * 4;
+    return Array.from(raw.subarray(start, start + 4)).join(',');
+  };
+  return { width, height, pixel };
+};
+
+console.log('=== Light Pollution Tests ===\n');
+
+// Test 1: rasters
+console.log('Test 1: Sample rasters');
+const brightness = findDataset('artificial-brightness', ...PHOENIX);
+const radiance = findDataset('radiance', ...PHOENIX);
+{
+  check('Manifest natural sky matches the client', loadManifest().naturalSkyBrightness, NATURAL_SKY_BRIGHTNESS);
+  check('Latest brightness raster used', brightness.id, 'world-atlas-sample');
+  check('Yearly rasters over Phoenix', findDatasets('artificial-brightness', ...PHOENIX).length, 10);
+  check('No radiance raster over London', findDataset('radiance', ...LONDON), null);
+  check('No raster over London', findDataset('artificial-brightness', ...LONDON), null);
+  check('Sample outside the bounds', sampleDataset(brightness, ...LONDON), null);
+  check('Cell off the grid', getCell(brightness, -1, 0), null);
+
+  // Row 80, column 39 is centred on 33.45°N 112.05°W
+  const centre = getCell(brightness, 80, 39);
+  const east = getCell(brightness, 80, 40);
+  check('Sample at a cell centre is the cell', Math.abs(sampleDataset(brightness, 33.45, -112.05) - centre) < 1e-3, true);
+  const between = sampleDataset(brightness, 33.45, -112.0);
+  check('Sample between cells is between them', between > Math.min(centre, east) && between < Math.max(centre, east), true);
+
+  const cells = getCellsWithinRadius(radiance, ...PHOENIX, 200);
+  check(`Lit cells within 200 km of Phoenix (${cells.length})`, cells.length > 0, true);
+  check('Only lit cells', cells.every(cell => cell.value > 0), true);
+  check('Fewer above a threshold', getCellsWithinRadius(radiance, ...PHOENIX, 200, 10).length < cells.length, true);
+  check('Fewer in a smaller radius', getCellsWithinRadius(radiance, ...PHOENIX, 50).length < cells.length, true);
+}
+console.log('');
+
+// Test 2: sky-glow model
+console.log('Test 2: Sky-glow model');
+{
+  check('No lights leaves the natural sky', computeSkyGlow(...PHOENIX, []).zenithSQM.toFixed(2), '22.00');
+
+  // 1000 nW/cm²/sr·km² underfoot: 0.08 × 1000 × (8 km)^-2.5
+  const underfoot = computeSkyGlow(0, 0, [{ lat: 0, lon: 0, radiance: 10, areaKm2: 100 }]);
+  check('Zenith glow from a source underfoot', underfoot.zenithBrightness.toFixed(4), '0.4419');
+
+  // 0.9° of longitude at the equator is about 100 km
+  const near = computeSkyGlow(0, 0, [{ lat: 0, lon: 0.9, radiance: 10, areaKm2: 100 }]);
+  const far = computeSkyGlow(0, 0, [{ lat: 0, lon: 1.8, radiance: 10, areaKm2: 100 }]);
+  check('Walker\'s law: twice as far is ~5.6x fainter', (near.zenithBrightness / far.zenithBrightness).toFixed(1), '5.6');
+  const ratios = near.horizonProfile.map(sector => sector.ratio);
+  check('Dome in the east', near.horizonProfile[ratios.indexOf(Math.max(...ratios))].azimuth, 90);
+  check('16 directions', near.horizonProfile.length, 16);
+  check('Dome symmetric about the source', ratios[3].toFixed(6), ratios[5].toFixed(6));
+
+  const phoenix = computeSkyGlow(...PHOENIX, backend['/api/light-pollution/radiance']({ lat: PHOENIX[0], lon: PHOENIX[1], radiusKm: 200 }).cells);
+  const atlasSQM = -2.5 * Math.log10((sampleDataset(brightness, ...PHOENIX) + NATURAL_SKY_BRIGHTNESS) / 1.08e8);
+  check(`Phoenix model ${phoenix.zenithSQM.toFixed(2)} agrees with the atlas ${atlasSQM.toFixed(2)}`,
+    Math.abs(phoenix.zenithSQM - atlasSQM) < 0.2, true);
+  const dark = computeSkyGlow(...DARK_SITE, backend['/api/light-pollution/radiance']({ lat: DARK_SITE[0], lon: DARK_SITE[1], radiusKm: 200 }).cells);
+  check('Dark site stays dark', dark.zenithSQM > 21.9, true);
+}
+console.log('');
+
+// Test 3: SQM meter readings
+console.log('Test 3: SQM readings');
+{
+  check('Moonless midnight accepted', getReadingRejection(reading()), null);
+  check('Full Moon rejected', getReadingRejection(reading({ takenAt: MOONLIT })), 'moon');
+  check('Twilight rejected', getReadingRejection(reading({ takenAt: TWILIGHT })), 'twilight');
+
+  // Readings lose weight with age, so the clock is pinned to the reading
+  const now = Date.now;
+  Date.now = () => new Date(MOONLESS).getTime();
+
+  const onSite = blendSQMReadings(17.85, ...PHOENIX, [reading()]);
+  check('Fresh reading on site', onSite.sqm.toFixed(2), '18.28');
+  check('It outweighs the model', onSite.dominated, true);
+  const distant = blendSQMReadings(17.85, ...PHOENIX, [reading({ lat: 33.9 })]);
+  check('Reading 50 km away barely moves the model', distant.sqm.toFixed(2), '17.86');
+  check('Moonlit reading alone is not used', blendSQMReadings(17.85, ...PHOENIX, [reading({ takenAt: MOONLIT })]), null);
+  const mixed = blendSQMReadings(17.85, ...PHOENIX, [reading(), reading({ takenAt: TWILIGHT })]);
+  check('Twilight reading counted as rejected', `${mixed.usedCount} used, ${mixed.rejectedCount} rejected`, '1 used, 1 rejected');
+
+  Date.now = () => new Date(MOONLESS).getTime() + 365 * 86400000;
+  check('A year later it counts half', blendSQMReadings(17.85, ...PHOENIX, [reading()]).measuredWeight.toFixed(2), '0.50');
+  Date.now = now;
+}
+console.log('');
+
+// Test 4: the whole lookup
+console.log('Test 4: getLightPollution');
+{
+  const now = Date.now;
+  Date.now = () => new Date(MOONLESS).getTime();
+
+  const phoenix = await getLightPollution(...PHOENIX);
+  check('Phoenix reading outweighs the model', phoenix.source, 'Measured');
+  check('Calibrated to the meter reading', phoenix.measurements.modelSQM, 17.85);
+  check('Moonlit reading dropped', `${phoenix.measurements.count} used, ${phoenix.measurements.rejected} rejected`, '1 used, 1 rejected');
+  check('Bright suburban sky', phoenix.bortleClass, 6);
+  check('Horizon glow in 16 directions', phoenix.horizonGlow.length, 16);
+
+  const dark = await getLightPollution(...DARK_SITE);
+  check('Dark site source', dark.source, 'Sky-glow model (VIIRS night lights sample raster)');
+  check('Dark site class', dark.bortleClass, 1);
+  check('No readings there', dark.measurements, null);
+
+  const london = await getLightPollution(...LONDON);
+  check('Outside coverage falls back to the estimate', london.source, 'Estimated');
+
+  const count = requests.length;
+  await getLightPollution(...PHOENIX);
+  check('Cached', requests.length, count);
+  Date.now = now;
+}
+console.log('');
+
+// Test 5: map tiles
+console.log('Test 5: Map tiles');
+{
+  const image = decodePNG(encodePNG(2, 1, new Uint8Array([255, 0, 0, 255, 0, 0, 255, 128])));
+  check('PNG round trip size', `${image.width}x${image.height}`, '2x1');
+  check('PNG round trip pixels', `${image.pixel(0, 0)} ${image.pixel(1, 0)}`, '255,0,0,255 0,0,255,128');
+
+  check('Tiles stop at the map\'s native zoom', MAX_TILE_ZOOM, LIGHT_POLLUTION_TILE_MAX_NATIVE_ZOOM);
+
+  // Zoom 5 tile over Phoenix, and the pixel Phoenix falls in
+  const z = 5;
+  const worldX = (PHOENIX[1] + 180) / 360 * Math.pow(2, z);
+  const latRad = PHOENIX[0] * Math.PI / 180;
+  const worldY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, z);
+  const x = Math.floor(worldX);
+  const y = Math.floor(worldY);
+  const tile = getTile(z, x, y);
+  check('Phoenix tile is a PNG', tile.subarray(1, 4).toString('ascii'), 'PNG');
+  const pixel = decodePNG(tile).pixel(Math.floor((worldX - x) * 256), Math.floor((worldY - y) * 256));
+  check('Phoenix coloured as Bortle 7', pixel, '255,100,0,147');
+  check('Covered tile cached', fs.existsSync(tileCacheDir) && fs.readdirSync(tileCacheDir).length, 1);
+  check('Cached tile served again', getTile(z, x, y).equals(tile), true);
+
+  const blank = getTile(3, 0, 0);
+  check('Uncovered tile is transparent', decodePNG(blank).pixel(128, 128), '0,0,0,0');
+  check('Uncovered tiles share one buffer', getTile(3, 1, 1) === blank, true);
+  const cached = fs.readdirSync(tileCacheDir, { recursive: true }).filter(file => file.endsWith('.png'));
+  check('Only the covered tile written', cached.length, 1);
+}
+console.log('');
+
+// Test 6: heatmap samples
+console.log('Test 6: Heatmap');
+{
+  const count = requests.length;
+  const [phoenix, london] = await getSQMSamples([{ lat: PHOENIX[0], lon: PHOENIX[1] }, { lat: LONDON[0], lon: LONDON[1] }]);
+  check('Tile lattice in one request', requests.length - count, 1);
+  check('Phoenix sampled from the raster', phoenix, 17.9);
+  check('Samples in point order', london, (await getLightPollution(...LONDON)).sqm);
+  check('Nothing to sample', (await getSQMSamples([])).length, 0);
+
+  // A tile unloaded while its samples are in flight
+  const controller = new AbortController();
+  const unloaded = getSQMSamples([{ lat: PHOENIX[0], lon: PHOENIX[1] }], controller.signal);
+  controller.abort();
+  check('Unloaded tile request cancelled', await unloaded.then(() => 'drawn', error => axios.isCancel(error)), true);
+
+  // 2 × 2 corners
+  const corners = [17, 19, 21, 23];
+  check('Heatmap corner', interpolateBilinear(corners, 2, 1, 0), 19);
+  check('Heatmap centre', interpolateBilinear(corners, 2, 0.5, 0.5), 20);
+  check('Heatmap edge', interpolateBilinear(corners, 2, 0, 0.5), 19);
+}
+console.log('');
+
+// Test 7: viewport grid
+console.log('Test 7: Viewport grid');
+{
+  const view = { south: 33, west: -113, north: 34, east: -112 };
+  const points = getViewportGridPoints(view, 8);
+  check('Unique keys', new Set(points.map(point => point.key)).size, points.length);
+  check('Covers the viewport', Math.min(...points.map(point => point.lat)) <= view.south &&
+    Math.max(...points.map(point => point.lat)) >= view.north &&
+    Math.min(...points.map(point => point.lon)) <= view.west &&
+    Math.max(...points.map(point => point.lon)) >= view.east, true);
+
+  const byKey = new Map(points.map(point => [point.key, point]));
+  const panned = getViewportGridPoints({ ...view, west: -112.75, east: -111.75 }, 8);
+  const shared = panned.filter(point => byKey.has(point.key));
+  check(`Pan reuses points (${shared.length} of ${panned.length})`, shared.length > panned.length / 2, true);
+  check('Reused points stay put', shared.every(point =>
+    byKey.get(point.key).lat === point.lat && byKey.get(point.key).lon === point.lon), true);
+  check('Zooming in adds points', getViewportGridPoints(view, 9).length > points.length, true);
+
+  const world = getViewportGridPoints({ south: -90, west: -180, north: 90, east: 180 }, 5);
+  check(`World view coarsened (${world.length} points)`, world.length <= 400, true);
+  check('Poles left out', world.every(point => Math.abs(point.lat) <= 85), true);
+
+  const count = requests.length;
+  const grid = await generateLightPollutionGrid(points);
+  check('Whole viewport in one request', requests.length - count, 1);
+  check('Every point coloured', grid.length === points.length && grid.every(point => point.color && point.intensity > 0), true);
+  const [phoenix, london] = await getLightPollutionGrid([{ lat: PHOENIX[0], lon: PHOENIX[1] }, { lat: LONDON[0], lon: LONDON[1] }]);
+  check('Grid point sampled from the raster', `${phoenix.sqm} Bortle ${phoenix.bortleClass}`, '17.9 Bortle 7');
+  check('Grid point outside coverage estimated', london.source, 'Estimated');
+  const [wrapped] = await generateLightPollutionGrid([{ key: 'wrapped', lat: PHOENIX[0], lon: PHOENIX[1] + 360 }]);
+  check('Other world copies wrap', wrapped.bortleClass, phoenix.bortleClass);
+
+  const controller = new AbortController();
+  const cancelled = generateLightPollutionGrid(points, controller.signal);
+  controller.abort();
+  check('Cancelled request returns no points', (await cancelled).length, 0);
+
+  // Overlapping viewport updates, as from a quick pan away and back
+  const shown = [];
+  const loading = [];
+  const updater = createViewportGridUpdater({
+    onPoints: points => shown.push(points.length),
+    onLoading: value => loading.push(value)
+  });
+  await updater.update(view, 8);
+  check('First view fetched', shown.at(-1), points.length);
+
+  const error = console.error;
+  let errors = 0;
+  console.error = () => errors++;
+
+  const away = updater.update({ south: 36, west: -111, north: 37, east: -110 }, 8);
+  const back = updater.update(view, 8);
+  await Promise.all([away, back]);
+  check('Back to cached points without a request', shown.at(-1), points.length);
+  check('Loading cleared after the superseded request', loading.at(-1), false);
+
+  const first = updater.update({ south: 35, west: -111, north: 36, east: -110 }, 8);
+  const second = updater.update({ south: 34, west: -111, north: 35, east: -110 }, 8);
+  await Promise.all([first, second]);
+  check('Latest request renders', shown.at(-1), getViewportGridPoints({ south: 34, west: -111, north: 35, east: -110 }, 8).length);
+  check('Loading cleared after both requests', loading.at(-1), false);
+
+  updater.update({ south: 32, west: -110, north: 33, east: -109 }, 8);
+  updater.cancel();
+  await null;
+  check('Loading cleared on cancel', loading.at(-1), false);
+  console.error = error;
+  check('Cancelled requests not logged as errors', errors, 0);
+}
+console.log('');
+
+// Test 8: yearly trend
+console.log('Test 8: History');
+{
+  const history = await getLightPollutionHistory(...PHOENIX);
+  check('Years', `${history.startYear}-${history.endYear}`, '2015-2024');
+  check('One entry per year', history.series.length, 10);
+  check('No change for the first year', history.series[0].changePercent, null);
+  check(`Phoenix brightening ${history.annualChangePercent}%/yr`, history.annualChangePercent > 1, true);
+  check(`Sky darker in SQM terms by ${history.sqmChange}`, history.sqmChange < 0, true);
+  check('Latest year matches the current raster', history.series[9].sqm.toFixed(2), '17.90');
+
+  const csv = formatLightPollutionHistoryCSV(history).split('\n');
+  check('CSV header', csv[0], 'year,artificial_brightness_mcd_m2,sqm_mag_arcsec2,bortle_class,change_percent');
+  check('CSV rows', csv.length, 12);
+  check('CSV ends with a newline', csv[11], '');
+  check('First row has no change', csv[1].endsWith(','), true);
+  check('Later rows do', csv[10].split(',')[4], history.series[9].changePercent.toFixed(2));
+
+  check('No history outside coverage', await getLightPollutionHistory(...LONDON), null);
+}
+console.log('');
+
+fs.rmSync(tileCacheDir, { recursive: true, force: true });
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,106 @@
+/**
+ * Messier Marathon Tests
+ * Checks the marathon planner: the astronomical night it runs in, the order it
+ * picks, and the objects it flags as impossible at a latitude or on a date.
+ *
+ * Usage: node test-marathon.js
+ */
+
+import { getBestViewingTime } from './src/services/constellationService.js';
+import { planMessierMarathon, getCulminationAltitude } from './src/services/marathonService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const labels = (objects) => objects.map(object => object.label);
+
+// Marathon nights: southern Texas in mid-March, London on the same night, and
+// Canberra (the far north of the catalogue never rises there)
+const TEXAS = [30, -100];
+const MARCH_NIGHT = new Date('2027-03-08T18:00:00Z'); // noon in Texas
+const LONDON = [51.5, 0];
+const CANBERRA = [-35.3, 149.1];
+
+console.log('=== Messier Marathon Tests ===\n');
+
+// Test 1: the night
+console.log('Test 1: Astronomical night');
+{
+  const times = await getBestViewingTime(TEXAS[0], TEXAS[1], MARCH_NIGHT);
+  const sunset = new Date(times.sunset);
+  const nightStart = new Date(times.astronomicalNightStart);
+  const nightEnd = new Date(times.astronomicalNightEnd);
+  const sunrise = new Date(times.sunrise);
+  check('Sunset, dusk, dawn, sunrise in order', sunset < nightStart && nightStart < nightEnd && nightEnd < sunrise, true);
+  check('Dusk about 80 minutes after sunset', Math.round((nightStart - sunset) / 600000), 8);
+  check('Night lasts about 9.5 hours', Math.round((nightEnd - nightStart) / 1800000), 19);
+}
+console.log('');
+
+// Test 2: a good marathon site
+console.log('Test 2: Texas, 8-9 Mar 2027');
+const plan = await planMessierMarathon(TEXAS[0], TEXAS[1], MARCH_NIGHT);
+{
+  check('Nothing impossible at 30°N', plan.impossible.length, 0);
+  check('Only M30 lost to the dawn', labels(plan.notInDarkness).join(','), 'M30');
+  check('Nothing runs out of time', plan.missed.length, 0);
+  check('109 objects in the sequence', plan.sequence.length, 109);
+  check('Starts with M74 low in the west', plan.sequence[0].label, 'M74');
+  check('Starts at dusk', plan.sequence[0].time.getTime(), plan.nightStart.getTime());
+  check('Times only move forward', plan.sequence.every((entry, index) =>
+    index === 0 || entry.time - plan.sequence[index - 1].time >= plan.minutesPerObject * 60000), true);
+  check('Every object observed while up', plan.sequence.every(entry =>
+    entry.altitude >= plan.minAltitude - 0.5 && entry.time <= entry.windowEnd), true);
+  check('Ends before dawn', plan.sequence[plan.sequence.length - 1].time < plan.nightEnd, true);
+  const order = labels(plan.sequence);
+  check('M31 before M42', order.indexOf('M31') < order.indexOf('M42'), true);
+  check('Virgo before Sagittarius', order.indexOf('M87') < order.indexOf('M22'), true);
+}
+console.log('');
+
+// Test 3: latitude and date limits
+console.log('Test 3: Impossible objects');
+{
+  check('M7 culminates at 3.7° from London', getCulminationAltitude(-34.8, LONDON[0]).toFixed(1), '3.7');
+  const london = await planMessierMarathon(LONDON[0], LONDON[1], new Date('2027-03-08T12:00:00Z'));
+  check('M7 impossible from London', labels(london.impossible).join(','), 'M7');
+  check('Sagittarius not up in the dark from London', london.notInDarkness.some(object => object.label === 'M55'), true);
+
+  const canberra = await planMessierMarathon(CANBERRA[0], CANBERRA[1], new Date('2027-03-08T02:00:00Z'));
+  check('M81 impossible from Canberra', labels(canberra.impossible).includes('M81'), true);
+  check('M76 impossible from Canberra', labels(canberra.impossible).includes('M76'), true);
+  check('Every object accounted for', canberra.sequence.length + canberra.impossible.length +
+    canberra.notInDarkness.length + canberra.missed.length, 110);
+
+  const slow = await planMessierMarathon(TEXAS[0], TEXAS[1], MARCH_NIGHT, { minutesPerObject: 8 });
+  check('At 8 minutes an object, some run out of time', slow.missed.length > 0, true);
+}
+console.log('');
+
+// Test 4: white nights (the Sun stays above -18° around the summer solstice)
+console.log('Test 4: 55°N, 21 Jun 2026');
+{
+  const EDINBURGH = [55.95, -3.19];
+  const MIDSUMMER = new Date('2026-06-21T12:00:00Z');
+  const times = await getBestViewingTime(EDINBURGH[0], EDINBURGH[1], MIDSUMMER);
+  check('Sun still sets', times.sunset !== null, true);
+  check('No astronomical night', times.astronomicalNightStart, null);
+  check('Flagged', times.noAstronomicalDarkness, true);
+
+  const summer = await planMessierMarathon(EDINBURGH[0], EDINBURGH[1], MIDSUMMER);
+  check('Nothing scheduled in twilight', summer.sequence.length, 0);
+  check('Everything that rises is listed as not up in the dark', summer.notInDarkness.length + summer.impossible.length, 110);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,73 @@
+/**
+ * Moon Tests
+ * Checks moon phases and the moonlight sky-brightness penalty.
+ *
+ * Usage: node test-moon.js
+ */
+
+import {
+  getMoonPhase,
+  getMoonlightPenalty,
+  getMoonNight
+} from './src/services/moonService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// Greenwich, a late October full Moon and an early November new Moon
+const LAT = 51.48;
+const LON = 0;
+const FULL_MOON_NIGHT = new Date('2026-10-26T23:00:00Z');
+const NEW_MOON_NIGHT = new Date('2026-11-09T23:00:00Z');
+
+console.log('=== Moon Tests ===\n');
+
+// Test 1: phase names
+console.log('Test 1: Phases');
+check('26 Oct 2026', getMoonPhase(FULL_MOON_NIGHT).name, 'Full Moon');
+check('9 Nov 2026', getMoonPhase(NEW_MOON_NIGHT).name, 'New Moon');
+check('Full Moon is nearly fully lit', getMoonPhase(FULL_MOON_NIGHT).illumination > 0.97, true);
+console.log('');
+
+// Test 2: a high full Moon brightens a dark sky to roughly 18-19 mag/arcsec²
+console.log('Test 2: Full Moon over a dark site (SQM 21.7)');
+{
+  const moonlight = getMoonlightPenalty(LAT, LON, FULL_MOON_NIGHT, 21.7);
+  check('Moon is up', moonlight.altitude > 30, true);
+  check('Zenith brightness 18-19 mag/arcsec²', moonlight.effectiveSQM > 18 && moonlight.effectiveSQM < 19, true);
+  check('Penalty above 0.5', moonlight.penalty > 0.5, true);
+}
+console.log('');
+
+// Test 3: the same Moon costs a city sky much less
+console.log('Test 3: Full Moon over a city (SQM 17.0)');
+{
+  const dark = getMoonlightPenalty(LAT, LON, FULL_MOON_NIGHT, 21.7).penalty;
+  const city = getMoonlightPenalty(LAT, LON, FULL_MOON_NIGHT, 17.0).penalty;
+  check('City penalty below 0.1', city < 0.1, true);
+  check('Dark site loses more than the city', dark > city, true);
+}
+console.log('');
+
+// Test 4: no Moon, no penalty
+console.log('Test 4: New Moon');
+check('Penalty', getMoonlightPenalty(LAT, LON, NEW_MOON_NIGHT, 21.7).penalty, 0);
+{
+  const night = getMoonNight(LAT, LON, new Date('2026-11-09T18:00:00Z'), new Date('2026-11-10T05:00:00Z'));
+  check('Moon-free all night', night.isMoonFreeAllNight, true);
+  check('One window covering the night', night.moonFreeWindows.length, 1);
+  check('Window length (minutes)', night.moonFreeWindows[0]?.minutes, 660);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
@@ -0,0 +1,125 @@
+/**
+ * Sky Chart Tests
+ * Checks the bright-star catalogue and the all-sky chart layout: projection,
+ * what is above the horizon, click-to-identify, and which stars the naked eye
+ * picks up under a city sky and a dark one.
+ *
+ * Usage: node test-sky-chart.js
+ */
+
+import { BRIGHT_STARS } from './src/data/brightStars.js';
+import {
+  projectAltAz,
+  getStarColor,
+  getSkyChartData,
+  filterNakedEyeStars,
+  findNearestObject
+} from './src/services/skyChartService.js';
+import {
+  getLimitingMagnitude,
+  isNakedEyeVisible,
+  countVisibleFigureStars
+} from './src/services/constellationService.js';
+import { CONSTELLATIONS } from './src/data/constellations.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// London on a January evening
+const LONDON = [51.5, -0.13];
+const WINTER_EVENING = new Date('2027-01-15T22:00:00Z');
+
+console.log('=== Sky Chart Tests ===\n');
+
+// Test 1: catalogue
+console.log('Test 1: Catalogue');
+check('Stars to magnitude 6.5', BRIGHT_STARS.length > 8000, true);
+check('None fainter than 6.5', BRIGHT_STARS.every(star => star[3] <= 6.5), true);
+check('Brightest first', BRIGHT_STARS[0][5], 'Sirius');
+check('Designations for unnamed stars', BRIGHT_STARS.some(star => star[5] === 'τ Phe'), true);
+console.log('');
+
+// Test 2: projection (zenith in the centre, north up, east on the left)
+console.log('Test 2: Projection');
+check('Zenith x', round(projectAltAz(90, 0).x), 0);
+check('North horizon y', round(projectAltAz(0, 0).y), -1);
+check('East horizon x', round(projectAltAz(0, 90).x), -1);
+check('South at 45° y', round(projectAltAz(45, 180).y), round(Math.tan(Math.PI / 8)));
+check('Rigel is blue-white', getStarColor(-0.03), '#cad8ff');
+check('Betelgeuse is orange', getStarColor(1.85), '#ff9d3f');
+console.log('');
+
+// Test 3: the sky over London
+console.log('Test 3: London, 15 Jan 2027 22:00 UTC');
+const chart = getSkyChartData(LONDON[0], LONDON[1], WINTER_EVENING, BRIGHT_STARS);
+const sirius = chart.stars.find(star => star.name === 'Sirius');
+const polaris = chart.stars.find(star => star.name === 'Polaris');
+{
+  check('Sun well below the horizon', chart.sunAltitude < -18, true);
+  check('Sirius is up', sirius !== undefined, true);
+  check('Sirius in the south', sirius.azimuth > 135 && sirius.azimuth < 225, true);
+  check('Polaris at the latitude (±1°)', Math.abs(polaris.altitude - LONDON[0]) < 1, true);
+  check('Canopus above the horizon', chart.stars.some(star => star.name === 'Canopus'), false);
+  check('Orion figure drawn', chart.lines.some(line => line.abbr === 'Ori'), true);
+  check('Jupiter is up', chart.planets.some(planet => planet.name === 'Jupiter'), true);
+}
+console.log('');
+
+// Test 4: click-to-identify
+console.log('Test 4: Identify');
+{
+  check('Click beside Sirius', findNearestObject(chart, sirius.x + 0.01, sirius.y, 0.05)?.name, 'Sirius');
+  const jupiter = chart.planets.find(planet => planet.name === 'Jupiter');
+  const found = findNearestObject(chart, jupiter.x, jupiter.y, 0.05);
+  check('Click on Jupiter', found?.name, 'Jupiter');
+  check('Jupiter type', found?.type, 'planet');
+  check('Click outside the dome', findNearestObject(chart, 1.5, 1.5, 0.05), null);
+}
+console.log('');
+
+// Test 5: naked-eye limits (Bortle 8 city and Bortle 2 site from getBortleNELM/getBortleSQM)
+console.log('Test 5: Limiting magnitude');
+{
+  const CITY = { nelm: 4.3, sqm: 17.0 };
+  const SITE = { nelm: 7.4, sqm: 21.5 };
+  const FULL_MOON_NIGHT = new Date('2026-10-26T23:00:00Z');
+  const NEW_MOON_NIGHT = new Date('2026-11-09T23:00:00Z');
+  const GREENWICH = [51.48, 0];
+
+  const moonless = getLimitingMagnitude(SITE, GREENWICH[0], GREENWICH[1], NEW_MOON_NIGHT);
+  check('New Moon leaves the NELM alone', moonless.nelm, 7.4);
+  const moonlitSite = getLimitingMagnitude(SITE, GREENWICH[0], GREENWICH[1], FULL_MOON_NIGHT);
+  const moonlitCity = getLimitingMagnitude(CITY, GREENWICH[0], GREENWICH[1], FULL_MOON_NIGHT);
+  check('Full Moon costs the dark site over 1.5 mag', moonlitSite.moonLoss > 1.5, true);
+  check('Full Moon costs the city under 0.5 mag', moonlitCity.moonLoss < 0.5, true);
+
+  check('Mag 5.5 star at the zenith under NELM 6', isNakedEyeVisible(5.5, 90, 6), true);
+  check('Mag 5.5 star 10° up under NELM 6 (extinction)', isNakedEyeVisible(5.5, 10, 6), false);
+
+  const night = getSkyChartData(GREENWICH[0], GREENWICH[1], NEW_MOON_NIGHT, BRIGHT_STARS);
+  const cityStars = filterNakedEyeStars(night.stars, CITY.nelm).length;
+  const siteStars = filterNakedEyeStars(night.stars, SITE.nelm).length;
+  check(`City sky shows a few hundred stars (${cityStars})`, cityStars > 100 && cityStars < 500, true);
+  check(`Dark site shows ten times as many (${siteStars})`, siteStars > cityStars * 10, true);
+
+  const lyra = CONSTELLATIONS.find(constellation => constellation.abbr === 'Lyr');
+  const lyraCity = countVisibleFigureStars(lyra, GREENWICH[0], GREENWICH[1], NEW_MOON_NIGHT, CITY.nelm);
+  const lyraSite = countVisibleFigureStars(lyra, GREENWICH[0], GREENWICH[1], NEW_MOON_NIGHT, SITE.nelm);
+  check(`Lyra: more of the figure from the dark site (${lyraCity} vs ${lyraSite})`, lyraSite > lyraCity, true);
+  check('Lyra: whole figure from the dark site', lyraSite, lyra.stars.length);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
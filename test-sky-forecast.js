@@ -0,0 +1,94 @@
+/**
+ * Sky Forecast Fixture Tests
+ * Parses a recorded 7Timer ASTRO response into the timestamped forecast
+ * series used for hour-by-hour stargazing scores.
+ *
+ * Usage: node test-sky-forecast.js
+ *
+ * The fixture in test-fixtures/sky/ is the raw JSON body of
+ * https://www.7timer.info/bin/astro.php?lon=...&lat=...&ac=0&unit=metric&output=json&tzshift=0
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import {
+  getSkyForecast,
+  getSkyViewability,
+  getSkyConditionsAt
+} from './src/services/skyViewabilityService.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./test-fixtures/sky/7timer-astro.json', import.meta.url), 'utf8'));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// Serve the fixture instead of calling 7Timer, counting requests
+let requests = 0;
+axios.get = async () => {
+  requests++;
+  return { data: fixture };
+};
+
+console.log('=== Sky Forecast Tests ===\n');
+
+// Test 1: init + timepoint become real UTC timestamps
+console.log('Test 1: Series timestamps');
+const forecast = await getSkyForecast(45.5, -111.2);
+check('Points in series', forecast.series.length, 24);
+check('Model run', new Date(forecast.init).toISOString(), '2026-10-19T12:00:00.000Z');
+check('First point (+3 h)', new Date(forecast.series[0].time).toISOString(), '2026-10-19T15:00:00.000Z');
+check('Last point (+72 h)', new Date(forecast.series[23].time).toISOString(), '2026-10-22T12:00:00.000Z');
+console.log('');
+
+// Test 2: values per point, including decoded humidity and wind
+console.log('Test 2: Point values');
+{
+  const point = forecast.series[6];
+  check('Cloud cover', point.cloudCover, 8);
+  check('Humidity class 10 as %', point.humidity, 72.5);
+  check('Wind class 3 as m/s', point.windSpeed, 5.7);
+  check('Precipitation', forecast.series[7].prec_type, 'rain');
+  check('Missing seeing (-9999)', forecast.series[10].seeing, null);
+}
+console.log('');
+
+// Test 3: looking up the point covering a time
+console.log('Test 3: Conditions at a time');
+check('04:00 UTC uses the 03:00 point', getSkyConditionsAt(forecast, Date.UTC(2026, 9, 20, 4))?.cloudCover, 2);
+check('05:00 UTC uses the 06:00 point', getSkyConditionsAt(forecast, new Date(Date.UTC(2026, 9, 20, 5)))?.cloudCover, 6);
+check('Beyond the forecast', getSkyConditionsAt(forecast, Date.UTC(2026, 9, 23, 0)), null);
+check('No forecast', getSkyConditionsAt(null, Date.now()), null);
+console.log('');
+
+// Test 4: the snapshot and the forecast share one request
+console.log('Test 4: Shared request');
+requests = 0;
+const [snapshot, series] = await Promise.all([
+  getSkyViewability(10, 20),
+  getSkyForecast(10, 20)
+]);
+check('Requests made', requests, 1);
+check('Snapshot source', snapshot.source, '7Timer! ASTRO');
+check('Snapshot is a series point', series.series.some(point => point.time === snapshot.forecastTime), true);
+console.log('');
+
+// Test 5: failures give no forecast rather than made-up data
+console.log('Test 5: Unavailable forecast');
+axios.get = async () => ({ data: { product: 'astro', dataseries: [] } });
+const originalError = console.error;
+console.error = () => {};
+check('Invalid response', await getSkyForecast(-33.9, 18.4), null);
+console.error = originalError;
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
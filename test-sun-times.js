@@ -0,0 +1,103 @@
+/**
+ * Sun Times Tests
+ * Checks sunrise, sunset and twilight times, including the polar day, polar
+ * night and white-night cases and sites near the date line.
+ *
+ * Usage: node test-sun-times.js
+ */
+
+import {
+  getSunTimes,
+  getDarknessNote,
+  isNighttime,
+  isAstronomicalDark
+} from './src/services/sunCalculationService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+// HH:MM in UTC
+const utcTime = (date) => date ? date.toISOString().slice(11, 16) : null;
+
+// Within a few minutes of an expected UTC time
+const near = (date, expected, minutes = 3) => {
+  if (!date) return false;
+  const [hours, mins] = expected.split(':').map(Number);
+  const target = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, mins);
+  return Math.abs(date.getTime() - target) <= minutes * 60000;
+};
+
+console.log('=== Sun Times Tests ===\n');
+
+// Test 1: an ordinary night in London
+console.log('Test 1: London, 19 Oct 2026');
+{
+  const times = getSunTimes(51.5074, -0.1278, new Date('2026-10-19T12:00:00Z'));
+  check(`Sunrise ~06:30 UTC (${utcTime(times.sunrise)})`, near(times.sunrise, '06:30'), true);
+  check(`Sunset ~16:58 UTC (${utcTime(times.sunset)})`, near(times.sunset, '16:58'), true);
+  check('Sunrise before sunset', times.sunrise < times.sunset, true);
+  check('Astronomical dawn before dusk', times.astronomicalTwilight.dawn < times.astronomicalTwilight.dusk, true);
+  check('No darkness note', getDarknessNote(times), null);
+  check('Night at 22:00 UTC', isNighttime(times, new Date('2026-10-19T22:00:00Z')), true);
+  check('Day at 12:00 UTC', isNighttime(times, new Date('2026-10-19T12:00:00Z')), false);
+  check('Astronomically dark at 22:00 UTC', isAstronomicalDark(times, new Date('2026-10-19T22:00:00Z')), true);
+  check('Not dark at 17:30 UTC', isAstronomicalDark(times, new Date('2026-10-19T17:30:00Z')), false);
+}
+console.log('');
+
+// Test 2: white nights in Oslo
+console.log('Test 2: Oslo, 21 Jun 2026');
+{
+  const times = getSunTimes(59.91, 10.75, new Date('2026-06-21T12:00:00Z'));
+  check('Sun sets', times.sunset !== null, true);
+  check('Not polar day', times.polarDay, false);
+  check('No astronomical darkness', times.noAstronomicalDarkness, true);
+  check('No astronomical dusk', times.astronomicalTwilight.dusk, null);
+  check('Never astronomically dark', isAstronomicalDark(times, new Date('2026-06-21T23:00:00Z')), false);
+}
+console.log('');
+
+// Test 3: midnight sun and polar night in Tromsø
+console.log('Test 3: Tromsø');
+{
+  const summer = getSunTimes(69.65, 18.96, new Date('2026-06-21T12:00:00Z'));
+  check('June: polar day', summer.polarDay, true);
+  check('June: no sunset', summer.sunset, null);
+  check('June: not night at midnight', isNighttime(summer, new Date('2026-06-21T23:00:00Z')), false);
+  check('June: note mentions the midnight sun', getDarknessNote(summer).startsWith('Midnight sun'), true);
+
+  const winter = getSunTimes(69.65, 18.96, new Date('2026-12-21T12:00:00Z'));
+  check('December: polar night', winter.polarNight, true);
+  check('December: no sunrise', winter.sunrise, null);
+  check('December: astronomical dusk still happens', winter.astronomicalTwilight.dusk !== null, true);
+  check('December: night at noon', isNighttime(winter, new Date('2026-12-21T11:00:00Z')), true);
+}
+console.log('');
+
+// Test 4: the site's own day near the date line
+console.log('Test 4: Date line');
+{
+  // Fiji (UTC+12): 20 Oct local starts at 12:00 UTC on 19 Oct
+  const fiji = getSunTimes(-18.14, 178.44, new Date('2026-10-19T20:00:00Z'));
+  check('Fiji sunrise on 19 Oct UTC (20 Oct local)', fiji.sunrise.toISOString().slice(0, 10), '2026-10-19');
+  check('Fiji sunrise before sunset', fiji.sunrise < fiji.sunset, true);
+
+  // Samoa's longitude puts it at UTC-11.5 solar time
+  const samoa = getSunTimes(-13.83, -171.76, new Date('2026-10-19T20:00:00Z'));
+  check('Samoa sunrise before sunset', samoa.sunrise < samoa.sunset, true);
+  check('Samoa day spans the query time', samoa.sunrise < new Date('2026-10-19T20:00:00Z') &&
+    samoa.sunset > new Date('2026-10-19T20:00:00Z'), true);
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);
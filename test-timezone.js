@@ -0,0 +1,88 @@
+/**
+ * Timezone Tests
+ * Checks the offline timezone lookup and the conversions used to show and pick
+ * times on a site's own clock.
+ *
+ * Usage: node test-timezone.js
+ */
+
+import {
+  getTimeZone,
+  getTimeZoneOffset,
+  isSameTimeZone,
+  toZonedInputValues,
+  fromZonedInputValues,
+  getNightStart
+} from './src/services/timezoneService.js';
+import { formatTime } from './src/services/sunCalculationService.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, actual, expected) {
+  if (actual === expected) {
+    console.log(`  ✅ PASS - ${description}: ${actual}`);
+    passed++;
+  } else {
+    console.log(`  ❌ FAIL - ${description}: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+console.log('=== Timezone Tests ===\n');
+
+// Test 1: lookup from coordinates
+console.log('Test 1: Lookup');
+check('Tromsø', getTimeZone(69.65, 18.96), 'Europe/Oslo');
+check('Death Valley', getTimeZone(36.46, -116.87), 'America/Los_Angeles');
+check('Fiji', getTimeZone(-18.14, 178.44), 'Pacific/Fiji');
+check('Aoraki Mackenzie', getTimeZone(-43.98, 170.46), 'Pacific/Auckland');
+console.log('');
+
+// Test 2: offsets follow daylight saving
+console.log('Test 2: Offsets');
+check('Los Angeles in July (minutes)', getTimeZoneOffset('America/Los_Angeles', new Date('2026-07-01T12:00:00Z')), -420);
+check('Los Angeles in December (minutes)', getTimeZoneOffset('America/Los_Angeles', new Date('2026-12-01T12:00:00Z')), -480);
+check('India (minutes)', getTimeZoneOffset('Asia/Kolkata', new Date('2026-10-19T12:00:00Z')), 330);
+check('Oslo and Berlin share a clock', isSameTimeZone('Europe/Oslo', 'Europe/Berlin'), true);
+check('London and Berlin differ', isSameTimeZone('Europe/London', 'Europe/Berlin'), false);
+console.log('');
+
+// Test 3: times shown on the site's clock, not the browser's
+console.log('Test 3: Display');
+{
+  const sunset = new Date('2026-10-20T02:10:00Z');
+  check('Sunset in Death Valley', formatTime(sunset, 'America/Los_Angeles'), '07:10 PM');
+  check('Same moment in London', formatTime(sunset, 'Europe/London'), '03:10 AM');
+}
+console.log('');
+
+// Test 4: date and time inputs round-trip on the site's clock
+console.log('Test 4: Inputs');
+{
+  const moment = new Date('2026-10-19T23:30:00Z');
+  const values = toZonedInputValues(moment, 'Pacific/Fiji');
+  check('Fiji date', values.date, '2026-10-20');
+  check('Fiji time', values.time, '11:30');
+  check('Round trip', fromZonedInputValues(values.date, values.time, 'Pacific/Fiji').toISOString(), moment.toISOString());
+  check('Skipped hour moves forward',
+    fromZonedInputValues('2026-03-29', '02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  check('Repeated hour uses the first',
+    fromZonedInputValues('2026-10-25', '02:30', 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+}
+console.log('');
+
+// Test 5: a night runs noon to noon on the site's clock
+console.log('Test 5: Night start');
+{
+  const zone = 'America/New_York';
+  check('10 PM belongs to that evening',
+    getNightStart(fromZonedInputValues('2026-10-19', '22:00', zone), zone).toISOString(), '2026-10-19T16:00:00.000Z');
+  check('1 AM belongs to the evening before',
+    getNightStart(fromZonedInputValues('2026-10-20', '01:00', zone), zone).toISOString(), '2026-10-19T16:00:00.000Z');
+  check('Noon starts a new night',
+    getNightStart(fromZonedInputValues('2026-10-20', '12:00', zone), zone).toISOString(), '2026-10-20T16:00:00.000Z');
+}
+console.log('');
+
+console.log(`=== Test Complete: ${passed} passed, ${failed} failed ===`);